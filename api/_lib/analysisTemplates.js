@@ -0,0 +1,186 @@
+// Versioned prompt templates for /api/analyze.
+// The browser sends a typed payload ({ kind, practice, metrics, ... }) and the
+// prompt is built here, so the endpoint cannot be used to forward arbitrary
+// text to the model. Every payload is validated and size-limited first;
+// validation failures throw plain Errors with a user-facing message.
+// Every template's system prompt ends with the structured findings
+// instructions (see src/utils/analysisFindings.js) for its metric keys.
+
+import { Buffer } from 'buffer';
+import {
+  CAIP_SYSTEM_PROMPT,
+  CAIP_METRIC_KEYS,
+  CAIP_PROMPT_VERSION,
+  renderCAIPUserPrompt,
+} from '../../src/utils/caipAnalysisPrompt.js';
+import {
+  LOCAL_METRIC_DEFINITIONS,
+  LOCAL_PROMPT_VERSION,
+  buildLocalAnalysisPrompts,
+} from '../../src/utils/localAnalysisPrompt.js';
+import {
+  TRIAGE_METRIC_DEFINITIONS,
+  TRIAGE_PROMPT_VERSION,
+  buildTriageAnalysisPrompts,
+} from '../../src/utils/triageAnalysisPrompt.js';
+import { buildFindingsInstructions } from '../../src/utils/analysisFindings.js';
+
+// Measured in UTF-8 bytes of the JSON body, not string length
+export const MAX_PAYLOAD_BYTES = 64 * 1024;
+const MAX_MONTHS = 36;
+const MAX_NAME_LENGTH = 120;
+const FREE_TEXT_FIELDS = ['systemPrompt', 'userPrompt', 'prompt', 'messages'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Practice names are the only free text; single line, control characters stripped
+const cleanName = (value) => (
+  String(value || '')
+    .replace(/\s+/g, ' ')
+    .split('')
+    .filter(ch => ch.charCodeAt(0) >= 32 && ch.charCodeAt(0) !== 127)
+    .join('')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH)
+);
+
+const toOptionalNumber = (value, field) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`${field} must be a number.`);
+  }
+  return value;
+};
+
+// Validate a { key: number|null } map against the keys a template knows about
+const cleanMetrics = (metrics, allowedKeys, field) => {
+  if (!isPlainObject(metrics)) throw new Error(`${field} must be an object.`);
+  const cleaned = {};
+  Object.entries(metrics).forEach(([key, value]) => {
+    if (!allowedKeys.includes(key)) throw new Error(`Unknown metric "${key}" in ${field}.`);
+    cleaned[key] = toOptionalNumber(value, `${field}.${key}`);
+  });
+  return cleaned;
+};
+
+const cleanHistory = (history, allowedKeys) => {
+  if (history === undefined) return {};
+  if (!isPlainObject(history)) throw new Error('history must be an object.');
+  const cleaned = {};
+  Object.entries(history).forEach(([key, values]) => {
+    if (!allowedKeys.includes(key)) throw new Error(`Unknown metric "${key}" in history.`);
+    if (!Array.isArray(values) || values.length > MAX_MONTHS) {
+      throw new Error(`history.${key} must be an array of at most ${MAX_MONTHS} numbers.`);
+    }
+    cleaned[key] = values.map((v, i) => toOptionalNumber(v, `history.${key}[${i}]`));
+  });
+  return cleaned;
+};
+
+const cleanPractice = (practice, sizeField) => {
+  if (!isPlainObject(practice)) throw new Error('practice must be an object.');
+  return {
+    name: cleanName(practice.name),
+    [sizeField]: toOptionalNumber(practice[sizeField], `practice.${sizeField}`),
+  };
+};
+
+const LOCAL_METRIC_KEYS = LOCAL_METRIC_DEFINITIONS.map(m => m.key);
+const TRIAGE_METRIC_KEYS = TRIAGE_METRIC_DEFINITIONS.map(m => m.key);
+
+export const ANALYSIS_TEMPLATES = {
+  'local-demand': {
+    version: LOCAL_PROMPT_VERSION,
+    metricKeys: LOCAL_METRIC_KEYS,
+    validate: (body) => {
+      if (!Array.isArray(body.months) || body.months.length === 0 || body.months.length > MAX_MONTHS) {
+        throw new Error(`months must be an array of 1-${MAX_MONTHS} entries.`);
+      }
+      return {
+        practice: cleanPractice(body.practice, 'population'),
+        months: body.months.map((m, i) => {
+          if (!isPlainObject(m) || !/^[A-Za-z0-9 -]{1,20}$/.test(String(m.month || ''))) {
+            throw new Error(`months[${i}].month is not a valid period label.`);
+          }
+          return { month: m.month, metrics: cleanMetrics(m.metrics, LOCAL_METRIC_KEYS, `months[${i}].metrics`) };
+        }),
+      };
+    },
+    build: buildLocalAnalysisPrompts,
+  },
+  'caip-national': {
+    version: CAIP_PROMPT_VERSION,
+    metricKeys: CAIP_METRIC_KEYS,
+    validate: (body) => {
+      if (!isPlainObject(body.availability)) throw new Error('availability must be an object.');
+      const benchmarks = cleanMetrics(body.benchmarks || {}, CAIP_METRIC_KEYS, 'benchmarks');
+      Object.entries(benchmarks).forEach(([key, value]) => {
+        if (value !== null && (value < 0 || value > 100)) throw new Error(`benchmarks.${key} must be a percentile (0-100).`);
+      });
+      return {
+        practice: cleanPractice(body.practice, 'listSize'),
+        availability: {
+          telephony: Boolean(body.availability.telephony),
+          onlineConsultations: Boolean(body.availability.onlineConsultations),
+          workforce: Boolean(body.availability.workforce),
+        },
+        metrics: cleanMetrics(body.metrics, CAIP_METRIC_KEYS, 'metrics'),
+        benchmarks,
+        history: cleanHistory(body.history, CAIP_METRIC_KEYS),
+      };
+    },
+    build: (payload) => ({ systemPrompt: CAIP_SYSTEM_PROMPT, userPrompt: renderCAIPUserPrompt(payload) }),
+  },
+  'triage': {
+    version: TRIAGE_PROMPT_VERSION,
+    metricKeys: TRIAGE_METRIC_KEYS,
+    validate: (body) => {
+      let period = null;
+      if (body.period != null) {
+        const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v));
+        if (!isPlainObject(body.period) || !isDate(body.period.start) || !isDate(body.period.end)) {
+          throw new Error('period must have ISO start and end dates.');
+        }
+        period = { start: body.period.start, end: body.period.end };
+      }
+      return {
+        practice: cleanPractice(body.practice, 'listSize'),
+        period,
+        metrics: cleanMetrics(body.metrics, TRIAGE_METRIC_KEYS, 'metrics'),
+      };
+    },
+    build: buildTriageAnalysisPrompts,
+  },
+};
+
+/**
+ * Validate an /api/analyze request body and build its prompts.
+ * Returns { kind, promptVersion, metricKeys, systemPrompt, userPrompt } or throws.
+ */
+export function buildAnalysisRequest(body) {
+  if (!isPlainObject(body)) throw new Error('Request body must be a JSON object.');
+
+  if (FREE_TEXT_FIELDS.some(field => field in body)) {
+    throw new Error('Free-text prompts are not accepted. Send an analysis kind with structured metrics.');
+  }
+
+  if (Buffer.byteLength(JSON.stringify(body), 'utf8') > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Analysis payload is too large (limit ${MAX_PAYLOAD_BYTES / 1024}KB).`);
+  }
+
+  const template = Object.prototype.hasOwnProperty.call(ANALYSIS_TEMPLATES, body.kind)
+    ? ANALYSIS_TEMPLATES[body.kind]
+    : null;
+  if (!template) {
+    throw new Error(`Unknown analysis kind. Expected one of: ${Object.keys(ANALYSIS_TEMPLATES).join(', ')}.`);
+  }
+
+  const { systemPrompt, userPrompt } = template.build(template.validate(body));
+  return {
+    kind: body.kind,
+    promptVersion: template.version,
+    metricKeys: template.metricKeys,
+    systemPrompt: systemPrompt + buildFindingsInstructions(template.metricKeys),
+    userPrompt,
+  };
+}
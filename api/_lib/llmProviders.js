@@ -0,0 +1,137 @@
+// LLM provider abstraction for /api/analyze.
+// The provider is chosen by environment config so the same endpoint can run
+// against OpenAI, Azure OpenAI, or any OpenAI-compatible server (e.g. an
+// on-prem model where information governance rules out external APIs).
+//
+//   LLM_PROVIDER=openai (default)
+//     OPENAI_KEY, OPENAI_MODEL, OPENAI_BASE_URL (optional)
+//   LLM_PROVIDER=azure
+//     AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_KEY, AZURE_OPENAI_DEPLOYMENT,
+//     AZURE_OPENAI_API_VERSION (optional)
+//   LLM_PROVIDER=openai-compatible
+//     LLM_BASE_URL, LLM_MODEL, LLM_API_KEY (optional for local servers)
+//
+// All three speak the chat completions API, including SSE streaming.
+
+import { readSSEStream } from '../../src/utils/sse.js';
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OPENAI_MODEL = 'gpt-5-nano-2025-08-07';
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+const trimSlash = (url) => String(url).replace(/\/+$/, '');
+
+const requireEnv = (env, name, provider) => {
+  if (!env[name]) throw new Error(`${name} is not configured on server (LLM_PROVIDER=${provider}).`);
+  return env[name];
+};
+
+const PROVIDERS = {
+  'openai': (env) => ({
+    id: 'openai',
+    name: 'OpenAI',
+    url: `${trimSlash(env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL)}/chat/completions`,
+    headers: { 'Authorization': `Bearer ${requireEnv(env, 'OPENAI_KEY', 'openai')}` },
+    model: env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL,
+  }),
+  'azure': (env) => {
+    const endpoint = trimSlash(requireEnv(env, 'AZURE_OPENAI_ENDPOINT', 'azure'));
+    const deployment = encodeURIComponent(requireEnv(env, 'AZURE_OPENAI_DEPLOYMENT', 'azure'));
+    const apiVersion = env.AZURE_OPENAI_API_VERSION || DEFAULT_AZURE_API_VERSION;
+    return {
+      id: 'azure',
+      name: 'Azure OpenAI',
+      url: `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+      headers: { 'api-key': requireEnv(env, 'AZURE_OPENAI_KEY', 'azure') },
+      // Azure routes by deployment; the model field is not sent
+      model: null,
+    };
+  },
+  'openai-compatible': (env) => ({
+    id: 'openai-compatible',
+    name: 'OpenAI-compatible server',
+    url: `${trimSlash(requireEnv(env, 'LLM_BASE_URL', 'openai-compatible'))}/chat/completions`,
+    headers: env.LLM_API_KEY ? { 'Authorization': `Bearer ${env.LLM_API_KEY}` } : {},
+    model: requireEnv(env, 'LLM_MODEL', 'openai-compatible'),
+  }),
+};
+
+/**
+ * Resolve the configured provider from environment variables.
+ * Throws when LLM_PROVIDER is unknown or its settings are missing.
+ */
+export function getLLMProvider(env) {
+  const id = (env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  const create = Object.prototype.hasOwnProperty.call(PROVIDERS, id) ? PROVIDERS[id] : null;
+  if (!create) {
+    throw new Error(`Unknown LLM_PROVIDER "${id}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+  return create(env);
+}
+
+const buildRequestInit = (provider, { systemPrompt, userPrompt }, stream) => ({
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...provider.headers },
+  body: JSON.stringify({
+    ...(provider.model ? { model: provider.model } : {}),
+    messages: [
+      ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+      { role: 'user', content: userPrompt || systemPrompt },
+    ],
+    ...(stream ? { stream: true } : {}),
+  }),
+});
+
+// Turn a failed provider response into an Error carrying the HTTP status
+const toProviderError = async (provider, response) => {
+  const errorData = await response.json().catch(() => ({}));
+  const message = response.status === 429
+    ? 'Rate limit reached. Please wait a moment before trying again.'
+    : errorData.error?.message || `${provider.name} API error (${response.status})`;
+  const error = new Error(message);
+  error.status = response.status;
+  return error;
+};
+
+/**
+ * Run a chat completion and return the whole response.
+ * @returns {Promise<{text: string, cached: boolean}>}
+ */
+export async function completeChat(provider, prompts) {
+  const response = await fetch(provider.url, buildRequestInit(provider, prompts, false));
+  if (!response.ok) throw await toProviderError(provider, response);
+
+  const data = await response.json();
+  const usage = data.usage || {};
+  return {
+    text: data.choices?.[0]?.message?.content || '',
+    cached: usage.prompt_tokens_details?.cached_tokens > 0,
+  };
+}
+
+/**
+ * Run a streamed chat completion, calling onDelta with each text fragment.
+ * @returns {Promise<{text: string}>} The full text once the stream ends
+ */
+export async function streamChat(provider, prompts, onDelta) {
+  const response = await fetch(provider.url, buildRequestInit(provider, prompts, true));
+  if (!response.ok) throw await toProviderError(provider, response);
+
+  let text = '';
+  await readSSEStream(response, ({ data }) => {
+    if (data === '[DONE]') return;
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch {
+      return;
+    }
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onDelta(delta);
+    }
+  });
+
+  return { text };
+}
@@ -1,67 +1,78 @@
+import process from 'process';
+import { buildAnalysisRequest } from './_lib/analysisTemplates.js';
+import { getLLMProvider, completeChat, streamChat } from './_lib/llmProviders.js';
+import { formatSSEEvent } from '../src/utils/sse.js';
+import { createReportStreamFilter, splitAnalysisText } from '../src/utils/analysisFindings.js';
+
+// Runs a structured analysis request (see _lib/analysisTemplates.js) against
+// the configured LLM provider (see _lib/llmProviders.js).
+// Free-text prompts are rejected; the prompt is always built server-side.
+// Clients sending `Accept: text/event-stream` receive `delta` events as the
+// model writes, then a `done` event (or `error` event) with the result.
+// The result carries the markdown report as `text` and the validated
+// structured findings as `findings`; the findings block itself is never
+// streamed to the client.
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const apiKey = process.env.OPENAI_KEY;
-  const model = process.env.OPENAI_MODEL || 'gpt-5-nano-2025-08-07';
-
-  if (!apiKey) {
-    return res.status(500).json({ error: 'OpenAI API key not configured on server.' });
+  let request;
+  try {
+    request = buildAnalysisRequest(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
 
-  const { systemPrompt, userPrompt } = req.body;
-
-  if (!systemPrompt && !userPrompt) {
-    return res.status(400).json({ error: 'systemPrompt or userPrompt is required.' });
+  let provider;
+  try {
+    provider = getLLMProvider(process.env);
+  } catch (error) {
+    console.error('LLM provider config error:', error.message);
+    return res.status(500).json({ error: 'AI provider not configured on server.' });
   }
 
-  try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model,
-        messages: [
-          ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
-          { role: 'user', content: userPrompt || systemPrompt },
-        ],
-      }),
-    });
+  const { systemPrompt, userPrompt } = request;
+  const result = { kind: request.kind, promptVersion: request.promptVersion, provider: provider.id };
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const status = response.status;
+  if (String(req.headers?.accept || '').includes('text/event-stream')) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
 
-      if (status === 429) {
-        return res.status(429).json({
-          error: 'Rate limit reached. Please wait a moment before trying again.',
-        });
-      }
+    const reportStream = createReportStreamFilter((text) => {
+      res.write(formatSSEEvent('delta', { text }));
+    });
 
-      return res.status(status).json({
-        error: errorData.error?.message || `OpenAI API error (${status})`,
-      });
+    try {
+      const { text } = await streamChat(provider, { systemPrompt, userPrompt }, reportStream.push);
+      reportStream.flush();
+      const { report, findings } = splitAnalysisText(text, request.metricKeys);
+      if (!report) throw new Error('No response generated from AI.');
+      res.write(formatSSEEvent('done', { ...result, text: report, findings }));
+    } catch (error) {
+      console.error(`${provider.name} streaming error:`, error.message);
+      res.write(formatSSEEvent('error', { error: error.message, status: error.status || 500 }));
     }
+    return res.end();
+  }
 
-    const data = await response.json();
-    const text = data.choices?.[0]?.message?.content;
+  try {
+    const { text, cached } = await completeChat(provider, { systemPrompt, userPrompt });
+    const { report, findings } = splitAnalysisText(text, request.metricKeys);
 
-    if (!text) {
+    if (!report) {
       return res.status(500).json({ error: 'No response generated from AI.' });
     }
 
     // Return cache usage info if available
-    const usage = data.usage || {};
-    return res.status(200).json({
-      text,
-      cached: usage.prompt_tokens_details?.cached_tokens > 0,
-    });
+    return res.status(200).json({ ...result, text: report, findings, cached });
   } catch (error) {
-    console.error('OpenAI API error:', error.message);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${provider.name} API error:`, error.message);
     return res.status(500).json({ error: `Analysis failed: ${error.message}` });
   }
 }
@@ -0,0 +1,149 @@
+/**
+ * Service Worker
+ *
+ * Lets the app start and run local CSV/PDF analysis without a network connection,
+ * and keeps national data available on flaky connections:
+ * - App shell: index.html plus the built scripts, styles and images listed in
+ *   sw-precache.json (written by the precache plugin in vite.config.js) are cached on install
+ * - /data/manifest.json: network first, falling back to the cached copy offline
+ * - /data/*?v=<hash>: cache first. The hash comes from the preprocess manifest, so a
+ *   new data release means new URLs; copies the current manifest no longer lists are deleted
+ * - other /data files: served from the cache and refreshed in the background
+ *
+ * Registered by src/utils/serviceWorker.js as /sw.js?v=<app version>, so each
+ * release installs a new worker with its own shell cache.
+ */
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const SHELL_CACHE = `caip-shell-${VERSION}`;
+const DATA_CACHE = 'caip-data';
+const MANIFEST_PATH = '/data/manifest.json';
+
+// Files outside the build output that the shell needs (from public/)
+const SHELL_FILES = ['/index.html', '/manifest.webmanifest', '/vite.svg', '/icons/caip-icon-192.png'];
+
+// Only successful same-origin responses are cached; missing data files are rewritten to
+// index.html by the host, so data responses must also be JSON
+const isCacheable = (response, { json = false } = {}) => (
+  response?.ok && response.type === 'basic'
+  && (!json || (response.headers.get('content-type') || '').includes('json'))
+);
+
+const precacheShell = async () => {
+  const response = await fetch(`/sw-precache.json?v=${encodeURIComponent(VERSION)}`, { cache: 'no-store' });
+  const { files = [] } = response.ok ? await response.json() : {};
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll([...new Set([...SHELL_FILES, ...files])]);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('caip-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const cacheFirst = async (request, cacheName, options) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (isCacheable(response, options)) await cache.put(request, response.clone());
+  return response;
+};
+
+const staleWhileRevalidate = async (request, cacheName, options) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then(async (response) => {
+    if (isCacheable(response, options)) await cache.put(request, response.clone());
+    return response;
+  });
+
+  if (!cached) return refresh;
+  refresh.catch(() => {});
+  return cached;
+};
+
+// Single-page app routes (/shared/..., /<ODS code>) all load index.html
+const navigate = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match('/index.html');
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Short hashes (the ?v= values the data loader uses) of every file the manifest lists
+const manifestVersions = (manifest) => {
+  const hashes = [
+    ...Object.values(manifest?.datasets || {}).flatMap(dataset => (dataset.months || []).map(month => month.hash)),
+    manifest?.shards?.inputsHash,
+    manifest?.shards?.index?.outputHash,
+    manifest?.shards?.summary?.outputHash,
+  ];
+  return new Set(hashes.filter(Boolean).map(hash => hash.slice(0, 12)));
+};
+
+// Delete cached data files from older releases
+const pruneDataCache = async (manifest) => {
+  const current = manifestVersions(manifest);
+  const cache = await caches.open(DATA_CACHE);
+  const requests = await cache.keys();
+  await Promise.all(requests.map((request) => {
+    const version = new URL(request.url).searchParams.get('v');
+    return version && !current.has(version) ? cache.delete(request) : null;
+  }));
+};
+
+const refreshManifest = async (request) => {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response, { json: true })) {
+      await cache.put(MANIFEST_PATH, response.clone());
+      response.clone().json().then(pruneDataCache).catch(() => {});
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(MANIFEST_PATH);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  // Firebase, the AI analysis API and other services always go to the network
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(navigate(request));
+  } else if (url.pathname === MANIFEST_PATH) {
+    event.respondWith(refreshManifest(request));
+  } else if (url.pathname.startsWith('/data/')) {
+    event.respondWith(url.searchParams.has('v')
+      ? cacheFirst(request, DATA_CACHE, { json: true })
+      : staleWhileRevalidate(request, DATA_CACHE, { json: true }));
+  } else if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
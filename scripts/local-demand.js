@@ -0,0 +1,134 @@
+/**
+ * Run the local demand & capacity engine headlessly
+ * Run with: node scripts/local-demand.js --appointments <csv> [options]
+ *
+ * Options:
+ *   --appointments <csv>   Appointments CSV (repeatable, required)
+ *   --dna <csv>            DNA CSV (repeatable)
+ *   --unused <csv>         Unused slots CSV (repeatable)
+ *   --online <csv>         Online requests CSV (repeatable)
+ *   --telephony <file>     X-on PDF report, pre-extracted .txt, or telephony CSV (repeatable)
+ *   --roster <json>        Staff roster JSON (array of { name, roleGroup, isGP, isArrs, include })
+ *   --granularity <unit>   day, week (ISO) or month (default month)
+ *   --closure <date>       Practice closure day as YYYY-MM-DD (repeatable)
+ *   --population <n>       Practice list size (default 10000)
+ *   --name <text>          Surgery name
+ *   --ods <code>           ODS code
+ *   --out <file>           Write JSON result to file instead of stdout
+ *
+ * Example (sample data):
+ *   node scripts/local-demand.js --population 5600 \
+ *     --appointments src/assets/sampledata/AppointmentReport.csv \
+ *     --dna src/assets/sampledata/DNA.csv \
+ *     --unused src/assets/sampledata/Unused.csv \
+ *     --online src/assets/sampledata/OnlineRequests.csv \
+ *     --telephony src/assets/sampledata/1.pdf
+ */
+
+import Papa from 'papaparse';
+import { readFileSync, writeFileSync } from 'fs';
+import { basename, extname } from 'path';
+import { parseArgs } from 'util';
+import process from 'process';
+import { GRANULARITIES, processLocalDemand } from '../src/utils/localDemandEngine.js';
+import { parseTelephonyReport } from '../src/utils/telephonyAdapters.js';
+
+const { values } = parseArgs({
+  options: {
+    appointments: { type: 'string', multiple: true },
+    dna: { type: 'string', multiple: true },
+    unused: { type: 'string', multiple: true },
+    online: { type: 'string', multiple: true },
+    telephony: { type: 'string', multiple: true },
+    roster: { type: 'string' },
+    granularity: { type: 'string', default: 'month' },
+    closure: { type: 'string', multiple: true },
+    population: { type: 'string', default: '10000' },
+    name: { type: 'string', default: '' },
+    ods: { type: 'string', default: '' },
+    out: { type: 'string' },
+  },
+});
+
+// Parse and concatenate CSV files, matching the browser's parseCSV options
+function readCSVFiles(paths = []) {
+  const rows = [];
+  for (const filePath of paths) {
+    const csvText = readFileSync(filePath, 'utf8');
+    const result = Papa.parse(csvText, { header: true, skipEmptyLines: true, dynamicTyping: false });
+    rows.push(...result.data);
+  }
+  return rows;
+}
+
+// Read a telephony report: text from the first 3 pages of a PDF (same as parsers.js), otherwise the raw file
+async function readTelephonyText(filePath) {
+  if (extname(filePath).toLowerCase() !== '.pdf') {
+    return readFileSync(filePath, 'utf8');
+  }
+
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdf = await getDocument({ data: new Uint8Array(readFileSync(filePath)) }).promise;
+  let fullText = '';
+  const maxPages = Math.min(pdf.numPages, 3);
+  for (let i = 1; i <= maxPages; i++) {
+    const page = await pdf.getPage(i);
+    const textContent = await page.getTextContent();
+    if (!textContent.items.length) continue;
+    fullText += ` --- PAGE ${i} --- \n ${textContent.items.map((item) => item.str).join(' ')}`;
+  }
+  return fullText;
+}
+
+if (!values.appointments || values.appointments.length === 0) {
+  console.error('Please provide at least one --appointments CSV file.');
+  process.exit(1);
+}
+
+if (!GRANULARITIES.includes(values.granularity)) {
+  console.error(`--granularity must be one of: ${GRANULARITIES.join(', ')}.`);
+  process.exit(1);
+}
+
+const config = {
+  surgeryName: values.name,
+  odsCode: values.ods,
+  population: parseInt(values.population, 10) || 0,
+  useOnline: Boolean(values.online?.length),
+  useTelephony: Boolean(values.telephony?.length),
+  closureDays: values.closure || [],
+};
+
+const telephonyReports = [];
+for (const filePath of values.telephony || []) {
+  telephonyReports.push(parseTelephonyReport({ fileName: basename(filePath), text: await readTelephonyText(filePath) }));
+}
+
+const result = processLocalDemand({
+  apptData: readCSVFiles(values.appointments),
+  dnaData: readCSVFiles(values.dna),
+  unusedData: readCSVFiles(values.unused),
+  onlineData: readCSVFiles(values.online),
+  telephonyReports,
+}, config, {
+  staffRoster: values.roster ? JSON.parse(readFileSync(values.roster, 'utf8')) : undefined,
+  granularity: values.granularity,
+});
+
+// Online rows are per-request and large; the summary output omits them
+const output = JSON.stringify({
+  config,
+  enrichedMonths: result.enrichedMonths,
+  staffData: result.staffData,
+  slotData: result.slotData,
+  combinedData: result.combinedData,
+  forecastData: result.forecastData,
+  onlineRequestCount: result.onlineRows.length,
+}, null, 2);
+
+if (values.out) {
+  writeFileSync(values.out, output);
+  console.error(`Wrote ${result.enrichedMonths.length} months to ${values.out}`);
+} else {
+  console.log(output);
+}
@@ -1,15 +1,38 @@
 /**
  * Pre-process XLSX files to JSON for faster runtime loading
- * Run with: node scripts/preprocess-data.js
+ * Run with: node scripts/preprocess-data.js [--assets <dir>] [--out <dir>] [--force]
  *
  * This script converts the large XLSX files to optimized JSON,
- * reducing load time by 10-20x in the browser.
+ * reducing load time by 10-20x in the browser. National workbooks are
+ * parsed with the same modules the app uses (src/utils/parseNational*.js),
+ * so the JSON matches what the browser would produce from the XLSX.
+ *
+ * Each source file becomes one JSON file per month (e.g. telephony/October_2025.json).
+ * manifest.json records, per source, its SHA-256, the parser version, the month,
+ * the dataset and the output checksum. On the next run only sources whose hash or
+ * parser version changed (or whose output is missing or edited) are reparsed, and
+ * outputs whose source has gone are removed. --force reparses everything.
+ * Source entries also list the corrections (src/data/corrections.js) that fired.
+ * The client (src/data/dataLoader.js) discovers available months from the manifest.
+ *
+ * From the month files it also writes one file per practice (practices/<ODS>.json),
+ * a search index (practice-index.json) and a national summary of percentile arrays
+ * (national-summary.json); see src/utils/nationalShards.js. These are rebuilt only
+ * when a month output or the shard builder changes.
+ *
+ * Output is reproducible: files are processed in name order and, when
+ * SOURCE_DATE_EPOCH is set, it is used for the generatedAt timestamps.
+ * tests/preprocess.test.js compares the output for tests/fixtures/national
+ * against committed golden files.
  */
 
 import * as XLSX from 'xlsx';
 import Papa from 'papaparse';
-import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync } from 'fs';
-import { join, dirname } from 'path';
+import process from 'process';
+import { parseArgs } from 'util';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync, rmSync } from 'fs';
+import { join, dirname, resolve, relative, sep, posix } from 'path';
 import { fileURLToPath } from 'url';
 import {
   inferMonthFromFilename,
@@ -17,884 +40,405 @@ import {
   parseWorkforceDefinitionsRows,
   summarizeRoleMapping,
 } from '../src/utils/workforceParser.js';
+import { formatValidationReport } from '../src/utils/nationalSchema.js';
+import { validateCorrections } from '../src/utils/dataCorrections.js';
+import { parseNationalAppointmentsData } from '../src/utils/parseNationalAppointments.js';
+import { parseNationalTelephonyData } from '../src/utils/parseNationalTelephony.js';
+import { parseOnlineConsultationsData } from '../src/utils/parseOnlineConsultations.js';
+import {
+  SHARD_DATASETS,
+  PRACTICES_DIR,
+  PRACTICE_INDEX_FILE,
+  NATIONAL_SUMMARY_FILE,
+  practiceFilename,
+  buildPracticeShards,
+  buildNationalSummary,
+} from '../src/utils/nationalShards.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT_DIR = join(__dirname, '..');
-const ASSETS_DIR = join(ROOT_DIR, 'src', 'assets');
-const OUTPUT_DIR = join(ROOT_DIR, 'public', 'data');
-
-// Ensure output directory exists
-if (!existsSync(OUTPUT_DIR)) {
-  mkdirSync(OUTPUT_DIR, { recursive: true });
-}
 
-console.log('Starting XLSX to JSON preprocessing...\n');
-
-// ============================================
-// APPOINTMENTS DATA
-// ============================================
+const { values: args } = parseArgs({
+  options: {
+    assets: { type: 'string', default: join(ROOT_DIR, 'src', 'assets') },
+    out: { type: 'string', default: join(ROOT_DIR, 'public', 'data') },
+    force: { type: 'boolean', default: false },
+  },
+});
+const ASSETS_DIR = resolve(args.assets);
+const OUTPUT_DIR = resolve(args.out);
 
-function parseAppointmentsFile(filePath) {
-  const buffer = readFileSync(filePath);
-  const workbook = XLSX.read(buffer, { type: 'buffer' });
-
-  // Extract month from Table 1 title
-  const table1Sheet = workbook.Sheets['Table 1'];
-  const table1Raw = XLSX.utils.sheet_to_json(table1Sheet, { header: 1 });
-
-  let dataMonth = 'Unknown';
-  for (let i = 0; i < Math.min(15, table1Raw.length); i++) {
-    const row = table1Raw[i];
-    if (row && row[0]) {
-      const titleText = String(row[0]);
-      const monthMatch = titleText.match(/(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{4})/);
-      if (monthMatch) {
-        dataMonth = `${monthMatch[1]} ${monthMatch[2]}`;
-        break;
-      }
-    }
-  }
+const generatedAt = process.env.SOURCE_DATE_EPOCH
+  ? new Date(Number(process.env.SOURCE_DATE_EPOCH) * 1000).toISOString()
+  : new Date().toISOString();
 
-  // Parse Table 1: Summary data
-  const { practices: table1Practices, national: table1National } = parseTable1(table1Raw);
-
-  // Parse Table 2a: Booking wait times
-  const table2aSheet = workbook.Sheets['Table 2a'];
-  const table2aRaw = table2aSheet ? XLSX.utils.sheet_to_json(table2aSheet, { header: 1 }) : [];
-  const { data: bookingWaitData, national: bookingWaitNational } = parseTable2a(table2aRaw);
-
-  // Parse Table 3a: Appointment categories
-  const table3aSheet = workbook.Sheets['Table 3a'];
-  const table3aRaw = table3aSheet ? XLSX.utils.sheet_to_json(table3aSheet, { header: 1 }) : [];
-  const { data: categoryData, national: categoryNational, categories: categoryHeaders } = parseTable3a(table3aRaw);
-
-  // Parse Table 4: Appointment modes
-  const table4Sheet = workbook.Sheets['Table 4'];
-  const table4Raw = table4Sheet ? XLSX.utils.sheet_to_json(table4Sheet, { header: 1 }) : [];
-  const { data: modesData, national: modesNational } = parseTable4(table4Raw);
-
-  // Parse Table 5: Staff breakdown
-  const table5Sheet = workbook.Sheets['Table 5'];
-  const table5Raw = table5Sheet ? XLSX.utils.sheet_to_json(table5Sheet, { header: 1 }) : [];
-  const { data: staffData, national: staffNational } = parseTable5(table5Raw);
-
-  // Parse Table 6: Appointment status
-  const table6Sheet = workbook.Sheets['Table 6'];
-  const table6Raw = table6Sheet ? XLSX.utils.sheet_to_json(table6Sheet, { header: 1 }) : [];
-  const { data: statusData, national: statusNational } = parseTable6(table6Raw);
-
-  // Merge all data
-  const practices = table1Practices.map(practice => {
-    const odsCode = practice.odsCode;
-    return {
-      ...practice,
-      categoryBreakdown: categoryData[odsCode] || null,
-      bookingWait: bookingWaitData[odsCode] || null,
-      appointmentModes: modesData[odsCode] || null,
-      staffBreakdown: staffData[odsCode] || null,
-      appointmentStatus: statusData[odsCode] || null,
-    };
-  });
+// Bump when the manifest layout changes; an older manifest is then ignored and everything reparsed
+const MANIFEST_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
 
-  // Apply data corrections
-  const DATA_CORRECTIONS = {
-    'C82040': { icbCode: 'QT1', icbName: 'NHS NOTTINGHAM AND NOTTINGHAMSHIRE INTEGRATED CARE BOARD' }
-  };
+// Superseded by manifest.json and the per-month files; removed when found in the output directory
+const LEGACY_OUTPUTS = ['appointments-index.json', 'workforce-index.json', 'telephony.json', 'online-consultations.json'];
 
-  const correctedPractices = practices.map(practice => {
-    if (DATA_CORRECTIONS[practice.odsCode]) {
-      return { ...practice, ...DATA_CORRECTIONS[practice.odsCode] };
-    }
-    return practice;
-  });
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
 
-  return {
-    dataMonth,
-    practices: correctedPractices,
-    national: {
-      ...table1National,
-      categoryBreakdown: categoryNational,
-      categoryHeaders,
-      bookingWait: bookingWaitNational,
-      appointmentModes: modesNational,
-      staffBreakdown: staffNational,
-      appointmentStatus: statusNational,
-    },
-  };
+// Ensure output directory exists
+if (!existsSync(OUTPUT_DIR)) {
+  mkdirSync(OUTPUT_DIR, { recursive: true });
 }
 
-function parseTable1(rawData) {
-  const practices = [];
-  let national = null;
-
-  let headerRowIndex = -1;
-  for (let i = 0; i < Math.min(20, rawData.length); i++) {
-    const row = rawData[i];
-    if (row && row.some(cell => String(cell).includes('GP_CODE') || String(cell).includes('APPOINTMENTS'))) {
-      headerRowIndex = i;
-      break;
-    }
-  }
-
-  if (headerRowIndex === -1) return { practices: [], national: null };
-
-  const dataStartRow = headerRowIndex + 1;
-
-  for (let i = dataStartRow; i < rawData.length; i++) {
-    const row = rawData[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-    const gpName = String(row[2] || '').trim();
-
-    if (String(row[0]).toLowerCase().includes('total') || String(row[0]).toLowerCase().includes('england')) {
-      national = {
-        totalAppointments: Number(row[8]) || 0,
-        listSize: Number(row[9]) || 0,
-        appointmentsPer1000: Number(row[10]) || 0,
-      };
-      continue;
-    }
-
-    if (!odsCode || odsCode.toLowerCase() === 'unmapped') continue;
-
-    practices.push({
-      odsCode,
-      gpName,
-      supplier: String(row[3] || '').trim(),
-      pcnCode: String(row[4] || '').trim(),
-      pcnName: String(row[5] || '').trim(),
-      subICBCode: String(row[6] || '').trim(),
-      subICBName: String(row[7] || '').trim(),
-      totalAppointments: Number(row[8]) || 0,
-      listSize: Number(row[9]) || 0,
-      appointmentsPer1000: Number(row[10]) || 0,
-    });
-  }
+console.log('Starting XLSX to JSON preprocessing...\n');
 
-  return { practices, national };
+// A broken corrections registry would silently change every dataset, so stop before parsing
+const correctionErrors = validateCorrections();
+if (correctionErrors.length > 0) {
+  console.error('Invalid corrections registry (src/data/corrections.js):');
+  correctionErrors.forEach(error => console.error(`  - ${error}`));
+  process.exit(1);
 }
 
-function parseTable2a(rawData) {
-  const data = {};
-  let national = null;
+// Datasets with a workbook that failed validation; their previous outputs are kept
+const failedDatasets = [];
 
-  let headerRowIndex = -1;
-  for (let i = 0; i < Math.min(20, rawData.length); i++) {
-    const row = rawData[i];
-    if (row && row.some(cell => String(cell).includes('Same_Day') || String(cell).includes('Same Day'))) {
-      headerRowIndex = i;
-      break;
-    }
-  }
+const sha256 = (content) => createHash('sha256').update(content).digest('hex');
 
-  if (headerRowIndex === -1) return { data: {}, national: null };
-
-  for (let i = headerRowIndex + 1; i < rawData.length; i++) {
-    const row = rawData[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-
-    // Column indices: 8=Same_Day, 9=1_Day, 10=2-7_Days, 11=8-14_Days, 12=15-21_Days, 13=22-28_Days, 14=>28_Days, 15=Unknown
-    const sameDay = Number(row[8]) || 0;
-    const oneDay = Number(row[9]) || 0;
-    const twoToSevenDays = Number(row[10]) || 0;
-    const eightToFourteenDays = Number(row[11]) || 0;
-    const fifteenToTwentyOneDays = Number(row[12]) || 0;
-    const twentyTwoToTwentyEightDays = Number(row[13]) || 0;
-    const moreThan28Days = Number(row[14]) || 0;
-    const unknown = Number(row[15]) || 0;
-
-    const total = sameDay + oneDay + twoToSevenDays + eightToFourteenDays +
-      fifteenToTwentyOneDays + twentyTwoToTwentyEightDays + moreThan28Days + unknown;
-
-    const waitData = {
-      sameDay,
-      oneDay,
-      twoToSevenDays,
-      eightToFourteenDays,
-      fifteenToTwentyOneDays,
-      twentyTwoToTwentyEightDays,
-      moreThan28Days,
-      unknown,
-      total,
-      sameDayPct: total > 0 ? (sameDay / total) * 100 : 0,
-      oneToSevenDaysPct: total > 0 ? ((oneDay + twoToSevenDays) / total) * 100 : 0,
-      eightToFourteenDaysPct: total > 0 ? (eightToFourteenDays / total) * 100 : 0,
-      fifteenToTwentyOneDaysPct: total > 0 ? (fifteenToTwentyOneDays / total) * 100 : 0,
-      twentyTwoToTwentyEightDaysPct: total > 0 ? (twentyTwoToTwentyEightDays / total) * 100 : 0,
-      twentyEightPlusDaysPct: total > 0 ? (moreThan28Days / total) * 100 : 0,
-      withinWeekPct: total > 0 ? ((sameDay + oneDay + twoToSevenDays) / total) * 100 : 0,
-    };
-
-    if (String(row[0]).toLowerCase().includes('total') || String(row[0]).toLowerCase().includes('england')) {
-      national = waitData;
-      continue;
-    }
-
-    if (!odsCode || odsCode.toLowerCase() === 'unmapped') continue;
+// Sorted so output (and the order of months in it) doesn't depend on the file system
+const listFiles = (dir, filter) => (existsSync(dir) ? readdirSync(dir).filter(filter).sort() : []);
 
-    data[odsCode] = waitData;
-  }
-
-  return { data, national };
-}
+const monthToFilename = (month) => {
+  const safe = String(month || 'Unknown')
+    .trim()
+    .replace(/\s+/g, '_')
+    .replace(/[^A-Za-z0-9_-]/g, '');
+  return safe.length > 0 ? safe : 'Unknown';
+};
 
-function parseTable3a(rawData) {
-  const data = {};
-  let national = null;
-  let categories = [];
-
-  let headerRowIndex = -1;
-  for (let i = 0; i < Math.min(25, rawData.length); i++) {
-    const row = rawData[i];
-    if (row && row.some(cell => String(cell).includes('GP_CODE') || String(cell).includes('GP_CODE'))) {
-      headerRowIndex = i;
-      break;
-    }
-  }
+// "February 2026" -> months since year 0, for chronological ordering; unknown months sort last
+const monthSortKey = (month) => {
+  const [name, year] = String(month || '').split(' ');
+  const index = MONTH_NAMES.indexOf(name);
+  return index === -1 || !year ? Infinity : Number(year) * 12 + index;
+};
 
-  if (headerRowIndex === -1) return { data: {}, national: null, categories: [] };
-
-  const headerRow = rawData[headerRowIndex] || [];
-  const baseHeaders = new Set([
-    'Month',
-    'Appointment Month Start Date',
-    'GP_CODE',
-    'GP_NAME',
-    'SUPPLIER',
-    'PCN_CODE',
-    'PCN_NAME',
-    'SUB_ICB_LOCATION_CODE',
-    'SUB_ICB_LOCATION_NAME',
-    'SUB_ICB_CODE',
-    'SUB_ICB_NAME',
-  ]);
-
-  categories = headerRow
-    .map((cell, idx) => ({ label: String(cell || '').trim(), idx }))
-    .filter(item => item.label && !baseHeaders.has(item.label))
-    .map(item => item);
-
-  for (let i = headerRowIndex + 1; i < rawData.length; i++) {
-    const row = rawData[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-    const gpName = String(row[2] || '').trim();
-
-    const categoryCounts = {};
-    categories.forEach(({ label, idx }) => {
-      categoryCounts[label] = Number(row[idx]) || 0;
-    });
-
-    if (String(row[0]).toLowerCase().includes('total') || String(row[0]).toLowerCase().includes('england')) {
-      national = categoryCounts;
-      continue;
+// Hash of a parser module and every local module it imports, plus the xlsx version,
+// so editing any of them reparses the sources that depend on it
+function parserVersion(entryFiles) {
+  const seen = new Set();
+  const visit = (file) => {
+    if (seen.has(file)) return;
+    seen.add(file);
+    const source = readFileSync(join(ROOT_DIR, file), 'utf-8');
+    for (const [, specifier] of source.matchAll(/^\uFEFF?import\s[^;]*?from\s+'(\.{1,2}\/[^']+)'/gm)) {
+      visit(posix.join(posix.dirname(file), specifier));
     }
+  };
+  entryFiles.forEach(visit);
 
-    if (!odsCode || odsCode.toLowerCase() === 'unmapped') continue;
-    if (gpName.toLowerCase() === 'unmapped') continue;
-
-    data[odsCode] = categoryCounts;
-  }
-
-  return { data, national, categories: categories.map(item => item.label) };
+  const hash = createHash('sha256').update(`xlsx@${XLSX.version}\n`);
+  [...seen].sort().forEach(file => hash.update(`${file}\n`).update(readFileSync(join(ROOT_DIR, file))));
+  return hash.digest('hex').slice(0, 16);
 }
 
-function parseTable4(rawData) {
-  const data = {};
-  let national = null;
-
-  let headerRowIndex = -1;
-  for (let i = 0; i < Math.min(20, rawData.length); i++) {
-    const row = rawData[i];
-    if (row && row.some(cell => String(cell).includes('Face-to-Face') || String(cell).includes('Telephone'))) {
-      headerRowIndex = i;
-      break;
-    }
-  }
-
-  if (headerRowIndex === -1) return { data: {}, national: null };
-
-  for (let i = headerRowIndex + 1; i < rawData.length; i++) {
-    const row = rawData[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-
-    // Column indices: 8=Face-to-Face, 9=Home_Visit, 10=Telephone, 11=Video, 12=Unknown
-    const faceToFace = Number(row[8]) || 0;
-    const homeVisit = Number(row[9]) || 0;
-    const telephone = Number(row[10]) || 0;
-    const video = Number(row[11]) || 0;
-    const unknown = Number(row[12]) || 0;
-    const total = faceToFace + homeVisit + telephone + video + unknown;
-
-    const modesData = {
-      faceToFace,
-      homeVisit,
-      telephone,
-      video,
-      unknown,
-      total,
-      faceToFacePct: total > 0 ? (faceToFace / total) * 100 : 0,
-      homeVisitPct: total > 0 ? (homeVisit / total) * 100 : 0,
-      telephonePct: total > 0 ? (telephone / total) * 100 : 0,
-      videoPct: total > 0 ? (video / total) * 100 : 0,
-    };
-
-    if (String(row[0]).toLowerCase().includes('total') || String(row[0]).toLowerCase().includes('england')) {
-      national = modesData;
-      continue;
-    }
-
-    if (!odsCode || odsCode.toLowerCase() === 'unmapped') continue;
-
-    data[odsCode] = modesData;
+function readManifest() {
+  const manifestPath = join(OUTPUT_DIR, MANIFEST_FILE);
+  if (!existsSync(manifestPath)) return { sources: {} };
+  try {
+    const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+    return manifest.version === MANIFEST_VERSION ? manifest : { sources: {} };
+  } catch {
+    return { sources: {} };
   }
-
-  return { data, national };
 }
 
-function parseTable5(rawData) {
-  const data = {};
-  let national = null;
-
-  let headerRowIndex = -1;
-  for (let i = 0; i < Math.min(20, rawData.length); i++) {
-    const row = rawData[i];
-    if (row && row.some(cell => String(cell).includes('GP_CODE'))) {
-      headerRowIndex = i;
-      break;
-    }
-  }
-
-  if (headerRowIndex === -1) return { data: {}, national: null };
+const previousManifest = readManifest();
 
-  for (let i = headerRowIndex + 1; i < rawData.length; i++) {
-    const row = rawData[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-
-    // Column indices: 8=GP, 9=Other_Practice_staff, 10=Unknown
-    const gpAppointments = Number(row[8]) || 0;
-    const otherStaffAppointments = Number(row[9]) || 0;
-    const unknownStaff = Number(row[10]) || 0;
-    const total = gpAppointments + otherStaffAppointments + unknownStaff;
-
-    const staffData = {
-      gpAppointments,
-      otherStaffAppointments,
-      unknownStaff,
-      total,
-      gpPct: total > 0 ? (gpAppointments / total) * 100 : 0,
-      otherStaffPct: total > 0 ? (otherStaffAppointments / total) * 100 : 0,
-      gpToOtherRatio: otherStaffAppointments > 0 ? gpAppointments / otherStaffAppointments : null,
-    };
-
-    if (String(row[0]).toLowerCase().includes('total') || String(row[0]).toLowerCase().includes('england')) {
-      national = staffData;
-      continue;
-    }
-
-    if (!odsCode || odsCode.toLowerCase() === 'unmapped') continue;
-
-    data[odsCode] = staffData;
-  }
+// A previous output can be reused if it is still on disk and unedited
+const outputIsCurrent = (entry) => {
+  const outputPath = join(OUTPUT_DIR, entry.output);
+  return existsSync(outputPath) && sha256(readFileSync(outputPath)) === entry.outputHash;
+};
 
-  return { data, national };
+// Parse a national workbook with the shared parser, printing its schema validation report.
+// The parser throws when the layout does not match (see nationalSchema.js).
+function parseNationalFile(content, parse) {
+  return parse(content, {
+    onValidation: (validation) => {
+      formatValidationReport(validation).forEach(line => console.log(`      ${line}`));
+      validation.warnings.forEach(warning => console.warn(`      ⚠ ${warning}`));
+    },
+  });
 }
 
-function parseTable6(rawData) {
-  const data = {};
-  let national = null;
-
-  let headerRowIndex = -1;
-  for (let i = 0; i < Math.min(20, rawData.length); i++) {
-    const row = rawData[i];
-    if (row && row.some(cell => String(cell) === 'Attended' || String(cell) === 'DNA')) {
-      headerRowIndex = i;
-      break;
-    }
-  }
-
-  if (headerRowIndex === -1) return { data: {}, national: null };
-
-  for (let i = headerRowIndex + 1; i < rawData.length; i++) {
-    const row = rawData[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-
-    // Column indices: 8=Attended, 9=DNA, 10=Unknown
-    const attended = Number(row[8]) || 0;
-    const dna = Number(row[9]) || 0;
-    const unknownStatus = Number(row[10]) || 0;
-    const total = attended + dna + unknownStatus;
-
-    const statusData = {
-      attended,
-      dna,
-      unknownStatus,
-      total,
-      attendedPct: total > 0 ? (attended / total) * 100 : 0,
-      dnaPct: total > 0 ? (dna / total) * 100 : 0,
-    };
-
-    if (String(row[0]).toLowerCase().includes('total') || String(row[0]).toLowerCase().includes('england')) {
-      national = statusData;
+/**
+ * Parse the changed sources of one dataset and write their outputs.
+ * `parse(content, file)` returns { month, data, output? }; output defaults to <dir>/<Month>.json.
+ * Nothing is written for a dataset if any of its sources fails: its previous manifest
+ * entries (and files) are kept and the run exits non-zero.
+ * @returns {Object} Manifest source entries keyed by path relative to the assets directory
+ */
+function processDataset({ dataset, label, dir, files, parserFiles, outputDir, parse }) {
+  console.log(`Processing ${label} data...`);
+  const version = parserVersion(parserFiles);
+  const results = [];
+  let failed = false;
+
+  for (const file of files) {
+    const source = relative(ASSETS_DIR, join(dir, file)).split(sep).join('/');
+    const content = readFileSync(join(dir, file));
+    const hash = sha256(content);
+    const previous = previousManifest.sources[source];
+
+    if (!args.force && previous?.dataset === dataset && previous.hash === hash
+      && previous.parserVersion === version && outputIsCurrent(previous)) {
+      console.log(`  = ${file} (unchanged)`);
+      results.push({ source, entry: previous });
       continue;
     }
 
-    if (!odsCode || odsCode.toLowerCase() === 'unmapped') continue;
-
-    data[odsCode] = statusData;
-  }
-
-  return { data, national };
-}
-
-// ============================================
-// TELEPHONY DATA
-// ============================================
-
-function parseTelephonyFile(filePath) {
-  const buffer = readFileSync(filePath);
-  const workbook = XLSX.read(buffer, { type: 'buffer' });
-
-  const table3Sheet = workbook.Sheets['Table 3'];
-  const table3Raw = XLSX.utils.sheet_to_json(table3Sheet, { header: 1 });
-  const monthPattern = /(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{4})/;
-
-  let dataMonth = 'October 2025';
-  const titleRow = table3Raw.find((row) => monthPattern.test(String(row?.[0] || '')));
-  if (titleRow) {
-    const monthMatch = String(titleRow[0]).match(monthPattern);
-    if (monthMatch) dataMonth = `${monthMatch[1]} ${monthMatch[2]}`;
-  }
-
-  const practices = [];
-  let nationalData = null;
-
-  for (let i = 12; i < table3Raw.length; i++) {
-    const row = table3Raw[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = row[1];
-    const gpName = row[2];
-
-    if (row[0] === 'Total' && !odsCode && !gpName) {
-      nationalData = {
-        inboundCalls: Number(row[11]) || 0,
-        answered: Number(row[13]) || 0,
-        answeredPct: Number(row[14]) || 0,
-        endedDuringIVR: Number(row[15]) || 0,
-        endedDuringIVRPct: Number(row[16]) || 0,
-        callbackRequested: Number(row[17]) || 0,
-        callbackRequestedPct: Number(row[18]) || 0,
-        missed: Number(row[20]) || 0,
-        missedPct: Number(row[21]) || 0,
-        callbackMade: Number(row[23]) || 0,
-        callbackMadePct: Number(row[24]) || 0,
-      };
-      continue;
+    try {
+      console.log(`  ${file}`);
+      const { month, data, output } = parse(content, file);
+      const json = JSON.stringify(data);
+      results.push({
+        source,
+        json,
+        entry: {
+          dataset,
+          month,
+          hash,
+          parserVersion: version,
+          output: output || `${outputDir}/${monthToFilename(month)}.json`,
+          outputHash: sha256(json),
+          corrections: data.corrections || [],
+        },
+      });
+      console.log(`  ✓ ${month || file}${data.practices ? ` - ${data.practices.length} practices` : ''}`);
+      if (data.corrections?.length) {
+        console.log(`      corrections: ${data.corrections.join(', ')}`);
+      }
+    } catch (err) {
+      console.error(`  ✗ Error parsing ${file}:`, err.message);
+      failedDatasets.push(`${label} (${file})`);
+      failed = true;
     }
-
-    if (!odsCode && !gpName) continue;
-    if (String(gpName).toLowerCase() === 'unmapped') continue;
-
-    practices.push({
-      odsCode: String(odsCode || '').trim(),
-      gpName: String(gpName || '').trim(),
-      pcnCode: String(row[3] || '').trim(),
-      pcnName: String(row[4] || '').trim(),
-      subICBCode: String(row[5] || '').trim(),
-      subICBName: String(row[6] || '').trim(),
-      icbCode: String(row[7] || '').trim(),
-      icbName: String(row[8] || '').trim(),
-      regionCode: String(row[9] || '').trim(),
-      regionName: String(row[10] || '').trim(),
-      inboundCalls: Number(row[11]) || 0,
-      answered: Number(row[13]) || 0,
-      answeredPct: Number(row[14]) || 0,
-      endedDuringIVR: Number(row[15]) || 0,
-      endedDuringIVRPct: Number(row[16]) || 0,
-      callbackRequested: Number(row[17]) || 0,
-      callbackRequestedPct: Number(row[18]) || 0,
-      missed: Number(row[20]) || 0,
-      missedPct: Number(row[21]) || 0,
-      callbackMade: Number(row[23]) || 0,
-      callbackMadePct: Number(row[24]) || 0,
-    });
   }
 
-  // Parse Table 4 for wait times
-  const table4Sheet = workbook.Sheets['Table 4'];
-  const table4Raw = XLSX.utils.sheet_to_json(table4Sheet, { header: 1 });
-  const table4Data = {};
-
-  for (let i = 5; i < table4Raw.length; i++) {
-    const row = table4Raw[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-    const gpName = String(row[2] || '').trim();
-
-    if (!odsCode && !gpName) continue;
-    if (gpName.toLowerCase() === 'unmapped') continue;
-
-    table4Data[odsCode] = {
-      lessThan1Min: Number(row[15]) || 0,
-      lessThan1MinPct: Number(row[16]) || 0,
-      oneToTwoMin: Number(row[17]) || 0,
-      oneToTwoMinPct: Number(row[18]) || 0,
-      twoToThreeMin: Number(row[19]) || 0,
-      twoToThreeMinPct: Number(row[20]) || 0,
-      threeToFourMin: Number(row[21]) || 0,
-      threeToFourMinPct: Number(row[22]) || 0,
-      durationLessThan1Min: Number(row[24]) || 0,
-      durationLessThan1MinPct: Number(row[25]) || 0,
-      durationOneToTwoMin: Number(row[26]) || 0,
-      durationOneToTwoMinPct: Number(row[27]) || 0,
-      durationTwoToFiveMin: Number(row[28]) || 0,
-      durationTwoToFiveMinPct: Number(row[29]) || 0,
-      durationFivePlusMin: Number(row[30]) || 0,
-      durationFivePlusMinPct: Number(row[31]) || 0,
-    };
+  if (failed) {
+    console.error(`  ✗ ${label} JSON not written\n`);
+    return Object.fromEntries(Object.entries(previousManifest.sources).filter(([, entry]) => entry.dataset === dataset));
   }
 
-  // Parse Table 5 for missed call wait times
-  const table5Sheet = workbook.Sheets['Table 5'];
-  const table5Raw = table5Sheet ? XLSX.utils.sheet_to_json(table5Sheet, { header: 1 }) : [];
-  const table5Data = {};
-
-  for (let i = 5; i < table5Raw.length; i++) {
-    const row = table5Raw[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-    const gpName = String(row[2] || '').trim();
-
-    if (!odsCode && !gpName) continue;
-    if (gpName.toLowerCase() === 'unmapped') continue;
-
-    // Missed call wait time columns (columns 15-22 for wait times before giving up)
-    table5Data[odsCode] = {
-      lessThan1Min: Number(row[15]) || 0,
-      lessThan1MinPct: Number(row[16]) || 0,
-      oneToTwoMin: Number(row[17]) || 0,
-      oneToTwoMinPct: Number(row[18]) || 0,
-      twoToThreeMin: Number(row[19]) || 0,
-      twoToThreeMinPct: Number(row[20]) || 0,
-      threeToFourMin: Number(row[21]) || 0,
-      threeToFourMinPct: Number(row[22]) || 0,
-    };
-  }
-
-  // Merge wait time data - use waitTimeData and missedWaitData to match component expectations
-  const enrichedPractices = practices.map(p => ({
-    ...p,
-    waitTimeData: table4Data[p.odsCode] || null,
-    missedWaitData: table5Data[p.odsCode] || null,
-  }));
+  // Two sources for the same month (e.g. a re-published _v2): the later file name wins
+  const byOutput = new Map(results.map(result => [result.entry.output, result]));
+  results.filter(result => byOutput.get(result.entry.output) !== result)
+    .forEach(result => console.warn(`  ⚠ ${result.source} superseded by ${byOutput.get(result.entry.output).source}`));
 
-  return { dataMonth, practices: enrichedPractices, national: nationalData };
-}
-
-// ============================================
-// ONLINE CONSULTATIONS DATA
-// ============================================
-
-function parseOCFile(filePath) {
-  const buffer = readFileSync(filePath);
-  const workbook = XLSX.read(buffer, { type: 'buffer' });
-
-  const table2Sheet = workbook.Sheets['Table 2'];
-  const table2Raw = XLSX.utils.sheet_to_json(table2Sheet, { header: 1 });
-
-  let dataMonth = 'Unknown';
-  const titleRow = table2Raw[9];
-  if (titleRow && titleRow[0]) {
-    const monthMatch = String(titleRow[0]).match(/(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{4})/);
-    if (monthMatch) dataMonth = `${monthMatch[1]} ${monthMatch[2]}`;
-  }
-
-  const headerRow = table2Raw[11] || [];
-  const hasParticipationColumn = headerRow.length > 18 && String(headerRow[18] || '').toLowerCase().includes('participation');
-
-  const DATA_CORRECTIONS = {
-    'C82040': { icbCode: 'QT1', icbName: 'NHS NOTTINGHAM AND NOTTINGHAMSHIRE INTEGRATED CARE BOARD' }
-  };
-
-  const practices = [];
-  let nationalTotals = { totalSubmissions: 0, clinicalSubmissions: 0, adminSubmissions: 0, otherSubmissions: 0, totalPatients: 0, participatingPractices: 0 };
-
-  for (let i = 12; i < table2Raw.length; i++) {
-    const row = table2Raw[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-    const gpName = String(row[2] || '').trim();
-
-    if (!odsCode || !gpName || gpName.toLowerCase() === 'unmapped') continue;
-
-    const submissions = Number(row[12]) || 0;
-    const clinicalSubmissions = Number(row[13]) || 0;
-    const adminSubmissions = Number(row[14]) || 0;
-    const otherSubmissions = Number(row[15]) || 0;
-    const listSize = Number(row[16]) || 0;
-    const ratePer1000 = Number(row[17]) || 0;
-    const rawParticipation = row[18];
-    const participation = hasParticipationColumn
-      ? (String(rawParticipation).trim() === '*' ? 1 : (Number(rawParticipation) || 0))
-      : (submissions > 0 ? 1 : 0);
-
-    const practiceData = {
-      odsCode,
-      gpName,
-      pcnCode: String(row[3] || '').trim(),
-      pcnName: String(row[4] || '').trim(),
-      subICBCode: String(row[5] || '').trim(),
-      subICBName: String(row[6] || '').trim(),
-      icbCode: String(row[7] || '').trim(),
-      icbName: String(row[8] || '').trim(),
-      regionCode: String(row[9] || '').trim(),
-      regionName: String(row[10] || '').trim(),
-      suppliers: String(row[11] || '').split(',').map(s => s.trim()).filter(s => s),
-      submissions,
-      clinicalSubmissions,
-      adminSubmissions,
-      otherSubmissions,
-      listSize,
-      ratePer1000,
-      participation,
-      clinicalPct: submissions > 0 ? clinicalSubmissions / submissions : 0,
-      adminPct: submissions > 0 ? adminSubmissions / submissions : 0,
-      otherPct: submissions > 0 ? otherSubmissions / submissions : 0,
-      // Per 1000 rates for each type
-      clinicalPer1000: listSize > 0 ? (clinicalSubmissions / listSize) * 1000 : 0,
-      adminPer1000: listSize > 0 ? (adminSubmissions / listSize) * 1000 : 0,
-      otherPer1000: listSize > 0 ? (otherSubmissions / listSize) * 1000 : 0,
-    };
-
-    if (DATA_CORRECTIONS[odsCode]) Object.assign(practiceData, DATA_CORRECTIONS[odsCode]);
-
-    practices.push(practiceData);
-
-    if (participation === 1) {
-      nationalTotals.totalSubmissions += submissions;
-      nationalTotals.clinicalSubmissions += clinicalSubmissions;
-      nationalTotals.adminSubmissions += adminSubmissions;
-      nationalTotals.otherSubmissions += otherSubmissions;
-      nationalTotals.totalPatients += listSize;
-      nationalTotals.participatingPractices++;
+  const entries = {};
+  for (const result of byOutput.values()) {
+    if (result.json !== undefined) {
+      mkdirSync(dirname(join(OUTPUT_DIR, result.entry.output)), { recursive: true });
+      writeFileSync(join(OUTPUT_DIR, result.entry.output), result.json, 'utf-8');
     }
+    entries[result.source] = result.entry;
   }
-
-  const national = {
-    ...nationalTotals,
-    avgSubmissionsPerPractice: nationalTotals.participatingPractices > 0 ? nationalTotals.totalSubmissions / nationalTotals.participatingPractices : 0,
-    avgRatePer1000: nationalTotals.totalPatients > 0 ? (nationalTotals.totalSubmissions / nationalTotals.totalPatients) * 1000 : 0,
-    clinicalPct: nationalTotals.totalSubmissions > 0 ? nationalTotals.clinicalSubmissions / nationalTotals.totalSubmissions : 0,
-    adminPct: nationalTotals.totalSubmissions > 0 ? nationalTotals.adminSubmissions / nationalTotals.totalSubmissions : 0,
-    otherPct: nationalTotals.totalSubmissions > 0 ? nationalTotals.otherSubmissions / nationalTotals.totalSubmissions : 0,
-  };
-
-  return { dataMonth, practices, national };
+  const written = [...byOutput.values()].filter(result => result.json !== undefined).length;
+  console.log(`  Saved ${label} (${byOutput.size} outputs, ${written} updated)\n`);
+  return entries;
 }
 
 // ============================================
 // MAIN PROCESSING
 // ============================================
 
-// Process Appointments
-console.log('Processing Appointments data...');
-const apptDir = join(ASSETS_DIR, 'appt');
-const apptFiles = readdirSync(apptDir).filter(f => f.endsWith('.xlsx'));
-const apptOutputDir = join(OUTPUT_DIR, 'appointments');
-if (!existsSync(apptOutputDir)) {
-  mkdirSync(apptOutputDir, { recursive: true });
-}
-const appointmentsIndex = {
-  months: [],
-  files: {},
-  metadata: {
-    generatedAt: new Date().toISOString(),
+const NATIONAL_DATASETS = [
+  {
+    dataset: 'appointments',
+    label: 'Appointments',
+    dir: join(ASSETS_DIR, 'appt'),
+    filter: f => f.endsWith('.xlsx'),
+    parserFiles: ['src/utils/parseNationalAppointments.js'],
+    outputDir: 'appointments',
+    parse: parseNationalAppointmentsData,
   },
-};
-
-const monthToFilename = (month) => {
-  const safe = String(month || 'Unknown')
-    .trim()
-    .replace(/\s+/g, '_')
-    .replace(/[^A-Za-z0-9_-]/g, '');
-  return safe.length > 0 ? safe : 'Unknown';
-};
-
-for (const file of apptFiles) {
-  try {
-    const filePath = join(apptDir, file);
-    const data = parseAppointmentsFile(filePath);
-    const fileKey = monthToFilename(data.dataMonth);
-    const outputPath = join(apptOutputDir, `${fileKey}.json`);
-    writeFileSync(outputPath, JSON.stringify(data), 'utf-8');
-    appointmentsIndex.months.push(data.dataMonth);
-    appointmentsIndex.files[data.dataMonth] = `appointments/${fileKey}.json`;
-    console.log(`  - ${data.dataMonth} - ${data.practices.length} practices`);
-  } catch (err) {
-    console.error(`  - Error parsing ${file}:`, err.message);
-  }
-}
-
-writeFileSync(
-  join(OUTPUT_DIR, 'appointments-index.json'),
-  JSON.stringify(appointmentsIndex),
-  'utf-8'
-);
-console.log(`  Saved appointments index (${appointmentsIndex.months.length} months)\n`);
-
-// Process Telephony
-console.log('Processing Telephony data...');
-const telephonyFiles = readdirSync(ASSETS_DIR).filter(f => f.includes('Telephony') && f.endsWith('.xlsx'));
-const telephonyData = {};
-
-for (const file of telephonyFiles) {
-  try {
-    const filePath = join(ASSETS_DIR, file);
-    const data = parseTelephonyFile(filePath);
-    telephonyData[data.dataMonth] = data;
-    console.log(`  ✓ ${data.dataMonth} - ${data.practices.length} practices`);
-  } catch (err) {
-    console.error(`  ✗ Error parsing ${file}:`, err.message);
-  }
-}
-
-writeFileSync(
-  join(OUTPUT_DIR, 'telephony.json'),
-  JSON.stringify(telephonyData),
-  'utf-8'
-);
-console.log(`  Saved telephony.json (${Object.keys(telephonyData).length} months)\n`);
+  {
+    dataset: 'telephony',
+    label: 'Telephony',
+    dir: ASSETS_DIR,
+    filter: f => f.includes('Telephony') && f.endsWith('.xlsx'),
+    parserFiles: ['src/utils/parseNationalTelephony.js'],
+    outputDir: 'telephony',
+    parse: parseNationalTelephonyData,
+  },
+  {
+    dataset: 'onlineConsultations',
+    label: 'Online Consultations',
+    dir: ASSETS_DIR,
+    filter: f => (f.includes('Online Consultation') || f.includes('OC Systems')) && f.endsWith('.xlsx'),
+    parserFiles: ['src/utils/parseOnlineConsultations.js'],
+    outputDir: 'online-consultations',
+    parse: parseOnlineConsultationsData,
+  },
+];
 
-// Process Online Consultations
-console.log('Processing Online Consultations data...');
-const ocFiles = readdirSync(ASSETS_DIR).filter(f => (f.includes('Online Consultation') || f.includes('OC Systems')) && f.endsWith('.xlsx'));
-const ocData = {};
+const sources = {};
 
-for (const file of ocFiles) {
-  try {
-    const filePath = join(ASSETS_DIR, file);
-    const data = parseOCFile(filePath);
-    ocData[data.dataMonth] = data;
-    console.log(`  ✓ ${data.dataMonth} - ${data.practices.length} practices`);
-  } catch (err) {
-    console.error(`  ✗ Error parsing ${file}:`, err.message);
-  }
+for (const { filter, parse, ...config } of NATIONAL_DATASETS) {
+  Object.assign(sources, processDataset({
+    ...config,
+    files: listFiles(config.dir, filter),
+    parse: (content) => {
+      const data = parseNationalFile(content, parse);
+      return { month: data.dataMonth, data };
+    },
+  }));
 }
 
-writeFileSync(
-  join(OUTPUT_DIR, 'online-consultations.json'),
-  JSON.stringify(ocData),
-  'utf-8'
-);
-console.log(`  Saved online-consultations.json (${Object.keys(ocData).length} months)\n`);
-
 // ============================================
 // WORKFORCE DATA
 // ============================================
 
-function parseWorkforceDefinitionsFile(filePath) {
-  const buffer = readFileSync(filePath);
-  const workbook = XLSX.read(buffer, { type: 'buffer' });
+function parseWorkforceDefinitionsFile(content) {
+  const workbook = XLSX.read(content, { type: 'buffer' });
   const sheetName = workbook.SheetNames[0];
   const sheet = workbook.Sheets[sheetName];
   const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
   return parseWorkforceDefinitionsRows(rows);
 }
 
-console.log('Processing Workforce data...');
 const workforceDir = join(ASSETS_DIR, 'workforce');
-const workforceFiles = existsSync(workforceDir)
-  ? readdirSync(workforceDir).filter(f => f.toLowerCase().endsWith('.csv'))
-  : [];
-const workforceDefinitionFile = existsSync(workforceDir)
-  ? readdirSync(workforceDir).find(f => f.toLowerCase().endsWith('.xlsx'))
-  : null;
-
-if (workforceDefinitionFile) {
-  try {
-    const definitionsPath = join(workforceDir, workforceDefinitionFile);
-    const definitions = parseWorkforceDefinitionsFile(definitionsPath);
-    const definitionsOutput = {
-      generatedAt: new Date().toISOString(),
-      sourceFile: workforceDefinitionFile,
+const workforceParserFiles = ['src/utils/workforceParser.js'];
+const workforceDefinitionFile = listFiles(workforceDir, f => f.toLowerCase().endsWith('.xlsx'))[0] || null;
+
+Object.assign(sources, processDataset({
+  dataset: 'workforceDefinitions',
+  label: 'Workforce definitions',
+  dir: workforceDir,
+  files: workforceDefinitionFile ? [workforceDefinitionFile] : [],
+  parserFiles: workforceParserFiles,
+  parse: (content, file) => ({
+    month: null,
+    output: 'workforce-definitions.json',
+    data: {
+      generatedAt,
+      sourceFile: file,
       mapping: summarizeRoleMapping(),
-      ...definitions,
-    };
-    writeFileSync(
-      join(OUTPUT_DIR, 'workforce-definitions.json'),
-      JSON.stringify(definitionsOutput),
-      'utf-8'
-    );
-    console.log('  ✓ workforce-definitions.json');
-  } catch (err) {
-    console.error(`  ✗ Error parsing workforce definitions:`, err.message);
-  }
-} else {
-  console.warn('  ⚠ No workforce definitions XLSX found.');
-}
+      ...parseWorkforceDefinitionsFile(content),
+    },
+  }),
+}));
 
-const workforceOutputDir = join(OUTPUT_DIR, 'workforce');
-if (!existsSync(workforceOutputDir)) {
-  mkdirSync(workforceOutputDir, { recursive: true });
+if (!workforceDefinitionFile) {
+  console.warn('  ⚠ No workforce definitions XLSX found.\n');
 }
 
-const workforceIndex = {
-  months: [],
-  files: {},
-  metadata: {
-    generatedAt: new Date().toISOString(),
+Object.assign(sources, processDataset({
+  dataset: 'workforce',
+  label: 'Workforce',
+  dir: workforceDir,
+  files: listFiles(workforceDir, f => f.toLowerCase().endsWith('.csv')),
+  parserFiles: workforceParserFiles,
+  outputDir: 'workforce',
+  parse: (content, file) => {
+    const parsed = Papa.parse(content.toString('utf-8'), { header: true, skipEmptyLines: true });
+    const month = inferMonthFromFilename(file) || 'Unknown';
+    return { month, data: buildWorkforceDataset(parsed.data, month) };
   },
-};
+}));
 
-for (const file of workforceFiles) {
-  try {
-    const filePath = join(workforceDir, file);
-    const csvText = readFileSync(filePath, 'utf-8');
-    const parsed = Papa.parse(csvText, { header: true, skipEmptyLines: true });
-    const month = inferMonthFromFilename(file) || 'Unknown';
-    const data = buildWorkforceDataset(parsed.data, month);
-    const fileKey = monthToFilename(month);
-    const outputPath = join(workforceOutputDir, `${fileKey}.json`);
-    writeFileSync(outputPath, JSON.stringify(data), 'utf-8');
-    workforceIndex.months.push(month);
-    workforceIndex.files[month] = `workforce/${fileKey}.json`;
-    console.log(`  ✓ ${month} - ${data.practices.length} practices`);
-  } catch (err) {
-    console.error(`  ✗ Error parsing workforce CSV ${file}:`, err.message);
+// ============================================
+// STALE OUTPUTS AND MANIFEST
+// ============================================
+
+const currentOutputs = new Set(Object.values(sources).map(entry => entry.output));
+const staleOutputs = [
+  ...Object.values(previousManifest.sources).map(entry => entry.output),
+  ...LEGACY_OUTPUTS,
+].filter(output => !currentOutputs.has(output) && existsSync(join(OUTPUT_DIR, output)));
+
+for (const output of new Set(staleOutputs)) {
+  rmSync(join(OUTPUT_DIR, output));
+  console.log(`  Removed stale ${output}`);
+}
+
+// Months per dataset in calendar order, for the client to discover what is available
+const datasets = {};
+for (const entry of Object.values(sources)) {
+  if (!entry.month) continue;
+  datasets[entry.dataset] ??= { parserVersion: entry.parserVersion, months: [] };
+  if (!datasets[entry.dataset].months.some(m => m.file === entry.output)) {
+    datasets[entry.dataset].months.push({ month: entry.month, file: entry.output, hash: entry.outputHash });
   }
 }
+Object.values(datasets).forEach(({ months }) => months.sort((a, b) => monthSortKey(a.month) - monthSortKey(b.month)));
 
-if (workforceIndex.months.length > 0) {
-  writeFileSync(
-    join(OUTPUT_DIR, 'workforce-index.json'),
-    JSON.stringify(workforceIndex),
-    'utf-8'
-  );
-  console.log(`  Saved workforce-index.json (${workforceIndex.months.length} months)\n`);
+// ============================================
+// PRACTICE SHARDS AND NATIONAL SUMMARY
+// ============================================
+
+console.log('Processing practice shards...');
+const shardVersion = parserVersion(['src/utils/nationalShards.js']);
+const shardInputsHash = sha256(JSON.stringify({
+  shardVersion,
+  months: SHARD_DATASETS.map(dataset => (datasets[dataset]?.months || []).map(({ month, hash }) => [month, hash])),
+})).slice(0, 16);
+const previousShards = previousManifest.shards;
+
+let shards;
+if (!args.force && previousShards?.inputsHash === shardInputsHash && existsSync(join(OUTPUT_DIR, PRACTICES_DIR))
+  && outputIsCurrent(previousShards.index) && outputIsCurrent(previousShards.summary)) {
+  console.log(`  = ${previousShards.practiceCount} practices (unchanged)\n`);
+  shards = previousShards;
 } else {
-  console.warn('  ⚠ No workforce CSV files found.');
+  const monthsByDataset = Object.fromEntries(SHARD_DATASETS.map(dataset => [
+    dataset,
+    (datasets[dataset]?.months || []).map(({ month, file }) => [month, JSON.parse(readFileSync(join(OUTPUT_DIR, file), 'utf-8'))]),
+  ]));
+  const { practices, index } = buildPracticeShards(monthsByDataset);
+
+  // Practices that have gone from every dataset lose their file, so rewrite the directory
+  rmSync(join(OUTPUT_DIR, PRACTICES_DIR), { recursive: true, force: true });
+  mkdirSync(join(OUTPUT_DIR, PRACTICES_DIR), { recursive: true });
+  Object.values(practices).forEach(practice => {
+    writeFileSync(join(OUTPUT_DIR, practiceFilename(practice.odsCode)), JSON.stringify(practice), 'utf-8');
+  });
+
+  const writeDerived = (output, data) => {
+    const json = JSON.stringify(data);
+    writeFileSync(join(OUTPUT_DIR, output), json, 'utf-8');
+    return { output, outputHash: sha256(json) };
+  };
+  shards = {
+    inputsHash: shardInputsHash,
+    practiceCount: index.practices.length,
+    dir: PRACTICES_DIR,
+    index: writeDerived(PRACTICE_INDEX_FILE, index),
+    summary: writeDerived(NATIONAL_SUMMARY_FILE, buildNationalSummary(monthsByDataset)),
+  };
+  console.log(`  Saved ${index.practices.length} practice files, ${PRACTICE_INDEX_FILE} and ${NATIONAL_SUMMARY_FILE}\n`);
 }
 
+const manifest = {
+  version: MANIFEST_VERSION,
+  generatedAt,
+  datasets,
+  shards,
+  sources: Object.fromEntries(Object.entries(sources).sort(([a], [b]) => (a < b ? -1 : 1))),
+};
+writeFileSync(join(OUTPUT_DIR, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`, 'utf-8');
+
 // Summary
+const monthCount = (dataset) => datasets[dataset]?.months.length || 0;
 console.log('='.repeat(50));
 console.log('Preprocessing complete!');
-console.log(`  Appointments: ${appointmentsIndex.months.length} months`);
-console.log(`  Telephony: ${Object.keys(telephonyData).length} months`);
-console.log(`  Online Consultations: ${Object.keys(ocData).length} months`);
-console.log(`  Workforce: ${workforceIndex.months.length} months`);
+console.log(`  Appointments: ${monthCount('appointments')} months`);
+console.log(`  Telephony: ${monthCount('telephony')} months`);
+console.log(`  Online Consultations: ${monthCount('onlineConsultations')} months`);
+console.log(`  Workforce: ${monthCount('workforce')} months`);
 console.log('='.repeat(50));
+
+// Fail the build rather than ship JSON from a workbook whose layout has changed
+if (failedDatasets.length > 0) {
+  console.error('\nNational workbooks failed schema validation:');
+  failedDatasets.forEach(name => console.error(`  - ${name}`));
+  process.exit(1);
+}
@@ -1,11 +1,19 @@
 import { spawnSync } from 'node:child_process';
+import process from 'node:process';
 
 if (process.env.SKIP_PREPROCESS === '1') {
   console.log('SKIP_PREPROCESS=1 set, skipping preprocessing.');
   process.exit(0);
 }
 
-const result = spawnSync('node', ['scripts/preprocess-data.js'], {
+// preprocess-data.js only reparses sources that changed since public/data/manifest.json;
+// PREPROCESS_FORCE=1 rebuilds everything
+const args = ['scripts/preprocess-data.js'];
+if (process.env.PREPROCESS_FORCE === '1') {
+  args.push('--force');
+}
+
+const result = spawnSync('node', args, {
   stdio: 'inherit',
 });
 
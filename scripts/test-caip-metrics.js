@@ -22,14 +22,12 @@ const apptDataPath = path.join(__dirname, '../public/data/appointments/December_
 const apptData = JSON.parse(fs.readFileSync(apptDataPath, 'utf-8'));
 
 // Load telephony data
-const telDataPath = path.join(__dirname, '../public/data/telephony.json');
-const telData = JSON.parse(fs.readFileSync(telDataPath, 'utf-8'));
-const telMonth = telData[MONTH];
+const telDataPath = path.join(__dirname, '../public/data/telephony/December_2025.json');
+const telMonth = JSON.parse(fs.readFileSync(telDataPath, 'utf-8'));
 
 // Load OC data
-const ocDataPath = path.join(__dirname, '../public/data/online-consultations.json');
-const ocData = JSON.parse(fs.readFileSync(ocDataPath, 'utf-8'));
-const ocMonth = ocData[MONTH];
+const ocDataPath = path.join(__dirname, '../public/data/online-consultations/December_2025.json');
+const ocMonth = JSON.parse(fs.readFileSync(ocDataPath, 'utf-8'));
 
 // Load workforce data
 const workforceDataPath = path.join(__dirname, '../public/data/workforce/December_2025.json');
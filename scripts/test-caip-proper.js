@@ -25,19 +25,19 @@ const apptData = JSON.parse(fs.readFileSync(
 ));
 
 const telData = JSON.parse(fs.readFileSync(
-  path.join(__dirname, '../public/data/telephony.json'),
+  path.join(__dirname, '../public/data/telephony/December_2025.json'),
   'utf-8'
 ));
 
 const ocData = JSON.parse(fs.readFileSync(
-  path.join(__dirname, '../public/data/online-consultations.json'),
+  path.join(__dirname, '../public/data/online-consultations/December_2025.json'),
   'utf-8'
 ));
 
 // Find practice data
 const practice = apptData.practices.find(p => p.odsCode === PRACTICE_ODS);
-const telPractice = telData[MONTH]?.practices?.find(p => p.odsCode === PRACTICE_ODS);
-const ocPractice = ocData[MONTH]?.practices?.find(p => p.odsCode === PRACTICE_ODS);
+const telPractice = telData.practices?.find(p => p.odsCode === PRACTICE_ODS);
+const ocPractice = ocData.practices?.find(p => p.odsCode === PRACTICE_ODS);
 
 if (!practice) {
   console.error('Practice not found!');
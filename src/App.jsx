@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
 import LZString from 'lz-string';
@@ -19,7 +19,7 @@ import {
 import {
   Upload, FileText, Activity, Users, Clock, Phone, Calendar,
   BarChart3, PieChart, ArrowRight, CheckCircle, AlertCircle,
-  Menu, X, ChevronDown, HelpCircle, Info, Sparkles, XCircle,
+  Menu, X, ChevronDown, HelpCircle, Info, Sparkles, XCircle, UserCog,
   Download, Loader2, PlayCircle, AlertTriangle, Trash2, Plus, Monitor, User, Search,
   ArrowUpDown, ArrowUp, ArrowDown, ChevronUp, Copy, Minimize2, Maximize2, Share2, MessageSquare
 } from 'lucide-react';
@@ -50,9 +50,11 @@ import SectionHeader from './components/ui/SectionHeader';
 import Accordion from './components/ui/Accordion';
 import SortableTable from './components/ui/SortableTable';
 import FileInput from './components/ui/FileInput';
+import ClosureDaysInput from './components/ui/ClosureDaysInput';
 import DisclaimerNotice from './components/ui/DisclaimerNotice';
 import Noticeboard from './components/ui/Noticeboard';
 import SimpleMarkdown from './components/markdown/SimpleMarkdown';
+import AnalysisFindings from './components/ui/AnalysisFindings';
 import DataProcessingModal from './components/modals/DataProcessingModal';
 import ResetConfirmationModal from './components/modals/ResetConfirmationModal';
 import AIConsentModal from './components/modals/AIConsentModal';
@@ -61,19 +63,27 @@ import ShareOptionsModal from './components/modals/ShareOptionsModal';
 import FeedbackModal from './components/modals/FeedbackModal';
 import AboutModal from './components/modals/AboutModal';
 import AdminPanel from './components/modals/AdminPanel';
+import StaffRosterModal from './components/modals/StaffRosterModal';
 import Toast from './components/ui/Toast';
+import DataStatusBadge from './components/ui/DataStatusBadge';
 import ImportButton from './components/ui/ImportButton';
 import PracticeLookup from './components/ui/PracticeLookup';
 import HomeSubscribeSection from './components/ui/HomeSubscribeSection';
 import NationalDemandCapacity from './components/NationalDemandCapacity';
 import TriageSlotAnalysis from './components/TriageSlotAnalysis';
 import FollowUpAnalysis from './components/FollowUpAnalysis';
+import PcnWorkspace from './components/PcnWorkspace';
 import { PracticeComparison, ComparisonBuilder } from './components/comparison';
 
 // Utility imports
-import { calculateLinearForecast, getNextMonthNames, isGP } from './utils/calculations';
+import { processLocalDemand, getWasteAttribution, getMonthRows, collectStaffNames, toMonthKey } from './utils/localDemandEngine';
+import { parseTelephonyReport } from './utils/telephonyAdapters';
+import { buildStaffRoster, getStaffRosterKey, loadStaffRoster, saveStaffRoster } from './utils/staffRoster';
+import { createPcnPractice, processPcnWorkspace, toComparisonPractices } from './utils/pcnWorkspace';
+import { buildLocalAnalysisPayload, LOCAL_METRIC_DEFINITIONS } from './utils/localAnalysisPrompt';
+import { sortFindings, formatFindingEvidence } from './utils/analysisFindings';
+import { requestAIAnalysis } from './utils/aiAnalysisClient';
 import { parseCSV, extractTextFromPDF } from './utils/parsers';
-import { validateHeaders } from './utils/validators';
 import { exportDemandCapacityToExcel, restoreDemandCapacityFromExcel, validateExcelFile, generateExcelFilename } from './utils/excelUtils';
 import { createFirebaseShare, loadFirebaseShare, maybeCleanupExpiredShares } from './utils/shareUtils';
 import * as XLSX from 'xlsx';
@@ -129,6 +139,17 @@ GlobalWorkerOptions.workerSrc = pdfWorker;
 const APP_VERSION = __APP_VERSION__;
 const LATEST_NATIONAL_EXTRACT = MONTHS_NEWEST_FIRST[0] || 'Unknown';
 
+// AI finding cards: metric display names, and the dashboard tab/section charting each metric
+const LOCAL_METRIC_LABELS = Object.fromEntries(LOCAL_METRIC_DEFINITIONS.map(m => [m.key, m.title]));
+const LOCAL_METRIC_TABS = Object.fromEntries(LOCAL_METRIC_DEFINITIONS.map(m => [m.key, m.tab]));
+const DASHBOARD_TAB_SECTIONS = {
+  dashboard: { label: 'Overview', sectionId: 'overview-section' },
+  gp: { label: 'GP Metrics', sectionId: 'gp-metrics-section' },
+  online: { label: 'Online', sectionId: 'online-section' },
+  telephony: { label: 'Telephony', sectionId: 'telephony-section' },
+  forecast: { label: 'Forecast', sectionId: 'forecast-section' },
+};
+
 // Register ChartJS components and custom backgroundBands plugin
 // backgroundBands plugin draws colored performance zones behind GP metrics charts
 ChartJS.register(
@@ -186,6 +207,18 @@ export default function App() {
   const [rawCombinedData, setRawCombinedData] = useState([]);
   const [rawOnlineData, setRawOnlineData] = useState([]);
   const [forecastData, setForecastData] = useState(null);
+  // Dated DNA/Unused report rows the last upload couldn't place (see processLocalDemand)
+  const [wasteOutsideRange, setWasteOutsideRange] = useState(null);
+  const [staffRoster, setStaffRoster] = useState([]);
+  const [showStaffRoster, setShowStaffRoster] = useState(false);
+  // Parsed inputs from the last upload, kept so roster edits can be re-applied without re-uploading
+  const [lastLocalInputs, setLastLocalInputs] = useState(null);
+  // PCN mode: several practices uploaded together (see utils/pcnWorkspace.js)
+  const [localMode, setLocalMode] = useState('practice'); // 'practice' or 'pcn'
+  const [pcnWorkspace, setPcnWorkspace] = useState(() => ({ name: '', practices: [createPcnPractice(1), createPcnPractice(2)] }));
+  const [pcnInputs, setPcnInputs] = useState(null);
+  const [pcnResult, setPcnResult] = useState(null);
+  const [pcnView, setPcnView] = useState('pcn'); // 'pcn' for the PCN total, or a practice ODS code
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
   // Navigation state - two levels: dataSource (local/national) then subTab
@@ -219,6 +252,8 @@ export default function App() {
   const [showComparison, setShowComparison] = useState(false);
   const [comparisonId, setComparisonId] = useState(null);
   const [showComparisonBuilder, setShowComparisonBuilder] = useState(false);
+  // Comparison opened from this device ({ name, practices }): a PCN upload or a saved set
+  const [localComparison, setLocalComparison] = useState(null);
   const usageDocRef = useMemo(() => doc(db, 'usageStatsV3', 'global'), []);
   const usagePermissionWarnedRef = useRef(false);
 
@@ -384,7 +419,9 @@ export default function App() {
   };
 
   const [selectedMonth, setSelectedMonth] = useState('All');
+  const [granularity, setGranularity] = useState('month'); // 'day' | 'week' | 'month' for dashboard, GP and online charts
   const [aiReport, setAiReport] = useState(null);
+  const [aiFindings, setAiFindings] = useState([]);
   const [isAiLoading, setIsAiLoading] = useState(false);
   const [aiError, setAiError] = useState(null);
   const [isAiMinimized, setIsAiMinimized] = useState(false);
@@ -559,10 +596,12 @@ export default function App() {
           setConfig(shareData.config);
           setForecastData(shareData.forecastData);
           setAiReport(shareData.aiReport);
+          setAiFindings(shareData.aiFindings || []);
           setRawOnlineData(shareData.rawOnlineData || []);
           setRawStaffData(shareData.rawStaffData || []);
           setRawSlotData(shareData.rawSlotData || []);
           setRawCombinedData(shareData.rawCombinedData || []);
+          setStaffRoster(shareData.staffRoster || []);
 
           setDataSource('local');
           setMainTab('demand');
@@ -619,6 +658,7 @@ export default function App() {
         if (shareData.config) setConfig(shareData.config);
         if (shareData.forecastData) setForecastData(shareData.forecastData);
         if (shareData.aiReport) setAiReport(shareData.aiReport);
+        if (shareData.aiFindings) setAiFindings(shareData.aiFindings);
         if (shareData.rawOnlineData) setRawOnlineData(shareData.rawOnlineData);
         if (shareData.rawStaffData) setRawStaffData(shareData.rawStaffData);
         if (shareData.rawSlotData) setRawSlotData(shareData.rawSlotData);
@@ -648,6 +688,7 @@ export default function App() {
     setRawCombinedData([]);
     setRawOnlineData([]);
     setForecastData(null);
+    setWasteOutsideRange(null);
 
     try {
       const fetchFile = async (path, name, type) => {
@@ -716,17 +757,81 @@ export default function App() {
     return allRows;
   };
 
-  // Main data processing function
-  // Processes uploaded CSV and PDF files to generate dashboard metrics
-  const processFiles = async (customFiles = null, customConfig = null) => {
-    setIsProcessing(true);
-    setError(null);
+  // Store engine output in dashboard state
+  const applyLocalDemandResult = (result, configToUse) => {
+    if (import.meta.env.DEV) {
+      console.log(`=== LOCAL DATA PROCESSED === ${result.enrichedMonths.length} months, ${result.staffData.length} staff rows`);
+    }
+
+    // Store raw data for tables
+    setRawStaffData(result.staffData);
+    setRawSlotData(result.slotData);
+    setRawCombinedData(result.combinedData);
+    if (configToUse.useOnline) setRawOnlineData(result.onlineRows);
+
+    setProcessedData(result.enrichedMonths);
+    setForecastData(result.forecastData);
+    setWasteOutsideRange(result.wasteOutsideRange || null);
+  };
+
+  // Save staff roster edits and re-run the engine on the last uploaded files
+  const handleSaveStaffRoster = (roster) => {
+    saveStaffRoster(getStaffRosterKey(config.odsCode, config.surgeryName), roster);
+    setStaffRoster(roster);
+    setShowStaffRoster(false);
+
+    if (lastLocalInputs) {
+      try {
+        if (pcnResult) {
+          const inputs = pcnInputs.map(practice => (practice.odsCode === pcnView ? { ...practice, staffRoster: roster } : practice));
+          const result = processPcnWorkspace(inputs, config);
+          setPcnInputs(inputs);
+          setPcnResult(result);
+          applyLocalDemandResult(result.practices.find(practice => practice.odsCode === pcnView).result, config);
+        } else {
+          applyLocalDemandResult(processLocalDemand(lastLocalInputs, config, { staffRoster: roster }), config);
+        }
+        setToast({ type: 'success', message: 'Staff roles saved and dashboard updated.' });
+      } catch (err) {
+        console.error("Processing Error", err);
+        setToast({ type: 'error', message: err.message });
+      }
+    } else {
+      setToast({ type: 'success', message: 'Staff roles saved. Re-upload your files to apply them.' });
+    }
+  };
+
+  // Read telephony reports (PDF text or CSV) and parse them with the matching adapter
+  // Unrecognised reports or missing required metrics stop processing with a clear error
+  const readTelephonyReports = async (telephonyFiles) => {
+    const reports = [];
+    for (const telephonyFile of telephonyFiles || []) {
+      const isPdf = telephonyFile.type === 'application/pdf' || /\.pdf$/i.test(telephonyFile.name);
+      const text = isPdf ? await extractTextFromPDF(telephonyFile) : await telephonyFile.text();
+      reports.push(parseTelephonyReport({ fileName: telephonyFile.name, text }));
+    }
+    return reports;
+  };
+
+  // Clear the dashboard before a new upload is processed
+  const clearLocalResults = () => {
     setProcessedData(null);
     setRawStaffData([]);
     setRawSlotData([]);
     setRawCombinedData([]);
     setForecastData(null);
+    setWasteOutsideRange(null);
     setRawOnlineData([]);
+  };
+
+  // Main data processing function
+  // Processes uploaded CSV and PDF files to generate dashboard metrics
+  const processFiles = async (customFiles = null, customConfig = null) => {
+    setIsProcessing(true);
+    setError(null);
+    clearLocalResults();
+    setPcnResult(null);
+    setPcnInputs(null);
 
     const filesToProcess = customFiles || files;
     const configToUse = customConfig || config;
@@ -743,455 +848,88 @@ export default function App() {
 
       const onlineData = (configToUse.useOnline && filesToProcess.onlineRequests?.length > 0) ? await combineCSVFiles(filesToProcess.onlineRequests) : [];
 
-      // Validate CSV headers and check for privacy violations
-      validateHeaders(apptData, ['Date', 'Day'], 'Appointments CSV');
-      if (dnaData.length > 0) validateHeaders(dnaData, ['Staff', 'Appointment Count'], 'DNA CSV');
-      if (unusedData.length > 0) validateHeaders(unusedData, ['Staff', 'Unused Slots', 'Total Slots'], 'Unused CSV');
-      if (onlineData.length > 0) validateHeaders(onlineData, ['Submission started', 'Type', 'Outcome'], 'Online Requests CSV', ['Patient Name', 'Name', 'Patient', 'NHS Number']);
-
-      const monthlyMap = {};
-      const staffMap = {};
-      const slotMap = {};
-      const combinedMap = {};
-
-      // Parse date from multiple formats: "DD/MM/YYYY HH:MM" or "DD MMM YYYY"
-      const parseDate = (dateStr) => {
-        if (!dateStr) return null;
-
-        // Try format: "01 Aug 2025" or "01 August 2025"
-        const monthNames = {
-          'jan': 0, 'january': 0,
-          'feb': 1, 'february': 1,
-          'mar': 2, 'march': 2,
-          'apr': 3, 'april': 3,
-          'may': 4,
-          'jun': 5, 'june': 5,
-          'jul': 6, 'july': 6,
-          'aug': 7, 'august': 7,
-          'sep': 8, 'september': 8,
-          'oct': 9, 'october': 9,
-          'nov': 10, 'november': 10,
-          'dec': 11, 'december': 11
-        };
-
-        const parts = dateStr.trim().split(' ');
-        if (parts.length === 3) {
-          // Format: "01 Aug 2025"
-          const day = parseInt(parts[0], 10);
-          const monthStr = parts[1].toLowerCase();
-          const year = parseInt(parts[2], 10);
-
-          if (monthNames.hasOwnProperty(monthStr) && !isNaN(day) && !isNaN(year)) {
-            return new Date(year, monthNames[monthStr], day);
-          }
-        }
-
-        // Try format: "01/08/2025 HH:MM"
-        const dateParts = parts[0].split('/');
-        if (dateParts.length === 3) {
-          return new Date(`${dateParts[2]}-${dateParts[1]}-${dateParts[0]}T${parts[1] || '00:00'}`);
-        }
-
-        return null;
-      };
-
-      // Generate standardized month key for data matching
-      // Format: "MMM-YY" (e.g., "Jan-24")
-      const toMonthKey = (date) => {
-        const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-        return `${months[date.getMonth()]}-${String(date.getFullYear()).slice(-2)}`;
-      };
-
-      // Helper function to update staff aggregation by month
-      const updateStaff = (month, name, type, value) => {
-        if (!name) return;
-        const key = `${month}_${name}`;
-        if (!staffMap[key]) {
-          staffMap[key] = { month, staff: name, isGP: isGP(name), totalAppts: 0, dnaCount: 0, unusedSlots: 0 };
-        }
-        if (type === 'appts') staffMap[key].totalAppts += value;
-        else if (type === 'dna') staffMap[key].dnaCount += value;
-        else if (type === 'unused') staffMap[key].unusedSlots += value;
-      };
-
-      // Helper function to update slot type aggregation by month
-      const updateSlot = (month, slotName, type, value, associatedStaffName) => {
-        if (!slotName) return;
-        const key = `${month}_${slotName}`;
-        if (!slotMap[key]) {
-          slotMap[key] = { month, slotType: slotName, hasGPActivity: false, totalAppts: 0, dnaCount: 0, unusedSlots: 0 };
-        }
-        if (type === 'appts') slotMap[key].totalAppts += value;
-        else if (type === 'dna') slotMap[key].dnaCount += value;
-        else if (type === 'unused') slotMap[key].unusedSlots += value;
-        if (associatedStaffName && isGP(associatedStaffName)) {
-          slotMap[key].hasGPActivity = true;
-        }
-      };
-
-      // Helper function to update combined staff + slot aggregation by month
-      const updateCombined = (month, staffName, slotName, type, value) => {
-        if (!staffName || !slotName) return;
-        const key = `${month}_${staffName}_${slotName}`;
-        if (!combinedMap[key]) {
-          combinedMap[key] = {
-            month,
-            staff: staffName,
-            slotType: slotName,
-            isGP: isGP(staffName),
-            totalAppts: 0,
-            dnaCount: 0,
-            unusedSlots: 0
-          };
-        }
-        if (type === 'appts') combinedMap[key].totalAppts += value;
-        else if (type === 'dna') combinedMap[key].dnaCount += value;
-        else if (type === 'unused') combinedMap[key].unusedSlots += value;
-      };
-
-      // Process appointment data: Handle pivot table format where each staff member is a column
-
-      let processedRows = 0;
-      for (const row of apptData) {
-        const dateStr = row['Date'];
-        if (!dateStr) {
-          continue;
-        }
-
-        const dateObj = parseDate(dateStr);
-        if (!dateObj) {
-          continue;
-        }
+      const telephonyReports = configToUse.useTelephony ? await readTelephonyReports(filesToProcess.telephony) : [];
 
-        const monthKey = toMonthKey(dateObj);
-        const dayOfWeek = row['Day'];
-
-        if (!monthlyMap[monthKey]) {
-          monthlyMap[monthKey] = {
-            month: monthKey,
-            dateObj: new Date(dateObj.getFullYear(), dateObj.getMonth(), 1),
-            totalAppts: 0,
-            daysWithAppts: new Set(),
-            onlineTotal: 0,
-            onlineClinicalNoAppt: 0
-          };
-        }
-
-        // Track working days (exclude Sat/Sun)
-        const isWorkingDay = dayOfWeek !== 'Sat' && dayOfWeek !== 'Sun';
-        if (isWorkingDay) {
-          monthlyMap[monthKey].daysWithAppts.add(dateStr);
-        }
-
-        // Iterate through all columns (each column is a staff member)
-        let staffCount = 0;
-        Object.keys(row).forEach(key => {
-          if (key === 'Date' || key === 'Day') return;
+      const inputs = { apptData, dnaData, unusedData, onlineData, telephonyReports };
 
-          let val = row[key];
-          if (typeof val === 'string') val = val.trim();
-          const count = parseInt(val, 10);
-          if (isNaN(count) || count === 0) return;
+      // Seed the staff roster from names in this upload, keeping any saved corrections
+      const roster = buildStaffRoster(
+        collectStaffNames(inputs),
+        loadStaffRoster(getStaffRosterKey(configToUse.odsCode, configToUse.surgeryName))
+      );
+      setLastLocalInputs(inputs);
+      setStaffRoster(roster);
 
-          monthlyMap[monthKey].totalAppts += count;
-          updateStaff(monthKey, key, 'appts', count);
-          staffCount++;
-        });
+      applyLocalDemandResult(processLocalDemand(inputs, configToUse, { staffRoster: roster }), configToUse);
 
-        processedRows++;
-      }
-      if (import.meta.env.DEV) {
-        console.log(`=== LOCAL DATA PROCESSED === ${processedRows} rows, ${Object.keys(monthlyMap).length} months, ${Object.keys(staffMap).length} staff`);
-      }
-
-      // Calculate working days per month
-      Object.values(monthlyMap).forEach(m => {
-        m.workingDays = m.daysWithAppts.size;
-        delete m.daysWithAppts;
-      });
+      setIsProcessing(false);
+    } catch (err) {
+      console.error("Processing Error", err);
+      setError(err.message || 'An error occurred while processing the files.');
+      setIsProcessing(false);
+    }
+  };
 
-      // Helper to get all months a staff member worked
-      const getMonthsForStaff = (name) => {
-        return Object.values(staffMap)
-          .filter(r => r.staff === name)
-          .map(r => r.month);
+  // Show the PCN total or one practice from the last PCN upload
+  // The PCN total has no single roster or upload, so staff roles are edited per practice
+  const showPcnView = (view, result = pcnResult, inputs = pcnInputs) => {
+    if (view === 'pcn') {
+      const pcnConfig = {
+        ...config,
+        surgeryName: pcnWorkspace.name || 'PCN',
+        odsCode: '',
+        population: result.practices.reduce((sum, practice) => sum + practice.population, 0),
       };
+      setConfig(pcnConfig);
+      setLastLocalInputs(null);
+      setStaffRoster([]);
+      applyLocalDemandResult(result.aggregate, pcnConfig);
+    } else {
+      const practice = result.practices.find(p => p.odsCode === view);
+      const practiceInputs = inputs.find(p => p.odsCode === view);
+      setConfig(practice.config);
+      setLastLocalInputs(practiceInputs.inputs);
+      setStaffRoster(practiceInputs.staffRoster);
+      applyLocalDemandResult(practice.result, practice.config);
+    }
+    setPcnView(view);
+    setSelectedMonth('All');
+    setGranularity('month');
+  };
 
-      // Process DNA data: Distribute missed appointments proportionally across months staff worked
-      let totalDNA = 0;
-      for (const row of dnaData) {
-        const count = parseInt(row['Appointment Count'], 10) || 0;
-        const staffName = row['Staff'];
-        const slotName = row['Slot Type'];
-
-        totalDNA += count;
-
-        const workedMonths = getMonthsForStaff(staffName);
-        if (workedMonths.length > 0) {
-          const splitCount = count / workedMonths.length;
-          workedMonths.forEach(m => {
-            updateStaff(m, staffName, 'dna', splitCount);
-            if (slotName) {
-              updateSlot(m, slotName, 'dna', splitCount, staffName);
-              updateCombined(m, staffName, slotName, 'dna', splitCount);
-            }
-          });
-        } else {
-          // Staff not in appointment data - add to first month
-          const firstMonth = Object.keys(monthlyMap)[0];
-          if (firstMonth) {
-            updateStaff(firstMonth, staffName, 'dna', count);
-            if (slotName) {
-              updateSlot(firstMonth, slotName, 'dna', count, staffName);
-              updateCombined(firstMonth, staffName, slotName, 'dna', count);
-            }
-          }
-        }
-      }
-
-      // Process unused slots: Distribute wasted capacity across months staff worked
-      let totalUnused = 0;
-      for (const row of unusedData) {
-        const count = parseInt(row['Unused Slots'], 10) || 0;
-        const totalSlots = parseInt(row['Total Slots'], 10) || 0;
-        const booked = Math.max(0, totalSlots - count);
-        const staffName = row['Staff'];
-        const slotName = row['Slot Type'];
-
-        totalUnused += count;
-
-        const workedMonths = getMonthsForStaff(staffName);
-        if (workedMonths.length > 0) {
-          const splitCount = count / workedMonths.length;
-          const splitBooked = booked / workedMonths.length;
-          workedMonths.forEach(m => {
-            updateStaff(m, staffName, 'unused', splitCount);
-            if (slotName) {
-              updateSlot(m, slotName, 'unused', splitCount, staffName);
-              updateSlot(m, slotName, 'appts', splitBooked, staffName);
-              updateCombined(m, staffName, slotName, 'unused', splitCount);
-              updateCombined(m, staffName, slotName, 'appts', splitBooked);
-            }
-          });
-        } else {
-          // Staff not in appointment data - add to first month
-          const firstMonth = Object.keys(monthlyMap)[0];
-          if (firstMonth) {
-            updateStaff(firstMonth, staffName, 'unused', count);
-            if (slotName) {
-              updateSlot(firstMonth, slotName, 'unused', count, staffName);
-              updateSlot(firstMonth, slotName, 'appts', booked, staffName);
-              updateCombined(firstMonth, staffName, slotName, 'unused', count);
-              updateCombined(firstMonth, staffName, slotName, 'appts', booked);
-            }
-          }
-        }
-      }
-
-      // Process online requests data: Transform raw CSV into structured format with computed properties
-      const processedOnlineRows = [];
-      if (configToUse.useOnline && onlineData.length > 0) {
-        onlineData.forEach(row => {
-          const dateStr = row['Submission started'];
-          if (dateStr) {
-            const date = parseDate(dateStr);
-            if (date) {
-              const monthKey = toMonthKey(date);
-              const type = row['Type'];
-              const outcome = (row['Outcome'] || '').trim();
-              const outcomeLower = outcome.toLowerCase();
-              const access = row['Access method'];
-              const sex = row['Sex'];
-              const age = parseInt(row['Age'], 10);
-              const completeStr = row['Submission started'];
-              const outcomeStr = row['Outcome dateTime'];
-
-              // Aggregate online totals into monthly map
-              if (monthlyMap[monthKey]) {
-                monthlyMap[monthKey].onlineTotal += 1;
-
-                // Count clinical requests that didn't result in an appointment
-                if (type === 'Clinical' && !outcomeLower.includes('appointment offered') && !outcomeLower.includes('appointment booked')) {
-                  monthlyMap[monthKey].onlineClinicalNoAppt += 1;
-                }
-              }
-
-              processedOnlineRows.push({
-                month: monthKey,
-                type,
-                outcome,
-                outcomeLower,
-                access,
-                sex,
-                age: !isNaN(age) ? age : null,
-                date,
-                completeStr,
-                outcomeStr
-              });
-            }
-          }
-        });
-      }
-
-      // Store raw data for tables
-      setRawStaffData(Object.values(staffMap));
-      setRawSlotData(Object.values(slotMap));
-      setRawCombinedData(Object.values(combinedMap));
-      if (configToUse.useOnline) setRawOnlineData(processedOnlineRows);
-
-      // Process telephony data: Extract call metrics from PDF reports using regex patterns
-      if (configToUse.useTelephony && filesToProcess.telephony && filesToProcess.telephony.length > 0) {
-        for (const pdfFile of filesToProcess.telephony) {
-          const text = await extractTextFromPDF(pdfFile);
-
-          // Extract month from PDF text
-          const monthMatch = text.match(/(January|February|March|April|May|June|July|August|September|October|November|December)\s20\d{2}/i);
-          if (monthMatch) {
-            const pdfDate = new Date(monthMatch[0]);
-            const monthKey = toMonthKey(pdfDate);
-
-            if (monthlyMap[monthKey]) {
-              // Extract metrics from PDF text using regex
-              const extract = (r) => { const m = text.match(r); return m && m[1] ? parseFloat(m[1].replace(/,/g, '')) : 0; };
-              const extractTime = (r) => {
-                const m = text.match(r);
-                if (m) {
-                  let min = 0, sec = 0;
-                  const fm = m[0];
-                  const mm = fm.match(/(\d+)m/);
-                  const sm = fm.match(/(\d+)s/);
-                  if (mm) min = parseInt(mm[1]);
-                  if (sm) sec = parseInt(sm[1]);
-                  return (min * 60) + sec;
-                }
-                return 0;
-              };
-              const missedUniqueMatch = text.match(/Missed From Queue\s+Excluding Repeat Callers\s+[\d,]+\s+\(([\d.]+)%\)/i);
-
-              monthlyMap[monthKey].telephony = {
-                inboundReceived: extract(/Inbound Received\s+([\d,]+)/i),
-                inboundAnswered: extract(/Inbound Answered\s+([\d,]+)/i),
-                missedFromQueue: extract(/Missed From Queue\s+([\d,]+)/i),
-                missedFromQueueExRepeat: extract(/Missed From Queue\s+Excluding Repeat Callers\s+([\d,]+)/i),
-                missedFromQueueExRepeatPct: missedUniqueMatch && missedUniqueMatch[1] ? parseFloat(missedUniqueMatch[1]) : 0,
-                answeredFromQueue: extract(/Answered From Queue\s+[\d,]+\s+\(([\d.]+)%\)/i),
-                abandonedCalls: extract(/Abandoned Calls\s+[\d,]+\s+\(([\d.]+)%\)/i),
-                callbacksSuccessful: extract(/Callbacks Successful\s+([\d,]+)/i),
-                avgQueueTimeAnswered: extractTime(/Average Queue Time\s+Answered\s+(\d+m\s\d+s|\d+s)/i),
-                avgQueueTimeMissed: extractTime(/Average Queue Time\s+Missed\s+(\d+m\s\d+s|\d+s)/i),
-                avgInboundTalkTime: extractTime(/Average Inbound Talk\s+Time\s+(\d+m\s\d+s|\d+s)/i),
-              };
-            }
-          }
-        }
-      }
+  // Process every practice in the PCN workspace and show the PCN total
+  const processPcnFiles = async () => {
+    setIsProcessing(true);
+    setError(null);
+    clearLocalResults();
 
-      // Sort months chronologically
-      const monthsArray = Object.values(monthlyMap).sort((a, b) => a.dateObj - b.dateObj);
-
-      const totalApptsAll = monthsArray.reduce((sum, m) => sum + m.totalAppts, 0);
-      // totalDNA and totalUnused are already calculated during DNA/Unused processing above
-
-      // Calculate metrics for each month
-      const enrichedMonths = monthsArray.map(m => {
-        const { month, dateObj, totalAppts, workingDays, telephony, onlineTotal, onlineClinicalNoAppt } = m;
-
-        // Calculate estimated DNA and unused slots using proportional distribution
-        // based on this month's appointment volume relative to total appointments
-        const weight = totalApptsAll > 0 ? totalAppts / totalApptsAll : 0;
-        const estDNA = Math.round(totalDNA * weight);
-        const estUnused = Math.round(totalUnused * weight);
-
-        const t = telephony || {};
-
-        const gpAppts = Object.values(staffMap)
-          .filter(s => isGP(s.staff))
-          .reduce((sum, s) => sum + (s.totalAppts * weight), 0);
-
-        const estGPDNA = Math.round(estDNA * (gpAppts / (totalAppts || 1)));
-        const estGPUnused = Math.round(estUnused * (gpAppts / (totalAppts || 1)));
-
-        // Primary metric: "Patients with GP Appointment or Resolved Online Request per Day (%)"
-        // Combines traditional face-to-face appointments with digitally resolved requests
-        // Provides true picture of GP capacity including modern triage methods
-        const gpTriageCapacityPerDayPct = workingDays > 0 && configToUse.population > 0
-          ? (((gpAppts + (onlineClinicalNoAppt || 0)) / workingDays) / configToUse.population * 100)
-          : 0;
-
-        const gpRatio = t.inboundAnswered > 0 ? (gpAppts / t.inboundAnswered) : 0;
-        const gpMissedDemand = gpRatio * (t.missedFromQueueExRepeat || 0);
-        const gpWaste = estGPUnused + estGPDNA;
-        const extraSlotsPerDay = workingDays > 0 ? ((gpMissedDemand - gpWaste) / workingDays) : 0;
-
-        return {
-          month,
-          dateObj,
-          totalAppts,
-          workingDays,
-          gpAppts,
-          estDNA,
-          estUnused,
-          estGPDNA,
-          estGPUnused,
-          onlineTotal: onlineTotal || 0,
-          onlineClinicalNoAppt: onlineClinicalNoAppt || 0,
-          onlineRequestsPer1000: configToUse.population > 0 ? ((onlineTotal || 0) / configToUse.population * 1000) / 4 : 0,
-          gpTriageCapacityPerDayPct,
-          gpApptsPerDay: workingDays > 0 ? (gpAppts / configToUse.population * 100) / workingDays : 0,
-          gpUtilization: (gpAppts + estGPUnused) > 0 ? (gpAppts / (gpAppts + estGPUnused) * 100) : 0,
-          gpDNAPct: gpAppts > 0 ? (estGPDNA / gpAppts * 100) : 0,
-          gpUnusedPct: gpAppts > 0 ? (estGPUnused / gpAppts * 100) : 0,
-          conversionRatio: t.inboundAnswered ? (totalAppts / t.inboundAnswered) : 0,
-          gpConversionRatio: t.inboundAnswered ? (gpAppts / t.inboundAnswered) : 0,
-          utilization: (totalAppts + estUnused) > 0 ? (totalAppts / (totalAppts + estUnused) * 100) : 0,
-          allApptsPerDay: workingDays > 0 ? (totalAppts / configToUse.population * 100) / workingDays : 0,
-          allUnusedPct: (totalAppts + estUnused) > 0 ? (estUnused / (totalAppts + estUnused) * 100) : 0,
-          allDNAPct: totalAppts > 0 ? (estDNA / totalAppts * 100) : 0,
-          extraSlotsPerDay,
-          inboundTotal: t.inboundReceived || 0,
-          ...t
+    try {
+      const inputs = [];
+      for (const practice of pcnWorkspace.practices) {
+        const odsCode = practice.odsCode.trim().toUpperCase();
+        const practiceInputs = {
+          apptData: await combineCSVFiles(practice.files.appointments),
+          dnaData: await combineCSVFiles(practice.files.dna),
+          unusedData: await combineCSVFiles(practice.files.unused),
+          onlineData: config.useOnline ? await combineCSVFiles(practice.files.onlineRequests) : [],
+          telephonyReports: config.useTelephony ? await readTelephonyReports(practice.files.telephony) : [],
         };
-      });
-
-      console.log('📈 Enriched Months:', enrichedMonths.length, 'months');
-      console.log('  - Sample month data:', enrichedMonths[0]);
-
-      setProcessedData(enrichedMonths);
-
-      // Generate forecast data using linear regression
-      if (enrichedMonths.length >= 3) {
-        const totalApptsData = enrichedMonths.map(m => m.totalAppts);
-        const gpApptsData = enrichedMonths.map(m => m.gpAppts);
-        const inboundTotalData = enrichedMonths.map(m => m.inboundTotal || 0);
-
-        const forecastTotalAppts = calculateLinearForecast(totalApptsData, 2);
-        const forecastGPAppts = calculateLinearForecast(gpApptsData, 2);
-        const forecastInbound = calculateLinearForecast(inboundTotalData, 2);
-
-        const lastMonth = enrichedMonths[enrichedMonths.length - 1].month;
-        const nextMonthNames = getNextMonthNames(lastMonth, 2);
-        const forecastLabels = [...enrichedMonths.map(m => m.month), ...nextMonthNames];
-
-        setForecastData({
-          labels: forecastLabels,
-          hasData: true,
-          appts: {
-            actual: [...totalApptsData, null, null],
-            projected: [...totalApptsData, ...forecastTotalAppts]
-          },
-          calls: {
-            actual: [...inboundTotalData, null, null],
-            projected: [...inboundTotalData, ...forecastInbound]
-          },
-          gpAppts: {
-            actual: [...gpApptsData, null, null],
-            projected: [...gpApptsData, ...forecastGPAppts]
-          }
+        inputs.push({
+          odsCode,
+          surgeryName: practice.surgeryName,
+          population: practice.population,
+          inputs: practiceInputs,
+          staffRoster: buildStaffRoster(
+            collectStaffNames(practiceInputs),
+            loadStaffRoster(getStaffRosterKey(odsCode, practice.surgeryName))
+          ),
         });
-      } else {
-        setForecastData({ hasData: false, count: enrichedMonths.length });
       }
 
+      const result = processPcnWorkspace(inputs, config);
+      setPcnInputs(inputs);
+      setPcnResult(result);
+      showPcnView('pcn', result, inputs);
       setIsProcessing(false);
     } catch (err) {
       console.error("Processing Error", err);
@@ -1210,274 +948,18 @@ export default function App() {
     setIsAiLoading(true);
     setAiError(null);
     setAiReport(null);
+    setAiFindings([]);
 
     try {
-      // Comprehensive metric definitions with titles and descriptions for AI context
-      const metricDefinitions = [
-        {
-          key: 'workingDays',
-          title: 'Working days',
-          description: 'Clinical working days available in the month',
-          format: 'number'
-        },
-        {
-          key: 'totalAppts',
-          title: 'All appointments delivered',
-          description: 'Total appointments completed across the practice',
-          format: 'number'
-        },
-        {
-          key: 'gpAppts',
-          title: 'GP appointments delivered',
-          description: 'Number of GP-led appointments completed',
-          format: 'number'
-        },
-        {
-          key: 'gpApptsPerDay',
-          title: 'Percentage of patient population with GP appointments per working day',
-          description: 'Percentage of patient population with GP appointments per working day so that practices can standardise the number of appointments per population',
-          format: 'percent1'
-        },
-        {
-          key: 'allApptsPerDay',
-          title: 'Percentage of patient population with any appointment per working day',
-          description: 'Percentage of patient population with any staff appointment per working day so that practices can standardise the number of appointments per population',
-          format: 'percent1'
-        },
-        {
-          key: 'utilization',
-          title: 'Utilisation (all clinicians)',
-          description: 'Percentage of all appointment slots used',
-          format: 'percent1'
-        },
-        {
-          key: 'gpUtilPct',
-          title: 'GP utilisation',
-          description: 'Percentage of GP appointment slots used',
-          format: 'percent1'
-        },
-        {
-          key: 'gpUnusedPct',
-          title: 'Unused GP capacity',
-          description: 'Percentage of GP slots left unused after embargoes and DNA',
-          format: 'percent1'
-        },
-        {
-          key: 'gpDNAPct',
-          title: 'GP DNA rate',
-          description: 'Did-not-attend rate for GP appointments',
-          format: 'percent1'
-        },
-        {
-          key: 'allUnusedPct',
-          title: 'Unused capacity (all clinicians)',
-          description: 'Percentage of all clinician slots left unused',
-          format: 'percent1'
-        },
-        {
-          key: 'allDNAPct',
-          title: 'DNA rate (all clinicians)',
-          description: 'Did-not-attend rate for all clinicians',
-          format: 'percent1'
-        },
-        {
-          key: 'onlineTotal',
-          title: 'Online requests received',
-          description: 'Total online consultation requests submitted',
-          format: 'number'
-        },
-        {
-          key: 'onlineClinicalNoAppt',
-          title: 'Online clinical requests without appointment',
-          description: 'Clinical online requests resolved without booking an appointment',
-          format: 'number'
-        },
-        {
-          key: 'onlineRequestsPer1000',
-          title: 'Online requests per 1,000 patients',
-          description: 'Rate of online requests normalised by practice size',
-          format: 'decimal1'
-        },
-        {
-          key: 'gpTriageCapacityPerDayPct',
-          title: 'Patients with a GP appointment or resolved online request per day (%)',
-          description: 'Percentage of registered patients per working day who either had a GP appointment or had their online request resolved without an appointment',
-          format: 'percent2'
-        },
-        {
-          key: 'inboundReceived',
-          title: 'Inbound calls received',
-          description: 'Total inbound calls presented to the phone system',
-          format: 'number'
-        },
-        {
-          key: 'inboundAnswered',
-          title: 'Inbound calls answered',
-          description: 'Number of inbound calls answered by the team',
-          format: 'number'
-        },
-        {
-          key: 'missedFromQueue',
-          title: 'Calls missed from queue',
-          description: 'Total calls abandoned from the queue',
-          format: 'number'
-        },
-        {
-          key: 'missedFromQueueExRepeat',
-          title: 'Missed calls excluding repeats',
-          description: 'Unique callers who abandoned the queue (excludes repeat callers)',
-          format: 'number'
-        },
-        {
-          key: 'missedFromQueueExRepeatPct',
-          title: 'Missed call rate (unique)',
-          description: 'Percentage of unique callers who abandoned the queue',
-          format: 'percent1'
-        },
-        {
-          key: 'answeredFromQueue',
-          title: 'Calls answered from queue',
-          description: 'Calls successfully answered after waiting in queue',
-          format: 'number'
-        },
-        {
-          key: 'abandonedCalls',
-          title: 'Calls abandoned at by the patient (NOT MISSED)',
-          description: 'Calls that were abandoned by the caller before being answered when they listen to the IVF messaging. A high % here is not a bad thing and indicates effective call flow.',
-          format: 'number'
-        },
-        {
-          key: 'callbacksSuccessful',
-          title: 'Number of Callbacks successful',
-          description: 'Callbacks that successfully connected to a patient',
-          format: 'number'
-        },
-        {
-          key: 'avgQueueTimeAnswered',
-          title: 'Average queue time (answered)',
-          description: 'Average seconds callers waited before being answered',
-          format: 'seconds'
-        },
-        {
-          key: 'avgQueueTimeMissed',
-          title: 'Average queue time (missed)',
-          description: 'Average seconds callers waited before abandoning',
-          format: 'seconds'
-        },
-        {
-          key: 'avgInboundTalkTime',
-          title: 'Average inbound talk time',
-          description: 'Average call handling time for inbound calls (seconds)',
-          format: 'seconds'
-        },
-        {
-          key: 'capitationCallingPerDay',
-          title: 'Daily call volume per 1,000 patients',
-          description: 'Average daily inbound calls per 1,000 registered patients',
-          format: 'percent1'
-        },
-        {
-          key: 'gpBookConv',
-          title: 'Booking conversion (GP)',
-          description: 'Ratio of calls that resulted in a GP appointment booking',
-          format: 'decimal2'
-        },
-        {
-          key: 'extraSlots',
-          title: 'Extra slots required per day',
-          description: 'Extra slots required per day over the different months. Sometimes this is minus if meeting capacity',
-          format: 'decimal1'
-        }
-      ];
-
-      const formatMetricValue = (value, format) => {
-        if (value === undefined || value === null || Number.isNaN(value)) return null;
-
-        switch (format) {
-          case 'percent1':
-            return `${Number(value).toFixed(1)}%`;
-          case 'percent2':
-            return `${Number(value).toFixed(2)}%`;
-          case 'decimal2':
-            return Number(value).toFixed(2);
-          case 'decimal1':
-            return Number(value).toFixed(1);
-          case 'seconds':
-            return `${Number(value).toFixed(0)} seconds`;
-          default:
-            return Number(value);
-        }
-      };
-
-      const dataSummary = processedData.map(d => ({
-        month: d.month,
-        metrics: metricDefinitions
-          .map(metric => ({
-            title: metric.title,
-            description: metric.description,
-            value: formatMetricValue(d[metric.key], metric.format)
-          }))
-          .filter(metric => metric.value !== null)
-      }));
-
-      const prompt = `
-        You are an expert NHS Practice Manager and Data Analyst using CAIP Analytics.
-        Analyse the following monthly performance data for ${config.surgeryName || 'this practice'} (Population: ${config.population}).
-
-        Each metric includes a title and description to avoid ambiguity. Base all interpretations on these fields, not the raw field names.
-
-        Data (month by month): ${JSON.stringify(dataSummary, null, 2)}
-
-        IMPORTANT: Start your response DIRECTLY with the first section heading. Do NOT include any introduction, preamble, or explanatory text before the sections.
-
-        Provide your analysis in exactly these two sections using bullet points:
-
-        ### ✅ Positives
-        * Highlight metrics that are performing well.
-
-        ### 🚀 Room for Improvement & Actions
-        * Identify specific issues.
-        * Logic:
-            * If **Online Requests** are high but **Patients with a GP appointment or resolved online request per day (%)** is low, suggest: "High digital demand is not being fully captured in clinical workload data."
-            * If **Booking Conversion** is low, suggest: "High call volume not converting to appts. Review signposting."
-            * If **Utilization** is low (<95%), suggest: "Wasted capacity. Review slot types in rotas where slots are going unused. This may look like unused capacity in national data sets."
-            * If **DNA Rate** is high (>7%), suggest: "High DNA rate impacting capacity. Consider reviewing reminder systems."
-            * If **Average Queue Time (missed)** is high (>120s), suggest: "Long wait times leading to missed calls. Review telephony staffing."
-            * If **Extra slots required per day** is positive, suggest: "Consider increasing daily appointment slots by approximately X to meet demand."
-            * If Abandoned Calls % is high (>20%), suggest: "High abandoned call rate. This means your call flow is effective"
-            * If **Patients with a GP appointment or resolved online request per day (%)** is below 1.0%, suggest: "Low GP capacity per patient population. Consider recruitment strategies to increase access."
-            * If Abandoned Calls % is low (<10%), suggest: "Low abandoned call rate. This may indicate your call flow is inneffective and too short"
-            * If **Online Requests per 1,000 patients** is low (<50 per month), suggest: "Low online request volume. Promote digital access channels to patients or open up digital capacity"
-            * If Missed Call Rate (unique) is high (>10%), suggest: "High unique missed call rate. Review telephony call flow and staffing levels at peak times."
-            * If Missed Call Rate (unique) is low (<5%), suggest: "Low unique missed call rate. This may indicate insufficient call queue capacity leading to abandoned calls."
-            * If **GP DNA Rate** is high (>10%), suggest: "High GP DNA rate impacting capacity. Consider targeted interventions for DNA reduction such as SystmOne DNA Probability Report."
-            * If Patients with a GP appointment per day (%) is above 1.6%, suggest: "High GP Capacity per patient population. Consider if this is sustainable long-term and review clinical workforce wellbeing."
-            * If patients with a GP appointment or resolved online request per day (%) is above 2.0%, suggest: "Very high GP capacity per patient population. This may not be sustainable long-term and could indicate over-servicing. Review clinical workforce wellbeing."
-            * If patients with a GP appointment per day (%) is below 1.0%, suggest: "Low GP capacity per patient population. Consider recruitment strategies to increase access."
-            * If telephony metrics show poor performance and Online Access method shows a high number of Practice Initiated Link (>20% of online requests), suggest: "Your staff may do too many online requests for patients. Consider promoting online access channels to reduce telephony demand."
-            * If Patients with a GP appointment or resolved online request per day (%) is between 1.0% and 1.6%, acknowledge this as a reasonable level of access but suggest continuous monitoring to maintain balance between access and workforce wellbeing.
-            * If missed call rate (unique) is between 5% and 10%, acknowledge this as a reasonable performance but suggest continuous monitoring to optimise telephony access.
-
-            * Apply additional best-practice logic from NHS UK access improvement guidance when proposing actions.
-
-        Keep the tone professional, constructive, and specific to NHS Primary Care. Use British English.
-      `;
-
-      const response = await fetch('/api/analyze', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ systemPrompt: prompt, userPrompt: '' }),
-      });
-      const data = await response.json();
-      if (!response.ok) throw new Error(data.error || `API error (${response.status})`);
-
-      const text = data.text;
-      if (!text) throw new Error('No response generated from AI');
+      // Report renders progressively as it streams in; findings arrive with the final result
+      const { text, findings } = await requestAIAnalysis(buildLocalAnalysisPayload(processedData, config), { onText: setAiReport });
 
       setAiReport(text);
+      setAiFindings(findings);
       setIsAiLoading(false);
     } catch (err) {
       console.error("AI Error:", err.message);
+      setAiReport(null);
       setAiError(`AI analysis failed: ${err.message}`);
       setIsAiLoading(false);
     }
@@ -1563,6 +1045,42 @@ export default function App() {
         pdf.setFont('helvetica', 'normal');
         const lines = pdf.splitTextToSize(aiReport, pageWidth - 20);
         pdf.text(lines, 10, 30);
+
+        // Structured findings on their own page(s), most urgent first
+        if (aiFindings.length > 0) {
+          const addFindingsPage = () => {
+            pdf.addPage();
+            pdf.setFillColor(0, 94, 184);
+            pdf.rect(0, 0, pageWidth, 20, 'F');
+            pdf.setTextColor(255, 255, 255);
+            pdf.setFontSize(18);
+            pdf.setFont('helvetica', 'bold');
+            pdf.text('AI Findings', 10, 13);
+            return 30;
+          };
+
+          let y = addFindingsPage();
+          sortFindings(aiFindings).forEach(finding => {
+            const details = [
+              `${LOCAL_METRIC_LABELS[finding.metric] || finding.metric} (${finding.direction})`,
+              ...(finding.evidence.length > 0 ? [`Evidence: ${formatFindingEvidence(finding.evidence)}`] : []),
+              ...(finding.action ? [`Action: ${finding.action}`] : []),
+            ].flatMap(line => pdf.splitTextToSize(line, pageWidth - 25));
+            const title = pdf.splitTextToSize(`[${finding.severity.toUpperCase()}] ${finding.title}`, pageWidth - 20);
+            const blockHeight = (title.length + details.length) * 5 + 4;
+            if (y + blockHeight > pageHeight - 10) y = addFindingsPage();
+
+            pdf.setTextColor(0, 0, 0);
+            pdf.setFontSize(11);
+            pdf.setFont('helvetica', 'bold');
+            pdf.text(title, 10, y);
+            y += title.length * 5;
+            pdf.setFontSize(10);
+            pdf.setFont('helvetica', 'normal');
+            pdf.text(details, 15, y);
+            y += details.length * 5 + 4;
+          });
+        }
       } else {
         // Show placeholder message
         pdf.setTextColor(100, 100, 100);
@@ -1706,10 +1224,12 @@ export default function App() {
         config,
         forecastData,
         aiReport,
+        aiFindings,
         rawOnlineData,
         rawStaffData,
         rawSlotData,
         rawCombinedData,
+        staffRoster,
       };
 
       const workbook = exportDemandCapacityToExcel(exportData);
@@ -1752,10 +1272,12 @@ export default function App() {
         config,
         forecastData,
         aiReport,
+        aiFindings,
         rawOnlineData,
         rawStaffData,
         rawSlotData,
         rawCombinedData,
+        staffRoster,
       };
 
       const { shareUrl: generatedUrl, expiresAt } = await createFirebaseShare(shareData, 'demand-capacity');
@@ -1793,10 +1315,17 @@ export default function App() {
       setConfig(restored.config);
       setForecastData(restored.forecastData);
       setAiReport(restored.aiReport);
+      setAiFindings(restored.aiFindings);
       setRawOnlineData(restored.rawOnlineData);
       setRawStaffData(restored.rawStaffData);
       setRawSlotData(restored.rawSlotData);
       setRawCombinedData(restored.rawCombinedData);
+      setStaffRoster(restored.staffRoster);
+      setLastLocalInputs(null);
+      setGranularity('month');
+      if (restored.staffRoster.length > 0) {
+        saveStaffRoster(getStaffRosterKey(restored.config?.odsCode, restored.config?.surgeryName), restored.staffRoster);
+      }
 
       setDataSource('local');
       setMainTab('demand');
@@ -1823,6 +1352,16 @@ export default function App() {
     }
   };
 
+  // Jump from an AI finding card to the chart for its metric
+  const handleViewFindingChart = (metric) => {
+    const tab = LOCAL_METRIC_TABS[metric];
+    if (!DASHBOARD_TAB_SECTIONS[tab]) return;
+    setActiveTab(tab);
+    setTimeout(() => {
+      document.getElementById(DASHBOARD_TAB_SECTIONS[tab].sectionId)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, 100);
+  };
+
   // Reset all data and return to initial state
   const handleReset = () => {
     setConfig({
@@ -1846,44 +1385,26 @@ export default function App() {
     setRawCombinedData([]);
     setRawOnlineData([]);
     setForecastData(null);
+    setWasteOutsideRange(null);
+    setStaffRoster([]);
+    setLastLocalInputs(null);
+    setPcnWorkspace({ name: '', practices: [createPcnPractice(1), createPcnPractice(2)] });
+    setPcnInputs(null);
+    setPcnResult(null);
+    setPcnView('pcn');
     setError(null);
     setAiReport(null);
+    setAiFindings([]);
     setAiError(null);
     setActiveTab('dashboard');
     setSelectedMonth('All');
+    setGranularity('month');
     setShowResetConfirm(false);
   };
 
   // Compute aggregated data with optional month filtering
-  const getAggregatedData = useCallback((rawData, monthFilter, monthlyData) => {
-    if (monthFilter === 'All') {
-      return rawData;
-    }
-
-    const selectedMonthData = monthlyData?.find(m => m.month === monthFilter);
-    if (!selectedMonthData) return rawData;
-
-    const totalApptsAll = monthlyData.reduce((sum, m) => sum + m.totalAppts, 0);
-    const weight = totalApptsAll > 0 ? selectedMonthData.totalAppts / totalApptsAll : 0;
-
-    return rawData.map(item => {
-      const monthlyAppts = Math.round(item.totalAppts * weight);
-      const monthlyDNA = Math.round((item.dnaCount || 0) * weight);
-      const monthlyUnused = Math.round((item.unusedSlots || 0) * weight);
-      const monthlyTotal = Math.round((item.totalSlots || 0) * weight);
-
-      return {
-        ...item,
-        totalAppts: monthlyAppts,
-        dnaCount: monthlyDNA,
-        unusedSlots: monthlyUnused,
-        totalSlots: monthlyTotal
-      };
-    });
-  }, []);
-
   const aggregatedStaffData = useMemo(() => {
-    const data = getAggregatedData(rawStaffData, selectedMonth, processedData);
+    const data = getMonthRows(rawStaffData, selectedMonth, processedData);
 
     // Group by staff name and sum across months
     const grouped = {};
@@ -1899,10 +1420,10 @@ export default function App() {
 
     const result = Object.values(grouped).sort((a, b) => b.appts - a.appts);
     return result;
-  }, [rawStaffData, selectedMonth, processedData, getAggregatedData]);
+  }, [rawStaffData, selectedMonth, processedData]);
 
   const aggregatedSlotData = useMemo(() => {
-    const data = getAggregatedData(rawSlotData, selectedMonth, processedData);
+    const data = getMonthRows(rawSlotData, selectedMonth, processedData);
 
     // Group by slot type and sum across months
     const grouped = {};
@@ -1918,10 +1439,10 @@ export default function App() {
     });
 
     return Object.values(grouped).sort((a, b) => b.appts - a.appts);
-  }, [rawSlotData, selectedMonth, processedData, getAggregatedData]);
+  }, [rawSlotData, selectedMonth, processedData]);
 
   const aggregatedCombinedData = useMemo(() => {
-    const data = getAggregatedData(rawCombinedData, selectedMonth, processedData);
+    const data = getMonthRows(rawCombinedData, selectedMonth, processedData);
 
     // Group by staff + slot combination and sum across months
     const grouped = {};
@@ -1943,7 +1464,7 @@ export default function App() {
     });
 
     return Object.values(grouped).sort((a, b) => b.appts - a.appts);
-  }, [rawCombinedData, selectedMonth, processedData, getAggregatedData]);
+  }, [rawCombinedData, selectedMonth, processedData]);
 
   // Calculate online request statistics
   const onlineStats = useMemo(() => {
@@ -2021,6 +1542,11 @@ export default function App() {
     return stats;
   }, [rawOnlineData, selectedMonth, config.useOnline]);
 
+  // Tabs AI findings can link to (online and telephony only when shown)
+  const findingChartLabels = Object.fromEntries(Object.entries(LOCAL_METRIC_TABS)
+    .filter(([, tab]) => (tab !== 'online' || (config.useOnline && onlineStats)) && (tab !== 'telephony' || config.useTelephony))
+    .map(([metric, tab]) => [metric, DASHBOARD_TAB_SECTIONS[tab].label]));
+
   // Filter displayed data by selected month
   const displayedData = useMemo(() => {
     if (!processedData) return null;
@@ -2028,6 +1554,29 @@ export default function App() {
     return processedData.filter(m => m.month === selectedMonth);
   }, [processedData, selectedMonth]);
 
+  // The PCN total is re-run from every practice's upload rather than lastLocalInputs
+  const showingPcnTotal = Boolean(pcnResult) && pcnView === 'pcn';
+  const canChangeGranularity = Boolean(lastLocalInputs) || showingPcnTotal;
+
+  // Daily or weekly buckets for the dashboard, GP and online charts, re-run from the last upload
+  // Restored/shared dashboards have no source rows, so they stay monthly
+  const periodData = useMemo(() => {
+    if (granularity === 'month' || !canChangeGranularity) return null;
+    try {
+      const { enrichedMonths } = showingPcnTotal
+        ? processPcnWorkspace(pcnInputs, config, { granularity }).aggregate
+        : processLocalDemand(lastLocalInputs, config, { staffRoster, granularity });
+      if (selectedMonth === 'All') return enrichedMonths;
+      return enrichedMonths.filter(p => toMonthKey(p.dateObj) === selectedMonth);
+    } catch (e) {
+      console.error('Failed to build period data:', e);
+      return null;
+    }
+  }, [granularity, canChangeGranularity, showingPcnTotal, pcnInputs, lastLocalInputs, config, staffRoster, selectedMonth]);
+
+  // Chart series for the granularity-aware tabs (falls back to monthly)
+  const seriesData = periodData || displayedData;
+
   // Get available months for filter dropdown
   const availableMonths = useMemo(() => {
     if (!processedData) return ['All'];
@@ -2035,12 +1584,12 @@ export default function App() {
   }, [processedData]);
 
   // Helper to create forecast chart data
-  // Helper function to create line chart data (uses displayedData from component scope)
-  const createChartData = (label, dataKey, color, fill = true) => ({
-    labels: displayedData?.map(d => d.month),
+  // Helper function to create line chart data (uses displayedData from component scope unless given a series)
+  const createChartData = (label, dataKey, color, fill = true, data = displayedData) => ({
+    labels: data?.map(d => d.month),
     datasets: [{
       label: label,
-      data: displayedData?.map(d => d[dataKey]),
+      data: data?.map(d => d[dataKey]),
       borderColor: color,
       backgroundColor: fill ? `${color}20` : 'transparent',
       fill: fill,
@@ -2066,9 +1615,30 @@ export default function App() {
     };
   };
 
+  // Shaded prediction interval is drawn between the upper and lower bounds (fill to next dataset)
   const createForecastChartData = (labelActual, labelProjected, dataObj, color) => ({
     labels: forecastData?.labels || [],
     datasets: [
+      ...(dataObj?.upper?.some(v => v != null) ? [
+        {
+          label: 'Upper bound',
+          data: dataObj.upper,
+          borderColor: 'transparent',
+          backgroundColor: `${color}20`,
+          fill: '+1',
+          tension: 0.3,
+          pointRadius: 0
+        },
+        {
+          label: 'Lower bound',
+          data: dataObj.lower,
+          borderColor: 'transparent',
+          backgroundColor: 'transparent',
+          fill: false,
+          tension: 0.3,
+          pointRadius: 0
+        }
+      ] : []),
       {
         label: labelActual,
         data: dataObj?.actual || [],
@@ -2091,9 +1661,40 @@ export default function App() {
 
   // Month filter headers
   const isFiltered = selectedMonth !== 'All';
-  const unusedHeader = isFiltered ? 'Unused Slots (Est. Monthly)' : 'Unused Slots';
-  const dnaHeader = isFiltered ? 'DNAs (Est. Monthly)' : 'DNAs';
-  const seasonalWarning = isFiltered ? <p className="text-xs text-amber-600 mb-3 italic flex items-center gap-1"><Info size={12} />* Monthly averages shown. Exact dates are not available in DNA/Unused CSVs.</p> : null;
+  const isFilteredEstimate = isFiltered && getWasteAttribution(processedData?.find(m => m.month === selectedMonth)) !== 'measured';
+  const unusedHeader = isFiltered ? (isFilteredEstimate ? 'Unused Slots (Est. Monthly)' : 'Unused Slots (Monthly)') : 'Unused Slots';
+  const dnaHeader = isFiltered ? (isFilteredEstimate ? 'DNAs (Est. Monthly)' : 'DNAs (Monthly)') : 'DNAs';
+  // Dated DNA/Unused rows with no appointments in their month are left out rather than guessed at
+  const outsideRangeNote = [['dna', 'DNA'], ['unused', 'unused slot']]
+    .filter(([key]) => wasteOutsideRange?.[key]?.rows > 0)
+    .map(([key, label]) => {
+      const { rows, count } = wasteOutsideRange[key];
+      return `${rows.toLocaleString()} ${label} row${rows === 1 ? '' : 's'} (${count.toLocaleString()} in total)`;
+    })
+    .join(', ');
+  const seasonalWarning = isFilteredEstimate ? <p className="text-xs text-amber-600 mb-3 italic flex items-center gap-1"><Info size={12} />* Monthly averages shown. Upload dated or month-split DNA/Unused reports for exact monthly figures.</p> : null;
+
+  // Label for DNA/Unused charts: measured from dated reports vs proportionally estimated
+  const wasteAttributionLabel = (() => {
+    const flags = new Set((displayedData || []).map(getWasteAttribution));
+    if (flags.has('estimated')) return 'estimated';
+    return flags.has('measured') ? 'measured' : null;
+  })();
+
+  // Telephony report formats used, and months where the export lacked some metrics
+  const telephonySources = [...new Set((displayedData || []).map(d => d.telephonySource).filter(Boolean))];
+  const telephonyLowConfidenceMonths = (displayedData || []).filter(d => d.telephonyLowConfidence);
+
+  // Local comparisons are shown straight from this device, without share links
+  if (localComparison) {
+    return (
+      <PracticeComparison
+        localPractices={localComparison.practices}
+        localName={localComparison.name}
+        onClose={() => setLocalComparison(null)}
+      />
+    );
+  }
 
   // If showing comparison view, render that instead
   if (showComparison && comparisonId) {
@@ -2129,6 +1730,7 @@ export default function App() {
           </button>
 
           <div className="flex items-center gap-2">
+            <DataStatusBadge />
             <button
               onClick={() => setShowProcessingInfo(true)}
               className="p-1.5 text-slate-600 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 hover:border-blue-300 transition-all"
@@ -2202,6 +1804,26 @@ export default function App() {
                   </div>
                 </div>
 
+                {['dashboard', 'gp', 'online'].includes(activeTab) && (
+                  <div
+                    className="flex bg-slate-100 rounded-lg p-0.5"
+                    title={canChangeGranularity ? 'Chart granularity' : 'Re-upload your files to view daily or weekly charts'}
+                  >
+                    {[{ id: 'day', label: 'Day' }, { id: 'week', label: 'Week' }, { id: 'month', label: 'Month' }].map(opt => (
+                      <button
+                        key={opt.id}
+                        onClick={() => setGranularity(opt.id)}
+                        disabled={opt.id !== 'month' && !canChangeGranularity}
+                        className={`px-2.5 py-1 text-xs font-medium rounded-md transition-all disabled:opacity-40 disabled:cursor-not-allowed ${
+                          granularity === opt.id ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-600 hover:text-slate-800'
+                        }`}
+                      >
+                        {opt.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
                 <button
                   onClick={() => setShowResetConfirm(true)}
                   className="text-slate-500 hover:text-red-600 transition-colors text-xs font-medium"
@@ -2455,194 +2077,240 @@ export default function App() {
                 <div className="flex-1">
                   <h4 className="text-base font-bold text-slate-900 mb-1">Import CAIP Data File</h4>
                   <p className="text-sm text-slate-600 mb-3">
-                    Have a previously exported .xlsx file? Import it to restore your dashboard and continue your analysis.
+                    Have a previously exported .xlsx file? Import it to restore your dashboard and continue your analysis, or compare several exports.
                   </p>
-                  <ImportButton
-                    onImport={handleImportExcel}
-                    loading={importLoading}
-                    label="Import Dashboard"
-                    variant="secondary"
-                  />
+                  <div className="flex flex-wrap gap-2">
+                    <ImportButton
+                      onImport={handleImportExcel}
+                      loading={importLoading}
+                      label="Import Dashboard"
+                      variant="secondary"
+                    />
+                    <button
+                      onClick={() => setShowComparisonBuilder(true)}
+                      className="flex items-center gap-2 px-4 py-2 bg-white text-emerald-700 border border-emerald-200 rounded-lg hover:bg-emerald-50 transition-colors text-sm font-medium"
+                    >
+                      <Users size={16} />
+                      Compare Practices
+                    </button>
+                  </div>
                 </div>
               </div>
             </div>
 
-            <Card className="mb-6">
-              <SectionHeader title="Practice Details" />
-
-              {/* Practice Lookup */}
-              <div className="mb-4 pb-4 border-b border-slate-100">
-                <PracticeLookup
-                  onSelect={(practice) => {
-                    setConfig(prev => ({
-                      ...prev,
-                      odsCode: practice.odsCode,
-                      population: practice.population,
-                    }));
-                    setToast({ type: 'success', message: `Loaded ${practice.odsCode} - Population: ${practice.population.toLocaleString()}` });
-                    trackPracticeLookup(practice.odsCode, 'local');
-                  }}
-                />
+            <div className="flex justify-center mb-6">
+              <div className="bg-white p-1 rounded-xl shadow-sm border border-slate-200 inline-flex">
+                {[{ id: 'practice', label: 'Single Practice' }, { id: 'pcn', label: 'PCN (Multiple Practices)' }].map(opt => (
+                  <button
+                    key={opt.id}
+                    onClick={() => { setLocalMode(opt.id); setError(null); }}
+                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+                      localMode === opt.id ? 'bg-blue-600 text-white shadow' : 'text-slate-600 hover:text-slate-800'
+                    }`}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
               </div>
+            </div>
 
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-1">Surgery Name</label>
-                  <input
-                    type="text"
-                    className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-blue-500 focus:outline-none transition-all"
-                    placeholder="e.g. High Street Practice"
-                    value={config.surgeryName}
-                    onChange={e => setConfig({ ...config, surgeryName: e.target.value })}
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-1">
-                    ODS Code <span className="text-slate-400 text-xs">(Optional)</span>
-                  </label>
-                  <input
-                    type="text"
-                    className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-blue-500 focus:outline-none transition-all font-mono uppercase"
-                    placeholder="e.g. A12345"
-                    maxLength={10}
-                    value={config.odsCode}
-                    onChange={e => setConfig({ ...config, odsCode: e.target.value.toUpperCase() })}
-                  />
-                  <p className="text-xs text-slate-400 mt-1">
-                    Find at <a href="https://odsportal.digital.nhs.uk" target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">ODS Portal</a>
-                  </p>
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-1">Patient Population</label>
-                  <input
-                    type="number"
-                    className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-blue-500 focus:outline-none transition-all"
-                    value={config.population}
-                    onChange={e => setConfig({ ...config, population: e.target.value })}
+            {localMode === 'pcn' ? (
+              <PcnWorkspace
+                workspace={pcnWorkspace}
+                onChange={setPcnWorkspace}
+                config={config}
+                onConfigChange={setConfig}
+                onProcess={processPcnFiles}
+                isProcessing={isProcessing}
+                error={error}
+                onPracticeLookup={(practice) => trackPracticeLookup(practice.odsCode, 'local')}
+              />
+            ) : (
+              <>
+              <Card className="mb-6">
+                <SectionHeader title="Practice Details" />
+
+                {/* Practice Lookup */}
+                <div className="mb-4 pb-4 border-b border-slate-100">
+                  <PracticeLookup
+                    onSelect={(practice) => {
+                      setConfig(prev => ({
+                        ...prev,
+                        odsCode: practice.odsCode,
+                        population: practice.population,
+                      }));
+                      setToast({ type: 'success', message: `Loaded ${practice.odsCode} - Population: ${practice.population.toLocaleString()}` });
+                      trackPracticeLookup(practice.odsCode, 'local');
+                    }}
                   />
-                  <p className="text-xs text-slate-400 mt-1">Auto-filled from NHS data, but you can adjust</p>
                 </div>
-              </div>
-              <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div className="flex flex-col">
-                  <div className="flex items-center gap-2">
-                    <input type="checkbox" id="telephony" className="w-4 h-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500" checked={config.useTelephony} onChange={e => setConfig({ ...config, useTelephony: e.target.checked })} />
-                    <label htmlFor="telephony" className="text-sm text-slate-700 font-medium">Analyse Telephony Data</label>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Surgery Name</label>
+                    <input
+                      type="text"
+                      className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-blue-500 focus:outline-none transition-all"
+                      placeholder="e.g. High Street Practice"
+                      value={config.surgeryName}
+                      onChange={e => setConfig({ ...config, surgeryName: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">
+                      ODS Code <span className="text-slate-400 text-xs">(Optional)</span>
+                    </label>
+                    <input
+                      type="text"
+                      className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-blue-500 focus:outline-none transition-all font-mono uppercase"
+                      placeholder="e.g. A12345"
+                      maxLength={10}
+                      value={config.odsCode}
+                      onChange={e => setConfig({ ...config, odsCode: e.target.value.toUpperCase() })}
+                    />
+                    <p className="text-xs text-slate-400 mt-1">
+                      Find at <a href="https://odsportal.digital.nhs.uk" target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">ODS Portal</a>
+                    </p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Patient Population</label>
+                    <input
+                      type="number"
+                      className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-blue-500 focus:outline-none transition-all"
+                      value={config.population}
+                      onChange={e => setConfig({ ...config, population: e.target.value })}
+                    />
+                    <p className="text-xs text-slate-400 mt-1">Auto-filled from NHS data, but you can adjust</p>
                   </div>
-                  {!config.useTelephony && <p className="text-xs text-amber-600 mt-1 ml-6">Dashboard will be incomplete without call data.</p>}
                 </div>
-                <div className="flex flex-col">
-                  <div className="flex items-center gap-2">
-                    <input type="checkbox" id="online" className="w-4 h-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500" checked={config.useOnline} onChange={e => setConfig({ ...config, useOnline: e.target.checked })} />
-                    <label htmlFor="online" className="text-sm text-slate-700 font-medium">Analyse Online Requests</label>
+                <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div className="flex flex-col">
+                    <div className="flex items-center gap-2">
+                      <input type="checkbox" id="telephony" className="w-4 h-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500" checked={config.useTelephony} onChange={e => setConfig({ ...config, useTelephony: e.target.checked })} />
+                      <label htmlFor="telephony" className="text-sm text-slate-700 font-medium">Analyse Telephony Data</label>
+                    </div>
+                    {!config.useTelephony && <p className="text-xs text-amber-600 mt-1 ml-6">Dashboard will be incomplete without call data.</p>}
+                  </div>
+                  <div className="flex flex-col">
+                    <div className="flex items-center gap-2">
+                      <input type="checkbox" id="online" className="w-4 h-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500" checked={config.useOnline} onChange={e => setConfig({ ...config, useOnline: e.target.checked })} />
+                      <label htmlFor="online" className="text-sm text-slate-700 font-medium">Analyse Online Requests</label>
+                    </div>
+                    {!config.useOnline && <p className="text-xs text-amber-600 mt-1 ml-6">Digital capacity metrics will not be shown.</p>}
                   </div>
-                  {!config.useOnline && <p className="text-xs text-amber-600 mt-1 ml-6">Digital capacity metrics will not be shown.</p>}
                 </div>
-              </div>
-            </Card>
-
-            <Card>
-              <SectionHeader title="Data Uploads" subtitle="Ensure date ranges match across files." />
-
-              <FileInput
-                label="Appointment Extract (CSV) *"
-                helpText="TPP SystmOne limits to 1 year per extract - Multiple files supported for multi-year analysis"
-                accept=".csv"
-                file={files.appointments}
-                isMulti={true}
-                onChange={(e) => {
-                  if (e.target.files && e.target.files.length > 0) {
-                    setFiles(prev => ({ ...prev, appointments: [...prev.appointments, ...Array.from(e.target.files)] }));
-                  }
-                }}
-                onRemove={(index) => {
-                  setFiles(prev => ({ ...prev, appointments: prev.appointments.filter((_, i) => i !== index) }));
-                }}
-              />
-              <FileInput
-                label="DNA Extract (CSV) *"
-                helpText={<>(Must tick <strong>Staff Name</strong> and <strong>Slot Type</strong> in SystmOne) • Multiple files supported (3 months max per file)</>}
-                accept=".csv"
-                file={files.dna}
-                isMulti={true}
-                onChange={(e) => {
-                  if (e.target.files && e.target.files.length > 0) {
-                    setFiles(prev => ({ ...prev, dna: [...prev.dna, ...Array.from(e.target.files)] }));
-                  }
-                }}
-                onRemove={(index) => {
-                  setFiles(prev => ({ ...prev, dna: prev.dna.filter((_, i) => i !== index) }));
-                }}
-              />
-              <FileInput
-                label="Unused Extract (CSV) *"
-                helpText={<>(Must tick <strong>Staff Name</strong> and <strong>Slot Type</strong> in SystmOne) • Multiple files supported (3 months max per file)</>}
-                accept=".csv"
-                file={files.unused}
-                isMulti={true}
-                onChange={(e) => {
-                  if (e.target.files && e.target.files.length > 0) {
-                    setFiles(prev => ({ ...prev, unused: [...prev.unused, ...Array.from(e.target.files)] }));
-                  }
-                }}
-                onRemove={(index) => {
-                  setFiles(prev => ({ ...prev, unused: prev.unused.filter((_, i) => i !== index) }));
-                }}
-              />
-              <FileInput
-                label="Online Requests (CSV) - SystmConnect"
-                helpText="Misc Reports → SystmConnect Report (Remove Patient Name column) • Multiple files supported (5000 rows max per file)"
-                accept=".csv"
-                file={files.onlineRequests}
-                isMulti={true}
-                onChange={(e) => {
-                  if (e.target.files && e.target.files.length > 0) {
-                    setFiles(prev => ({ ...prev, onlineRequests: [...prev.onlineRequests, ...Array.from(e.target.files)] }));
-                  }
-                }}
-                onRemove={(index) => {
-                  setFiles(prev => ({ ...prev, onlineRequests: prev.onlineRequests.filter((_, i) => i !== index) }));
-                }}
-                badge="Accurx Coming Soon"
-                disabled={!config.useOnline}
-              />
+                <div className="mt-4">
+                  <ClosureDaysInput
+                    value={config.closureDays}
+                    onChange={(closureDays) => setConfig({ ...config, closureDays })}
+                  />
+                </div>
+              </Card>
 
-              <FileInput
-                label="Telephony Reports (PDF) *"
-                helpText="(Simply upload your X-on Surgery Connect Monthly Management Reports - only summary data is used)"
-                accept="application/pdf"
-                file={files.telephony}
-                isMulti={true}
-                onChange={(e) => {
-                  if (e.target.files && e.target.files.length > 0) {
-                    setFiles(prev => ({ ...prev, telephony: [...prev.telephony, ...Array.from(e.target.files)] }));
-                  }
-                }}
-                onRemove={(index) => {
-                  setFiles(prev => ({ ...prev, telephony: prev.telephony.filter((_, i) => i !== index) }));
-                }}
-                disabled={!config.useTelephony}
-              />
+              <Card>
+                <SectionHeader title="Data Uploads" subtitle="Ensure date ranges match across files." />
+
+                <FileInput
+                  label="Appointment Extract (CSV) *"
+                  helpText="TPP SystmOne limits to 1 year per extract - Multiple files supported for multi-year analysis"
+                  accept=".csv"
+                  file={files.appointments}
+                  isMulti={true}
+                  onChange={(e) => {
+                    if (e.target.files && e.target.files.length > 0) {
+                      setFiles(prev => ({ ...prev, appointments: [...prev.appointments, ...Array.from(e.target.files)] }));
+                    }
+                  }}
+                  onRemove={(index) => {
+                    setFiles(prev => ({ ...prev, appointments: prev.appointments.filter((_, i) => i !== index) }));
+                  }}
+                />
+                <FileInput
+                  label="DNA Extract (CSV) *"
+                  helpText={<>(Must tick <strong>Staff Name</strong> and <strong>Slot Type</strong> in SystmOne) • Multiple files supported (3 months max per file) • Add a <strong>Date</strong> or <strong>Month</strong> column for exact monthly figures</>}
+                  accept=".csv"
+                  file={files.dna}
+                  isMulti={true}
+                  onChange={(e) => {
+                    if (e.target.files && e.target.files.length > 0) {
+                      setFiles(prev => ({ ...prev, dna: [...prev.dna, ...Array.from(e.target.files)] }));
+                    }
+                  }}
+                  onRemove={(index) => {
+                    setFiles(prev => ({ ...prev, dna: prev.dna.filter((_, i) => i !== index) }));
+                  }}
+                />
+                <FileInput
+                  label="Unused Extract (CSV) *"
+                  helpText={<>(Must tick <strong>Staff Name</strong> and <strong>Slot Type</strong> in SystmOne) • Multiple files supported (3 months max per file) • Add a <strong>Date</strong> or <strong>Month</strong> column for exact monthly figures</>}
+                  accept=".csv"
+                  file={files.unused}
+                  isMulti={true}
+                  onChange={(e) => {
+                    if (e.target.files && e.target.files.length > 0) {
+                      setFiles(prev => ({ ...prev, unused: [...prev.unused, ...Array.from(e.target.files)] }));
+                    }
+                  }}
+                  onRemove={(index) => {
+                    setFiles(prev => ({ ...prev, unused: prev.unused.filter((_, i) => i !== index) }));
+                  }}
+                />
+                <FileInput
+                  label="Online Requests (CSV) - SystmConnect"
+                  helpText="Misc Reports → SystmConnect Report (Remove Patient Name column) • Multiple files supported (5000 rows max per file)"
+                  accept=".csv"
+                  file={files.onlineRequests}
+                  isMulti={true}
+                  onChange={(e) => {
+                    if (e.target.files && e.target.files.length > 0) {
+                      setFiles(prev => ({ ...prev, onlineRequests: [...prev.onlineRequests, ...Array.from(e.target.files)] }));
+                    }
+                  }}
+                  onRemove={(index) => {
+                    setFiles(prev => ({ ...prev, onlineRequests: prev.onlineRequests.filter((_, i) => i !== index) }));
+                  }}
+                  badge="Accurx Coming Soon"
+                  disabled={!config.useOnline}
+                />
 
-              {error && (
-                <div className="mb-4 p-4 bg-red-50 text-red-700 rounded-xl flex items-start gap-3 text-sm border border-red-100">
-                  <AlertCircle size={18} className="shrink-0 mt-0.5" />
-                  <span className="font-medium">{error}</span>
-                </div>
-              )}
+                <FileInput
+                  label="Telephony Reports (PDF or CSV) *"
+                  helpText="(X-on Surgery Connect Monthly Management Reports, a monthly summary CSV, or a call log CSV export - the format is detected automatically)"
+                  accept="application/pdf,.csv"
+                  file={files.telephony}
+                  isMulti={true}
+                  onChange={(e) => {
+                    if (e.target.files && e.target.files.length > 0) {
+                      setFiles(prev => ({ ...prev, telephony: [...prev.telephony, ...Array.from(e.target.files)] }));
+                    }
+                  }}
+                  onRemove={(index) => {
+                    setFiles(prev => ({ ...prev, telephony: prev.telephony.filter((_, i) => i !== index) }));
+                  }}
+                  disabled={!config.useTelephony}
+                />
 
-              <DisclaimerNotice />
+                {error && (
+                  <div className="mb-4 p-4 bg-red-50 text-red-700 rounded-xl flex items-start gap-3 text-sm border border-red-100">
+                    <AlertCircle size={18} className="shrink-0 mt-0.5" />
+                    <span className="font-medium">{error}</span>
+                  </div>
+                )}
 
-              <button
-                onClick={() => processFiles()}
-                disabled={isProcessing || files.appointments.length === 0}
-                className={`w-full py-3 rounded-xl font-bold text-white shadow-lg shadow-blue-500/20 transition-all
-                   ${isProcessing || files.appointments.length === 0 ? 'bg-slate-300 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700 hover:scale-[1.02] active:scale-[0.98]'}
-                 `}
-              >
-                {isProcessing ? 'Analysing Data...' : 'Generate Dashboard'}
-              </button>
-            </Card>
+                <DisclaimerNotice />
+
+                <button
+                  onClick={() => processFiles()}
+                  disabled={isProcessing || files.appointments.length === 0}
+                  className={`w-full py-3 rounded-xl font-bold text-white shadow-lg shadow-blue-500/20 transition-all
+                     ${isProcessing || files.appointments.length === 0 ? 'bg-slate-300 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700 hover:scale-[1.02] active:scale-[0.98]'}
+                   `}
+                >
+                  {isProcessing ? 'Analysing Data...' : 'Generate Dashboard'}
+                </button>
+              </Card>
+              </>
+            )}
 
             {/* Follow Up Analysis promo */}
             <div
@@ -2675,9 +2343,25 @@ export default function App() {
               <Card className="mb-6 text-center bg-gradient-to-br from-blue-50 to-white border-blue-100">
                 <h1 className="text-3xl font-bold text-slate-900 mb-2">{config.surgeryName}</h1>
                 <p className="text-sm text-slate-500">
-                  Practice Population: <span className="font-semibold text-slate-700">{config.population?.toLocaleString()}</span>
+                  {showingPcnTotal ? 'PCN' : 'Practice'} Population: <span className="font-semibold text-slate-700">{config.population?.toLocaleString()}</span>
+                  {showingPcnTotal && <span> across {pcnResult.practices.length} practices</span>}
                 </p>
                 <p className="text-xs text-slate-400 mt-2 print:block">Generated on {new Date().toLocaleDateString()}</p>
+                {pcnResult && (
+                  <div className="mt-4 flex flex-wrap justify-center gap-2" data-html2canvas-ignore="true">
+                    {[{ id: 'pcn', label: 'PCN Total' }, ...pcnResult.practices.map(practice => ({ id: practice.odsCode, label: practice.surgeryName }))].map(opt => (
+                      <button
+                        key={opt.id}
+                        onClick={() => showPcnView(opt.id)}
+                        className={`px-3 py-1.5 rounded-full text-xs font-medium border transition-colors ${
+                          pcnView === opt.id ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-slate-200 text-slate-600 hover:border-blue-300 hover:text-blue-600'
+                        }`}
+                      >
+                        {opt.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </Card>
             )}
 
@@ -2688,6 +2372,7 @@ export default function App() {
                     <Sparkles size={20} />
                   </div>
                   <h3 className="text-lg font-bold text-indigo-900">CAIP Analysis</h3>
+                  {isAiLoading && <Loader2 size={16} className="animate-spin text-indigo-400" />}
                   <div className="ml-auto flex items-center gap-2">
                     <button
                       onClick={handleCopyAIReport}
@@ -2707,6 +2392,7 @@ export default function App() {
                     <button
                       onClick={() => {
                         setAiReport(null);
+                        setAiFindings([]);
                         setIsAiMinimized(false);
                       }}
                       className="p-1 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
@@ -2721,6 +2407,16 @@ export default function App() {
                     <SimpleMarkdown text={aiReport} />
                   </div>
                 )}
+                {!isAiMinimized && aiFindings.length > 0 && (
+                  <div className="mt-6 pt-4 border-t border-indigo-100">
+                    <AnalysisFindings
+                      findings={aiFindings}
+                      metricLabels={LOCAL_METRIC_LABELS}
+                      chartLabels={findingChartLabels}
+                      onViewChart={handleViewFindingChart}
+                    />
+                  </div>
+                )}
               </Card>
             )}
 
@@ -2781,12 +2477,25 @@ export default function App() {
 
               {/* 4. Compare Practices Button */}
               <button
-                onClick={() => setShowComparisonBuilder(true)}
+                onClick={() => (pcnResult
+                  ? setLocalComparison({ name: pcnWorkspace.name || 'PCN practices', practices: toComparisonPractices(pcnResult.practices) })
+                  : setShowComparisonBuilder(true))}
                 className="flex items-center gap-2 px-6 py-3 bg-white text-emerald-600 border border-emerald-200 rounded-full hover:bg-emerald-50 hover:border-emerald-300 hover:text-emerald-700 transition-all shadow-sm hover:shadow-md"
               >
                 <Users size={18} />
                 <span className="font-semibold">Compare Practices</span>
               </button>
+
+              {/* 5. Staff Roles Button */}
+              <button
+                onClick={() => setShowStaffRoster(true)}
+                disabled={staffRoster.length === 0}
+                className="flex items-center gap-2 px-6 py-3 bg-white text-slate-600 border border-slate-200 rounded-full hover:bg-slate-50 hover:border-slate-300 hover:text-slate-800 transition-all shadow-sm hover:shadow-md disabled:opacity-50"
+                title={staffRoster.length === 0 ? 'Staff roles are available after uploading files' : 'Review which staff count as GPs'}
+              >
+                <UserCog size={18} />
+                <span className="font-semibold">Staff Roles</span>
+              </button>
             </div>
 
             <div className="flex justify-center mb-8" data-html2canvas-ignore="true">
@@ -2840,12 +2549,12 @@ export default function App() {
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                   <Card className="h-80 lg:col-span-1">
                     <h3 className="font-bold text-slate-700 mb-4">Appointment Trends</h3>
-                    <Line data={createChartData('Total Appointments', 'totalAppts', NHS_BLUE)} options={commonOptions} />
+                    <Line data={createChartData('Total Appointments', 'totalAppts', NHS_BLUE, true, seriesData)} options={commonOptions} />
                   </Card>
                   <Card className="h-80">
                     <h3 className="font-bold text-slate-700 mb-2">Online Request Rate</h3>
                     <p className="text-xs text-slate-400 mb-4">Requests per 1000 patients per week</p>
-                    <Line data={createChartData('Requests/1000/wk', 'onlineRequestsPer1000', NHS_AQUA, false)} options={onlineRequestBandOptions} />
+                    <Line data={createChartData('Requests/1000/wk', 'onlineRequestsPer1000', NHS_AQUA, false, seriesData)} options={onlineRequestBandOptions} />
                   </Card>
                 </div>
 
@@ -2905,7 +2614,7 @@ export default function App() {
                   <h3 className="font-bold text-slate-800 mb-2 text-lg flex items-center gap-2"><Activity className="text-teal-600" size={24} /> Patients with GP Appointment or Resolved Online Request per Day (%)</h3>
                   <p className="text-sm text-slate-500 mb-4">Percentage of registered patients each working day who either attended a GP appointment or had their online request resolved without needing one.</p>
                   <div className="h-72">
-                    <Line data={createChartData('GP appointment or online resolve per day (%)', 'gpTriageCapacityPerDayPct', NHS_AQUA, false)} options={gpBandOptions} />
+                    <Line data={createChartData('GP appointment or online resolve per day (%)', 'gpTriageCapacityPerDayPct', NHS_AQUA, false, seriesData)} options={gpBandOptions} />
                   </div>
                 </Card>
 
@@ -2913,7 +2622,7 @@ export default function App() {
                   <h3 className="font-bold text-slate-800 mb-2 text-lg">Patients with GP Appointment per Day (%)</h3>
                   <p className="text-sm text-slate-500 mb-4">Performance Bands: Red (&lt;0.85%), Amber (0.85-1.10%), Green (1.10-1.30%), Blue (&gt;1.30%)</p>
                   <div className="h-72">
-                    <Line data={createChartData('GP Appts %', 'gpApptsPerDay', NHS_DARK_BLUE, false)} options={gpBandOptions} />
+                    <Line data={createChartData('GP Appts %', 'gpApptsPerDay', NHS_DARK_BLUE, false, seriesData)} options={gpBandOptions} />
                   </div>
                 </Card>
 
@@ -2921,7 +2630,7 @@ export default function App() {
                   <Card className="h-80">
                     <h3 className="font-bold text-slate-700 mb-2">GP Capacity Utilisation</h3>
                     <p className="text-xs text-slate-400 mb-4">% of total GP capacity (Appts + Unused) that was used</p>
-                    <Line data={createChartData('Utilisation %', 'gpUtilization', NHS_GREEN)} options={utilizationOptions} />
+                    <Line data={createChartData('Utilisation %', 'gpUtilization', NHS_GREEN, true, seriesData)} options={utilizationOptions} />
                   </Card>
                   <Card className="h-80">
                     <h3 className="font-bold text-slate-700 mb-2">GP Booking Conversion</h3>
@@ -2930,19 +2639,25 @@ export default function App() {
                   </Card>
                 </div>
 
+                {outsideRangeNote && (
+                  <p className="text-xs text-amber-600 italic flex items-center gap-1">
+                    <Info size={12} />
+                    Left out of DNA and unused figures, as they are dated outside the appointments report: {outsideRangeNote}.
+                  </p>
+                )}
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                   <Card className="h-64">
                     <h3 className="font-bold text-slate-700 mb-2 text-sm uppercase">GP Unused Slots</h3>
-                    <p className="text-xs text-slate-400 mb-4">% of total GP slots</p>
+                    <p className="text-xs text-slate-400 mb-4">% of total GP slots{wasteAttributionLabel && ` (${wasteAttributionLabel})`}</p>
                     <div className="h-40">
-                      <Line data={createChartData('GP Unused %', 'gpUnusedPct', NHS_GREEN)} options={percentageOptions} />
+                      <Line data={createChartData('GP Unused %', 'gpUnusedPct', NHS_GREEN, true, seriesData)} options={percentageOptions} />
                     </div>
                   </Card>
                   <Card className="h-64">
                     <h3 className="font-bold text-slate-700 mb-2 text-sm uppercase">GP DNA Rate</h3>
-                    <p className="text-xs text-slate-400 mb-4">% of GP appointments</p>
+                    <p className="text-xs text-slate-400 mb-4">% of GP appointments{wasteAttributionLabel && ` (${wasteAttributionLabel})`}</p>
                     <div className="h-40">
-                      <Line data={createChartData('GP DNA %', 'gpDNAPct', NHS_RED)} options={percentageOptions} />
+                      <Line data={createChartData('GP DNA %', 'gpDNAPct', NHS_RED, true, seriesData)} options={percentageOptions} />
                     </div>
                   </Card>
                   <Card className="h-64">
@@ -2950,9 +2665,9 @@ export default function App() {
                     <p className="text-xs text-slate-400 mb-4">Total GP appointments</p>
                     <div className="h-40">
                       <Bar data={{
-                        labels: displayedData.map(d => d.month),
+                        labels: seriesData.map(d => d.month),
                         datasets: [
-                          { label: 'GP Appointments', data: displayedData.map(d => d.gpAppts), backgroundColor: NHS_BLUE },
+                          { label: 'GP Appointments', data: seriesData.map(d => d.gpAppts), backgroundColor: NHS_BLUE },
                         ]
                       }} options={commonOptions} />
                     </div>
@@ -3066,7 +2781,7 @@ export default function App() {
                 <Card className="h-80">
                   <h3 className="font-bold text-slate-700 mb-2">Online Request Rate</h3>
                   <p className="text-xs text-slate-400 mb-4">Requests per 1000 patients per week</p>
-                  <Line data={createChartData('Requests/1000/wk', 'onlineRequestsPer1000', NHS_AQUA, false)} options={onlineRequestBandOptions} />
+                  <Line data={createChartData('Requests/1000/wk', 'onlineRequestsPer1000', NHS_AQUA, false, seriesData)} options={onlineRequestBandOptions} />
                 </Card>
 
                 <Card className="h-96">
@@ -3129,6 +2844,17 @@ export default function App() {
                       })}
                     </div>
 
+                    {telephonySources.length > 0 && (
+                      <div className="text-xs text-slate-500 space-y-1">
+                        <p>Source: {telephonySources.join(', ')}</p>
+                        {telephonyLowConfidenceMonths.length > 0 && (
+                          <p className="text-amber-600">
+                            Estimated or unavailable in this export: {telephonyLowConfidenceMonths.map(d => `${d.month} (${d.telephonyLowConfidence})`).join('; ')}
+                          </p>
+                        )}
+                      </div>
+                    )}
+
                     <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
                       <Card className="h-80">
                         <h3 className="font-bold text-slate-700 mb-4">Queue Percentage Split</h3>
@@ -3224,7 +2950,11 @@ export default function App() {
                 </Card>
                 {forecastData && forecastData.hasData && (
                   <div>
-                    <h3 className="text-xl font-bold text-slate-700 mb-4 mt-8">Future Trends (Next 2 Months)</h3>
+                    <h3 className="text-xl font-bold text-slate-700 mb-1 mt-8">Future Trends (Next 2 Months)</h3>
+                    <p className="text-xs text-slate-500 mb-4">
+                      Shaded bands show the {Math.round((forecastData.intervalLevel || 0.8) * 100)}% prediction interval.
+                      {forecastData.appts?.model && <> Models: appointments {forecastData.appts.model}, calls {forecastData.calls?.model}. Seasonal models are tried once 12+ months are loaded.</>}
+                    </p>
                     <div className="grid grid-cols-2 gap-6">
                       <div className="h-80 border border-slate-200 rounded-xl p-4"><Line data={createForecastChartData('Actual Appointments', 'Forecast Trend', forecastData.appts, NHS_BLUE)} options={pdfChartOptions} /></div>
                       <div className="h-80 border border-slate-200 rounded-xl p-4"><Line data={createForecastChartData('Actual Calls', 'Forecast Trend', forecastData.calls, NHS_PURPLE)} options={pdfChartOptions} /></div>
@@ -3259,7 +2989,7 @@ export default function App() {
 
         {/* FOLLOW UP ANALYSIS CONTENT */}
         <div className={dataSource === 'local' && mainTab === 'followup' ? '' : 'hidden'}>
-          <FollowUpAnalysis />
+          <FollowUpAnalysis practiceId={config.odsCode || config.surgeryName} />
         </div>
 
       </main>
@@ -3272,7 +3002,9 @@ export default function App() {
         onConfirm={() => {
           setProcessedData(null);
           setSelectedMonth('All');
+          setGranularity('month');
           setAiReport(null);
+          setAiFindings([]);
           setConfig({ ...config, surgeryName: '', odsCode: '', population: 10000 });
           setFiles({ appointments: [], dna: [], unused: [], onlineRequests: [], telephony: [] });
           setRawStaffData([]);
@@ -3280,6 +3012,10 @@ export default function App() {
           setRawCombinedData([]);
           setRawOnlineData([]);
           setForecastData(null);
+          setPcnWorkspace({ name: '', practices: [createPcnPractice(1), createPcnPractice(2)] });
+          setPcnInputs(null);
+          setPcnResult(null);
+          setPcnView('pcn');
           setShowResetConfirm(false);
         }}
       />
@@ -3325,9 +3061,19 @@ export default function App() {
         onClose={() => setShowAdminPanel(false)}
       />
 
+      <StaffRosterModal
+        isOpen={showStaffRoster}
+        onClose={() => setShowStaffRoster(false)}
+        roster={staffRoster}
+        onSave={handleSaveStaffRoster}
+        canReprocess={Boolean(lastLocalInputs)}
+      />
+
       <ComparisonBuilder
         isOpen={showComparisonBuilder}
         onClose={() => setShowComparisonBuilder(false)}
+        currentDashboard={processedData ? { processedData, config } : null}
+        onOpenLocal={setLocalComparison}
         onComparisonCreated={(id) => {
           setShowComparisonBuilder(false);
           setComparisonId(id);
@@ -2,7 +2,7 @@ import React, { useState, useMemo, useCallback, useRef } from 'react';
 import {
   Upload, FileText, AlertCircle, CheckCircle, Calendar, Clock,
   TrendingUp, BarChart3, Info, Users, Activity, ArrowUp, ArrowDown,
-  ChevronDown, ChevronUp, ArrowUpDown, Printer, Loader2, HelpCircle
+  ChevronDown, ChevronUp, ArrowUpDown, Printer, Loader2, HelpCircle, UserCog
 } from 'lucide-react';
 import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
@@ -22,15 +22,18 @@ import {
 } from 'chart.js';
 import Card from './ui/Card';
 import FollowUpGuideModal from './modals/FollowUpGuideModal';
+import StaffRosterModal from './modals/StaffRosterModal';
 import { trackEvent } from '../firebase/config';
 import {
   parseFollowUpCSV,
+  isDoctor,
   mergeCSVTexts,
   calculateOverallFollowUpRates,
   calculateSameGPFollowUpRates,
   calculateClinicianFollowUpRates,
   calculateMonthlyTrends,
 } from '../utils/followUpParser';
+import { buildStaffRoster, getStaffRosterKey, loadStaffRoster, saveStaffRoster } from '../utils/staffRoster';
 
 // Sample CSV
 import sampleCSVUrl from '../assets/followup/followup.csv?url';
@@ -45,10 +48,25 @@ const TIMEFRAME_OPTIONS = [
 
 const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-export default function FollowUpAnalysis() {
+// Parse follow-up CSV text, classifying clinicians with the practice's saved staff roster
+const parseWithRoster = (csvText, practiceId) => {
+  const base = parseFollowUpCSV(csvText);
+  if (!base) return { parsed: null, roster: [], rosterKey: null };
+  const rosterKey = getStaffRosterKey(practiceId, base.orgName);
+  const roster = buildStaffRoster(base.allClinicians, loadStaffRoster(rosterKey), isDoctor);
+  return { parsed: parseFollowUpCSV(csvText, { staffRoster: roster }), roster, rosterKey };
+};
+
+export default function FollowUpAnalysis({ practiceId = '' }) {
   const [data, setData] = useState(null);
   const [error, setError] = useState(null);
   const [showGuide, setShowGuide] = useState(false);
+
+  // Raw CSV is kept so the data can be re-parsed after staff roles are edited
+  const [sourceCSV, setSourceCSV] = useState(null);
+  const [staffRoster, setStaffRoster] = useState([]);
+  const [rosterKey, setRosterKey] = useState(null);
+  const [showStaffRoster, setShowStaffRoster] = useState(false);
   const [timeframe, setTimeframe] = useState('all');
   const [activeSection, setActiveSection] = useState('overview');
   const [expandedDoctor, setExpandedDoctor] = useState(null);
@@ -99,12 +117,15 @@ export default function FollowUpAnalysis() {
         // Merge all CSV texts: take header from first, data rows from all
         const csvTexts = results.map(r => r.text);
         const merged = mergeCSVTexts(csvTexts);
-        const parsed = parseFollowUpCSV(merged);
+        const { parsed, roster, rosterKey: key } = parseWithRoster(merged, practiceId);
         if (!parsed || parsed.totalAppointments === 0) {
           setError('Could not parse the CSV file(s). Please check the format includes Clinician, Appointment date, and NHS number columns.');
           return;
         }
         setData(parsed);
+        setSourceCSV(merged);
+        setStaffRoster(roster);
+        setRosterKey(key);
         setFileNames(results.map(r => r.name));
         setError(null);
         trackEvent('followup_file_uploaded', { file_count: results.length });
@@ -115,18 +136,21 @@ export default function FollowUpAnalysis() {
 
     // Reset the input so re-uploading the same files works
     e.target.value = '';
-  }, []);
+  }, [practiceId]);
 
   const loadSample = useCallback(async () => {
     try {
       const response = await fetch(sampleCSVUrl);
       const text = await response.text();
-      const parsed = parseFollowUpCSV(text);
+      const { parsed, roster, rosterKey: key } = parseWithRoster(text);
       if (!parsed || parsed.totalAppointments === 0) {
         setError('Could not parse sample data.');
         return;
       }
       setData(parsed);
+      setSourceCSV(text);
+      setStaffRoster(roster);
+      setRosterKey(key);
       setFileNames(['sample-data.csv']);
       setError(null);
       trackEvent('followup_sample_loaded');
@@ -135,6 +159,18 @@ export default function FollowUpAnalysis() {
     }
   }, []);
 
+  // Save edited staff roles and re-run the analysis with them
+  const handleSaveStaffRoster = (roster) => {
+    if (rosterKey) saveStaffRoster(rosterKey, roster);
+    setStaffRoster(roster);
+    setShowStaffRoster(false);
+    if (sourceCSV) {
+      const parsed = parseFollowUpCSV(sourceCSV, { staffRoster: roster });
+      if (parsed) setData(parsed);
+    }
+    trackEvent('followup_staff_roles_saved', { staff_count: roster.length });
+  };
+
   const analysisRef = useRef(null);
   const [exporting, setExporting] = useState(false);
 
@@ -391,7 +427,7 @@ export default function FollowUpAnalysis() {
                 <li>Per-clinician breakdown - follow-up rates for each individual doctor</li>
                 <li>Monthly trends - how follow-up patterns change over time</li>
               </ul>
-              <p className="mt-2">Only clinicians whose name starts with "Dr" are included in GP analysis.</p>
+              <p className="mt-2">Clinicians whose name starts with "Dr" are treated as GPs by default. After uploading, use Staff Roles to correct or exclude clinicians.</p>
             </div>
           </div>
         </Card>
@@ -449,6 +485,14 @@ export default function FollowUpAnalysis() {
               {exporting ? <Loader2 size={14} className="animate-spin" /> : <Printer size={14} />}
               {exporting ? 'Exporting...' : 'Export PDF'}
             </button>
+            <button
+              onClick={() => setShowStaffRoster(true)}
+              className="flex items-center gap-1.5 px-3 py-1.5 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 text-xs font-medium text-slate-600"
+              title="Choose which clinicians count as GPs"
+            >
+              <UserCog size={14} />
+              Staff Roles
+            </button>
             <button
               onClick={() => { setShowGuide(true); trackEvent('followup_guide_opened'); }}
               className="flex items-center gap-1.5 px-3 py-1.5 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 text-xs font-medium text-blue-600"
@@ -832,7 +876,7 @@ export default function FollowUpAnalysis() {
                 <h3 className="font-bold text-teal-800">Follow-up Rates by Clinician</h3>
                 <p className="text-sm text-teal-700">
                   For each GP, what percentage of their appointments result in the patient returning to <em>any</em> GP
-                  within 1, 2 and 4 weeks. GPs only (clinician name starting with "Dr").
+                  within 1, 2 and 4 weeks. GPs only (as set in Staff Roles).
                 </p>
               </div>
             </div>
@@ -1074,7 +1118,7 @@ export default function FollowUpAnalysis() {
         <div className="flex items-start gap-3">
           <Info className="text-slate-400 mt-0.5 flex-shrink-0" size={16} />
           <div className="text-xs text-slate-500 space-y-1">
-            <p><strong>About this analysis:</strong> Follow-up rates measure how often a patient returns within a given window after a GP appointment. Only clinicians whose name starts with "Dr" are included in GP analysis.</p>
+            <p><strong>About this analysis:</strong> Follow-up rates measure how often a patient returns within a given window after a GP appointment. Only clinicians marked as GPs in Staff Roles are included in GP analysis (by default, names starting with "Dr").</p>
             <p><strong>Any Doctor:</strong> Patient returns to any GP within the window. <strong>Same GP:</strong> Patient returns to the same GP. <strong>By Clinician:</strong> For each GP's appointments, whether the patient returns to any GP.</p>
             <p>This data is processed entirely in your browser. No patient data is sent to any server.</p>
           </div>
@@ -1082,6 +1126,12 @@ export default function FollowUpAnalysis() {
       </Card>
       </div>{/* end analysisRef */}
       <FollowUpGuideModal isOpen={showGuide} onClose={() => setShowGuide(false)} />
+      <StaffRosterModal
+        isOpen={showStaffRoster}
+        onClose={() => setShowStaffRoster(false)}
+        roster={staffRoster}
+        onSave={handleSaveStaffRoster}
+      />
     </div>
   );
 }
@@ -4,7 +4,7 @@ import {
   Search, X, Loader2, Calendar, Phone, Monitor, TrendingUp, Users,
   BarChart3, AlertTriangle, Info, Star, StarOff, ChevronDown, ExternalLink,
   Share2, Copy, CheckCircle, Sparkles, Activity, Clock, UserCheck, Trophy,
-  ChevronUp, ChevronRight, ArrowUp, ArrowDown, HeartPulse
+  ChevronUp, ChevronRight, ArrowUp, ArrowDown, HeartPulse, WifiOff
 } from 'lucide-react';
 import * as XLSX from 'xlsx';
 
@@ -16,7 +16,8 @@ import { trackEvent, trackPracticeLookup, trackTabView, trackNationalAIAnalysis
 // Component imports
 import Card from './ui/Card';
 import PracticeCentricLeaderboard from './ui/PracticeCentricLeaderboard';
-import { findSimilarPractices } from '../utils/comparisonUtils';
+import { findPeerPractices } from '../utils/peerMatching';
+import { getPracticeByODS } from '../utils/pracPopUtils';
 import MetricCard from './ui/MetricCard';
 import Toast from './ui/Toast';
 import FancyNationalLoader from './ui/FancyNationalLoader';
@@ -26,10 +27,13 @@ import NationalOnlineConsultations from './NationalOnlineConsultations';
 import NationalWorkforce from './NationalWorkforce';
 import CAIPConsentModal from './modals/CAIPConsentModal';
 import SimpleMarkdown from './markdown/SimpleMarkdown';
+import AnalysisFindings from './ui/AnalysisFindings';
+import StitchNote from './ui/StitchNote';
 
 // Utility imports
 import { parseNationalAppointmentsData, searchAppointmentPractices } from '../utils/parseNationalAppointments';
-import { loadAppointmentsData, loadTelephonyData, loadOnlineConsultationsData, loadWorkforceData } from '../data/dataLoader';
+import { loadAppointmentsData, loadTelephonyData, loadOnlineConsultationsData, loadWorkforceData, loadPracticeShard, practiceShardMonths } from '../data/dataLoader';
+import { getRecentPractice, listRecentPractices } from '../utils/offlineStore';
 import {
   calculatePracticeMetrics,
   calculateNetworkAverages,
@@ -41,11 +45,24 @@ import {
   calculateCombinedDemandIndex,
 } from '../utils/demandCapacityMetrics';
 import {
-  buildCAIPPrompts,
+  buildCAIPAnalysisPayload,
+  CAIP_PROMPT_VERSION,
+  CAIP_METRIC_LABELS,
   calculatePercentile,
   calculateTrend,
   getPreviousMonths,
 } from '../utils/caipAnalysisPrompt';
+import { requestAIAnalysis } from '../utils/aiAnalysisClient';
+import { trackFindings, buildFindingsHistory } from '../utils/analysisFindings';
+import {
+  buildPracticeLineage,
+  findPracticeRecord,
+  stitchPractices,
+  collectStitchedFrom,
+  getStitchedMonths,
+  stitchedPointStyle,
+  STITCH_OPTIONS,
+} from '../utils/practiceLineage';
 import {
   saveAnalysis,
   checkAnalysisStatus,
@@ -64,6 +81,31 @@ import { NHS_BLUE, NHS_GREEN, NHS_RED, NHS_AMBER, GP_BAND_RED, GP_BAND_AMBER, GP
 import { COMPARISON_COLORS } from '../constants/colors';
 import { commonOptions, percentageOptions, donutOptions, gpBandOptions } from '../constants/chartConfigs';
 
+// Where each CAIP metric is charted, so AI finding cards can link to it
+const CAIP_FINDING_CHARTS = {
+  gpApptsPerDemand: { subTab: 'appointments', appointmentSubTab: 'gp-metrics', label: 'GP Metrics' },
+  gpApptsPer1000: { subTab: 'appointments', appointmentSubTab: 'gp-metrics', label: 'GP Metrics' },
+  gpMedOcPctPerDay: { subTab: 'appointments', appointmentSubTab: 'gp-metrics', label: 'GP Metrics' },
+  gpApptPctPerDay: { subTab: 'appointments', appointmentSubTab: 'gp-metrics', label: 'GP Metrics' },
+  nonGpClinicalPctPerDay: { subTab: 'appointments', appointmentSubTab: 'other-staff', label: 'Other Staff' },
+  dnaRatePct: { subTab: 'appointments', appointmentSubTab: 'dna', label: 'DNA Rates' },
+  sameDayBookingPct: { subTab: 'appointments', appointmentSubTab: 'booking', label: 'Booking Waits' },
+  inboundCallsPer1000: { subTab: 'telephony', label: 'Telephony' },
+  answeredCallsPer1000: { subTab: 'telephony', label: 'Telephony' },
+  missedCallsPer1000: { subTab: 'telephony', label: 'Telephony' },
+  missedCallRatePct: { subTab: 'telephony', label: 'Telephony' },
+  ocPer1000: { subTab: 'online-consultations', label: 'Online Consultations' },
+  ocMedicalPct: { subTab: 'online-consultations', label: 'Online Consultations' },
+  patientsPerGpWte: { subTab: 'workforce', label: 'Workforce' },
+  patientsPerClinicalWte: { subTab: 'workforce', label: 'Workforce' },
+};
+const CAIP_FINDING_CHART_LABELS = Object.fromEntries(
+  Object.entries(CAIP_FINDING_CHARTS).map(([metric, chart]) => [metric, chart.label])
+);
+
+// Predecessor/successor links from the corrections registry, for optional merger stitching
+const PRACTICE_LINEAGE = buildPracticeLineage();
+
 /**
  * National Demand & Capacity Analysis Component
  * Unified hub combining appointment, telephony, and online consultation data
@@ -298,6 +340,9 @@ const NationalDemandCapacity = ({
   const [timeRangePreset, setTimeRangePreset] = useState('last12');
   const [customStartMonth, setCustomStartMonth] = useState(defaultStartMonth);
   const [customEndMonth, setCustomEndMonth] = useState(defaultEndMonth);
+  // Stitch merged practices into the continuing practice's history (only offered when the registry has links)
+  const [stitchMergedPractices, setStitchMergedPractices] = useState(false);
+  const stitchActive = stitchMergedPractices && PRACTICE_LINEAGE.links.length > 0;
 
   // Telephony and OC data - loaded by child components and shared here for combined metrics
   const [telephonyData, setTelephonyData] = useState(null);
@@ -305,6 +350,12 @@ const NationalDemandCapacity = ({
   const [workforceNationalData, setWorkforceNationalData] = useState(null);
   const populationData = null;
 
+  // Offline without cached month files: practices saved on this device can still be opened,
+  // with only their own data loaded (so no rankings or PCN/national comparisons)
+  const [nationalUnavailable, setNationalUnavailable] = useState(false);
+  const [savedPracticeOnly, setSavedPracticeOnly] = useState(false);
+  const [recentPractices, setRecentPractices] = useState([]);
+
   // Practice selection
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
@@ -319,6 +370,7 @@ const NationalDemandCapacity = ({
 
   // Compare tab state
   const [comparePractices, setComparePractices] = useState([]);
+  const [comparePeerMatches, setComparePeerMatches] = useState({}); // odsCode -> { similarity, reasons }
   const [compareSearchQuery, setCompareSearchQuery] = useState('');
   const [compareSearchResults, setCompareSearchResults] = useState([]);
   const [compareSort, setCompareSort] = useState({ key: 'practice', direction: 'asc' });
@@ -342,6 +394,13 @@ const NationalDemandCapacity = ({
   const [isAnalysisStale, setIsAnalysisStale] = useState(false);
   const [isAiMinimized, setIsAiMinimized] = useState(false);
 
+  // Saved findings, compared with the findings from the analysis before it
+  const trackedFindings = useMemo(() => {
+    const findings = savedAnalysis?.findings || [];
+    const previous = savedAnalysis?.findingsHistory?.at(-1)?.findings;
+    return previous ? trackFindings(findings, previous) : { findings, resolved: [] };
+  }, [savedAnalysis]);
+
   // ========================================
   // SUB-TABS CONFIGURATION
   // ========================================
@@ -414,6 +473,7 @@ const NationalDemandCapacity = ({
   // Load appointment data for a single month
   const loadMonthData = useCallback(async (month) => {
     if (loadedMonths.has(month)) return appointmentData[month];
+    if (nationalUnavailable) return null;
 
     // Check if we have pre-loaded JSON data
     if (preloadedJsonRef.current && preloadedJsonRef.current[month]) {
@@ -447,7 +507,7 @@ const NationalDemandCapacity = ({
     } finally {
       setLoadingMonth(null);
     }
-  }, [loadedMonths, appointmentData]);
+  }, [loadedMonths, appointmentData, nationalUnavailable]);
 
   // Load priority months on mount - try JSON first
   useEffect(() => {
@@ -485,6 +545,13 @@ const NationalDemandCapacity = ({
         }
       }
 
+      // Offline the XLSX files can't be fetched either; saved practices are offered instead
+      if (!navigator.onLine) {
+        setNationalUnavailable(true);
+        setAppointmentsLoading(false);
+        return;
+      }
+
       // Fallback: Load from XLSX files
       for (let i = 0; i < PRIORITY_MONTHS.length; i++) {
         await loadMonthData(PRIORITY_MONTHS[i]);
@@ -537,9 +604,49 @@ const NationalDemandCapacity = ({
     // Track practice lookup
     trackPracticeLookup(practice.odsCode, 'national');
 
+    // Keep this practice's file on the device for offline lookups
+    loadPracticeShard(practice.odsCode);
+
     setToast({ type: 'success', message: `Selected: ${practice.gpName}` });
   }, [setSharedPractice, recordPracticeUsage]);
 
+  // Open a practice from the copy saved on this device (see offlineStore.js) when the month files can't be loaded
+  const openSavedPractice = useCallback(async (odsCode) => {
+    const saved = await getRecentPractice(odsCode);
+    const months = saved ? practiceShardMonths(saved.shard) : null;
+    const latestMonth = MONTHS_NEWEST_FIRST.find(month => months?.appointments[month]);
+    if (!latestMonth) {
+      setToast({ type: 'error', message: `${odsCode} isn't saved on this device` });
+      return;
+    }
+
+    setAppointmentData(months.appointments);
+    setLoadedMonths(new Set(Object.keys(months.appointments)));
+    setTelephonyData(months.telephony);
+    setOcData(months.onlineConsultations);
+    setSavedPracticeOnly(true);
+    setSelectedMonth(latestMonth);
+    handleSelectPractice(months.appointments[latestMonth].practices[0], { recordUsage: false });
+  }, [handleSelectPractice]);
+
+  useEffect(() => {
+    if (!nationalUnavailable) return;
+    let cancelled = false;
+    listRecentPractices().then(practices => {
+      if (!cancelled) setRecentPractices(practices);
+    });
+    return () => { cancelled = true; };
+  }, [nationalUnavailable]);
+
+  // Practice from the URL or another tab, when only its saved copy is available
+  const savedPracticeAttemptedRef = useRef(false);
+  useEffect(() => {
+    const odsCode = initialOdsCode || sharedPractice?.odsCode;
+    if (!nationalUnavailable || selectedPractice || !odsCode || savedPracticeAttemptedRef.current) return;
+    savedPracticeAttemptedRef.current = true;
+    openSavedPractice(odsCode.toUpperCase());
+  }, [nationalUnavailable, selectedPractice, initialOdsCode, sharedPractice, openSavedPractice]);
+
   const copyPracticeLink = useCallback(async () => {
     if (!selectedPractice?.odsCode) return;
     const url = `${window.location.origin}/${selectedPractice.odsCode}`;
@@ -569,7 +676,7 @@ const NationalDemandCapacity = ({
 
   // Auto-select practice from URL ODS code
   useEffect(() => {
-    if (!initialOdsCode || selectedPractice) return;
+    if (!initialOdsCode || selectedPractice || nationalUnavailable) return;
     const normalizedOds = initialOdsCode.toUpperCase();
     const findAndSelect = async () => {
       const source = preloadedJsonRef.current || appointmentData;
@@ -589,23 +696,35 @@ const NationalDemandCapacity = ({
       }
     };
     findAndSelect();
-  }, [initialOdsCode, selectedPractice, appointmentData, handleSelectPractice, loadMonthData]);
+  }, [initialOdsCode, selectedPractice, nationalUnavailable, appointmentData, handleSelectPractice, loadMonthData]);
 
   // ========================================
   // CALCULATED METRICS
   // ========================================
 
+  // A practice's record in one month of a dataset, combined with its predecessors when stitching
+  const findPractice = useCallback((monthData, odsCode, dataset) => findPracticeRecord(
+    monthData, odsCode, stitchActive ? { lineage: PRACTICE_LINEAGE, ...STITCH_OPTIONS[dataset] } : null
+  ), [stitchActive]);
+
+  // A month's practice list, with predecessors folded into their successors when stitching
+  const monthPractices = useCallback((monthData, dataset) => (
+    stitchActive
+      ? stitchPractices(monthData.practices, PRACTICE_LINEAGE, STITCH_OPTIONS[dataset])
+      : monthData.practices
+  ), [stitchActive]);
+
   const telephonyByOds = useMemo(() => {
     const monthData = telephonyData?.[selectedMonth];
     if (!monthData?.practices) return new Map();
-    return new Map(monthData.practices.map(practice => [practice.odsCode, practice]));
-  }, [telephonyData, selectedMonth]);
+    return new Map(monthPractices(monthData, 'telephony').map(practice => [practice.odsCode, practice]));
+  }, [telephonyData, selectedMonth, monthPractices]);
 
   const ocByOds = useMemo(() => {
     const monthData = ocData?.[selectedMonth];
     if (!monthData?.practices) return new Map();
-    return new Map(monthData.practices.map(practice => [practice.odsCode, practice]));
-  }, [ocData, selectedMonth]);
+    return new Map(monthPractices(monthData, 'onlineConsultations').map(practice => [practice.odsCode, practice]));
+  }, [ocData, selectedMonth, monthPractices]);
 
   // Get workforce data for selected month (fallback to latest available)
   const workforceByOds = useMemo(() => {
@@ -706,6 +825,27 @@ const NationalDemandCapacity = ({
     }
   }, [comparePractices]);
 
+  // Nearest peers for the selected practice: this month's practices with their OC suppliers
+  // and, where the population file has it, their age profile
+  const addPeersToCompare = useCallback(() => {
+    const practices = appointmentData[selectedMonth]?.practices;
+    if (!selectedPractice || !practices) return;
+    const withContext = (practice) => ({
+      ...practice,
+      ocSuppliers: ocByOds.get(practice.odsCode)?.suppliers || [],
+      ageProfile: getPracticeByODS(practice.odsCode)?.ageProfile || null,
+    });
+    const peers = findPeerPractices(withContext(selectedPractice), practices.map(withContext), { count: 5 });
+    if (peers.length === 0) return;
+
+    const byOds = new Map(practices.map(practice => [practice.odsCode, practice]));
+    setComparePractices([selectedPractice, ...peers.map(peer => byOds.get(peer.odsCode))]);
+    setComparePeerMatches(Object.fromEntries(
+      peers.map(peer => [peer.odsCode, { similarity: peer.similarity, reasons: peer.reasons }])
+    ));
+    trackEvent('compare_peers_added', { count: peers.length });
+  }, [appointmentData, selectedMonth, selectedPractice, ocByOds]);
+
   const compareTrendMonths = useMemo(() => {
     const source = preloadedJsonRef.current || appointmentData;
     return timeRangeMonths.filter(month => source[month]);
@@ -733,13 +873,13 @@ const NationalDemandCapacity = ({
       const seriesByMonth = new Map();
       compareTrendMonths.forEach(month => {
         const monthData = appointmentData[month] || preloadedJsonRef.current?.[month];
-        const apptPractice = monthData?.practices?.find(p => p.odsCode === practice.odsCode);
+        const apptPractice = findPractice(monthData, practice.odsCode, 'appointments');
         if (!apptPractice) {
           seriesByMonth.set(month, null);
           return;
         }
-        const monthTelephony = telephonyData?.[month]?.practices?.find(p => p.odsCode === practice.odsCode) || null;
-        const monthOc = ocData?.[month]?.practices?.find(p => p.odsCode === practice.odsCode) || null;
+        const monthTelephony = findPractice(telephonyData?.[month], practice.odsCode, 'telephony');
+        const monthOc = findPractice(ocData?.[month], practice.odsCode, 'onlineConsultations');
         const population = apptPractice.listSize || 10000;
         const metrics = calculatePracticeMetrics(apptPractice, monthTelephony, monthOc, population, month);
         seriesByMonth.set(month, { metrics, oc: monthOc });
@@ -751,7 +891,7 @@ const NationalDemandCapacity = ({
         seriesByMonth,
       };
     });
-  }, [comparePractices, compareTrendMonths, appointmentData, telephonyData, ocData, compareColorMap]);
+  }, [comparePractices, compareTrendMonths, appointmentData, telephonyData, ocData, compareColorMap, findPractice]);
 
   const compareRows = useMemo(() => {
     return comparePractices.map(practice => {
@@ -939,8 +1079,9 @@ const NationalDemandCapacity = ({
     metrics.inboundCalls = practiceTelephony?.inboundCalls || 0;
     metrics.answeredCalls = practiceTelephony?.answered || 0;
 
-    // Calculate rankings based on gpApptPerDayPct metric (higher = better access)
-    const allPractices = currentData.practices;
+    // Calculate rankings based on gpApptPerDayPct metric (higher = better access);
+    // a saved practice has nothing to be ranked against
+    const allPractices = savedPracticeOnly ? [] : currentData.practices;
     const allMetricsWithOds = allPractices.map(p => {
       const population = p.listSize || 10000;
       const pTelephony = telephonyByOds.get(p.odsCode) || null;
@@ -1006,12 +1147,12 @@ const NationalDemandCapacity = ({
       rankedByGpApptPerDay: sortedNational,
       rankedByGpOcPerDay: sortedNationalGpOc,
     };
-  }, [selectedPractice, appointmentData, selectedMonth, telephonyByOds, ocByOds, populationData]);
+  }, [selectedPractice, appointmentData, selectedMonth, telephonyByOds, ocByOds, populationData, savedPracticeOnly]);
 
   const pcnAverages = useMemo(() => {
-    if (!appointmentData[selectedMonth] || !selectedPractice) return null;
+    if (!appointmentData[selectedMonth] || !selectedPractice || savedPracticeOnly) return null;
     const currentData = appointmentData[selectedMonth];
-    const pcnPractices = currentData.practices.filter(
+    const pcnPractices = monthPractices(currentData, 'appointments').filter(
       practice => practice.pcnCode === selectedPractice.pcnCode
     );
     if (pcnPractices.length === 0) return null;
@@ -1038,11 +1179,11 @@ const NationalDemandCapacity = ({
       dnaPct: totals.dnaPct / totals.count,
       sameDayPct: totals.sameDayPct / totals.count,
     };
-  }, [appointmentData, selectedMonth, selectedPractice, telephonyByOds, ocByOds]);
+  }, [appointmentData, selectedMonth, selectedPractice, telephonyByOds, ocByOds, monthPractices, savedPracticeOnly]);
 
   // Calculate network averages
   const networkAverages = useMemo(() => {
-    if (!appointmentData[selectedMonth]) return null;
+    if (!appointmentData[selectedMonth] || savedPracticeOnly) return null;
 
     const currentData = appointmentData[selectedMonth];
     const allMetrics = currentData.practices.map(practice => {
@@ -1053,11 +1194,11 @@ const NationalDemandCapacity = ({
     });
 
     return calculateNetworkAverages(allMetrics);
-  }, [appointmentData, selectedMonth, telephonyByOds, ocByOds]);
+  }, [appointmentData, selectedMonth, telephonyByOds, ocByOds, savedPracticeOnly]);
 
   // Collect national metric arrays for percentile calculations
   const nationalMetricArrays = useMemo(() => {
-    if (!appointmentData[selectedMonth]) return {};
+    if (!appointmentData[selectedMonth] || savedPracticeOnly) return {};
 
     const currentData = appointmentData[selectedMonth];
     const allMetrics = currentData.practices.map(practice => {
@@ -1099,7 +1240,7 @@ const NationalDemandCapacity = ({
       patientsPerGpWte: patientsPerGpWteArray,
       patientsPerClinicalWte: patientsPerClinicalWteArray,
     };
-  }, [appointmentData, selectedMonth, telephonyByOds, ocByOds, workforceByOds]);
+  }, [appointmentData, selectedMonth, telephonyByOds, ocByOds, workforceByOds, savedPracticeOnly]);
 
   // Check for existing CAIP analysis when practice changes
   useEffect(() => {
@@ -1226,14 +1367,12 @@ const NationalDemandCapacity = ({
       const monthData = appointmentData[month];
       if (!monthData) continue;
 
-      const practice = monthData.practices.find(p => p.odsCode === selectedPractice.odsCode);
+      const practice = findPractice(monthData, selectedPractice.odsCode, 'appointments');
       if (!practice) continue;
 
       const population = practice.listSize || 10000;
-      const telephonyMonth = telephonyData?.[month];
-      const ocMonth = ocData?.[month];
-      const practiceTelephony = telephonyMonth?.practices?.find(p => p.odsCode === practice.odsCode) || null;
-      const practiceOC = ocMonth?.practices?.find(p => p.odsCode === practice.odsCode) || null;
+      const practiceTelephony = findPractice(telephonyData?.[month], practice.odsCode, 'telephony');
+      const practiceOC = findPractice(ocData?.[month], practice.odsCode, 'onlineConsultations');
       const metrics = calculatePracticeMetrics(practice, practiceTelephony, practiceOC, population, month);
 
       // Collect metrics for trends
@@ -1254,7 +1393,7 @@ const NationalDemandCapacity = ({
     }
 
     return historicalMetrics;
-  }, [selectedPractice, selectedMonth, appointmentData, telephonyData, ocData]);
+  }, [selectedPractice, selectedMonth, appointmentData, telephonyData, ocData, findPractice]);
 
   // Run CAIP Analysis
   const runCAIPAnalysis = useCallback(async () => {
@@ -1263,6 +1402,7 @@ const NationalDemandCapacity = ({
     setIsAiLoading(true);
     setAiError(null);
     setAiErrorType(null);
+    let hasStreamedText = false;
 
     try {
       // Load previous months' data for trend calculations
@@ -1298,14 +1438,12 @@ const NationalDemandCapacity = ({
         const monthData = loadedHistoricalData[month];
         if (!monthData) continue;
 
-        const practice = monthData.practices.find(p => p.odsCode === selectedPractice.odsCode);
+        const practice = findPractice(monthData, selectedPractice.odsCode, 'appointments');
         if (!practice) continue;
 
         const population = practice.listSize || 10000;
-        const telephonyMonth = telephonyData?.[month];
-        const ocMonth = ocData?.[month];
-        const practiceTelephony = telephonyMonth?.practices?.find(p => p.odsCode === practice.odsCode) || null;
-        const practiceOC = ocMonth?.practices?.find(p => p.odsCode === practice.odsCode) || null;
+        const practiceTelephony = findPractice(telephonyData?.[month], practice.odsCode, 'telephony');
+        const practiceOC = findPractice(ocData?.[month], practice.odsCode, 'onlineConsultations');
         const metrics = calculatePracticeMetrics(practice, practiceTelephony, practiceOC, population, month);
 
         if (metrics.gpApptsPerCall != null) historicalMetrics.gpApptsPerCall.push(metrics.gpApptsPerCall);
@@ -1324,8 +1462,8 @@ const NationalDemandCapacity = ({
         }
       }
 
-      // Build system + user prompts (split for OpenAI prompt caching)
-      const { systemPrompt, userPrompt } = buildCAIPPrompts({
+      // Structured metrics and national percentiles; the prompt itself is built server-side
+      const analysisPayload = buildCAIPAnalysisPayload({
         practiceName: selectedPractice.gpName,
         listSize: selectedPractice.listSize || practiceMetrics.listSize,
         metrics: practiceMetrics,
@@ -1337,21 +1475,17 @@ const NationalDemandCapacity = ({
         hasWorkforceData: Boolean(workforceMetrics),
       });
 
-      // Call OpenAI via server-side API route
-      const response = await fetch('/api/analyze', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ systemPrompt, userPrompt }),
+      // Stream the analysis from the server-side API route, showing it as it is written
+      const data = await requestAIAnalysis(analysisPayload, {
+        onText: (partial) => {
+          hasStreamedText = true;
+          setAiReport(partial);
+          setActiveSubTab('analysis');
+        },
       });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.error || `API error (${response.status})`);
-      }
-
       const text = data.text;
-      if (!text) throw new Error('No response generated from AI');
+      // Keep the previous analysis's findings so actions can be tracked between analyses
+      const findingsHistory = buildFindingsHistory(savedAnalysis);
 
       // Save to Firebase
       const savedSuccessfully = await saveAnalysis({
@@ -1361,6 +1495,8 @@ const NationalDemandCapacity = ({
         analysis: text,
         cacheKey: ENTIRE_TIMEFRAME_ANALYSIS_KEY,
         scope: 'entire_timeframe',
+        findings: data.findings,
+        findingsHistory,
       });
 
       // Update state
@@ -1374,8 +1510,10 @@ const NationalDemandCapacity = ({
         cacheKey: ENTIRE_TIMEFRAME_ANALYSIS_KEY,
         scope: 'entire_timeframe',
         analysis: text,
+        findings: data.findings,
+        findingsHistory,
         generatedAt: new Date(),
-        promptVersion: '2.0',
+        promptVersion: data.promptVersion || CAIP_PROMPT_VERSION,
       });
       setActiveSubTab('analysis');
       setIsAiLoading(false);
@@ -1392,6 +1530,9 @@ const NationalDemandCapacity = ({
     } catch (error) {
       console.error('CAIP Analysis error:', error);
 
+      // Don't leave a half-written report on screen
+      if (hasStreamedText) setAiReport(null);
+
       const errorMessage = error.message?.toLowerCase() || '';
       const isRateLimit = errorMessage.includes('rate limit') ||
                           errorMessage.includes('429') ||
@@ -1415,6 +1556,7 @@ const NationalDemandCapacity = ({
     getHistoricalMetrics,
     loadMonthData,
     appointmentData,
+    findPractice,
   ]);
 
   // ========================================
@@ -1422,6 +1564,15 @@ const NationalDemandCapacity = ({
   // ========================================
   const [appointmentSubTab, setAppointmentSubTab] = useState('overview');
 
+  // Open the tab charting a finding's metric
+  const handleViewFindingChart = (metric) => {
+    const chart = CAIP_FINDING_CHARTS[metric];
+    if (!chart) return;
+    if (chart.appointmentSubTab) setAppointmentSubTab(chart.appointmentSubTab);
+    setActiveSubTab(chart.subTab);
+    trackTabView('national', chart.subTab);
+  };
+
   const APPOINTMENT_SUB_TABS = [
     { id: 'overview', label: 'Overview', icon: BarChart3 },
     { id: 'gp-metrics', label: 'GP Metrics', icon: UserCheck },
@@ -1465,15 +1616,17 @@ const NationalDemandCapacity = ({
         for (const month of monthsToLoad) {
           const monthData = loadedData[month];
           if (monthData) {
-            const practice = monthData.practices.find(p => p.odsCode === selectedPractice.odsCode);
+            const practice = findPractice(monthData, selectedPractice.odsCode, 'appointments');
             if (practice) {
               const population = practice.listSize || 10000;
-              const telephonyMonth = telephonyData?.[month];
-              const ocMonth = ocData?.[month];
-              const practiceTelephony = telephonyMonth?.practices?.find(p => p.odsCode === practice.odsCode) || null;
-              const practiceOC = ocMonth?.practices?.find(p => p.odsCode === practice.odsCode) || null;
+              const practiceTelephony = findPractice(telephonyData?.[month], practice.odsCode, 'telephony');
+              const practiceOC = findPractice(ocData?.[month], practice.odsCode, 'onlineConsultations');
               const metrics = calculatePracticeMetrics(practice, practiceTelephony, practiceOC, population, month);
-              dataPoints.push({ month, ...metrics });
+              dataPoints.push({
+                month,
+                ...metrics,
+                stitchedFrom: collectStitchedFrom(practice, practiceTelephony, practiceOC),
+              });
             }
           }
         }
@@ -1481,7 +1634,18 @@ const NationalDemandCapacity = ({
       };
       loadHistoricalData();
     }
-  }, [selectedPractice, appointmentData, telephonyData, ocData, timeRangeMonths]);
+  }, [selectedPractice, appointmentData, telephonyData, ocData, timeRangeMonths, findPractice]);
+
+  // Months whose figures include merged predecessors (drawn with diamond points)
+  const historicalStitchFlags = historicalData.map(d => d.stitchedFrom?.length > 0);
+  const renderStitchNote = (className = 'mt-2') => (
+    <StitchNote
+      lineage={PRACTICE_LINEAGE}
+      odsCode={selectedPractice?.odsCode}
+      months={getStitchedMonths(historicalData)}
+      className={className}
+    />
+  );
 
   // ========================================
   // LOADING STATE CALCULATIONS
@@ -1617,6 +1781,20 @@ const NationalDemandCapacity = ({
                 </select>
               </div>
             )}
+            {PRACTICE_LINEAGE.links.length > 0 && (
+              <label
+                className="flex items-center gap-2 text-sm text-blue-100 cursor-pointer"
+                title="Combine practices that merged or changed ODS code into the continuing practice's trends and PCN averages"
+              >
+                <input
+                  type="checkbox"
+                  checked={stitchMergedPractices}
+                  onChange={(e) => setStitchMergedPractices(e.target.checked)}
+                  className="rounded border-white/30"
+                />
+                Stitch merged practices
+              </label>
+            )}
             <button
               onClick={copyPracticeLink}
               disabled={!selectedPractice}
@@ -1894,6 +2072,39 @@ const NationalDemandCapacity = ({
         </button>
       </div>
 
+      {/* Offline: only practices saved on this device can be shown */}
+      {nationalUnavailable && (
+        <Card className="relative z-0 bg-amber-50 border-amber-200">
+          <div className="flex items-start gap-3">
+            <WifiOff className="text-amber-600 flex-shrink-0 mt-0.5" size={20} />
+            <div className="flex-1">
+              <p className="font-semibold text-amber-800">You're offline and the national data isn't saved on this device</p>
+              <p className="text-sm text-amber-700 mt-1">
+                {savedPracticeOnly
+                  ? `Showing the copy of ${selectedPractice?.gpName || 'this practice'} saved on this device. Rankings and PCN, ICB and national comparisons need a connection.`
+                  : recentPractices.length > 0
+                    ? 'Practices viewed recently were saved and can still be opened:'
+                    : 'No practices have been saved yet. Practices you view while online are kept for offline use.'}
+              </p>
+              {!savedPracticeOnly && recentPractices.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {recentPractices.map(practice => (
+                    <button
+                      key={practice.odsCode}
+                      type="button"
+                      onClick={() => openSavedPractice(practice.odsCode)}
+                      className="px-3 py-1.5 rounded-lg bg-white border border-amber-200 text-sm text-amber-800 hover:bg-amber-100 transition-colors"
+                    >
+                      {practice.gpName || practice.odsCode} <span className="text-amber-500">{practice.odsCode}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </Card>
+      )}
+
       {/* No Practice Selected Message - z-0 ensures it stays below search dropdown */}
       {!selectedPractice && (
         <Card className="relative z-0 py-8">
@@ -2250,7 +2461,7 @@ const NationalDemandCapacity = ({
                             backgroundColor: 'transparent',
                             fill: false,
                             tension: 0.4,
-                            pointRadius: 4,
+                            ...stitchedPointStyle(historicalStitchFlags, 4),
                             pointHoverRadius: 6,
                           },
                           {
@@ -2261,7 +2472,7 @@ const NationalDemandCapacity = ({
                             borderDash: [5, 5],
                             fill: false,
                             tension: 0.4,
-                            pointRadius: 4,
+                            ...stitchedPointStyle(historicalStitchFlags, 4),
                             pointHoverRadius: 6,
                           },
                         ],
@@ -2296,6 +2507,7 @@ const NationalDemandCapacity = ({
                   <p className="text-xs text-slate-500 mt-2 text-center">
                     GP+OC includes GP + Online medical consultation
                   </p>
+                  {renderStitchNote()}
                 </Card>
               )}
 
@@ -2750,6 +2962,7 @@ const NationalDemandCapacity = ({
                               backgroundColor: `${NHS_BLUE}33`,
                               fill: true,
                               tension: 0.4,
+                              ...stitchedPointStyle(historicalStitchFlags),
                             },
                             {
                               label: 'GP+OC/Day %',
@@ -2758,6 +2971,7 @@ const NationalDemandCapacity = ({
                               borderDash: [5, 5],
                               fill: false,
                               tension: 0.4,
+                              ...stitchedPointStyle(historicalStitchFlags),
                             },
                           ],
                         }}
@@ -2772,6 +2986,7 @@ const NationalDemandCapacity = ({
                         }}
                       />
                     </div>
+                    {renderStitchNote()}
                   </Card>
 
                   <Card>
@@ -2790,6 +3005,7 @@ const NationalDemandCapacity = ({
                             backgroundColor: `${NHS_RED}33`,
                             fill: true,
                             tension: 0.4,
+                            ...stitchedPointStyle(historicalStitchFlags),
                           }],
                         }}
                         options={{
@@ -2804,6 +3020,7 @@ const NationalDemandCapacity = ({
                         }}
                       />
                     </div>
+                    {renderStitchNote()}
                   </Card>
                 </>
               ) : (
@@ -3444,9 +3661,12 @@ const NationalDemandCapacity = ({
                   <Sparkles className="text-white" size={24} />
                 </div>
                 <div>
-                  <h3 className="font-bold text-purple-800">CAIP Analysis</h3>
+                  <h3 className="font-bold text-purple-800 flex items-center gap-2">
+                    CAIP Analysis
+                    {isAiLoading && <Loader2 size={14} className="animate-spin text-purple-400" />}
+                  </h3>
                   <p className="text-sm text-purple-600">
-                    AI-powered demand & capacity analysis for {selectedPractice.gpName}
+                    {isAiLoading ? 'Writing analysis' : 'AI-powered demand & capacity analysis'} for {selectedPractice.gpName}
                   </p>
                 </div>
               </div>
@@ -3515,6 +3735,19 @@ const NationalDemandCapacity = ({
             </Card>
           )}
 
+          {/* Structured findings (hidden while a new analysis is being written) */}
+          {!isAiMinimized && !isAiLoading && trackedFindings.findings.length > 0 && (
+            <Card>
+              <AnalysisFindings
+                findings={trackedFindings.findings}
+                resolved={trackedFindings.resolved}
+                metricLabels={CAIP_METRIC_LABELS}
+                chartLabels={CAIP_FINDING_CHART_LABELS}
+                onViewChart={handleViewFindingChart}
+              />
+            </Card>
+          )}
+
         </div>
       )}
 
@@ -3680,6 +3913,7 @@ const NationalDemandCapacity = ({
                 <p className="text-sm text-slate-600 mt-1">
                   Key metric trends over {historicalData.length} months ({trendLabels[0]} - {trendLabels[trendLabels.length - 1]})
                 </p>
+                {renderStitchNote('mt-2 justify-center')}
               </div>
             </Card>
 
@@ -3774,7 +4008,7 @@ const NationalDemandCapacity = ({
                           backgroundColor: '#2563eb20',
                           fill: true,
                           tension: 0.3,
-                          pointRadius: 3,
+                          ...stitchedPointStyle(historicalStitchFlags),
                           borderWidth: 2,
                         },
                         {
@@ -3784,7 +4018,7 @@ const NationalDemandCapacity = ({
                           backgroundColor: '#4f46e520',
                           fill: false,
                           tension: 0.3,
-                          pointRadius: 3,
+                          ...stitchedPointStyle(historicalStitchFlags),
                           borderWidth: 2,
                           borderDash: [4, 2],
                         },
@@ -3818,7 +4052,7 @@ const NationalDemandCapacity = ({
                           backgroundColor: '#dc262620',
                           fill: true,
                           tension: 0.3,
-                          pointRadius: 3,
+                          ...stitchedPointStyle(historicalStitchFlags),
                           borderWidth: 2,
                         },
                         {
@@ -3828,7 +4062,7 @@ const NationalDemandCapacity = ({
                           backgroundColor: '#0d948820',
                           fill: false,
                           tension: 0.3,
-                          pointRadius: 3,
+                          ...stitchedPointStyle(historicalStitchFlags),
                           borderWidth: 2,
                         },
                       ],
@@ -3860,7 +4094,7 @@ const NationalDemandCapacity = ({
                           borderColor: '#7c3aed',
                           fill: false,
                           tension: 0.3,
-                          pointRadius: 3,
+                          ...stitchedPointStyle(historicalStitchFlags),
                           borderWidth: 2,
                         },
                         {
@@ -3869,7 +4103,7 @@ const NationalDemandCapacity = ({
                           borderColor: '#0ea5e9',
                           fill: false,
                           tension: 0.3,
-                          pointRadius: 3,
+                          ...stitchedPointStyle(historicalStitchFlags),
                           borderWidth: 2,
                         },
                         {
@@ -3878,7 +4112,7 @@ const NationalDemandCapacity = ({
                           borderColor: '#10b981',
                           fill: false,
                           tension: 0.3,
-                          pointRadius: 3,
+                          ...stitchedPointStyle(historicalStitchFlags),
                           borderWidth: 2,
                         },
                       ],
@@ -3911,7 +4145,7 @@ const NationalDemandCapacity = ({
                           backgroundColor: '#d9770620',
                           fill: true,
                           tension: 0.3,
-                          pointRadius: 3,
+                          ...stitchedPointStyle(historicalStitchFlags),
                           borderWidth: 2,
                         }],
                       }}
@@ -4034,10 +4268,28 @@ const NationalDemandCapacity = ({
         });
         const allLabels = [...historicalLabels, ...futureLabels];
 
-        // Sparkline chart helper
+        // Sparkline chart helper - shaded band is the forecast's prediction interval
+        const forecastLead = (historical) => [...new Array(historical.length - 1).fill(null), historical[historical.length - 1]];
         const buildSparkline = (historical, forecast, color, label) => ({
           labels: allLabels,
           datasets: [
+            {
+              label: 'Upper bound',
+              data: [...forecastLead(historical), ...forecast.forecasts.map(f => f.upper)],
+              borderColor: 'transparent',
+              backgroundColor: color + '20',
+              fill: '+1',
+              tension: 0.3,
+              pointRadius: 0,
+            },
+            {
+              label: 'Lower bound',
+              data: [...forecastLead(historical), ...forecast.forecasts.map(f => f.lower)],
+              borderColor: 'transparent',
+              fill: false,
+              tension: 0.3,
+              pointRadius: 0,
+            },
             {
               label: label,
               data: [...historical, null],
@@ -4045,16 +4297,15 @@ const NationalDemandCapacity = ({
               backgroundColor: color + '20',
               fill: true,
               tension: 0.3,
-              pointRadius: 2,
+              ...stitchedPointStyle([...historicalStitchFlags, false], 2),
               borderWidth: 2,
             },
             {
               label: 'Forecast',
-              data: [...new Array(historical.length - 1).fill(null), historical[historical.length - 1], ...forecast.forecasts.map(f => f.value)],
+              data: [...forecastLead(historical), ...forecast.forecasts.map(f => f.value)],
               borderColor: color,
               borderDash: [6, 3],
-              backgroundColor: color + '10',
-              fill: true,
+              fill: false,
               tension: 0.3,
               pointRadius: 3,
               pointStyle: 'triangle',
@@ -4073,6 +4324,13 @@ const NationalDemandCapacity = ({
           },
         };
 
+        // Next month's prediction interval and the model that produced it
+        const formatForecastRange = (forecast, digits = 1) => {
+          const next = forecast.forecasts[0];
+          if (!next) return null;
+          return `${Math.round(forecast.level * 100)}% range: ${next.lower.toFixed(digits)} - ${next.upper.toFixed(digits)} (${forecast.modelLabel})`;
+        };
+
         const getTrendIcon = (trend) => {
           if (trend === 'increasing') return <ArrowUp className="text-green-600" size={18} />;
           if (trend === 'decreasing') return <ArrowDown className="text-red-600" size={18} />;
@@ -4095,6 +4353,15 @@ const NationalDemandCapacity = ({
                 <p className="text-sm text-slate-600 mt-1">
                   3-month predictions based on {historicalData.length} months of historical data across all data sources
                 </p>
+                <p className="text-xs text-slate-500 mt-1">
+                  {historicalData.length < 12
+                    ? 'Linear trend (seasonal models need 12+ months of history)'
+                    : historicalData.length === 12
+                      ? 'Seasonal naive model where the year shows a seasonal swing, otherwise linear trend'
+                      : 'Linear, seasonal naive or Holt-Winters model chosen per metric by backtest error'}
+                  {' '}| Shaded bands show the {Math.round(gpApptDayForecast.level * 100)}% prediction interval
+                </p>
+                {renderStitchNote('mt-2 justify-center')}
               </div>
             </Card>
 
@@ -4113,6 +4380,7 @@ const NationalDemandCapacity = ({
                   Next month forecast | R²: {(gpApptDayForecast.r2 * 100).toFixed(0)}%
                 </p>
                 <p className="text-xs text-slate-400 capitalize">Trend: {gpApptDayForecast.trend}</p>
+                <p className="text-xs text-slate-400">{formatForecastRange(gpApptDayForecast, 2)}</p>
               </Card>
 
               {/* GP+OC Appts/Day */}
@@ -4128,6 +4396,7 @@ const NationalDemandCapacity = ({
                   Next month forecast | R²: {(gpApptOcDayForecast.r2 * 100).toFixed(0)}%
                 </p>
                 <p className="text-xs text-slate-400 capitalize">Trend: {gpApptOcDayForecast.trend}</p>
+                <p className="text-xs text-slate-400">{formatForecastRange(gpApptOcDayForecast, 2)}</p>
               </Card>
 
               {/* Missed Call % */}
@@ -4144,6 +4413,7 @@ const NationalDemandCapacity = ({
                     Next month forecast | R²: {(missedCallForecast.r2 * 100).toFixed(0)}%
                   </p>
                   <p className="text-xs text-slate-400 capitalize">Trend: {missedCallForecast.trend}</p>
+                  <p className="text-xs text-slate-400">{formatForecastRange(missedCallForecast)}</p>
                 </Card>
               )}
 
@@ -4161,6 +4431,7 @@ const NationalDemandCapacity = ({
                     Next month forecast | R²: {(ocRateForecast.r2 * 100).toFixed(0)}%
                   </p>
                   <p className="text-xs text-slate-400 capitalize">Trend: {ocRateForecast.trend}</p>
+                  <p className="text-xs text-slate-400">{formatForecastRange(ocRateForecast)}</p>
                 </Card>
               )}
 
@@ -4177,6 +4448,7 @@ const NationalDemandCapacity = ({
                   Next month forecast | R²: {(dnaPctForecast.r2 * 100).toFixed(0)}%
                 </p>
                 <p className="text-xs text-slate-400 capitalize">Trend: {dnaPctForecast.trend}</p>
+                <p className="text-xs text-slate-400">{formatForecastRange(dnaPctForecast)}</p>
               </Card>
 
               {/* Same Day Booking % */}
@@ -4192,6 +4464,7 @@ const NationalDemandCapacity = ({
                   Next month forecast | R²: {(sameDayPctForecast.r2 * 100).toFixed(0)}%
                 </p>
                 <p className="text-xs text-slate-400 capitalize">Trend: {sameDayPctForecast.trend}</p>
+                <p className="text-xs text-slate-400">{formatForecastRange(sameDayPctForecast)}</p>
               </Card>
             </div>
 
@@ -4372,24 +4645,19 @@ const NationalDemandCapacity = ({
               <div className="flex items-center gap-2">
                 {selectedPractice && appointmentData[selectedMonth]?.practices && (
                   <button
-                    onClick={() => {
-                      const similar = findSimilarPractices(
-                        selectedPractice,
-                        appointmentData[selectedMonth].practices,
-                        5
-                      );
-                      if (similar.length > 0) {
-                        setComparePractices([selectedPractice, ...similar]);
-                      }
-                    }}
+                    onClick={addPeersToCompare}
+                    title="Nearest practices by list size, clinical system and online consultation supplier"
                     className="px-3 py-1.5 text-xs font-medium text-orange-700 bg-orange-50 border border-orange-200 rounded-lg hover:bg-orange-100 flex items-center gap-1.5"
                   >
                     <Users size={14} />
-                    Compare to Similar Size
+                    Compare to Peers
                   </button>
                 )}
                 <button
-                  onClick={() => setComparePractices([])}
+                  onClick={() => {
+                    setComparePractices([]);
+                    setComparePeerMatches({});
+                  }}
                   className="text-xs font-medium text-slate-600 hover:text-slate-800"
                   disabled={comparePractices.length === 0}
                 >
@@ -4496,6 +4764,14 @@ const NationalDemandCapacity = ({
                         <td className="p-2">
                           <div className="font-medium text-slate-800">{practice.gpName}</div>
                           <div className="text-xs text-slate-400">{practice.odsCode}</div>
+                          {comparePeerMatches[practice.odsCode] && (
+                            <div
+                              className="text-xs text-orange-700"
+                              title={comparePeerMatches[practice.odsCode].reasons.join('\n')}
+                            >
+                              {comparePeerMatches[practice.odsCode].similarity}% match • {comparePeerMatches[practice.odsCode].reasons.slice(0, 2).join(', ')}
+                            </div>
+                          )}
                         </td>
                         <td className="p-2 text-right text-slate-700">{(practice.listSize || 0).toLocaleString()}</td>
                         <td className="p-2 text-slate-600 text-xs">{practice.pcnName || '—'}</td>
@@ -5151,6 +5427,7 @@ const NationalDemandCapacity = ({
           parentSelectedMonth={selectedMonth}
           parentCompareMode={compareMode}
           parentTimeRangeMonths={timeRangeMonths}
+          parentStitchMerged={stitchActive}
           workforceMetrics={workforceMetrics}
         />
       </div>
@@ -5177,6 +5454,7 @@ const NationalDemandCapacity = ({
           parentSelectedMonth={selectedMonth}
           parentCompareMode={compareMode}
           parentTimeRangeMonths={timeRangeMonths}
+          parentStitchMerged={stitchActive}
           workforceMetrics={workforceMetrics}
         />
       </div>
@@ -16,8 +16,12 @@ import {
   Legend,
   Filler,
 } from 'chart.js';
+import { loadOnlineConsultationsData, loadPracticeIndex } from '../data/dataLoader';
+import { benchmarkAmongPeers } from '../utils/peerMatching';
 import Card from './ui/Card';
 import PracticeCentricLeaderboard from './ui/PracticeCentricLeaderboard';
+import StitchNote from './ui/StitchNote';
+import { buildPracticeLineage, stitchMonthsData, getStitchedMonths, stitchedPointStyle, STITCH_OPTIONS } from '../utils/practiceLineage';
 import {
   parseOnlineConsultationsData,
   getSupplierStats,
@@ -106,6 +110,9 @@ const MONTHS_ORDERED = [
   'September 2025', 'October 2025', 'November 2025', 'December 2025', 'January 2026', 'February 2026'
 ];
 
+// Predecessor/successor links from the corrections registry, for optional merger stitching
+const PRACTICE_LINEAGE = buildPracticeLineage();
+
 const NationalOnlineConsultations = ({
   sharedPractice,
   setSharedPractice,
@@ -119,19 +126,28 @@ const NationalOnlineConsultations = ({
   parentSelectedMonth, // Optional: controlled month from parent component
   parentCompareMode, // Optional: controlled compare mode from parent component
   parentTimeRangeMonths, // Optional: controlled time range months from parent component
+  parentStitchMerged, // Optional: controlled merger stitching from parent component
   workforceMetrics, // Optional: workforce cross-over metrics from parent
 }) => {
-  const [allMonthsData, setAllMonthsData] = useState({});
+  const [rawMonthsData, setRawMonthsData] = useState({});
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [localSelectedMonth, setLocalSelectedMonth] = useState('February 2026');
   const [localCompareWithPrevious, setLocalCompareWithPrevious] = useState(true);
+  const [localStitchMerged, setLocalStitchMerged] = useState(false);
 
   // Use parent-controlled values if provided, otherwise use local state
   const selectedMonth = parentSelectedMonth || localSelectedMonth;
   const setSelectedMonth = parentSelectedMonth ? () => {} : setLocalSelectedMonth;
   const compareWithPrevious = parentCompareMode !== undefined ? parentCompareMode : localCompareWithPrevious;
   const setCompareWithPrevious = parentCompareMode !== undefined ? () => {} : setLocalCompareWithPrevious;
+  const stitchMerged = parentStitchMerged !== undefined ? parentStitchMerged : localStitchMerged;
+
+  // With stitching on, merged practices are folded into their successor every month,
+  // so trends, forecasts, consistency leaderboards and PCN figures follow the continuing practice
+  const allMonthsData = useMemo(() => (
+    stitchMerged ? stitchMonthsData(rawMonthsData, PRACTICE_LINEAGE, STITCH_OPTIONS.onlineConsultations) : rawMonthsData
+  ), [rawMonthsData, stitchMerged]);
   const [activeTab, setActiveTab] = useState('overview');
   const [showBookmarks, setShowBookmarks] = useState(false);
   const [showInterpretationTooltip, setShowInterpretationTooltip] = useState(false);
@@ -205,6 +221,22 @@ const NationalOnlineConsultations = ({
   // Get current data based on selected month
   const data = allMonthsData[selectedMonth] || null;
 
+  // Practice index rows add the clinical system to the OC records' list size and suppliers
+  const [practiceIndex, setPracticeIndex] = useState(null);
+  useEffect(() => {
+    loadPracticeIndex().then(setPracticeIndex);
+  }, []);
+
+  // Submissions per 1000 patients against the nearest peers
+  const peerGroup = useMemo(() => {
+    if (!selectedPractice || !data?.practices) return null;
+    return benchmarkAmongPeers(selectedPractice.odsCode, data.practices, {
+      metric: practice => practice.ratePer1000,
+      higherBetter: true,
+      profiles: practiceIndex?.practices || data.practices,
+    });
+  }, [selectedPractice, data, practiceIndex]);
+
   // Switch away from Trends/Forecasting tab if comparison is disabled
   useEffect(() => {
     if (!compareWithPrevious && (activeTab === 'trends' || activeTab === 'forecasting')) {
@@ -267,10 +299,7 @@ const NationalOnlineConsultations = ({
         // Try to load pre-processed JSON first (much faster - 10-20x improvement)
         let jsonData = null;
         try {
-          const jsonResponse = await fetch('/data/online-consultations.json');
-          if (jsonResponse.ok) {
-            jsonData = await jsonResponse.json();
-          }
+          jsonData = await loadOnlineConsultationsData();
         } catch (e) {
           // Fallback to XLSX parsing
         }
@@ -306,7 +335,7 @@ const NationalOnlineConsultations = ({
 
         console.log(`=== ONLINE CONSULTATIONS DATA LOADED === ${Object.keys(allData).length} months`);
 
-        setAllMonthsData(allData);
+        setRawMonthsData(allData);
         onDataLoaded?.(allData);
         setLoading(false);
         onLoadingChange?.(false);
@@ -461,6 +490,7 @@ const NationalOnlineConsultations = ({
             ratePer1000: practice.ratePer1000,
             clinicalSubmissions: practice.clinicalSubmissions,
             adminSubmissions: practice.adminSubmissions,
+            stitchedFrom: practice.stitchedFrom,
           });
         }
       }
@@ -515,6 +545,18 @@ const NationalOnlineConsultations = ({
                 />
                 <span className="text-sm text-slate-600 font-medium">Compare with previous months</span>
               </label>
+
+              {PRACTICE_LINEAGE.links.length > 0 && (
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={stitchMerged}
+                    onChange={(e) => setLocalStitchMerged(e.target.checked)}
+                    className="w-4 h-4 text-indigo-600 border-slate-300 rounded focus:ring-indigo-500"
+                  />
+                  <span className="text-sm text-slate-600 font-medium">Stitch merged practices</span>
+                </label>
+              )}
             </div>
 
             <div className="flex flex-wrap justify-center gap-4">
@@ -1020,7 +1062,7 @@ const NationalOnlineConsultations = ({
             </Card>
 
             {/* Rankings */}
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className={`grid grid-cols-1 ${peerGroup ? 'md:grid-cols-2 lg:grid-cols-4' : 'md:grid-cols-3'} gap-4`}>
               {/* National Ranking Detail */}
               <Card className="bg-gradient-to-br from-amber-50 to-white border-amber-200">
                 <h4 className="text-sm font-bold text-amber-900 mb-2">National Position</h4>
@@ -1049,6 +1091,21 @@ const NationalOnlineConsultations = ({
                   <p className="text-sm text-slate-600">of {pcnRanking.total} in PCN</p>
                 </div>
               </Card>
+
+              {/* Peer Group Ranking */}
+              {peerGroup && (
+                <Card className="bg-gradient-to-br from-orange-50 to-white border-orange-200">
+                  <h4 className="text-sm font-bold text-orange-900 mb-2">Peer Group Position</h4>
+                  <div
+                    className="text-center"
+                    title={peerGroup.peers.map(peer => `${peer.gpName} (${peer.similarity}% match): ${peer.value.toFixed(1)} per 1000 - ${peer.reasons.slice(0, 2).join(', ')}`).join('\n')}
+                  >
+                    <p className="text-3xl font-bold text-orange-700">#{peerGroup.rank}</p>
+                    <p className="text-sm text-slate-600">of {peerGroup.total} similar practices</p>
+                    <p className="text-xs text-orange-600 mt-1">Peer median {peerGroup.median.toFixed(1)} per 1000</p>
+                  </div>
+                </Card>
+              )}
             </div>
 
             {/* PCN Practice League */}
@@ -1108,8 +1165,10 @@ const NationalOnlineConsultations = ({
             adminPct: practice ? practice.adminPct * 100 : 0,
             avgRatePer1000: monthData?.national.avgRatePer1000 || 0,
             totalSubmissions: monthData?.national.totalSubmissions || 0,
+            stitched: practice?.stitchedFrom?.length > 0,
           };
         });
+        const stitchedMonths = chartMonths.filter((month, i) => history[i].stitched);
 
         const practiceHistory = history;
         const nationalHistory = history;
@@ -1158,6 +1217,7 @@ const NationalOnlineConsultations = ({
                         backgroundColor: 'rgba(99, 102, 241, 0.1)',
                         fill: true,
                         tension: 0.3,
+                        ...stitchedPointStyle(practiceHistory.map(d => d.stitched)),
                       },
                       {
                         label: 'National Average',
@@ -1178,6 +1238,7 @@ const NationalOnlineConsultations = ({
                   }}
                 />
               </div>
+              <StitchNote lineage={PRACTICE_LINEAGE} odsCode={selectedPractice.odsCode} months={stitchedMonths} className="mt-3" />
             </Card>
 
             {/* Submission Type Mix Over Time */}
@@ -1743,6 +1804,7 @@ const NationalOnlineConsultations = ({
         const allLabels = [...historicalLabels, ...forecastLabels];
 
         const historicalSubmissions = practiceTrendData.map(d => d.submissions);
+        const historicalPointStyle = stitchedPointStyle([...practiceTrendData.map(d => d.stitchedFrom?.length > 0), false, false, false]);
         const forecastedSubmissions = submissionsForecast.forecasts.map(f => f.value);
 
         const historicalRates = practiceTrendData.map(d => d.ratePer1000);
@@ -1784,6 +1846,12 @@ const NationalOnlineConsultations = ({
               <div className="text-center py-2">
                 <h2 className="text-xl font-bold text-slate-800">🔮 3-Month Forecast</h2>
                 <p className="text-sm text-slate-600 mt-1">Based on {practiceTrendData.length} months of historical data</p>
+                <StitchNote
+                  lineage={PRACTICE_LINEAGE}
+                  odsCode={selectedPractice.odsCode}
+                  months={getStitchedMonths(practiceTrendData)}
+                  className="mt-2 justify-center"
+                />
               </div>
             </Card>
 
@@ -1868,6 +1936,7 @@ const NationalOnlineConsultations = ({
                         backgroundColor: 'rgba(0, 94, 184, 0.1)',
                         fill: true,
                         tension: 0.3,
+                        ...historicalPointStyle,
                       },
                       {
                         label: 'Forecast Medical',
@@ -1930,6 +1999,7 @@ const NationalOnlineConsultations = ({
                         backgroundColor: 'rgba(99, 102, 241, 0.1)',
                         fill: true,
                         tension: 0.3,
+                        ...historicalPointStyle,
                       },
                       {
                         label: 'Forecast',
@@ -1969,6 +2039,7 @@ const NationalOnlineConsultations = ({
                         backgroundColor: 'rgba(34, 197, 94, 0.1)',
                         fill: true,
                         tension: 0.3,
+                        ...historicalPointStyle,
                       },
                       {
                         label: 'Forecast',
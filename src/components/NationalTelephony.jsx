@@ -14,10 +14,13 @@ import {
   Tooltip,
   Legend,
 } from 'chart.js';
+import { loadTelephonyData, loadPracticeIndex } from '../data/dataLoader';
 import Card from './ui/Card';
 import PracticeCentricLeaderboard from './ui/PracticeCentricLeaderboard';
+import StitchNote from './ui/StitchNote';
 import { NHS_GREEN, NHS_RED } from '../constants/colors';
 import { parseNationalTelephonyData, getAverageWaitTimeBin, getAverageDurationBin } from '../utils/parseNationalTelephony';
+import { buildPracticeLineage, stitchMonthsData, stitchedPointStyle, STITCH_OPTIONS } from '../utils/practiceLineage';
 import {
   calculateNationalRanking,
   calculateICBRanking,
@@ -31,6 +34,7 @@ import {
   calculateCallsSavedRanking
 } from '../utils/telephonyAnalysis';
 import { parsePopulationData, calculatePer1000, getWorkloadInterpretation } from '../utils/parsePopulationData';
+import { benchmarkAmongPeers } from '../utils/peerMatching';
 
 // Register Chart.js components
 ChartJS.register(
@@ -70,6 +74,9 @@ const MONTH_DATA = {
 // Ordered months for charts (oldest first)
 const MONTHS_ORDERED = ['October 2025', 'November 2025', 'December 2025', 'January 2026', 'February 2026'];
 
+// Predecessor/successor links from the corrections registry, for optional merger stitching
+const PRACTICE_LINEAGE = buildPracticeLineage();
+
 const NationalTelephony = ({
   sharedPractice,
   setSharedPractice,
@@ -83,9 +90,10 @@ const NationalTelephony = ({
   parentSelectedMonth, // Optional: controlled month from parent component
   parentCompareMode, // Optional: controlled compare mode from parent component
   parentTimeRangeMonths, // Optional: controlled time range months from parent component
+  parentStitchMerged, // Optional: controlled merger stitching from parent component
   workforceMetrics, // Optional: workforce cross-over metrics from parent
 }) => {
-  const [allMonthsData, setAllMonthsData] = useState({}); // Store all months data
+  const [rawMonthsData, setRawMonthsData] = useState({}); // Store all months data
   const [searchTerm, setSearchTerm] = useState('');
   const [loading, setLoading] = useState(true);
   const [showCallsSavedTooltip, setShowCallsSavedTooltip] = useState(false);
@@ -94,12 +102,20 @@ const NationalTelephony = ({
   const [showBookmarks, setShowBookmarks] = useState(true);
   const [localSelectedMonth, setLocalSelectedMonth] = useState('February 2026');
   const [localCompareWithPrevious, setLocalCompareWithPrevious] = useState(true);
+  const [localStitchMerged, setLocalStitchMerged] = useState(false);
 
   // Use parent-controlled values if provided, otherwise use local state
   const selectedMonth = parentSelectedMonth || localSelectedMonth;
   const setSelectedMonth = parentSelectedMonth ? () => {} : setLocalSelectedMonth;
   const compareWithPrevious = parentCompareMode !== undefined ? parentCompareMode : localCompareWithPrevious;
   const setCompareWithPrevious = parentCompareMode !== undefined ? () => {} : setLocalCompareWithPrevious;
+  const stitchMerged = parentStitchMerged !== undefined ? parentStitchMerged : localStitchMerged;
+
+  // With stitching on, merged practices are folded into their successor every month,
+  // so trends, consistency leaderboards and PCN figures follow the continuing practice
+  const allMonthsData = useMemo(() => (
+    stitchMerged ? stitchMonthsData(rawMonthsData, PRACTICE_LINEAGE, STITCH_OPTIONS.telephony) : rawMonthsData
+  ), [rawMonthsData, stitchMerged]);
   const [activeTab, setActiveTab] = useState('overview');
   const [showRecents, setShowRecents] = useState(() => (sharedUsageStats?.recentPractices?.length || 0) > 0);
   const [showSearchBox, setShowSearchBox] = useState(true);
@@ -162,6 +178,24 @@ const NationalTelephony = ({
   const data = allMonthsData[selectedMonth] || null;
   const recentPractices = usageStats.recentPractices || [];
 
+  // Practice index rows carry list size and suppliers for peer matching
+  const [practiceIndex, setPracticeIndex] = useState(null);
+  useEffect(() => {
+    loadPracticeIndex().then(setPracticeIndex);
+  }, []);
+
+  // Missed call % against the nearest peers, falling back to list sizes from the population file
+  const peerGroup = useMemo(() => {
+    if (!selectedPractice || !data?.practices) return null;
+    const populationMap = data.populationMap || {};
+    const profiles = practiceIndex?.practices
+      || data.practices.map(practice => ({ ...practice, listSize: populationMap[practice.odsCode] }));
+    return benchmarkAmongPeers(selectedPractice.odsCode, data.practices, {
+      metric: practice => practice.missedPct,
+      profiles,
+    });
+  }, [selectedPractice, data, practiceIndex]);
+
   useEffect(() => {
     if (recentPractices.length > 0 && !showRecents) {
       setShowRecents(true);
@@ -198,6 +232,13 @@ const NationalTelephony = ({
 
   const previousData = previousMonth ? allMonthsData[previousMonth] : null;
 
+  // Selected practice's chart months that include merged predecessors
+  const stitchedChartMonths = useMemo(() => {
+    if (!selectedPractice) return [];
+    return chartMonths.filter(month => allMonthsData[month]?.practices
+      .find(p => p.odsCode === selectedPractice.odsCode)?.stitchedFrom?.length > 0);
+  }, [selectedPractice, allMonthsData, chartMonths]);
+
   // Helper function to get practice data from previous month
   const getPreviousPracticeData = (odsCode) => {
     if (!previousData) return null;
@@ -398,10 +439,7 @@ const NationalTelephony = ({
         // Try to load pre-processed JSON first (much faster - 10-20x improvement)
         let jsonData = null;
         try {
-          const jsonResponse = await fetch('/data/telephony.json');
-          if (jsonResponse.ok) {
-            jsonData = await jsonResponse.json();
-          }
+          jsonData = await loadTelephonyData();
         } catch (e) {
           // Fallback to XLSX parsing
         }
@@ -465,7 +503,7 @@ const NationalTelephony = ({
 
         console.log(`=== TELEPHONY DATA LOADED === ${Object.keys(allData).length} months`);
 
-        setAllMonthsData(allData);
+        setRawMonthsData(allData);
         onDataLoaded?.(allData);
         setLoading(false);
         onLoadingChange?.(false);
@@ -556,6 +594,18 @@ const NationalTelephony = ({
                 />
                 <span className="text-sm text-slate-600 font-medium">Compare with previous months</span>
               </label>
+
+              {PRACTICE_LINEAGE.links.length > 0 && (
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={stitchMerged}
+                    onChange={(e) => setLocalStitchMerged(e.target.checked)}
+                    className="w-4 h-4 text-blue-600 border-slate-300 rounded focus:ring-blue-500"
+                  />
+                  <span className="text-sm text-slate-600 font-medium">Stitch merged practices</span>
+                </label>
+              )}
             </div>
 
             <div className="flex flex-wrap justify-center gap-4">
@@ -1168,7 +1218,7 @@ const NationalTelephony = ({
             </Card>
 
             {/* Rankings Section */}
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className={`grid grid-cols-1 ${peerGroup ? 'md:grid-cols-2 lg:grid-cols-4' : 'md:grid-cols-3'} gap-4`}>
               {/* National Ranking */}
               <Card className="bg-gradient-to-br from-blue-50 to-white border-blue-200">
                 <div className="flex items-start gap-3">
@@ -1210,6 +1260,25 @@ const NationalTelephony = ({
                   </div>
                 </div>
               </Card>
+
+              {/* Peer Group Ranking */}
+              {peerGroup && (
+                <Card className="bg-gradient-to-br from-orange-50 to-white border-orange-200">
+                  <div
+                    className="flex items-start gap-3"
+                    title={peerGroup.peers.map(peer => `${peer.gpName} (${peer.similarity}% match): ${peer.value.toFixed(1)}% missed - ${peer.reasons.slice(0, 2).join(', ')}`).join('\n')}
+                  >
+                    <Users size={32} className="text-orange-600 flex-shrink-0" />
+                    <div className="flex-1">
+                      <p className="text-xs text-slate-600 font-semibold uppercase mb-1">Peer Group Ranking</p>
+                      <p className="text-2xl font-bold text-slate-800">
+                        #{peerGroup.rank} <span className="text-sm text-slate-500">/ {peerGroup.total}</span>
+                      </p>
+                      <p className="text-sm text-slate-600 mt-1">Peer median {peerGroup.median.toFixed(1)}% missed</p>
+                    </div>
+                  </div>
+                </Card>
+              )}
             </div>
 
             {/* Workforce Cross-over Metrics - Only show when workforce data available */}
@@ -1311,7 +1380,8 @@ const NationalTelephony = ({
                               backgroundColor: 'rgba(59, 130, 246, 0.1)',
                               borderWidth: 2,
                               fill: true,
-                              tension: 0.3
+                              tension: 0.3,
+                              ...stitchedPointStyle(chartMonths.map(month => stitchedChartMonths.includes(month)))
                             },
                             {
                               label: 'National Average',
@@ -1347,6 +1417,12 @@ const NationalTelephony = ({
                     </div>
                   </div>
                 </div>
+                <StitchNote
+                  lineage={PRACTICE_LINEAGE}
+                  odsCode={selectedPractice.odsCode}
+                  months={stitchedChartMonths}
+                  className="mt-3 justify-center"
+                />
               </Card>
             )}
 
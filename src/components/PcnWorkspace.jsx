@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, ChevronDown, AlertCircle, Building2 } from 'lucide-react';
+import Card from './ui/Card';
+import SectionHeader from './ui/SectionHeader';
+import FileInput from './ui/FileInput';
+import PracticeLookup from './ui/PracticeLookup';
+import ClosureDaysInput from './ui/ClosureDaysInput';
+import DisclaimerNotice from './ui/DisclaimerNotice';
+import { getPracticeByODS } from '../utils/pracPopUtils';
+import { createPcnPractice, pcnPracticeLabel, MAX_PCN_PRACTICES } from '../utils/pcnWorkspace';
+
+const FILE_SLOTS = [
+  { type: 'appointments', label: 'Appointment Extract (CSV) *', accept: '.csv' },
+  { type: 'dna', label: 'DNA Extract (CSV) *', accept: '.csv' },
+  { type: 'unused', label: 'Unused Extract (CSV) *', accept: '.csv' },
+  { type: 'onlineRequests', label: 'Online Requests (CSV) - SystmConnect', accept: '.csv', setting: 'useOnline' },
+  { type: 'telephony', label: 'Telephony Reports (PDF or CSV) *', accept: 'application/pdf,.csv', setting: 'useTelephony' },
+];
+
+// Upload form for several practices at once (PCN mode of the local demand & capacity dashboard)
+// Each practice is tagged with its ODS code; population is filled in from the NHS list size data
+const PcnWorkspace = ({ workspace, onChange, config, onConfigChange, onProcess, isProcessing, error, onPracticeLookup }) => {
+  const [expandedId, setExpandedId] = useState(workspace.practices[0]?.id ?? null);
+
+  const updatePractice = (id, changes) => onChange({
+    ...workspace,
+    practices: workspace.practices.map(practice => (practice.id === id ? { ...practice, ...changes } : practice)),
+  });
+
+  const updateFiles = (id, type, update) => onChange({
+    ...workspace,
+    practices: workspace.practices.map(practice => (
+      practice.id === id ? { ...practice, files: { ...practice.files, [type]: update(practice.files[type]) } } : practice
+    )),
+  });
+
+  const addPractice = () => {
+    const id = Math.max(0, ...workspace.practices.map(practice => practice.id)) + 1;
+    onChange({ ...workspace, practices: [...workspace.practices, createPcnPractice(id)] });
+    setExpandedId(id);
+  };
+
+  const removePractice = (id) => onChange({
+    ...workspace,
+    practices: workspace.practices.filter(practice => practice.id !== id),
+  });
+
+  // Typing a full ODS code fills in the list size when it hasn't been entered
+  const handleOdsChange = (practice, value) => {
+    const odsCode = value.toUpperCase();
+    const match = getPracticeByODS(odsCode);
+    updatePractice(practice.id, {
+      odsCode,
+      ...(match && !practice.population ? { population: match.population } : {}),
+    });
+  };
+
+  const readyCount = workspace.practices.filter(practice => practice.files.appointments.length > 0).length;
+  const canProcess = !isProcessing && workspace.practices.length >= 2 && readyCount === workspace.practices.length;
+
+  return (
+    <>
+      <Card className="mb-6">
+        <SectionHeader title="PCN Details" subtitle="Settings here apply to every practice in the PCN." />
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-1">PCN Name</label>
+          <input
+            type="text"
+            className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-blue-500 focus:outline-none transition-all"
+            placeholder="e.g. Rushcliffe PCN"
+            value={workspace.name}
+            onChange={e => onChange({ ...workspace, name: e.target.value })}
+          />
+        </div>
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="flex items-center gap-2">
+            <input type="checkbox" id="pcn-telephony" className="w-4 h-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500" checked={config.useTelephony} onChange={e => onConfigChange({ ...config, useTelephony: e.target.checked })} />
+            <label htmlFor="pcn-telephony" className="text-sm text-slate-700 font-medium">Analyse Telephony Data</label>
+          </div>
+          <div className="flex items-center gap-2">
+            <input type="checkbox" id="pcn-online" className="w-4 h-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500" checked={config.useOnline} onChange={e => onConfigChange({ ...config, useOnline: e.target.checked })} />
+            <label htmlFor="pcn-online" className="text-sm text-slate-700 font-medium">Analyse Online Requests</label>
+          </div>
+        </div>
+        <div className="mt-4">
+          <ClosureDaysInput
+            value={config.closureDays}
+            onChange={(closureDays) => onConfigChange({ ...config, closureDays })}
+          />
+        </div>
+      </Card>
+
+      <Card>
+        <SectionHeader
+          title="Practices"
+          subtitle={`Upload each practice's SystmOne extracts and telephony reports. ${readyCount} of ${workspace.practices.length} ready.`}
+        />
+
+        <div className="space-y-4 mb-6">
+          {workspace.practices.map((practice, index) => {
+            const expanded = expandedId === practice.id;
+            const fileCount = Object.values(practice.files).reduce((sum, list) => sum + list.length, 0);
+            return (
+              <div key={practice.id} className="border border-slate-200 rounded-xl">
+                <div className="flex items-center gap-3 p-3">
+                  <button
+                    onClick={() => setExpandedId(expanded ? null : practice.id)}
+                    className="flex-1 flex items-center gap-3 text-left"
+                  >
+                    <div className="w-8 h-8 rounded-full bg-blue-50 text-blue-600 flex items-center justify-center text-sm font-bold">{index + 1}</div>
+                    <div className="min-w-0">
+                      <p className="font-medium text-slate-800 truncate">{pcnPracticeLabel(practice)}</p>
+                      <p className="text-xs text-slate-500">
+                        {practice.odsCode && <span className="font-mono mr-2">{practice.odsCode}</span>}
+                        {practice.population ? `${Number(practice.population).toLocaleString()} patients · ` : ''}
+                        {fileCount} file{fileCount === 1 ? '' : 's'}
+                      </p>
+                    </div>
+                    <ChevronDown size={16} className={`ml-auto text-slate-400 transition-transform ${expanded ? 'rotate-180' : ''}`} />
+                  </button>
+                  <button
+                    onClick={() => removePractice(practice.id)}
+                    className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                    title="Remove practice"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+
+                {expanded && (
+                  <div className="px-4 pb-2 border-t border-slate-100 pt-4">
+                    <div className="mb-4">
+                      <PracticeLookup
+                        onSelect={(match) => {
+                          updatePractice(practice.id, { odsCode: match.odsCode, population: match.population });
+                          onPracticeLookup?.(match);
+                        }}
+                      />
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                      <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Surgery Name</label>
+                        <input
+                          type="text"
+                          className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-blue-500 focus:outline-none transition-all"
+                          placeholder="e.g. High Street Practice"
+                          value={practice.surgeryName}
+                          onChange={e => updatePractice(practice.id, { surgeryName: e.target.value })}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">ODS Code</label>
+                        <input
+                          type="text"
+                          className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-blue-500 focus:outline-none transition-all font-mono uppercase"
+                          placeholder="e.g. A12345"
+                          maxLength={10}
+                          value={practice.odsCode}
+                          onChange={e => handleOdsChange(practice, e.target.value)}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Patient Population</label>
+                        <input
+                          type="number"
+                          className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-blue-500 focus:outline-none transition-all"
+                          value={practice.population}
+                          onChange={e => updatePractice(practice.id, { population: e.target.value })}
+                        />
+                      </div>
+                    </div>
+
+                    {FILE_SLOTS.map(slot => (
+                      <FileInput
+                        key={slot.type}
+                        label={slot.label}
+                        accept={slot.accept}
+                        file={practice.files[slot.type]}
+                        isMulti={true}
+                        disabled={slot.setting ? !config[slot.setting] : false}
+                        onChange={(e) => {
+                          if (e.target.files && e.target.files.length > 0) {
+                            const added = Array.from(e.target.files);
+                            updateFiles(practice.id, slot.type, list => [...list, ...added]);
+                          }
+                        }}
+                        onRemove={(fileIndex) => updateFiles(practice.id, slot.type, list => list.filter((_, i) => i !== fileIndex))}
+                      />
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <button
+          onClick={addPractice}
+          disabled={workspace.practices.length >= MAX_PCN_PRACTICES}
+          className="w-full mb-6 py-2.5 border-2 border-dashed border-slate-300 rounded-xl text-sm font-medium text-slate-600 hover:border-blue-400 hover:text-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+        >
+          <Plus size={16} />
+          {workspace.practices.length >= MAX_PCN_PRACTICES ? `Up to ${MAX_PCN_PRACTICES} practices` : 'Add Practice'}
+        </button>
+
+        {error && (
+          <div className="mb-4 p-4 bg-red-50 text-red-700 rounded-xl flex items-start gap-3 text-sm border border-red-100">
+            <AlertCircle size={18} className="shrink-0 mt-0.5" />
+            <span className="font-medium">{error}</span>
+          </div>
+        )}
+
+        <DisclaimerNotice />
+
+        <button
+          onClick={onProcess}
+          disabled={!canProcess}
+          className={`w-full py-3 rounded-xl font-bold text-white shadow-lg shadow-blue-500/20 transition-all flex items-center justify-center gap-2
+             ${!canProcess ? 'bg-slate-300 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700 hover:scale-[1.02] active:scale-[0.98]'}
+           `}
+        >
+          <Building2 size={18} />
+          {isProcessing ? 'Analysing Data...' : 'Generate PCN Dashboard'}
+        </button>
+      </Card>
+    </>
+  );
+};
+
+export default PcnWorkspace;
@@ -1,6 +1,7 @@
 /**
- * SystmConnect Analysis Dashboard
- * Comprehensive analytics for TPP SystmOne SystmConnect extracts
+ * Triage Outcome Analysis Dashboard
+ * Outcome, timeliness, demographic and channel analytics for canonical triage requests
+ * from any supplier (see src/utils/triageModel.js)
  */
 import React, { useState, useMemo, useCallback } from 'react';
 import {
@@ -12,6 +13,8 @@ import {
 import { Line, Bar, Doughnut } from 'react-chartjs-2';
 import Card from './ui/Card';
 import { DEFAULT_OUTCOME_GROUPS, AGE_BANDS } from '../utils/systmConnectParser';
+import { getTriageSupplierName } from '../utils/triageModel';
+import { analyzeTriageOutcomes } from '../utils/triageAnalysis';
 import { trackEvent, trackTabView, trackExport } from '../firebase/config';
 
 // Days order for consistent display
@@ -155,6 +158,23 @@ const FilterPanel = ({ data, filters, setFilters, listSize, setListSize }) => {
             />
           </div>
 
+          {/* Supplier (uploads spanning a change of triage system) */}
+          {data.uniqueSuppliers?.length > 1 && (
+            <div>
+              <label className="text-xs text-slate-500 block mb-1">Supplier</label>
+              <select
+                value={filters.supplier || 'All'}
+                onChange={(e) => setFilters(f => ({ ...f, supplier: e.target.value }))}
+                className="w-full px-2 py-1.5 text-sm border border-slate-200 rounded-lg"
+              >
+                <option value="All">All</option>
+                {data.uniqueSuppliers.map(s => (
+                  <option key={s} value={s}>{getTriageSupplierName(s)}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Type */}
           <div>
             <label className="text-xs text-slate-500 block mb-1">Type</label>
@@ -1334,7 +1354,7 @@ const ExportsTab = ({ data, filteredData }) => {
 };
 
 // Main Component
-export default function SystmConnectAnalysis({ data, dataQuality, onReset }) {
+export default function TriageOutcomeAnalysis({ data, dataQuality }) {
   const [activeTab, setActiveTab] = useState('overview');
   const [filters, setFilters] = useState({});
   const [listSize, setListSize] = useState(null);
@@ -1364,6 +1384,9 @@ export default function SystmConnectAnalysis({ data, dataQuality, onReset }) {
         if (row.submittedDt > toDate) return false;
       }
 
+      // Supplier
+      if (filters.supplier && filters.supplier !== 'All' && row.supplier !== filters.supplier) return false;
+
       // Type
       if (filters.type && filters.type !== 'All' && row.type !== filters.type) return false;
 
@@ -1394,215 +1417,13 @@ export default function SystmConnectAnalysis({ data, dataQuality, onReset }) {
   const filteredData = useMemo(() => {
     if (!filteredRows.length) return data?.analyzed || {};
 
-    // Recalculate all metrics for filtered data
-    const totalRequests = filteredRows.length;
-    const clinicalRequests = filteredRows.filter(r => r.type === 'Clinical').length;
-    const adminRequests = filteredRows.filter(r => r.type === 'Admin').length;
-    const completedRequests = filteredRows.filter(r => r.isCompleted).length;
-    const outcomeRecordedRequests = filteredRows.filter(r => r.hasOutcomeRecorded).length;
-    const appointmentRequests = filteredRows.filter(r => r.isAppointment).length;
-
-    // Rates
-    const completionRate = totalRequests > 0 ? (completedRequests / totalRequests) * 100 : 0;
-    const outcomeRate = totalRequests > 0 ? (outcomeRecordedRequests / totalRequests) * 100 : 0;
-    const appointmentConversionRate = totalRequests > 0 ? (appointmentRequests / totalRequests) * 100 : 0;
-    const avoidedAppointmentRate = totalRequests > 0 ? ((totalRequests - appointmentRequests) / totalRequests) * 100 : 0;
-    const requestsPer1000 = listSize ? (totalRequests / listSize) * 1000 : null;
-
-    // Outcome groups
-    const outcomeGroupCounts = {};
-    filteredRows.forEach(r => {
-      const group = r.outcomeGroup || 'Other / Unknown';
-      outcomeGroupCounts[group] = (outcomeGroupCounts[group] || 0) + 1;
-    });
-
-    // Top outcomes
-    const outcomeCounts = {};
-    filteredRows.forEach(r => {
-      if (r.outcome) outcomeCounts[r.outcome] = (outcomeCounts[r.outcome] || 0) + 1;
-    });
-    const topOutcomes = Object.entries(outcomeCounts).sort((a, b) => b[1] - a[1]).slice(0, 10);
-
-    // Appointment subtypes
-    const appointmentSubtypeCounts = {};
-    filteredRows.filter(r => r.isAppointment).forEach(r => {
-      const subtype = r.appointmentSubtype || 'Other Appointment';
-      appointmentSubtypeCounts[subtype] = (appointmentSubtypeCounts[subtype] || 0) + 1;
-    });
-
-    // Timing
-    const leadTimes = filteredRows.map(r => r.leadTimeMinutes).filter(v => v !== null && v >= 0).sort((a, b) => a - b);
-    const medianLeadTime = leadTimes.length > 0 ? leadTimes[Math.floor(leadTimes.length / 2)] : null;
-
-    const timeToOutcomes = filteredRows.map(r => r.timeToOutcomeMinutes).filter(v => v !== null && v >= 0).sort((a, b) => a - b);
-    const medianTimeToOutcome = timeToOutcomes.length > 0 ? timeToOutcomes[Math.floor(timeToOutcomes.length / 2)] : null;
-
-    // SLA metrics
-    const slaMetrics = {};
-    [2, 4, 8, 24, 48].forEach(hours => {
-      const threshold = hours * 60;
-      const withinSla = timeToOutcomes.filter(t => t <= threshold).length;
-      slaMetrics[`within${hours}h`] = timeToOutcomes.length > 0 ? (withinSla / timeToOutcomes.length) * 100 : 0;
-    });
-
-    // By day of week
-    const byDayOfWeek = { Monday: 0, Tuesday: 0, Wednesday: 0, Thursday: 0, Friday: 0, Saturday: 0, Sunday: 0 };
-    filteredRows.forEach(r => { if (r.dow) byDayOfWeek[r.dow]++; });
-
-    // By hour
-    const byHour = {};
-    for (let h = 0; h < 24; h++) byHour[h] = 0;
-    filteredRows.forEach(r => { if (r.hourOfDay !== null) byHour[r.hourOfDay]++; });
-
-    // Peak
-    const peakHour = Object.entries(byHour).sort((a, b) => b[1] - a[1])[0];
-    const peakDay = Object.entries(byDayOfWeek).sort((a, b) => b[1] - a[1])[0];
-
-    // Weekend share
-    const weekendRequests = filteredRows.filter(r => r.isWeekend).length;
-    const weekendShare = totalRequests > 0 ? (weekendRequests / totalRequests) * 100 : 0;
-
-    // Heatmap
-    const heatmapData = {};
-    Object.keys(byDayOfWeek).forEach(day => {
-      heatmapData[day] = {};
-      for (let h = 0; h < 24; h++) heatmapData[day][h] = 0;
-    });
-    filteredRows.forEach(r => {
-      if (r.dow && r.hourOfDay !== null) heatmapData[r.dow][r.hourOfDay]++;
-    });
-
-    // By date
-    const byDate = {};
-    filteredRows.forEach(r => {
-      if (r.submittedDt) {
-        const dateKey = r.submittedDt.toISOString().split('T')[0];
-        if (!byDate[dateKey]) byDate[dateKey] = { total: 0, clinical: 0, admin: 0, appointments: 0 };
-        byDate[dateKey].total++;
-        if (r.type === 'Clinical') byDate[dateKey].clinical++;
-        if (r.type === 'Admin') byDate[dateKey].admin++;
-        if (r.isAppointment) byDate[dateKey].appointments++;
-      }
-    });
-
-    // Rolling 7-day
-    const sortedDates = Object.keys(byDate).sort();
-    const rolling7Day = [];
-    for (let i = 6; i < sortedDates.length; i++) {
-      const window = sortedDates.slice(i - 6, i + 1);
-      const avg = window.reduce((sum, d) => sum + byDate[d].total, 0) / 7;
-      rolling7Day.push({ date: sortedDates[i], value: Math.round(avg * 10) / 10 });
-    }
-
-    // Demographics
-    const byAgeBand = {};
-    AGE_BANDS.forEach(b => byAgeBand[b.label] = { total: 0, appointments: 0, timedOut: 0 });
-    byAgeBand['Unknown'] = { total: 0, appointments: 0, timedOut: 0 };
-    filteredRows.forEach(r => {
-      const band = r.ageBand || 'Unknown';
-      if (byAgeBand[band]) {
-        byAgeBand[band].total++;
-        if (r.isAppointment) byAgeBand[band].appointments++;
-        if (r.outcomeGroup === 'Timed out / No response') byAgeBand[band].timedOut++;
-      }
-    });
-
-    const bySex = {};
-    filteredRows.forEach(r => {
-      const sex = r.sex || 'Unknown';
-      if (!bySex[sex]) bySex[sex] = { total: 0, appointments: 0 };
-      bySex[sex].total++;
-      if (r.isAppointment) bySex[sex].appointments++;
-    });
-
-    // Specific rates
-    const timedOutCount = filteredRows.filter(r => r.outcomeGroup === 'Timed out / No response').length;
-    const timedOutRate = totalRequests > 0 ? (timedOutCount / totalRequests) * 100 : 0;
-    const inappropriateCount = filteredRows.filter(r => r.outcomeGroup === 'Inappropriate / Rejected').length;
-    const inappropriateRate = totalRequests > 0 ? (inappropriateCount / totalRequests) * 100 : 0;
-    const signpostingCount = filteredRows.filter(r => r.outcomeGroup === 'Signposting / Redirect').length;
-    const signpostingRate = totalRequests > 0 ? (signpostingCount / totalRequests) * 100 : 0;
-    const prescriptionCount = filteredRows.filter(r => r.outcomeGroup === 'Prescription / Meds').length;
-    const prescriptionRate = totalRequests > 0 ? (prescriptionCount / totalRequests) * 100 : 0;
-    const adviceCount = filteredRows.filter(r => r.outcomeGroup === 'Advice / Self-care').length;
-    const adviceRate = totalRequests > 0 ? (adviceCount / totalRequests) * 100 : 0;
-
-    // Channel analysis
-    const byAccessMethod = {};
-    filteredRows.forEach(r => {
-      const method = r.accessMethod || 'Unknown';
-      if (!byAccessMethod[method]) byAccessMethod[method] = { total: 0, appointments: 0 };
-      byAccessMethod[method].total++;
-      if (r.isAppointment) byAccessMethod[method].appointments++;
-    });
-
-    const bySubmissionSource = {};
-    filteredRows.forEach(r => {
-      const source = r.submissionSource || 'Unknown';
-      if (!bySubmissionSource[source]) bySubmissionSource[source] = { total: 0, appointments: 0 };
-      bySubmissionSource[source].total++;
-      if (r.isAppointment) bySubmissionSource[source].appointments++;
-    });
-
-    const byResponsePreference = {};
-    filteredRows.forEach(r => {
-      const pref = r.responsePreference || 'Unknown';
-      if (!byResponsePreference[pref]) byResponsePreference[pref] = { total: 0, appointments: 0 };
-      byResponsePreference[pref].total++;
-      if (r.isAppointment) byResponsePreference[pref].appointments++;
-    });
-
-    const byClinicalProblemType = {};
-    filteredRows.filter(r => r.type === 'Clinical').forEach(r => {
-      const type = r.clinicalProblemType || 'Unknown';
-      byClinicalProblemType[type] = (byClinicalProblemType[type] || 0) + 1;
-    });
-
-    const byAdminActivityType = {};
-    filteredRows.filter(r => r.type === 'Admin').forEach(r => {
-      const type = r.adminActivityType || 'Unknown';
-      byAdminActivityType[type] = (byAdminActivityType[type] || 0) + 1;
-    });
-
+    // Filter options and the date range stay those of the whole upload
+    const analyzed = data?.analyzed || {};
     return {
-      ...data?.analyzed,
-      totalRequests,
-      clinicalRequests,
-      adminRequests,
-      completedRequests,
-      outcomeRecordedRequests,
-      appointmentRequests,
-      completionRate,
-      outcomeRate,
-      appointmentConversionRate,
-      avoidedAppointmentRate,
-      requestsPer1000,
-      outcomeGroupCounts,
-      topOutcomes,
-      appointmentSubtypeCounts,
-      medianLeadTime,
-      medianTimeToOutcome,
-      slaMetrics,
-      byDayOfWeek,
-      byHour,
-      peakHour: peakHour ? { hour: parseInt(peakHour[0]), count: peakHour[1] } : null,
-      peakDay: peakDay ? { day: peakDay[0], count: peakDay[1] } : null,
-      weekendShare,
-      heatmapData,
-      byDate,
-      rolling7Day,
-      byAgeBand,
-      bySex,
-      timedOutRate,
-      inappropriateRate,
-      signpostingRate,
-      prescriptionRate,
-      adviceRate,
-      byAccessMethod,
-      bySubmissionSource,
-      byResponsePreference,
-      byClinicalProblemType,
-      byAdminActivityType,
+      ...analyzeTriageOutcomes(filteredRows, listSize),
+      ...Object.fromEntries(Object.entries(analyzed).filter(([key]) => key.startsWith('unique'))),
+      dateRange: analyzed.dateRange,
+      hasAdminData: analyzed.hasAdminData,
     };
   }, [filteredRows, data?.analyzed, listSize]);
 
@@ -25,10 +25,19 @@ import * as XLSX from 'xlsx';
 import Card from './ui/Card';
 import ShareModal from './modals/ShareModal';
 import Toast from './ui/Toast';
-import { restoreTriageSlotsFromExcel, validateExcelFile } from '../utils/excelUtils';
+import { restoreTriageSlotsFromExcel, validateExcelFile, exportSlotRotaToExcel, generateExcelFilename } from '../utils/excelUtils';
 import { createFirebaseShare, loadFirebaseShare } from '../utils/shareUtils';
-import { parseSystmConnectData, analyzeSystmConnectData } from '../utils/systmConnectParser';
-import SystmConnectAnalysis from './SystmConnectAnalysis';
+import { parseTriageWorkbook, combineTriageFiles, summariseTriageDataQuality } from '../utils/triageModel';
+import { analyzeTriageDemand, analyzeTriageOutcomes } from '../utils/triageAnalysis';
+import {
+  DEFAULT_URGENCY_RULES, URGENCY_LEVELS, WHEN_CLOSED_OPTIONS, MAX_TARGET_DAYS,
+  normaliseUrgencyRules, calculateCapacityNeeded, describeUrgencyRule,
+} from '../utils/urgencyRules';
+import {
+  DEFAULT_HORIZON_WEEKS, MAX_HORIZON_WEEKS, WAIT_BUCKETS, simulateBacklog,
+} from '../utils/backlogSimulation';
+import { DEFAULT_ROTA_CONSTRAINTS, optimiseSlotRota, rotaTemplateRows } from '../utils/rotaOptimiser';
+import TriageOutcomeAnalysis from './TriageOutcomeAnalysis';
 
 // Sample data import
 import sampleTriageData from '../assets/Rapid Health December Data Example  - 20260106.xlsx?url';
@@ -42,7 +51,7 @@ import accurxLogo from '../assets/accurx.webp';
 const TRIAGE_SYSTEMS = [
   { id: 'rapidhealth', name: 'Rapid Health', logo: rhLogo, enabled: true },
   { id: 'systmconnect', name: 'SystmConnect', logo: tppLogo, enabled: true },
-  { id: 'accurx', name: 'Accurx', logo: accurxLogo, enabled: false, comingSoon: true },
+  { id: 'accurx', name: 'Accurx', logo: accurxLogo, enabled: true },
 ];
 
 // Register Chart.js components
@@ -59,17 +68,6 @@ ChartJS.register(
   Filler
 );
 
-// Expected headers for validation
-const EXPECTED_HEADERS = [
-  'Tenant', 'Request date', 'Request year', 'Request month-year', 'Request month',
-  'Request day', 'Request time', 'Request type', 'Admin type', 'Pathway',
-  'Urgency', 'Automated', 'Guideline used', 'Slot type', 'Appointment date',
-  'Appointment day', 'Appointment status', 'Patient age', 'A&E override',
-  'Age between created - invited', 'Age between created - booking',
-  'Age between created - scheduled', 'Age between created - processed',
-  'Patient selected preferred practitioner'
-];
-
 // Day order for consistent display
 const DAYS_ORDER = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
@@ -82,46 +80,6 @@ const URGENCY_COLORS = {
   RED: { bg: 'bg-red-100', text: 'text-red-700', border: 'border-red-500', chart: '#ef4444' },
 };
 
-// Helper to convert Excel serial date to JS Date
-const excelDateToJS = (serial) => {
-  if (typeof serial !== 'number') return null;
-  const utc_days = Math.floor(serial - 25569);
-  const utc_value = utc_days * 86400;
-  return new Date(utc_value * 1000);
-};
-
-// Helper to convert Excel serial date or value to month name
-const excelValueToMonthName = (value) => {
-  if (value === null || value === undefined || value === '') return '';
-
-  // If it's a number, treat as Excel serial date
-  if (typeof value === 'number') {
-    const date = excelDateToJS(value);
-    if (date) {
-      return date.toLocaleString('en-GB', { month: 'long', year: 'numeric' });
-    }
-  }
-
-  // Otherwise return as string
-  return String(value);
-};
-
-// Helper to convert Excel time fraction to hours/minutes
-const excelTimeToHour = (timeFraction) => {
-  if (typeof timeFraction !== 'number') return null;
-  return Math.floor(timeFraction * 24);
-};
-
-// Parse time string like "0 hour(s) 12 minute(s)" to minutes
-const parseTimeToMinutes = (timeStr) => {
-  if (!timeStr || timeStr === '-') return null;
-  const hourMatch = timeStr.match(/(\d+)\s*hour/);
-  const minMatch = timeStr.match(/(\d+)\s*minute/);
-  const hours = hourMatch ? parseInt(hourMatch[1]) : 0;
-  const minutes = minMatch ? parseInt(minMatch[1]) : 0;
-  return hours * 60 + minutes;
-};
-
 // Helper to restore Date objects from serialized shared data
 const restoreDatesInData = (data) => {
   if (!data) return data;
@@ -140,682 +98,6 @@ const restoreDatesInData = (data) => {
   return restored;
 };
 
-// Validate file headers match expected format
-const validateHeaders = (headers) => {
-  const normalizedHeaders = headers.map(h => String(h || '').trim().toLowerCase());
-  const expectedNormalized = EXPECTED_HEADERS.map(h => h.toLowerCase());
-
-  // Check if at least 80% of expected headers are present
-  let matchCount = 0;
-  for (const expected of expectedNormalized) {
-    if (normalizedHeaders.some(h => h.includes(expected) || expected.includes(h))) {
-      matchCount++;
-    }
-  }
-  return matchCount / expectedNormalized.length >= 0.8;
-};
-
-// Parse uploaded data
-const parseTriageData = (workbook) => {
-  const sheet = workbook.Sheets[workbook.SheetNames[0]];
-  const data = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-
-  if (data.length < 2) {
-    throw new Error('File contains no data rows');
-  }
-
-  const headers = data[0];
-  if (!validateHeaders(headers)) {
-    throw new Error('File format does not match Rapid Health Smart Triage extract. Please ensure you are uploading the correct file.');
-  }
-
-  // Find column indices
-  const findCol = (name) => headers.findIndex(h =>
-    String(h || '').toLowerCase().includes(name.toLowerCase())
-  );
-
-  const cols = {
-    tenant: findCol('tenant'),
-    requestDate: findCol('request date'),
-    requestMonth: findCol('request month'),
-    requestDay: findCol('request day'),
-    requestTime: findCol('request time'),
-    requestType: findCol('request type'),
-    pathway: findCol('pathway'),
-    urgency: findCol('urgency'),
-    automated: findCol('automated'),
-    guideline: findCol('guideline'),
-    slotType: findCol('slot type'),
-    appointmentStatus: findCol('appointment status'),
-    patientAge: findCol('patient age'),
-    timeToProcessed: findCol('created - processed'),
-  };
-
-  const rows = [];
-  for (let i = 1; i < data.length; i++) {
-    const row = data[i];
-    if (!row || row.length === 0) continue;
-
-    const requestDate = excelDateToJS(row[cols.requestDate]);
-    const requestHour = excelTimeToHour(row[cols.requestTime]);
-    const patientAge = parseInt(row[cols.patientAge]) || 0;
-    const urgency = String(row[cols.urgency] || '-').toUpperCase().trim();
-    const automated = row[cols.automated] === true || String(row[cols.automated]).toLowerCase() === 'true';
-    const requestDay = String(row[cols.requestDay] || '').trim();
-
-    rows.push({
-      tenant: String(row[cols.tenant] || ''),
-      requestDate,
-      requestMonth: excelValueToMonthName(row[cols.requestMonth]),
-      requestDay: requestDay.replace(/\s+/g, ''),
-      requestHour,
-      requestType: String(row[cols.requestType] || ''),
-      pathway: String(row[cols.pathway] || '-'),
-      urgency: urgency === '-' ? null : urgency,
-      automated,
-      guideline: String(row[cols.guideline] || ''),
-      slotType: String(row[cols.slotType] || '-'),
-      appointmentStatus: String(row[cols.appointmentStatus] || '-'),
-      patientAge,
-      isAdult: patientAge >= 18,
-      timeToProcessedMins: parseTimeToMinutes(row[cols.timeToProcessed]),
-    });
-  }
-
-  return rows;
-};
-
-// Analyze data and compute all metrics
-const analyzeData = (rows) => {
-  // Get unique months and date range
-  const months = [...new Set(rows.map(r => r.requestMonth).filter(Boolean))];
-  const dates = rows.map(r => r.requestDate).filter(Boolean);
-  const minDate = dates.length > 0 ? new Date(Math.min(...dates)) : null;
-  const maxDate = dates.length > 0 ? new Date(Math.max(...dates)) : null;
-
-  // Get tenant (practice) names
-  const tenants = [...new Set(rows.map(r => r.tenant).filter(Boolean))];
-
-  // Medical requests only for most analyses
-  const medicalRows = rows.filter(r => r.requestType === 'Medical');
-  const adultMedicalRows = medicalRows.filter(r => r.isAdult);
-
-  // === SUBMISSIONS BY DAY OF WEEK ===
-  const byDayOfWeek = {};
-  DAYS_ORDER.forEach(day => byDayOfWeek[day] = 0);
-  rows.forEach(r => {
-    const day = DAYS_ORDER.find(d => r.requestDay.toLowerCase().includes(d.toLowerCase()));
-    if (day) byDayOfWeek[day]++;
-  });
-
-  // === SUBMISSIONS BY HOUR ===
-  const byHour = {};
-  for (let h = 0; h < 24; h++) byHour[h] = 0;
-  rows.forEach(r => {
-    if (r.requestHour !== null) byHour[r.requestHour]++;
-  });
-
-  // === HEATMAP DATA (Day x Hour) ===
-  const heatmapData = {};
-  DAYS_ORDER.forEach(day => {
-    heatmapData[day] = {};
-    for (let h = 0; h < 24; h++) heatmapData[day][h] = 0;
-  });
-  rows.forEach(r => {
-    const day = DAYS_ORDER.find(d => r.requestDay.toLowerCase().includes(d.toLowerCase()));
-    if (day && r.requestHour !== null) {
-      heatmapData[day][r.requestHour]++;
-    }
-  });
-
-  // === ROLLING 7-DAY AVERAGES ===
-  const byDate = {};
-  rows.forEach(r => {
-    if (r.requestDate) {
-      const dateKey = r.requestDate.toISOString().split('T')[0];
-      byDate[dateKey] = (byDate[dateKey] || 0) + 1;
-    }
-  });
-  const sortedDates = Object.keys(byDate).sort();
-  const rolling7Day = [];
-  for (let i = 6; i < sortedDates.length; i++) {
-    const window = sortedDates.slice(i - 6, i + 1);
-    const avg = window.reduce((sum, d) => sum + byDate[d], 0) / 7;
-    rolling7Day.push({ date: sortedDates[i], value: Math.round(avg * 10) / 10 });
-  }
-
-  // === PATHWAY ANALYSIS ===
-  const pathwayCounts = {};
-  medicalRows.forEach(r => {
-    const pathway = r.pathway || '-';
-    pathwayCounts[pathway] = (pathwayCounts[pathway] || 0) + 1;
-  });
-
-  // Group by symptom (extract from pathway like "Triage.Headache" -> "Headache")
-  const symptomCounts = {};
-  Object.entries(pathwayCounts).forEach(([pathway, count]) => {
-    let symptom = pathway;
-    if (pathway.includes('.')) {
-      const parts = pathway.split('.');
-      symptom = parts[parts.length - 1].replace(/_/g, ' ');
-    }
-    symptomCounts[symptom] = (symptomCounts[symptom] || 0) + count;
-  });
-
-  // Pareto - sort by count and calculate cumulative %
-  const sortedSymptoms = Object.entries(symptomCounts)
-    .sort((a, b) => b[1] - a[1]);
-  const totalSymptoms = sortedSymptoms.reduce((sum, [, count]) => sum + count, 0);
-  let cumulative = 0;
-  const paretoData = sortedSymptoms.slice(0, 15).map(([symptom, count]) => {
-    cumulative += count;
-    return {
-      symptom,
-      count,
-      percentage: (count / totalSymptoms) * 100,
-      cumulative: (cumulative / totalSymptoms) * 100,
-    };
-  });
-
-  // Seasonal comparison by month
-  const byMonthSymptom = {};
-  months.forEach(m => byMonthSymptom[m] = {});
-  medicalRows.forEach(r => {
-    if (r.requestMonth && r.pathway) {
-      let symptom = r.pathway;
-      if (symptom.includes('.')) {
-        const parts = symptom.split('.');
-        symptom = parts[parts.length - 1].replace(/_/g, ' ');
-      }
-      byMonthSymptom[r.requestMonth][symptom] = (byMonthSymptom[r.requestMonth][symptom] || 0) + 1;
-    }
-  });
-
-  // === URGENCY DISTRIBUTION ===
-  const urgencyCounts = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0 };
-  medicalRows.forEach(r => {
-    if (r.urgency && urgencyCounts.hasOwnProperty(r.urgency)) {
-      urgencyCounts[r.urgency]++;
-    }
-  });
-  const totalUrgency = Object.values(urgencyCounts).reduce((a, b) => a + b, 0);
-
-  // Urgency by day of week
-  const urgencyByDay = {};
-  DAYS_ORDER.forEach(day => {
-    urgencyByDay[day] = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0 };
-  });
-  medicalRows.forEach(r => {
-    const day = DAYS_ORDER.find(d => r.requestDay.toLowerCase().includes(d.toLowerCase()));
-    if (day && r.urgency && urgencyByDay[day].hasOwnProperty(r.urgency)) {
-      urgencyByDay[day][r.urgency]++;
-    }
-  });
-
-  // Urgency by hour
-  const urgencyByHour = {};
-  for (let h = 0; h < 24; h++) {
-    urgencyByHour[h] = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0 };
-  }
-  medicalRows.forEach(r => {
-    if (r.requestHour !== null && r.urgency && urgencyByHour[r.requestHour].hasOwnProperty(r.urgency)) {
-      urgencyByHour[r.requestHour][r.urgency]++;
-    }
-  });
-
-  // Urgency by symptom
-  const urgencyBySymptom = {};
-  medicalRows.forEach(r => {
-    let symptom = r.pathway || '-';
-    if (symptom.includes('.')) {
-      const parts = symptom.split('.');
-      symptom = parts[parts.length - 1].replace(/_/g, ' ');
-    }
-    if (!urgencyBySymptom[symptom]) {
-      urgencyBySymptom[symptom] = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0, total: 0 };
-    }
-    if (r.urgency && urgencyBySymptom[symptom].hasOwnProperty(r.urgency)) {
-      urgencyBySymptom[symptom][r.urgency]++;
-    }
-    urgencyBySymptom[symptom].total++;
-  });
-
-  // === SLOT CAPACITY NEEDED BY DAY (for slot analysis) ===
-  // Important: Urgency determines WHEN capacity is needed, not when request was made
-  // Practices are closed on weekends (Sat/Sun) - capacity moves to next open weekday
-  // RED = Same open day (if request on weekend, Monday)
-  // AMBER = Next open day after request
-  // YELLOW = 3rd open day after request
-  // GREEN = 5th open day after request
-
-  // Map day names to indices (Monday=0 ... Sunday=6)
-  const dayToIndex = {};
-  DAYS_ORDER.forEach((day, i) => dayToIndex[day] = i);
-  const indexToDay = DAYS_ORDER;
-
-  // Helper: Check if a day index is an open day (Mon-Fri = 0-4)
-  const isOpenDay = (dayIdx) => dayIdx >= 0 && dayIdx <= 4;
-
-  // Helper: Get the nth open day from a starting day index
-  // openDaysOut: 0 = same open day, 1 = next open day, etc.
-  const getTargetOpenDay = (requestDayIndex, openDaysOut) => {
-    if (openDaysOut === 0) {
-      // Same day - if open, use it; else next open (Monday)
-      return isOpenDay(requestDayIndex) ? requestDayIndex : 0;
-    }
-
-    // Count open days from the request day
-    let currentDay = requestDayIndex;
-    let openDaysCount = 0;
-
-    while (openDaysCount < openDaysOut) {
-      currentDay = (currentDay + 1) % 7;
-      if (isOpenDay(currentDay)) {
-        openDaysCount++;
-      }
-    }
-    return currentDay;
-  };
-
-  // Track where demand was submitted (for reference) and where capacity is needed
-  const demandByDayUrgency = {};  // Where requests were made
-  const capacityNeededByDay = {}; // Where slots are actually needed (weekdays only)
-
-  DAYS_ORDER.forEach(day => {
-    demandByDayUrgency[day] = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0, total: 0 };
-    capacityNeededByDay[day] = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0, total: 0 };
-  });
-
-  // Count weeks for averaging
-  const weekSet = new Set();
-  rows.forEach(r => {
-    if (r.requestDate) {
-      const weekStart = new Date(r.requestDate);
-      weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-      weekSet.add(weekStart.toISOString().split('T')[0]);
-    }
-  });
-  const numWeeks = weekSet.size || 1;
-
-  // Process each medical request and determine when capacity is needed
-  medicalRows.forEach(r => {
-    const requestDay = DAYS_ORDER.find(d => r.requestDay.toLowerCase().includes(d.toLowerCase()));
-    if (!requestDay) return;
-
-    const requestDayIndex = dayToIndex[requestDay];
-
-    // Track where demand was submitted
-    demandByDayUrgency[requestDay].total++;
-    if (r.urgency && demandByDayUrgency[requestDay].hasOwnProperty(r.urgency)) {
-      demandByDayUrgency[requestDay][r.urgency]++;
-    }
-
-    // Calculate which OPEN day needs the capacity based on urgency
-    // Weekends are skipped - capacity moves to next weekday
-    let capacityDayIndex;
-    switch (r.urgency) {
-      case 'RED':
-        // Same open day - if weekend request, moves to Monday
-        capacityDayIndex = getTargetOpenDay(requestDayIndex, 0);
-        break;
-      case 'AMBER':
-        // Next open day after request
-        capacityDayIndex = getTargetOpenDay(requestDayIndex, 1);
-        break;
-      case 'YELLOW':
-        // 3rd open day after request
-        capacityDayIndex = getTargetOpenDay(requestDayIndex, 3);
-        break;
-      case 'GREEN':
-        // 5th open day after request
-        capacityDayIndex = getTargetOpenDay(requestDayIndex, 5);
-        break;
-      default:
-        return; // Skip requests without valid urgency
-    }
-
-    const capacityDay = indexToDay[capacityDayIndex];
-    if (capacityDay && r.urgency) {
-      capacityNeededByDay[capacityDay][r.urgency]++;
-      capacityNeededByDay[capacityDay].total++;
-    }
-  });
-
-  // Average per day for both demand and capacity
-  Object.keys(demandByDayUrgency).forEach(day => {
-    demandByDayUrgency[day].avgTotal = Math.round(demandByDayUrgency[day].total / numWeeks);
-    demandByDayUrgency[day].avgGREEN = Math.round(demandByDayUrgency[day].GREEN / numWeeks);
-    demandByDayUrgency[day].avgYELLOW = Math.round(demandByDayUrgency[day].YELLOW / numWeeks);
-    demandByDayUrgency[day].avgAMBER = Math.round(demandByDayUrgency[day].AMBER / numWeeks);
-    demandByDayUrgency[day].avgRED = Math.round(demandByDayUrgency[day].RED / numWeeks);
-  });
-
-  Object.keys(capacityNeededByDay).forEach(day => {
-    capacityNeededByDay[day].avgTotal = Math.round(capacityNeededByDay[day].total / numWeeks);
-    capacityNeededByDay[day].avgGREEN = Math.round(capacityNeededByDay[day].GREEN / numWeeks);
-    capacityNeededByDay[day].avgYELLOW = Math.round(capacityNeededByDay[day].YELLOW / numWeeks);
-    capacityNeededByDay[day].avgAMBER = Math.round(capacityNeededByDay[day].AMBER / numWeeks);
-    capacityNeededByDay[day].avgRED = Math.round(capacityNeededByDay[day].RED / numWeeks);
-  });
-
-  // === NON-AUTOMATED PATHWAYS ANALYSIS (Adults only) ===
-  const nonAutomatedPathways = {};
-  adultMedicalRows.filter(r => !r.automated).forEach(r => {
-    const pathway = r.pathway || '-';
-    if (!nonAutomatedPathways[pathway]) {
-      nonAutomatedPathways[pathway] = {
-        total: 0,
-        withAppointment: 0,
-        appointmentStatuses: {},
-      };
-    }
-    nonAutomatedPathways[pathway].total++;
-
-    const status = r.appointmentStatus;
-    if (status && status !== '-') {
-      nonAutomatedPathways[pathway].appointmentStatuses[status] =
-        (nonAutomatedPathways[pathway].appointmentStatuses[status] || 0) + 1;
-      // Count as "given appointment" if status indicates booking/scheduled
-      if (status.toLowerCase().includes('booking') ||
-          status.toLowerCase().includes('scheduled') ||
-          status.toLowerCase().includes('confirmed')) {
-        nonAutomatedPathways[pathway].withAppointment++;
-      }
-    }
-  });
-
-  // Calculate appointment rate for each pathway
-  const pathwayOpportunities = Object.entries(nonAutomatedPathways)
-    .map(([pathway, data]) => ({
-      pathway,
-      total: data.total,
-      withAppointment: data.withAppointment,
-      appointmentRate: data.total > 0 ? (data.withAppointment / data.total) * 100 : 0,
-      statuses: data.appointmentStatuses,
-    }))
-    .filter(p => p.total >= 5) // Only show pathways with sufficient data
-    .sort((a, b) => b.appointmentRate - a.appointmentRate);
-
-  // === ALL PATHWAYS NON-AUTOMATED ANALYSIS ===
-  // Shows all pathways with their total requests and non-automated counts
-  // Also includes breakdown by urgency for expandable rows
-  const allPathwayAutomation = {};
-  medicalRows.forEach(r => {
-    const pathway = r.pathway || '-';
-    const urgency = r.urgency || 'UNKNOWN';
-    if (!allPathwayAutomation[pathway]) {
-      allPathwayAutomation[pathway] = {
-        total: 0,
-        automated: 0,
-        notAutomated: 0,
-        byUrgency: {
-          GREEN: { total: 0, automated: 0, notAutomated: 0 },
-          YELLOW: { total: 0, automated: 0, notAutomated: 0 },
-          AMBER: { total: 0, automated: 0, notAutomated: 0 },
-          RED: { total: 0, automated: 0, notAutomated: 0 },
-        },
-      };
-    }
-    allPathwayAutomation[pathway].total++;
-    if (r.automated) {
-      allPathwayAutomation[pathway].automated++;
-    } else {
-      allPathwayAutomation[pathway].notAutomated++;
-    }
-    // Track by urgency
-    if (allPathwayAutomation[pathway].byUrgency[urgency]) {
-      allPathwayAutomation[pathway].byUrgency[urgency].total++;
-      if (r.automated) {
-        allPathwayAutomation[pathway].byUrgency[urgency].automated++;
-      } else {
-        allPathwayAutomation[pathway].byUrgency[urgency].notAutomated++;
-      }
-    }
-  });
-
-  // Convert to array and calculate percentages, sorted by notAutomated descending
-  const pathwayAutomationList = Object.entries(allPathwayAutomation)
-    .map(([pathway, counts]) => ({
-      pathway,
-      total: counts.total,
-      automated: counts.automated,
-      notAutomated: counts.notAutomated,
-      notAutomatedPct: counts.total > 0 ? (counts.notAutomated / counts.total * 100) : 0,
-      automatedPct: counts.total > 0 ? (counts.automated / counts.total * 100) : 0,
-      byUrgency: ['GREEN', 'YELLOW', 'AMBER', 'RED'].map(urg => ({
-        urgency: urg,
-        total: counts.byUrgency[urg].total,
-        automated: counts.byUrgency[urg].automated,
-        notAutomated: counts.byUrgency[urg].notAutomated,
-        notAutomatedPct: counts.byUrgency[urg].total > 0
-          ? (counts.byUrgency[urg].notAutomated / counts.byUrgency[urg].total * 100)
-          : 0,
-      })).filter(u => u.total > 0), // Only include urgencies with data
-    }))
-    .sort((a, b) => b.notAutomated - a.notAutomated);
-
-  // === TIME TO RESOLUTION (Medical only) ===
-  const resolutionTimes = medicalRows
-    .map(r => r.timeToProcessedMins)
-    .filter(t => t !== null && t >= 0 && t < 10000); // Filter out outliers
-
-  const avgResolutionMins = resolutionTimes.length > 0
-    ? Math.round(resolutionTimes.reduce((a, b) => a + b, 0) / resolutionTimes.length)
-    : null;
-
-  const medianResolutionMins = resolutionTimes.length > 0
-    ? resolutionTimes.sort((a, b) => a - b)[Math.floor(resolutionTimes.length / 2)]
-    : null;
-
-  // === AUTOMATION % BY URGENCY (Medical only) ===
-  const automationByUrgency = { GREEN: { total: 0, automated: 0 }, YELLOW: { total: 0, automated: 0 }, AMBER: { total: 0, automated: 0 }, RED: { total: 0, automated: 0 } };
-  medicalRows.forEach(r => {
-    if (r.urgency && automationByUrgency[r.urgency]) {
-      automationByUrgency[r.urgency].total++;
-      if (r.automated) {
-        automationByUrgency[r.urgency].automated++;
-      }
-    }
-  });
-  // Calculate percentages
-  Object.keys(automationByUrgency).forEach(urg => {
-    const data = automationByUrgency[urg];
-    data.percentage = data.total > 0 ? (data.automated / data.total * 100) : 0;
-  });
-
-  // === SLOT TYPE DISTRIBUTION ===
-  const slotTypeCounts = {};
-  rows.forEach(r => {
-    const slotType = r.slotType || '-';
-    slotTypeCounts[slotType] = (slotTypeCounts[slotType] || 0) + 1;
-  });
-
-  // === REQUEST TYPES ===
-  const requestTypes = [...new Set(rows.map(r => r.requestType).filter(Boolean))];
-
-  // === SUBMISSIONS BY REQUEST TYPE ===
-  const byRequestType = {};
-  requestTypes.forEach(type => {
-    byRequestType[type] = {
-      total: 0,
-      byDay: {},
-      byHour: {},
-      slotTypes: {},
-    };
-    DAYS_ORDER.forEach(day => byRequestType[type].byDay[day] = 0);
-    for (let h = 0; h < 24; h++) byRequestType[type].byHour[h] = 0;
-  });
-  rows.forEach(r => {
-    if (r.requestType && byRequestType[r.requestType]) {
-      byRequestType[r.requestType].total++;
-      const day = DAYS_ORDER.find(d => r.requestDay.toLowerCase().includes(d.toLowerCase()));
-      if (day) byRequestType[r.requestType].byDay[day]++;
-      if (r.requestHour !== null) byRequestType[r.requestType].byHour[r.requestHour]++;
-      const slotType = r.slotType || '-';
-      byRequestType[r.requestType].slotTypes[slotType] = (byRequestType[r.requestType].slotTypes[slotType] || 0) + 1;
-    }
-  });
-
-  // === NON-AUTOMATED INBOX ANALYSIS ===
-  // Analyze what slot types clinicians assign to non-automated requests
-  const nonAutomatedRows = medicalRows.filter(r => !r.automated && r.slotType && r.slotType !== '-');
-
-  // 1. Urgency → Slot Type breakdown (what slot types do clinicians assign for each urgency?)
-  const urgencyToSlotType = {};
-  ['GREEN', 'YELLOW', 'AMBER', 'RED'].forEach(urg => {
-    urgencyToSlotType[urg] = { total: 0, slotTypes: {} };
-  });
-  nonAutomatedRows.forEach(r => {
-    if (r.urgency && urgencyToSlotType[r.urgency]) {
-      urgencyToSlotType[r.urgency].total++;
-      urgencyToSlotType[r.urgency].slotTypes[r.slotType] = (urgencyToSlotType[r.urgency].slotTypes[r.slotType] || 0) + 1;
-    }
-  });
-  // Calculate percentages for each urgency → slot type
-  Object.keys(urgencyToSlotType).forEach(urg => {
-    const total = urgencyToSlotType[urg].total;
-    urgencyToSlotType[urg].slotTypeList = Object.entries(urgencyToSlotType[urg].slotTypes)
-      .map(([slotType, count]) => ({
-        slotType,
-        count,
-        percentage: total > 0 ? (count / total * 100) : 0,
-      }))
-      .sort((a, b) => b.count - a.count);
-  });
-
-  // 2. Pathway + Urgency → Slot Type breakdown
-  const pathwayUrgencySlotType = {};
-  nonAutomatedRows.forEach(r => {
-    if (!r.urgency || !r.pathway) return;
-    const key = `${r.pathway}|||${r.urgency}`;
-    if (!pathwayUrgencySlotType[key]) {
-      pathwayUrgencySlotType[key] = { pathway: r.pathway, urgency: r.urgency, total: 0, slotTypes: {} };
-    }
-    pathwayUrgencySlotType[key].total++;
-    pathwayUrgencySlotType[key].slotTypes[r.slotType] = (pathwayUrgencySlotType[key].slotTypes[r.slotType] || 0) + 1;
-  });
-  // Convert to array and calculate percentages
-  const pathwayUrgencySlotTypeList = Object.values(pathwayUrgencySlotType)
-    .map(item => {
-      const slotTypeList = Object.entries(item.slotTypes)
-        .map(([slotType, count]) => ({
-          slotType,
-          count,
-          percentage: item.total > 0 ? (count / item.total * 100) : 0,
-        }))
-        .sort((a, b) => b.count - a.count);
-      // Determine if there's variation (multiple slot types assigned)
-      const hasVariation = slotTypeList.length > 1;
-      const topSlotType = slotTypeList[0] || {};
-      return {
-        ...item,
-        slotTypeList,
-        hasVariation,
-        topSlotType: topSlotType.slotType,
-        topSlotTypePct: topSlotType.percentage || 0,
-        variationScore: hasVariation ? (100 - topSlotType.percentage) : 0, // Higher = more variation
-      };
-    })
-    .filter(item => item.total >= 3) // Only show items with enough data
-    .sort((a, b) => b.variationScore - a.variationScore || b.total - a.total);
-
-  // 3. Identify outliers - where urgency doesn't match slot type naming convention
-  // e.g., AMBER urgency but clinician assigned RED slot type
-  const outlierAnalysis = [];
-  nonAutomatedRows.forEach(r => {
-    if (!r.urgency || !r.slotType) return;
-    const slotTypeLower = r.slotType.toLowerCase();
-    // Check if slot type contains a different urgency than recommended
-    let assignedUrgency = null;
-    if (slotTypeLower.includes('red') || slotTypeLower.includes('same day') || slotTypeLower.includes('same-day')) {
-      assignedUrgency = 'RED';
-    } else if (slotTypeLower.includes('amber') || slotTypeLower.includes('next day') || slotTypeLower.includes('next-day')) {
-      assignedUrgency = 'AMBER';
-    } else if (slotTypeLower.includes('yellow')) {
-      assignedUrgency = 'YELLOW';
-    } else if (slotTypeLower.includes('green') || slotTypeLower.includes('routine')) {
-      assignedUrgency = 'GREEN';
-    }
-    if (assignedUrgency && assignedUrgency !== r.urgency) {
-      outlierAnalysis.push({
-        pathway: r.pathway,
-        recommendedUrgency: r.urgency,
-        assignedSlotType: r.slotType,
-        inferredUrgency: assignedUrgency,
-      });
-    }
-  });
-
-  // Aggregate outliers by pathway + recommended vs assigned
-  const outlierSummary = {};
-  outlierAnalysis.forEach(o => {
-    const key = `${o.pathway}|||${o.recommendedUrgency}|||${o.inferredUrgency}`;
-    if (!outlierSummary[key]) {
-      outlierSummary[key] = {
-        pathway: o.pathway,
-        recommendedUrgency: o.recommendedUrgency,
-        assignedUrgency: o.inferredUrgency,
-        count: 0,
-        slotTypes: {},
-      };
-    }
-    outlierSummary[key].count++;
-    outlierSummary[key].slotTypes[o.assignedSlotType] = (outlierSummary[key].slotTypes[o.assignedSlotType] || 0) + 1;
-  });
-  const outlierList = Object.values(outlierSummary)
-    .map(item => ({
-      ...item,
-      slotTypeList: Object.entries(item.slotTypes)
-        .map(([st, count]) => ({ slotType: st, count }))
-        .sort((a, b) => b.count - a.count),
-      direction: ['RED', 'AMBER', 'YELLOW', 'GREEN'].indexOf(item.assignedUrgency) < ['RED', 'AMBER', 'YELLOW', 'GREEN'].indexOf(item.recommendedUrgency)
-        ? 'upgraded' : 'downgraded',
-    }))
-    .sort((a, b) => b.count - a.count);
-
-  const nonAutomatedInboxData = {
-    totalNonAutomated: nonAutomatedRows.length,
-    urgencyToSlotType,
-    pathwayUrgencySlotTypeList,
-    outlierList,
-    outlierCount: outlierAnalysis.length,
-  };
-
-  return {
-    totalSubmissions: rows.length,
-    medicalSubmissions: medicalRows.length,
-    adultMedicalSubmissions: adultMedicalRows.length,
-    tenants,
-    months,
-    dateRange: { min: minDate, max: maxDate },
-    numWeeks,
-    byDayOfWeek,
-    byHour,
-    heatmapData,
-    rolling7Day,
-    symptomCounts,
-    paretoData,
-    byMonthSymptom,
-    urgencyCounts,
-    totalUrgency,
-    urgencyByDay,
-    urgencyByHour,
-    urgencyBySymptom,
-    demandByDayUrgency,
-    capacityNeededByDay,
-    pathwayOpportunities,
-    pathwayAutomationList,
-    avgResolutionMins,
-    medianResolutionMins,
-    resolutionTimes,
-    automationByUrgency,
-    slotTypeCounts,
-    requestTypes,
-    byRequestType,
-    nonAutomatedInboxData,
-  };
-};
-
 export default function TriageSlotAnalysis() {
   const [files, setFiles] = useState([]);
   const [data, setData] = useState(null);
@@ -832,9 +114,9 @@ export default function TriageSlotAnalysis() {
   // Triage system selection (rapidhealth, systmconnect, accurx)
   const [selectedSystem, setSelectedSystem] = useState('rapidhealth');
 
-  // SystmConnect specific state
-  const [systmConnectData, setSystmConnectData] = useState(null);
-  const [systmConnectDataQuality, setSystmConnectDataQuality] = useState(null);
+  // Request-level data for the outcomes tab (not kept in shared dashboards)
+  const [outcomeData, setOutcomeData] = useState(null);
+  const [dataQuality, setDataQuality] = useState(null);
 
   // Slot capacity inputs (user-configurable)
   const [slotCapacity, setSlotCapacity] = useState({
@@ -852,6 +134,9 @@ export default function TriageSlotAnalysis() {
   // Toggle for whether practice accepts requests on weekends
   const [acceptWeekendRequests, setAcceptWeekendRequests] = useState(false);
 
+  // When each urgency needs its appointment (editable per practice protocol)
+  const [urgencyRules, setUrgencyRules] = useState(DEFAULT_URGENCY_RULES);
+
   // Load Firebase shared dashboard from /shared/:id URL
   useEffect(() => {
     const loadFirebaseSharedDashboard = async () => {
@@ -870,6 +155,7 @@ export default function TriageSlotAnalysis() {
           setFiles(shareData.files || ['Shared Dashboard']);
           setSlotCapacity(shareData.slotCapacity || slotCapacity);
           setAcceptWeekendRequests(shareData.acceptWeekendRequests || false);
+          setUrgencyRules(normaliseUrgencyRules(shareData.urgencyRules));
           setActiveTab('overview');
           window.history.replaceState({}, '', '/slots');
 
@@ -912,6 +198,7 @@ export default function TriageSlotAnalysis() {
           setFiles(shareData.files || ['Shared Dashboard']);
           setSlotCapacity(shareData.slotCapacity || slotCapacity);
           setAcceptWeekendRequests(shareData.acceptWeekendRequests || false);
+          setUrgencyRules(normaliseUrgencyRules(shareData.urgencyRules));
           setActiveTab('overview');
         }
       } catch (error) {
@@ -931,72 +218,49 @@ export default function TriageSlotAnalysis() {
     setError(null);
 
     try {
-      if (selectedSystem === 'systmconnect') {
-        // Parse SystmConnect data
-        let allRows = [];
-        let combinedDataQuality = { totalRows: 0, missingDates: 0, invalidDurations: 0, missingOutcomes: 0, missingType: 0, unparsedDates: 0 };
-
-        for (const file of uploadedFiles) {
-          const arrayBuffer = await file.arrayBuffer();
-          const workbook = XLSX.read(arrayBuffer);
-          const { rows, dataQuality } = parseSystmConnectData(workbook);
-          allRows = allRows.concat(rows);
-          // Aggregate data quality
-          combinedDataQuality.totalRows += dataQuality.totalRows;
-          combinedDataQuality.missingDates += dataQuality.missingDates;
-          combinedDataQuality.invalidDurations += dataQuality.invalidDurations;
-          combinedDataQuality.missingOutcomes += dataQuality.missingOutcomes;
-          combinedDataQuality.missingType += dataQuality.missingType;
-        }
+      // Every supplier's export becomes canonical requests, so files from before
+      // and after a change of triage system can be uploaded together
+      const fileRequests = [];
+      let invalidDurations = 0;
+
+      for (const file of uploadedFiles) {
+        const arrayBuffer = await file.arrayBuffer();
+        const workbook = XLSX.read(arrayBuffer);
+        const parsed = parseTriageWorkbook(workbook, selectedSystem);
+        fileRequests.push(parsed.requests);
+        invalidDurations += parsed.dataQuality.invalidDurations;
+      }
 
-        if (allRows.length === 0) {
-          throw new Error('No valid data found in uploaded files');
-        }
+      const { requests, duplicatesRemoved } = combineTriageFiles(fileRequests);
+      if (requests.length === 0) {
+        throw new Error('No valid data found in uploaded files');
+      }
 
-        // Deduplicate rows based on key fields (submittedDt + odsCode + age + type + outcome)
-        const seen = new Set();
-        const deduplicatedRows = allRows.filter(row => {
-          const key = `${row.submittedDt?.getTime() || ''}-${row.odsCode}-${row.age}-${row.type}-${row.clinicalProblemType || row.adminActivityType || ''}-${row.outcome || ''}`;
-          if (seen.has(key)) return false;
-          seen.add(key);
-          return true;
+      const quality = summariseTriageDataQuality(requests, invalidDurations);
+      const analysis = analyzeTriageDemand(requests);
+      setData(analysis);
+      setOutcomeData({ rows: requests, analyzed: analyzeTriageOutcomes(requests), fileCount: uploadedFiles.length, duplicatesRemoved });
+      setDataQuality(quality);
+      setFiles(uploadedFiles.map(f => f.name));
+      setActiveTab('overview');
+      if (quality.missingUrgency > 0) {
+        setToast({
+          type: 'error',
+          message: requests.some(r => r.urgency)
+            ? `${quality.missingUrgency.toLocaleString()} clinical requests have no urgency and are left out of the urgency and slot views.`
+            : 'This export has no urgency ratings, so the urgency and slot views are empty. See Outcomes & SLA for outcomes and response times.',
         });
-
-        const duplicatesRemoved = allRows.length - deduplicatedRows.length;
-        if (duplicatesRemoved > 0) {
-          console.log(`SystmConnect: Removed ${duplicatesRemoved} duplicate rows`);
-        }
-
-        const analyzed = analyzeSystmConnectData(deduplicatedRows);
-        setSystmConnectData({ rows: deduplicatedRows, analyzed, fileCount: uploadedFiles.length, duplicatesRemoved });
-        setSystmConnectDataQuality(combinedDataQuality);
-        setFiles(uploadedFiles.map(f => f.name));
-        trackEvent('systmconnect_data_uploaded', { file_count: uploadedFiles.length, row_count: deduplicatedRows.length, duplicates_removed: duplicatesRemoved });
-      } else {
-        // Parse Rapid Health data
-        let allRows = [];
-
-        for (const file of uploadedFiles) {
-          const arrayBuffer = await file.arrayBuffer();
-          const workbook = XLSX.read(arrayBuffer);
-          const rows = parseTriageData(workbook);
-          allRows = allRows.concat(rows);
-        }
-
-        if (allRows.length === 0) {
-          throw new Error('No valid data found in uploaded files');
-        }
-
-        const analysis = analyzeData(allRows);
-        setData(analysis);
-        setFiles(uploadedFiles.map(f => f.name));
-        setActiveTab('overview');
-        trackEvent('triage_data_uploaded', { file_count: uploadedFiles.length, row_count: allRows.length });
       }
+      trackEvent('triage_data_uploaded', {
+        file_count: uploadedFiles.length,
+        row_count: requests.length,
+        duplicates_removed: duplicatesRemoved,
+        suppliers: analysis.suppliers.map(supplier => supplier.supplier).join(','),
+      });
     } catch (err) {
       setError(err.message);
       setData(null);
-      setSystmConnectData(null);
+      setOutcomeData(null);
       setFiles([]);
     } finally {
       setIsLoading(false);
@@ -1012,9 +276,10 @@ export default function TriageSlotAnalysis() {
       const response = await fetch(sampleTriageData);
       const arrayBuffer = await response.arrayBuffer();
       const workbook = XLSX.read(arrayBuffer);
-      const rows = parseTriageData(workbook);
-      const analysis = analyzeData(rows);
-      setData(analysis);
+      const { requests, dataQuality: quality } = parseTriageWorkbook(workbook, 'rapidhealth');
+      setData(analyzeTriageDemand(requests));
+      setOutcomeData({ rows: requests, analyzed: analyzeTriageOutcomes(requests), fileCount: 1, duplicatesRemoved: 0 });
+      setDataQuality(quality);
       setFiles(['Rapid Health December Data Example - 20260106.xlsx (Sample)']);
       setActiveTab('overview');
       trackEvent('triage_example_loaded');
@@ -1028,8 +293,8 @@ export default function TriageSlotAnalysis() {
   // Reset data
   const handleReset = useCallback(() => {
     setData(null);
-    setSystmConnectData(null);
-    setSystmConnectDataQuality(null);
+    setOutcomeData(null);
+    setDataQuality(null);
     setFiles([]);
     setError(null);
     setActiveTab('overview');
@@ -1055,6 +320,7 @@ export default function TriageSlotAnalysis() {
         data,
         slotCapacity,
         acceptWeekendRequests,
+        urgencyRules,
         files,
       };
 
@@ -1073,7 +339,7 @@ export default function TriageSlotAnalysis() {
     } finally {
       setShareLoading(false);
     }
-  }, [data, slotCapacity, acceptWeekendRequests, files]);
+  }, [data, slotCapacity, acceptWeekendRequests, urgencyRules, files]);
 
   // Update slot capacity
   const updateSlotCapacity = (day, urgency, value) => {
@@ -1090,11 +356,14 @@ export default function TriageSlotAnalysis() {
   const TABS = [
     { id: 'overview', label: 'Overview', icon: <BarChart3 size={16} /> },
     { id: 'slots', label: 'Slot Analysis', icon: <Target size={16} /> },
+    { id: 'simulation', label: 'Backlog Simulation', icon: <TrendingUp size={16} /> },
     { id: 'timing', label: 'Timing', icon: <Clock size={16} /> },
     { id: 'pathways', label: 'Pathways', icon: <Activity size={16} /> },
     { id: 'urgency', label: 'Urgency', icon: <AlertTriangle size={16} /> },
     { id: 'opportunities', label: 'Automation', icon: <CheckCircle size={16} /> },
     { id: 'nonauto-inbox', label: 'Non-automated Inbox', icon: <Inbox size={16} /> },
+    // Request-level outcomes aren't included in shared dashboards
+    ...(outcomeData ? [{ id: 'outcomes', label: 'Outcomes & SLA', icon: <PieChart size={16} /> }] : []),
   ];
 
   // Format date range for display
@@ -1104,105 +373,12 @@ export default function TriageSlotAnalysis() {
     return `${data.dateRange.min.toLocaleDateString('en-GB', options)} - ${data.dateRange.max.toLocaleDateString('en-GB', options)}`;
   }, [data]);
 
-  // Recalculate capacity needed based on acceptWeekendRequests toggle
-  // This fixes AMBER logic: if next calendar day is closed, capacity is needed same day
+  // Move demand to the day slots are needed, using the urgency timing rules
+  // (weekend requests are only counted when the practice accepts them)
   const adjustedCapacityNeededByDay = useMemo(() => {
     if (!data) return null;
-
-    // Initialize capacity needed for weekdays only
-    const capacityNeeded = {};
-    WEEKDAYS.forEach(day => {
-      capacityNeeded[day] = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0, total: 0 };
-    });
-
-    // Day indices: Mon=0, Tue=1, Wed=2, Thu=3, Fri=4, Sat=5, Sun=6
-    const dayToIndex = {};
-    DAYS_ORDER.forEach((day, i) => dayToIndex[day] = i);
-    const indexToDay = DAYS_ORDER;
-
-    const isOpenDay = (dayIdx) => dayIdx >= 0 && dayIdx <= 4;
-
-    // Helper to get nth open day from a starting day
-    const getNthOpenDay = (startDayIndex, n) => {
-      if (n === 0) {
-        return isOpenDay(startDayIndex) ? startDayIndex : 0;
-      }
-      let current = startDayIndex;
-      let count = 0;
-      while (count < n) {
-        current = (current + 1) % 7;
-        if (isOpenDay(current)) count++;
-      }
-      return current;
-    };
-
-    // Process each day's demand and distribute to capacity days
-    DAYS_ORDER.forEach(requestDay => {
-      const dayIndex = dayToIndex[requestDay];
-
-      // Skip weekend requests if toggle is OFF
-      if (!acceptWeekendRequests && !isOpenDay(dayIndex)) {
-        return;
-      }
-
-      const demand = data.demandByDayUrgency[requestDay];
-
-      // Calculate target days for each urgency
-      ['RED', 'AMBER', 'YELLOW', 'GREEN'].forEach(urgency => {
-        let targetDayIndex;
-        let effectiveUrgency = urgency; // Track if urgency gets upgraded
-
-        switch (urgency) {
-          case 'RED':
-            // Same open day - if request on weekend, moves to Monday
-            targetDayIndex = isOpenDay(dayIndex) ? dayIndex : 0;
-            break;
-          case 'AMBER':
-            // AMBER = next CALENDAR day appointment
-            // If next calendar day is closed, patient needs same-day capacity instead
-            const nextCalendarDay = (dayIndex + 1) % 7;
-            if (isOpenDay(nextCalendarDay)) {
-              // Next day is open - capacity needed there
-              targetDayIndex = nextCalendarDay;
-            } else {
-              // Next day is closed (weekend) - need same-day RED capacity
-              // This upgrades AMBER to RED since they need same-day appointment
-              targetDayIndex = isOpenDay(dayIndex) ? dayIndex : 0;
-              effectiveUrgency = 'RED'; // Count as RED capacity needed
-            }
-            break;
-          case 'YELLOW':
-            // 3rd open day from request
-            targetDayIndex = getNthOpenDay(dayIndex, 3);
-            break;
-          case 'GREEN':
-            // 5th open day from request
-            targetDayIndex = getNthOpenDay(dayIndex, 5);
-            break;
-          default:
-            return;
-        }
-
-        const targetDay = indexToDay[targetDayIndex];
-        if (isOpenDay(targetDayIndex) && capacityNeeded[targetDay]) {
-          capacityNeeded[targetDay][effectiveUrgency] += demand[urgency];
-          capacityNeeded[targetDay].total += demand[urgency];
-        }
-      });
-    });
-
-    // Calculate averages using numWeeks
-    const numWeeks = data.numWeeks || 1;
-    Object.keys(capacityNeeded).forEach(day => {
-      capacityNeeded[day].avgGREEN = Math.round(capacityNeeded[day].GREEN / numWeeks);
-      capacityNeeded[day].avgYELLOW = Math.round(capacityNeeded[day].YELLOW / numWeeks);
-      capacityNeeded[day].avgAMBER = Math.round(capacityNeeded[day].AMBER / numWeeks);
-      capacityNeeded[day].avgRED = Math.round(capacityNeeded[day].RED / numWeeks);
-      capacityNeeded[day].avgTotal = Math.round(capacityNeeded[day].total / numWeeks);
-    });
-
-    return capacityNeeded;
-  }, [data, acceptWeekendRequests]);
+    return calculateCapacityNeeded(data, urgencyRules, { acceptWeekendRequests });
+  }, [data, urgencyRules, acceptWeekendRequests]);
 
   // Slot gap analysis - uses adjustedCapacityNeededByDay (where slots are actually needed)
   // Only shows weekdays since practices are closed on weekends
@@ -1243,7 +419,7 @@ export default function TriageSlotAnalysis() {
   }, [data, slotCapacity, adjustedCapacityNeededByDay]);
 
   // Render upload form (show when no data is loaded for any system)
-  if (!data && !systmConnectData) {
+  if (!data) {
     return (
       <div className="animate-in fade-in slide-in-from-bottom-4 duration-500">
         {/* Header */}
@@ -1320,7 +496,7 @@ export default function TriageSlotAnalysis() {
             <div className="border-2 border-dashed border-slate-200 rounded-xl p-8 text-center hover:border-purple-400 transition-colors">
               <input
                 type="file"
-                accept={selectedSystem === 'systmconnect' ? '.xlsx,.xls,.csv' : '.xlsx,.xls'}
+                accept=".xlsx,.xls,.csv"
                 multiple
                 onChange={handleFileUpload}
                 className="hidden"
@@ -1336,13 +512,12 @@ export default function TriageSlotAnalysis() {
                   Click to upload or drag and drop
                 </p>
                 <p className="text-slate-400 text-sm">
-                  {selectedSystem === 'systmconnect'
-                    ? 'XLSX, XLS or CSV files (single or multiple)'
-                    : 'XLSX or XLS files (single or multiple)'}
+                  XLSX, XLS or CSV files (single or multiple, from one or more suppliers)
                 </p>
                 <p className="text-xs text-purple-500 mt-2">
                   {selectedSystem === 'rapidhealth' && 'Rapid Health Smart Triage extract format'}
                   {selectedSystem === 'systmconnect' && 'TPP SystmOne SystmConnect extract format'}
+                  {selectedSystem === 'accurx' && 'Accurx Patient Triage request export'}
                 </p>
               </label>
             </div>
@@ -1380,59 +555,7 @@ export default function TriageSlotAnalysis() {
     );
   }
 
-  // Render SystmConnect analysis dashboard
-  if (systmConnectData) {
-    return (
-      <div className="animate-in fade-in slide-in-from-bottom-4 duration-500">
-        {/* Header */}
-        <Card className="bg-gradient-to-r from-purple-600 to-indigo-600 text-white mb-6">
-          <div className="text-center">
-            <h2 className="text-2xl font-bold flex items-center justify-center gap-2">
-              <Activity size={28} />
-              SystmConnect Analysis
-              <span className="text-xs uppercase tracking-wide px-2 py-0.5 rounded-full font-bold bg-white/20 text-white">
-                Beta
-              </span>
-            </h2>
-            <p className="text-sm text-purple-100 mt-1">
-              TPP SystmOne Online Consultation Analysis
-              {systmConnectData.fileCount > 1 && (
-                <span className="ml-2">
-                  ({systmConnectData.fileCount} files combined, {systmConnectData.rows?.length?.toLocaleString()} total rows
-                  {systmConnectData.duplicatesRemoved > 0 && `, ${systmConnectData.duplicatesRemoved} duplicates removed`})
-                </span>
-              )}
-            </p>
-          </div>
-        </Card>
-
-        {/* File info and actions */}
-        <div className="flex items-center justify-between mb-4">
-          <div className="flex items-center gap-2 text-sm text-slate-600">
-            <FileText size={16} />
-            <span>{files.join(', ')}</span>
-          </div>
-          <button
-            onClick={handleReset}
-            className="flex items-center gap-1 px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-          >
-            <X size={16} />
-            Reset
-          </button>
-        </div>
-
-        <SystmConnectAnalysis
-          data={systmConnectData}
-          dataQuality={systmConnectDataQuality}
-          onReset={handleReset}
-        />
-
-        {toast && <Toast {...toast} onClose={() => setToast(null)} />}
-      </div>
-    );
-  }
-
-  // Render Rapid Health analysis dashboard
+  // Render analysis dashboard
   return (
     <div className="animate-in fade-in slide-in-from-bottom-4 duration-500">
       {/* Header */}
@@ -1447,7 +570,14 @@ export default function TriageSlotAnalysis() {
           </h2>
           <p className="text-sm text-purple-100 mt-1">
             {data.tenants.join(', ')} | {dateRangeText} | {data.totalSubmissions.toLocaleString()} total submissions
+            {data.suppliers?.length > 0 && ` | ${data.suppliers.map(supplier => supplier.name).join(' → ')}`}
           </p>
+          {outcomeData?.fileCount > 1 && (
+            <p className="text-xs text-purple-100 mt-1">
+              {outcomeData.fileCount} files combined
+              {outcomeData.duplicatesRemoved > 0 && `, ${outcomeData.duplicatesRemoved.toLocaleString()} overlapping requests removed`}
+            </p>
+          )}
         </div>
       </Card>
 
@@ -1513,8 +643,18 @@ export default function TriageSlotAnalysis() {
           showSlotSettings={showSlotSettings}
           setShowSlotSettings={setShowSlotSettings}
           acceptWeekendRequests={acceptWeekendRequests}
+          urgencyRules={urgencyRules}
+          setUrgencyRules={setUrgencyRules}
           setAcceptWeekendRequests={setAcceptWeekendRequests}
-          adjustedCapacityNeededByDay={adjustedCapacityNeededByDay}
+        />
+      )}
+
+      {activeTab === 'simulation' && (
+        <BacklogSimulationTab
+          data={data}
+          slotCapacity={slotCapacity}
+          urgencyRules={urgencyRules}
+          acceptWeekendRequests={acceptWeekendRequests}
         />
       )}
 
@@ -1538,6 +678,10 @@ export default function TriageSlotAnalysis() {
         <NonAutomatedInboxTab data={data} />
       )}
 
+      {activeTab === 'outcomes' && outcomeData && (
+        <TriageOutcomeAnalysis data={outcomeData} dataQuality={dataQuality} />
+      )}
+
       <ShareModal
         isOpen={shareUrl !== null || shareType === 'excel'}
         onClose={() => {
@@ -1561,6 +705,58 @@ export default function TriageSlotAnalysis() {
   );
 }
 
+// === SUPPLIER COMPARISON (uploads spanning a change of triage system) ===
+function SupplierComparison({ suppliers }) {
+  const formatDate = (iso) => (iso
+    ? new Date(iso).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })
+    : '?');
+  const formatMins = (mins) => (mins !== null ? `${Math.floor(mins / 60)}h ${mins % 60}m` : 'N/A');
+  const rows = [
+    { label: 'Requests per week', value: s => s.requestsPerWeek.toLocaleString() },
+    { label: 'Clinical', value: s => `${s.clinicalPct.toFixed(1)}%` },
+    { label: 'Booked an appointment', value: s => `${s.appointmentPct.toFixed(1)}%` },
+    { label: 'Outcome recorded', value: s => `${s.outcomeRecordedPct.toFixed(1)}%` },
+    { label: 'RED / AMBER urgency', value: s => (s.urgencyMix ? `${(s.urgencyMix.RED + s.urgencyMix.AMBER).toFixed(1)}%` : 'Not exported') },
+    { label: 'Median time to outcome', value: s => formatMins(s.medianTimeToOutcome) },
+  ];
+
+  return (
+    <Card>
+      <h3 className="text-lg font-semibold text-slate-900 mb-1">Supplier Comparison</h3>
+      <p className="text-sm text-slate-500 mb-4">
+        The same measures for each triage system in the upload, for comparing before and after a change of supplier.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200">
+              <th className="text-left py-2 pr-4 font-medium text-slate-500"></th>
+              {suppliers.map(s => (
+                <th key={s.supplier} className="text-right py-2 px-4 font-semibold text-slate-900">
+                  {s.name}
+                  <span className="block text-xs font-normal text-slate-500">
+                    {formatDate(s.firstDate)} - {formatDate(s.lastDate)} ({s.total.toLocaleString()})
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.label} className="border-b border-slate-100">
+                <td className="py-2 pr-4 text-slate-600">{row.label}</td>
+                {suppliers.map(s => (
+                  <td key={s.supplier} className="text-right py-2 px-4 font-medium text-slate-900">{row.value(s)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+}
+
 // === OVERVIEW TAB ===
 function OverviewTab({ data, requestTypeFilter, setRequestTypeFilter }) {
   // Get filtered data based on request type
@@ -1613,6 +809,8 @@ function OverviewTab({ data, requestTypeFilter, setRequestTypeFilter }) {
         </Card>
       </div>
 
+      {data.suppliers?.length > 1 && <SupplierComparison suppliers={data.suppliers} />}
+
       {/* Slot Type Distribution */}
       <Card>
         <h3 className="text-lg font-semibold text-slate-900 mb-4">
@@ -1718,8 +916,19 @@ function OverviewTab({ data, requestTypeFilter, setRequestTypeFilter }) {
 // Local storage key for saved configurations
 const CONFIG_STORAGE_KEY = 'triage-slot-configs';
 
+// Saved slot configurations, newest first
+const readSavedConfigs = () => {
+  try {
+    const stored = localStorage.getItem(CONFIG_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (e) {
+    console.error('Failed to load saved configurations:', e);
+    return [];
+  }
+};
+
 // === SLOT ANALYSIS TAB ===
-function SlotAnalysisTab({ data, slotCapacity, setSlotCapacity, updateSlotCapacity, slotGapAnalysis, showSlotSettings, setShowSlotSettings, acceptWeekendRequests, setAcceptWeekendRequests, adjustedCapacityNeededByDay }) {
+function SlotAnalysisTab({ data, slotCapacity, setSlotCapacity, updateSlotCapacity, slotGapAnalysis, showSlotSettings, setShowSlotSettings, acceptWeekendRequests, setAcceptWeekendRequests, urgencyRules, setUrgencyRules }) {
   const [showSavedConfigs, setShowSavedConfigs] = useState(false);
   const [savedConfigs, setSavedConfigs] = useState([]);
   const [newConfigName, setNewConfigName] = useState('');
@@ -1727,14 +936,7 @@ function SlotAnalysisTab({ data, slotCapacity, setSlotCapacity, updateSlotCapaci
 
   // Load saved configurations from localStorage on mount
   useEffect(() => {
-    try {
-      const stored = localStorage.getItem(CONFIG_STORAGE_KEY);
-      if (stored) {
-        setSavedConfigs(JSON.parse(stored));
-      }
-    } catch (e) {
-      console.error('Failed to load saved configurations:', e);
-    }
+    setSavedConfigs(readSavedConfigs());
   }, []);
 
   // Save configuration to localStorage
@@ -1745,6 +947,7 @@ function SlotAnalysisTab({ data, slotCapacity, setSlotCapacity, updateSlotCapaci
       timestamp: new Date().toISOString(),
       slotCapacity: slotCapacity,
       acceptWeekendRequests: acceptWeekendRequests,
+      urgencyRules: urgencyRules,
     };
 
     const updatedConfigs = [newConfig, ...savedConfigs].slice(0, 20); // Keep max 20 configs
@@ -1758,8 +961,18 @@ function SlotAnalysisTab({ data, slotCapacity, setSlotCapacity, updateSlotCapaci
   const loadConfiguration = (config) => {
     setSlotCapacity(config.slotCapacity);
     setAcceptWeekendRequests(config.acceptWeekendRequests);
+    setUrgencyRules(normaliseUrgencyRules(config.urgencyRules));
+  };
+
+  // Update one field of an urgency's timing rule
+  const updateUrgencyRule = (urgency, field, value) => {
+    setUrgencyRules(prev => normaliseUrgencyRules({ ...prev, [urgency]: { ...prev[urgency], [field]: value } }));
   };
 
+  const ruleSummary = URGENCY_LEVELS
+    .map(urgency => `${urgency.charAt(0)}${urgency.slice(1).toLowerCase()}=${describeUrgencyRule(urgencyRules[urgency]).toLowerCase()}`)
+    .join(', ');
+
   // Delete a saved configuration
   const deleteConfiguration = (configId) => {
     const updatedConfigs = savedConfigs.filter(c => c.id !== configId);
@@ -1868,13 +1081,111 @@ function SlotAnalysisTab({ data, slotCapacity, setSlotCapacity, updateSlotCapaci
                     <span className="font-medium text-slate-900">Accept requests on weekends</span>
                     <p className="text-sm text-slate-500 mt-1">
                       Enable this if your practice allows patients to submit online requests on Saturday and Sunday.
-                      When disabled, weekend requests are excluded from calculations, meaning Monday Amber slots will show 0
-                      (since Amber requests require submission the day before).
+                      When disabled, weekend requests are excluded from calculations.
                     </p>
                   </div>
                 </label>
               </div>
 
+              {/* Urgency Timing Rules */}
+              <div>
+                <div className="flex items-center justify-between mb-3">
+                  <div>
+                    <h4 className="font-medium text-slate-700">Urgency Timing Rules</h4>
+                    <p className="text-xs text-slate-500">When each urgency needs an appointment under your triage protocol</p>
+                  </div>
+                  <button
+                    onClick={() => setUrgencyRules(DEFAULT_URGENCY_RULES)}
+                    className="px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-100 rounded-lg transition-colors"
+                  >
+                    Reset to Defaults
+                  </button>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b border-slate-200">
+                        <th className="text-left py-2 px-3 font-medium text-slate-600">Urgency</th>
+                        <th className="text-center py-2 px-3 font-medium text-slate-600">Days After Request</th>
+                        <th className="text-center py-2 px-3 font-medium text-slate-600">Weekends Count</th>
+                        <th className="text-center py-2 px-3 font-medium text-slate-600">Bank Holidays Count</th>
+                        <th className="text-left py-2 px-3 font-medium text-slate-600">If That Day Is Closed</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {URGENCY_LEVELS.map(urgency => {
+                        const rule = urgencyRules[urgency];
+                        return (
+                          <tr key={urgency} className="border-b border-slate-100">
+                            <td className="py-2 px-3">
+                              <span className={`px-2 py-0.5 rounded text-xs font-bold ${URGENCY_COLORS[urgency].bg} ${URGENCY_COLORS[urgency].text}`}>
+                                {urgency}
+                              </span>
+                              <p className="text-xs text-slate-400 mt-1">{describeUrgencyRule(rule)}</p>
+                            </td>
+                            <td className="py-2 px-3 text-center">
+                              <input
+                                type="number"
+                                min="0"
+                                max={MAX_TARGET_DAYS}
+                                value={rule.targetDays}
+                                onChange={(e) => updateUrgencyRule(urgency, 'targetDays', e.target.value)}
+                                className="w-16 px-2 py-1 text-center border border-slate-200 rounded focus:ring-2 focus:ring-purple-500 focus:outline-none"
+                              />
+                            </td>
+                            <td className="py-2 px-3 text-center">
+                              <input
+                                type="checkbox"
+                                checked={rule.countWeekends}
+                                onChange={(e) => updateUrgencyRule(urgency, 'countWeekends', e.target.checked)}
+                                className="w-4 h-4 text-purple-600 border-slate-300 rounded focus:ring-purple-500"
+                              />
+                            </td>
+                            <td className="py-2 px-3 text-center">
+                              <input
+                                type="checkbox"
+                                checked={rule.countBankHolidays}
+                                onChange={(e) => updateUrgencyRule(urgency, 'countBankHolidays', e.target.checked)}
+                                className="w-4 h-4 text-purple-600 border-slate-300 rounded focus:ring-purple-500"
+                              />
+                            </td>
+                            <td className="py-2 px-3">
+                              <div className="flex items-center gap-2">
+                                <select
+                                  value={rule.whenClosed}
+                                  onChange={(e) => updateUrgencyRule(urgency, 'whenClosed', e.target.value)}
+                                  disabled={rule.targetDays === 0}
+                                  className="px-2 py-1 border border-slate-200 rounded bg-white disabled:opacity-50"
+                                >
+                                  {Object.entries(WHEN_CLOSED_OPTIONS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                  ))}
+                                </select>
+                                {rule.whenClosed === 'upgrade' && rule.targetDays > 0 && (
+                                  <select
+                                    value={rule.upgradeTo}
+                                    onChange={(e) => updateUrgencyRule(urgency, 'upgradeTo', e.target.value)}
+                                    className="px-2 py-1 border border-slate-200 rounded bg-white"
+                                    title="Slot type used when upgraded"
+                                  >
+                                    {URGENCY_LEVELS.slice(0, URGENCY_LEVELS.indexOf(urgency) + 1).map(level => (
+                                      <option key={level} value={level}>{level}</option>
+                                    ))}
+                                  </select>
+                                )}
+                              </div>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="text-xs text-slate-400 mt-2">
+                  The practice is treated as closed at weekends and on England &amp; Wales bank holidays.
+                </p>
+              </div>
+
               {/* Slot Capacity Table */}
               <div>
                 <h4 className="font-medium text-slate-700 mb-3">Slot Capacity per Day</h4>
@@ -1918,9 +1229,8 @@ function SlotAnalysisTab({ data, slotCapacity, setSlotCapacity, updateSlotCapaci
       <Card>
         <h3 className="text-lg font-semibold text-slate-900 mb-2">Slots Needed vs Available</h3>
         <p className="text-sm text-slate-500 mb-4">
-          Capacity needed is calculated based on when appointments are required, not when requests are submitted.
-          Amber urgency means the patient needs to be seen the next calendar day - if that day is closed (e.g., Saturday),
-          same-day capacity is needed instead.
+          Capacity needed is calculated based on when appointments are required, not when requests are submitted,
+          using your urgency timing rules ({ruleSummary}).
           {!acceptWeekendRequests && ' Weekend requests are excluded since your practice doesn\'t accept them.'}
         </p>
 
@@ -1988,67 +1298,23 @@ function SlotAnalysisTab({ data, slotCapacity, setSlotCapacity, updateSlotCapaci
             <span>
               <strong>Positive values (+)</strong> in the Gap column indicate you need more slots.
               <strong> Negative values (-)</strong> indicate you have surplus capacity.
-              Friday Amber requests need same-day (Friday) capacity since Saturday is closed.
+              Requests whose target day is closed move as your timing rules say, and bank holidays in the data are honoured.
               {acceptWeekendRequests
                 ? ' Weekend requests are included and redistributed to weekdays.'
-                : ' Monday Amber shows 0 because no requests are submitted on Sunday.'}
+                : ' Weekend requests are excluded.'}
             </span>
           </p>
         </div>
       </Card>
 
       {/* Recommended Slots */}
-      <Card>
-        <h3 className="text-lg font-semibold text-slate-900 mb-4">Recommended Slot Configuration</h3>
-        <p className="text-sm text-slate-500 mb-4">
-          Based on when capacity is actually needed (accounting for urgency timing and practice closures), here are the recommended slots:
-        </p>
-
-        <div className="overflow-x-auto">
-          <table className="w-full text-sm">
-            <thead>
-              <tr className="border-b border-slate-200">
-                <th className="text-left py-2 px-3 font-medium text-slate-600">Day</th>
-                <th className="text-center py-2 px-3 font-medium text-green-600">Green</th>
-                <th className="text-center py-2 px-3 font-medium text-yellow-600">Yellow</th>
-                <th className="text-center py-2 px-3 font-medium text-amber-600">Amber</th>
-                <th className="text-center py-2 px-3 font-medium text-red-600">Red</th>
-                <th className="text-center py-2 px-3 font-medium text-slate-600">Total</th>
-              </tr>
-            </thead>
-            <tbody>
-              {adjustedCapacityNeededByDay && WEEKDAYS.map(day => {
-                const needed = adjustedCapacityNeededByDay[day];
-                // Add 10% buffer to recommendations
-                const recommended = {
-                  GREEN: Math.ceil(needed.avgGREEN * 1.1),
-                  YELLOW: Math.ceil(needed.avgYELLOW * 1.1),
-                  AMBER: Math.ceil(needed.avgAMBER * 1.1),
-                  RED: Math.ceil(needed.avgRED * 1.1),
-                };
-                const total = recommended.GREEN + recommended.YELLOW + recommended.AMBER + recommended.RED;
-
-                return (
-                  <tr key={day} className="border-b border-slate-100">
-                    <td className="py-2 px-3 font-medium text-slate-700">{day}</td>
-                    <td className="text-center py-2 px-3 text-green-600 font-medium">{recommended.GREEN}</td>
-                    <td className="text-center py-2 px-3 text-yellow-600 font-medium">{recommended.YELLOW}</td>
-                    <td className="text-center py-2 px-3 text-amber-600 font-medium">{recommended.AMBER}</td>
-                    <td className="text-center py-2 px-3 text-red-600 font-medium">{recommended.RED}</td>
-                    <td className="text-center py-2 px-3 font-bold text-slate-700">{total}</td>
-                  </tr>
-                );
-              })}
-            </tbody>
-          </table>
-        </div>
-
-        <p className="text-xs text-slate-400 mt-3">
-          * Recommendations include a 10% buffer above average need to account for variability.
-          Red=same day, Amber=next calendar day (or same day if next day closed), Yellow=3rd open day, Green=5th open day.
-          {!acceptWeekendRequests && ' Weekend requests excluded.'}
-        </p>
-      </Card>
+      <RotaRecommendation
+        data={data}
+        urgencyRules={urgencyRules}
+        acceptWeekendRequests={acceptWeekendRequests}
+        setSlotCapacity={setSlotCapacity}
+        ruleSummary={ruleSummary}
+      />
       </div>
 
       {/* Saved Configurations Sidebar */}
@@ -2105,6 +1371,11 @@ function SlotAnalysisTab({ data, slotCapacity, setSlotCapacity, updateSlotCapaci
                       <span className={config.acceptWeekendRequests ? 'text-green-600' : 'text-slate-400'}>
                         {config.acceptWeekendRequests ? '✓ Weekend requests' : '✗ No weekend requests'}
                       </span>
+                      {config.urgencyRules && (
+                        <p className="mt-1">
+                          {URGENCY_LEVELS.map(urgency => `${urgency.charAt(0)}: ${describeUrgencyRule(normaliseUrgencyRules(config.urgencyRules)[urgency])}`).join(' · ')}
+                        </p>
+                      )}
                     </div>
                     <button
                       onClick={() => loadConfiguration(config)}
@@ -2123,6 +1394,467 @@ function SlotAnalysisTab({ data, slotCapacity, setSlotCapacity, updateSlotCapaci
   );
 }
 
+// === RECOMMENDED ROTA ===
+const ROTA_NUMBER_INPUTS = [
+  { key: 'slotMinutes', label: 'Slot length (mins)', min: 5, max: 60 },
+  { key: 'sessionMinutes', label: 'Session length (mins)', min: 30, max: 360 },
+  { key: 'maxSlotsPerSession', label: 'Max slots per clinician session', min: 1, max: 72 },
+  { key: 'maxSessionsPerDay', label: 'Max sessions per day', min: 0, max: 40 },
+];
+
+function RotaRecommendation({ data, urgencyRules, acceptWeekendRequests, setSlotCapacity, ruleSummary }) {
+  const [constraints, setConstraints] = useState(DEFAULT_ROTA_CONSTRAINTS);
+  const [showRota, setShowRota] = useState(false);
+
+  const rota = useMemo(
+    () => optimiseSlotRota(data, { urgencyRules, acceptWeekendRequests, constraints }),
+    [data, urgencyRules, acceptWeekendRequests, constraints]
+  );
+
+  // Inputs keep what was typed; the optimiser works from the normalised values
+  const updateConstraint = (key, value) => {
+    setConstraints(prev => ({ ...prev, [key]: value }));
+  };
+  const updateServiceLevel = (urgency, value) => {
+    setConstraints(prev => ({ ...prev, serviceLevels: { ...prev.serviceLevels, [urgency]: value } }));
+  };
+
+  const practiceName = data.tenants?.[0] || 'Practice';
+
+  const downloadCsv = () => {
+    const csv = XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(rotaTemplateRows(rota)));
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = generateExcelFilename('slot-rota', practiceName).replace(/\.xlsx$/, '.csv');
+    a.click();
+    URL.revokeObjectURL(url);
+    trackExport('triage_slot_rota_csv');
+  };
+
+  const downloadExcel = () => {
+    XLSX.writeFile(exportSlotRotaToExcel(rota), generateExcelFilename('slot-rota', practiceName));
+    trackExport('triage_slot_rota_xlsx');
+  };
+
+  return (
+    <Card>
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-slate-900">Recommended Slot Configuration</h3>
+          <p className="text-sm text-slate-500 mt-1">
+            A weekly rota sized to meet each urgency on your target share of days, using the daily spread of demand
+            rather than the average. Same-day slots follow when requests arrive, so afternoon requests have afternoon slots.
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => setSlotCapacity(rota.slotCapacity)}
+            className="px-3 py-1.5 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+          >
+            Apply to Slot Settings
+          </button>
+          <button
+            onClick={downloadCsv}
+            className="px-3 py-1.5 text-sm text-slate-600 border border-slate-200 rounded-lg hover:bg-slate-50 transition-colors"
+          >
+            Rota CSV
+          </button>
+          <button
+            onClick={downloadExcel}
+            className="px-3 py-1.5 text-sm text-slate-600 border border-slate-200 rounded-lg hover:bg-slate-50 transition-colors"
+          >
+            Rota Excel
+          </button>
+        </div>
+      </div>
+
+      {/* Constraints */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 p-4 bg-slate-50 rounded-lg mb-4">
+        {ROTA_NUMBER_INPUTS.map(({ key, label, min, max }) => (
+          <label key={key} className="block">
+            <span className="text-xs font-medium text-slate-600">{label}</span>
+            <input
+              type="number"
+              min={min}
+              max={max}
+              value={constraints[key]}
+              onChange={(e) => updateConstraint(key, e.target.value)}
+              className="mt-1 w-full px-2 py-1 border border-slate-200 rounded focus:ring-2 focus:ring-purple-500 focus:outline-none"
+            />
+          </label>
+        ))}
+        {URGENCY_LEVELS.map(urgency => (
+          <label key={urgency} className="block">
+            <span className={`text-xs font-medium ${URGENCY_COLORS[urgency].text}`}>{urgency} met on (% of days)</span>
+            <input
+              type="number"
+              min="50"
+              max="100"
+              value={constraints.serviceLevels[urgency]}
+              onChange={(e) => updateServiceLevel(urgency, e.target.value)}
+              className="mt-1 w-full px-2 py-1 border border-slate-200 rounded focus:ring-2 focus:ring-purple-500 focus:outline-none"
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200">
+              <th className="text-left py-2 px-3 font-medium text-slate-600">Day</th>
+              <th className="text-center py-2 px-3 font-medium text-green-600">Green</th>
+              <th className="text-center py-2 px-3 font-medium text-yellow-600">Yellow</th>
+              <th className="text-center py-2 px-3 font-medium text-amber-600">Amber</th>
+              <th className="text-center py-2 px-3 font-medium text-red-600">Red</th>
+              <th className="text-center py-2 px-3 font-medium text-slate-600">Total</th>
+              <th className="text-center py-2 px-3 font-medium text-slate-600">Sessions</th>
+              <th className="text-left py-2 px-3 font-medium text-slate-600">Short</th>
+            </tr>
+          </thead>
+          <tbody>
+            {WEEKDAYS.map(day => {
+              const plan = rota.days[day];
+              const total = URGENCY_LEVELS.reduce((sum, urgency) => sum + plan.slots[urgency], 0);
+              const short = URGENCY_LEVELS.filter(urgency => plan.shortfall[urgency] > 0);
+              return (
+                <tr key={day} className="border-b border-slate-100">
+                  <td className="py-2 px-3 font-medium text-slate-700">{day}</td>
+                  <td className="text-center py-2 px-3 text-green-600 font-medium">{plan.slots.GREEN}</td>
+                  <td className="text-center py-2 px-3 text-yellow-600 font-medium">{plan.slots.YELLOW}</td>
+                  <td className="text-center py-2 px-3 text-amber-600 font-medium">{plan.slots.AMBER}</td>
+                  <td className="text-center py-2 px-3 text-red-600 font-medium">{plan.slots.RED}</td>
+                  <td className="text-center py-2 px-3 font-bold text-slate-700">{total}</td>
+                  <td className="text-center py-2 px-3 text-slate-700">{plan.sessions}</td>
+                  <td className="py-2 px-3 text-xs">
+                    {short.length === 0
+                      ? <span className="text-green-600">None</span>
+                      : <span className="text-red-600">{short.map(urgency => `${plan.shortfall[urgency]} ${urgency}`).join(', ')}</span>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-slate-400 mt-3">
+        {rota.totals.sessions} sessions ({rota.totals.clinicianHours.toFixed(1)} clinician hours) and {rota.totals.slots} slots a week.
+        {rota.totals.shortfall > 0 && ` ${rota.totals.shortfall} slots a week don't fit the session limits; the least urgent are left out.`}
+        {' '}{ruleSummary}.
+        {!acceptWeekendRequests && ' Weekend requests excluded.'}
+      </p>
+
+      <button
+        onClick={() => setShowRota(!showRota)}
+        className="mt-3 flex items-center gap-1 text-sm text-purple-600 hover:text-purple-700"
+      >
+        {showRota ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+        {showRota ? 'Hide session rota' : 'Show session rota'}
+      </button>
+      {showRota && (
+        <div className="mt-3 grid grid-cols-1 md:grid-cols-5 gap-3">
+          {WEEKDAYS.map(day => (
+            <div key={day}>
+              <p className="font-medium text-slate-700 text-sm mb-2">{day}</p>
+              <div className="space-y-2">
+                {rota.sessions.filter(session => session.day === day).map(session => (
+                  <div key={`${session.session}-${session.clinician}`} className="p-2 bg-slate-50 rounded border border-slate-200">
+                    <p className="text-xs text-slate-600">
+                      {session.session} · {session.clinician} · {session.start}–{session.end}
+                    </p>
+                    <div className="flex flex-wrap gap-0.5 mt-1">
+                      {session.slots.map(slot => (
+                        <span
+                          key={slot.start}
+                          title={`${slot.start} ${slot.urgency}`}
+                          className={`w-2.5 h-2.5 rounded-sm ${URGENCY_COLORS[slot.urgency].bg} border ${URGENCY_COLORS[slot.urgency].border}`}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// === BACKLOG SIMULATION TAB ===
+// Up to this many configurations are simulated side by side
+const MAX_COMPARED_CONFIGS = 3;
+const SIMULATION_COLORS = ['#8b5cf6', '#0ea5e9', '#f97316'];
+
+function BacklogSimulationTab({ data, slotCapacity, urgencyRules, acceptWeekendRequests }) {
+  const [savedConfigs] = useState(readSavedConfigs);
+  const [selectedConfigIds, setSelectedConfigIds] = useState([]);
+  const [horizonWeeks, setHorizonWeeks] = useState(DEFAULT_HORIZON_WEEKS);
+  const [demandChangePct, setDemandChangePct] = useState(0);
+
+  const toggleConfig = (configId) => {
+    setSelectedConfigIds(prev => (prev.includes(configId)
+      ? prev.filter(id => id !== configId)
+      : [...prev, configId].slice(-(MAX_COMPARED_CONFIGS - 1))));
+  };
+
+  // Current settings first, then the chosen saved configurations
+  const simulations = useMemo(() => {
+    const configs = [
+      { id: 'current', name: 'Current settings', slotCapacity, urgencyRules, acceptWeekendRequests },
+      ...savedConfigs
+        .filter(config => selectedConfigIds.includes(config.id))
+        .map(config => ({ ...config, name: config.name || 'Unnamed' })),
+    ];
+    return configs.map(config => ({
+      ...config,
+      result: simulateBacklog(data, config, { horizonWeeks, demandChangePct }),
+    }));
+  }, [data, slotCapacity, urgencyRules, acceptWeekendRequests, savedConfigs, selectedConfigIds, horizonWeeks, demandChangePct]);
+
+  const formatDate = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+  };
+  const formatPct = (value) => (value === null ? 'N/A' : `${value.toFixed(1)}%`);
+
+  const [current] = simulations;
+  if (!current.result) {
+    return (
+      <Card>
+        <h3 className="text-lg font-semibold text-slate-900 mb-2">Backlog Simulation</h3>
+        <p className="text-sm text-slate-500">
+          This dashboard was shared before daily demand was kept, so the simulation can't run.
+          Upload the triage export again to simulate the backlog.
+        </p>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Settings */}
+      <Card>
+        <h3 className="text-lg font-semibold text-slate-900 mb-2">Backlog Simulation</h3>
+        <p className="text-sm text-slate-500 mb-4">
+          Plays your demand day by day against a slot configuration. Requests are booked earliest deadline first into
+          slots of their urgency (or spare slots of a more urgent type); anything not booked is carried forward, so you
+          can see how a backlog builds when demand runs above capacity. After the uploaded dates, the forecast repeats
+          average demand for each weekday.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <label className="block">
+            <span className="text-sm font-medium text-slate-700">Forecast weeks</span>
+            <input
+              type="number"
+              min="0"
+              max={MAX_HORIZON_WEEKS}
+              value={horizonWeeks}
+              onChange={(e) => setHorizonWeeks(Math.min(MAX_HORIZON_WEEKS, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+              className="mt-1 w-full px-3 py-2 border border-slate-200 rounded-lg focus:ring-2 focus:ring-purple-500 focus:outline-none"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-slate-700">Forecast demand change (%)</span>
+            <input
+              type="number"
+              min="-100"
+              step="5"
+              value={demandChangePct}
+              onChange={(e) => setDemandChangePct(Math.max(-100, Number(e.target.value) || 0))}
+              className="mt-1 w-full px-3 py-2 border border-slate-200 rounded-lg focus:ring-2 focus:ring-purple-500 focus:outline-none"
+            />
+          </label>
+          <div>
+            <span className="text-sm font-medium text-slate-700">Compare saved configurations</span>
+            {savedConfigs.length === 0 ? (
+              <p className="mt-1 text-xs text-slate-400">Save configurations on the Slot Analysis tab to compare them here.</p>
+            ) : (
+              <div className="mt-1 space-y-1 max-h-32 overflow-y-auto">
+                {savedConfigs.map(config => (
+                  <label key={config.id} className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selectedConfigIds.includes(config.id)}
+                      onChange={() => toggleConfig(config.id)}
+                      className="w-4 h-4 text-purple-600 border-slate-300 rounded focus:ring-purple-500"
+                    />
+                    <span className="truncate">{config.name || 'Unnamed'}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </Card>
+
+      {/* Side-by-side results */}
+      <Card>
+        <h3 className="text-lg font-semibold text-slate-900 mb-2">Results</h3>
+        <p className="text-sm text-slate-500 mb-4">
+          {formatDate(current.result.startDate)} to {formatDate(current.result.endDate)}
+          {current.result.forecastStartDate && ` (forecast from ${formatDate(current.result.forecastStartDate)})`}.
+          A breach is a request booked after its urgency deadline, or still waiting once it has passed.
+        </p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200">
+                <th className="text-left py-2 px-3 font-medium text-slate-600"></th>
+                {simulations.map(simulation => (
+                  <th key={simulation.id} className="text-right py-2 px-3 font-medium text-slate-600">{simulation.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-b border-slate-100">
+                <td className="py-2 px-3 text-slate-700">Requests</td>
+                {simulations.map(({ id, result }) => (
+                  <td key={id} className="py-2 px-3 text-right">{result.totals.requests.toLocaleString()}</td>
+                ))}
+              </tr>
+              <tr className="border-b border-slate-100">
+                <td className="py-2 px-3 text-slate-700">Booked within target</td>
+                {simulations.map(({ id, result }) => (
+                  <td key={id} className="py-2 px-3 text-right font-medium">{formatPct(result.totals.withinTargetPct)}</td>
+                ))}
+              </tr>
+              {URGENCY_LEVELS.map(urgency => (
+                <tr key={urgency} className="border-b border-slate-100">
+                  <td className="py-2 px-3">
+                    <span className={`px-2 py-0.5 rounded text-xs font-bold ${URGENCY_COLORS[urgency].bg} ${URGENCY_COLORS[urgency].text}`}>
+                      {urgency}
+                    </span>
+                    <span className="ml-2 text-slate-700">breaches</span>
+                  </td>
+                  {simulations.map(({ id, result }) => (
+                    <td key={id} className={`py-2 px-3 text-right ${result.byUrgency[urgency].breaches > 0 ? 'text-red-600 font-medium' : 'text-green-600'}`}>
+                      {result.byUrgency[urgency].breaches.toLocaleString()}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr className="border-b border-slate-100">
+                <td className="py-2 px-3 text-slate-700">Peak backlog</td>
+                {simulations.map(({ id, result }) => (
+                  <td key={id} className="py-2 px-3 text-right">
+                    {result.totals.peakBacklog.toLocaleString()}
+                    {result.totals.peakBacklogDate && (
+                      <span className="text-xs text-slate-400"> ({formatDate(result.totals.peakBacklogDate)})</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+              <tr className="border-b border-slate-100">
+                <td className="py-2 px-3 text-slate-700">Backlog at end</td>
+                {simulations.map(({ id, result }) => (
+                  <td key={id} className="py-2 px-3 text-right">{result.totals.endBacklog.toLocaleString()}</td>
+                ))}
+              </tr>
+              <tr>
+                <td className="py-2 px-3 text-slate-700">Median days to appointment</td>
+                {simulations.map(({ id, result }) => (
+                  <td key={id} className="py-2 px-3 text-right">{result.totals.medianWaitDays ?? 'N/A'}</td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      {/* Backlog over time */}
+      <Card>
+        <h3 className="text-lg font-semibold text-slate-900 mb-4">Backlog Over Time</h3>
+        <div className="h-72">
+          <Line
+            data={{
+              labels: current.result.days.map(day => formatDate(day.date)),
+              datasets: simulations.map((simulation, i) => ({
+                label: simulation.name,
+                data: simulation.result.days.map(day => day.backlog),
+                borderColor: SIMULATION_COLORS[i],
+                backgroundColor: 'transparent',
+                tension: 0.2,
+                pointRadius: 0,
+              })),
+            }}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              plugins: { legend: { position: 'top' } },
+              scales: {
+                y: { beginAtZero: true, grid: { color: '#f1f5f9' }, title: { display: true, text: 'Requests waiting' } },
+                x: { grid: { display: false } },
+              },
+            }}
+          />
+        </div>
+      </Card>
+
+      {/* Time to appointment */}
+      <Card>
+        <h3 className="text-lg font-semibold text-slate-900 mb-4">Time to Appointment</h3>
+        <div className="h-64">
+          <Bar
+            data={{
+              labels: WAIT_BUCKETS.map(bucket => bucket.label),
+              datasets: simulations.map((simulation, i) => ({
+                label: simulation.name,
+                data: WAIT_BUCKETS.map(bucket => simulation.result.totals.waitDistribution[bucket.label]),
+                backgroundColor: SIMULATION_COLORS[i],
+              })),
+            }}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              plugins: { legend: { position: 'top' } },
+              scales: {
+                y: { beginAtZero: true, grid: { color: '#f1f5f9' } },
+                x: { grid: { display: false } },
+              },
+            }}
+          />
+        </div>
+        <div className="overflow-x-auto mt-4">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200">
+                <th className="text-left py-2 px-3 font-medium text-slate-600">{current.name}</th>
+                {WAIT_BUCKETS.map(bucket => (
+                  <th key={bucket.label} className="text-right py-2 px-3 font-medium text-slate-600">{bucket.label}</th>
+                ))}
+                <th className="text-right py-2 px-3 font-medium text-slate-600">Still waiting</th>
+              </tr>
+            </thead>
+            <tbody>
+              {URGENCY_LEVELS.map(urgency => {
+                const stats = current.result.byUrgency[urgency];
+                return (
+                  <tr key={urgency} className="border-b border-slate-100">
+                    <td className="py-2 px-3">
+                      <span className={`px-2 py-0.5 rounded text-xs font-bold ${URGENCY_COLORS[urgency].bg} ${URGENCY_COLORS[urgency].text}`}>
+                        {urgency}
+                      </span>
+                    </td>
+                    {WAIT_BUCKETS.map(bucket => (
+                      <td key={bucket.label} className="py-2 px-3 text-right">{stats.waitDistribution[bucket.label].toLocaleString()}</td>
+                    ))}
+                    <td className="py-2 px-3 text-right">{stats.unbooked.toLocaleString()}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+    </div>
+  );
+}
+
 // === TIMING TAB ===
 function TimingTab({ data }) {
   // Calculate max value for heatmap scaling
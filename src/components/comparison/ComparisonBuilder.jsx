@@ -1,11 +1,29 @@
-import React, { useState, useCallback } from 'react';
-import { X, Plus, Trash2, Loader2, AlertCircle, CheckCircle, Users, Link, Copy } from 'lucide-react';
-import { loadFirebaseShare, createComparisonSet } from '../../utils/shareUtils';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { X, Plus, Trash2, Loader2, AlertCircle, CheckCircle, Users, Link, Copy, Upload, Download, Save, FolderOpen, LayoutDashboard } from 'lucide-react';
+import * as XLSX from 'xlsx';
+import { loadFirebaseShare, createComparisonSet, publishComparisonSet } from '../../utils/shareUtils';
+import { validateExcelFile, restoreDemandCapacityFromExcel, restoreComparisonFromExcel, exportComparisonToExcel, generateExcelFilename } from '../../utils/excelUtils';
+import { toComparisonPractice, createLocalComparison, MAX_COMPARISON_PRACTICES } from '../../utils/comparisonUtils';
+import { saveLocalComparison, getLocalComparison, listLocalComparisons, deleteLocalComparison } from '../../utils/offlineStore';
+
+// Practices in an Excel file: a Demand & Capacity export, or a whole comparison workbook
+const readComparisonWorkbook = async (file) => {
+  const workbook = XLSX.read(await file.arrayBuffer());
+  try {
+    validateExcelFile(workbook, 'comparison');
+    return restoreComparisonFromExcel(workbook).practices;
+  } catch {
+    validateExcelFile(workbook, 'demand-capacity');
+    return [toComparisonPractice(restoreDemandCapacityFromExcel(workbook), { source: 'excel' })];
+  }
+};
 
 /**
- * Modal component for building a comparison set from share links
+ * Modal component for building a comparison set from share links, Excel exports
+ * and the current dashboard. Sets can be opened and saved on this device, exported
+ * as one workbook, or published as a comparison link
  */
-const ComparisonBuilder = ({ isOpen, onClose, onComparisonCreated, currentShareId = null }) => {
+const ComparisonBuilder = ({ isOpen, onClose, onComparisonCreated, onOpenLocal, currentDashboard = null, currentShareId = null }) => {
   const [practices, setPractices] = useState([]);
   const [inputValue, setInputValue] = useState('');
   const [comparisonName, setComparisonName] = useState('');
@@ -14,6 +32,28 @@ const ComparisonBuilder = ({ isOpen, onClose, onComparisonCreated, currentShareI
   const [error, setError] = useState(null);
   const [creating, setCreating] = useState(false);
   const [result, setResult] = useState(null);
+  const [savedComparisons, setSavedComparisons] = useState([]);
+  const fileInputRef = useRef(null);
+
+  // Comparisons saved on this device
+  useEffect(() => {
+    if (isOpen) listLocalComparisons().then(setSavedComparisons);
+  }, [isOpen]);
+
+  // Add practices, skipping any already in the list; returns false when none could be added
+  const addPractices = useCallback((added) => {
+    const fresh = added.filter(p => !practices.some(existing => existing.shareId === p.shareId));
+    if (fresh.length === 0) {
+      setError('This practice has already been added.');
+      return false;
+    }
+    if (practices.length + fresh.length > MAX_COMPARISON_PRACTICES) {
+      setError(`Maximum ${MAX_COMPARISON_PRACTICES} practices allowed in a comparison.`);
+      return false;
+    }
+    setPractices(prev => [...prev, ...fresh]);
+    return true;
+  }, [practices]);
 
   // Extract share ID from URL or raw ID input
   const extractShareId = (input) => {
@@ -43,8 +83,8 @@ const ComparisonBuilder = ({ isOpen, onClose, onComparisonCreated, currentShareI
     }
 
     // Check max limit
-    if (practices.length >= 15) {
-      setError('Maximum 15 practices allowed in a comparison.');
+    if (practices.length >= MAX_COMPARISON_PRACTICES) {
+      setError(`Maximum ${MAX_COMPARISON_PRACTICES} practices allowed in a comparison.`);
       return;
     }
 
@@ -59,29 +99,103 @@ const ComparisonBuilder = ({ isOpen, onClose, onComparisonCreated, currentShareI
         return;
       }
 
-      setPractices(prev => [...prev, {
-        shareId,
-        surgeryName: shareData.config?.surgeryName || 'Unknown Practice',
-        odsCode: shareData.config?.odsCode || '',
-        population: shareData.config?.population,
-        monthCount: shareData.processedData?.length || 0,
-        expiresAt: shareData.expiresAt,
-      }]);
+      if (addPractices([{ ...toComparisonPractice(shareData, { shareId }), expiresAt: shareData.expiresAt }])) {
+        setInputValue('');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setValidating(false);
+    }
+  }, [inputValue, practices, addPractices]);
+
+  // Add practices from Demand & Capacity exports or comparison workbooks
+  const handleImportFiles = async (e) => {
+    const selected = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (selected.length === 0) return;
 
-      setInputValue('');
+    setValidating(true);
+    setError(null);
+    try {
+      const imported = [];
+      for (const file of selected) {
+        try {
+          imported.push(...await readComparisonWorkbook(file));
+        } catch (err) {
+          throw new Error(`${file.name}: ${err.message}`);
+        }
+      }
+      addPractices(imported);
     } catch (err) {
       setError(err.message);
     } finally {
       setValidating(false);
     }
-  }, [inputValue, practices]);
+  };
+
+  // Add the dashboard currently open in the app
+  const handleAddCurrent = () => {
+    setError(null);
+    try {
+      addPractices([toComparisonPractice(currentDashboard, { source: 'session' })]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
   // Remove a practice from the list
   const handleRemovePractice = (shareId) => {
     setPractices(prev => prev.filter(p => p.shareId !== shareId));
   };
 
-  // Create the comparison
+  // The list as a comparison set, or null (with the error shown) when it isn't valid
+  const buildLocalComparison = () => {
+    setError(null);
+    try {
+      return createLocalComparison(practices, comparisonName);
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  // Save the comparison on this device and open it
+  const handleSaveLocal = async () => {
+    const comparison = buildLocalComparison();
+    if (!comparison) return;
+    if (!await saveLocalComparison(comparison)) {
+      setError('This browser can\'t save comparisons on this device (storage may be blocked, e.g. in private browsing). Use Excel or Create Link instead.');
+      return;
+    }
+    handleClose();
+    onOpenLocal?.(comparison);
+  };
+
+  // Download the comparison as one workbook
+  const handleExportExcel = () => {
+    const comparison = buildLocalComparison();
+    if (!comparison) return;
+    XLSX.writeFile(exportComparisonToExcel(comparison), generateExcelFilename('comparison', comparison.name));
+  };
+
+  const handleOpenSaved = async (id) => {
+    const comparison = await getLocalComparison(id);
+    if (!comparison) {
+      setError('This saved comparison could not be loaded.');
+      return;
+    }
+    handleClose();
+    onOpenLocal?.(comparison);
+  };
+
+  const handleDeleteSaved = async (id) => {
+    await deleteLocalComparison(id);
+    setSavedComparisons(await listLocalComparisons());
+  };
+
+  // Create the comparison link
+  // Sets made only of share links reference them; otherwise the data is published as one share
   const handleCreateComparison = async () => {
     if (practices.length < 2) {
       setError('At least 2 practices are required to create a comparison.');
@@ -92,11 +206,11 @@ const ComparisonBuilder = ({ isOpen, onClose, onComparisonCreated, currentShareI
     setError(null);
 
     try {
-      const shareIds = practices.map(p => p.shareId);
-      const { comparisonId, comparisonUrl, expiresAt } = await createComparisonSet(
-        shareIds,
-        comparisonName || `${practices.length} Practice Comparison`
-      );
+      const name = comparisonName || `${practices.length} Practice Comparison`;
+      const allShared = practices.every(p => p.source === 'share');
+      const { comparisonId, comparisonUrl, expiresAt } = allShared
+        ? await createComparisonSet(practices.map(p => p.shareId), name)
+        : await publishComparisonSet({ name, practices });
 
       setResult({ comparisonUrl, expiresAt });
 
@@ -151,7 +265,7 @@ const ComparisonBuilder = ({ isOpen, onClose, onComparisonCreated, currentShareI
             </div>
             <div>
               <h2 className="text-xl font-bold text-slate-900">Compare Practices</h2>
-              <p className="text-sm text-slate-500">Add practices by their share links to compare</p>
+              <p className="text-sm text-slate-500">Add practices by share link, Excel export or from this dashboard</p>
             </div>
           </div>
           <button
@@ -266,11 +380,45 @@ const ComparisonBuilder = ({ isOpen, onClose, onComparisonCreated, currentShareI
                 )}
               </div>
 
+              {/* Add practices from this device */}
+              <div className="mb-6">
+                <label className="block text-sm font-medium text-slate-700 mb-1">
+                  Or Add From This Device <span className="text-slate-400">(no share links needed)</span>
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".xlsx"
+                    multiple
+                    className="hidden"
+                    onChange={handleImportFiles}
+                  />
+                  <button
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={validating}
+                    className="px-4 py-2 bg-white border border-slate-200 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50 flex items-center gap-2 text-sm"
+                  >
+                    <Upload size={16} />
+                    Import Excel Exports
+                  </button>
+                  {currentDashboard?.processedData?.length > 0 && (
+                    <button
+                      onClick={handleAddCurrent}
+                      className="px-4 py-2 bg-white border border-slate-200 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors flex items-center gap-2 text-sm"
+                    >
+                      <LayoutDashboard size={16} />
+                      Add This Dashboard
+                    </button>
+                  )}
+                </div>
+              </div>
+
               {/* Practice list */}
               <div className="mb-6">
                 <div className="flex items-center justify-between mb-2">
                   <label className="text-sm font-medium text-slate-700">
-                    Practices to Compare ({practices.length}/15)
+                    Practices to Compare ({practices.length}/{MAX_COMPARISON_PRACTICES})
                   </label>
                   {practices.length >= 2 && (
                     <span className="text-xs text-emerald-600 font-medium">
@@ -305,7 +453,8 @@ const ComparisonBuilder = ({ isOpen, onClose, onComparisonCreated, currentShareI
                               <span className="font-mono">{practice.odsCode}</span>
                             )}
                             <span>{practice.population?.toLocaleString()} patients</span>
-                            <span>{practice.monthCount} months</span>
+                            <span>{practice.processedData?.length || 0} months</span>
+                            {practice.source !== 'share' && <span className="text-slate-400">on this device</span>}
                           </div>
                         </div>
                         <button
@@ -319,6 +468,39 @@ const ComparisonBuilder = ({ isOpen, onClose, onComparisonCreated, currentShareI
                   </div>
                 )}
               </div>
+
+              {/* Comparisons saved on this device */}
+              {savedComparisons.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">Saved On This Device</label>
+                  <div className="space-y-2 max-h-48 overflow-y-auto">
+                    {savedComparisons.map(saved => (
+                      <div key={saved.id} className="flex items-center gap-3 p-3 bg-white rounded-lg border border-slate-200">
+                        <div className="flex-1 min-w-0">
+                          <p className="font-medium text-slate-900 truncate">{saved.name}</p>
+                          <p className="text-xs text-slate-500 truncate">
+                            {new Date(saved.createdAt).toLocaleDateString()} · {saved.practiceNames.join(', ')}
+                          </p>
+                        </div>
+                        <button
+                          onClick={() => handleOpenSaved(saved.id)}
+                          className="px-3 py-1.5 text-sm text-emerald-700 hover:bg-emerald-50 rounded-lg transition-colors flex items-center gap-1"
+                        >
+                          <FolderOpen size={14} />
+                          Open
+                        </button>
+                        <button
+                          onClick={() => handleDeleteSaved(saved.id)}
+                          className="p-1.5 hover:bg-red-100 rounded-full text-slate-400 hover:text-red-600 transition-colors"
+                          title="Delete saved comparison"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </>
           )}
         </div>
@@ -336,6 +518,24 @@ const ComparisonBuilder = ({ isOpen, onClose, onComparisonCreated, currentShareI
               >
                 Cancel
               </button>
+              <button
+                onClick={handleExportExcel}
+                disabled={practices.length < 2}
+                className="px-4 py-2 bg-white border border-slate-200 text-slate-700 rounded-lg hover:bg-slate-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                title="Download every practice's data as one workbook"
+              >
+                <Download size={16} />
+                Excel
+              </button>
+              <button
+                onClick={handleSaveLocal}
+                disabled={practices.length < 2}
+                className="px-4 py-2 bg-white border border-emerald-200 text-emerald-700 rounded-lg hover:bg-emerald-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                title="Save on this device and open, without creating a link"
+              >
+                <Save size={16} />
+                Save &amp; Open
+              </button>
               <button
                 onClick={handleCreateComparison}
                 disabled={practices.length < 2 || creating}
@@ -348,8 +548,8 @@ const ComparisonBuilder = ({ isOpen, onClose, onComparisonCreated, currentShareI
                   </>
                 ) : (
                   <>
-                    <Users size={16} />
-                    Create Comparison
+                    <Link size={16} />
+                    Create Link
                   </>
                 )}
               </button>
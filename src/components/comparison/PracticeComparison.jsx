@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import {
   Users, X, AlertTriangle, Loader2, Share2, Copy, ArrowLeft,
-  BarChart3, Trophy, Calendar, CheckCircle
+  BarChart3, Trophy, Calendar, CheckCircle, Download
 } from 'lucide-react';
+import * as XLSX from 'xlsx';
 import Card from '../ui/Card';
 import MetricCard from '../ui/MetricCard';
 import Toast from '../ui/Toast';
@@ -10,6 +11,7 @@ import ComparisonDateFilter from './ComparisonDateFilter';
 import ComparisonRankingTable from './ComparisonRankingTable';
 import ComparisonCharts from './ComparisonCharts';
 import { loadComparisonSet, loadComparisonPractices } from '../../utils/shareUtils';
+import { exportComparisonToExcel, generateExcelFilename } from '../../utils/excelUtils';
 import {
   calculateNetworkAverages,
   getFilteredMonths,
@@ -20,16 +22,22 @@ import { COMPARISON_COLORS } from '../../constants/colors';
 
 /**
  * Main Practice Comparison dashboard component
+ * Loads a shared comparison set by ID, or compares `localPractices` directly
+ * (a PCN workspace or a comparison saved on this device) without Firebase shares
  */
-const PracticeComparison = ({ comparisonId, onClose }) => {
+const PracticeComparison = ({ comparisonId, localPractices = null, localName = '', onClose }) => {
+  const isLocal = Array.isArray(localPractices);
+
   // Loading and error states
-  const [isLoading, setIsLoading] = useState(true);
+  const [isLoading, setIsLoading] = useState(!isLocal);
   const [error, setError] = useState(null);
   const [toast, setToast] = useState(null);
 
   // Comparison data
-  const [comparisonMeta, setComparisonMeta] = useState(null);
-  const [practices, setPractices] = useState([]);
+  const [comparisonMeta, setComparisonMeta] = useState(
+    isLocal ? { name: localName, practiceCount: localPractices.length } : null
+  );
+  const [practices, setPractices] = useState(isLocal ? localPractices : []);
   const [loadErrors, setLoadErrors] = useState([]);
 
   // Filter state
@@ -43,6 +51,8 @@ const PracticeComparison = ({ comparisonId, onClose }) => {
 
   // Load comparison data on mount
   useEffect(() => {
+    if (isLocal) return;
+
     const loadComparison = async () => {
       if (!comparisonId) {
         setError('No comparison ID provided');
@@ -58,8 +68,10 @@ const PracticeComparison = ({ comparisonId, onClose }) => {
         const meta = await loadComparisonSet(comparisonId);
         setComparisonMeta(meta);
 
-        // Load all practice data
-        const { practices: loadedPractices, errors } = await loadComparisonPractices(meta.shareIds);
+        // Load all practice data (sets published from one device already include it)
+        const { practices: loadedPractices, errors } = meta.practices
+          ? { practices: meta.practices, errors: [] }
+          : await loadComparisonPractices(meta.shareIds);
         setPractices(loadedPractices);
         setLoadErrors(errors);
 
@@ -89,7 +101,7 @@ const PracticeComparison = ({ comparisonId, onClose }) => {
     };
 
     loadComparison();
-  }, [comparisonId]);
+  }, [comparisonId, isLocal]);
 
   // Calculate filtered months based on filter mode
   const filteredMonths = useMemo(
@@ -113,6 +125,17 @@ const PracticeComparison = ({ comparisonId, onClose }) => {
     }
   };
 
+  // Download every practice's monthly data as one workbook
+  const handleExportExcel = () => {
+    try {
+      const name = comparisonMeta?.name || 'Practice Comparison';
+      XLSX.writeFile(exportComparisonToExcel({ name, practices }), generateExcelFilename('comparison', name));
+      setToast({ type: 'success', message: 'Comparison workbook downloaded.' });
+    } catch (err) {
+      setToast({ type: 'error', message: `Export failed: ${err.message}` });
+    }
+  };
+
   // Handle close
   const handleClose = () => {
     if (onClose) {
@@ -204,13 +227,28 @@ const PracticeComparison = ({ comparisonId, onClose }) => {
               </div>
             </div>
 
-            <button
-              onClick={handleCopyUrl}
-              className="flex items-center gap-2 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors"
-            >
-              <Share2 size={16} />
-              Share
-            </button>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={handleExportExcel}
+                className="flex items-center gap-2 px-4 py-2 bg-white text-emerald-700 border border-emerald-200 rounded-lg hover:bg-emerald-50 transition-colors"
+              >
+                <Download size={16} />
+                Excel
+              </button>
+              {isLocal ? (
+                <span className="text-xs text-slate-500 bg-slate-100 px-3 py-1.5 rounded-full">
+                  On this device - not shared
+                </span>
+              ) : (
+                <button
+                  onClick={handleCopyUrl}
+                  className="flex items-center gap-2 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors"
+                >
+                  <Share2 size={16} />
+                  Share
+                </button>
+              )}
+            </div>
           </div>
 
           {/* Tab navigation */}
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import {
   X, Lock, Users, RefreshCw, Download, Shield, AlertTriangle,
   Sparkles, Trash2, Search, AlertCircle, CheckCircle, Megaphone,
-  Plus, Edit3, Eye, EyeOff, Save, XCircle, Mail, Send
+  Plus, Edit3, Eye, EyeOff, Save, XCircle, Mail, Send, Wrench
 } from 'lucide-react';
 import {
   listAllAnalyses,
@@ -18,6 +18,15 @@ import {
   toggleNewsActive,
   seedDefaultNews,
 } from '../../utils/newsStorage';
+import { loadDataManifest } from '../../data/dataLoader';
+import { summariseAppliedCorrections } from '../../utils/dataCorrections';
+
+const CORRECTION_DATASET_LABELS = {
+  appointments: 'Appointments',
+  telephony: 'Telephony',
+  onlineConsultations: 'Online Consultations',
+  workforce: 'Workforce',
+};
 
 const AdminPanel = ({ isOpen, onClose }) => {
   const [password, setPassword] = useState('');
@@ -74,6 +83,10 @@ const AdminPanel = ({ isOpen, onClose }) => {
   const [sendingTestType, setSendingTestType] = useState('');
   const [testEmailResult, setTestEmailResult] = useState(null);
 
+  // Data corrections state
+  const [correctionsManifest, setCorrectionsManifest] = useState(null);
+  const [correctionsLoading, setCorrectionsLoading] = useState(false);
+
   // On mount / open: check for existing session token
   useEffect(() => {
     if (!isOpen) return;
@@ -155,6 +168,15 @@ const AdminPanel = ({ isOpen, onClose }) => {
     }
   }, []);
 
+  const fetchCorrections = useCallback(async () => {
+    setCorrectionsLoading(true);
+    try {
+      setCorrectionsManifest(await loadDataManifest());
+    } finally {
+      setCorrectionsLoading(false);
+    }
+  }, []);
+
   const handleSaveNews = async () => {
     if (!newsForm.headline.trim() || !newsForm.body.trim()) return;
     setNewsSaving(true);
@@ -374,8 +396,9 @@ const AdminPanel = ({ isOpen, onClose }) => {
       fetchAnalyses();
       fetchNews();
       fetchSubscriptions();
+      fetchCorrections();
     }
-  }, [authed, fetchPracticeUsage, fetchAnalyses, fetchNews, fetchSubscriptions]);
+  }, [authed, fetchPracticeUsage, fetchAnalyses, fetchNews, fetchSubscriptions, fetchCorrections]);
 
   const handleExportPractices = () => {
     const lines = practices.map(p => [
@@ -599,6 +622,15 @@ const AdminPanel = ({ isOpen, onClose }) => {
                 <Send size={14} className="inline mr-1.5 -mt-0.5" />
                 Testing
               </button>
+              <button
+                onClick={() => setActiveTab('corrections')}
+                className={`px-4 py-2.5 text-sm font-medium transition-colors border-b-2 -mb-px ${
+                  activeTab === 'corrections' ? 'border-slate-800 text-slate-800' : 'border-transparent text-slate-500 hover:text-slate-700'
+                }`}
+              >
+                <Wrench size={14} className="inline mr-1.5 -mt-0.5" />
+                Data Corrections
+              </button>
             </div>
 
             {/* Practice Usage Tab */}
@@ -1038,6 +1070,75 @@ const AdminPanel = ({ isOpen, onClose }) => {
               </div>
             )}
 
+            {/* Data Corrections Tab */}
+            {activeTab === 'corrections' && (
+              <div className="space-y-4">
+                <p className="text-sm text-slate-600">
+                  Corrections from <code className="text-xs">src/data/corrections.js</code> and the months they were applied to
+                  {correctionsManifest?.generatedAt && ` (data built ${new Date(correctionsManifest.generatedAt).toLocaleString('en-GB')})`}
+                </p>
+
+                {correctionsLoading ? (
+                  <p className="text-sm text-slate-500 py-4 text-center">Loading corrections...</p>
+                ) : (
+                  <>
+                    {!correctionsManifest && (
+                      <div className="flex items-center gap-2 p-3 bg-amber-50 border border-amber-200 rounded-lg">
+                        <AlertTriangle size={14} className="text-amber-600 shrink-0" />
+                        <p className="text-sm text-amber-700">No data manifest found. Run npm run preprocess to see where corrections fired.</p>
+                      </div>
+                    )}
+                    <div className="max-h-96 overflow-y-auto border border-slate-200 rounded-lg bg-white">
+                      <table className="w-full text-xs">
+                        <thead className="sticky top-0 bg-slate-100 text-slate-600">
+                          <tr>
+                            <th className="text-left px-3 py-2">Correction</th>
+                            <th className="text-left px-3 py-2">Practice</th>
+                            <th className="text-left px-3 py-2">Change</th>
+                            <th className="text-left px-3 py-2">Applied to</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {summariseAppliedCorrections(correctionsManifest).map(({ correction, datasets }) => (
+                            <tr key={correction.id} className="border-t border-slate-100 align-top">
+                              <td className="px-3 py-2">
+                                <p className="font-medium text-slate-800">{correction.id}</p>
+                                <p className="text-slate-500">{correction.description || 'No longer in the registry'}</p>
+                              </td>
+                              <td className="px-3 py-2 text-slate-600">{correction.odsCode || '-'}</td>
+                              <td className="px-3 py-2 text-slate-600">
+                                {correction.type === 'remap' && Object.entries(correction.set).map(([field, value]) => (
+                                  <p key={field}>{field}: {value}</p>
+                                ))}
+                                {(correction.type === 'merger' || correction.type === 'succession') && (
+                                  <p>{correction.type === 'merger' ? 'Merged into' : 'Succeeded by'} {correction.successor}</p>
+                                )}
+                                {(correction.effectiveFrom || correction.effectiveTo) && (
+                                  <p className="text-slate-400">
+                                    {correction.effectiveFrom || '…'} to {correction.effectiveTo || 'date'}
+                                  </p>
+                                )}
+                              </td>
+                              <td className="px-3 py-2 text-slate-600">
+                                {Object.keys(datasets).length === 0 ? (
+                                  <span className="text-slate-400">Not applied in any month</span>
+                                ) : Object.entries(datasets).map(([dataset, months]) => (
+                                  <p key={dataset}>
+                                    <span className="font-medium text-slate-700">{CORRECTION_DATASET_LABELS[dataset] || dataset}</span>
+                                    {' '}({months.length}): {months.join(', ')}
+                                  </p>
+                                ))}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Subscribers Tab */}
             {activeTab === 'subscribers' && (
               <div className="space-y-5">
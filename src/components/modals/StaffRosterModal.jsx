@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { UserCog, X, RotateCcw } from 'lucide-react';
+import { ROLE_LABELS, ROLE_GROUP_ORDER, GP_ROLE_GROUPS, ARRS_ROLE_GROUPS } from '../../utils/workforceSchema';
+import { createRosterEntry } from '../../utils/staffRoster';
+
+// Editor for the practice staff roster (role group, GP/non-GP, ARRS, include/exclude)
+// Replaces the "Dr"/"locum" name heuristic wherever the roster is applied
+const StaffRosterModal = ({ isOpen, onClose, roster, onSave, canReprocess = true }) => {
+  const [draft, setDraft] = useState(roster || []);
+  const [search, setSearch] = useState('');
+
+  // Reset the draft whenever the modal is reopened with a new roster
+  const [lastRoster, setLastRoster] = useState(roster);
+  if (roster !== lastRoster) {
+    setLastRoster(roster);
+    setDraft(roster || []);
+  }
+
+  if (!isOpen) return null;
+
+  const updateEntry = (name, changes) => {
+    setDraft(prev => prev.map(entry => entry.name === name ? { ...entry, ...changes } : entry));
+  };
+
+  const changeRole = (name, roleGroup) => {
+    updateEntry(name, {
+      roleGroup,
+      isGP: GP_ROLE_GROUPS.includes(roleGroup),
+      isArrs: ARRS_ROLE_GROUPS.includes(roleGroup),
+    });
+  };
+
+  const resetToSuggested = () => {
+    setDraft(prev => prev.map(entry => createRosterEntry(entry.name)));
+  };
+
+  const visible = draft.filter(entry => entry.name.toLowerCase().includes(search.toLowerCase()));
+  const gpCount = draft.filter(entry => entry.include !== false && entry.isGP).length;
+  const excludedCount = draft.filter(entry => entry.include === false).length;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-900/50 backdrop-blur-sm animate-in fade-in duration-200" onClick={onClose}>
+      <div className="relative bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[85vh] flex flex-col animate-in zoom-in-95 duration-200" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center gap-3 p-6 pb-4 border-b border-slate-100">
+          <UserCog size={24} className="text-blue-600" />
+          <div className="flex-1">
+            <h3 className="text-xl font-bold text-slate-800">Staff Roles</h3>
+            <p className="text-xs text-slate-500">
+              {draft.length} staff • {gpCount} counted as GPs • {excludedCount} excluded
+            </p>
+          </div>
+          <button onClick={onClose} className="p-1 text-slate-400 hover:text-slate-600 hover:bg-slate-100 rounded transition-colors" title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="px-6 pt-4">
+          <p className="text-sm text-slate-600 mb-3">
+            Roles are suggested from staff names. Correct any GP or role mistakes and untick staff who should not be counted.
+            Saved per practice in this browser.
+          </p>
+          <input
+            type="text"
+            placeholder="Search staff..."
+            className="w-full px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm mb-3"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6">
+          <table className="w-full text-sm text-left text-slate-600">
+            <thead className="bg-slate-50 text-slate-700 uppercase font-bold text-xs sticky top-0">
+              <tr>
+                <th className="px-3 py-2">Include</th>
+                <th className="px-3 py-2">Name</th>
+                <th className="px-3 py-2">Role</th>
+                <th className="px-3 py-2 text-center">GP</th>
+                <th className="px-3 py-2 text-center">ARRS</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(entry => (
+                <tr key={entry.name} className={`border-b border-slate-100 ${entry.include === false ? 'opacity-50' : ''}`}>
+                  <td className="px-3 py-2">
+                    <input
+                      type="checkbox"
+                      checked={entry.include !== false}
+                      onChange={(e) => updateEntry(entry.name, { include: e.target.checked })}
+                    />
+                  </td>
+                  <td className="px-3 py-2 font-medium text-slate-800">{entry.name}</td>
+                  <td className="px-3 py-2">
+                    <select
+                      value={entry.roleGroup}
+                      onChange={(e) => changeRole(entry.name, e.target.value)}
+                      className="px-2 py-1 border border-slate-200 rounded text-xs"
+                    >
+                      {ROLE_GROUP_ORDER.map(group => (
+                        <option key={group} value={group}>{ROLE_LABELS[group]}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-3 py-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(entry.isGP)}
+                      onChange={(e) => updateEntry(entry.name, { isGP: e.target.checked })}
+                    />
+                  </td>
+                  <td className="px-3 py-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(entry.isArrs)}
+                      onChange={(e) => updateEntry(entry.name, { isArrs: e.target.checked })}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex items-center gap-3 p-6 pt-4 border-t border-slate-100">
+          <button
+            onClick={resetToSuggested}
+            className="flex items-center gap-1 px-3 py-2 text-sm text-slate-500 hover:text-slate-700 hover:bg-slate-100 rounded-lg transition-colors"
+          >
+            <RotateCcw size={14} />
+            Reset to suggested
+          </button>
+          {!canReprocess && (
+            <span className="text-xs text-amber-600">Re-upload your files to apply changes to this dashboard.</span>
+          )}
+          <div className="ml-auto flex gap-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-slate-600 font-medium hover:bg-slate-100 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onSave(draft)}
+              className="px-4 py-2 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors shadow-sm"
+            >
+              Save Roles
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StaffRosterModal;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import {
+  AlertCircle, AlertTriangle, ArrowDown, ArrowUp, BarChart3, CheckCircle, Info, Minus, TrendingDown, TrendingUp,
+} from 'lucide-react';
+import { FINDING_SEVERITIES, sortFindings } from '../../utils/analysisFindings';
+
+const SEVERITY_STYLES = {
+  critical: { label: 'Critical', icon: AlertTriangle, card: 'border-red-200 bg-red-50/60', badge: 'bg-red-100 text-red-700' },
+  warning: { label: 'Warning', icon: AlertCircle, card: 'border-amber-200 bg-amber-50/60', badge: 'bg-amber-100 text-amber-700' },
+  info: { label: 'Info', icon: Info, card: 'border-blue-200 bg-blue-50/60', badge: 'bg-blue-100 text-blue-700' },
+  positive: { label: 'Positive', icon: CheckCircle, card: 'border-emerald-200 bg-emerald-50/60', badge: 'bg-emerald-100 text-emerald-700' },
+};
+
+const DIRECTION_ICONS = { rising: TrendingUp, falling: TrendingDown, stable: Minus, high: ArrowUp, low: ArrowDown };
+
+const STATUS_LABELS = { new: 'New', ongoing: 'Ongoing', improved: 'Improved', worsened: 'Worsened' };
+
+// Structured AI findings as filterable cards, each linked to the chart for its metric
+// metricLabels maps metric keys to display names; chartLabels maps them to the chart/tab name
+// Findings with a status (see trackFindings) show how they changed since the last analysis
+const AnalysisFindings = ({ findings, resolved = [], metricLabels = {}, chartLabels = {}, onViewChart }) => {
+  const [severityFilter, setSeverityFilter] = useState('all');
+
+  if (!findings || findings.length === 0) return null;
+
+  const counts = FINDING_SEVERITIES.reduce((acc, severity) => ({
+    ...acc,
+    [severity]: findings.filter(f => f.severity === severity).length,
+  }), {});
+  const visible = sortFindings(findings).filter(f => severityFilter === 'all' || f.severity === severityFilter);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2" data-html2canvas-ignore="true">
+        <span className="text-xs font-semibold text-slate-500 uppercase tracking-wide">Findings</span>
+        {['all', ...FINDING_SEVERITIES].filter(s => s === 'all' || counts[s] > 0).map(severity => (
+          <button
+            key={severity}
+            onClick={() => setSeverityFilter(severity)}
+            className={`px-2.5 py-1 text-xs rounded-full border transition-colors ${
+              severityFilter === severity
+                ? 'bg-slate-800 text-white border-slate-800'
+                : 'bg-white text-slate-600 border-slate-200 hover:bg-slate-50'
+            }`}
+          >
+            {severity === 'all' ? `All (${findings.length})` : `${SEVERITY_STYLES[severity].label} (${counts[severity]})`}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {visible.map(finding => {
+          const style = SEVERITY_STYLES[finding.severity];
+          const SeverityIcon = style.icon;
+          const DirectionIcon = DIRECTION_ICONS[finding.direction] || Minus;
+          const chartLabel = chartLabels[finding.metric];
+
+          return (
+            <div key={finding.id} className={`rounded-xl border p-4 ${style.card}`}>
+              <div className="flex items-start gap-2 mb-2">
+                <SeverityIcon size={16} className="mt-0.5 shrink-0 text-slate-600" />
+                <p className="flex-1 text-sm font-semibold text-slate-800">{finding.title}</p>
+                <span className={`text-[10px] uppercase tracking-wide px-2 py-0.5 rounded-full font-bold ${style.badge}`}>
+                  {style.label}
+                </span>
+              </div>
+
+              <div className="flex flex-wrap items-center gap-2 mb-2 text-xs text-slate-600">
+                <span className="inline-flex items-center gap-1">
+                  <DirectionIcon size={12} />
+                  {metricLabels[finding.metric] || finding.metric} ({finding.direction})
+                </span>
+                {finding.status && (
+                  <span className="px-1.5 py-0.5 rounded bg-white/80 border border-slate-200 text-slate-500">
+                    {STATUS_LABELS[finding.status]}
+                    {finding.previousSeverity && finding.status !== 'ongoing' && ` (was ${SEVERITY_STYLES[finding.previousSeverity]?.label.toLowerCase()})`}
+                  </span>
+                )}
+              </div>
+
+              {finding.evidence.length > 0 && (
+                <ul className="mb-2 text-xs text-slate-600 space-y-0.5">
+                  {finding.evidence.map((item, i) => (
+                    <li key={i}>
+                      {item.label}: <span className="font-semibold text-slate-800">{item.value}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {finding.action && (
+                <p className="text-xs text-slate-700"><span className="font-semibold">Action:</span> {finding.action}</p>
+              )}
+
+              {chartLabel && onViewChart && (
+                <button
+                  onClick={() => onViewChart(finding.metric)}
+                  className="mt-3 inline-flex items-center gap-1 text-xs font-medium text-indigo-600 hover:text-indigo-800"
+                  data-html2canvas-ignore="true"
+                >
+                  <BarChart3 size={12} />
+                  View in {chartLabel}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {resolved.length > 0 && (
+        <p className="text-xs text-slate-500">
+          <CheckCircle size={12} className="inline mr-1 text-emerald-500" />
+          No longer flagged since the last analysis: {resolved.map(f => metricLabels[f.metric] || f.metric).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisFindings;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { CalendarX, X } from 'lucide-react';
+import { normaliseClosureDays, isWorkingDay } from '../../utils/workingDayCalendar';
+
+// Practice closure day picker (e.g. protected learning time)
+// Closure days are removed from working day counts on top of weekends and bank holidays
+const ClosureDaysInput = ({ value = [], onChange }) => {
+  const [pending, setPending] = useState('');
+  const closureDays = normaliseClosureDays(value);
+
+  const addDay = () => {
+    if (!pending) return;
+    onChange(normaliseClosureDays([...closureDays, pending]));
+    setPending('');
+  };
+
+  const removeDay = (day) => onChange(closureDays.filter(d => d !== day));
+
+  // Flag entries that are already non-working (weekend or bank holiday)
+  const isAlreadyClosed = (day) => {
+    const [y, m, d] = day.split('-').map(Number);
+    return !isWorkingDay(new Date(y, m - 1, d));
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-slate-700 mb-1">
+        Practice Closure Days <span className="text-slate-400 text-xs">(Optional)</span>
+      </label>
+      <div className="flex gap-2">
+        <input
+          type="date"
+          className="px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-blue-500 focus:outline-none text-sm"
+          value={pending}
+          onChange={e => setPending(e.target.value)}
+        />
+        <button
+          type="button"
+          onClick={addDay}
+          disabled={!pending}
+          className="flex items-center gap-1 px-3 py-2 text-sm font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 disabled:opacity-50 transition-colors"
+        >
+          <CalendarX size={14} />
+          Add
+        </button>
+      </div>
+      <p className="text-xs text-slate-400 mt-1">Weekends and England &amp; Wales bank holidays are excluded automatically. Add other days the practice was closed.</p>
+      {closureDays.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {closureDays.map(day => (
+            <span
+              key={day}
+              className={`flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${isAlreadyClosed(day) ? 'bg-slate-100 text-slate-400' : 'bg-amber-50 text-amber-700'}`}
+              title={isAlreadyClosed(day) ? 'Already a weekend or bank holiday' : undefined}
+            >
+              {day}
+              <button type="button" onClick={() => removeDay(day)} className="hover:text-red-600" title="Remove">
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClosureDaysInput;
@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from 'react';
+import { Database, WifiOff } from 'lucide-react';
+import { getDataAsOf } from '../../data/dataLoader';
+import { listRecentPractices } from '../../utils/offlineStore';
+
+const DATASET_LABELS = {
+  appointments: 'Appointments',
+  telephony: 'Telephony',
+  onlineConsultations: 'Online consultations',
+  workforce: 'Workforce',
+};
+
+const shortMonth = (month) => month.replace(/^(\w{3})\w*/, '$1');
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+});
+
+// Header pill showing how current the national data is, and whether the app is offline
+// (local CSV analysis keeps working; national views use the cached data)
+const DataStatusBadge = () => {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [dataAsOf, setDataAsOf] = useState(null);
+  const [savedPractices, setSavedPractices] = useState(0);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // Reloaded on reconnecting, as a manifest fetch that failed offline isn't cached
+  useEffect(() => {
+    let cancelled = false;
+    getDataAsOf().then(result => {
+      if (!cancelled && result) setDataAsOf(result);
+    });
+    listRecentPractices().then(practices => {
+      if (!cancelled) setSavedPractices(practices.length);
+    });
+    return () => { cancelled = true; };
+  }, [online]);
+
+  const latestMonth = dataAsOf?.latestMonths.appointments || Object.values(dataAsOf?.latestMonths || {}).at(-1);
+  if (!latestMonth && online) return null;
+
+  const title = [
+    online ? 'Online' : 'Offline: local file analysis still works, national data is shown from this device\'s cache',
+    ...Object.entries(dataAsOf?.latestMonths || {}).map(([dataset, month]) => `${DATASET_LABELS[dataset] || dataset}: to ${month}`),
+    dataAsOf?.generatedAt ? `Prepared ${formatDate(dataAsOf.generatedAt)}` : null,
+    savedPractices > 0 ? `${savedPractices} recently viewed practice${savedPractices === 1 ? '' : 's'} saved for offline use` : null,
+  ].filter(Boolean).join('\n');
+
+  return (
+    <div
+      className={`hidden md:flex items-center gap-1.5 px-2.5 py-1 rounded-full border text-[11px] font-medium ${
+        online ? 'bg-slate-50 border-slate-200 text-slate-600' : 'bg-amber-50 border-amber-300 text-amber-800'
+      }`}
+      title={title}
+    >
+      {online ? <Database size={12} className="text-slate-400" /> : <WifiOff size={12} />}
+      <span>
+        {!online && 'Offline · '}
+        {latestMonth ? `Data as of ${shortMonth(latestMonth)}` : 'No cached national data'}
+      </span>
+    </div>
+  );
+};
+
+export default DataStatusBadge;
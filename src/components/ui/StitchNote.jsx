@@ -0,0 +1,19 @@
+import React from 'react';
+import { Link2 } from 'lucide-react';
+import { describeStitch } from '../../utils/practiceLineage';
+
+// Note under a trend chart when merged practices have been stitched into its series
+// (stitched months are drawn with diamond points)
+const StitchNote = ({ lineage, odsCode, months, className = '' }) => {
+  const text = describeStitch(lineage, odsCode, months);
+  if (!text) return null;
+
+  return (
+    <p className={`flex items-start gap-1.5 text-xs text-amber-700 ${className}`}>
+      <Link2 size={12} className="mt-0.5 shrink-0" />
+      <span>{text}. Diamond points combine the merged practices.</span>
+    </p>
+  );
+};
+
+export default StitchNote;
@@ -0,0 +1,37 @@
+/**
+ * Corrections registry for known errors and organisational changes in NHS England source data
+ *
+ * Applied by every national parser (appointments, telephony, online consultations,
+ * workforce) through src/utils/dataCorrections.js, so the JSON written by
+ * scripts/preprocess-data.js and the browser's XLSX fallback agree. The months each
+ * correction fired for are recorded in public/data/manifest.json and listed in the
+ * admin panel (Data Corrections tab). Merger and succession entries also form the practice
+ * lineage (src/utils/practiceLineage.js) the national views use to stitch merged practices' trends.
+ *
+ * Entry fields:
+ * - id: stable identifier, shown in the admin panel and stored in the parsed output
+ * - type: 'remap'      overwrite organisation fields (ICB/sub-ICB/PCN/region) for a practice
+ *         'merger'     practice was merged into `successor`
+ *         'succession' practice closed and its patients moved to `successor`
+ * - odsCode: practice the correction applies to
+ * - set: (remap) organisation fields to overwrite
+ * - successor: (merger/succession) ODS code of the continuing practice
+ * - effectiveFrom / effectiveTo: optional 'YYYY-MM' months, inclusive. For a remap they bound
+ *   the months it is applied to; for a merger/succession effectiveFrom is the first month
+ *   the practice is reported under its successor
+ * - datasets: optional list ('appointments', 'telephony', 'onlineConsultations', 'workforce'),
+ *   all datasets when omitted
+ * - description: why the correction exists
+ */
+export const DATA_CORRECTIONS = [
+  {
+    id: 'C82040-icb',
+    type: 'remap',
+    odsCode: 'C82040',
+    set: {
+      icbCode: 'QT1',
+      icbName: 'NHS NOTTINGHAM AND NOTTINGHAMSHIRE INTEGRATED CARE BOARD',
+    },
+    description: 'Orchard Surgery is published under the wrong ICB; it belongs to NHS Nottingham and Nottinghamshire ICB',
+  },
+];
@@ -8,8 +8,19 @@
  * - JSON parsing is 10-20x faster than XLSX parsing
  * - No CPU-intensive parsing at runtime
  * - Smaller bundle size (JSON is more compact)
+ *
+ * Whole-month files are loaded for national views, which rank and compare every
+ * practice. Single-practice lookups (getPracticeData, searchPractices, loadNationalSummary)
+ * use the per-practice files, practice index and national summary instead, so they
+ * don't download every practice in England.
+ *
+ * Offline, the service worker (public/sw.js) answers these requests from its cache,
+ * and practice files viewed recently are also kept in IndexedDB (src/utils/offlineStore.js).
  */
 
+import { SHARD_DATASETS, isPracticeCode, practiceFilename } from '../utils/nationalShards.js';
+import { saveRecentPractice, getRecentPractice } from '../utils/offlineStore.js';
+
 // Import pre-processed JSON data
 // These will be generated by scripts/preprocess-data.js at build time
 let appointmentsData = null;
@@ -52,6 +63,165 @@ const fetchJsonIfAvailable = async (url) => {
   }
 };
 
+let manifestPromise = null;
+
+// manifest.json is written by scripts/preprocess-data.js and lists the month files per dataset
+const loadManifest = () => {
+  if (!manifestPromise) {
+    manifestPromise = fetchJsonIfAvailable('/data/manifest.json')
+      .then(result => result?.data || null)
+      .catch(() => {
+        // A network failure (offline) is retried on the next call rather than cached
+        manifestPromise = null;
+        return null;
+      });
+  }
+  return manifestPromise;
+};
+
+// The output hash busts any cached copy when a file is regenerated
+const versionedUrl = (file, hash) => (hash ? `/data/${file}?v=${hash.slice(0, 12)}` : `/data/${file}`);
+
+const fetchMonthFiles = async (files) => {
+  const monthResults = await Promise.all(files.map(async ({ month, file, hash }) => {
+    const monthResult = await fetchJsonIfAvailable(versionedUrl(file, hash));
+    return monthResult?.data ? [month, monthResult.data] : null;
+  }));
+  return monthResults.filter(Boolean);
+};
+
+// Month data for a dataset as listed in the manifest, or null when there is no manifest entry
+const loadFromManifest = async (dataset) => {
+  const manifest = await loadManifest();
+  const months = manifest?.datasets?.[dataset]?.months;
+  if (!Array.isArray(months) || months.length === 0) return null;
+
+  const entries = await fetchMonthFiles(months);
+  if (entries.length === 0) return null;
+
+  return {
+    entries,
+    metadata: {
+      generatedAt: manifest.generatedAt,
+      months: entries.map(([month]) => month),
+      files: Object.fromEntries(months.map(({ month, file }) => [month, file])),
+    },
+  };
+};
+
+/**
+ * Load the preprocess manifest (sources, months, parser versions and applied corrections)
+ * @returns {Promise<Object|null>} Parsed manifest.json, or null when there isn't one
+ */
+export async function loadDataManifest() {
+  return loadManifest();
+}
+
+/**
+ * When the national data was prepared and its latest month per dataset, for the "data as of" indicator
+ * @returns {Promise<Object|null>} { generatedAt, latestMonths: { [dataset]: month } }, or null without a manifest
+ */
+export async function getDataAsOf() {
+  const manifest = await loadManifest();
+  if (!manifest) return null;
+
+  const latestMonths = Object.fromEntries(Object.entries(manifest.datasets || {})
+    .map(([dataset, { months }]) => [dataset, months?.at(-1)?.month])
+    .filter(([, month]) => month));
+  return { generatedAt: manifest.generatedAt || null, latestMonths };
+}
+
+// ============================================
+// PER-PRACTICE FILES, PRACTICE INDEX AND NATIONAL SUMMARY
+// ============================================
+
+let practiceIndexPromise = null;
+let nationalSummaryPromise = null;
+const practiceShardCache = new Map();
+
+// A file listed under manifest.shards ('index' or 'summary'); null when the manifest predates them
+const loadShardFile = async (key) => {
+  const manifest = await loadManifest();
+  const entry = manifest?.shards?.[key];
+  if (!entry) return null;
+  const result = await fetchJsonIfAvailable(versionedUrl(entry.output, entry.outputHash));
+  return result?.data || null;
+};
+
+/**
+ * Load the practice index used for search and peer matching
+ * @returns {Promise<Object|null>} { practices: [{ odsCode, gpName, pcnCode, pcnName, subICBCode, icbCode,
+ *   listSize, clinicalSystem, ocSuppliers, datasets }],
+ *   icbNames, subICBNames }, or null when it hasn't been generated
+ */
+export function loadPracticeIndex() {
+  if (!practiceIndexPromise) {
+    practiceIndexPromise = loadShardFile('index').catch(() => null);
+  }
+  return practiceIndexPromise;
+}
+
+/**
+ * Load the national summary: totals and percentile arrays per dataset, month and metric
+ * (see src/utils/nationalShards.js; place a practice with percentileRank)
+ * @returns {Promise<Object|null>} { percentiles, datasets: { [dataset]: { [month]: { practiceCount, national, metrics } } } }
+ */
+export function loadNationalSummary() {
+  if (!nationalSummaryPromise) {
+    nationalSummaryPromise = loadShardFile('summary').catch(() => null);
+  }
+  return nationalSummaryPromise;
+}
+
+/**
+ * Load every month of every dataset for one practice in a single request.
+ * Loaded files are kept in IndexedDB for the most recently viewed practices,
+ * and that copy is used when the file can't be fetched (offline).
+ * @param {string} odsCode - The practice ODS code
+ * @returns {Promise<Object|null>} { odsCode, appointments: { [month]: record }, telephony, ... },
+ *   or null when the practice (or the per-practice files) isn't available
+ */
+export function loadPracticeShard(odsCode) {
+  if (!practiceShardCache.has(odsCode)) {
+    const promise = (async () => {
+      if (!isPracticeCode(odsCode)) return null;
+      const manifest = await loadManifest();
+      let offline = !manifest;
+      if (manifest?.shards) {
+        // Every practice file is rewritten together, so the shard inputs hash versions them all
+        const version = manifest.shards.inputsHash;
+        const result = await fetchJsonIfAvailable(versionedUrl(practiceFilename(odsCode), version))
+          .catch(() => {
+            offline = true;
+            return null;
+          });
+        if (result?.data) {
+          await saveRecentPractice(result.data, version);
+          return result.data;
+        }
+      }
+      // Not cached in memory when offline, so the file is fetched once the connection is back
+      if (offline) practiceShardCache.delete(odsCode);
+      return (await getRecentPractice(odsCode))?.shard || null;
+    })().catch(() => null);
+    practiceShardCache.set(odsCode, promise);
+  }
+  return practiceShardCache.get(odsCode);
+}
+
+/**
+ * A practice file laid out like the month files, with that practice as the only row,
+ * so views built on whole months can show a saved practice when they can't be loaded
+ * @param {Object} shard - Practice file from loadPracticeShard or getRecentPractice
+ * @returns {Object} { appointments: { [month]: { practices: [record] } }, telephony, onlineConsultations, workforce }
+ */
+export function practiceShardMonths(shard) {
+  return Object.fromEntries(SHARD_DATASETS.map(dataset => [
+    dataset,
+    Object.fromEntries(Object.entries(shard?.[dataset] || {}).map(([month, record]) => [month, { practices: [record] }])),
+  ]));
+}
+
 /**
  * Load appointments data from pre-processed JSON
  * @returns {Promise<Object>} Appointments data by month
@@ -61,26 +231,12 @@ export async function loadAppointmentsData() {
     return dataCache.appointments;
   }
 
-  const indexResult = await fetchJsonIfAvailable('/data/appointments-index.json');
-  if (indexResult?.data) {
-    const indexData = indexResult.data;
-    const months = Array.isArray(indexData.months) ? indexData.months : Object.keys(indexData.files || {});
-    const fileMap = indexData.files || {};
-
-    const monthResults = await Promise.all(months.map(async (month) => {
-      const relativePath = fileMap[month] || `appointments/${month.replace(/\\s+/g, '_')}.json`;
-      const monthResult = await fetchJsonIfAvailable(`/data/${relativePath}`);
-      return monthResult?.data ? [month, monthResult.data] : null;
-    }));
-
-    const entries = monthResults.filter(Boolean);
-    if (entries.length > 0) {
-      const loadedMonths = entries.map(([month]) => month);
-      const data = Object.fromEntries(entries);
-      data.metadata = { ...(indexData.metadata || {}), months: loadedMonths, files: fileMap };
-      dataCache.appointments = data;
-      return data;
-    }
+  const loaded = await loadFromManifest('appointments');
+  if (loaded) {
+    const data = Object.fromEntries(loaded.entries);
+    data.metadata = loaded.metadata;
+    dataCache.appointments = data;
+    return data;
   }
 
   const legacyResult = await fetchJsonIfAvailable('/data/appointments.json');
@@ -101,6 +257,12 @@ export async function loadTelephonyData() {
     return dataCache.telephony;
   }
 
+  const loaded = await loadFromManifest('telephony');
+  if (loaded) {
+    dataCache.telephony = Object.fromEntries(loaded.entries);
+    return dataCache.telephony;
+  }
+
   const result = await fetchJsonIfAvailable('/data/telephony.json');
   if (result?.data) {
     dataCache.telephony = result.data;
@@ -119,6 +281,12 @@ export async function loadOnlineConsultationsData() {
     return dataCache.onlineConsultations;
   }
 
+  const loaded = await loadFromManifest('onlineConsultations');
+  if (loaded) {
+    dataCache.onlineConsultations = Object.fromEntries(loaded.entries);
+    return dataCache.onlineConsultations;
+  }
+
   const result = await fetchJsonIfAvailable('/data/online-consultations.json');
   if (result?.data) {
     dataCache.onlineConsultations = result.data;
@@ -137,26 +305,12 @@ export async function loadWorkforceData() {
     return dataCache.workforce;
   }
 
-  const indexResult = await fetchJsonIfAvailable('/data/workforce-index.json');
-  if (indexResult?.data) {
-    const indexData = indexResult.data;
-    const months = Array.isArray(indexData.months) ? indexData.months : Object.keys(indexData.files || {});
-    const fileMap = indexData.files || {};
-
-    const monthResults = await Promise.all(months.map(async (month) => {
-      const relativePath = fileMap[month] || `workforce/${month.replace(/\\s+/g, '_')}.json`;
-      const monthResult = await fetchJsonIfAvailable(`/data/${relativePath}`);
-      return monthResult?.data ? [month, monthResult.data] : null;
-    }));
-
-    const entries = monthResults.filter(Boolean);
-    if (entries.length > 0) {
-      const loadedMonths = entries.map(([month]) => month);
-      const data = Object.fromEntries(entries);
-      data.metadata = { ...(indexData.metadata || {}), months: loadedMonths, files: fileMap };
-      dataCache.workforce = data;
-      return data;
-    }
+  const loaded = await loadFromManifest('workforce');
+  if (loaded) {
+    const data = Object.fromEntries(loaded.entries);
+    data.metadata = loaded.metadata;
+    dataCache.workforce = data;
+    return data;
   }
 
   const legacyResult = await fetchJsonIfAvailable('/data/workforce.json');
@@ -206,29 +360,41 @@ export async function loadAllNationalData() {
   };
 }
 
+const DATA_LOADERS = {
+  appointments: loadAppointmentsData,
+  telephony: loadTelephonyData,
+  onlineConsultations: loadOnlineConsultationsData,
+  workforce: loadWorkforceData,
+};
+
+const getDataLoader = (dataType) => {
+  const loader = DATA_LOADERS[dataType];
+  if (!loader) throw new Error(`Unknown data type: ${dataType}`);
+  return loader;
+};
+
 /**
- * Get data for a specific practice across all months
+ * Get data for a specific practice across all months.
+ * Uses whole months already in the cache, otherwise the practice's own file
+ * (one small request, or its saved copy offline); whole months are only downloaded
+ * when there are no practice files.
  * @param {string} odsCode - The practice ODS code
- * @param {string} dataType - 'appointments', 'telephony', or 'onlineConsultations'
- * @returns {Promise<Array>} Array of monthly data for the practice
+ * @param {string} dataType - 'appointments', 'telephony', 'onlineConsultations' or 'workforce'
+ * @returns {Promise<Array>} Array of monthly data for the practice, oldest first
  */
 export async function getPracticeData(odsCode, dataType) {
-  let data;
-
-  switch (dataType) {
-    case 'appointments':
-      data = await loadAppointmentsData();
-      break;
-    case 'telephony':
-      data = await loadTelephonyData();
-      break;
-    case 'onlineConsultations':
-      data = await loadOnlineConsultationsData();
-      break;
-    default:
-      throw new Error(`Unknown data type: ${dataType}`);
+  const loader = getDataLoader(dataType);
+
+  if (!dataCache[dataType]) {
+    // Without a manifest (offline) the practice may still have a saved copy
+    const manifest = await loadManifest();
+    const shard = manifest?.shards || !manifest ? await loadPracticeShard(odsCode) : null;
+    if (manifest?.shards || shard) {
+      return Object.entries(shard?.[dataType] || {}).map(([month, practice]) => ({ month, ...practice }));
+    }
   }
 
+  const data = await loader();
   const practiceData = [];
   if (!data) return practiceData;
 
@@ -250,30 +416,32 @@ export async function getPracticeData(odsCode, dataType) {
 }
 
 /**
- * Search for practices by name or ODS code
+ * Search for practices by name or ODS code, using the practice index when it exists
+ * (falling back to the latest whole month of the dataset)
  * @param {string} query - Search query
  * @param {string} dataType - Data source to search in
  * @returns {Promise<Array>} Matching practices
  */
 export async function searchPractices(query, dataType = 'appointments') {
-  let data;
-
-  switch (dataType) {
-    case 'appointments':
-      data = await loadAppointmentsData();
-      break;
-    case 'telephony':
-      data = await loadTelephonyData();
-      break;
-    case 'onlineConsultations':
-      data = await loadOnlineConsultationsData();
-      break;
-    default:
-      throw new Error(`Unknown data type: ${dataType}`);
+  const loader = getDataLoader(dataType);
+  const queryLower = query.toLowerCase();
+
+  const index = await loadPracticeIndex();
+  if (index) {
+    return index.practices
+      .filter(practice => practice.datasets.includes(dataType))
+      .filter(practice => practice.odsCode.toLowerCase().includes(queryLower)
+        || practice.gpName.toLowerCase().includes(queryLower))
+      .map(practice => ({
+        odsCode: practice.odsCode,
+        practiceName: practice.gpName,
+        icb: index.icbNames[practice.icbCode] || index.subICBNames[practice.subICBCode] || '',
+        pcn: practice.pcnName,
+      }));
   }
 
+  const data = await loader();
   if (!data) return [];
-  const queryLower = query.toLowerCase();
   const practicesMap = new Map();
 
   // Get the latest month's data for searching
@@ -284,7 +452,7 @@ export async function searchPractices(query, dataType = 'appointments') {
 
   for (const practice of practices) {
     const code = practice.odsCode || practice.practiceCode || '';
-    const name = practice.practiceName || practice.name || '';
+    const name = practice.practiceName || practice.gpName || practice.name || '';
 
     if (code.toLowerCase().includes(queryLower) || name.toLowerCase().includes(queryLower)) {
       practicesMap.set(code, {
@@ -301,27 +469,19 @@ export async function searchPractices(query, dataType = 'appointments') {
 
 /**
  * Get available months for a data type
- * @param {string} dataType - 'appointments', 'telephony', or 'onlineConsultations'
+ * Read from the manifest when present, so the month data itself isn't downloaded
+ * @param {string} dataType - 'appointments', 'telephony', 'onlineConsultations' or 'workforce'
  * @returns {Promise<Array>} Array of available months
  */
 export async function getAvailableMonths(dataType) {
-  let data;
-
-  switch (dataType) {
-    case 'appointments':
-      data = await loadAppointmentsData();
-      break;
-    case 'telephony':
-      data = await loadTelephonyData();
-      break;
-    case 'onlineConsultations':
-      data = await loadOnlineConsultationsData();
-      break;
-    default:
-      throw new Error(`Unknown data type: ${dataType}`);
+  const manifest = await loadManifest();
+  const manifestMonths = manifest?.datasets?.[dataType]?.months;
+  if (Array.isArray(manifestMonths) && manifestMonths.length > 0) {
+    return manifestMonths.map(({ month }) => month);
   }
 
-  return Object.keys(data).filter(k => k !== 'metadata');
+  const data = await getDataLoader(dataType)();
+  return Object.keys(data || {}).filter(k => k !== 'metadata');
 }
 
 /**
@@ -333,15 +493,25 @@ export function clearDataCache() {
   dataCache.onlineConsultations = null;
   dataCache.workforce = null;
   dataCache.workforceDefinitions = null;
+  manifestPromise = null;
+  practiceIndexPromise = null;
+  nationalSummaryPromise = null;
+  practiceShardCache.clear();
 }
 
 export default {
+  loadDataManifest,
+  getDataAsOf,
   loadAppointmentsData,
   loadTelephonyData,
   loadOnlineConsultationsData,
   loadWorkforceData,
   loadWorkforceDefinitions,
   loadAllNationalData,
+  loadPracticeIndex,
+  loadNationalSummary,
+  loadPracticeShard,
+  practiceShardMonths,
   getPracticeData,
   searchPractices,
   getAvailableMonths,
@@ -0,0 +1,244 @@
+/**
+ * Accurx Data Parser
+ * Parses Accurx Patient Triage request exports into the triage row model used by
+ * Triage Slot Analysis (the same rows the Rapid Health extract produces):
+ * { tenant, requestDate, requestMonth, requestDay, requestHour, requestType, pathway, urgency,
+ *   automated, guideline, slotType, appointmentStatus, patientAge, isAdult, timeToProcessedMins, outcome }
+ * plus the export's own outcome text, which the triage outcome analysis groups.
+ *
+ * Accurx exports vary with the report and its settings, so columns are found by name
+ * and anything the export leaves out falls back to the Rapid Health "not specified" values.
+ */
+import * as XLSX from 'xlsx';
+import { parseFlexibleDate } from './systmConnectParser.js';
+
+// Possible names for each column, most specific first
+const COLUMN_NAMES = {
+  practice: ['practice name', 'practice', 'organisation name', 'organisation', 'ods code'],
+  submitted: ['date submitted', 'submitted at', 'date received', 'received at', 'request date', 'created at', 'submitted', 'received', 'created'],
+  submittedTime: ['time submitted', 'time received', 'request time'],
+  requestType: ['request type', 'type'],
+  category: ['request category', 'category', 'reason', 'topic', 'request subtype'],
+  urgency: ['urgency', 'priority', 'urgent'],
+  outcome: ['outcome', 'status'],
+  appointmentType: ['appointment type', 'slot type'],
+  patientAge: ['patient age', 'age'],
+  completed: ['date completed', 'completed at', 'done at', 'closed at', 'outcome recorded', 'completed'],
+  automated: ['automated', 'auto-responded', 'auto responded'],
+};
+
+// Headers that contain a column name but mean something else
+const COLUMN_EXCLUSIONS = {
+  submitted: ['time'],
+  requestType: ['appointment', 'slot'],
+  patientAge: ['message', 'usage'],
+  outcome: ['date', 'recorded'],
+};
+
+// Accurx urgency labels mapped onto the RAG scale the slot analysis plans capacity with
+export const ACCURX_URGENCY_MAP = {
+  red: 'RED',
+  'same day': 'RED',
+  urgent: 'RED',
+  high: 'RED',
+  amber: 'AMBER',
+  'next day': 'AMBER',
+  '48 hours': 'AMBER',
+  yellow: 'YELLOW',
+  soon: 'YELLOW',
+  medium: 'YELLOW',
+  'this week': 'YELLOW',
+  green: 'GREEN',
+  routine: 'GREEN',
+  low: 'GREEN',
+  'non-urgent': 'GREEN',
+  'non urgent': 'GREEN',
+  'not urgent': 'GREEN',
+};
+
+// Outcomes that mean the patient was booked, or sent a link to book
+const BOOKED_KEYWORDS = ['appointment booked', 'booked', 'scheduled'];
+const BOOKING_INVITE_KEYWORDS = ['self-book', 'self book', 'booking link', 'booking invite'];
+
+// "Not booked", "No appointment booked", "Patient declined booking link"
+const NEGATION_PATTERN = /\b(not|no|unable|declined)\b/;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Find a column by any of its names: exact matches win, then headers containing the name
+ * @returns {number} Column index, or -1
+ */
+const findColumn = (headers, key) => {
+  const names = COLUMN_NAMES[key];
+  const exclusions = COLUMN_EXCLUSIONS[key] || [];
+  const normalized = headers.map(h => String(h || '').toLowerCase().trim());
+
+  for (const name of names) {
+    const idx = normalized.indexOf(name);
+    if (idx !== -1) return idx;
+  }
+  for (const name of names) {
+    const idx = normalized.findIndex(h => h.includes(name) && !exclusions.some(ex => h.includes(ex)));
+    if (idx !== -1) return idx;
+  }
+  return -1;
+};
+
+const findColumns = (headers) => Object.fromEntries(
+  Object.keys(COLUMN_NAMES).map(key => [key, findColumn(headers, key)])
+);
+
+/**
+ * Validate Accurx export headers: a submitted date, a request type, and urgency or outcome
+ */
+export const validateAccurxHeaders = (headers) => {
+  const cols = findColumns(headers);
+  return cols.submitted !== -1 && cols.requestType !== -1 && (cols.urgency !== -1 || cols.outcome !== -1);
+};
+
+/**
+ * Map an Accurx urgency label to RED / AMBER / YELLOW / GREEN, or null when it has none
+ */
+export const normalizeAccurxUrgency = (value) => {
+  const label = String(value ?? '').trim().toLowerCase();
+  if (!label || label === '-') return null;
+  if (ACCURX_URGENCY_MAP[label]) return ACCURX_URGENCY_MAP[label];
+  if (label === 'yes' || label === 'true') return 'RED'; // "Marked as urgent" flag
+  if (label === 'no' || label === 'false') return 'GREEN';
+  // Longest label first, so "non-urgent" isn't read as "urgent"
+  const match = Object.keys(ACCURX_URGENCY_MAP)
+    .sort((a, b) => b.length - a.length)
+    .find(key => label.includes(key));
+  return match ? ACCURX_URGENCY_MAP[match] : null;
+};
+
+/**
+ * Map an Accurx outcome to an appointment status the slot analysis recognises
+ * ("Scheduled" or "Booking invite sent"), or '-' when no appointment was offered
+ */
+export const normalizeAccurxOutcome = (outcome) => {
+  const lower = String(outcome ?? '').trim().toLowerCase();
+  if (!lower) return '-';
+  // A negation before the keyword means no appointment was made
+  const mentions = (keywords) => keywords.some(kw => lower.includes(kw) && !NEGATION_PATTERN.test(lower.slice(0, lower.indexOf(kw))));
+  if (mentions(BOOKING_INVITE_KEYWORDS)) return 'Booking invite sent';
+  if (mentions(BOOKED_KEYWORDS)) return 'Scheduled';
+  return '-';
+};
+
+// Add a separate time cell (Excel day fraction or "HH:mm") to a parsed date.
+// Excel serial dates are read as UTC, text dates as local time.
+const withTime = (date, value, isSerial) => {
+  if (!date || value === null || value === undefined || value === '') return date;
+  let minutes = null;
+  if (typeof value === 'number') {
+    minutes = Math.round((value - Math.floor(value)) * 24 * 60);
+  } else {
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})/);
+    if (match) minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  }
+  if (minutes === null) return date;
+  const combined = new Date(date);
+  if (isSerial) {
+    combined.setUTCHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  } else {
+    combined.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  }
+  return combined;
+};
+
+// Wall-clock parts of a submitted date
+const clockParts = (date, isSerial) => (isSerial
+  ? { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate(), weekday: date.getUTCDay(), hour: date.getUTCHours() }
+  : { year: date.getFullYear(), month: date.getMonth(), day: date.getDate(), weekday: date.getDay(), hour: date.getHours() });
+
+const normalizeRequestType = (value) => {
+  const lower = String(value ?? '').trim().toLowerCase();
+  if (lower.includes('medical') || lower.includes('clinical')) return 'Medical';
+  if (lower.includes('admin')) return 'Admin';
+  return String(value ?? '').trim();
+};
+
+/**
+ * Parse an Accurx Patient Triage export (XLSX or CSV read with XLSX.read)
+ * @param {Object} workbook - SheetJS workbook
+ * @returns {Object} { rows, dataQuality: { totalRows, missingDates, missingType, missingUrgency } }
+ */
+export const parseAccurxData = (workbook) => {
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const data = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+
+  if (data.length < 2) {
+    throw new Error('File contains no data rows');
+  }
+
+  const headers = data[0];
+  if (!validateAccurxHeaders(headers)) {
+    throw new Error('File format does not match Accurx Patient Triage export. Please ensure the export includes the submitted date, request type and urgency or outcome columns.');
+  }
+
+  const cols = findColumns(headers);
+  const cell = (row, key) => (cols[key] === -1 ? undefined : row[cols[key]]);
+
+  const rows = [];
+  const dataQuality = {
+    totalRows: 0,
+    missingDates: 0,
+    missingType: 0,
+    missingUrgency: 0,
+  };
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (!row || row.length === 0 || row.every(value => value === null || value === undefined || value === '')) continue;
+
+    dataQuality.totalRows++;
+
+    const rawSubmitted = cell(row, 'submitted');
+    const isSerial = typeof rawSubmitted === 'number';
+    const submittedDt = withTime(parseFlexibleDate(rawSubmitted), cell(row, 'submittedTime'), isSerial);
+    if (!submittedDt) dataQuality.missingDates++;
+
+    const requestType = normalizeRequestType(cell(row, 'requestType'));
+    if (!requestType) dataQuality.missingType++;
+
+    const urgency = normalizeAccurxUrgency(cell(row, 'urgency'));
+    if (!urgency && requestType === 'Medical') dataQuality.missingUrgency++;
+
+    const completedDt = parseFlexibleDate(cell(row, 'completed'));
+    const timeToProcessedMins = submittedDt && completedDt
+      ? Math.round((completedDt - submittedDt) / 60000)
+      : null;
+
+    const rawAge = parseInt(cell(row, 'patientAge'), 10);
+    const patientAge = isNaN(rawAge) ? null : rawAge;
+    const automatedValue = String(cell(row, 'automated') ?? '').trim().toLowerCase();
+
+    const parts = submittedDt ? clockParts(submittedDt, isSerial) : null;
+    const requestDate = parts ? new Date(Date.UTC(parts.year, parts.month, parts.day)) : null;
+
+    rows.push({
+      tenant: String(cell(row, 'practice') ?? '').trim(),
+      requestDate,
+      requestMonth: requestDate
+        ? requestDate.toLocaleString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+        : '',
+      requestDay: parts ? DAY_NAMES[parts.weekday] : '',
+      requestHour: parts ? parts.hour : null,
+      requestType,
+      pathway: String(cell(row, 'category') ?? '').trim() || '-',
+      urgency,
+      automated: automatedValue === 'true' || automatedValue === 'yes',
+      guideline: '',
+      slotType: String(cell(row, 'appointmentType') ?? '').trim() || '-',
+      appointmentStatus: normalizeAccurxOutcome(cell(row, 'outcome')),
+      patientAge,
+      isAdult: patientAge !== null && patientAge >= 18,
+      timeToProcessedMins: timeToProcessedMins !== null && timeToProcessedMins >= 0 ? timeToProcessedMins : null,
+      outcome: String(cell(row, 'outcome') ?? '').trim() || null,
+    });
+  }
+
+  return { rows, dataQuality };
+};
@@ -0,0 +1,53 @@
+/**
+ * AI Analysis Client
+ *
+ * Browser side of /api/analyze. Sends a structured analysis payload and
+ * streams the report back as it is written (server-sent events), falling
+ * back to a single JSON response when the server does not stream.
+ */
+
+import { readSSEStream } from './sse.js';
+
+/**
+ * Request an AI analysis
+ * @param {Object} payload - Structured payload (buildLocalAnalysisPayload, buildCAIPAnalysisPayload, ...)
+ * @param {Object} [options]
+ * @param {Function} [options.onText] - Called with the report so far each time more text arrives
+ * @returns {Promise<Object>} { text, findings, kind, promptVersion, provider }
+ */
+export const requestAIAnalysis = async (payload, { onText } = {}) => {
+  const response = await fetch('/api/analyze', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+    body: JSON.stringify(payload),
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('text/event-stream')) {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `API error (${response.status})`);
+    if (!data.text) throw new Error('No response generated from AI');
+    onText?.(data.text);
+    return { ...data, findings: data.findings || [] };
+  }
+
+  let text = '';
+  let result = null;
+  let streamError = null;
+
+  await readSSEStream(response, ({ event, data }) => {
+    const parsed = JSON.parse(data);
+    if (event === 'delta') {
+      text += parsed.text;
+      onText?.(text);
+    } else if (event === 'done') {
+      result = parsed;
+    } else if (event === 'error') {
+      streamError = parsed.error;
+    }
+  });
+
+  if (streamError) throw new Error(streamError);
+  if (!result?.text) throw new Error('No response generated from AI');
+  return { ...result, findings: result.findings || [] };
+};
@@ -0,0 +1,245 @@
+/**
+ * AI Analysis Findings
+ *
+ * Machine-readable findings returned alongside the markdown report, so
+ * individual recommendations can be filtered, exported and tracked between
+ * analyses. The prompt asks the model to finish with a JSON array after
+ * FINDINGS_MARKER; /api/analyze splits that off, validates it against the
+ * schema below and returns the findings separately from the report.
+ * No browser or Node dependencies.
+ *
+ * Finding schema:
+ *   { id, metric, direction, severity, title, evidence: [{ label, value }], action }
+ */
+
+export const FINDINGS_MARKER = '===FINDINGS_JSON===';
+
+// Ordered most to least urgent
+export const FINDING_SEVERITIES = ['critical', 'warning', 'info', 'positive'];
+
+// rising/falling/stable describe the trend; high/low the position against peers or thresholds
+export const FINDING_DIRECTIONS = ['rising', 'falling', 'stable', 'high', 'low'];
+
+export const MAX_FINDINGS = 12;
+const MAX_EVIDENCE = 4;
+const MAX_TITLE_LENGTH = 120;
+const MAX_ACTION_LENGTH = 300;
+const MAX_LABEL_LENGTH = 80;
+const MAX_VALUE_LENGTH = 40;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Single line, control characters stripped, length capped
+const cleanText = (value, maxLength) => (
+  typeof value !== 'string' ? '' : value
+    .replace(/\s+/g, ' ')
+    .split('')
+    .filter(ch => ch.charCodeAt(0) >= 32 && ch.charCodeAt(0) !== 127)
+    .join('')
+    .trim()
+    .slice(0, maxLength)
+);
+
+/**
+ * Prompt section asking for the findings block (appended to each template's system prompt)
+ * @param {string[]} metricKeys - Metric keys the findings may refer to
+ */
+export const buildFindingsInstructions = (metricKeys) => `
+STRUCTURED FINDINGS (MANDATORY)
+After the report, output a line containing only ${FINDINGS_MARKER} followed by a JSON array and nothing else (no code fences, no text after the array).
+Give up to ${MAX_FINDINGS} findings, one for each key point in the report, each an object with:
+- "metric": one of ${metricKeys.join(', ')}
+- "direction": one of ${FINDING_DIRECTIONS.join(', ')} (rising/falling/stable for trends, high/low for position against peers or thresholds)
+- "severity": one of ${FINDING_SEVERITIES.join(', ')}
+- "title": one-sentence summary of the finding
+- "evidence": up to ${MAX_EVIDENCE} objects {"label": string, "value": number or short string} quoting the figures that support it
+- "action": the recommended action, or "" for positive findings
+`;
+
+const cleanEvidence = (evidence) => {
+  if (!Array.isArray(evidence)) return [];
+  return evidence
+    .map(item => {
+      if (!isPlainObject(item)) return null;
+      const label = cleanText(item.label, MAX_LABEL_LENGTH);
+      const value = typeof item.value === 'number'
+        ? (Number.isFinite(item.value) ? item.value : null)
+        : cleanText(item.value, MAX_VALUE_LENGTH) || null;
+      return label && value !== null ? { label, value } : null;
+    })
+    .filter(Boolean)
+    .slice(0, MAX_EVIDENCE);
+};
+
+/**
+ * Validate one finding against the schema
+ * @param {*} raw - Candidate finding
+ * @param {string[]} allowedMetrics - Metric keys for the analysis kind
+ * @returns {Object|null} Cleaned finding (without id), or null when invalid
+ */
+export const validateFinding = (raw, allowedMetrics) => {
+  if (!isPlainObject(raw)) return null;
+  if (!allowedMetrics.includes(raw.metric)) return null;
+  if (!FINDING_DIRECTIONS.includes(raw.direction)) return null;
+  if (!FINDING_SEVERITIES.includes(raw.severity)) return null;
+
+  const title = cleanText(raw.title, MAX_TITLE_LENGTH);
+  if (!title) return null;
+
+  return {
+    metric: raw.metric,
+    direction: raw.direction,
+    severity: raw.severity,
+    title,
+    evidence: cleanEvidence(raw.evidence),
+    action: cleanText(raw.action, MAX_ACTION_LENGTH),
+  };
+};
+
+/**
+ * Parse the findings block written by the model
+ * Accepts a bare array or { findings: [...] }, optionally inside a code fence.
+ * Invalid entries are dropped rather than failing the whole analysis.
+ * @returns {Array} Valid findings with ids assigned
+ */
+export const parseFindings = (jsonText, allowedMetrics) => {
+  const body = String(jsonText || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch {
+    return [];
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.findings;
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map(item => validateFinding(item, allowedMetrics))
+    .filter(Boolean)
+    .slice(0, MAX_FINDINGS)
+    .map((finding, i) => ({ id: `f${i + 1}`, ...finding }));
+};
+
+/**
+ * Split a completed model response into the markdown report and its findings
+ * @returns {{report: string, findings: Array}}
+ */
+export const splitAnalysisText = (text, allowedMetrics) => {
+  const source = String(text || '');
+  const idx = source.indexOf(FINDINGS_MARKER);
+  if (idx === -1) return { report: source.trim(), findings: [] };
+  return {
+    report: source.slice(0, idx).trim(),
+    findings: parseFindings(source.slice(idx + FINDINGS_MARKER.length), allowedMetrics),
+  };
+};
+
+// Length of the longest suffix of text that could be the start of the marker
+const partialMarkerLength = (text) => {
+  for (let k = Math.min(text.length, FINDINGS_MARKER.length - 1); k > 0; k--) {
+    if (text.endsWith(FINDINGS_MARKER.slice(0, k))) return k;
+  }
+  return 0;
+};
+
+/**
+ * Filter streamed deltas so only the report reaches onReport
+ * Text that might be the start of the marker is held back until it is
+ * known not to be; everything from the marker onwards is dropped.
+ * @param {Function} onReport - Receives report text fragments
+ * @returns {{push: Function, flush: Function}}
+ */
+export const createReportStreamFilter = (onReport) => {
+  let pending = '';
+  let reachedFindings = false;
+
+  return {
+    push: (delta) => {
+      if (reachedFindings) return;
+      pending += delta;
+      const idx = pending.indexOf(FINDINGS_MARKER);
+      if (idx !== -1) {
+        reachedFindings = true;
+        if (idx > 0) onReport(pending.slice(0, idx));
+        pending = '';
+        return;
+      }
+      const hold = partialMarkerLength(pending);
+      if (pending.length > hold) {
+        onReport(pending.slice(0, pending.length - hold));
+        pending = pending.slice(pending.length - hold);
+      }
+    },
+    flush: () => {
+      if (!reachedFindings && pending) onReport(pending);
+      pending = '';
+    },
+  };
+};
+
+// Sort by severity, most urgent first (stable for equal severity)
+export const sortFindings = (findings) => [...(findings || [])].sort(
+  (a, b) => FINDING_SEVERITIES.indexOf(a.severity) - FINDING_SEVERITIES.indexOf(b.severity)
+);
+
+/**
+ * Compare findings with those from the previous analysis, by metric
+ * Each current finding gets status 'new', 'ongoing', 'improved' or 'worsened'
+ * (severity compared with the previous finding for the same metric); previous
+ * non-positive findings whose metric no longer appears are returned as resolved.
+ * @returns {{findings: Array, resolved: Array}}
+ */
+export const trackFindings = (findings, previousFindings = []) => {
+  const previousByMetric = new Map((previousFindings || []).map(f => [f.metric, f]));
+  const urgency = (severity) => FINDING_SEVERITIES.length - FINDING_SEVERITIES.indexOf(severity);
+
+  const tracked = (findings || []).map(finding => {
+    const previous = previousByMetric.get(finding.metric);
+    if (!previous) return { ...finding, status: 'new' };
+    const change = urgency(finding.severity) - urgency(previous.severity);
+    const status = change > 0 ? 'worsened' : change < 0 ? 'improved' : 'ongoing';
+    return { ...finding, status, previousSeverity: previous.severity };
+  });
+
+  const currentMetrics = new Set((findings || []).map(f => f.metric));
+  const resolved = (previousFindings || []).filter(f => !currentMetrics.has(f.metric) && f.severity !== 'positive');
+
+  return { findings: tracked, resolved };
+};
+
+/**
+ * Add the previous analysis's findings to its history before it is replaced
+ * @param {Object|null} previousAnalysis - Stored analysis ({ month, generatedAt, findings, findingsHistory })
+ * @param {number} [limit=12] - Snapshots to keep
+ * @returns {Array} [{ month, generatedAt, findings }], oldest first
+ */
+export const buildFindingsHistory = (previousAnalysis, limit = 12) => {
+  const history = previousAnalysis?.findingsHistory || [];
+  if (!previousAnalysis?.findings?.length) return history.slice(-limit);
+  return [
+    ...history,
+    {
+      month: previousAnalysis.month || null,
+      generatedAt: previousAnalysis.generatedAt || null,
+      findings: previousAnalysis.findings,
+    },
+  ].slice(-limit);
+};
+
+// "label: value; label: value" for exports
+export const formatFindingEvidence = (evidence) => (evidence || [])
+  .map(item => `${item.label}: ${item.value}`)
+  .join('; ');
+
+// Inverse of formatFindingEvidence (numbers are restored as numbers)
+export const parseFindingEvidence = (text) => String(text || '')
+  .split('; ')
+  .map(part => {
+    const idx = part.lastIndexOf(': ');
+    if (idx <= 0) return null;
+    const raw = part.slice(idx + 2).trim();
+    const num = Number(raw);
+    return { label: part.slice(0, idx).trim(), value: raw !== '' && Number.isFinite(num) ? num : raw };
+  })
+  .filter(item => item && item.label && item.value !== '');
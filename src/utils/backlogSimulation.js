@@ -0,0 +1,238 @@
+/**
+ * Backlog Simulation
+ *
+ * Day-by-day simulation of triage demand against a slot configuration, so the effect
+ * of demand running above capacity for several weeks can be seen (the slot gap model
+ * only compares weekly averages).
+ *
+ * Each request is due by the day its urgency rule gives (src/utils/urgencyRules.js)
+ * and can be booked from the day it arrives. On every open day the slots for that
+ * weekday are booked earliest-deadline first: requests use slots of their own urgency,
+ * then any spare slots of a more urgent type. Requests not booked are carried forward
+ * to the next open day. The simulation starts with no backlog and runs over the
+ * uploaded dates followed by a forecast horizon of average weekday demand.
+ */
+import { URGENCY_LEVELS, getCapacityDate, isOpenDate, normaliseUrgencyRules } from './urgencyRules.js';
+
+export const DEFAULT_HORIZON_WEEKS = 8;
+export const MAX_HORIZON_WEEKS = 26;
+
+// Time from request to appointment, in calendar days
+export const WAIT_BUCKETS = [
+  { label: 'Same day', max: 0 },
+  { label: '1 day', max: 1 },
+  { label: '2-3 days', max: 3 },
+  { label: '4-7 days', max: 7 },
+  { label: '8-14 days', max: 14 },
+  { label: '15+ days', max: Infinity },
+];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MS_PER_DAY = 86400000;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const toKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+const fromKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+const daysBetween = (from, to) => Math.round((to - from) / MS_PER_DAY);
+
+/**
+ * Daily demand by urgency over the uploaded dates, followed by a forecast horizon.
+ * Forecast days repeat the average demand for their weekday, adjusted by demandChangePct;
+ * fractions are carried forward so the forecast stays in whole requests.
+ * @param {Object} data - Demand analysis with demandByDateUrgency (see analyzeTriageDemand)
+ * @param {Object} [options] - { horizonWeeks, demandChangePct }
+ * @returns {Array|null} [{ date, forecast, counts: { RED, AMBER, YELLOW, GREEN } }], or null without dated demand
+ */
+export const buildDemandCalendar = (data, options = {}) => {
+  const { horizonWeeks = DEFAULT_HORIZON_WEEKS, demandChangePct = 0 } = options;
+  const keys = Object.keys(data?.demandByDateUrgency || {}).sort();
+  if (keys.length === 0) return null;
+
+  const calendar = [];
+  const weekdayTotals = {};
+  const weekdayDays = {};
+  const last = fromKey(keys[keys.length - 1]);
+  for (let date = fromKey(keys[0]); date <= last; date = addDays(date, 1)) {
+    const saved = data.demandByDateUrgency[toKey(date)] || {};
+    const counts = Object.fromEntries(URGENCY_LEVELS.map(urgency => [urgency, saved[urgency] || 0]));
+    calendar.push({ date, forecast: false, counts });
+
+    const day = date.getDay();
+    weekdayDays[day] = (weekdayDays[day] || 0) + 1;
+    weekdayTotals[day] = weekdayTotals[day] || {};
+    URGENCY_LEVELS.forEach(urgency => {
+      weekdayTotals[day][urgency] = (weekdayTotals[day][urgency] || 0) + counts[urgency];
+    });
+  }
+
+  const weeks = Math.min(MAX_HORIZON_WEEKS, Math.max(0, parseInt(horizonWeeks, 10) || 0));
+  const factor = Math.max(0, 1 + (Number(demandChangePct) || 0) / 100);
+  const carried = {};
+  for (let i = 1; i <= weeks * 7; i++) {
+    const date = addDays(last, i);
+    const day = date.getDay();
+    const counts = Object.fromEntries(URGENCY_LEVELS.map(urgency => {
+      const key = `${day}-${urgency}`;
+      const expected = (weekdayTotals[day]?.[urgency] || 0) / (weekdayDays[day] || 1) * factor + (carried[key] || 0);
+      const whole = Math.floor(expected + 1e-9);
+      carried[key] = expected - whole;
+      return [urgency, whole];
+    }));
+    calendar.push({ date, forecast: true, counts });
+  }
+  return calendar;
+};
+
+const emptyUrgencyStats = () => ({ requests: 0, booked: 0, bookedLate: 0, waits: {} });
+
+const medianOf = (waits) => {
+  const total = Object.values(waits).reduce((sum, n) => sum + n, 0);
+  if (total === 0) return null;
+  let seen = 0;
+  const sorted = Object.keys(waits).map(Number).sort((a, b) => a - b);
+  for (const days of sorted) {
+    seen += waits[days];
+    if (seen >= total / 2) return days;
+  }
+  return null;
+};
+
+const summariseStats = (stats, pending, lastDate) => {
+  const unbooked = pending.reduce((sum, cohort) => sum + cohort.count, 0);
+  const waitingOverdue = pending
+    .filter(cohort => cohort.deadline < lastDate)
+    .reduce((sum, cohort) => sum + cohort.count, 0);
+  const breaches = stats.bookedLate + waitingOverdue;
+  const waitDistribution = Object.fromEntries(WAIT_BUCKETS.map(bucket => [bucket.label, 0]));
+  Object.entries(stats.waits).forEach(([days, count]) => {
+    waitDistribution[WAIT_BUCKETS.find(bucket => Number(days) <= bucket.max).label] += count;
+  });
+
+  return {
+    requests: stats.requests,
+    booked: stats.booked,
+    bookedLate: stats.bookedLate,
+    unbooked,
+    waitingOverdue,
+    breaches,
+    // Of requests whose deadline has passed or that were booked
+    withinTargetPct: stats.booked + waitingOverdue > 0
+      ? ((stats.booked - stats.bookedLate) / (stats.booked + waitingOverdue)) * 100
+      : null,
+    medianWaitDays: medianOf(stats.waits),
+    waitDistribution,
+  };
+};
+
+/**
+ * Simulate the backlog for one slot configuration
+ * @param {Object} data - Demand analysis with demandByDateUrgency
+ * @param {Object} config - { slotCapacity: { [weekday]: { RED, AMBER, YELLOW, GREEN } }, urgencyRules, acceptWeekendRequests }
+ * @param {Object} [options] - { horizonWeeks, demandChangePct }
+ * @returns {Object|null} { days, byUrgency, totals, startDate, endDate, forecastStartDate },
+ *   or null when the data has no dated demand (dashboards shared before it was kept)
+ */
+export const simulateBacklog = (data, config, options = {}) => {
+  const calendar = buildDemandCalendar(data, options);
+  if (!calendar) return null;
+
+  const rules = normaliseUrgencyRules(config.urgencyRules);
+  const slotCapacity = config.slotCapacity || {};
+  const rank = (urgency) => URGENCY_LEVELS.indexOf(urgency);
+  const stats = Object.fromEntries(URGENCY_LEVELS.map(urgency => [urgency, emptyUrgencyStats()]));
+
+  let pending = [];
+  const days = [];
+
+  calendar.forEach(({ date, forecast, counts }) => {
+    const isWeekendDay = date.getDay() === 0 || date.getDay() === 6;
+    let arrivals = 0;
+    if (config.acceptWeekendRequests || !isWeekendDay) {
+      URGENCY_LEVELS.forEach(urgency => {
+        if (!counts[urgency]) return;
+        const target = getCapacityDate(date, rules[urgency], urgency);
+        pending.push({ requestDate: date, urgency, slotUrgency: target.urgency, deadline: target.date, count: counts[urgency] });
+        stats[urgency].requests += counts[urgency];
+        arrivals += counts[urgency];
+      });
+    }
+
+    let booked = 0;
+    if (isOpenDate(date)) {
+      const slots = { ...(slotCapacity[DAY_NAMES[date.getDay()]] || {}) };
+      pending.sort((a, b) => a.deadline - b.deadline || rank(a.slotUrgency) - rank(b.slotUrgency) || a.requestDate - b.requestDate);
+
+      const book = (cohort, slotUrgency) => {
+        const taken = Math.min(cohort.count, Math.max(0, slots[slotUrgency] || 0));
+        if (!taken) return;
+        slots[slotUrgency] -= taken;
+        cohort.count -= taken;
+        booked += taken;
+        const wait = daysBetween(cohort.requestDate, date);
+        const urgencyStats = stats[cohort.urgency];
+        urgencyStats.booked += taken;
+        urgencyStats.waits[wait] = (urgencyStats.waits[wait] || 0) + taken;
+        if (date > cohort.deadline) urgencyStats.bookedLate += taken;
+      };
+
+      // Own slot type first, then spare slots of more urgent types
+      pending.forEach(cohort => book(cohort, cohort.slotUrgency));
+      pending.forEach(cohort => {
+        URGENCY_LEVELS.slice(0, rank(cohort.slotUrgency)).reverse().forEach(slotUrgency => book(cohort, slotUrgency));
+      });
+      pending = pending.filter(cohort => cohort.count > 0);
+    }
+
+    days.push({
+      date: toKey(date),
+      forecast,
+      arrivals,
+      booked,
+      backlog: pending.reduce((sum, cohort) => sum + cohort.count, 0),
+      overdue: pending.filter(cohort => cohort.deadline < date).reduce((sum, cohort) => sum + cohort.count, 0),
+    });
+  });
+
+  const lastDate = calendar[calendar.length - 1].date;
+  const byUrgency = Object.fromEntries(URGENCY_LEVELS.map(urgency => [
+    urgency,
+    summariseStats(stats[urgency], pending.filter(cohort => cohort.urgency === urgency), lastDate),
+  ]));
+
+  const allWaits = {};
+  URGENCY_LEVELS.forEach(urgency => {
+    Object.entries(stats[urgency].waits).forEach(([wait, count]) => {
+      allWaits[wait] = (allWaits[wait] || 0) + count;
+    });
+  });
+  const totals = summariseStats(
+    URGENCY_LEVELS.reduce((sum, urgency) => ({
+      requests: sum.requests + stats[urgency].requests,
+      booked: sum.booked + stats[urgency].booked,
+      bookedLate: sum.bookedLate + stats[urgency].bookedLate,
+      waits: allWaits,
+    }), emptyUrgencyStats()),
+    pending,
+    lastDate
+  );
+  const peak = days.reduce((max, day) => (day.backlog > max.backlog ? day : max), days[0]);
+  totals.peakBacklog = peak.backlog;
+  totals.peakBacklogDate = peak.backlog > 0 ? peak.date : null;
+  totals.endBacklog = days[days.length - 1].backlog;
+
+  return {
+    days,
+    byUrgency,
+    totals,
+    startDate: days[0].date,
+    endDate: days[days.length - 1].date,
+    forecastStartDate: days.find(day => day.forecast)?.date || null,
+  };
+};
@@ -2,6 +2,8 @@
  * CAIP Analysis Prompt Builder
  *
  * Builds the prompt for AI analysis of GP practice demand and capacity metrics.
+ * The browser builds a structured payload (values, national percentiles and
+ * history); /api/analyze renders the prompt from it server-side.
  * Includes helpers for calculating percentiles and trends.
  */
 
@@ -274,8 +276,55 @@ TRENDS (direction and scale over time; interpret cautiously where telephony data
  */
 export const CAIP_ANALYSIS_PROMPT_TEMPLATE = CAIP_SYSTEM_PROMPT + '\n' + CAIP_USER_PROMPT_TEMPLATE;
 
+// Current prompt version - increment when prompt changes significantly
+// v1.0 - Initial release
+// v2.0 - Added practice model detection (Traditional/Hybrid/Total Triage),
+//        GP-only metrics, same-day booking context-dependent interpretation
+// v2.1 - Structured findings block after the report (see analysisFindings.js)
+export const CAIP_PROMPT_VERSION = '2.1';
+
+// Metric keys carried in the /api/analyze payload (values, percentiles and history)
+export const CAIP_METRIC_KEYS = [
+  'gpApptsPerDemand',
+  'gpApptsPer1000',
+  'gpMedOcPctPerDay',
+  'gpApptPctPerDay',
+  'nonGpClinicalPctPerDay',
+  'dnaRatePct',
+  'sameDayBookingPct',
+  'inboundCallsPer1000',
+  'answeredCallsPer1000',
+  'missedCallsPer1000',
+  'missedCallRatePct',
+  'ocPer1000',
+  'ocMedicalPct',
+  'patientsPerGpWte',
+  'patientsPerClinicalWte',
+];
+
+// Display names for CAIP metric keys (finding cards, exports)
+export const CAIP_METRIC_LABELS = {
+  gpApptsPerDemand: 'GP appointments per demand',
+  gpApptsPer1000: 'GP appointments per 1000 patients',
+  gpMedOcPctPerDay: '% population with GP appt or medical OC per day',
+  gpApptPctPerDay: '% population with GP appt per day',
+  nonGpClinicalPctPerDay: 'Non-GP clinical activity per day',
+  dnaRatePct: 'DNA rate',
+  sameDayBookingPct: 'Same-day booking %',
+  inboundCallsPer1000: 'Inbound calls per 1000',
+  answeredCallsPer1000: 'Answered calls per 1000',
+  missedCallsPer1000: 'Missed calls per 1000',
+  missedCallRatePct: 'Missed call rate',
+  ocPer1000: 'Online consultations per 1000',
+  ocMedicalPct: '% medical online consultations',
+  patientsPerGpWte: 'Patients per GP WTE',
+  patientsPerClinicalWte: 'Patients per clinical WTE',
+};
+
 /**
- * Build the complete CAIP analysis prompt with all metrics filled in
+ * Build the structured CAIP analysis payload for /api/analyze
+ * Percentiles are worked out here against the national arrays, so only the
+ * practice's own values, percentile positions and history are sent.
  *
  * @param {Object} params
  * @param {string} params.practiceName - Name of the practice
@@ -287,12 +336,9 @@ export const CAIP_ANALYSIS_PROMPT_TEMPLATE = CAIP_SYSTEM_PROMPT + '\n' + CAIP_US
  * @param {boolean} params.hasTelephonyData - Whether telephony data is available
  * @param {boolean} params.hasOCData - Whether online consultation data is available
  * @param {boolean} params.hasWorkforceData - Whether workforce data is available
- * @returns {string} The complete prompt with all placeholders filled
+ * @returns {Object} { kind, practice, availability, metrics, benchmarks, history }
  */
-/**
- * Build the user prompt portion with practice-specific data filled in
- */
-export function buildCAIPUserPrompt({
+export function buildCAIPAnalysisPayload({
   practiceName,
   listSize,
   metrics,
@@ -303,49 +349,108 @@ export function buildCAIPUserPrompt({
   hasOCData = true,
   hasWorkforceData = false,
 }) {
+  const hasTelephonyVolumes = hasTelephonyData && metrics?.inboundCalls && listSize;
+  const hasOCVolumes = hasOCData && metrics?.ocSubmissions && listSize;
+  const hasWorkforce = hasWorkforceData && workforceMetrics;
+
+  // [value, national array key, historical key]
+  const sources = {
+    gpApptsPerDemand: [metrics?.gpApptsPerCall, 'gpApptsPerCall', 'gpApptsPerCall'],
+    gpApptsPer1000: [metrics?.gpApptsPer1000, 'gpApptsPer1000', 'gpApptsPer1000'],
+    gpMedOcPctPerDay: [metrics?.gpApptOrOCPerDayPct, 'gpApptOrOCPerDayPct', 'gpApptOrOCPerDayPct'],
+    gpApptPctPerDay: [metrics?.gpApptPerDayPct, 'gpApptPerDayPct', 'gpApptPerDayPct'],
+    nonGpClinicalPctPerDay: [metrics?.otherApptPerDayPct, 'otherApptPerDayPct', 'otherApptPerDayPct'],
+    dnaRatePct: [metrics?.dnaPct, 'dnaPct', 'dnaPct'],
+    sameDayBookingPct: [metrics?.sameDayPct, 'sameDayPct', 'sameDayPct'],
+    inboundCallsPer1000: [hasTelephonyVolumes ? (metrics.inboundCalls / listSize) * 1000 : null, 'inboundCallsPer1000', 'inboundCallsPer1000'],
+    answeredCallsPer1000: [hasTelephonyVolumes ? (metrics.answeredCalls / listSize) * 1000 : null, 'answeredCallsPer1000', null],
+    missedCallsPer1000: [hasTelephonyData ? metrics?.missedCallsPer1000 : null, 'missedCallsPer1000', null],
+    missedCallRatePct: [hasTelephonyData ? metrics?.missedCallPct : null, 'missedCallPct', 'missedCallPct'],
+    ocPer1000: [hasOCVolumes ? (metrics.ocSubmissions / listSize) * 1000 : null, 'ocPer1000', 'ocPer1000'],
+    ocMedicalPct: [hasOCVolumes ? ((metrics.ocClinicalSubmissions || 0) / metrics.ocSubmissions) * 100 : null, 'ocMedicalPct', null],
+    patientsPerGpWte: [hasWorkforce ? workforceMetrics.patientsPerGpWte : null, 'patientsPerGpWte', 'patientsPerGpWte'],
+    patientsPerClinicalWte: [hasWorkforce ? workforceMetrics.patientsPerClinicalWte : null, 'patientsPerClinicalWte', 'patientsPerClinicalWte'],
+  };
+
+  const payload = {
+    kind: 'caip-national',
+    practice: { name: practiceName || 'Unknown Practice', listSize: listSize || null },
+    availability: {
+      telephony: Boolean(hasTelephonyData),
+      onlineConsultations: Boolean(hasOCData),
+      workforce: Boolean(hasWorkforce),
+    },
+    metrics: {},
+    benchmarks: {},
+    history: {},
+  };
+
+  Object.entries(sources).forEach(([key, [value, nationalKey, historyKey]]) => {
+    const hasValue = value != null && !isNaN(value);
+    payload.metrics[key] = hasValue ? value : null;
+    payload.benchmarks[key] = hasValue ? calculatePercentile(value, nationalArrays?.[nationalKey]) : null;
+    if (historyKey) {
+      payload.history[key] = (historicalMetrics?.[historyKey] || []).filter(v => v != null && !isNaN(v));
+    }
+  });
+
+  return payload;
+}
+
+/**
+ * Render the user prompt from a CAIP analysis payload (see buildCAIPAnalysisPayload)
+ * Runs server-side in /api/analyze
+ */
+export function renderCAIPUserPrompt({ practice, availability, metrics, benchmarks, history }) {
   let prompt = CAIP_USER_PROMPT_TEMPLATE;
+  const { telephony, onlineConsultations, workforce } = availability;
 
   // Build data availability notes
   const availabilityNotes = [];
-  if (!hasTelephonyData) {
+  if (!telephony) {
     availabilityNotes.push('- Note: Telephony data is not available for this practice');
   }
-  if (!hasOCData) {
+  if (!onlineConsultations) {
     availabilityNotes.push('- Note: Online consultation data is not available for this practice');
   }
-  if (!hasWorkforceData) {
+  if (!workforce) {
     availabilityNotes.push('- Note: Workforce data is not available for this practice');
   }
 
   // Replace basic context
-  prompt = prompt.replace('{{PRACTICE_NAME}}', practiceName || 'Unknown Practice');
-  prompt = prompt.replace('{{LIST_SIZE}}', listSize?.toLocaleString() || 'Unknown');
+  prompt = prompt.replace('{{PRACTICE_NAME}}', practice.name || 'Unknown Practice');
+  prompt = prompt.replace('{{LIST_SIZE}}', practice.listSize?.toLocaleString() || 'Unknown');
   prompt = prompt.replace('{{DATA_AVAILABILITY_NOTES}}', availabilityNotes.join('\n'));
 
-  // Calculate and replace appointment & demand metrics
-  const gpApptsPerDemand = metrics?.gpApptsPerCall;
-  prompt = prompt.replace('{{GP_APPTS_PER_DEMAND}}', formatValue(gpApptsPerDemand));
-  prompt = prompt.replace('{{GP_APPTS_PER_DEMAND_PCTL}}',
-    formatPercentile(calculatePercentile(gpApptsPerDemand, nationalArrays?.gpApptsPerCall)));
-
-  const gpApptsPer1000 = metrics?.gpApptsPer1000;
-  prompt = prompt.replace('{{GP_APPTS_PER_1000}}', formatValue(gpApptsPer1000));
-  prompt = prompt.replace('{{GP_APPTS_PER_1000_PCTL}}',
-    formatPercentile(calculatePercentile(gpApptsPer1000, nationalArrays?.gpApptsPer1000)));
-
-  const gpMedOcPctPerDay = metrics?.gpApptOrOCPerDayPct;
-  prompt = prompt.replace('{{GP_MED_OC_PCT_PER_DAY}}', formatValue(gpMedOcPctPerDay));
-  prompt = prompt.replace('{{GP_MED_OC_PCT_PER_DAY_PCTL}}',
-    formatPercentile(calculatePercentile(gpMedOcPctPerDay, nationalArrays?.gpApptOrOCPerDayPct)));
+  // Metric values and national percentile positions
+  const placeholders = {
+    gpApptsPerDemand: 'GP_APPTS_PER_DEMAND',
+    gpApptsPer1000: 'GP_APPTS_PER_1000',
+    gpMedOcPctPerDay: 'GP_MED_OC_PCT_PER_DAY',
+    gpApptPctPerDay: 'GP_APPT_PCT_PER_DAY',
+    nonGpClinicalPctPerDay: 'NON_GP_CLINICAL_PCT_PER_DAY',
+    dnaRatePct: 'DNA_RATE_PCT',
+    sameDayBookingPct: 'SAME_DAY_BOOKING_PCT',
+    inboundCallsPer1000: 'INBOUND_CALLS_PER_1000',
+    answeredCallsPer1000: 'ANSWERED_CALLS_PER_1000',
+    missedCallsPer1000: 'MISSED_CALLS_PER_1000',
+    missedCallRatePct: 'MISSED_CALL_RATE_PCT',
+    ocPer1000: 'OC_PER_1000',
+    ocMedicalPct: 'OC_MEDICAL_PCT',
+    patientsPerGpWte: 'PATIENTS_PER_GP_WTE',
+    patientsPerClinicalWte: 'PATIENTS_PER_CLINICAL_WTE',
+  };
+  const wholeNumberKeys = ['patientsPerGpWte', 'patientsPerClinicalWte'];
 
-  // GP-only metric (excluding medical online consultations)
-  const gpApptPctPerDay = metrics?.gpApptPerDayPct;
-  prompt = prompt.replace('{{GP_APPT_PCT_PER_DAY}}', formatValue(gpApptPctPerDay));
-  prompt = prompt.replace('{{GP_APPT_PCT_PER_DAY_PCTL}}',
-    formatPercentile(calculatePercentile(gpApptPctPerDay, nationalArrays?.gpApptPerDayPct)));
+  Object.entries(placeholders).forEach(([key, placeholder]) => {
+    prompt = prompt.replace(`{{${placeholder}}}`, formatValue(metrics[key], wholeNumberKeys.includes(key) ? 0 : 2));
+    prompt = prompt.replace(`{{${placeholder}_PCTL}}`, formatPercentile(benchmarks[key]));
+  });
 
   // Calculate Practice Model Context
   // Medical OC contribution = % increase from medical OC over GP-only appointments
+  const gpApptPctPerDay = metrics.gpApptPctPerDay;
+  const gpMedOcPctPerDay = metrics.gpMedOcPctPerDay;
   const medicalOCContributionPct = gpApptPctPerDay > 0 && gpMedOcPctPerDay > 0
     ? ((gpMedOcPctPerDay - gpApptPctPerDay) / gpApptPctPerDay) * 100
     : null;
@@ -371,136 +476,32 @@ export function buildCAIPUserPrompt({
   prompt = prompt.replace('{{MEDICAL_OC_CONTRIBUTION_PCT}}', medicalOCContributionPct !== null ? medicalOCContributionPct.toFixed(1) : 'N/A');
   prompt = prompt.replace('{{PRACTICE_MODEL_DESCRIPTION}}', practiceModelDescription);
 
-  const nonGpClinicalPctPerDay = metrics?.otherApptPerDayPct;
-  prompt = prompt.replace('{{NON_GP_CLINICAL_PCT_PER_DAY}}', formatValue(nonGpClinicalPctPerDay));
-  prompt = prompt.replace('{{NON_GP_CLINICAL_PCT_PER_DAY_PCTL}}',
-    formatPercentile(calculatePercentile(nonGpClinicalPctPerDay, nationalArrays?.otherApptPerDayPct)));
-
-  const dnaRatePct = metrics?.dnaPct;
-  prompt = prompt.replace('{{DNA_RATE_PCT}}', formatValue(dnaRatePct));
-  prompt = prompt.replace('{{DNA_RATE_PCT_PCTL}}',
-    formatPercentile(calculatePercentile(dnaRatePct, nationalArrays?.dnaPct)));
-
-  const sameDayBookingPct = metrics?.sameDayPct;
-  prompt = prompt.replace('{{SAME_DAY_BOOKING_PCT}}', formatValue(sameDayBookingPct));
-  prompt = prompt.replace('{{SAME_DAY_BOOKING_PCT_PCTL}}',
-    formatPercentile(calculatePercentile(sameDayBookingPct, nationalArrays?.sameDayPct)));
-
-  // Calculate and replace telephony metrics
-  if (hasTelephonyData && metrics?.inboundCalls && listSize) {
-    const inboundCallsPer1000 = (metrics.inboundCalls / listSize) * 1000;
-    prompt = prompt.replace('{{INBOUND_CALLS_PER_1000}}', formatValue(inboundCallsPer1000));
-    prompt = prompt.replace('{{INBOUND_CALLS_PER_1000_PCTL}}',
-      formatPercentile(calculatePercentile(inboundCallsPer1000, nationalArrays?.inboundCallsPer1000)));
-
-    const answeredCallsPer1000 = (metrics.answeredCalls / listSize) * 1000;
-    prompt = prompt.replace('{{ANSWERED_CALLS_PER_1000}}', formatValue(answeredCallsPer1000));
-    prompt = prompt.replace('{{ANSWERED_CALLS_PER_1000_PCTL}}',
-      formatPercentile(calculatePercentile(answeredCallsPer1000, nationalArrays?.answeredCallsPer1000)));
-  } else {
-    prompt = prompt.replace('{{INBOUND_CALLS_PER_1000}}', 'N/A');
-    prompt = prompt.replace('{{INBOUND_CALLS_PER_1000_PCTL}}', 'N/A');
-    prompt = prompt.replace('{{ANSWERED_CALLS_PER_1000}}', 'N/A');
-    prompt = prompt.replace('{{ANSWERED_CALLS_PER_1000_PCTL}}', 'N/A');
-  }
-
-  const missedCallsPer1000 = metrics?.missedCallsPer1000;
-  prompt = prompt.replace('{{MISSED_CALLS_PER_1000}}',
-    hasTelephonyData ? formatValue(missedCallsPer1000) : 'N/A');
-  prompt = prompt.replace('{{MISSED_CALLS_PER_1000_PCTL}}',
-    hasTelephonyData ? formatPercentile(calculatePercentile(missedCallsPer1000, nationalArrays?.missedCallsPer1000)) : 'N/A');
-
-  const missedCallRatePct = metrics?.missedCallPct;
-  prompt = prompt.replace('{{MISSED_CALL_RATE_PCT}}',
-    hasTelephonyData ? formatValue(missedCallRatePct) : 'N/A');
-  prompt = prompt.replace('{{MISSED_CALL_RATE_PCT_PCTL}}',
-    hasTelephonyData ? formatPercentile(calculatePercentile(missedCallRatePct, nationalArrays?.missedCallPct)) : 'N/A');
-
-  // Calculate and replace online consultation metrics
-  if (hasOCData && metrics?.ocSubmissions && listSize) {
-    const ocPer1000 = (metrics.ocSubmissions / listSize) * 1000;
-    prompt = prompt.replace('{{OC_PER_1000}}', formatValue(ocPer1000));
-    prompt = prompt.replace('{{OC_PER_1000_PCTL}}',
-      formatPercentile(calculatePercentile(ocPer1000, nationalArrays?.ocPer1000)));
-
-    const ocMedicalPct = metrics.ocSubmissions > 0
-      ? ((metrics.ocClinicalSubmissions || 0) / metrics.ocSubmissions) * 100
-      : null;
-    prompt = prompt.replace('{{OC_MEDICAL_PCT}}', formatValue(ocMedicalPct));
-    prompt = prompt.replace('{{OC_MEDICAL_PCT_PCTL}}',
-      formatPercentile(calculatePercentile(ocMedicalPct, nationalArrays?.ocMedicalPct)));
-  } else {
-    prompt = prompt.replace('{{OC_PER_1000}}', 'N/A');
-    prompt = prompt.replace('{{OC_PER_1000_PCTL}}', 'N/A');
-    prompt = prompt.replace('{{OC_MEDICAL_PCT}}', 'N/A');
-    prompt = prompt.replace('{{OC_MEDICAL_PCT_PCTL}}', 'N/A');
-  }
-
-  // Calculate and replace workforce metrics
-  if (hasWorkforceData && workforceMetrics) {
-    const patientsPerGpWte = workforceMetrics.patientsPerGpWte;
-    prompt = prompt.replace('{{PATIENTS_PER_GP_WTE}}', formatValue(patientsPerGpWte, 0));
-    prompt = prompt.replace('{{PATIENTS_PER_GP_WTE_PCTL}}',
-      formatPercentile(calculatePercentile(patientsPerGpWte, nationalArrays?.patientsPerGpWte)));
-
-    const patientsPerClinicalWte = workforceMetrics.patientsPerClinicalWte;
-    prompt = prompt.replace('{{PATIENTS_PER_CLINICAL_WTE}}', formatValue(patientsPerClinicalWte, 0));
-    prompt = prompt.replace('{{PATIENTS_PER_CLINICAL_WTE_PCTL}}',
-      formatPercentile(calculatePercentile(patientsPerClinicalWte, nationalArrays?.patientsPerClinicalWte)));
-  } else {
-    prompt = prompt.replace('{{PATIENTS_PER_GP_WTE}}', 'N/A');
-    prompt = prompt.replace('{{PATIENTS_PER_GP_WTE_PCTL}}', 'N/A');
-    prompt = prompt.replace('{{PATIENTS_PER_CLINICAL_WTE}}', 'N/A');
-    prompt = prompt.replace('{{PATIENTS_PER_CLINICAL_WTE_PCTL}}', 'N/A');
-  }
-
   // Calculate and replace trend values
-  prompt = prompt.replace('{{TREND_GP_APPTS_PER_DEMAND}}',
-    calculateTrend(gpApptsPerDemand, historicalMetrics?.gpApptsPerCall));
-  prompt = prompt.replace('{{TREND_GP_APPTS_PER_1000}}',
-    calculateTrend(gpApptsPer1000, historicalMetrics?.gpApptsPer1000));
-  prompt = prompt.replace('{{TREND_GP_APPT_PCT_PER_DAY}}',
-    calculateTrend(gpApptPctPerDay, historicalMetrics?.gpApptPerDayPct));
-  prompt = prompt.replace('{{TREND_GP_MED_OC_PCT_PER_DAY}}',
-    calculateTrend(gpMedOcPctPerDay, historicalMetrics?.gpApptOrOCPerDayPct));
-  prompt = prompt.replace('{{TREND_NON_GP_CLINICAL_PCT_PER_DAY}}',
-    calculateTrend(nonGpClinicalPctPerDay, historicalMetrics?.otherApptPerDayPct));
-  prompt = prompt.replace('{{TREND_DNA_RATE_PCT}}',
-    calculateTrend(dnaRatePct, historicalMetrics?.dnaPct));
-  prompt = prompt.replace('{{TREND_SAME_DAY_BOOKING_PCT}}',
-    calculateTrend(sameDayBookingPct, historicalMetrics?.sameDayPct));
+  const trend = (key) => calculateTrend(metrics[key], history[key]);
+  prompt = prompt.replace('{{TREND_GP_APPTS_PER_DEMAND}}', trend('gpApptsPerDemand'));
+  prompt = prompt.replace('{{TREND_GP_APPTS_PER_1000}}', trend('gpApptsPer1000'));
+  prompt = prompt.replace('{{TREND_GP_APPT_PCT_PER_DAY}}', trend('gpApptPctPerDay'));
+  prompt = prompt.replace('{{TREND_GP_MED_OC_PCT_PER_DAY}}', trend('gpMedOcPctPerDay'));
+  prompt = prompt.replace('{{TREND_NON_GP_CLINICAL_PCT_PER_DAY}}', trend('nonGpClinicalPctPerDay'));
+  prompt = prompt.replace('{{TREND_DNA_RATE_PCT}}', trend('dnaRatePct'));
+  prompt = prompt.replace('{{TREND_SAME_DAY_BOOKING_PCT}}', trend('sameDayBookingPct'));
 
   // Telephony trends
-  if (hasTelephonyData) {
-    const inboundCallsPer1000 = metrics?.inboundCalls && listSize
-      ? (metrics.inboundCalls / listSize) * 1000
-      : null;
-    prompt = prompt.replace('{{TREND_INBOUND_CALLS_PER_1000}}',
-      calculateTrend(inboundCallsPer1000, historicalMetrics?.inboundCallsPer1000));
-    prompt = prompt.replace('{{TREND_MISSED_CALL_RATE_PCT}}',
-      calculateTrend(missedCallRatePct, historicalMetrics?.missedCallPct));
+  if (telephony) {
+    prompt = prompt.replace('{{TREND_INBOUND_CALLS_PER_1000}}', trend('inboundCallsPer1000'));
+    prompt = prompt.replace('{{TREND_MISSED_CALL_RATE_PCT}}', trend('missedCallRatePct'));
   } else {
     prompt = prompt.replace('{{TREND_INBOUND_CALLS_PER_1000}}', 'Insufficient data (telephony data limited)');
     prompt = prompt.replace('{{TREND_MISSED_CALL_RATE_PCT}}', 'Insufficient data (telephony data limited)');
   }
 
   // OC trends
-  if (hasOCData) {
-    const ocPer1000 = metrics?.ocSubmissions && listSize
-      ? (metrics.ocSubmissions / listSize) * 1000
-      : null;
-    prompt = prompt.replace('{{TREND_OC_PER_1000}}',
-      calculateTrend(ocPer1000, historicalMetrics?.ocPer1000));
-  } else {
-    prompt = prompt.replace('{{TREND_OC_PER_1000}}', 'Insufficient data');
-  }
+  prompt = prompt.replace('{{TREND_OC_PER_1000}}', onlineConsultations ? trend('ocPer1000') : 'Insufficient data');
 
   // Workforce trends
-  if (hasWorkforceData && workforceMetrics) {
-    prompt = prompt.replace('{{TREND_PATIENTS_PER_GP_WTE}}',
-      calculateTrend(workforceMetrics.patientsPerGpWte, historicalMetrics?.patientsPerGpWte));
-    prompt = prompt.replace('{{TREND_PATIENTS_PER_CLINICAL_WTE}}',
-      calculateTrend(workforceMetrics.patientsPerClinicalWte, historicalMetrics?.patientsPerClinicalWte));
+  if (workforce) {
+    prompt = prompt.replace('{{TREND_PATIENTS_PER_GP_WTE}}', trend('patientsPerGpWte'));
+    prompt = prompt.replace('{{TREND_PATIENTS_PER_CLINICAL_WTE}}', trend('patientsPerClinicalWte'));
   } else {
     prompt = prompt.replace('{{TREND_PATIENTS_PER_GP_WTE}}', 'Insufficient data');
     prompt = prompt.replace('{{TREND_PATIENTS_PER_CLINICAL_WTE}}', 'Insufficient data');
@@ -509,6 +510,13 @@ export function buildCAIPUserPrompt({
   return prompt;
 }
 
+/**
+ * Build the user prompt portion with practice-specific data filled in
+ */
+export function buildCAIPUserPrompt(params) {
+  return renderCAIPUserPrompt(buildCAIPAnalysisPayload(params));
+}
+
 /**
  * Build both system and user prompts for OpenAI (split for prompt caching)
  * System prompt is static and will be cached by OpenAI across requests.
@@ -529,6 +537,8 @@ export function buildCAIPAnalysisPrompt(params) {
 }
 
 export default {
+  buildCAIPAnalysisPayload,
+  renderCAIPUserPrompt,
   buildCAIPAnalysisPrompt,
   buildCAIPPrompts,
   buildCAIPUserPrompt,
@@ -9,12 +9,10 @@
 
 import { doc, getDoc, setDoc, getDocs, deleteDoc, Timestamp, collection } from 'firebase/firestore';
 import { db } from '../firebase/config';
+import { CAIP_PROMPT_VERSION } from './caipAnalysisPrompt';
 
-// Current prompt version - increment when prompt changes significantly
-// v1.0 - Initial release
-// v2.0 - Added practice model detection (Traditional/Hybrid/Total Triage),
-//        GP-only metrics, same-day booking context-dependent interpretation
-const PROMPT_VERSION = '2.0';
+// Analyses saved under an older prompt version are flagged as outdated
+const PROMPT_VERSION = CAIP_PROMPT_VERSION;
 export const ENTIRE_TIMEFRAME_ANALYSIS_KEY = 'entire_timeframe';
 
 /**
@@ -38,6 +36,8 @@ function getDocumentId(odsCode, cacheKey) {
  * @param {string} params.analysis - The AI-generated analysis text
  * @param {string} [params.cacheKey] - Optional cache key override
  * @param {string} [params.scope] - Optional analysis scope metadata
+ * @param {Array} [params.findings] - Structured findings returned with the analysis
+ * @param {Array} [params.findingsHistory] - Findings from earlier analyses (see buildFindingsHistory)
  * @returns {Promise<boolean>} True if saved successfully
  */
 export async function saveAnalysis({
@@ -47,6 +47,8 @@ export async function saveAnalysis({
   analysis,
   cacheKey = month,
   scope = 'month',
+  findings = [],
+  findingsHistory = [],
 }) {
   try {
     const docId = getDocumentId(odsCode, cacheKey);
@@ -59,6 +61,8 @@ export async function saveAnalysis({
       cacheKey,
       scope,
       analysis,
+      findings,
+      findingsHistory,
       generatedAt: Timestamp.now(),
       promptVersion: PROMPT_VERSION,
     });
@@ -96,6 +100,12 @@ export async function loadAnalysis(odsCode, month, cacheKey = month) {
         cacheKey: data.cacheKey || cacheKey,
         scope: data.scope || 'month',
         analysis: data.analysis,
+        // Analyses saved before structured findings existed have none
+        findings: data.findings || [],
+        findingsHistory: (data.findingsHistory || []).map(entry => ({
+          ...entry,
+          generatedAt: entry.generatedAt?.toDate?.() || entry.generatedAt || null,
+        })),
         generatedAt: data.generatedAt?.toDate() || null,
         promptVersion: data.promptVersion,
       };
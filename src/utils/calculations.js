@@ -1,29 +1,12 @@
+import { forecastSeries } from './forecasting.js';
+
 // Calculate linear regression forecast for next N periods
-// Uses least squares method to find best-fit line through historical data
-// Returns array of predicted values for demand/capacity planning
+// Straight-line trend only - use forecastSeries (forecasting.js) for
+// seasonal models and prediction intervals
 export const calculateLinearForecast = (dataPoints, periodsToForecast = 2) => {
   if (!dataPoints || dataPoints.length < 3) return [];
-
-  const n = dataPoints.length;
-  let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
-
-  dataPoints.forEach((point, i) => {
-    sumX += i;
-    sumY += point;
-    sumXY += i * point;
-    sumXX += i * i;
-  });
-
-  const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-  const intercept = (sumY - slope * sumX) / n;
-
-  const forecast = [];
-  for (let i = 1; i <= periodsToForecast; i++) {
-    const nextIndex = n - 1 + i;
-    const predictedValue = slope * nextIndex + intercept;
-    forecast.push(Math.max(0, Math.round(predictedValue)));
-  }
-  return forecast;
+  return forecastSeries(dataPoints, periodsToForecast, { model: 'linear' })
+    .forecasts.map(f => Math.round(f.value));
 };
 
 // Generate next N month names from a given month
@@ -294,35 +294,76 @@ export const extractChartData = (practices, metric, sortedMonths) => {
   });
 };
 
+// === LOCAL COMPARISON SETS ===
+
+// Same limit as a shared comparison set (see shareUtils.js)
+export const MAX_COMPARISON_PRACTICES = 15;
+
 /**
- * Find practices with similar list sizes to the selected practice.
- * Selects randomly from practices within ±30% population to provide variety.
- * @param {Object} selectedPractice - The practice to find similar ones for
- * @param {Array} allPractices - All available practices
- * @param {number} count - Number of similar practices to return (default 5)
- * @returns {Array} Array of randomly selected similar-sized practices
+ * Key for a practice that has no share ID (imported export or current dashboard)
+ * @param {Object} config - Dashboard config ({ odsCode, surgeryName })
+ * @returns {string} e.g. "local-C82040" or "local-high-street-surgery"
  */
-export const findSimilarPractices = (selectedPractice, allPractices, count = 5) => {
-  if (!selectedPractice || !allPractices?.length) return [];
+export const localPracticeKey = (config = {}) => {
+  const id = String(config.odsCode || config.surgeryName || 'practice').trim();
+  return `local-${id.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+};
 
-  const selectedOds = selectedPractice.odsCode || '';
-  const selectedPop = selectedPractice.listSize || 0;
+/**
+ * Shape a Demand & Capacity dashboard (restored export, share or the current session) as a
+ * comparison practice
+ * @param {Object} dashboard - { processedData, config }
+ * @param {Object} [options] - { shareId, source } where source is 'share', 'excel' or 'session'
+ * @returns {Object} { shareId, surgeryName, odsCode, population, config, processedData, source }
+ * @throws {Error} when the dashboard has no monthly data
+ */
+export const toComparisonPractice = (dashboard, options = {}) => {
+  const config = dashboard?.config || {};
+  const surgeryName = config.surgeryName || config.odsCode || 'Unknown Practice';
+  if (!dashboard?.processedData?.length) {
+    throw new Error(`${surgeryName} has no monthly data to compare.`);
+  }
 
-  if (!selectedPop || !selectedOds) return [];
+  return {
+    shareId: options.shareId || localPracticeKey(config),
+    surgeryName,
+    odsCode: config.odsCode || '',
+    population: Number(config.population) || undefined,
+    config,
+    processedData: dashboard.processedData,
+    source: options.source || (options.shareId ? 'share' : 'excel'),
+  };
+};
 
-  const lowerBound = selectedPop * 0.7;
-  const upperBound = selectedPop * 1.3;
+/**
+ * Build a comparison set kept on this device (see offlineStore.js) rather than in Firebase
+ * @param {Array} practices - Comparison practices from toComparisonPractice
+ * @param {string} [name] - Comparison name
+ * @returns {Object} { id, name, createdAt, practiceCount, practices }
+ * @throws {Error} with fewer than 2 or more than MAX_COMPARISON_PRACTICES practices, or duplicates
+ */
+export const createLocalComparison = (practices, name = '') => {
+  if (!Array.isArray(practices) || practices.length < 2) {
+    throw new Error('A comparison requires at least 2 practices.');
+  }
+  if (practices.length > MAX_COMPARISON_PRACTICES) {
+    throw new Error(`Maximum ${MAX_COMPARISON_PRACTICES} practices allowed in a comparison.`);
+  }
 
-  const candidates = allPractices.filter(p => {
-    const pop = p.listSize || 0;
-    return p.odsCode !== selectedOds && pop >= lowerBound && pop <= upperBound;
+  const seen = new Set();
+  practices.forEach(practice => {
+    if (seen.has(practice.shareId)) {
+      throw new Error(`${practice.surgeryName} has been added more than once.`);
+    }
+    seen.add(practice.shareId);
   });
 
-  // Shuffle candidates and pick `count` random ones
-  for (let i = candidates.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
-  }
-
-  return candidates.slice(0, count);
+  const createdAt = new Date();
+  return {
+    id: `${createdAt.getTime().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: name || `${practices.length} Practice Comparison`,
+    createdAt: createdAt.toISOString(),
+    practiceCount: practices.length,
+    practices,
+  };
 };
@@ -0,0 +1,163 @@
+/**
+ * Data Corrections
+ *
+ * Applies the corrections registry (src/data/corrections.js) to one month of
+ * practice records. Every national parser calls applyCorrections so ICB/PCN
+ * remaps and merger/succession links are handled the same way for appointments,
+ * telephony, online consultations and workforce.
+ */
+
+import { DATA_CORRECTIONS } from '../data/corrections.js';
+import { parseMonthString } from './workingDayCalendar.js';
+
+export const CORRECTION_TYPES = ['remap', 'merger', 'succession'];
+
+export const CORRECTION_DATASETS = ['appointments', 'telephony', 'onlineConsultations', 'workforce'];
+
+// Organisation fields a remap may overwrite (named the same by every parser)
+export const ORGANISATION_FIELDS = [
+  'pcnCode', 'pcnName', 'subICBCode', 'subICBName', 'icbCode', 'icbName', 'regionCode', 'regionName',
+];
+
+const MONTH_KEY_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// "February 2026" (or anything parseMonthString accepts) -> "2026-02", null if unparseable
+export const toMonthKey = (month) => {
+  const parsed = parseMonthString(month);
+  return parsed ? `${parsed.year}-${String(parsed.monthIndex + 1).padStart(2, '0')}` : null;
+};
+
+// Whether a remap applies in a month; merger/succession links hold for every month
+export const isCorrectionActive = (correction, month) => {
+  if (correction.type !== 'remap') return true;
+  const key = toMonthKey(month);
+  if (!key) return !correction.effectiveFrom && !correction.effectiveTo;
+  if (correction.effectiveFrom && key < correction.effectiveFrom) return false;
+  if (correction.effectiveTo && key > correction.effectiveTo) return false;
+  return true;
+};
+
+// Corrections relevant to a dataset and month
+export const getCorrections = ({ dataset, month }, corrections = DATA_CORRECTIONS) => corrections.filter(correction => (
+  (!correction.datasets || correction.datasets.includes(dataset)) && isCorrectionActive(correction, month)
+));
+
+/**
+ * Check registry entries, returning a list of problems (empty when valid)
+ * @param {Array} corrections - Registry entries (defaults to DATA_CORRECTIONS)
+ * @returns {string[]} Error messages prefixed with the entry id
+ */
+export function validateCorrections(corrections = DATA_CORRECTIONS) {
+  const errors = [];
+  const ids = new Set();
+
+  corrections.forEach((correction, index) => {
+    const label = correction.id || `#${index}`;
+    const error = (message) => errors.push(`${label}: ${message}`);
+
+    if (!correction.id) error('missing id');
+    else if (ids.has(correction.id)) error('duplicate id');
+    ids.add(correction.id);
+
+    if (!CORRECTION_TYPES.includes(correction.type)) error(`unknown type "${correction.type}"`);
+    if (!correction.odsCode) error('missing odsCode');
+    if (!correction.description) error('missing description');
+
+    ['effectiveFrom', 'effectiveTo'].forEach(field => {
+      if (correction[field] !== undefined && !MONTH_KEY_PATTERN.test(correction[field])) {
+        error(`${field} must be a YYYY-MM month`);
+      }
+    });
+    if (correction.effectiveFrom && correction.effectiveTo && correction.effectiveFrom > correction.effectiveTo) {
+      error('effectiveFrom is after effectiveTo');
+    }
+
+    (correction.datasets || []).filter(dataset => !CORRECTION_DATASETS.includes(dataset))
+      .forEach(dataset => error(`unknown dataset "${dataset}"`));
+
+    if (correction.type === 'remap') {
+      const fields = Object.keys(correction.set || {});
+      if (fields.length === 0) error('remap has no fields to set');
+      fields.filter(field => !ORGANISATION_FIELDS.includes(field))
+        .forEach(field => error(`cannot remap "${field}"`));
+    } else if (CORRECTION_TYPES.includes(correction.type)) {
+      if (!correction.successor) error(`${correction.type} has no successor`);
+      else if (correction.successor === correction.odsCode) error('successor is the practice itself');
+      if (!correction.effectiveFrom) error(`${correction.type} has no effectiveFrom month`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Apply the corrections registry to a month of practice records.
+ * Remaps overwrite organisation fields; mergers and successions leave the figures
+ * alone and link the record to the continuing practice (successor) so history can
+ * be followed across the change.
+ * @param {Array} practices - Practice records with odsCode
+ * @param {Object} context - { dataset, month }
+ * @param {Array} corrections - Registry entries (defaults to DATA_CORRECTIONS)
+ * @returns {{ practices: Array, applied: string[] }} Corrected copies and the ids that fired, in registry order
+ */
+export function applyCorrections(practices, { dataset, month }, corrections = DATA_CORRECTIONS) {
+  const byOdsCode = new Map();
+  getCorrections({ dataset, month }, corrections).forEach(correction => {
+    byOdsCode.set(correction.odsCode, [...(byOdsCode.get(correction.odsCode) || []), correction]);
+  });
+
+  const fired = new Set();
+  const corrected = practices.map(practice => {
+    const matches = byOdsCode.get(practice.odsCode);
+    if (!matches) return practice;
+
+    return matches.reduce((record, correction) => {
+      fired.add(correction.id);
+      if (correction.type === 'remap') {
+        return { ...record, ...correction.set };
+      }
+      return {
+        ...record,
+        successor: { odsCode: correction.successor, type: correction.type, effectiveFrom: correction.effectiveFrom },
+      };
+    }, practice);
+  });
+
+  return {
+    practices: corrected,
+    applied: corrections.filter(correction => fired.has(correction.id)).map(correction => correction.id),
+  };
+}
+
+/**
+ * Which months each registry correction fired for, from the preprocess manifest
+ * (public/data/manifest.json source entries list the corrections they applied)
+ * @param {Object} manifest - Parsed manifest.json
+ * @param {Array} corrections - Registry entries (defaults to DATA_CORRECTIONS)
+ * @returns {Array} [{ correction, datasets: { [dataset]: months[] } }] in registry order;
+ *   ids found in the manifest but no longer in the registry are included with a bare correction
+ */
+export function summariseAppliedCorrections(manifest, corrections = DATA_CORRECTIONS) {
+  const fired = {};
+  Object.values(manifest?.sources || {}).forEach(entry => {
+    (entry.corrections || []).forEach(id => {
+      fired[id] ??= {};
+      fired[id][entry.dataset] ??= [];
+      if (entry.month && !fired[id][entry.dataset].includes(entry.month)) {
+        fired[id][entry.dataset].push(entry.month);
+      }
+    });
+  });
+
+  const byMonth = (a, b) => String(toMonthKey(a)).localeCompare(String(toMonthKey(b)));
+  const known = new Set(corrections.map(correction => correction.id));
+  return [
+    ...corrections,
+    ...Object.keys(fired).filter(id => !known.has(id)).sort().map(id => ({ id })),
+  ].map(correction => ({
+    correction,
+    datasets: Object.fromEntries(
+      Object.entries(fired[correction.id] || {}).map(([dataset, months]) => [dataset, [...months].sort(byMonth)])
+    ),
+  }));
+}
@@ -3,22 +3,8 @@
  * Combines appointment, telephony, and online consultation data
  */
 
-// Working days in each month (approximate, excluding weekends)
-// GP practices typically operate Monday-Friday
-export const WORKING_DAYS_IN_MONTH = {
-  'January': 22,    // ~22 working days
-  'February': 20,   // ~20 working days
-  'March': 21,      // ~21 working days
-  'April': 21,      // ~21 working days (accounting for Easter varies)
-  'May': 21,        // ~21 working days (accounting for bank holidays)
-  'June': 21,       // ~21 working days
-  'July': 23,       // ~23 working days
-  'August': 21,     // ~21 working days (bank holiday)
-  'September': 21,  // ~21 working days
-  'October': 22,    // ~22 working days
-  'November': 21,   // ~21 working days
-  'December': 20,   // ~20 working days (Christmas)
-};
+import { forecastSeries, linearRegression } from './forecasting.js';
+import { getWorkingDaysForMonth } from './workingDayCalendar.js';
 
 // Calendar days (kept for reference)
 export const CALENDAR_DAYS_IN_MONTH = {
@@ -36,17 +22,18 @@ export const CALENDAR_DAYS_IN_MONTH = {
   'December': 31,
 };
 
-// Alias for backward compatibility
-export const DAYS_IN_MONTH = WORKING_DAYS_IN_MONTH;
-
 /**
  * Get working days in a month from a month string like "November 2025"
- * Uses working days (~20-22) as GP practices operate Monday-Friday
+ * Uses the England & Wales calendar (Monday-Friday excluding bank holidays);
+ * a month name without a year is taken as the current year
+ * @param {string} monthString - e.g. "November 2025", "Nov-25"
+ * @param {Array<string>} [closureDays] - Practice closure days as ISO dates
  */
-export function getDaysInMonth(monthString) {
+export function getDaysInMonth(monthString, closureDays = []) {
   if (!monthString) return 21; // Default to ~21 working days
-  const monthName = monthString.split(' ')[0];
-  return WORKING_DAYS_IN_MONTH[monthName] || 21;
+  const workingDays = getWorkingDaysForMonth(monthString, closureDays)
+    ?? getWorkingDaysForMonth(`${monthString.split(' ')[0]} ${new Date().getFullYear()}`, closureDays);
+  return workingDays ?? 21;
 }
 
 /**
@@ -550,64 +537,21 @@ export function getMetricConfig(metricId) {
 }
 
 /**
- * Linear regression for forecasting
+ * Linear regression for forecasting (shared implementation in forecasting.js)
  */
-export function linearRegression(data) {
-  const n = data.length;
-  if (n < 2) return { slope: 0, intercept: data[0]?.value || 0, r2: 0 };
-
-  let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0, sumY2 = 0;
-
-  data.forEach((point, i) => {
-    const x = i;
-    const y = point.value || point;
-    sumX += x;
-    sumY += y;
-    sumXY += x * y;
-    sumX2 += x * x;
-    sumY2 += y * y;
-  });
-
-  const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-  const intercept = (sumY - slope * sumX) / n;
-
-  // Calculate R²
-  const yMean = sumY / n;
-  let ssTotal = 0, ssResidual = 0;
-
-  data.forEach((point, i) => {
-    const y = point.value || point;
-    const yPredicted = slope * i + intercept;
-    ssTotal += Math.pow(y - yMean, 2);
-    ssResidual += Math.pow(y - yPredicted, 2);
-  });
-
-  const r2 = ssTotal > 0 ? 1 - (ssResidual / ssTotal) : 0;
-
-  return { slope, intercept, r2 };
-}
+export { linearRegression };
 
 /**
  * Forecast future values based on historical data
+ * Uses the shared forecasting module, which picks a seasonal model once
+ * 12+ months exist; trend/monthlyChange/r2 still describe the linear fit
  */
 export function forecastValues(historicalData, periodsAhead = 3) {
   if (!historicalData || historicalData.length < 3) {
-    return { forecasts: [], trend: 'insufficient_data', monthlyChange: 0, r2: 0 };
+    return { forecasts: [], trend: 'insufficient_data', monthlyChange: 0, r2: 0, model: null };
   }
 
-  const { slope, intercept, r2 } = linearRegression(historicalData);
-  const n = historicalData.length;
-
-  const forecasts = [];
-  for (let i = 1; i <= periodsAhead; i++) {
-    const futureIndex = n - 1 + i;
-    const predicted = Math.max(0, slope * futureIndex + intercept);
-    forecasts.push({
-      periodOffset: i,
-      value: predicted,
-      confidence: r2,
-    });
-  }
+  const { forecasts, slope, r2, model, modelLabel, level } = forecastSeries(historicalData, periodsAhead);
 
   // Determine trend direction
   let trend = 'stable';
@@ -616,10 +560,13 @@ export function forecastValues(historicalData, periodsAhead = 3) {
   }
 
   return {
-    forecasts,
+    forecasts: forecasts.map(f => ({ ...f, confidence: r2 })),
     trend,
     monthlyChange: slope,
     r2,
+    model,
+    modelLabel,
+    level,
   };
 }
 
@@ -1,4 +1,9 @@
 import * as XLSX from 'xlsx';
+import { getWasteAttribution } from './localDemandEngine';
+import { normaliseClosureDays } from './workingDayCalendar';
+import { URGENCY_LEVELS, normaliseUrgencyRules } from './urgencyRules';
+import { rotaTemplateRows } from './rotaOptimiser';
+import { formatFindingEvidence, parseFindingEvidence } from './analysisFindings';
 
 // === EXPORT FUNCTIONS ===
 
@@ -13,15 +18,20 @@ export const exportDemandCapacityToExcel = (data) => {
     config,
     forecastData,
     aiReport,
+    aiFindings,
     rawOnlineData,
     rawStaffData,
     rawSlotData,
     rawCombinedData,
+    staffRoster,
   } = data;
 
   const workbook = XLSX.utils.book_new();
   const timestamp = new Date().toISOString();
 
+  // Months whose DNA/Unused figures came from dated reports vs proportional estimates
+  const attributionByMonth = (processedData || []).map(m => `${m.month}: ${getWasteAttribution(m)}`);
+
   // Sheet 1: Metadata
   const metadata = [
     ['CAIP Analytics Export'],
@@ -30,6 +40,7 @@ export const exportDemandCapacityToExcel = (data) => {
     ['Export Date', timestamp],
     ['Surgery Name', config?.surgeryName || 'Unknown'],
     ['ODS Code', config?.odsCode || ''],
+    ['DNA/Unused Attribution', attributionByMonth.join(', ')],
     [''],
     ['This file contains all data needed to restore your dashboard.'],
     ['Import this file in CAIP Analytics to restore the interactive dashboard.'],
@@ -50,10 +61,16 @@ export const exportDemandCapacityToExcel = (data) => {
       Month: label,
       'Total Appointments (Actual)': forecastData.appts?.actual?.[index] || null,
       'Total Appointments (Projected)': forecastData.appts?.projected?.[index] || null,
+      'Total Appointments (Lower)': forecastData.appts?.lower?.[index] ?? null,
+      'Total Appointments (Upper)': forecastData.appts?.upper?.[index] ?? null,
       'GP Appointments (Actual)': forecastData.gpAppts?.actual?.[index] || null,
       'GP Appointments (Projected)': forecastData.gpAppts?.projected?.[index] || null,
+      'GP Appointments (Lower)': forecastData.gpAppts?.lower?.[index] ?? null,
+      'GP Appointments (Upper)': forecastData.gpAppts?.upper?.[index] ?? null,
       'Inbound Calls (Actual)': forecastData.calls?.actual?.[index] || null,
       'Inbound Calls (Projected)': forecastData.calls?.projected?.[index] || null,
+      'Inbound Calls (Lower)': forecastData.calls?.lower?.[index] ?? null,
+      'Inbound Calls (Upper)': forecastData.calls?.upper?.[index] ?? null,
     }));
     const forecastSheet = XLSX.utils.json_to_sheet(forecastArray);
     XLSX.utils.book_append_sheet(workbook, forecastSheet, 'Forecast Data');
@@ -70,9 +87,23 @@ export const exportDemandCapacityToExcel = (data) => {
     XLSX.utils.book_append_sheet(workbook, aiSheet, 'AI Report');
   }
 
+  // Structured findings returned with the AI report, one row per finding
+  if (aiFindings && aiFindings.length > 0) {
+    const findingsSheet = XLSX.utils.json_to_sheet(aiFindings.map(f => ({
+      ID: f.id,
+      Severity: f.severity,
+      Metric: f.metric,
+      Direction: f.direction,
+      Finding: f.title,
+      Evidence: formatFindingEvidence(f.evidence),
+      'Recommended Action': f.action,
+    })));
+    XLSX.utils.book_append_sheet(workbook, findingsSheet, 'AI Findings');
+  }
+
   // Sheet 5: Configuration
   if (config) {
-    const configData = Object.entries(config).map(([key, value]) => [key, value]);
+    const configData = Object.entries(config).map(([key, value]) => [key, Array.isArray(value) ? value.join(', ') : value]);
     const configSheet = XLSX.utils.aoa_to_sheet([['Key', 'Value'], ...configData]);
     XLSX.utils.book_append_sheet(workbook, configSheet, 'Config');
   }
@@ -98,6 +129,19 @@ export const exportDemandCapacityToExcel = (data) => {
     XLSX.utils.book_append_sheet(workbook, rawCombinedSheet, 'Raw Combined Data');
   }
 
+  // Sheet 10: Staff Roster (role classification used for GP metrics)
+  if (staffRoster && staffRoster.length > 0) {
+    const rosterRows = staffRoster.map(entry => ({
+      Name: entry.name,
+      'Role Group': entry.roleGroup,
+      GP: entry.isGP ? 'Yes' : 'No',
+      ARRS: entry.isArrs ? 'Yes' : 'No',
+      Include: entry.include === false ? 'No' : 'Yes',
+    }));
+    const rosterSheet = XLSX.utils.json_to_sheet(rosterRows);
+    XLSX.utils.book_append_sheet(workbook, rosterSheet, 'Staff Roster');
+  }
+
   return workbook;
 };
 
@@ -107,7 +151,7 @@ export const exportDemandCapacityToExcel = (data) => {
  * @returns {XLSX.Workbook} Excel workbook ready for download
  */
 export const exportTriageSlotsToExcel = (data) => {
-  const { data: analysisData, slotCapacity, acceptWeekendRequests, files } = data;
+  const { data: analysisData, slotCapacity, acceptWeekendRequests, urgencyRules, files } = data;
 
   const workbook = XLSX.utils.book_new();
   const timestamp = new Date().toISOString();
@@ -140,7 +184,23 @@ export const exportTriageSlotsToExcel = (data) => {
     XLSX.utils.book_append_sheet(workbook, capacitySheet, 'Slot Capacity');
   }
 
-  // Sheet 4: Configuration
+  // Sheet 4: Urgency Rules
+  const rules = normaliseUrgencyRules(urgencyRules);
+  const rulesData = URGENCY_LEVELS.map(urgency => [
+    urgency,
+    rules[urgency].targetDays,
+    rules[urgency].countWeekends ? 'Yes' : 'No',
+    rules[urgency].countBankHolidays ? 'Yes' : 'No',
+    rules[urgency].whenClosed,
+    rules[urgency].upgradeTo,
+  ]);
+  const rulesSheet = XLSX.utils.aoa_to_sheet([
+    ['Urgency', 'Target Days', 'Count Weekends', 'Count Bank Holidays', 'When Closed', 'Upgrade To'],
+    ...rulesData,
+  ]);
+  XLSX.utils.book_append_sheet(workbook, rulesSheet, 'Urgency Rules');
+
+  // Sheet 5: Configuration
   const configData = [
     ['Accept Weekend Requests', acceptWeekendRequests ? 'Yes' : 'No'],
     ['Files', files?.join(', ') || 'Unknown'],
@@ -151,12 +211,105 @@ export const exportTriageSlotsToExcel = (data) => {
   return workbook;
 };
 
+/**
+ * Export a recommended slot rota as a template for a clinical system rota builder
+ * @param {Object} rota - Result of optimiseSlotRota (see rotaOptimiser.js)
+ * @returns {XLSX.Workbook} Excel workbook ready for download
+ */
+export const exportSlotRotaToExcel = (rota) => {
+  const workbook = XLSX.utils.book_new();
+
+  // Sheet 1: One row per slot
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rotaTemplateRows(rota)), 'Rota Template');
+
+  // Sheet 2: Slots, sessions and expected service level per day
+  const summary = Object.entries(rota.days).map(([day, plan]) => [
+    day,
+    plan.sessions,
+    ...URGENCY_LEVELS.map(urgency => plan.slots[urgency]),
+    ...URGENCY_LEVELS.map(urgency => plan.shortfall[urgency]),
+    ...URGENCY_LEVELS.map(urgency => (plan.serviceLevel[urgency] === null ? '' : Math.round(plan.serviceLevel[urgency]))),
+  ]);
+  const summarySheet = XLSX.utils.aoa_to_sheet([
+    [
+      'Day', 'Sessions',
+      ...URGENCY_LEVELS.map(urgency => `${urgency} Slots`),
+      ...URGENCY_LEVELS.map(urgency => `${urgency} Shortfall`),
+      ...URGENCY_LEVELS.map(urgency => `${urgency} Days Met (%)`),
+    ],
+    ...summary,
+  ]);
+  XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+
+  // Sheet 3: Constraints used
+  const { constraints } = rota;
+  const constraintsSheet = XLSX.utils.aoa_to_sheet([
+    ['Key', 'Value'],
+    ['Slot Length (mins)', constraints.slotMinutes],
+    ['Session Length (mins)', constraints.sessionMinutes],
+    ['Max Slots per Clinician Session', constraints.maxSlotsPerSession],
+    ['Max Sessions per Day', constraints.maxSessionsPerDay],
+    ['Morning Start', constraints.amStart],
+    ['Afternoon Start', constraints.pmStart],
+    ...URGENCY_LEVELS.map(urgency => [`${urgency} Target (% of days)`, constraints.serviceLevels[urgency]]),
+  ]);
+  XLSX.utils.book_append_sheet(workbook, constraintsSheet, 'Constraints');
+
+  return workbook;
+};
+
+/**
+ * Export a practice comparison set to one Excel workbook
+ * Each practice's monthly data is kept so the workbook can be imported as a comparison again
+ * @param {Object} comparison - { name, practices } (see comparisonUtils.js createLocalComparison)
+ * @returns {XLSX.Workbook} Excel workbook ready for download
+ */
+export const exportComparisonToExcel = (comparison) => {
+  const { name, practices = [] } = comparison;
+
+  const workbook = XLSX.utils.book_new();
+  const timestamp = new Date().toISOString();
+
+  // Sheet 1: Metadata
+  const metadata = [
+    ['CAIP Analytics Export'],
+    ['Dashboard Type', 'Practice Comparison'],
+    ['Version', '0.6.0'],
+    ['Export Date', timestamp],
+    ['Comparison Name', name || ''],
+    ['Practices', practices.length],
+    [''],
+    ['This file contains the monthly data of every practice in the comparison.'],
+    ['Import this file in Compare Practices to open the comparison again.'],
+  ];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(metadata), 'Metadata');
+
+  // Sheet 2: Practices
+  const practiceRows = practices.map(practice => ({
+    Key: practice.shareId,
+    'Surgery Name': practice.surgeryName,
+    'ODS Code': practice.odsCode || '',
+    Population: practice.population ?? '',
+    Months: practice.processedData?.length || 0,
+  }));
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(practiceRows), 'Practices');
+
+  // Sheet 3: Processed Data, one row per practice and month
+  const processedRows = practices.flatMap(practice => (practice.processedData || []).map(month => ({
+    practiceKey: practice.shareId,
+    ...month,
+  })));
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(processedRows), 'Processed Data');
+
+  return workbook;
+};
+
 // === IMPORT FUNCTIONS ===
 
 /**
  * Validate Excel file is a valid CAIP Analytics export
  * @param {XLSX.Workbook} workbook - Parsed workbook
- * @param {string} expectedType - 'demand-capacity' or 'triage-slots'
+ * @param {string} expectedType - 'demand-capacity', 'triage-slots' or 'comparison'
  * @returns {boolean} true if valid
  * @throws {Error} with descriptive message if invalid
  */
@@ -181,7 +334,11 @@ export const validateExcelFile = (workbook, expectedType) => {
   }
 
   const actualType = dashboardTypeRow[1];
-  const expectedTypeDisplay = expectedType === 'demand-capacity' ? 'Demand & Capacity' : 'Triage Slot Analysis';
+  const expectedTypeDisplay = {
+    'demand-capacity': 'Demand & Capacity',
+    'triage-slots': 'Triage Slot Analysis',
+    comparison: 'Practice Comparison',
+  }[expectedType];
 
   if (actualType !== expectedTypeDisplay) {
     throw new Error(`This is a ${actualType} export, not ${expectedTypeDisplay}`);
@@ -200,6 +357,12 @@ export const validateExcelFile = (workbook, expectedType) => {
     if (missingSheets.length > 0) {
       throw new Error(`Missing required sheet: ${missingSheets[0]}`);
     }
+  } else if (expectedType === 'comparison') {
+    const requiredSheets = ['Metadata', 'Practices', 'Processed Data'];
+    const missingSheets = requiredSheets.filter(sheet => !workbook.Sheets[sheet]);
+    if (missingSheets.length > 0) {
+      throw new Error(`Missing required sheet: ${missingSheets[0]}`);
+    }
   }
 
   return true;
@@ -233,14 +396,20 @@ export const restoreDemandCapacityFromExcel = (workbook) => {
         appts: {
           actual: extractValues('Total Appointments (Actual)'),
           projected: extractValues('Total Appointments (Projected)'),
+          lower: extractValues('Total Appointments (Lower)'),
+          upper: extractValues('Total Appointments (Upper)'),
         },
         gpAppts: {
           actual: extractValues('GP Appointments (Actual)'),
           projected: extractValues('GP Appointments (Projected)'),
+          lower: extractValues('GP Appointments (Lower)'),
+          upper: extractValues('GP Appointments (Upper)'),
         },
         calls: {
           actual: extractValues('Inbound Calls (Actual)'),
           projected: extractValues('Inbound Calls (Projected)'),
+          lower: extractValues('Inbound Calls (Lower)'),
+          upper: extractValues('Inbound Calls (Upper)'),
         },
       };
     }
@@ -253,6 +422,19 @@ export const restoreDemandCapacityFromExcel = (workbook) => {
     aiReport = aiSheetData[2]?.[0] || null;
   }
 
+  // Parse AI Findings (absent in exports made before structured findings)
+  const aiFindings = workbook.Sheets['AI Findings']
+    ? XLSX.utils.sheet_to_json(workbook.Sheets['AI Findings']).map((row, i) => ({
+      id: String(row.ID || `f${i + 1}`),
+      metric: String(row.Metric || ''),
+      direction: String(row.Direction || ''),
+      severity: String(row.Severity || 'info'),
+      title: String(row.Finding || ''),
+      evidence: parseFindingEvidence(row.Evidence),
+      action: String(row['Recommended Action'] || ''),
+    })).filter(f => f.metric && f.title)
+    : [];
+
   // Parse Configuration
   let config = {};
   if (workbook.Sheets['Config']) {
@@ -260,6 +442,9 @@ export const restoreDemandCapacityFromExcel = (workbook) => {
     configData.forEach(row => {
       config[row.Key] = row.Value;
     });
+    if (config.closureDays !== undefined) {
+      config.closureDays = normaliseClosureDays(config.closureDays);
+    }
   }
 
   // Parse Raw Data
@@ -279,18 +464,66 @@ export const restoreDemandCapacityFromExcel = (workbook) => {
     ? XLSX.utils.sheet_to_json(workbook.Sheets['Raw Combined Data'])
     : [];
 
+  // Parse Staff Roster (absent in exports made before roster support)
+  const staffRoster = workbook.Sheets['Staff Roster']
+    ? XLSX.utils.sheet_to_json(workbook.Sheets['Staff Roster']).map(row => ({
+      name: String(row.Name || ''),
+      roleGroup: row['Role Group'] || 'OTHER',
+      isGP: row.GP === 'Yes',
+      isArrs: row.ARRS === 'Yes',
+      include: row.Include !== 'No',
+    })).filter(entry => entry.name)
+    : [];
+
   return {
     processedData,
     config,
     forecastData,
     aiReport,
+    aiFindings,
     rawOnlineData,
     rawStaffData,
     rawSlotData,
     rawCombinedData,
+    staffRoster,
   };
 };
 
+/**
+ * Restore a practice comparison set exported by exportComparisonToExcel
+ * @param {XLSX.Workbook} workbook - Parsed workbook
+ * @returns {Object} { name, practices } with practices shaped as comparisonUtils.js toComparisonPractice
+ */
+export const restoreComparisonFromExcel = (workbook) => {
+  const metadata = XLSX.utils.sheet_to_json(workbook.Sheets['Metadata'], { header: 1 });
+  const name = metadata.find(row => row[0] === 'Comparison Name')?.[1] || '';
+
+  const monthsByPractice = {};
+  XLSX.utils.sheet_to_json(workbook.Sheets['Processed Data']).forEach(row => {
+    const { practiceKey, ...month } = row;
+    (monthsByPractice[practiceKey] ||= []).push(month);
+  });
+
+  const practices = XLSX.utils.sheet_to_json(workbook.Sheets['Practices']).map(row => {
+    const config = {
+      surgeryName: String(row['Surgery Name'] || ''),
+      odsCode: String(row['ODS Code'] || ''),
+      population: Number(row.Population) || undefined,
+    };
+    return {
+      shareId: String(row.Key),
+      surgeryName: config.surgeryName,
+      odsCode: config.odsCode,
+      population: config.population,
+      config,
+      processedData: monthsByPractice[row.Key] || [],
+      source: 'excel',
+    };
+  });
+
+  return { name: String(name), practices };
+};
+
 /**
  * Restore Triage Slot Analysis dashboard from Excel
  * @param {XLSX.Workbook} workbook - Parsed workbook
@@ -333,18 +566,34 @@ export const restoreTriageSlotsFromExcel = (workbook) => {
     });
   }
 
+  // Parse Urgency Rules (older exports without the sheet get the defaults)
+  const savedRules = {};
+  if (workbook.Sheets['Urgency Rules']) {
+    XLSX.utils.sheet_to_json(workbook.Sheets['Urgency Rules']).forEach(row => {
+      savedRules[row.Urgency] = {
+        targetDays: row['Target Days'],
+        countWeekends: row['Count Weekends'] === 'Yes',
+        countBankHolidays: row['Count Bank Holidays'] === 'Yes',
+        whenClosed: row['When Closed'],
+        upgradeTo: row['Upgrade To'],
+      };
+    });
+  }
+  const urgencyRules = normaliseUrgencyRules(savedRules);
+
   return {
     data,
     slotCapacity,
     acceptWeekendRequests,
+    urgencyRules,
     files,
   };
 };
 
 /**
  * Generate filename for Excel export
- * @param {string} type - 'demand-capacity' or 'triage-slots'
- * @param {string} identifier - Surgery name or file name
+ * @param {string} type - 'demand-capacity', 'triage-slots', 'comparison' or 'slot-rota'
+ * @param {string} identifier - Surgery name, comparison name or file name
  * @returns {string} Filename with timestamp
  */
 export const generateExcelFilename = (type, identifier) => {
@@ -353,6 +602,10 @@ export const generateExcelFilename = (type, identifier) => {
 
   if (type === 'demand-capacity') {
     return `CAIP_DemandCapacity_${safeIdentifier}_${timestamp}.xlsx`;
+  } else if (type === 'comparison') {
+    return `CAIP_Comparison_${safeIdentifier}_${timestamp}.xlsx`;
+  } else if (type === 'slot-rota') {
+    return `CAIP_SlotRota_${safeIdentifier}_${timestamp}.xlsx`;
   } else {
     return `CAIP_TriageSlots_${safeIdentifier}_${timestamp}.xlsx`;
   }
@@ -3,6 +3,8 @@
  * Parses CSV appointment data and calculates follow-up rates
  */
 
+import { createStaffClassifier } from './staffRoster.js';
+
 /**
  * Parse a date string in DD-MMM-YY format (e.g. "12-Jan-26")
  */
@@ -88,8 +90,9 @@ export function mergeCSVTexts(csvTexts) {
 
 /**
  * Check if a clinician name is a Doctor (GP)
+ * Used for clinicians not covered by a staff roster
  */
-function isDoctor(clinicianName) {
+export function isDoctor(clinicianName) {
   if (!clinicianName) return false;
   return clinicianName.trim().startsWith('Dr ');
 }
@@ -97,8 +100,13 @@ function isDoctor(clinicianName) {
 /**
  * Parse the follow-up CSV data
  * Returns structured appointment data grouped by patient
+ * @param {string} csvText - Raw CSV text
+ * @param {Object} [options]
+ * @param {Array} [options.staffRoster] - Staff roster entries; unlisted clinicians use the "Dr " prefix heuristic
  */
-export function parseFollowUpCSV(csvText) {
+export function parseFollowUpCSV(csvText, options = {}) {
+  const classifier = createStaffClassifier(options.staffRoster, isDoctor);
+
   const lines = csvText.split(/\r?\n/).filter(l => l.trim());
   if (lines.length < 2) return null;
 
@@ -117,6 +125,7 @@ export function parseFollowUpCSV(csvText) {
   const appointments = [];
   const patients = {};
   const clinicians = new Set();
+  const allClinicians = new Set(); // includes roster-excluded clinicians
   let orgName = '';
 
   for (let i = 1; i < lines.length; i++) {
@@ -129,6 +138,8 @@ export function parseFollowUpCSV(csvText) {
     const date = parseDate(dateStr);
 
     if (!clinician || !date || !nhsNumber) continue;
+    allClinicians.add(clinician);
+    if (!classifier.isIncluded(clinician)) continue;
 
     if (!orgName && orgIdx !== -1) {
       orgName = fields[orgIdx]?.trim() || '';
@@ -136,7 +147,7 @@ export function parseFollowUpCSV(csvText) {
 
     clinicians.add(clinician);
 
-    const appt = { clinician, date, nhsNumber, isDoctor: isDoctor(clinician) };
+    const appt = { clinician, date, nhsNumber, isDoctor: classifier.isGP(clinician) };
     appointments.push(appt);
 
     if (!patients[nhsNumber]) {
@@ -166,7 +177,8 @@ export function parseFollowUpCSV(csvText) {
     appointments,
     patients,
     clinicians: [...clinicians].sort(),
-    doctors: [...clinicians].filter(isDoctor).sort(),
+    doctors: [...clinicians].filter(classifier.isGP).sort(),
+    allClinicians: [...allClinicians].sort(),
     orgName,
     dateRange,
     totalAppointments: appointments.length,
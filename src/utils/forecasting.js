@@ -0,0 +1,293 @@
+/**
+ * Forecasting
+ *
+ * Shared monthly forecasting used by the local Forecast tab, the national
+ * Combined Demand Forecasting view and the online consultations forecast.
+ *
+ * Offers a straight-line trend, a seasonal naive model (same month last
+ * year) and additive Holt-Winters. With 13+ months of history the model is
+ * picked automatically by rolling-origin backtest error, so winter peaks are
+ * not projected forward indefinitely; a single year can't be backtested, so
+ * there the seasonal model is used when the straight line leaves a seasonal
+ * swing. Every forecast carries a prediction interval derived from the chosen
+ * model's one-step residuals.
+ */
+
+export const SEASON_LENGTH = 12;
+
+export const FORECAST_MODELS = ['linear', 'seasonal-naive', 'holt-winters'];
+
+export const FORECAST_MODEL_LABELS = {
+  'linear': 'Linear trend',
+  'seasonal-naive': 'Seasonal naive',
+  'holt-winters': 'Holt-Winters',
+};
+
+// Two-sided normal quantiles for supported interval levels
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+
+// Months held back for backtesting when choosing a model
+const MAX_BACKTEST_PERIODS = 6;
+
+// Lag-1 autocorrelation of straight-line residuals above which a single year is treated
+// as seasonal (about the 99th percentile for a trend plus noise over 12 months)
+const SEASONAL_SWING_AUTOCORRELATION = 0.4;
+
+// Seasonal models' own residuals needed before their interval spread is trusted
+const MIN_SPREAD_RESIDUALS = 3;
+
+// Holt-Winters smoothing parameters searched when fitting
+const HW_ALPHAS = [0.2, 0.4, 0.6, 0.8];
+const HW_BETAS = [0, 0.05, 0.15];
+const HW_GAMMAS = [0.1, 0.3, 0.5];
+
+const toValue = (point) => (typeof point === 'object' && point !== null ? point.value : point);
+
+const toNumbers = (data) => (data || []).map(point => Number(toValue(point)) || 0);
+
+const standardDeviation = (residuals, dof) => {
+  if (residuals.length === 0) return 0;
+  const sumSq = residuals.reduce((sum, r) => sum + r * r, 0);
+  return Math.sqrt(sumSq / Math.max(1, residuals.length - dof));
+};
+
+/**
+ * Least-squares line through a series indexed 0..n-1
+ * Accepts numbers or { value } points
+ * @returns {{slope: number, intercept: number, r2: number}}
+ */
+export const linearRegression = (data) => {
+  const values = toNumbers(data);
+  const n = values.length;
+  if (n < 2) return { slope: 0, intercept: values[0] || 0, r2: 0 };
+
+  let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+  values.forEach((y, x) => {
+    sumX += x;
+    sumY += y;
+    sumXY += x * y;
+    sumXX += x * x;
+  });
+
+  const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+  const intercept = (sumY - slope * sumX) / n;
+
+  const yMean = sumY / n;
+  let ssTotal = 0, ssResidual = 0;
+  values.forEach((y, x) => {
+    ssTotal += Math.pow(y - yMean, 2);
+    ssResidual += Math.pow(y - (slope * x + intercept), 2);
+  });
+  const r2 = ssTotal > 0 ? 1 - (ssResidual / ssTotal) : 0;
+
+  return { slope, intercept, r2 };
+};
+
+const linearResiduals = (values) => {
+  const { slope, intercept } = linearRegression(values);
+  return values.map((y, x) => y - (slope * x + intercept));
+};
+
+// Spread of a seasonal model's residuals; with only a few, the straight-line spread is
+// used when larger, so a model fitted to one year doesn't get a zero-width band
+const seasonalSigma = (residuals, values) => {
+  const sigma = standardDeviation(residuals, 0);
+  if (residuals.length >= MIN_SPREAD_RESIDUALS) return sigma;
+  return Math.max(sigma, standardDeviation(linearResiduals(values), 2));
+};
+
+// Straight-line trend; interval widens with distance from the fitted data
+const fitLinear = (values) => {
+  const n = values.length;
+  const { slope, intercept } = linearRegression(values);
+  const sigma = standardDeviation(linearResiduals(values), 2);
+  const xMean = (n - 1) / 2;
+  const sxx = values.reduce((sum, _, x) => sum + Math.pow(x - xMean, 2), 0);
+
+  return {
+    predict: (h) => slope * (n - 1 + h) + intercept,
+    spread: (h) => sigma * Math.sqrt(1 + 1 / n + Math.pow(n - 1 + h - xMean, 2) / (sxx || 1)),
+  };
+};
+
+// Same month last year; interval grows with each full season ahead
+const fitSeasonalNaive = (values) => {
+  const n = values.length;
+  const residuals = values.slice(SEASON_LENGTH).map((y, i) => y - values[i]);
+  const sigma = seasonalSigma(residuals, values);
+
+  return {
+    predict: (h) => values[n - SEASON_LENGTH + ((h - 1) % SEASON_LENGTH)],
+    spread: (h) => sigma * Math.sqrt(Math.floor((h - 1) / SEASON_LENGTH) + 1),
+  };
+};
+
+// Run additive Holt-Winters smoothing, returning final state and one-step errors
+const runHoltWinters = (values, alpha, beta, gamma) => {
+  const firstSeason = values.slice(0, SEASON_LENGTH);
+  let level = firstSeason.reduce((a, b) => a + b, 0) / SEASON_LENGTH;
+  let trend = 0;
+  if (values.length >= SEASON_LENGTH * 2) {
+    const secondSeason = values.slice(SEASON_LENGTH, SEASON_LENGTH * 2);
+    trend = (secondSeason.reduce((a, b) => a + b, 0) / SEASON_LENGTH - level) / SEASON_LENGTH;
+  }
+  const seasonal = firstSeason.map(y => y - level);
+  const errors = [];
+
+  for (let t = SEASON_LENGTH; t < values.length; t++) {
+    const s = seasonal[t % SEASON_LENGTH];
+    const predicted = level + trend + s;
+    errors.push(values[t] - predicted);
+
+    const prevLevel = level;
+    level = alpha * (values[t] - s) + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    seasonal[t % SEASON_LENGTH] = gamma * (values[t] - level) + (1 - gamma) * s;
+  }
+
+  return { level, trend, seasonal, errors };
+};
+
+// Additive Holt-Winters with smoothing parameters chosen by in-sample error
+const fitHoltWinters = (values) => {
+  const n = values.length;
+  let best = null;
+
+  HW_ALPHAS.forEach(alpha => HW_BETAS.forEach(beta => HW_GAMMAS.forEach(gamma => {
+    const state = runHoltWinters(values, alpha, beta, gamma);
+    const sse = state.errors.reduce((sum, e) => sum + e * e, 0);
+    if (!best || sse < best.sse) best = { ...state, alpha, sse };
+  })));
+
+  const { level, trend, seasonal, errors, alpha } = best;
+  const sigma = seasonalSigma(errors, values);
+
+  return {
+    predict: (h) => level + h * trend + seasonal[(n + h - 1) % SEASON_LENGTH],
+    spread: (h) => sigma * Math.sqrt(1 + (h - 1) * alpha * alpha),
+  };
+};
+
+const MODEL_FITTERS = {
+  'linear': { minLength: 3, fit: fitLinear },
+  'seasonal-naive': { minLength: SEASON_LENGTH, fit: fitSeasonalNaive },
+  'holt-winters': { minLength: SEASON_LENGTH, fit: fitHoltWinters },
+};
+
+/**
+ * Mean absolute one-step error of a model over the last few months,
+ * refitting at each origin on the data before it
+ * @returns {number|null} MAE, or null when there is no room to backtest
+ */
+export const backtestModel = (data, model, periods = MAX_BACKTEST_PERIODS) => {
+  const values = toNumbers(data);
+  const { minLength, fit } = MODEL_FITTERS[model];
+  const start = Math.max(minLength, values.length - periods);
+  if (start >= values.length) return null;
+
+  let totalError = 0;
+  for (let t = start; t < values.length; t++) {
+    totalError += Math.abs(values[t] - fit(values.slice(0, t)).predict(1));
+  }
+  return totalError / (values.length - start);
+};
+
+/**
+ * Whether the straight line through a series leaves a seasonal swing: residuals
+ * that stay above or below the line for months at a time, rather than noise
+ * @returns {boolean}
+ */
+export const hasSeasonalSwing = (data) => {
+  const residuals = linearResiduals(toNumbers(data));
+  const total = residuals.reduce((sum, r) => sum + r * r, 0);
+  if (total === 0) return false;
+  const lagged = residuals.slice(1).reduce((sum, r, i) => sum + r * residuals[i], 0);
+  return lagged / total > SEASONAL_SWING_AUTOCORRELATION;
+};
+
+/**
+ * Choose a forecasting model for a series. Under 12 months only the
+ * linear trend is possible. With exactly 12 there is no room to backtest
+ * the seasonal models, so the simplest seasonal one is used when the trend
+ * leaves a seasonal swing (see hasSeasonalSwing). Otherwise every model is
+ * backtested over the same months and the lowest error wins (ties keep the
+ * simpler model)
+ * @returns {{model: string, backtestError: number|null, errors: Object}}
+ */
+export const selectForecastModel = (data, models = FORECAST_MODELS) => {
+  const values = toNumbers(data);
+  const candidates = models.filter(m => MODEL_FITTERS[m] && values.length >= MODEL_FITTERS[m].minLength);
+  if (values.length < SEASON_LENGTH || candidates.length <= 1) {
+    return { model: candidates[0] || 'linear', backtestError: null, errors: {} };
+  }
+
+  // Backtest on a common window every candidate can fit
+  const minLength = Math.max(...candidates.map(m => MODEL_FITTERS[m].minLength));
+  const periods = Math.min(MAX_BACKTEST_PERIODS, values.length - minLength);
+  if (periods <= 0) {
+    const seasonalModel = candidates.find(m => MODEL_FITTERS[m].minLength === SEASON_LENGTH);
+    const model = seasonalModel && hasSeasonalSwing(values) ? seasonalModel : candidates[0];
+    return { model, backtestError: null, errors: {} };
+  }
+
+  const errors = {};
+  candidates.forEach(m => { errors[m] = backtestModel(values, m, periods); });
+  const model = candidates.reduce((bestModel, m) => (errors[m] < errors[bestModel] ? m : bestModel), candidates[0]);
+
+  return { model, backtestError: errors[model], errors };
+};
+
+/**
+ * Forecast the next periods of a monthly series with prediction intervals
+ * @param {Array<number|{value: number}>} data - Historical values, oldest first
+ * @param {number} periodsAhead - Number of periods to forecast
+ * @param {Object} options
+ * @param {string} [options.model] - Force a model instead of automatic selection
+ * @param {number} [options.level=0.8] - Interval coverage (0.8, 0.9 or 0.95)
+ * @param {boolean} [options.nonNegative=true] - Clamp forecasts and bounds at zero
+ * @returns {{model: string, modelLabel: string, level: number, backtestError: number|null,
+ *   forecasts: Array<{periodOffset: number, value: number, lower: number, upper: number}>,
+ *   slope: number, r2: number}}
+ * @throws {Error} when options.model is not one of FORECAST_MODELS
+ */
+export const forecastSeries = (data, periodsAhead = 3, options = {}) => {
+  const { level = 0.8, nonNegative = true } = options;
+  if (options.model && !MODEL_FITTERS[options.model]) {
+    throw new Error(`Unknown forecast model "${options.model}". Use one of: ${FORECAST_MODELS.join(', ')}.`);
+  }
+  const values = toNumbers(data);
+  const { slope, r2 } = linearRegression(values);
+  const empty = { model: null, modelLabel: null, level, backtestError: null, forecasts: [], slope, r2 };
+  if (values.length < MODEL_FITTERS.linear.minLength) return empty;
+
+  const selection = options.model
+    ? { model: options.model, backtestError: backtestModel(values, options.model) }
+    : selectForecastModel(values);
+  if (values.length < MODEL_FITTERS[selection.model].minLength) return empty;
+
+  const fitted = MODEL_FITTERS[selection.model].fit(values);
+  const z = Z_SCORES[level] || Z_SCORES[0.8];
+  const clamp = (v) => (nonNegative ? Math.max(0, v) : v);
+
+  const forecasts = [];
+  for (let h = 1; h <= periodsAhead; h++) {
+    const value = fitted.predict(h);
+    const margin = z * fitted.spread(h);
+    forecasts.push({
+      periodOffset: h,
+      value: clamp(value),
+      lower: clamp(value - margin),
+      upper: clamp(value + margin),
+    });
+  }
+
+  return {
+    model: selection.model,
+    modelLabel: FORECAST_MODEL_LABELS[selection.model],
+    level,
+    backtestError: selection.backtestError,
+    forecasts,
+    slope,
+    r2,
+  };
+};
@@ -0,0 +1,318 @@
+/**
+ * Local Demand Analysis Prompt
+ *
+ * Metric definitions and prompt template for AI analysis of practice-uploaded
+ * (local) demand & capacity data. The browser sends only numeric monthly
+ * metrics; /api/analyze builds the prompt from them.
+ */
+
+// Prompt template version - increment when the prompt changes significantly
+export const LOCAL_PROMPT_VERSION = '1.1';
+
+// Comprehensive metric definitions with titles and descriptions for AI context
+// (tab is the dashboard tab charting the metric, used to link AI findings)
+export const LOCAL_METRIC_DEFINITIONS = [
+  {
+    key: 'workingDays',
+    title: 'Working days',
+    description: 'Clinical working days available in the month',
+    format: 'number',
+    tab: 'dashboard'
+  },
+  {
+    key: 'totalAppts',
+    title: 'All appointments delivered',
+    description: 'Total appointments completed across the practice',
+    format: 'number',
+    tab: 'dashboard'
+  },
+  {
+    key: 'gpAppts',
+    title: 'GP appointments delivered',
+    description: 'Number of GP-led appointments completed',
+    format: 'number',
+    tab: 'gp'
+  },
+  {
+    key: 'gpApptsPerDay',
+    title: 'Percentage of patient population with GP appointments per working day',
+    description: 'Percentage of patient population with GP appointments per working day so that practices can standardise the number of appointments per population',
+    format: 'percent1',
+    tab: 'gp'
+  },
+  {
+    key: 'allApptsPerDay',
+    title: 'Percentage of patient population with any appointment per working day',
+    description: 'Percentage of patient population with any staff appointment per working day so that practices can standardise the number of appointments per population',
+    format: 'percent1',
+    tab: 'dashboard'
+  },
+  {
+    key: 'utilization',
+    title: 'Utilisation (all clinicians)',
+    description: 'Percentage of all appointment slots used',
+    format: 'percent1',
+    tab: 'dashboard'
+  },
+  {
+    key: 'gpUtilPct',
+    title: 'GP utilisation',
+    description: 'Percentage of GP appointment slots used',
+    format: 'percent1',
+    tab: 'gp'
+  },
+  {
+    key: 'gpUnusedPct',
+    title: 'Unused GP capacity',
+    description: 'Percentage of GP slots left unused after embargoes and DNA',
+    format: 'percent1',
+    tab: 'gp'
+  },
+  {
+    key: 'gpDNAPct',
+    title: 'GP DNA rate',
+    description: 'Did-not-attend rate for GP appointments',
+    format: 'percent1',
+    tab: 'gp'
+  },
+  {
+    key: 'allUnusedPct',
+    title: 'Unused capacity (all clinicians)',
+    description: 'Percentage of all clinician slots left unused',
+    format: 'percent1',
+    tab: 'dashboard'
+  },
+  {
+    key: 'allDNAPct',
+    title: 'DNA rate (all clinicians)',
+    description: 'Did-not-attend rate for all clinicians',
+    format: 'percent1',
+    tab: 'dashboard'
+  },
+  {
+    key: 'onlineTotal',
+    title: 'Online requests received',
+    description: 'Total online consultation requests submitted',
+    format: 'number',
+    tab: 'online'
+  },
+  {
+    key: 'onlineClinicalNoAppt',
+    title: 'Online clinical requests without appointment',
+    description: 'Clinical online requests resolved without booking an appointment',
+    format: 'number',
+    tab: 'online'
+  },
+  {
+    key: 'onlineRequestsPer1000',
+    title: 'Online requests per 1,000 patients',
+    description: 'Rate of online requests normalised by practice size',
+    format: 'decimal1',
+    tab: 'online'
+  },
+  {
+    key: 'gpTriageCapacityPerDayPct',
+    title: 'Patients with a GP appointment or resolved online request per day (%)',
+    description: 'Percentage of registered patients per working day who either had a GP appointment or had their online request resolved without an appointment',
+    format: 'percent2',
+    tab: 'gp'
+  },
+  {
+    key: 'inboundReceived',
+    title: 'Inbound calls received',
+    description: 'Total inbound calls presented to the phone system',
+    format: 'number',
+    tab: 'telephony'
+  },
+  {
+    key: 'inboundAnswered',
+    title: 'Inbound calls answered',
+    description: 'Number of inbound calls answered by the team',
+    format: 'number',
+    tab: 'telephony'
+  },
+  {
+    key: 'missedFromQueue',
+    title: 'Calls missed from queue',
+    description: 'Total calls abandoned from the queue',
+    format: 'number',
+    tab: 'telephony'
+  },
+  {
+    key: 'missedFromQueueExRepeat',
+    title: 'Missed calls excluding repeats',
+    description: 'Unique callers who abandoned the queue (excludes repeat callers)',
+    format: 'number',
+    tab: 'telephony'
+  },
+  {
+    key: 'missedFromQueueExRepeatPct',
+    title: 'Missed call rate (unique)',
+    description: 'Percentage of unique callers who abandoned the queue',
+    format: 'percent1',
+    tab: 'telephony'
+  },
+  {
+    key: 'answeredFromQueue',
+    title: 'Calls answered from queue',
+    description: 'Calls successfully answered after waiting in queue',
+    format: 'number',
+    tab: 'telephony'
+  },
+  {
+    key: 'abandonedCalls',
+    title: 'Calls abandoned at by the patient (NOT MISSED)',
+    description: 'Calls that were abandoned by the caller before being answered when they listen to the IVF messaging. A high % here is not a bad thing and indicates effective call flow.',
+    format: 'number',
+    tab: 'telephony'
+  },
+  {
+    key: 'callbacksSuccessful',
+    title: 'Number of Callbacks successful',
+    description: 'Callbacks that successfully connected to a patient',
+    format: 'number',
+    tab: 'telephony'
+  },
+  {
+    key: 'avgQueueTimeAnswered',
+    title: 'Average queue time (answered)',
+    description: 'Average seconds callers waited before being answered',
+    format: 'seconds',
+    tab: 'telephony'
+  },
+  {
+    key: 'avgQueueTimeMissed',
+    title: 'Average queue time (missed)',
+    description: 'Average seconds callers waited before abandoning',
+    format: 'seconds',
+    tab: 'telephony'
+  },
+  {
+    key: 'avgInboundTalkTime',
+    title: 'Average inbound talk time',
+    description: 'Average call handling time for inbound calls (seconds)',
+    format: 'seconds',
+    tab: 'telephony'
+  },
+  {
+    key: 'capitationCallingPerDay',
+    title: 'Daily call volume per 1,000 patients',
+    description: 'Average daily inbound calls per 1,000 registered patients',
+    format: 'percent1',
+    tab: 'telephony'
+  },
+  {
+    key: 'gpBookConv',
+    title: 'Booking conversion (GP)',
+    description: 'Ratio of calls that resulted in a GP appointment booking',
+    format: 'decimal2',
+    tab: 'telephony'
+  },
+  {
+    key: 'extraSlots',
+    title: 'Extra slots required per day',
+    description: 'Extra slots required per day over the different months. Sometimes this is minus if meeting capacity',
+    format: 'decimal1',
+    tab: 'forecast'
+  }
+];
+
+// Format a metric value for the prompt (null when missing, so it is left out)
+export const formatLocalMetricValue = (value, format) => {
+  if (value === undefined || value === null || Number.isNaN(value)) return null;
+
+  switch (format) {
+    case 'percent1':
+      return `${Number(value).toFixed(1)}%`;
+    case 'percent2':
+      return `${Number(value).toFixed(2)}%`;
+    case 'decimal2':
+      return Number(value).toFixed(2);
+    case 'decimal1':
+      return Number(value).toFixed(1);
+    case 'seconds':
+      return `${Number(value).toFixed(0)} seconds`;
+    default:
+      return Number(value);
+  }
+};
+
+/**
+ * Build the /api/analyze payload from processed local months
+ * Only metrics listed in LOCAL_METRIC_DEFINITIONS are sent, as plain numbers
+ * @param {Array} processedData - Enriched months from processLocalDemand()
+ * @param {Object} config - Practice config ({ surgeryName, population })
+ * @returns {{kind: string, practice: Object, months: Array}}
+ */
+export const buildLocalAnalysisPayload = (processedData, config) => ({
+  kind: 'local-demand',
+  practice: {
+    name: config.surgeryName || '',
+    population: Number(config.population) || null,
+  },
+  months: processedData.map(d => ({
+    month: d.month,
+    metrics: Object.fromEntries(LOCAL_METRIC_DEFINITIONS
+      .map(metric => [metric.key, d[metric.key]])
+      .filter(([, value]) => typeof value === 'number' && Number.isFinite(value))),
+  })),
+});
+
+// Render system and user prompts from a local analysis payload (runs in /api/analyze)
+export const buildLocalAnalysisPrompts = ({ practice, months }) => {
+  const dataSummary = months.map(m => ({
+    month: m.month,
+    metrics: LOCAL_METRIC_DEFINITIONS
+      .map(metric => ({
+        title: metric.title,
+        description: metric.description,
+        value: formatLocalMetricValue(m.metrics[metric.key], metric.format)
+      }))
+      .filter(metric => metric.value !== null)
+  }));
+
+  const prompt = `
+    You are an expert NHS Practice Manager and Data Analyst using CAIP Analytics.
+    Analyse the following monthly performance data for ${practice.name || 'this practice'} (Population: ${practice.population}).
+
+    Each metric includes a title and description to avoid ambiguity. Base all interpretations on these fields, not the raw field names.
+
+    Data (month by month): ${JSON.stringify(dataSummary, null, 2)}
+
+    IMPORTANT: Start your response DIRECTLY with the first section heading. Do NOT include any introduction, preamble, or explanatory text before the sections.
+
+    Provide your analysis in exactly these two sections using bullet points:
+
+    ### ✅ Positives
+    * Highlight metrics that are performing well.
+
+    ### 🚀 Room for Improvement & Actions
+    * Identify specific issues.
+    * Logic:
+        * If **Online Requests** are high but **Patients with a GP appointment or resolved online request per day (%)** is low, suggest: "High digital demand is not being fully captured in clinical workload data."
+        * If **Booking Conversion** is low, suggest: "High call volume not converting to appts. Review signposting."
+        * If **Utilization** is low (<95%), suggest: "Wasted capacity. Review slot types in rotas where slots are going unused. This may look like unused capacity in national data sets."
+        * If **DNA Rate** is high (>7%), suggest: "High DNA rate impacting capacity. Consider reviewing reminder systems."
+        * If **Average Queue Time (missed)** is high (>120s), suggest: "Long wait times leading to missed calls. Review telephony staffing."
+        * If **Extra slots required per day** is positive, suggest: "Consider increasing daily appointment slots by approximately X to meet demand."
+        * If Abandoned Calls % is high (>20%), suggest: "High abandoned call rate. This means your call flow is effective"
+        * If **Patients with a GP appointment or resolved online request per day (%)** is below 1.0%, suggest: "Low GP capacity per patient population. Consider recruitment strategies to increase access."
+        * If Abandoned Calls % is low (<10%), suggest: "Low abandoned call rate. This may indicate your call flow is inneffective and too short"
+        * If **Online Requests per 1,000 patients** is low (<50 per month), suggest: "Low online request volume. Promote digital access channels to patients or open up digital capacity"
+        * If Missed Call Rate (unique) is high (>10%), suggest: "High unique missed call rate. Review telephony call flow and staffing levels at peak times."
+        * If Missed Call Rate (unique) is low (<5%), suggest: "Low unique missed call rate. This may indicate insufficient call queue capacity leading to abandoned calls."
+        * If **GP DNA Rate** is high (>10%), suggest: "High GP DNA rate impacting capacity. Consider targeted interventions for DNA reduction such as SystmOne DNA Probability Report."
+        * If Patients with a GP appointment per day (%) is above 1.6%, suggest: "High GP Capacity per patient population. Consider if this is sustainable long-term and review clinical workforce wellbeing."
+        * If patients with a GP appointment or resolved online request per day (%) is above 2.0%, suggest: "Very high GP capacity per patient population. This may not be sustainable long-term and could indicate over-servicing. Review clinical workforce wellbeing."
+        * If patients with a GP appointment per day (%) is below 1.0%, suggest: "Low GP capacity per patient population. Consider recruitment strategies to increase access."
+        * If telephony metrics show poor performance and Online Access method shows a high number of Practice Initiated Link (>20% of online requests), suggest: "Your staff may do too many online requests for patients. Consider promoting online access channels to reduce telephony demand."
+        * If Patients with a GP appointment or resolved online request per day (%) is between 1.0% and 1.6%, acknowledge this as a reasonable level of access but suggest continuous monitoring to maintain balance between access and workforce wellbeing.
+        * If missed call rate (unique) is between 5% and 10%, acknowledge this as a reasonable performance but suggest continuous monitoring to optimise telephony access.
+
+        * Apply additional best-practice logic from NHS UK access improvement guidance when proposing actions.
+
+    Keep the tone professional, constructive, and specific to NHS Primary Care. Use British English.
+  `;
+
+  return { systemPrompt: prompt, userPrompt: '' };
+};
@@ -0,0 +1,652 @@
+/**
+ * Local Demand & Capacity Engine
+ *
+ * Pure processing pipeline for the local (practice-uploaded) dashboard.
+ * Takes already-parsed CSV rows and telephony reports (see telephonyAdapters.js)
+ * and returns monthly metrics, staff/slot/combined tables and the forecast.
+ *
+ * Has no React or browser dependencies so it can run headlessly from
+ * scripts/local-demand.js and the node --test suite.
+ */
+
+import { getNextMonthNames } from './calculations.js';
+import { forecastSeries } from './forecasting.js';
+import { createStaffClassifier } from './staffRoster.js';
+import { validateHeaders } from './validators.js';
+import { countWorkingDays, getWorkingDaysForMonth, normaliseClosureDays } from './workingDayCalendar.js';
+
+const MONTH_ABBREVIATIONS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const MONTH_NAME_INDEX = {
+  'jan': 0, 'january': 0,
+  'feb': 1, 'february': 1,
+  'mar': 2, 'march': 2,
+  'apr': 3, 'april': 3,
+  'may': 4,
+  'jun': 5, 'june': 5,
+  'jul': 6, 'july': 6,
+  'aug': 7, 'august': 7,
+  'sep': 8, 'september': 8,
+  'oct': 9, 'october': 9,
+  'nov': 10, 'november': 10,
+  'dec': 11, 'december': 11
+};
+
+// Parse date from multiple formats: "DD/MM/YYYY HH:MM" or "DD MMM YYYY"
+// Returns a local Date or null when the string is not recognised
+export const parseLocalDate = (dateStr) => {
+  if (!dateStr) return null;
+
+  const parts = dateStr.trim().split(' ');
+  if (parts.length === 3) {
+    // Format: "01 Aug 2025"
+    const day = parseInt(parts[0], 10);
+    const monthStr = parts[1].toLowerCase();
+    const year = parseInt(parts[2], 10);
+
+    if (Object.prototype.hasOwnProperty.call(MONTH_NAME_INDEX, monthStr) && !isNaN(day) && !isNaN(year)) {
+      return new Date(year, MONTH_NAME_INDEX[monthStr], day);
+    }
+  }
+
+  // Try format: "01/08/2025 HH:MM"
+  const dateParts = parts[0].split('/');
+  if (dateParts.length === 3) {
+    return new Date(`${dateParts[2]}-${dateParts[1]}-${dateParts[0]}T${parts[1] || '00:00'}`);
+  }
+
+  return null;
+};
+
+// Generate standardized month key for data matching
+// Format: "MMM-YY" (e.g., "Jan-24")
+export const toMonthKey = (date) => {
+  return `${MONTH_ABBREVIATIONS[date.getMonth()]}-${String(date.getFullYear()).slice(-2)}`;
+};
+
+// Time buckets supported by the engine (month is the dashboard default)
+export const GRANULARITIES = ['day', 'week', 'month'];
+
+// Online requests per 1000 are shown as a weekly rate; weeks covered by each bucket
+const WEEKS_PER_PERIOD = { day: 1 / 7, week: 1, month: 4 };
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// First day of the bucket containing a date (1st of month, ISO Monday, or the day itself)
+export const getPeriodStart = (date, granularity = 'month') => {
+  if (granularity === 'day') return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (granularity === 'week') {
+    const offset = (date.getDay() + 6) % 7;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+  }
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+};
+
+// Bucket key for a date: "MMM-YY", ISO week "2025-W23" or ISO date "2025-06-02"
+export const toPeriodKey = (date, granularity = 'month') => {
+  if (granularity === 'day') return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+  if (granularity === 'week') {
+    // ISO week belongs to the year of its Thursday
+    const monday = getPeriodStart(date, 'week');
+    const thursday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 3);
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    const firstMonday = getPeriodStart(firstThursday, 'week');
+    const week = Math.round((monday - firstMonday) / (7 * 24 * 60 * 60 * 1000)) + 1;
+    return `${thursday.getFullYear()}-W${pad2(week)}`;
+  }
+  return toMonthKey(date);
+};
+
+// Column names that carry a per-row date/month in dated or month-split
+// DNA and Unused report exports, in order of preference
+export const REPORT_DATE_COLUMNS = ['Date', 'Appointment Date', 'Slot Date', 'Session Date', 'Month', 'Period'];
+
+// Find the first date/month column present in a DNA or Unused report
+// Returns null for the classic undated (whole-period) export
+export const findReportDateColumn = (rows) => {
+  if (!rows || rows.length === 0) return null;
+  const headers = new Set(rows.flatMap(row => Object.keys(row)));
+  return REPORT_DATE_COLUMNS.find(col => headers.has(col)) || null;
+};
+
+// Parse a report date or month cell into a "MMM-YY" month key
+// Accepts "01 Aug 2025", "01/08/2025", "Aug 2025", "August 2025", "Aug-25" and "2025-08(-01)"
+export const parseReportMonthKey = (value) => {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+  if (!str) return null;
+
+  const isoMatch = str.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?/);
+  if (isoMatch) {
+    const monthIndex = parseInt(isoMatch[2], 10) - 1;
+    if (monthIndex < 0 || monthIndex > 11) return null;
+    return `${MONTH_ABBREVIATIONS[monthIndex]}-${isoMatch[1].slice(-2)}`;
+  }
+
+  const monthYearMatch = str.match(/^([A-Za-z]+)[\s-]+(\d{2}|\d{4})$/);
+  if (monthYearMatch) {
+    const monthStr = monthYearMatch[1].toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(MONTH_NAME_INDEX, monthStr)) return null;
+    return `${MONTH_ABBREVIATIONS[MONTH_NAME_INDEX[monthStr]]}-${monthYearMatch[2].slice(-2)}`;
+  }
+
+  const date = parseLocalDate(str);
+  return date && !isNaN(date.getTime()) ? toMonthKey(date) : null;
+};
+
+// Parse a report date cell into a bucket key for the given granularity
+// Day and week buckets need a full date; month-only cells return null (treated as undated)
+export const parseReportPeriodKey = (value, granularity = 'month') => {
+  if (granularity === 'month') return parseReportMonthKey(value);
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+
+  const isoMatch = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const date = isoMatch
+    ? new Date(parseInt(isoMatch[1], 10), parseInt(isoMatch[2], 10) - 1, parseInt(isoMatch[3], 10))
+    : parseLocalDate(str);
+  return date && !isNaN(date.getTime()) ? toPeriodKey(date, granularity) : null;
+};
+
+// How one month's DNA or unused figure was attributed: "measured" from its own dated
+// report rows, "estimated" when it includes a share of undated rows, "none" with neither
+const monthAttribution = (datedRows, hasUndatedShare) => {
+  if (hasUndatedShare) return 'estimated';
+  return datedRows > 0 ? 'measured' : 'none';
+};
+
+// Summarise how a month's DNA and unused figures were attributed
+// Returns 'measured', 'estimated' (any proportional share, or legacy data) or 'none'
+export const getWasteAttribution = (month) => {
+  const flags = [month?.dnaAttribution, month?.unusedAttribution].filter(flag => flag !== 'none');
+  if (flags.length === 0) return 'none';
+  return flags.every(flag => flag === 'measured') ? 'measured' : 'estimated';
+};
+
+/**
+ * Staff, slot or staff + slot rows for one month, to be summed per row key.
+ * Appointments always come from the month's own rows. DNA and unused counts do too
+ * when their report was dated ("measured", or "none" with nothing to spread);
+ * otherwise that field alone is estimated by weighting every month's rows by this
+ * month's share of appointments. Slot totals follow the unused report.
+ * @param {Array} rawData - staffData, slotData or combinedData from processLocalDemand
+ * @param {string} monthFilter - Period key, or 'All' for every row
+ * @param {Array} monthlyData - enrichedMonths, for the attribution and appointment weights
+ * @returns {Array} Rows with totalAppts, dnaCount, unusedSlots and totalSlots for that month
+ */
+export const getMonthRows = (rawData, monthFilter, monthlyData) => {
+  if (monthFilter === 'All') return rawData;
+
+  const selectedMonthData = monthlyData?.find(m => m.month === monthFilter);
+  if (!selectedMonthData) return rawData;
+
+  const isExact = (flag) => flag === 'measured' || flag === 'none';
+  const dnaExact = isExact(selectedMonthData.dnaAttribution);
+  const unusedExact = isExact(selectedMonthData.unusedAttribution);
+  const monthRows = rawData.filter(item => item.month === monthFilter);
+  if (dnaExact && unusedExact) return monthRows;
+
+  const totalApptsAll = monthlyData.reduce((sum, m) => sum + m.totalAppts, 0);
+  const weight = totalApptsAll > 0 ? selectedMonthData.totalAppts / totalApptsAll : 0;
+
+  const measured = monthRows.map(item => ({
+    ...item,
+    dnaCount: dnaExact ? item.dnaCount || 0 : 0,
+    unusedSlots: unusedExact ? item.unusedSlots || 0 : 0,
+    totalSlots: unusedExact ? item.totalSlots || 0 : 0,
+  }));
+
+  // Undated counts sit on every month's rows, so spread them by this month's share
+  const estimated = rawData
+    .map(item => ({
+      ...item,
+      totalAppts: 0,
+      dnaCount: dnaExact ? 0 : Math.round((item.dnaCount || 0) * weight),
+      unusedSlots: unusedExact ? 0 : Math.round((item.unusedSlots || 0) * weight),
+      totalSlots: unusedExact ? 0 : Math.round((item.totalSlots || 0) * weight),
+    }))
+    .filter(item => item.dnaCount > 0 || item.unusedSlots > 0 || item.totalSlots > 0);
+
+  return [...measured, ...estimated];
+};
+
+// Collect every staff name in the appointments (column headers) and DNA/Unused reports
+// Used to seed the staff roster before processing
+export const collectStaffNames = ({ apptData = [], dnaData = [], unusedData = [] }) => {
+  const names = new Set();
+  apptData.forEach(row => Object.keys(row).forEach(key => {
+    if (key !== 'Date' && key !== 'Day' && key.trim()) names.add(key);
+  }));
+  [...dnaData, ...unusedData].forEach(row => {
+    if (row['Staff']) names.add(row['Staff']);
+  });
+  return [...names];
+};
+
+// Build forecast chart data over enriched months (model chosen by forecastSeries)
+// with 80% prediction interval bands. Rates are fitted per working day and scaled by each future month's working days,
+// so bank holiday months are not projected as full months
+// Needs at least 3 months; otherwise returns { hasData: false, count }
+export const buildLocalForecast = (enrichedMonths, closureDays = []) => {
+  if (enrichedMonths.length < 3) {
+    return { hasData: false, count: enrichedMonths.length };
+  }
+
+  const totalApptsData = enrichedMonths.map(m => m.totalAppts);
+  const gpApptsData = enrichedMonths.map(m => m.gpAppts);
+  const inboundTotalData = enrichedMonths.map(m => m.inboundTotal || 0);
+
+  const lastMonth = enrichedMonths[enrichedMonths.length - 1].month;
+  const nextMonthNames = getNextMonthNames(lastMonth, 2);
+  const nextWorkingDays = nextMonthNames.map(name => getWorkingDaysForMonth(name, closureDays));
+
+  const forecastPerWorkingDay = (values) => {
+    const rates = enrichedMonths.map((m, i) => (m.workingDays > 0 ? values[i] / m.workingDays : 0));
+    const { forecasts, modelLabel } = forecastSeries(rates, 2);
+    const scale = (key) => forecasts.map((f, i) => Math.round(f[key] * nextWorkingDays[i]));
+    const lead = [...new Array(values.length - 1).fill(null), values[values.length - 1]];
+    return {
+      actual: [...values, null, null],
+      projected: [...values, ...scale('value')],
+      lower: [...lead, ...scale('lower')],
+      upper: [...lead, ...scale('upper')],
+      model: modelLabel,
+    };
+  };
+
+  const forecastLabels = [...enrichedMonths.map(m => m.month), ...nextMonthNames];
+
+  return {
+    labels: forecastLabels,
+    hasData: true,
+    intervalLevel: 0.8,
+    appts: forecastPerWorkingDay(totalApptsData),
+    calls: forecastPerWorkingDay(inboundTotalData),
+    gpAppts: forecastPerWorkingDay(gpApptsData)
+  };
+};
+
+/**
+ * Rates and ratios for one bucket from its counts.
+ * Shared with the PCN totals (pcnWorkspace.js), which sum practice counts and re-derive these.
+ * @param {Object} counts - { totalAppts, workingDays, gpAppts, estDNA, estUnused, estGPDNA, estGPUnused,
+ *   onlineTotal, onlineClinicalNoAppt, telephony }
+ * @param {number} population - Registered patients
+ * @param {string} [granularity='month'] - Bucket size (online requests per 1000 are weekly)
+ * @returns {Object} Derived metrics merged into each enriched month
+ */
+export const deriveDemandMetrics = (counts, population, granularity = 'month') => {
+  const { totalAppts, workingDays, gpAppts, estDNA, estUnused, estGPDNA, estGPUnused, onlineTotal, onlineClinicalNoAppt } = counts;
+  const t = counts.telephony || {};
+
+  // Primary metric: "Patients with GP Appointment or Resolved Online Request per Day (%)"
+  // Combines traditional face-to-face appointments with digitally resolved requests
+  // Provides true picture of GP capacity including modern triage methods
+  const gpTriageCapacityPerDayPct = workingDays > 0 && population > 0
+    ? (((gpAppts + (onlineClinicalNoAppt || 0)) / workingDays) / population * 100)
+    : 0;
+
+  const gpRatio = t.inboundAnswered > 0 ? (gpAppts / t.inboundAnswered) : 0;
+  const gpMissedDemand = gpRatio * (t.missedFromQueueExRepeat || 0);
+  const gpWaste = estGPUnused + estGPDNA;
+  const extraSlotsPerDay = workingDays > 0 ? ((gpMissedDemand - gpWaste) / workingDays) : 0;
+
+  return {
+    onlineRequestsPer1000: population > 0 ? ((onlineTotal || 0) / population * 1000) / WEEKS_PER_PERIOD[granularity] : 0,
+    gpTriageCapacityPerDayPct,
+    gpApptsPerDay: workingDays > 0 ? (gpAppts / population * 100) / workingDays : 0,
+    gpUtilization: (gpAppts + estGPUnused) > 0 ? (gpAppts / (gpAppts + estGPUnused) * 100) : 0,
+    gpDNAPct: gpAppts > 0 ? (estGPDNA / gpAppts * 100) : 0,
+    gpUnusedPct: gpAppts > 0 ? (estGPUnused / gpAppts * 100) : 0,
+    conversionRatio: t.inboundAnswered ? (totalAppts / t.inboundAnswered) : 0,
+    gpConversionRatio: t.inboundAnswered ? (gpAppts / t.inboundAnswered) : 0,
+    utilization: (totalAppts + estUnused) > 0 ? (totalAppts / (totalAppts + estUnused) * 100) : 0,
+    allApptsPerDay: workingDays > 0 ? (totalAppts / population * 100) / workingDays : 0,
+    allUnusedPct: (totalAppts + estUnused) > 0 ? (estUnused / (totalAppts + estUnused) * 100) : 0,
+    allDNAPct: totalAppts > 0 ? (estDNA / totalAppts * 100) : 0,
+    extraSlotsPerDay,
+    inboundTotal: t.inboundReceived || 0,
+  };
+};
+
+/**
+ * Run the full local demand & capacity pipeline
+ * @param {Object} inputs - Parsed inputs
+ * @param {Array} inputs.apptData - Appointments CSV rows (pivot format: Date, Day, one column per staff)
+ * @param {Array} [inputs.dnaData] - DNA CSV rows
+ * @param {Array} [inputs.unusedData] - Unused slots CSV rows
+ * @param {Array} [inputs.onlineData] - Online requests CSV rows
+ * @param {Array} [inputs.telephonyReports] - Parsed telephony reports from parseTelephonyReport()
+ * @param {Object} config - Practice config ({ population, useOnline, useTelephony, closureDays, ... })
+ * @param {Object} [options]
+ * @param {Array} [options.staffRoster] - Staff roster entries (see staffRoster.js); unlisted staff use the name heuristic
+ * @param {string} [options.granularity='month'] - Bucket size: 'day', 'week' (ISO) or 'month'.
+ *   Each bucket's `month` field holds its period key. Telephony reports and the
+ *   forecast are monthly, so they are only attached at month granularity.
+ * @returns {Object} { enrichedMonths, staffData, slotData, combinedData, onlineRows, forecastData, wasteOutsideRange }
+ *   wasteOutsideRange: { dna, unused } as { rows, count } for dated report rows outside the appointments' dates (left out)
+ */
+export const processLocalDemand = (inputs, config, options = {}) => {
+  const {
+    apptData = [],
+    dnaData = [],
+    unusedData = [],
+    onlineData = [],
+    telephonyReports = [],
+  } = inputs;
+
+  // Validate CSV headers and check for privacy violations
+  validateHeaders(apptData, ['Date', 'Day'], 'Appointments CSV');
+  if (dnaData.length > 0) validateHeaders(dnaData, ['Staff', 'Appointment Count'], 'DNA CSV');
+  if (unusedData.length > 0) validateHeaders(unusedData, ['Staff', 'Unused Slots', 'Total Slots'], 'Unused CSV');
+  if (onlineData.length > 0) validateHeaders(onlineData, ['Submission started', 'Type', 'Outcome'], 'Online Requests CSV', ['Patient Name', 'Name', 'Patient', 'NHS Number']);
+
+  const { isGP, isIncluded } = createStaffClassifier(options.staffRoster);
+  const granularity = GRANULARITIES.includes(options.granularity) ? options.granularity : 'month';
+  const parseReportPeriod = (value) => parseReportPeriodKey(value, granularity);
+
+  const monthlyMap = {};
+  const staffMap = {};
+  const slotMap = {};
+  const combinedMap = {};
+
+  // Helper function to update staff aggregation by month
+  const updateStaff = (month, name, type, value) => {
+    if (!name) return;
+    const key = `${month}_${name}`;
+    if (!staffMap[key]) {
+      staffMap[key] = { month, staff: name, isGP: isGP(name), totalAppts: 0, dnaCount: 0, unusedSlots: 0 };
+    }
+    if (type === 'appts') staffMap[key].totalAppts += value;
+    else if (type === 'dna') staffMap[key].dnaCount += value;
+    else if (type === 'unused') staffMap[key].unusedSlots += value;
+  };
+
+  // Helper function to update slot type aggregation by month
+  const updateSlot = (month, slotName, type, value, associatedStaffName) => {
+    if (!slotName) return;
+    const key = `${month}_${slotName}`;
+    if (!slotMap[key]) {
+      slotMap[key] = { month, slotType: slotName, hasGPActivity: false, totalAppts: 0, dnaCount: 0, unusedSlots: 0 };
+    }
+    if (type === 'appts') slotMap[key].totalAppts += value;
+    else if (type === 'dna') slotMap[key].dnaCount += value;
+    else if (type === 'unused') slotMap[key].unusedSlots += value;
+    if (associatedStaffName && isGP(associatedStaffName)) {
+      slotMap[key].hasGPActivity = true;
+    }
+  };
+
+  // Helper function to update combined staff + slot aggregation by month
+  const updateCombined = (month, staffName, slotName, type, value) => {
+    if (!staffName || !slotName) return;
+    const key = `${month}_${staffName}_${slotName}`;
+    if (!combinedMap[key]) {
+      combinedMap[key] = {
+        month,
+        staff: staffName,
+        slotType: slotName,
+        isGP: isGP(staffName),
+        totalAppts: 0,
+        dnaCount: 0,
+        unusedSlots: 0
+      };
+    }
+    if (type === 'appts') combinedMap[key].totalAppts += value;
+    else if (type === 'dna') combinedMap[key].dnaCount += value;
+    else if (type === 'unused') combinedMap[key].unusedSlots += value;
+  };
+
+  // Process appointment data: Handle pivot table format where each staff member is a column
+  for (const row of apptData) {
+    const dateStr = row['Date'];
+    if (!dateStr) continue;
+
+    const dateObj = parseLocalDate(dateStr);
+    if (!dateObj) continue;
+
+    const monthKey = toPeriodKey(dateObj, granularity);
+
+    if (!monthlyMap[monthKey]) {
+      monthlyMap[monthKey] = {
+        month: monthKey,
+        dateObj: getPeriodStart(dateObj, granularity),
+        totalAppts: 0,
+        firstDate: dateObj,
+        lastDate: dateObj,
+        dnaMeasured: 0,
+        dnaGPMeasured: 0,
+        dnaDatedRows: 0,
+        unusedMeasured: 0,
+        unusedGPMeasured: 0,
+        unusedDatedRows: 0,
+        onlineTotal: 0,
+        onlineClinicalNoAppt: 0
+      };
+    }
+
+    // Track the date span covered so partial months at either end are not overcounted
+    if (dateObj < monthlyMap[monthKey].firstDate) monthlyMap[monthKey].firstDate = dateObj;
+    if (dateObj > monthlyMap[monthKey].lastDate) monthlyMap[monthKey].lastDate = dateObj;
+
+    // Iterate through all columns (each column is a staff member)
+    Object.keys(row).forEach(key => {
+      if (key === 'Date' || key === 'Day') return;
+      if (!isIncluded(key)) return;
+
+      let val = row[key];
+      if (typeof val === 'string') val = val.trim();
+      const count = parseInt(val, 10);
+      if (isNaN(count) || count === 0) return;
+
+      monthlyMap[monthKey].totalAppts += count;
+      updateStaff(monthKey, key, 'appts', count);
+    });
+  }
+
+  // Calculate working days per bucket from the England & Wales calendar
+  // (weekdays minus bank holidays and practice closure days) over the dates covered
+  const closureDays = normaliseClosureDays(config.closureDays);
+  Object.values(monthlyMap).forEach(m => {
+    m.workingDays = countWorkingDays(m.firstDate, m.lastDate, closureDays);
+    delete m.firstDate;
+    delete m.lastDate;
+  });
+
+  // Helper to get all months a staff member worked
+  const getMonthsForStaff = (name) => {
+    return Object.values(staffMap)
+      .filter(r => r.staff === name)
+      .map(r => r.month);
+  };
+
+  // Dated report rows with no appointments in their period, reported rather than counted
+  const wasteOutsideRange = { dna: { rows: 0, count: 0 }, unused: { rows: 0, count: 0 } };
+
+  // Attribute one DNA/Unused report row to the month it is dated in, or fall back to
+  // splitting it evenly across the months the staff member worked when undated.
+  // Returns false for excluded staff and dated rows outside the appointments date range.
+  const attributeWasteRow = (row, dateColumn, type, count, booked) => {
+    const staffName = row['Staff'];
+    const slotName = row['Slot Type'];
+    if (staffName && !isIncluded(staffName)) return false;
+    const datedMonth = dateColumn ? parseReportPeriod(row[dateColumn]) : null;
+
+    let shares;
+    if (datedMonth) {
+      if (!monthlyMap[datedMonth]) {
+        wasteOutsideRange[type].rows += 1;
+        wasteOutsideRange[type].count += count;
+        return false;
+      }
+      shares = [{ month: datedMonth, count, booked }];
+      monthlyMap[datedMonth][`${type}Measured`] += count;
+      monthlyMap[datedMonth][`${type}DatedRows`] += 1;
+      if (isGP(staffName)) monthlyMap[datedMonth][`${type}GPMeasured`] += count;
+    } else {
+      const workedMonths = getMonthsForStaff(staffName);
+      if (workedMonths.length > 0) {
+        shares = workedMonths.map(month => ({
+          month,
+          count: count / workedMonths.length,
+          booked: booked / workedMonths.length,
+        }));
+      } else {
+        // Staff not in appointment data - add to first month
+        const firstMonth = Object.keys(monthlyMap)[0];
+        shares = firstMonth ? [{ month: firstMonth, count, booked }] : [];
+      }
+    }
+
+    shares.forEach(share => {
+      updateStaff(share.month, staffName, type, share.count);
+      if (slotName) {
+        updateSlot(share.month, slotName, type, share.count, staffName);
+        updateCombined(share.month, staffName, slotName, type, share.count);
+        if (type === 'unused') {
+          updateSlot(share.month, slotName, 'appts', share.booked, staffName);
+          updateCombined(share.month, staffName, slotName, 'appts', share.booked);
+        }
+      }
+    });
+    return true;
+  };
+
+  // Process DNA data: dated rows go to their own month, undated rows are estimated
+  const dnaDateColumn = findReportDateColumn(dnaData);
+  let undatedDNA = 0;
+  for (const row of dnaData) {
+    const count = parseInt(row['Appointment Count'], 10) || 0;
+    const isDated = Boolean(dnaDateColumn && parseReportPeriod(row[dnaDateColumn]));
+    if (attributeWasteRow(row, dnaDateColumn, 'dna', count, 0) && !isDated) {
+      undatedDNA += count;
+    }
+  }
+
+  // Process unused slots: dated rows go to their own month, undated rows are estimated
+  const unusedDateColumn = findReportDateColumn(unusedData);
+  let undatedUnused = 0;
+  for (const row of unusedData) {
+    const count = parseInt(row['Unused Slots'], 10) || 0;
+    const totalSlots = parseInt(row['Total Slots'], 10) || 0;
+    const booked = Math.max(0, totalSlots - count);
+    const isDated = Boolean(unusedDateColumn && parseReportPeriod(row[unusedDateColumn]));
+    if (attributeWasteRow(row, unusedDateColumn, 'unused', count, booked) && !isDated) {
+      undatedUnused += count;
+    }
+  }
+
+  // Process online requests data: Transform raw CSV into structured format with computed properties
+  const onlineRows = [];
+  if (config.useOnline && onlineData.length > 0) {
+    onlineData.forEach(row => {
+      const dateStr = row['Submission started'];
+      if (!dateStr) return;
+      const date = parseLocalDate(dateStr);
+      if (!date) return;
+
+      const monthKey = toPeriodKey(date, granularity);
+      const type = row['Type'];
+      const outcome = (row['Outcome'] || '').trim();
+      const outcomeLower = outcome.toLowerCase();
+      const age = parseInt(row['Age'], 10);
+
+      // Aggregate online totals into monthly map
+      if (monthlyMap[monthKey]) {
+        monthlyMap[monthKey].onlineTotal += 1;
+
+        // Count clinical requests that didn't result in an appointment
+        if (type === 'Clinical' && !outcomeLower.includes('appointment offered') && !outcomeLower.includes('appointment booked')) {
+          monthlyMap[monthKey].onlineClinicalNoAppt += 1;
+        }
+      }
+
+      onlineRows.push({
+        month: monthKey,
+        type,
+        outcome,
+        outcomeLower,
+        access: row['Access method'],
+        sex: row['Sex'],
+        age: !isNaN(age) ? age : null,
+        date,
+        completeStr: row['Submission started'],
+        outcomeStr: row['Outcome dateTime']
+      });
+    });
+  }
+
+  // Attach telephony metrics to the months they report on
+  if (config.useTelephony && granularity === 'month') {
+    for (const report of telephonyReports) {
+      for (const { monthKey, metrics, lowConfidence = [] } of report.months) {
+        if (!monthlyMap[monthKey]) continue;
+        monthlyMap[monthKey].telephony = metrics;
+        monthlyMap[monthKey].telephonySource = report.adapterName;
+        monthlyMap[monthKey].telephonyLowConfidence = lowConfidence.join(', ');
+      }
+    }
+  }
+
+  // Sort months chronologically
+  const monthsArray = Object.values(monthlyMap).sort((a, b) => a.dateObj - b.dateObj);
+
+  const totalApptsAll = monthsArray.reduce((sum, m) => sum + m.totalAppts, 0);
+
+  // Calculate metrics for each month
+  const enrichedMonths = monthsArray.map(m => {
+    const { month, dateObj, totalAppts, workingDays, telephony, onlineTotal, onlineClinicalNoAppt } = m;
+
+    // Undated DNA and unused slots are estimated using proportional distribution
+    // based on this month's appointment volume relative to total appointments;
+    // dated report rows are added exactly as measured
+    const weight = totalApptsAll > 0 ? totalAppts / totalApptsAll : 0;
+    const undatedMonthDNA = Math.round(undatedDNA * weight);
+    const undatedMonthUnused = Math.round(undatedUnused * weight);
+    const estDNA = m.dnaMeasured + undatedMonthDNA;
+    const estUnused = m.unusedMeasured + undatedMonthUnused;
+
+    const t = telephony || {};
+
+    const gpAppts = Object.values(staffMap)
+      .filter(s => isGP(s.staff))
+      .reduce((sum, s) => sum + (s.totalAppts * weight), 0);
+
+    const estGPDNA = m.dnaGPMeasured + Math.round(undatedMonthDNA * (gpAppts / (totalAppts || 1)));
+    const estGPUnused = m.unusedGPMeasured + Math.round(undatedMonthUnused * (gpAppts / (totalAppts || 1)));
+
+    const counts = {
+      totalAppts,
+      workingDays,
+      gpAppts,
+      estDNA,
+      estUnused,
+      estGPDNA,
+      estGPUnused,
+      onlineTotal: onlineTotal || 0,
+      onlineClinicalNoAppt: onlineClinicalNoAppt || 0,
+    };
+
+    return {
+      month,
+      dateObj,
+      ...counts,
+      dnaAttribution: monthAttribution(m.dnaDatedRows, undatedDNA > 0 && weight > 0),
+      unusedAttribution: monthAttribution(m.unusedDatedRows, undatedUnused > 0 && weight > 0),
+      ...deriveDemandMetrics({ ...counts, telephony: t }, config.population, granularity),
+      telephonySource: m.telephonySource || '',
+      telephonyLowConfidence: m.telephonyLowConfidence || '',
+      ...t
+    };
+  });
+
+  return {
+    enrichedMonths,
+    staffData: Object.values(staffMap),
+    slotData: Object.values(slotMap),
+    combinedData: Object.values(combinedMap),
+    onlineRows,
+    forecastData: granularity === 'month' ? buildLocalForecast(enrichedMonths, closureDays) : { hasData: false, count: enrichedMonths.length },
+    wasteOutsideRange,
+  };
+};
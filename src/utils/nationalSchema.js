@@ -0,0 +1,534 @@
+/**
+ * National Workbook Schemas
+ *
+ * Header-driven column mapping for the NHS England national publications:
+ * GPAD appointments (Annex 1), Cloud Based Telephony and OC Systems. Each
+ * table schema lists the fields it needs with the header names (and older
+ * synonyms) NHS England has published them under. mapNationalTable finds
+ * the header row and maps every field to a column by name, so a layout
+ * change either still maps correctly or is reported, never silently shifted.
+ *
+ * Works on raw sheet rows (XLSX.utils.sheet_to_json(sheet, { header: 1 }))
+ * so it runs in the browser and in scripts/preprocess-data.js.
+ *
+ * Field spec: { key, header: [...synonyms], group?: [...], sub?: [...], optional? }
+ *   header - names for the column in the main header row (first is current)
+ *   group  - names for the merged band above it (tables with a group row)
+ *   sub    - names for the sub-header below it, e.g. 'total' / '%'
+ */
+
+const HEADER_SEARCH_ROWS = 30;
+
+// Lowercase, drop footnote markers like "[4]" / "[2,3]", thousands separators and punctuation
+export const normaliseHeader = (value) => String(value ?? '')
+  .toLowerCase()
+  .replace(/\[[^\]]*\]/g, ' ')
+  .replace(/(\d),(\d)/g, '$1$2')
+  .replace(/[^a-z0-9%]+/g, ' ')
+  .trim();
+
+// ============================================
+// FIELD HELPERS
+// ============================================
+
+const field = (key, header, extra = {}) => ({ key, header, ...extra });
+
+// Count and % column pair under a merged header (telephony Table 3 style)
+const countAndPct = (key, header, countSub = ['total', 'count'], pctSub = ['%']) => [
+  field(key, header, { sub: countSub }),
+  field(`${key}Pct`, header, { sub: pctSub }),
+];
+
+// Count and % pair for a time band inside a group (telephony Tables 4 and 5)
+const bandAndPct = (key, group, header) => [
+  field(key, header, { group, sub: ['count'] }),
+  field(`${key}Pct`, header, { group, sub: ['%'] }),
+];
+
+const GEOGRAPHY_FIELDS = [
+  field('pcnCode', ['pcn code']),
+  field('pcnName', ['pcn name']),
+  field('subICBCode', ['sub icb code', 'sub icb location code']),
+  field('subICBName', ['sub icb name', 'sub icb location name']),
+  field('icbCode', ['icb code']),
+  field('icbName', ['icb name']),
+  field('regionCode', ['region code']),
+  field('regionName', ['region name']),
+];
+
+const TELEPHONY_ID_FIELDS = [
+  field('month', ['month']),
+  field('odsCode', ['gp practice ods code', 'gp code', 'ods code']),
+  field('gpName', ['gp name', 'practice name']),
+  ...GEOGRAPHY_FIELDS,
+];
+
+// Only Table 1 needs the geography columns; other GPAD tables list them so they
+// are not reported as extras (or taken as categories in Table 3a)
+const gpadIdFields = (geographyOptional) => [
+  field('month', ['month', 'appointment month start date'], { optional: true }),
+  field('odsCode', ['gp code']),
+  field('gpName', ['gp name']),
+  field('supplier', ['supplier'], { optional: true }),
+  ...[
+    field('pcnCode', ['pcn code']),
+    field('pcnName', ['pcn name']),
+    field('subICBCode', ['sub icb location code', 'sub icb code']),
+    field('subICBName', ['sub icb location name', 'sub icb name']),
+  ].map(spec => ({ ...spec, optional: geographyOptional })),
+];
+
+// Telephony wait-time bands. Field names predate the current bands and are kept
+// for compatibility: twoToThreeMin is "2 - 5 minutes", threeToFourMin "Longer than 5 minutes"
+const waitBands = (group) => [
+  ...bandAndPct('lessThan1Min', group, ['less than 1 minute']),
+  ...bandAndPct('oneToTwoMin', group, ['1 2 minutes']),
+  ...bandAndPct('twoToThreeMin', group, ['2 5 minutes']),
+  ...bandAndPct('threeToFourMin', group, ['longer than 5 minutes']),
+];
+
+const DURATION_GROUP = ['answered calls duration'];
+
+// ============================================
+// TABLE SCHEMAS
+// ============================================
+
+/**
+ * Schemas by dataset, then sheet name
+ * anchor      - field whose header identifies the header row
+ * groupRow    - a merged band row sits directly above the header row
+ * subRow      - a sub-header row (Total / Count / %) sits directly below it
+ * totalRow    - how the national total row is recognised ('total' in the first column)
+ * totals      - fields reconciled between practice rows and the national total row
+ * externalTotals - fields reconciled against a labelled figure in another sheet
+ * dynamic     - unclaimed header columns are data (GPAD Table 3a categories), not extras
+ */
+export const NATIONAL_SCHEMAS = {
+  appointments: {
+    label: 'GPAD Appointments',
+    monthSheet: 'Table 1',
+    tables: {
+      'Table 1': {
+        anchor: 'odsCode',
+        totalRow: true,
+        totals: ['totalAppointments'],
+        fields: [
+          ...gpadIdFields(false),
+          field('totalAppointments', ['appointments']),
+          field('listSize', ['list size']),
+          field('appointmentsPer1000', ['appointments per 1000 patients']),
+        ],
+      },
+      'Table 2a': {
+        anchor: 'odsCode',
+        totalRow: true,
+        optionalSheet: true,
+        fields: [
+          ...gpadIdFields(true),
+          field('sameDay', ['same day']),
+          field('oneDay', ['1 day']),
+          field('twoToSevenDays', ['2 7 days']),
+          field('eightToFourteenDays', ['8 14 days']),
+          field('fifteenToTwentyOneDays', ['15 21 days']),
+          field('twentyTwoToTwentyEightDays', ['22 28 days']),
+          field('moreThan28Days', ['morethan28 days', 'more than 28 days']),
+          field('unknown', ['unknown', 'unknown data quality']),
+        ],
+      },
+      'Table 3a': {
+        anchor: 'odsCode',
+        totalRow: true,
+        optionalSheet: true,
+        dynamic: true,
+        fields: gpadIdFields(true),
+      },
+      'Table 4': {
+        anchor: 'odsCode',
+        totalRow: true,
+        optionalSheet: true,
+        fields: [
+          ...gpadIdFields(true),
+          field('faceToFace', ['face to face']),
+          field('homeVisit', ['home visit']),
+          field('telephone', ['telephone']),
+          field('video', ['video conference online', 'video conference', 'video']),
+          field('unknown', ['unknown']),
+        ],
+      },
+      'Table 5': {
+        anchor: 'odsCode',
+        totalRow: true,
+        optionalSheet: true,
+        fields: [
+          ...gpadIdFields(true),
+          field('gpAppointments', ['gp']),
+          field('otherStaffAppointments', ['other practice staff']),
+          field('unknown', ['unknown']),
+        ],
+      },
+      'Table 6': {
+        anchor: 'odsCode',
+        totalRow: true,
+        optionalSheet: true,
+        fields: [
+          ...gpadIdFields(true),
+          field('attended', ['attended']),
+          field('dna', ['dna']),
+          field('unknown', ['unknown']),
+        ],
+      },
+    },
+  },
+
+  telephony: {
+    label: 'Cloud Based Telephony',
+    monthSheet: 'Table 3',
+    tables: {
+      'Table 3': {
+        anchor: 'gpName',
+        subRow: true,
+        totalRow: true,
+        totals: ['inboundCalls', 'answered', 'missed'],
+        fields: [
+          ...TELEPHONY_ID_FIELDS,
+          field('inboundCalls', ['count of inbound calls', 'total inbound calls'], { sub: ['total', 'count'] }),
+          ...countAndPct('answered', ['answered']),
+          ...countAndPct('endedDuringIVR', ['ended during the ivr stage', 'ended during ivr']),
+          ...countAndPct('callbackRequested', ['call back requested', 'callback requested']),
+          ...countAndPct('missed', ['missed']),
+          ...countAndPct('callbackMade', ['call back made', 'callback made'], ['total', 'count'], ['% of requested', '%']),
+        ],
+      },
+      'Table 4': {
+        anchor: 'gpName',
+        groupRow: true,
+        subRow: true,
+        totalRow: true,
+        fields: [
+          ...TELEPHONY_ID_FIELDS,
+          field('inboundCalls', ['total inbound calls'], { sub: ['count'] }),
+          ...countAndPct('answered', ['answered'], ['count']),
+          ...waitBands(['answered calls wait time']),
+          ...bandAndPct('durationLessThan1Min', DURATION_GROUP, ['less than 1 minute']),
+          ...bandAndPct('durationOneToTwoMin', DURATION_GROUP, ['1 2 minutes']),
+          ...bandAndPct('durationTwoToFiveMin', DURATION_GROUP, ['2 5 minutes']),
+          ...bandAndPct('durationFivePlusMin', DURATION_GROUP, ['longer than 5 minutes']),
+        ],
+      },
+      'Table 5': {
+        anchor: 'gpName',
+        groupRow: true,
+        subRow: true,
+        totalRow: true,
+        optionalSheet: true,
+        fields: [
+          ...TELEPHONY_ID_FIELDS,
+          field('inboundCalls', ['total inbound calls'], { sub: ['count'] }),
+          ...countAndPct('missed', ['missed'], ['count']),
+          ...waitBands(['missed calls wait time']),
+        ],
+      },
+    },
+  },
+
+  onlineConsultations: {
+    label: 'OC Systems',
+    monthSheet: 'Table 2',
+    tables: {
+      'Table 2': {
+        anchor: 'odsCode',
+        externalTotals: {
+          submissions: { sheet: 'Table 1', label: 'total submissions received by practices' },
+        },
+        fields: [
+          field('month', ['month']),
+          field('odsCode', ['gp code']),
+          field('gpName', ['gp name']),
+          ...GEOGRAPHY_FIELDS,
+          field('supplier', ['supplier']),
+          field('submissions', ['submissions']),
+          field('clinicalSubmissions', ['clinical submissions']),
+          field('adminSubmissions', ['administrative submissions']),
+          field('otherSubmissions', ['other unknown type submissions']),
+          field('listSize', ['registered patient count']),
+          field('ratePer1000', ['rate per 1000 registered patients']),
+          // Not published before mid-2024
+          field('participation', ['participation'], { optional: true }),
+        ],
+      },
+      'Table 3': {
+        anchor: 'day',
+        optionalSheet: true,
+        fields: [
+          field('day', ['day']),
+          field('00:00-05:59', ['00 00 05 59']),
+          field('06:00-07:59', ['06 00 07 59']),
+          field('08:00-09:59', ['08 00 09 59']),
+          field('10:00-11:59', ['10 00 11 59']),
+          field('12:00-13:59', ['12 00 13 59']),
+          field('14:00-15:59', ['14 00 15 59']),
+          field('16:00-17:59', ['16 00 17 59']),
+          field('18:00-23:59', ['18 00 23 59']),
+          field('unknown', ['unknown'], { optional: true }),
+        ],
+      },
+    },
+  },
+};
+
+// Sheets to read for a dataset: its tables plus any sheet used for reconciliation
+export const getSchemaSheetNames = (dataset) => {
+  const tables = NATIONAL_SCHEMAS[dataset]?.tables || {};
+  const external = Object.values(tables).flatMap(t => Object.values(t.externalTotals || {}).map(source => source.sheet));
+  return [...new Set([...Object.keys(tables), ...external])];
+};
+
+// ============================================
+// HEADER MAPPING
+// ============================================
+
+// Carry merged header labels across the empty cells to their right
+const forwardFill = (row, width) => {
+  const filled = [];
+  let current = '';
+  for (let c = 0; c < width; c++) {
+    const label = normaliseHeader(row?.[c]);
+    if (label) current = label;
+    filled.push(current);
+  }
+  return filled;
+};
+
+const matchesAny = (label, names) => names.includes(label);
+
+// Header text as published for a column (merged headers are written in their first cell)
+const publishedHeader = (row, col) => {
+  for (let c = col; c >= 0; c--) {
+    if (normaliseHeader(row[c])) return String(row[c]).replace(/\s+/g, ' ').trim();
+  }
+  return '';
+};
+
+const findHeaderRow = (rows, anchor) => {
+  for (let i = 0; i < Math.min(HEADER_SEARCH_ROWS, rows.length); i++) {
+    const row = rows[i] || [];
+    if (row.some(cell => matchesAny(normaliseHeader(cell), anchor.header))) return i;
+  }
+  return -1;
+};
+
+const isTotalRow = (row, columns) => {
+  const first = normaliseHeader(row?.[columns.month ?? 0]);
+  return first.startsWith('total') || first.includes('england');
+};
+
+/**
+ * Locate a table's header row and map its fields to columns
+ * @param {Array[]} rows - Raw sheet rows
+ * @param {Object} schema - Table schema from NATIONAL_SCHEMAS
+ * @returns {Object} Table layout with column map, row accessors and a validation report
+ */
+export function mapNationalTable(rows, schema) {
+  const anchor = schema.fields.find(f => f.key === schema.anchor);
+  const headerRowIndex = findHeaderRow(rows || [], anchor);
+  const report = {
+    headerRow: headerRowIndex,
+    dataRows: 0,
+    missing: [],
+    renamed: [],
+    extra: [],
+    reconciliation: [],
+    errors: [],
+    warnings: [],
+  };
+
+  const columns = {};
+  let dynamicColumns = [];
+  let dataStartRow = 0;
+
+  if (headerRowIndex === -1) {
+    report.errors.push(`Header row not found (looked for "${anchor.header[0]}" in the first ${HEADER_SEARCH_ROWS} rows)`);
+  } else {
+    const headerRow = rows[headerRowIndex] || [];
+    const groupRow = schema.groupRow ? rows[headerRowIndex - 1] || [] : null;
+    const subRow = schema.subRow ? rows[headerRowIndex + 1] || [] : null;
+    const width = Math.max(headerRow.length, groupRow?.length || 0, subRow?.length || 0);
+    const headers = forwardFill(headerRow, width);
+    const groups = groupRow ? forwardFill(groupRow, width) : null;
+    const subs = subRow ? Array.from({ length: width }, (_, c) => normaliseHeader(subRow[c])) : null;
+    const claimed = new Set();
+
+    // A field matches when each header level it specifies matches; the first
+    // synonym that matches decides whether the column was renamed
+    schema.fields.forEach(spec => {
+      for (const name of spec.header) {
+        const col = headers.findIndex((label, c) => (
+          !claimed.has(c) &&
+          label === name &&
+          (!spec.group || matchesAny(groups?.[c], spec.group)) &&
+          (!spec.sub || matchesAny(subs?.[c], spec.sub))
+        ));
+        if (col !== -1) {
+          columns[spec.key] = col;
+          claimed.add(col);
+          if (name !== spec.header[0]) {
+            report.renamed.push({ key: spec.key, expected: spec.header[0], found: publishedHeader(headerRow, col) });
+          }
+          return;
+        }
+      }
+      if (!spec.optional) report.missing.push(spec.key);
+    });
+
+    // Columns with their own header cell that no field claimed
+    const unclaimed = headerRow
+      .map((cell, c) => ({ label: String(cell ?? '').trim(), c }))
+      .filter(({ label, c }) => label && !claimed.has(c));
+    if (schema.dynamic) {
+      dynamicColumns = unclaimed.map(({ label, c }) => ({ label, idx: c }));
+    } else {
+      report.extra = unclaimed.map(({ label }) => label);
+    }
+
+    report.missing.forEach(key => report.errors.push(`Missing column for "${key}"`));
+    report.renamed.forEach(r => report.warnings.push(`"${r.key}" found under renamed header "${r.found}"`));
+    report.extra.forEach(label => report.warnings.push(`Unexpected column "${label}"`));
+
+    dataStartRow = headerRowIndex + (schema.subRow ? 2 : 1);
+  }
+
+  const get = (row, key) => (columns[key] === undefined ? undefined : row?.[columns[key]]);
+  const num = (row, key) => Number(get(row, key)) || 0;
+  const text = (row, key) => String(get(row, key) ?? '').trim();
+
+  // Data rows (non-empty, excluding the national total row)
+  const dataRows = [];
+  let totalRow = null;
+  if (headerRowIndex !== -1) {
+    for (let i = dataStartRow; i < rows.length; i++) {
+      const row = rows[i];
+      if (!row || row.length === 0 || row.every(cell => cell === null || cell === undefined || cell === '')) continue;
+      if (schema.totalRow && !totalRow && isTotalRow(row, columns)) {
+        totalRow = row;
+        continue;
+      }
+      dataRows.push(row);
+    }
+  }
+  report.dataRows = dataRows.length;
+  if (headerRowIndex !== -1 && dataRows.length === 0) report.errors.push('No data rows found');
+
+  return { headerRowIndex, dataStartRow, columns, dynamicColumns, dataRows, totalRow, get, num, text, report };
+}
+
+// Read mapped fields from a data row: text fields trimmed, number fields as numbers (0 when blank)
+export const readRecord = (table, row, { text = [], numbers = [] }) => ({
+  ...Object.fromEntries(text.map(key => [key, table.text(row, key)])),
+  ...Object.fromEntries(numbers.map(key => [key, table.num(row, key)])),
+});
+
+// Relative tolerance for national total reconciliation (NHS England rounds some totals)
+export const RECONCILIATION_TOLERANCE = 0.005;
+
+const reconcile = (key, rowsTotal, nationalTotal) => {
+  const difference = rowsTotal - nationalTotal;
+  const relative = nationalTotal ? Math.abs(difference) / Math.abs(nationalTotal) : (difference === 0 ? 0 : 1);
+  return { key, rowsTotal, nationalTotal, difference, ok: relative <= RECONCILIATION_TOLERANCE };
+};
+
+// First number to the right of a cell whose text starts with label
+const findLabelledTotal = (rows, label) => {
+  for (const row of rows || []) {
+    const idx = (row || []).findIndex(cell => normaliseHeader(cell).startsWith(label));
+    if (idx === -1) continue;
+    const value = row.slice(idx + 1).find(cell => typeof cell === 'number');
+    if (value !== undefined) return value;
+  }
+  return null;
+};
+
+/**
+ * Map and validate every table in a national workbook
+ * @param {string} dataset - 'appointments' | 'telephony' | 'onlineConsultations'
+ * @param {Object} sheets - Raw rows by sheet name
+ * @returns {{dataset: string, ok: boolean, tables: Object, errors: string[], warnings: string[]}}
+ *   tables holds each sheet's layout (see mapNationalTable); errors/warnings are prefixed with the sheet name
+ */
+export function validateNationalWorkbook(dataset, sheets) {
+  const schema = NATIONAL_SCHEMAS[dataset];
+  if (!schema) throw new Error(`Unknown national dataset "${dataset}"`);
+
+  const result = { dataset, ok: true, tables: {}, errors: [], warnings: [] };
+
+  Object.entries(schema.tables).forEach(([sheetName, tableSchema]) => {
+    const rows = sheets[sheetName];
+    if (!rows) {
+      if (tableSchema.optionalSheet) result.warnings.push(`${sheetName}: sheet not present`);
+      else result.errors.push(`${sheetName}: sheet not found`);
+      return;
+    }
+
+    const table = mapNationalTable(rows, tableSchema);
+    const { report } = table;
+
+    if (report.errors.length === 0) {
+      (tableSchema.totals || []).forEach(key => {
+        if (!table.totalRow) {
+          report.warnings.push(`No national total row to reconcile "${key}"`);
+          return;
+        }
+        const rowsTotal = table.dataRows.reduce((sum, row) => sum + table.num(row, key), 0);
+        report.reconciliation.push(reconcile(key, rowsTotal, table.num(table.totalRow, key)));
+      });
+
+      Object.entries(tableSchema.externalTotals || {}).forEach(([key, source]) => {
+        const nationalTotal = findLabelledTotal(sheets[source.sheet], source.label);
+        if (nationalTotal === null) {
+          report.warnings.push(`No "${source.label}" figure in ${source.sheet} to reconcile "${key}"`);
+          return;
+        }
+        const rowsTotal = table.dataRows.reduce((sum, row) => sum + table.num(row, key), 0);
+        report.reconciliation.push(reconcile(key, rowsTotal, nationalTotal));
+      });
+
+      report.reconciliation.filter(r => !r.ok).forEach(r => {
+        report.errors.push(`"${r.key}" practice rows sum to ${r.rowsTotal}, national total is ${r.nationalTotal}`);
+      });
+    }
+
+    result.tables[sheetName] = table;
+    report.errors.forEach(message => result.errors.push(`${sheetName}: ${message}`));
+    report.warnings.forEach(message => result.warnings.push(`${sheetName}: ${message}`));
+  });
+
+  result.ok = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Throw when a validated workbook has errors, listing them all
+ * @param {Object} validation - Result of validateNationalWorkbook
+ * @param {string} [source] - File name for the message
+ */
+export function assertValidWorkbook(validation, source = '') {
+  if (validation.ok) return;
+  const label = NATIONAL_SCHEMAS[validation.dataset]?.label || validation.dataset;
+  throw new Error(
+    `${label} workbook${source ? ` ${source}` : ''} does not match the expected layout:\n` +
+    validation.errors.map(message => `  - ${message}`).join('\n')
+  );
+}
+
+/**
+ * One-line-per-table summary of a validation result (for preprocess logs)
+ */
+export function formatValidationReport(validation) {
+  return Object.entries(validation.tables).map(([sheetName, { report }]) => {
+    const reconciled = report.reconciliation.map(r => `${r.key} ${r.ok ? 'ok' : 'MISMATCH'}`).join(', ');
+    return `${sheetName}: ${report.dataRows} rows` +
+      (report.renamed.length ? `, ${report.renamed.length} renamed` : '') +
+      (report.extra.length ? `, ${report.extra.length} extra` : '') +
+      (report.missing.length ? `, missing ${report.missing.join(', ')}` : '') +
+      (reconciled ? `, totals: ${reconciled}` : '');
+  });
+}
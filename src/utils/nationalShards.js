@@ -0,0 +1,188 @@
+/**
+ * National Data Shards
+ *
+ * Builds the lazily-loaded views of the national data written by
+ * scripts/preprocess-data.js alongside the per-month files:
+ * - practices/<ODS>.json: every month of every dataset for one practice, so a
+ *   bookmarked practice and its trends load in a single small request
+ * - practice-index.json: one row per practice for search and peer matching, without any
+ *   activity figures (ICB and sub-ICB names are held once in lookup tables rather than on every row)
+ * - national-summary.json: national totals and percentile arrays per metric and month,
+ *   so a practice can be placed against England without downloading every practice
+ *
+ * The client side lives in src/data/dataLoader.js (getPracticeData, searchPractices,
+ * loadNationalSummary) and uses percentileRank below.
+ */
+
+export const SHARD_DATASETS = ['appointments', 'telephony', 'onlineConsultations', 'workforce'];
+
+export const PRACTICES_DIR = 'practices';
+export const PRACTICE_INDEX_FILE = 'practice-index.json';
+export const NATIONAL_SUMMARY_FILE = 'national-summary.json';
+
+// Percentile points stored per metric: P0, P1, ... P100
+export const SUMMARY_PERCENTILES = Array.from({ length: 101 }, (_, i) => i);
+
+// Metrics summarised per dataset, as dot paths into a practice record
+export const SUMMARY_METRICS = {
+  appointments: {
+    listSize: 'listSize',
+    totalAppointments: 'totalAppointments',
+    appointmentsPer1000: 'appointmentsPer1000',
+    gpPct: 'staffBreakdown.gpPct',
+    sameDayPct: 'bookingWait.sameDayPct',
+    faceToFacePct: 'appointmentModes.faceToFacePct',
+    dnaPct: 'appointmentStatus.dnaPct',
+  },
+  telephony: {
+    inboundCalls: 'inboundCalls',
+    answeredPct: 'answeredPct',
+    missedPct: 'missedPct',
+    callbackRequestedPct: 'callbackRequestedPct',
+  },
+  onlineConsultations: {
+    submissions: 'submissions',
+    ratePer1000: 'ratePer1000',
+    clinicalPct: 'clinicalPct',
+  },
+  workforce: {
+    listSize: 'listSize',
+    totalWte: 'workforce.totals.totalWte',
+    totalWteGP: 'workforce.totals.totalWteGP',
+    totalWteClinical: 'workforce.totals.totalWteClinical',
+  },
+};
+
+// Organisation fields copied into the practice index (from the practice's latest record)
+const INDEX_FIELDS = ['gpName', 'pcnCode', 'pcnName', 'subICBCode', 'icbCode'];
+
+// Practice ODS codes; rows carrying anything else (e.g. a footnote read as a practice row) are skipped
+const ODS_CODE_PATTERN = /^[A-Z0-9]{3,8}$/i;
+export const isPracticeCode = (odsCode) => ODS_CODE_PATTERN.test(odsCode || '');
+const isPracticeRecord = (record) => isPracticeCode(record?.odsCode);
+
+const getPath = (record, path) => path.split('.').reduce((value, key) => value?.[key], record);
+
+// Four decimal places is finer than any published figure and keeps the summary small
+const round = (value) => Math.round(value * 10000) / 10000;
+
+export const practiceFilename = (odsCode) => `${PRACTICES_DIR}/${odsCode}.json`;
+
+/**
+ * Percentile values (linear interpolation) for each of SUMMARY_PERCENTILES
+ * @param {number[]} values - Metric values; non-finite values are ignored
+ * @returns {number[]|null} 101 values from minimum to maximum, or null when there are none
+ */
+export function percentileArray(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  return SUMMARY_PERCENTILES.map(p => {
+    const position = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+  });
+}
+
+/**
+ * Where a value sits in a percentile array, as a percentile from 0 to 100
+ * @param {number} value - The practice's value
+ * @param {number[]} percentiles - From percentileArray (national-summary.json)
+ * @returns {number|null} Interpolated percentile, or null without data
+ */
+export function percentileRank(value, percentiles) {
+  if (!Number.isFinite(value) || !percentiles?.length) return null;
+  const last = percentiles.length - 1;
+  if (value <= percentiles[0]) return 0;
+  if (value >= percentiles[last]) return 100;
+
+  // First point at or above the value; the one before it is strictly below, so the span is never zero
+  const upper = percentiles.findIndex(p => p >= value);
+  const lower = upper - 1;
+  const position = lower + (value - percentiles[lower]) / (percentiles[upper] - percentiles[lower]);
+  return (position / last) * 100;
+}
+
+// Practice profile used for peer matching (src/utils/peerMatching.js): the latest list size,
+// the GPAD clinical system supplier and the online consultation suppliers
+const peerFields = (latestByDataset) => ({
+  listSize: ['appointments', 'workforce', 'onlineConsultations']
+    .map(dataset => latestByDataset[dataset]?.listSize)
+    .find(value => value > 0) || 0,
+  clinicalSystem: latestByDataset.appointments?.supplier || '',
+  ocSuppliers: latestByDataset.onlineConsultations?.suppliers || [],
+});
+
+/**
+ * Group month outputs by practice
+ * @param {Object} monthsByDataset - { [dataset]: [[month, data], ...] } in calendar order
+ * @returns {Object} { practices: { [ods]: { odsCode, [dataset]: { [month]: record } } },
+ *   index: { practices: Array, icbNames: { [code]: name }, subICBNames: { [code]: name } } }
+ */
+export function buildPracticeShards(monthsByDataset) {
+  const practices = {};
+  const latest = {};
+
+  SHARD_DATASETS.forEach(dataset => {
+    (monthsByDataset[dataset] || []).forEach(([month, data]) => {
+      (data?.practices || []).forEach(record => {
+        if (!isPracticeRecord(record)) return;
+        practices[record.odsCode] ??= { odsCode: record.odsCode };
+        practices[record.odsCode][dataset] ??= {};
+        practices[record.odsCode][dataset][month] = record;
+        // Appointments come first, so later datasets only fill in fields it doesn't publish (e.g. ICB)
+        latest[record.odsCode] ??= {};
+        latest[record.odsCode][dataset] = record;
+      });
+    });
+  });
+
+  const icbNames = {};
+  const subICBNames = {};
+  const rows = Object.keys(practices).sort().map(odsCode => {
+    const records = SHARD_DATASETS.map(dataset => latest[odsCode][dataset]).filter(Boolean);
+    const firstValue = (field) => records.map(record => record[field]).find(value => value) || '';
+    const fields = Object.fromEntries(INDEX_FIELDS.map(field => [field, firstValue(field)]));
+    if (fields.icbCode) icbNames[fields.icbCode] ??= firstValue('icbName');
+    if (fields.subICBCode) subICBNames[fields.subICBCode] ??= firstValue('subICBName');
+    return {
+      odsCode,
+      ...fields,
+      ...peerFields(latest[odsCode]),
+      datasets: SHARD_DATASETS.filter(dataset => practices[odsCode][dataset]),
+    };
+  });
+
+  return { practices, index: { practices: rows, icbNames, subICBNames } };
+}
+
+/**
+ * National totals and per-metric percentile arrays for every month of every dataset
+ * @param {Object} monthsByDataset - { [dataset]: [[month, data], ...] } in calendar order
+ * @returns {Object} { percentiles, datasets: { [dataset]: { [month]: { practiceCount, national, metrics } } } }
+ */
+export function buildNationalSummary(monthsByDataset) {
+  const datasets = {};
+
+  SHARD_DATASETS.forEach(dataset => {
+    const months = monthsByDataset[dataset] || [];
+    if (months.length === 0) return;
+
+    datasets[dataset] = Object.fromEntries(months.map(([month, data]) => {
+      const practices = (data?.practices || []).filter(isPracticeRecord);
+      const metrics = {};
+      Object.entries(SUMMARY_METRICS[dataset]).forEach(([metric, path]) => {
+        const percentiles = percentileArray(practices.map(record => getPath(record, path)));
+        if (percentiles) metrics[metric] = percentiles;
+      });
+      return [month, {
+        practiceCount: practices.length,
+        ...(data?.national ? { national: data.national } : {}),
+        metrics,
+      }];
+    }));
+  });
+
+  return { percentiles: SUMMARY_PERCENTILES, datasets };
+}
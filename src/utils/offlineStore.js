@@ -0,0 +1,155 @@
+/**
+ * Offline Store
+ *
+ * IndexedDB storage for data the app should keep between visits without a network.
+ * The service worker (public/sw.js) caches whole files; this holds the per-practice
+ * files of the practices viewed most recently, so they can still be looked up
+ * offline once a newer data release has replaced the cached copies, and the
+ * comparison sets built on this device (see comparisonUtils.js createLocalComparison).
+ *
+ * Every function resolves to null / [] where IndexedDB isn't available
+ * (Node, some private browsing modes) or fails, so callers never need to check.
+ */
+
+const DB_NAME = 'caip-offline';
+const DB_VERSION = 2;
+
+export const RECENT_PRACTICES_STORE = 'recentPractices';
+export const COMPARISON_SETS_STORE = 'comparisonSets';
+
+// About 20 KB per practice (see src/utils/nationalShards.js)
+export const MAX_RECENT_PRACTICES = 20;
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open (creating or upgrading) the offline database
+ * @returns {Promise<IDBDatabase|null>} The database, or null without IndexedDB
+ */
+export function openOfflineDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(RECENT_PRACTICES_STORE)) {
+        db.createObjectStore(RECENT_PRACTICES_STORE, { keyPath: 'odsCode' });
+      }
+      if (!db.objectStoreNames.contains(COMPARISON_SETS_STORE)) {
+        db.createObjectStore(COMPARISON_SETS_STORE, { keyPath: 'id' });
+      }
+    };
+    dbPromise = requestToPromise(request).catch(() => null);
+  }
+  return dbPromise;
+}
+
+// Run one request against a store; resolves null when the database can't be used
+const withStore = async (storeName, mode, run) => {
+  try {
+    const db = await openOfflineDb();
+    if (!db) return null;
+    return await requestToPromise(run(db.transaction(storeName, mode).objectStore(storeName)));
+  } catch {
+    return null;
+  }
+};
+
+// Codes to drop so only the `max` most recently viewed practices are kept
+export const practicesToEvict = (records, max = MAX_RECENT_PRACTICES) => [...records]
+  .sort((a, b) => (b.viewedAt || 0) - (a.viewedAt || 0))
+  .slice(max)
+  .map(record => record.odsCode);
+
+// Practice name from the latest record in any dataset of a practice file
+const shardPracticeName = (shard) => {
+  const dataset = ['appointments', 'telephony', 'onlineConsultations', 'workforce'].find(key => shard[key]);
+  return dataset ? Object.values(shard[dataset]).at(-1)?.gpName || '' : '';
+};
+
+/**
+ * Keep a practice file for offline use, dropping the least recently viewed beyond MAX_RECENT_PRACTICES
+ * @param {Object} shard - Practice file ({ odsCode, appointments, telephony, ... })
+ * @param {string} version - Data version it came from (manifest shards.inputsHash)
+ */
+export async function saveRecentPractice(shard, version) {
+  if (!shard?.odsCode) return;
+  await withStore(RECENT_PRACTICES_STORE, 'readwrite', store => store.put({
+    odsCode: shard.odsCode,
+    gpName: shardPracticeName(shard),
+    version: version || null,
+    viewedAt: Date.now(),
+    shard,
+  }));
+
+  const evict = practicesToEvict(await listRecentPractices());
+  await Promise.all(evict.map(odsCode => (
+    withStore(RECENT_PRACTICES_STORE, 'readwrite', store => store.delete(odsCode))
+  )));
+}
+
+/**
+ * A practice file saved by saveRecentPractice
+ * @param {string} odsCode - Practice ODS code
+ * @returns {Promise<Object|null>} { odsCode, gpName, version, viewedAt, shard }, or null
+ */
+export async function getRecentPractice(odsCode) {
+  return (await withStore(RECENT_PRACTICES_STORE, 'readonly', store => store.get(odsCode))) || null;
+}
+
+/**
+ * Practices available offline, most recently viewed first (without their data)
+ * @returns {Promise<Array>} [{ odsCode, gpName, version, viewedAt }]
+ */
+export async function listRecentPractices() {
+  const records = (await withStore(RECENT_PRACTICES_STORE, 'readonly', store => store.getAll())) || [];
+  return records
+    .map(({ odsCode, gpName, version, viewedAt }) => ({ odsCode, gpName, version, viewedAt }))
+    .sort((a, b) => (b.viewedAt || 0) - (a.viewedAt || 0));
+}
+
+/**
+ * Save (or replace) a comparison set built on this device
+ * @param {Object} comparison - { id, name, createdAt, practiceCount, practices } from createLocalComparison
+ * @returns {Promise<boolean>} false when IndexedDB isn't available
+ */
+export async function saveLocalComparison(comparison) {
+  if (!comparison?.id) return false;
+  return (await withStore(COMPARISON_SETS_STORE, 'readwrite', store => store.put(comparison))) !== null;
+}
+
+/**
+ * A comparison set saved by saveLocalComparison
+ * @param {string} id - Comparison ID
+ * @returns {Promise<Object|null>} The comparison with its practices' data, or null
+ */
+export async function getLocalComparison(id) {
+  return (await withStore(COMPARISON_SETS_STORE, 'readonly', store => store.get(id))) || null;
+}
+
+/**
+ * Comparison sets saved on this device, newest first (without their data)
+ * @returns {Promise<Array>} [{ id, name, createdAt, practiceCount, practiceNames }]
+ */
+export async function listLocalComparisons() {
+  const records = (await withStore(COMPARISON_SETS_STORE, 'readonly', store => store.getAll())) || [];
+  return records
+    .map(({ id, name, createdAt, practiceCount, practices }) => ({
+      id,
+      name,
+      createdAt,
+      practiceCount,
+      practiceNames: (practices || []).map(practice => practice.surgeryName),
+    }))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Remove a saved comparison set
+export async function deleteLocalComparison(id) {
+  await withStore(COMPARISON_SETS_STORE, 'readwrite', store => store.delete(id));
+}
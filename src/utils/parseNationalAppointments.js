@@ -1,18 +1,31 @@
 import * as XLSX from 'xlsx';
+import { getSchemaSheetNames, validateNationalWorkbook, assertValidWorkbook, readRecord } from './nationalSchema.js';
+import { applyCorrections } from './dataCorrections.js';
 
 /**
  * Parse the National GPAD Appointments Excel file
- * Extracts data from Tables 1, 2a, 4, 5, and 6
+ * Extracts data from Tables 1, 2a, 3a, 4, 5, and 6 (columns located by header, see nationalSchema.js)
  * Returns structured data for practices and national aggregates
+ * @param {ArrayBuffer|Uint8Array} fileBuffer - Workbook contents (a Node Buffer works too)
+ * @param {Object} [options]
+ * @param {Function} [options.onValidation] - Receives the schema validation result before parsing
  */
-export function parseNationalAppointmentsData(fileBuffer) {
+export function parseNationalAppointmentsData(fileBuffer, { onValidation } = {}) {
   const workbook = XLSX.read(fileBuffer, { type: 'array' });
+  const sheets = Object.fromEntries(
+    getSchemaSheetNames('appointments')
+      .filter(name => workbook.Sheets[name])
+      .map(name => [name, XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 })])
+  );
 
-  // Extract month from Table 1 title
-  const table1Sheet = workbook.Sheets['Table 1'];
-  const table1Raw = XLSX.utils.sheet_to_json(table1Sheet, { header: 1 });
+  // Columns are located by header; fails on a layout change rather than misreading it
+  const validation = validateNationalWorkbook('appointments', sheets);
+  onValidation?.(validation);
+  assertValidWorkbook(validation);
+  const tables = validation.tables;
 
   // Look for the title row which contains the month (usually in first few rows)
+  const table1Raw = sheets['Table 1'];
   let dataMonth = 'Unknown';
   for (let i = 0; i < Math.min(15, table1Raw.length); i++) {
     const row = table1Raw[i];
@@ -27,32 +40,22 @@ export function parseNationalAppointmentsData(fileBuffer) {
   }
 
   // Parse Table 1: Summary data (total appointments, list size, rate per 1000)
-  const { practices: table1Practices, national: table1National } = parseTable1(table1Raw);
+  const { practices: table1Practices, national: table1National } = parseTable1(tables['Table 1']);
 
   // Parse Table 2a: Booking wait times (Same Day appointments)
-  const table2aSheet = workbook.Sheets['Table 2a'];
-  const table2aRaw = table2aSheet ? XLSX.utils.sheet_to_json(table2aSheet, { header: 1 }) : [];
-  const { data: bookingWaitData, national: bookingWaitNational } = parseTable2a(table2aRaw);
+  const { data: bookingWaitData, national: bookingWaitNational } = parseTable2a(tables['Table 2a']);
 
   // Parse Table 3a: Appointment categories
-  const table3aSheet = workbook.Sheets['Table 3a'];
-  const table3aRaw = table3aSheet ? XLSX.utils.sheet_to_json(table3aSheet, { header: 1 }) : [];
-  const { data: categoryData, national: categoryNational, categories: categoryHeaders } = parseTable3a(table3aRaw);
+  const { data: categoryData, national: categoryNational, categories: categoryHeaders } = parseTable3a(tables['Table 3a']);
 
   // Parse Table 4: Appointment modes
-  const table4Sheet = workbook.Sheets['Table 4'];
-  const table4Raw = table4Sheet ? XLSX.utils.sheet_to_json(table4Sheet, { header: 1 }) : [];
-  const { data: modesData, national: modesNational } = parseTable4(table4Raw);
+  const { data: modesData, national: modesNational } = parseTable4(tables['Table 4']);
 
   // Parse Table 5: Staff breakdown (GP vs Other Practice Staff)
-  const table5Sheet = workbook.Sheets['Table 5'];
-  const table5Raw = table5Sheet ? XLSX.utils.sheet_to_json(table5Sheet, { header: 1 }) : [];
-  const { data: staffData, national: staffNational } = parseTable5(table5Raw);
+  const { data: staffData, national: staffNational } = parseTable5(tables['Table 5']);
 
   // Parse Table 6: Appointment status (Attended, DNA, Unknown)
-  const table6Sheet = workbook.Sheets['Table 6'];
-  const table6Raw = table6Sheet ? XLSX.utils.sheet_to_json(table6Sheet, { header: 1 }) : [];
-  const { data: statusData, national: statusNational } = parseTable6(table6Raw);
+  const { data: statusData, national: statusNational } = parseTable6(tables['Table 6']);
 
   // Merge all data together by ODS code
   const enrichedPractices = table1Practices.map(practice => {
@@ -67,24 +70,11 @@ export function parseNationalAppointmentsData(fileBuffer) {
     };
   });
 
-  // Data corrections for known mapping errors
-  const DATA_CORRECTIONS = {
-    'C82040': {
-      icbCode: 'QT1',
-      icbName: 'NHS NOTTINGHAM AND NOTTINGHAMSHIRE INTEGRATED CARE BOARD'
-    }
-  };
-
-  // Apply corrections
-  const correctedPractices = enrichedPractices.map(practice => {
-    if (DATA_CORRECTIONS[practice.odsCode]) {
-      return {
-        ...practice,
-        ...DATA_CORRECTIONS[practice.odsCode]
-      };
-    }
-    return practice;
-  });
+  // Known source data errors and organisational changes (src/data/corrections.js)
+  const { practices: correctedPractices, applied: corrections } = applyCorrections(
+    enrichedPractices,
+    { dataset: 'appointments', month: dataMonth }
+  );
 
   return {
     dataMonth,
@@ -98,118 +88,57 @@ export function parseNationalAppointmentsData(fileBuffer) {
       staffBreakdown: staffNational,
       appointmentStatus: statusNational,
     },
+    corrections,
   };
 }
 
+// Practice rows keyed by ODS code plus the national row, built by build(row) from a mapped table
+const readByPractice = (table, build) => {
+  if (!table) return { data: {}, national: null };
+  const data = {};
+  table.dataRows.forEach(row => {
+    const odsCode = table.text(row, 'odsCode');
+    if (!odsCode || odsCode.toLowerCase() === 'unmapped') return;
+    if (table.text(row, 'gpName').toLowerCase() === 'unmapped') return;
+    data[odsCode] = build(row);
+  });
+  return { data, national: table.totalRow ? build(table.totalRow) : null };
+};
+
 /**
  * Parse Table 1: Summary (Total appointments, List Size, Rate per 1000)
  * Columns: Month, GP_CODE, GP_NAME, SUPPLIER, PCN_CODE, PCN_NAME, SUB_ICB_LOCATION_CODE, SUB_ICB_LOCATION_NAME,
  *          APPOINTMENTS, List_Size, Appointments_per_1000_patients
  */
-function parseTable1(rawData) {
+function parseTable1(table) {
+  const totals = (row) => readRecord(table, row, { numbers: ['totalAppointments', 'listSize', 'appointmentsPer1000'] });
   const practices = [];
-  let national = null;
-
-  // Find header row to determine column indices
-  let headerRowIndex = -1;
-  for (let i = 0; i < Math.min(20, rawData.length); i++) {
-    const row = rawData[i];
-    if (row && row.some(cell => String(cell).includes('GP_CODE') || String(cell).includes('APPOINTMENTS'))) {
-      headerRowIndex = i;
-      break;
-    }
-  }
-
-  if (headerRowIndex === -1) {
-    console.warn('Could not find header row in Table 1');
-    return { practices: [], national: null };
-  }
-
-  // Data typically starts 1-2 rows after headers
-  const dataStartRow = headerRowIndex + 1;
-
-  for (let i = dataStartRow; i < rawData.length; i++) {
-    const row = rawData[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-    const gpName = String(row[2] || '').trim();
-
-    // Check for National/Total row
-    if (String(row[0]).toLowerCase().includes('total') || String(row[0]).toLowerCase().includes('england')) {
-      national = {
-        totalAppointments: Number(row[8]) || 0,
-        listSize: Number(row[9]) || 0,
-        appointmentsPer1000: Number(row[10]) || 0,
-      };
-      continue;
-    }
 
+  table.dataRows.forEach(row => {
+    const odsCode = table.text(row, 'odsCode');
     // Skip empty or unmapped rows
-    if (!odsCode || odsCode.toLowerCase() === 'unmapped') continue;
-
-    const practiceData = {
-      odsCode,
-      gpName,
-      supplier: String(row[3] || '').trim(),
-      pcnCode: String(row[4] || '').trim(),
-      pcnName: String(row[5] || '').trim(),
-      subICBCode: String(row[6] || '').trim(),
-      subICBName: String(row[7] || '').trim(),
-      totalAppointments: Number(row[8]) || 0,
-      listSize: Number(row[9]) || 0,
-      appointmentsPer1000: Number(row[10]) || 0,
-    };
-
-    practices.push(practiceData);
-  }
+    if (!odsCode || odsCode.toLowerCase() === 'unmapped') return;
+    practices.push({
+      ...readRecord(table, row, { text: ['odsCode', 'gpName', 'supplier', 'pcnCode', 'pcnName', 'subICBCode', 'subICBName'] }),
+      ...totals(row),
+    });
+  });
 
-  return { practices, national };
+  return { practices, national: table.totalRow ? totals(table.totalRow) : null };
 }
 
 /**
  * Parse Table 2a: All appointments by booking-to-appointment time
  * Columns include: Same_Day, 1_Day, 2-7_Days, 8-14_Days, 15-21_Days, 22-28_Days, MoreThan28_Days, Unknown
  */
-function parseTable2a(rawData) {
-  const data = {};
-  let national = null;
-
-  // Find header row
-  let headerRowIndex = -1;
-  for (let i = 0; i < Math.min(20, rawData.length); i++) {
-    const row = rawData[i];
-    if (row && row.some(cell => String(cell).includes('Same_Day') || String(cell).includes('Same Day'))) {
-      headerRowIndex = i;
-      break;
-    }
-  }
-
-  if (headerRowIndex === -1) {
-    return { data: {}, national: null };
-  }
-
-  const dataStartRow = headerRowIndex + 1;
-
-  for (let i = dataStartRow; i < rawData.length; i++) {
-    const row = rawData[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-    const gpName = String(row[2] || '').trim();
-
-    // Extract booking wait data
-    // Column indices: 8=Same_Day, 9=1_Day, 10=2-7_Days, 11=8-14_Days, 12=15-21_Days, 13=22-28_Days, 14=MoreThan28_Days, 15=Unknown
-    const waitData = {
-      sameDay: Number(row[8]) || 0,
-      oneDay: Number(row[9]) || 0,
-      twoToSevenDays: Number(row[10]) || 0,
-      eightToFourteenDays: Number(row[11]) || 0,
-      fifteenToTwentyOneDays: Number(row[12]) || 0,
-      twentyTwoToTwentyEightDays: Number(row[13]) || 0,
-      moreThan28Days: Number(row[14]) || 0,
-      unknown: Number(row[15]) || 0,
-    };
+function parseTable2a(table) {
+  return readByPractice(table, row => {
+    const waitData = readRecord(table, row, {
+      numbers: [
+        'sameDay', 'oneDay', 'twoToSevenDays', 'eightToFourteenDays',
+        'fifteenToTwentyOneDays', 'twentyTwoToTwentyEightDays', 'moreThan28Days', 'unknown',
+      ],
+    });
 
     // Calculate total for percentages
     const total = waitData.sameDay + waitData.oneDay + waitData.twoToSevenDays +
@@ -219,140 +148,35 @@ function parseTable2a(rawData) {
     waitData.total = total;
     waitData.sameDayPct = total > 0 ? (waitData.sameDay / total) * 100 : 0;
     waitData.withinWeekPct = total > 0 ? ((waitData.sameDay + waitData.oneDay + waitData.twoToSevenDays) / total) * 100 : 0;
-
-    // Check for National row
-    if (String(row[0]).toLowerCase().includes('total') || String(row[0]).toLowerCase().includes('england')) {
-      national = waitData;
-      continue;
-    }
-
-    if (!odsCode || odsCode.toLowerCase() === 'unmapped') continue;
-
-    data[odsCode] = waitData;
-  }
-
-  return { data, national };
+    return waitData;
+  });
 }
 
 /**
  * Parse Table 3a: Appointments by category
- * Columns include category names in the header row
+ * Every header column that is not an identity column is a category
  */
-function parseTable3a(rawData) {
-  const data = {};
-  let national = null;
-  let categories = [];
-
-  let headerRowIndex = -1;
-  for (let i = 0; i < Math.min(25, rawData.length); i++) {
-    const row = rawData[i];
-    if (row && row.some(cell => String(cell).includes('GP_CODE') || String(cell).includes('GP_CODE'))) {
-      headerRowIndex = i;
-      break;
-    }
-  }
-
-  if (headerRowIndex === -1) {
-    return { data: {}, national: null, categories: [] };
-  }
-
-  const headerRow = rawData[headerRowIndex] || [];
-  const baseHeaders = new Set([
-    'Month',
-    'Appointment Month Start Date',
-    'GP_CODE',
-    'GP_NAME',
-    'SUPPLIER',
-    'PCN_CODE',
-    'PCN_NAME',
-    'SUB_ICB_LOCATION_CODE',
-    'SUB_ICB_LOCATION_NAME',
-    'SUB_ICB_CODE',
-    'SUB_ICB_NAME',
-  ]);
-
-  categories = headerRow
-    .map((cell, idx) => ({ label: String(cell || '').trim(), idx }))
-    .filter(item => item.label && !baseHeaders.has(item.label))
-    .map(item => item);
-
-  for (let i = headerRowIndex + 1; i < rawData.length; i++) {
-    const row = rawData[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-    const gpName = String(row[2] || '').trim();
+function parseTable3a(table) {
+  if (!table) return { data: {}, national: null, categories: [] };
 
+  const { data, national } = readByPractice(table, row => {
     const categoryCounts = {};
-    categories.forEach(({ label, idx }) => {
+    table.dynamicColumns.forEach(({ label, idx }) => {
       categoryCounts[label] = Number(row[idx]) || 0;
     });
+    return categoryCounts;
+  });
 
-    if (String(row[0]).toLowerCase().includes('total') || String(row[0]).toLowerCase().includes('england')) {
-      national = categoryCounts;
-      continue;
-    }
-
-    if (!odsCode || odsCode.toLowerCase() === 'unmapped') continue;
-    if (gpName.toLowerCase() === 'unmapped') continue;
-
-    data[odsCode] = categoryCounts;
-  }
-
-  return { data, national, categories: categories.map(item => item.label) };
+  return { data, national, categories: table.dynamicColumns.map(item => item.label) };
 }
 
 /**
  * Parse Table 4: Appointments by delivery mode
  * Columns: Face-to-Face, Home_Visit, Telephone, Video_Conference_Online, Unknown
  */
-function parseTable4(rawData) {
-  const data = {};
-  let national = null;
-
-  // Find header row
-  let headerRowIndex = -1;
-  for (let i = 0; i < Math.min(20, rawData.length); i++) {
-    const row = rawData[i];
-    if (row && row.some(cell => String(cell).includes('Face-to-Face') || String(cell).includes('Telephone'))) {
-      headerRowIndex = i;
-      break;
-    }
-  }
-
-  if (headerRowIndex === -1) {
-    return { data: {}, national: null };
-  }
-
-  // Dynamically detect column indices from header row
-  const headerRow = rawData[headerRowIndex];
-  const colIdx = { faceToFace: -1, homeVisit: -1, telephone: -1, video: -1, unknown: -1 };
-  for (let c = 0; c < headerRow.length; c++) {
-    const h = String(headerRow[c] || '').toLowerCase().replace(/[\s_-]+/g, '');
-    if (h.includes('facetoface')) colIdx.faceToFace = c;
-    else if (h.includes('homevisit')) colIdx.homeVisit = c;
-    else if (h.includes('telephone')) colIdx.telephone = c;
-    else if (h.includes('video') || h.includes('conference') || h.includes('online')) colIdx.video = c;
-    else if (h === 'unknown') colIdx.unknown = c;
-  }
-
-  const dataStartRow = headerRowIndex + 1;
-
-  for (let i = dataStartRow; i < rawData.length; i++) {
-    const row = rawData[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-    const gpName = String(row[2] || '').trim();
-
-    // Extract mode data using dynamically detected column indices
-    const modesData = {
-      faceToFace: colIdx.faceToFace >= 0 ? (Number(row[colIdx.faceToFace]) || 0) : 0,
-      homeVisit: colIdx.homeVisit >= 0 ? (Number(row[colIdx.homeVisit]) || 0) : 0,
-      telephone: colIdx.telephone >= 0 ? (Number(row[colIdx.telephone]) || 0) : 0,
-      video: colIdx.video >= 0 ? (Number(row[colIdx.video]) || 0) : 0,
-      unknown: colIdx.unknown >= 0 ? (Number(row[colIdx.unknown]) || 0) : 0,
-    };
+function parseTable4(table) {
+  return readByPractice(table, row => {
+    const modesData = readRecord(table, row, { numbers: ['faceToFace', 'homeVisit', 'telephone', 'video', 'unknown'] });
 
     // Calculate total and percentages
     const total = modesData.faceToFace + modesData.homeVisit + modesData.telephone + modesData.video + modesData.unknown;
@@ -361,59 +185,17 @@ function parseTable4(rawData) {
     modesData.homeVisitPct = total > 0 ? (modesData.homeVisit / total) * 100 : 0;
     modesData.telephonePct = total > 0 ? (modesData.telephone / total) * 100 : 0;
     modesData.videoPct = total > 0 ? (modesData.video / total) * 100 : 0;
-
-    // Check for National row
-    if (String(row[0]).toLowerCase().includes('total') || String(row[0]).toLowerCase().includes('england')) {
-      national = modesData;
-      continue;
-    }
-
-    if (!odsCode || odsCode.toLowerCase() === 'unmapped') continue;
-
-    data[odsCode] = modesData;
-  }
-
-  return { data, national };
+    return modesData;
+  });
 }
 
 /**
  * Parse Table 5: Appointments by HCP Type (GP vs Other Practice Staff)
  * Columns: GP, Other_Practice_staff, Unknown
  */
-function parseTable5(rawData) {
-  const data = {};
-  let national = null;
-
-  // Find header row
-  let headerRowIndex = -1;
-  for (let i = 0; i < Math.min(20, rawData.length); i++) {
-    const row = rawData[i];
-    if (row && row.some(cell => String(cell) === 'GP' || String(cell).includes('Other_Practice_staff') || String(cell).includes('Other Practice staff'))) {
-      headerRowIndex = i;
-      break;
-    }
-  }
-
-  if (headerRowIndex === -1) {
-    return { data: {}, national: null };
-  }
-
-  const dataStartRow = headerRowIndex + 1;
-
-  for (let i = dataStartRow; i < rawData.length; i++) {
-    const row = rawData[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-    const gpName = String(row[2] || '').trim();
-
-    // Extract staff breakdown data
-    // Column indices: 8=GP, 9=Other_Practice_staff, 10=Unknown
-    const staffData = {
-      gpAppointments: Number(row[8]) || 0,
-      otherStaffAppointments: Number(row[9]) || 0,
-      unknown: Number(row[10]) || 0,
-    };
+function parseTable5(table) {
+  return readByPractice(table, row => {
+    const staffData = readRecord(table, row, { numbers: ['gpAppointments', 'otherStaffAppointments', 'unknown'] });
 
     // Calculate total and percentages
     const total = staffData.gpAppointments + staffData.otherStaffAppointments + staffData.unknown;
@@ -423,78 +205,25 @@ function parseTable5(rawData) {
     staffData.gpToOtherRatio = staffData.otherStaffAppointments > 0
       ? staffData.gpAppointments / staffData.otherStaffAppointments
       : null;
-
-    // Check for National row
-    if (String(row[0]).toLowerCase().includes('total') || String(row[0]).toLowerCase().includes('england')) {
-      national = staffData;
-      continue;
-    }
-
-    if (!odsCode || odsCode.toLowerCase() === 'unmapped') continue;
-
-    data[odsCode] = staffData;
-  }
-
-  return { data, national };
+    return staffData;
+  });
 }
 
 /**
  * Parse Table 6: Appointments by status (Attended, DNA, Unknown)
  * Columns: Attended, DNA, Unknown
  */
-function parseTable6(rawData) {
-  const data = {};
-  let national = null;
-
-  // Find header row
-  let headerRowIndex = -1;
-  for (let i = 0; i < Math.min(20, rawData.length); i++) {
-    const row = rawData[i];
-    if (row && row.some(cell => String(cell) === 'Attended' || String(cell) === 'DNA')) {
-      headerRowIndex = i;
-      break;
-    }
-  }
-
-  if (headerRowIndex === -1) {
-    return { data: {}, national: null };
-  }
-
-  const dataStartRow = headerRowIndex + 1;
-
-  for (let i = dataStartRow; i < rawData.length; i++) {
-    const row = rawData[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-    const gpName = String(row[2] || '').trim();
-
-    // Extract status data
-    // Column indices: 8=Attended, 9=DNA, 10=Unknown
-    const statusData = {
-      attended: Number(row[8]) || 0,
-      dna: Number(row[9]) || 0,
-      unknown: Number(row[10]) || 0,
-    };
+function parseTable6(table) {
+  return readByPractice(table, row => {
+    const statusData = readRecord(table, row, { numbers: ['attended', 'dna', 'unknown'] });
 
     // Calculate total and percentages
     const total = statusData.attended + statusData.dna + statusData.unknown;
     statusData.total = total;
     statusData.attendedPct = total > 0 ? (statusData.attended / total) * 100 : 0;
     statusData.dnaPct = total > 0 ? (statusData.dna / total) * 100 : 0;
-
-    // Check for National row
-    if (String(row[0]).toLowerCase().includes('total') || String(row[0]).toLowerCase().includes('england')) {
-      national = statusData;
-      continue;
-    }
-
-    if (!odsCode || odsCode.toLowerCase() === 'unmapped') continue;
-
-    data[odsCode] = statusData;
-  }
-
-  return { data, national };
+    return statusData;
+  });
 }
 
 /**
@@ -1,19 +1,34 @@
 import * as XLSX from 'xlsx';
+import { forecastSeries, linearRegression } from './forecasting.js';
+import { getSchemaSheetNames, validateNationalWorkbook, assertValidWorkbook, readRecord } from './nationalSchema.js';
+import { applyCorrections } from './dataCorrections.js';
 
 /**
  * Parse the Online Consultations Excel file
  * Returns structured data for practices and national summary
+ * @param {ArrayBuffer|Uint8Array} fileBuffer - Workbook contents (a Node Buffer works too)
+ * @param {Object} [options]
+ * @param {Function} [options.onValidation] - Receives the schema validation result before parsing
  */
-export function parseOnlineConsultationsData(fileBuffer) {
+export function parseOnlineConsultationsData(fileBuffer, { onValidation } = {}) {
   const workbook = XLSX.read(fileBuffer, { type: 'array' });
+  const sheets = Object.fromEntries(
+    getSchemaSheetNames('onlineConsultations')
+      .filter(name => workbook.Sheets[name])
+      .map(name => [name, XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 })])
+  );
+
+  // Columns are located by header; fails on a layout change rather than misreading it
+  const validation = validateNationalWorkbook('onlineConsultations', sheets);
+  onValidation?.(validation);
+  assertValidWorkbook(validation);
 
   // Parse Table 2 - Practice-level data
-  const table2Sheet = workbook.Sheets['Table 2'];
-  const table2Raw = XLSX.utils.sheet_to_json(table2Sheet, { header: 1 });
+  const table2 = validation.tables['Table 2'];
 
-  // Extract month from title row (row 9)
+  // Extract month from the title row above the headers
   let dataMonth = 'Unknown';
-  const titleRow = table2Raw[9];
+  const titleRow = sheets['Table 2'].slice(0, table2.headerRowIndex).find(row => String(row?.[0] || '').startsWith('Table 2'));
   if (titleRow && titleRow[0]) {
     const titleText = String(titleRow[0]);
     // Extract month like "October 2025" from "Table 2: Submissions received by practices via Online Consultation Systems, October 2025"
@@ -23,20 +38,8 @@ export function parseOnlineConsultationsData(fileBuffer) {
     }
   }
 
-  // Headers are at row 11 (index 11), data starts at row 12
-  const headerRow = table2Raw[11] || [];
-  // Check if file has participation column (older files from 2024 don't have it)
-  const hasParticipationColumn = headerRow.length > 18 &&
-    String(headerRow[18] || '').toLowerCase().includes('participation');
-
-  // Data corrections for known mapping errors in NHS England source data
-  const DATA_CORRECTIONS = {
-    // Orchard Surgery should be mapped to NHS Nottingham and Nottinghamshire ICB
-    'C82040': {
-      icbCode: 'QT1',
-      icbName: 'NHS NOTTINGHAM AND NOTTINGHAMSHIRE INTEGRATED CARE BOARD'
-    }
-  };
+  // Older files (2024) don't have the participation column
+  const hasParticipationColumn = table2.columns.participation !== undefined;
 
   const practices = [];
   let nationalTotals = {
@@ -48,24 +51,21 @@ export function parseOnlineConsultationsData(fileBuffer) {
     participatingPractices: 0
   };
 
-  for (let i = 12; i < table2Raw.length; i++) {
-    const row = table2Raw[i];
-    if (!row || row.length === 0) continue;
-
-    const odsCode = String(row[1] || '').trim();
-    const gpName = String(row[2] || '').trim();
+  table2.dataRows.forEach(row => {
+    const odsCode = table2.text(row, 'odsCode');
+    const gpName = table2.text(row, 'gpName');
 
     // Skip empty rows or unmapped
-    if (!odsCode || !gpName || gpName.toLowerCase() === 'unmapped') continue;
-
-    const submissions = Number(row[12]) || 0;
-    const clinicalSubmissions = Number(row[13]) || 0;
-    const adminSubmissions = Number(row[14]) || 0;
-    const otherSubmissions = Number(row[15]) || 0;
-    const listSize = Number(row[16]) || 0;
-    const ratePer1000 = Number(row[17]) || 0;
+    if (!odsCode || !gpName || gpName.toLowerCase() === 'unmapped') return;
+
+    const submissions = table2.num(row, 'submissions');
+    const clinicalSubmissions = table2.num(row, 'clinicalSubmissions');
+    const adminSubmissions = table2.num(row, 'adminSubmissions');
+    const otherSubmissions = table2.num(row, 'otherSubmissions');
+    const listSize = table2.num(row, 'listSize');
+    const ratePer1000 = table2.num(row, 'ratePer1000');
     // For older files without participation column, assume all practices with data are participating
-    const rawParticipation = row[18];
+    const rawParticipation = table2.get(row, 'participation');
     const participation = hasParticipationColumn
       ? (String(rawParticipation).trim() === '*' ? 1 : (Number(rawParticipation) || 0))
       : (submissions > 0 ? 1 : 0);
@@ -73,16 +73,10 @@ export function parseOnlineConsultationsData(fileBuffer) {
     const practiceData = {
       odsCode,
       gpName,
-      pcnCode: String(row[3] || '').trim(),
-      pcnName: String(row[4] || '').trim(),
-      subICBCode: String(row[5] || '').trim(),
-      subICBName: String(row[6] || '').trim(),
-      icbCode: String(row[7] || '').trim(),
-      icbName: String(row[8] || '').trim(),
-      regionCode: String(row[9] || '').trim(),
-      regionName: String(row[10] || '').trim(),
-      supplier: String(row[11] || '').trim(),
-      suppliers: String(row[11] || '').split(',').map(s => s.trim()).filter(s => s),
+      ...readRecord(table2, row, {
+        text: ['pcnCode', 'pcnName', 'subICBCode', 'subICBName', 'icbCode', 'icbName', 'regionCode', 'regionName', 'supplier'],
+      }),
+      suppliers: table2.text(row, 'supplier').split(',').map(s => s.trim()).filter(s => s),
       submissions,
       clinicalSubmissions,
       adminSubmissions,
@@ -100,11 +94,6 @@ export function parseOnlineConsultationsData(fileBuffer) {
       otherPer1000: listSize > 0 ? (otherSubmissions / listSize) * 1000 : 0,
     };
 
-    // Apply any known data corrections
-    if (DATA_CORRECTIONS[odsCode]) {
-      Object.assign(practiceData, DATA_CORRECTIONS[odsCode]);
-    }
-
     practices.push(practiceData);
 
     // Accumulate national totals
@@ -116,7 +105,13 @@ export function parseOnlineConsultationsData(fileBuffer) {
       nationalTotals.totalPatients += listSize;
       nationalTotals.participatingPractices++;
     }
-  }
+  });
+
+  // Known source data errors and organisational changes (src/data/corrections.js)
+  const { practices: correctedPractices, applied: corrections } = applyCorrections(
+    practices,
+    { dataset: 'onlineConsultations', month: dataMonth }
+  );
 
   // Calculate national averages
   const national = {
@@ -139,34 +134,24 @@ export function parseOnlineConsultationsData(fileBuffer) {
   };
 
   // Parse Table 3 - Time distribution (optional, for future use)
-  const table3Sheet = workbook.Sheets['Table 3'];
-  const table3Raw = XLSX.utils.sheet_to_json(table3Sheet, { header: 1 });
+  const table3 = validation.tables['Table 3'];
   const timeDistribution = {};
 
-  // Headers at row 11, data starts at row 12
-  const timeHeaders = table3Raw[11] || [];
-  for (let i = 12; i < 19; i++) { // 7 days
-    const row = table3Raw[i];
-    if (row && row[0]) {
-      const day = String(row[0]).trim();
-      timeDistribution[day] = {
-        '00:00-05:59': Number(row[1]) || 0,
-        '06:00-07:59': Number(row[2]) || 0,
-        '08:00-09:59': Number(row[3]) || 0,
-        '10:00-11:59': Number(row[4]) || 0,
-        '12:00-13:59': Number(row[5]) || 0,
-        '14:00-15:59': Number(row[6]) || 0,
-        '16:00-17:59': Number(row[7]) || 0,
-        '18:00-23:59': Number(row[8]) || 0,
-      };
-    }
-  }
+  // First seven data rows are the days of the week (notes follow)
+  (table3?.dataRows || []).slice(0, 7).forEach(row => {
+    const day = table3.text(row, 'day');
+    if (!day) return;
+    timeDistribution[day] = readRecord(table3, row, {
+      numbers: ['00:00-05:59', '06:00-07:59', '08:00-09:59', '10:00-11:59', '12:00-13:59', '14:00-15:59', '16:00-17:59', '18:00-23:59'],
+    });
+  });
 
   return {
     dataMonth,
-    practices,
+    practices: correctedPractices,
     national,
-    timeDistribution
+    timeDistribution,
+    corrections,
   };
 }
 
@@ -299,63 +284,25 @@ export function calculateOCPCNRanking(practice, allPractices) {
 }
 
 /**
- * Simple linear regression for forecasting
+ * Simple linear regression for forecasting (shared implementation in forecasting.js)
  */
-export function linearRegression(data) {
-  const n = data.length;
-  if (n < 2) return { slope: 0, intercept: 0, r2: 0 };
-
-  let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0, sumY2 = 0;
-
-  data.forEach((point, i) => {
-    sumX += i;
-    sumY += point;
-    sumXY += i * point;
-    sumX2 += i * i;
-    sumY2 += point * point;
-  });
-
-  const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-  const intercept = (sumY - slope * sumX) / n;
-
-  // Calculate R-squared
-  const yMean = sumY / n;
-  let ssTot = 0, ssRes = 0;
-  data.forEach((point, i) => {
-    const predicted = slope * i + intercept;
-    ssTot += Math.pow(point - yMean, 2);
-    ssRes += Math.pow(point - predicted, 2);
-  });
-  const r2 = ssTot > 0 ? 1 - (ssRes / ssTot) : 0;
-
-  return { slope, intercept, r2 };
-}
+export { linearRegression };
 
 /**
  * Forecast future values based on historical data
+ * Seasonal models are chosen automatically once 12+ months exist
  */
 export function forecastValues(historicalData, periodsAhead = 3) {
-  const values = historicalData.map(d => d.value);
-  const { slope, intercept, r2 } = linearRegression(values);
-
-  const forecasts = [];
-  const lastIndex = values.length - 1;
-
-  for (let i = 1; i <= periodsAhead; i++) {
-    const futureIndex = lastIndex + i;
-    const predictedValue = slope * futureIndex + intercept;
-    forecasts.push({
-      periodOffset: i,
-      value: Math.max(0, predictedValue), // Don't forecast negative values
-      confidence: r2
-    });
-  }
+  const { forecasts, slope, r2, model, modelLabel, level } = forecastSeries(historicalData, periodsAhead);
 
   return {
-    forecasts,
+    forecasts: forecasts.map(f => ({ ...f, confidence: r2 })),
     trend: slope > 0 ? 'increasing' : slope < 0 ? 'decreasing' : 'stable',
     monthlyChange: slope,
-    r2
+    r2,
+    model,
+    modelLabel,
+    level,
   };
 }
 
@@ -0,0 +1,225 @@
+/**
+ * PCN Workspace
+ *
+ * Runs the local demand & capacity engine (localDemandEngine.js) for several
+ * practices uploaded together and combines them into a PCN total with the same
+ * shape as a single practice's result, so the dashboard can show either one.
+ *
+ * Each practice keeps its own population, staff roster and telephony reports.
+ * PCN buckets sum the practices' counts and re-derive every rate over the
+ * combined population of the practices that reported in that bucket. Rates
+ * per call use only the practices that uploaded telephony.
+ *
+ * Has no React or browser dependencies (see App.jsx for the upload workspace).
+ */
+
+import { processLocalDemand, deriveDemandMetrics, buildLocalForecast, GRANULARITIES } from './localDemandEngine.js';
+import { combineTelephonyMetrics } from './telephonyAdapters.js';
+import { normaliseClosureDays } from './workingDayCalendar.js';
+
+// Same limit as a shared comparison set (see ComparisonBuilder)
+export const MAX_PCN_PRACTICES = 15;
+
+// Upload slots per practice, matching the single-practice form
+export const PCN_FILE_TYPES = ['appointments', 'dna', 'unused', 'onlineRequests', 'telephony'];
+
+// Counts summed across practices before the rates are re-derived
+const SUMMED_COUNTS = ['totalAppts', 'gpAppts', 'estDNA', 'estUnused', 'estGPDNA', 'estGPUnused', 'onlineTotal', 'onlineClinicalNoAppt'];
+
+// Rates that divide appointments by calls, so only the practices with telephony can be used
+const TELEPHONY_RATIOS = ['conversionRatio', 'gpConversionRatio', 'extraSlotsPerDay'];
+
+const sumCounts = (entries) => {
+  const counts = Object.fromEntries(SUMMED_COUNTS.map(key => [
+    key,
+    entries.reduce((sum, entry) => sum + (entry.month[key] || 0), 0),
+  ]));
+  counts.workingDays = Math.max(0, ...entries.map(entry => entry.month.workingDays || 0));
+  return counts;
+};
+
+// An empty practice entry for the workspace form
+export const createPcnPractice = (id, practice = {}) => ({
+  id,
+  odsCode: practice.odsCode || '',
+  surgeryName: practice.surgeryName || '',
+  population: practice.population || '',
+  files: Object.fromEntries(PCN_FILE_TYPES.map(type => [type, []])),
+});
+
+// Display label for a practice in tables and errors
+export const pcnPracticeLabel = (practice) => practice.surgeryName || practice.odsCode || 'Unnamed practice';
+
+const combineAttribution = (flags) => {
+  const present = flags.filter(flag => flag && flag !== 'none');
+  if (present.length === 0) return 'none';
+  return present.every(flag => flag === 'measured') && present.length === flags.length ? 'measured' : 'estimated';
+};
+
+const joinUnique = (values) => [...new Set(values.filter(Boolean))].join(', ');
+
+/**
+ * Combine per-practice engine results into one PCN result
+ * Buckets use the longest working-day count among the practices (they share the bank holiday
+ * calendar; a practice with extra closure days still counts towards the PCN's open days).
+ * @param {Array} practiceResults - [{ odsCode, surgeryName, population, result }] from processLocalDemand
+ * @param {Object} [options] - { granularity, closureDays } as passed to processLocalDemand
+ * @returns {Object} { enrichedMonths, staffData, slotData, combinedData, onlineRows, forecastData, wasteOutsideRange },
+ *   with practiceCount, practiceCodes and population on each bucket
+ */
+export function aggregatePcnResults(practiceResults, options = {}) {
+  const granularity = GRANULARITIES.includes(options.granularity) ? options.granularity : 'month';
+  const buckets = new Map();
+
+  practiceResults.forEach(practice => {
+    practice.result.enrichedMonths.forEach(month => {
+      if (!buckets.has(month.month)) buckets.set(month.month, { month: month.month, dateObj: month.dateObj, entries: [] });
+      buckets.get(month.month).entries.push({ practice, month });
+    });
+  });
+
+  const enrichedMonths = [...buckets.values()]
+    .sort((a, b) => a.dateObj - b.dateObj)
+    .map(({ month, dateObj, entries }) => {
+      const population = entries.reduce((sum, { practice }) => sum + (Number(practice.population) || 0), 0);
+      const counts = sumCounts(entries);
+
+      const withTelephony = entries.filter(entry => entry.month.telephonySource);
+      const telephony = combineTelephonyMetrics(withTelephony.map(entry => entry.month)) || {};
+
+      // Calls from some practices can't be set against every practice's appointments
+      const metrics = deriveDemandMetrics({ ...counts, telephony }, population, granularity);
+      if (withTelephony.length > 0 && withTelephony.length < entries.length) {
+        const telephonyMetrics = deriveDemandMetrics({ ...sumCounts(withTelephony), telephony }, population, granularity);
+        TELEPHONY_RATIOS.forEach(key => { metrics[key] = telephonyMetrics[key]; });
+      }
+
+      return {
+        month,
+        dateObj,
+        ...counts,
+        dnaAttribution: combineAttribution(entries.map(entry => entry.month.dnaAttribution)),
+        unusedAttribution: combineAttribution(entries.map(entry => entry.month.unusedAttribution)),
+        ...metrics,
+        telephonySource: joinUnique(withTelephony.map(entry => entry.month.telephonySource)),
+        telephonyLowConfidence: joinUnique(entries.map(entry => entry.month.telephonyLowConfidence)),
+        ...(withTelephony.length > 0 ? telephony : {}),
+        population,
+        practiceCount: entries.length,
+        practiceCodes: entries.map(({ practice }) => practice.odsCode),
+      };
+    });
+
+  // Staff names are only unique within a practice, so PCN tables label them with the practice
+  const tagRows = (key) => practiceResults.flatMap(practice => practice.result[key].map(row => ({
+    ...row,
+    ...(row.staff ? { staff: `${row.staff} (${practice.odsCode})` } : {}),
+    odsCode: practice.odsCode,
+  })));
+
+  return {
+    enrichedMonths,
+    staffData: tagRows('staffData'),
+    slotData: mergeSlotRows(practiceResults),
+    combinedData: tagRows('combinedData'),
+    onlineRows: practiceResults.flatMap(practice => practice.result.onlineRows.map(row => ({ ...row, odsCode: practice.odsCode }))),
+    forecastData: granularity === 'month'
+      ? buildLocalForecast(enrichedMonths, normaliseClosureDays(options.closureDays))
+      : { hasData: false, count: enrichedMonths.length },
+    wasteOutsideRange: sumOutsideRange(practiceResults),
+  };
+}
+
+// Dated DNA/Unused rows each practice left out, added up across the PCN
+function sumOutsideRange(practiceResults) {
+  const total = { dna: { rows: 0, count: 0 }, unused: { rows: 0, count: 0 } };
+  practiceResults.forEach(({ result }) => ['dna', 'unused'].forEach(type => {
+    total[type].rows += result.wasteOutsideRange?.[type]?.rows || 0;
+    total[type].count += result.wasteOutsideRange?.[type]?.count || 0;
+  }));
+  return total;
+}
+
+// Slot types are shared vocabulary across a PCN (e.g. "Same Day"), so they are summed per month
+function mergeSlotRows(practiceResults) {
+  const merged = new Map();
+  practiceResults.forEach(practice => practice.result.slotData.forEach(row => {
+    const key = `${row.month}_${row.slotType}`;
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...row });
+      return;
+    }
+    existing.totalAppts += row.totalAppts;
+    existing.dnaCount += row.dnaCount;
+    existing.unusedSlots += row.unusedSlots;
+    existing.hasGPActivity = existing.hasGPActivity || row.hasGPActivity;
+  }));
+  return [...merged.values()];
+}
+
+/**
+ * Process every practice in a PCN workspace and build the PCN total
+ * @param {Array} practices - [{ odsCode, surgeryName, population, inputs, staffRoster }], where
+ *   inputs are parsed as for processLocalDemand; every practice needs an ODS code and population
+ * @param {Object} config - Settings shared by every practice ({ useOnline, useTelephony, closureDays })
+ * @param {Object} [options] - { granularity }
+ * @returns {Object} { practices: [{ odsCode, surgeryName, population, config, result }], aggregate }
+ */
+export function processPcnWorkspace(practices, config, options = {}) {
+  if (!practices || practices.length < 2) {
+    throw new Error('Add at least two practices to build a PCN dashboard.');
+  }
+  if (practices.length > MAX_PCN_PRACTICES) {
+    throw new Error(`A PCN dashboard can include up to ${MAX_PCN_PRACTICES} practices.`);
+  }
+
+  const seen = new Set();
+  const practiceResults = practices.map(practice => {
+    const label = pcnPracticeLabel(practice);
+    const odsCode = (practice.odsCode || '').trim().toUpperCase();
+    if (!odsCode) throw new Error(`Enter an ODS code for ${label}.`);
+    if (seen.has(odsCode)) throw new Error(`${odsCode} has been added more than once.`);
+    seen.add(odsCode);
+    if (!(Number(practice.population) > 0)) throw new Error(`Enter a patient population for ${label}.`);
+    if (!practice.inputs?.apptData?.length) throw new Error(`Please upload an Appointments CSV file for ${label}.`);
+
+    const practiceConfig = {
+      ...config,
+      surgeryName: practice.surgeryName || odsCode,
+      odsCode,
+      population: Number(practice.population),
+    };
+    try {
+      return {
+        odsCode,
+        surgeryName: practiceConfig.surgeryName,
+        population: practiceConfig.population,
+        config: practiceConfig,
+        result: processLocalDemand(practice.inputs, practiceConfig, { staffRoster: practice.staffRoster, granularity: options.granularity }),
+      };
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  });
+
+  return {
+    practices: practiceResults,
+    aggregate: aggregatePcnResults(practiceResults, { granularity: options.granularity, closureDays: config.closureDays }),
+  };
+}
+
+/**
+ * Practices in the shape PracticeComparison reads from shares, so a workspace can be compared
+ * without creating share links
+ * @param {Array} practiceResults - practices from processPcnWorkspace
+ * @returns {Array} [{ shareId, surgeryName, odsCode, population, config, processedData }]
+ */
+export const toComparisonPractices = (practiceResults) => practiceResults.map(practice => ({
+  shareId: `local-${practice.odsCode}`,
+  surgeryName: practice.surgeryName,
+  odsCode: practice.odsCode,
+  population: practice.population,
+  config: practice.config,
+  processedData: practice.result.enrichedMonths,
+}));
@@ -0,0 +1,223 @@
+/**
+ * Peer Matching
+ *
+ * Finds the practices most like a given practice, for benchmarking against peers
+ * rather than the whole of England. Matching is deterministic: the same data always
+ * gives the same peers, ranked by a similarity score with a short explanation.
+ *
+ * Practices are compared on whichever of these both practices have:
+ * - list size (required)
+ * - age profile: share of patients under 15 and 65 or over (PracPop age breakdown)
+ * - deprivation decile and rurality, where a source file provides them
+ * - clinical system supplier (GPAD appointments) and online consultation supplier
+ *
+ * The national files bundled today carry list size and both suppliers only; the
+ * other features are used as soon as profiles include them.
+ */
+
+// Relative weight of each feature in the similarity score
+export const PEER_FEATURES = {
+  listSize: { label: 'List size', weight: 3 },
+  ageProfile: { label: 'Age profile', weight: 2 },
+  deprivation: { label: 'Deprivation', weight: 2 },
+  rurality: { label: 'Rurality', weight: 1 },
+  clinicalSystem: { label: 'Clinical system', weight: 1 },
+  ocSupplier: { label: 'Online consultation supplier', weight: 1 },
+};
+
+// Distance given to a feature the practice has but the candidate lacks, so candidates
+// with less data aren't favoured over ones that were measured and differ slightly
+const MISSING_DISTANCE = 0.5;
+
+// A practice twice (or half) the size is as different as list size can be
+const LIST_SIZE_RANGE = Math.log(2);
+
+// Ten percentage points apart in an age band counts as fully different
+const AGE_RANGE_PCT = 10;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const formatPct = (value) => `${value.toFixed(0)}%`;
+const sameText = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const splitSuppliers = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(name => String(name).trim())
+  .filter(Boolean);
+
+/**
+ * Normalise a practice record (practice index row, appointments or OC record) into a peer profile
+ * @param {Object} record - Any national practice record with odsCode
+ * @param {Object} [extra] - Fields to add or override, e.g. { ageProfile, ocSuppliers }
+ * @returns {Object} { odsCode, gpName, pcnName, icbCode, listSize, clinicalSystem, ocSuppliers,
+ *   ageProfile, imdDecile, rurality }
+ */
+export function toPeerProfile(record, extra = {}) {
+  const merged = { ...record, ...extra };
+  return {
+    odsCode: merged.odsCode,
+    gpName: merged.gpName || merged.practiceName || '',
+    pcnName: merged.pcnName || '',
+    icbCode: merged.icbCode || '',
+    listSize: Number(merged.listSize ?? merged.population) || 0,
+    clinicalSystem: String(merged.clinicalSystem ?? (record.suppliers ? '' : merged.supplier) ?? '').trim(),
+    ocSuppliers: splitSuppliers(merged.ocSuppliers ?? record.suppliers ?? []),
+    ageProfile: merged.ageProfile || null,
+    imdDecile: Number(merged.imdDecile) || null,
+    rurality: merged.rurality || '',
+  };
+}
+
+// Distance (0 same, 1 fully different) and explanation for one feature, or null when the
+// target has no value for it
+const FEATURE_DISTANCES = {
+  listSize: (target, peer) => {
+    if (!(peer.listSize > 0)) return { distance: 1, reason: 'List size not published' };
+    const distance = clamp01(Math.abs(Math.log(peer.listSize / target.listSize)) / LIST_SIZE_RANGE);
+    const change = ((peer.listSize - target.listSize) / target.listSize) * 100;
+    return {
+      distance,
+      reason: `List size ${peer.listSize.toLocaleString()} (${change >= 0 ? '+' : ''}${change.toFixed(0)}%)`,
+    };
+  },
+  ageProfile: (target, peer) => {
+    if (!target.ageProfile) return null;
+    if (!peer.ageProfile) return { distance: MISSING_DISTANCE, reason: 'No age profile' };
+    const distance = clamp01((
+      Math.abs(peer.ageProfile.under15Pct - target.ageProfile.under15Pct)
+      + Math.abs(peer.ageProfile.over65Pct - target.ageProfile.over65Pct)
+    ) / (2 * AGE_RANGE_PCT));
+    return { distance, reason: `${formatPct(peer.ageProfile.over65Pct)} aged 65+ (vs ${formatPct(target.ageProfile.over65Pct)})` };
+  },
+  deprivation: (target, peer) => {
+    if (!target.imdDecile) return null;
+    if (!peer.imdDecile) return { distance: MISSING_DISTANCE, reason: 'No deprivation decile' };
+    return {
+      distance: Math.abs(peer.imdDecile - target.imdDecile) / 9,
+      reason: `Deprivation decile ${peer.imdDecile} (vs ${target.imdDecile})`,
+    };
+  },
+  rurality: (target, peer) => {
+    if (!target.rurality) return null;
+    if (!peer.rurality) return { distance: MISSING_DISTANCE, reason: 'No rurality classification' };
+    return sameText(peer.rurality, target.rurality)
+      ? { distance: 0, reason: `Also ${peer.rurality}` }
+      : { distance: 1, reason: `${peer.rurality} (vs ${target.rurality})` };
+  },
+  clinicalSystem: (target, peer) => {
+    if (!target.clinicalSystem) return null;
+    if (!peer.clinicalSystem) return { distance: MISSING_DISTANCE, reason: 'Clinical system unknown' };
+    return sameText(peer.clinicalSystem, target.clinicalSystem)
+      ? { distance: 0, reason: `Same clinical system (${peer.clinicalSystem})` }
+      : { distance: 1, reason: `Uses ${peer.clinicalSystem}` };
+  },
+  // Practices can use more than one OC system, so overlap is scored (Jaccard)
+  ocSupplier: (target, peer) => {
+    if (target.ocSuppliers.length === 0) return null;
+    if (peer.ocSuppliers.length === 0) return { distance: MISSING_DISTANCE, reason: 'OC supplier unknown' };
+    const targetNames = target.ocSuppliers.map(name => name.toLowerCase());
+    const peerNames = peer.ocSuppliers.map(name => name.toLowerCase());
+    const shared = peerNames.filter(name => targetNames.includes(name)).length;
+    const union = new Set([...targetNames, ...peerNames]).size;
+    return shared > 0
+      ? { distance: 1 - shared / union, reason: `Same OC supplier (${peer.ocSuppliers.join(', ')})` }
+      : { distance: 1, reason: `Uses ${peer.ocSuppliers.join(', ')} for OC` };
+  },
+};
+
+/**
+ * Similarity of one practice to another
+ * @param {Object} target - Peer profile of the practice being benchmarked
+ * @param {Object} peer - Peer profile of a candidate
+ * @returns {Object} { similarity: 0-100, features: { [feature]: distance }, reasons: string[] }
+ *   reasons list the closest-matching features first
+ */
+export function scorePeer(target, peer) {
+  let weightedDistance = 0;
+  let totalWeight = 0;
+  const features = {};
+  const explained = [];
+
+  Object.entries(FEATURE_DISTANCES).forEach(([feature, measure]) => {
+    const result = measure(target, peer);
+    if (!result) return;
+    const { weight } = PEER_FEATURES[feature];
+    weightedDistance += result.distance * weight;
+    totalWeight += weight;
+    features[feature] = result.distance;
+    explained.push({ ...result, weight });
+  });
+
+  const similarity = totalWeight > 0 ? Math.round((1 - weightedDistance / totalWeight) * 1000) / 10 : 0;
+  const reasons = explained
+    .sort((a, b) => a.distance - b.distance || b.weight - a.weight)
+    .map(entry => entry.reason);
+  return { similarity, features, reasons };
+}
+
+/**
+ * Nearest-neighbour peers for a practice, most similar first
+ * Ties are broken by list size difference and then ODS code, so results never vary between loads
+ * @param {Object} target - Practice record or peer profile (needs odsCode and a list size)
+ * @param {Array} candidates - Practice records or peer profiles to choose from
+ * @param {Object} [options] - { count: number of peers (default 5), filter: (profile) => boolean }
+ * @returns {Array} [{ ...profile, similarity, features, reasons }], empty without a target list size
+ */
+export function findPeerPractices(target, candidates, options = {}) {
+  const { count = 5, filter } = options;
+  const targetProfile = toPeerProfile(target);
+  if (!targetProfile.odsCode || !(targetProfile.listSize > 0) || !candidates?.length) return [];
+
+  return candidates
+    .map(candidate => toPeerProfile(candidate))
+    .filter(profile => profile.odsCode && profile.odsCode !== targetProfile.odsCode && profile.listSize > 0)
+    .filter(profile => !filter || filter(profile))
+    .map(profile => ({ ...profile, ...scorePeer(targetProfile, profile) }))
+    .sort((a, b) => (
+      b.similarity - a.similarity
+      || Math.abs(a.listSize - targetProfile.listSize) - Math.abs(b.listSize - targetProfile.listSize)
+      || a.odsCode.localeCompare(b.odsCode)
+    ))
+    .slice(0, count);
+}
+
+/**
+ * Where a practice sits among its peers on one metric
+ * @param {number} value - The practice's value
+ * @param {number[]} peerValues - The peers' values (non-finite values are ignored)
+ * @param {Object} [options] - { higherBetter: boolean }
+ * @returns {Object|null} { rank, total, median } with rank 1 the best, or null without values
+ */
+export function rankAmongPeers(value, peerValues, options = {}) {
+  if (!Number.isFinite(value)) return null;
+  const values = peerValues.filter(Number.isFinite);
+  if (values.length === 0) return null;
+
+  const better = values.filter(other => (options.higherBetter ? other > value : other < value)).length;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return { rank: better + 1, total: values.length + 1, median };
+}
+
+/**
+ * Benchmark a practice against its nearest peers within one dataset's practices
+ * @param {string} odsCode - The practice being benchmarked
+ * @param {Array} practices - The dataset's practice records for one month
+ * @param {Object} options - { metric: (practice) => number, higherBetter: boolean,
+ *   profiles: peer profiles or practice index rows to match on (default practices), count: peers (default 10) }
+ * @returns {Object|null} { value, rank, total, median, peers: [{ ...peer, value }] }, or null when the
+ *   practice can't be matched or has no value
+ */
+export function benchmarkAmongPeers(odsCode, practices, options) {
+  const { metric, higherBetter = false, profiles = practices, count = 10 } = options;
+  const byOds = new Map(practices.map(practice => [practice.odsCode, practice]));
+  const target = profiles.find(profile => profile.odsCode === odsCode);
+  if (!target || !byOds.has(odsCode)) return null;
+
+  // Only practices in the dataset with a value for the metric can be peers
+  const hasValue = (profile) => byOds.has(profile.odsCode) && Number.isFinite(metric(byOds.get(profile.odsCode)));
+  const peers = findPeerPractices(target, profiles, { count, filter: hasValue })
+    .map(peer => ({ ...peer, value: metric(byOds.get(peer.odsCode)) }));
+  const value = metric(byOds.get(odsCode));
+  const ranking = rankAmongPeers(value, peers.map(peer => peer.value), { higherBetter });
+  return ranking && { value, ...ranking, peers };
+}
@@ -11,7 +11,8 @@ import pracPopOctRaw from '../assets/PracPopOct.csv?raw';
 /**
  * Parse PracPop CSV data into structured practice records
  * @param {string} csvContent - Raw CSV content
- * @returns {Array} Array of practice records with odsCode, postcode, population
+ * @returns {Array} Array of practice records with odsCode, postcode, population, and ageProfile
+ *   ({ under15Pct, over65Pct }) when the file breaks patients down by age
  */
 const parsePracPopCSV = (csvContent) => {
   const lines = csvContent.trim().split('\n');
@@ -31,14 +32,28 @@ const parsePracPopCSV = (csvContent) => {
   }
 
   const practices = new Map();
+  // Patients by age group (single years or bands such as "65_69" / "95+"), for peer matching
+  const ageCounts = new Map();
 
-  // Parse data rows, filtering for ALL/ALL totals only
+  // Parse data rows: ALL/ALL totals give the population, SEX=ALL age rows the age profile
   for (let i = 1; i < lines.length; i++) {
     const cols = lines[i].split(',');
 
     // Skip if not total row (SEX=ALL, AGE=ALL)
     if (sexIdx !== -1 && cols[sexIdx]?.trim() !== 'ALL') continue;
-    if (ageIdx !== -1 && cols[ageIdx]?.trim() !== 'ALL') continue;
+    const age = ageIdx !== -1 ? cols[ageIdx]?.trim() : 'ALL';
+    if (age !== 'ALL') {
+      const lowerAge = parseInt(age, 10);
+      const count = parseInt(cols[patientsIdx]?.trim(), 10);
+      const code = cols[codeIdx]?.trim();
+      if (code && !isNaN(lowerAge) && !isNaN(count)) {
+        const counts = ageCounts.get(code) || { under15: 0, over65: 0 };
+        if (lowerAge < 15) counts.under15 += count;
+        if (lowerAge >= 65) counts.over65 += count;
+        ageCounts.set(code, counts);
+      }
+      continue;
+    }
 
     const odsCode = cols[codeIdx]?.trim();
     const postcode = postcodeIdx !== -1 ? cols[postcodeIdx]?.trim() : '';
@@ -56,6 +71,15 @@ const parsePracPopCSV = (csvContent) => {
     }
   }
 
+  ageCounts.forEach((counts, odsCode) => {
+    const practice = practices.get(odsCode);
+    if (!practice?.population) return;
+    practice.ageProfile = {
+      under15Pct: (counts.under15 / practice.population) * 100,
+      over65Pct: (counts.over65 / practice.population) * 100,
+    };
+  });
+
   // Convert to array and sort by ODS code
   return Array.from(practices.values()).sort((a, b) =>
     a.odsCode.localeCompare(b.odsCode)
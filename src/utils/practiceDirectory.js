@@ -1,4 +1,4 @@
-import { loadAppointmentsData } from '../data/dataLoader';
+import { loadAppointmentsData, loadPracticeIndex, getAvailableMonths } from '../data/dataLoader';
 
 const MONTH_INDEX = {
   january: 0,
@@ -50,6 +50,30 @@ export async function loadPracticeDirectory() {
   }
 
   directoryPromise = (async () => {
+    // The practice index lists every practice without downloading a month of appointments
+    const index = await loadPracticeIndex();
+    if (index) {
+      const months = await getAvailableMonths('appointments');
+      const latestMonth = months.reduce((latest, month) => (
+        monthRank(month) > monthRank(latest) ? month : latest
+      ), months[0]);
+
+      cachedDirectory = index.practices
+        .filter((practice) => practice.datasets.includes('appointments') && practice.gpName)
+        .map((practice) => ({
+          odsCode: practice.odsCode,
+          practiceName: practice.gpName,
+          icb: index.icbNames[practice.icbCode] || index.subICBNames[practice.subICBCode] || '',
+          pcn: practice.pcnName || '',
+          latestMonth,
+        }))
+        .sort((a, b) => (
+          a.practiceName.localeCompare(b.practiceName) || a.odsCode.localeCompare(b.odsCode)
+        ));
+
+      return cachedDirectory;
+    }
+
     const data = await loadAppointmentsData();
     if (!data) {
       cachedDirectory = [];
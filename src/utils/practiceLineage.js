@@ -0,0 +1,226 @@
+/**
+ * Practice Lineage
+ *
+ * Predecessor/successor links between ODS codes, built from the merger and
+ * succession entries in the corrections registry (src/data/corrections.js).
+ * National views key history by ODS code, so a practice that merged or changed
+ * code shows a broken series; with stitching on, each month's records for a
+ * practice and its predecessors are combined into one record under the
+ * continuing code and marked with `stitchedFrom` so charts can annotate it.
+ */
+
+import { DATA_CORRECTIONS } from '../data/corrections.js';
+
+// How records are combined per dataset: percentages are averaged weighted by the
+// object's own `total` where it has one, otherwise by `weightField`; per-1000 rates
+// are weighted by `rateWeightField`. Everything else numeric is summed.
+export const STITCH_OPTIONS = {
+  appointments: { weightField: 'totalAppointments', rateWeightField: 'listSize' },
+  telephony: { weightField: 'inboundCalls', rateWeightField: 'listSize' },
+  onlineConsultations: { weightField: 'submissions', rateWeightField: 'listSize' },
+  workforce: { weightField: 'listSize', rateWeightField: 'listSize' },
+};
+
+// Numeric fields that identify the record rather than count anything
+const KEEP_FIELDS = ['month'];
+
+const isShareField = (key) => /(Pct|Ratio)$/.test(key);
+const isRateField = (key) => /Per1000$/.test(key);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Build the lineage model from the corrections registry
+ * @param {Array} corrections - Registry entries (defaults to DATA_CORRECTIONS)
+ * @returns {Object} { links, successorOf: { [ods]: link }, predecessorsOf: { [ods]: link[] } }
+ */
+export function buildPracticeLineage(corrections = DATA_CORRECTIONS) {
+  const links = corrections
+    .filter(correction => (correction.type === 'merger' || correction.type === 'succession') && correction.successor)
+    .map(correction => ({
+      predecessor: correction.odsCode,
+      successor: correction.successor,
+      type: correction.type,
+      effectiveFrom: correction.effectiveFrom,
+      correctionId: correction.id,
+    }));
+
+  const successorOf = {};
+  const predecessorsOf = {};
+  links.forEach(link => {
+    successorOf[link.predecessor] = link;
+    predecessorsOf[link.successor] = [...(predecessorsOf[link.successor] || []), link];
+  });
+
+  return { links, successorOf, predecessorsOf };
+}
+
+// The code a practice is reported under today, following successor links (cycle safe)
+export const resolvePracticeCode = (lineage, odsCode) => {
+  const seen = new Set([odsCode]);
+  let current = odsCode;
+  while (lineage?.successorOf[current] && !seen.has(lineage.successorOf[current].successor)) {
+    current = lineage.successorOf[current].successor;
+    seen.add(current);
+  }
+  return current;
+};
+
+// A practice's own code followed by every code that merged into it, directly or via a chain
+export const getLineageCodes = (lineage, odsCode) => {
+  const codes = [odsCode];
+  for (let i = 0; i < codes.length; i++) {
+    (lineage?.predecessorsOf[codes[i]] || []).forEach(link => {
+      if (!codes.includes(link.predecessor)) codes.push(link.predecessor);
+    });
+  }
+  return codes;
+};
+
+// Links that feed into a practice's series, for chart notes
+export const getPredecessorLinks = (lineage, odsCode) => (
+  getLineageCodes(lineage, odsCode).slice(1).map(code => lineage.successorOf[code]).filter(Boolean)
+);
+
+const combineValues = (key, values, weights) => {
+  const present = values.map((value, i) => [value, weights[i]]).filter(([value]) => value !== null && value !== undefined);
+  if (present.length === 0) return values[0];
+  if (present.length === 1) return present[0][0];
+
+  const [first] = present[0];
+  if (typeof first === 'number') {
+    if (KEEP_FIELDS.includes(key)) return first;
+    if (isShareField(key) || isRateField(key)) {
+      const weightOf = (weight) => (isRateField(key) ? weight?.rate : weight?.share) || 0;
+      const totalWeight = present.reduce((sum, [, weight]) => sum + weightOf(weight), 0);
+      if (totalWeight === 0) return present.reduce((sum, [value]) => sum + value, 0) / present.length;
+      return present.reduce((sum, [value, weight]) => sum + value * weightOf(weight), 0) / totalWeight;
+    }
+    return present.reduce((sum, [value]) => sum + (Number(value) || 0), 0);
+  }
+  if (typeof first === 'boolean') return present.some(([value]) => value);
+  if (Array.isArray(first)) return [...new Set(present.flatMap(([value]) => value))];
+  if (isPlainObject(first)) {
+    const objects = present.map(([value]) => value);
+    // Nested blocks with their own total (booking waits, modes, status) weight their percentages by it
+    const nestedWeights = present.map(([value, weight]) => ({
+      share: typeof value.total === 'number' ? value.total : weight?.share,
+      rate: weight?.rate,
+    }));
+    return combineObjects(objects, nestedWeights);
+  }
+  return first;
+};
+
+function combineObjects(objects, weights) {
+  const keys = [...new Set(objects.flatMap(object => Object.keys(object)))];
+  return Object.fromEntries(keys.map(key => [
+    key,
+    combineValues(key, objects.map(object => object[key]), weights),
+  ]));
+}
+
+/**
+ * Combine one month's records for a practice and its predecessors into one record
+ * under `odsCode`. Text fields come from the continuing practice's record when present.
+ * @param {Array} records - Records to combine, any order
+ * @param {string} odsCode - Continuing practice code
+ * @param {Object} options - { weightField, rateWeightField } (see STITCH_OPTIONS)
+ * @returns {Object|null} Combined record, with stitchedFrom listing the predecessor codes included
+ */
+export function combinePracticeRecords(records, odsCode, { weightField, rateWeightField = 'listSize' } = {}) {
+  if (!records || records.length === 0) return null;
+  const ordered = [
+    ...records.filter(record => record.odsCode === odsCode),
+    ...records.filter(record => record.odsCode !== odsCode),
+  ];
+  const stitchedFrom = ordered.filter(record => record.odsCode !== odsCode).map(record => record.odsCode);
+  if (stitchedFrom.length === 0 && ordered.length === 1) return ordered[0];
+
+  const weights = ordered.map(record => ({
+    share: Number(record[weightField]) || 0,
+    rate: Number(record[rateWeightField]) || 0,
+  }));
+  const combined = combineObjects(ordered, weights);
+  // A predecessor's link to its successor doesn't describe the combined record
+  delete combined.successor;
+  return { ...combined, odsCode, stitchedFrom };
+}
+
+/**
+ * A practice's record in one month, optionally stitched with its predecessors
+ * @param {Object} monthData - { practices: [...] } for one month
+ * @param {string} odsCode - Practice code
+ * @param {Object|null} stitch - { lineage, weightField, rateWeightField }; null for a plain lookup
+ * @returns {Object|null} The record, or null if the practice has no data that month
+ */
+export function findPracticeRecord(monthData, odsCode, stitch = null) {
+  const practices = monthData?.practices || [];
+  if (!stitch?.lineage) return practices.find(p => p.odsCode === odsCode) || null;
+
+  const codes = getLineageCodes(stitch.lineage, odsCode);
+  if (codes.length === 1) return practices.find(p => p.odsCode === odsCode) || null;
+  return combinePracticeRecords(practices.filter(p => codes.includes(p.odsCode)), odsCode, stitch);
+}
+
+/**
+ * Stitch a month of practice records: predecessors are folded into the practice
+ * they merged into, so peer and PCN aggregates count the same organisations every month
+ * @param {Array} practices - Practice records for one month
+ * @param {Object} lineage - From buildPracticeLineage
+ * @param {Object} options - { weightField, rateWeightField }
+ * @returns {Array} Records with predecessors combined into their successor
+ */
+export function stitchPractices(practices, lineage, options = {}) {
+  if (!lineage?.links.length) return practices;
+
+  const groups = new Map();
+  practices.forEach(practice => {
+    const code = resolvePracticeCode(lineage, practice.odsCode);
+    groups.set(code, [...(groups.get(code) || []), practice]);
+  });
+
+  const unchanged = ([code, records]) => records.length === 1 && records[0].odsCode === code;
+  if ([...groups.entries()].every(unchanged)) return practices;
+
+  return [...groups.entries()].map(([code, records]) => (
+    unchanged([code, records]) ? records[0] : combinePracticeRecords(records, code, options)
+  ));
+}
+
+/**
+ * Stitch every month of a { month: { practices } } map (keys such as 'metadata' pass through)
+ * @returns {Object} New map; months without changes keep their original objects
+ */
+export function stitchMonthsData(monthsData, lineage, options = {}) {
+  if (!monthsData || !lineage?.links.length) return monthsData;
+  return Object.fromEntries(Object.entries(monthsData).map(([month, monthData]) => {
+    if (!Array.isArray(monthData?.practices)) return [month, monthData];
+    const practices = stitchPractices(monthData.practices, lineage, options);
+    return [month, practices === monthData.practices ? monthData : { ...monthData, practices }];
+  }));
+}
+
+// Describe the stitched months of a series for a chart note, e.g.
+// "Includes A3 (merged into A1 from 2026-01) for Oct 2025, Nov 2025"
+export const describeStitch = (lineage, odsCode, stitchedMonths) => {
+  if (!stitchedMonths?.length) return null;
+  const links = getPredecessorLinks(lineage, odsCode);
+  const codes = links.map(link => `${link.predecessor} (${link.type === 'merger' ? 'merged into' : 'succeeded by'} ${link.successor}${link.effectiveFrom ? ` from ${link.effectiveFrom}` : ''})`);
+  return `Includes ${codes.join(', ')} for ${stitchedMonths.join(', ')}`;
+};
+
+// Predecessor codes behind any of a month's records (appointments, telephony, OC...)
+export const collectStitchedFrom = (...records) => [
+  ...new Set(records.flatMap(record => record?.stitchedFrom || [])),
+];
+
+// Months of a { month, stitchedFrom } series that include predecessor data
+export const getStitchedMonths = (series) => (series || [])
+  .filter(point => point?.stitchedFrom?.length > 0)
+  .map(point => point.month);
+
+// Chart.js point options marking stitched months (one flag per point)
+export const stitchedPointStyle = (flags, radius = 3) => ({
+  pointStyle: flags.map(flag => (flag ? 'rectRot' : 'circle')),
+  pointRadius: flags.map(flag => (flag ? radius + 3 : radius)),
+});
@@ -0,0 +1,146 @@
+/**
+ * Rapid Health Data Parser
+ * Parses Rapid Health Smart Triage extract files
+ */
+import * as XLSX from 'xlsx';
+
+// Expected headers for validation
+const EXPECTED_HEADERS = [
+  'Tenant', 'Request date', 'Request year', 'Request month-year', 'Request month',
+  'Request day', 'Request time', 'Request type', 'Admin type', 'Pathway',
+  'Urgency', 'Automated', 'Guideline used', 'Slot type', 'Appointment date',
+  'Appointment day', 'Appointment status', 'Patient age', 'A&E override',
+  'Age between created - invited', 'Age between created - booking',
+  'Age between created - scheduled', 'Age between created - processed',
+  'Patient selected preferred practitioner'
+];
+
+// Helper to convert Excel serial date to JS Date
+const excelDateToJS = (serial) => {
+  if (typeof serial !== 'number') return null;
+  const utc_days = Math.floor(serial - 25569);
+  const utc_value = utc_days * 86400;
+  return new Date(utc_value * 1000);
+};
+
+// Helper to convert Excel serial date or value to month name
+const excelValueToMonthName = (value) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  // If it's a number, treat as Excel serial date
+  if (typeof value === 'number') {
+    const date = excelDateToJS(value);
+    if (date) {
+      return date.toLocaleString('en-GB', { month: 'long', year: 'numeric' });
+    }
+  }
+
+  // Otherwise return as string
+  return String(value);
+};
+
+// Helper to convert Excel time fraction to hours/minutes
+const excelTimeToHour = (timeFraction) => {
+  if (typeof timeFraction !== 'number') return null;
+  return Math.floor(timeFraction * 24);
+};
+
+// Parse time string like "0 hour(s) 12 minute(s)" to minutes
+const parseTimeToMinutes = (timeStr) => {
+  if (!timeStr || timeStr === '-') return null;
+  const hourMatch = timeStr.match(/(\d+)\s*hour/);
+  const minMatch = timeStr.match(/(\d+)\s*minute/);
+  const hours = hourMatch ? parseInt(hourMatch[1]) : 0;
+  const minutes = minMatch ? parseInt(minMatch[1]) : 0;
+  return hours * 60 + minutes;
+};
+
+/**
+ * Validate Rapid Health file headers
+ */
+export const validateRapidHealthHeaders = (headers) => {
+  // Blank header cells would match every expected header
+  const normalizedHeaders = headers.map(h => String(h || '').trim().toLowerCase()).filter(Boolean);
+  const expectedNormalized = EXPECTED_HEADERS.map(h => h.toLowerCase());
+
+  // Check if at least 80% of expected headers are present
+  let matchCount = 0;
+  for (const expected of expectedNormalized) {
+    if (normalizedHeaders.some(h => h.includes(expected) || expected.includes(h))) {
+      matchCount++;
+    }
+  }
+  return matchCount / expectedNormalized.length >= 0.8;
+};
+
+/**
+ * Parse Rapid Health data from workbook
+ */
+export const parseRapidHealthData = (workbook) => {
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const data = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+
+  if (data.length < 2) {
+    throw new Error('File contains no data rows');
+  }
+
+  const headers = data[0];
+  if (!validateRapidHealthHeaders(headers)) {
+    throw new Error('File format does not match Rapid Health Smart Triage extract. Please ensure you are uploading the correct file.');
+  }
+
+  // Find column indices
+  const findCol = (name) => headers.findIndex(h =>
+    String(h || '').toLowerCase().includes(name.toLowerCase())
+  );
+
+  const cols = {
+    tenant: findCol('tenant'),
+    requestDate: findCol('request date'),
+    requestMonth: findCol('request month'),
+    requestDay: findCol('request day'),
+    requestTime: findCol('request time'),
+    requestType: findCol('request type'),
+    pathway: findCol('pathway'),
+    urgency: findCol('urgency'),
+    automated: findCol('automated'),
+    guideline: findCol('guideline'),
+    slotType: findCol('slot type'),
+    appointmentStatus: findCol('appointment status'),
+    patientAge: findCol('patient age'),
+    timeToProcessed: findCol('created - processed'),
+  };
+
+  const rows = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (!row || row.length === 0) continue;
+
+    const requestDate = excelDateToJS(row[cols.requestDate]);
+    const requestHour = excelTimeToHour(row[cols.requestTime]);
+    const patientAge = parseInt(row[cols.patientAge]) || 0;
+    const urgency = String(row[cols.urgency] || '-').toUpperCase().trim();
+    const automated = row[cols.automated] === true || String(row[cols.automated]).toLowerCase() === 'true';
+    const requestDay = String(row[cols.requestDay] || '').trim();
+
+    rows.push({
+      tenant: String(row[cols.tenant] || ''),
+      requestDate,
+      requestMonth: excelValueToMonthName(row[cols.requestMonth]),
+      requestDay: requestDay.replace(/\s+/g, ''),
+      requestHour,
+      requestType: String(row[cols.requestType] || ''),
+      pathway: String(row[cols.pathway] || '-'),
+      urgency: urgency === '-' ? null : urgency,
+      automated,
+      guideline: String(row[cols.guideline] || ''),
+      slotType: String(row[cols.slotType] || '-'),
+      appointmentStatus: String(row[cols.appointmentStatus] || '-'),
+      patientAge,
+      isAdult: patientAge >= 18,
+      timeToProcessedMins: parseTimeToMinutes(row[cols.timeToProcessed]),
+    });
+  }
+
+  return rows;
+};
@@ -0,0 +1,323 @@
+/**
+ * Slot Rota Optimiser
+ *
+ * Proposes a weekly rota of clinician sessions and slot types from triage demand.
+ *
+ * 1. Demand is moved to the day slots are needed using the urgency timing rules
+ *    (capacityNeededByDate), giving a sample of daily need for each weekday.
+ * 2. Each weekday gets enough slots of each urgency to meet the need on the chosen
+ *    share of days (service level, e.g. RED met on 95% of Mondays).
+ * 3. Same-day slots are split between morning and afternoon by when requests arrive
+ *    (a request made at 3pm can't use a morning slot); other slots fill the space left in each half.
+ * 4. Slots are packed into clinician sessions, limited by slot length, session length,
+ *    slots per clinician and sessions per day. Where a day runs out of sessions, same-day
+ *    slots move to the afternoon (morning requests can still use them), then the least
+ *    urgent slots are dropped first and reported as a shortfall.
+ *
+ * Without dated demand (dashboards shared before it was kept) the weekly average is the
+ * only sample, so every service level is met by the average.
+ */
+import { URGENCY_LEVELS, capacityNeededByDate, calculateCapacityNeeded, isOpenDate, normaliseUrgencyRules } from './urgencyRules.js';
+
+export const DEFAULT_ROTA_CONSTRAINTS = {
+  serviceLevels: { RED: 95, AMBER: 90, YELLOW: 85, GREEN: 80 },
+  slotMinutes: 10,
+  sessionMinutes: 210,
+  maxSlotsPerSession: 18,
+  maxSessionsPerDay: 6,
+  amStart: '08:30',
+  pmStart: '14:00',
+};
+
+export const ROTA_SESSIONS = ['AM', 'PM'];
+
+// Slot type names used in the exported rota template
+export const SLOT_TYPE_LABELS = {
+  RED: 'Urgent same day',
+  AMBER: 'Urgent next day',
+  YELLOW: 'Soon',
+  GREEN: 'Routine',
+};
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Requests from this hour onwards can only be seen in the afternoon
+const PM_FROM_HOUR = 13;
+
+const toNumber = (value, fallback, min, max) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+const toTime = (value, fallback) => (/^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : fallback);
+
+/**
+ * Complete rota constraints from user input, falling back to the defaults
+ * @param {Object} [constraints] - See DEFAULT_ROTA_CONSTRAINTS
+ * @returns {Object} Constraints with every value in range
+ */
+export const normaliseRotaConstraints = (constraints = {}) => {
+  const defaults = DEFAULT_ROTA_CONSTRAINTS;
+  return {
+    serviceLevels: Object.fromEntries(URGENCY_LEVELS.map(urgency => [
+      urgency,
+      toNumber(constraints.serviceLevels?.[urgency], defaults.serviceLevels[urgency], 50, 100),
+    ])),
+    slotMinutes: Math.round(toNumber(constraints.slotMinutes, defaults.slotMinutes, 5, 60)),
+    sessionMinutes: Math.round(toNumber(constraints.sessionMinutes, defaults.sessionMinutes, 30, 360)),
+    maxSlotsPerSession: Math.round(toNumber(constraints.maxSlotsPerSession, defaults.maxSlotsPerSession, 1, 72)),
+    maxSessionsPerDay: Math.round(toNumber(constraints.maxSessionsPerDay, defaults.maxSessionsPerDay, 0, 40)),
+    amStart: toTime(constraints.amStart, defaults.amStart),
+    pmStart: toTime(constraints.pmStart, defaults.pmStart),
+  };
+};
+
+// Smallest value that covers the given share of the sample (nearest rank)
+const percentile = (values, pct) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((pct / 100) * sorted.length) - 1))];
+};
+
+// Daily slots needed on each open day in the uploaded range, grouped by weekday
+const dailyNeedSamples = (data, rules, acceptWeekendRequests) => {
+  const samples = Object.fromEntries(WEEKDAYS.map(day => [day, []]));
+  const keys = Object.keys(data.demandByDateUrgency || {}).sort();
+
+  if (keys.length === 0) {
+    const average = calculateCapacityNeeded(data, rules, { acceptWeekendRequests });
+    WEEKDAYS.forEach(day => {
+      samples[day].push(Object.fromEntries(URGENCY_LEVELS.map(urgency => [urgency, average[day][`avg${urgency}`]])));
+    });
+    return samples;
+  }
+
+  const neededByDate = capacityNeededByDate(data, rules, { acceptWeekendRequests });
+  const [first, last] = [keys[0], keys[keys.length - 1]].map(key => {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  });
+  for (let date = first; date <= last; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+    if (!isOpenDate(date)) continue;
+    const key = [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+    const needed = neededByDate[key] || {};
+    samples[DAY_NAMES[date.getDay()]].push(Object.fromEntries(URGENCY_LEVELS.map(urgency => [urgency, needed[urgency] || 0])));
+  }
+  return samples;
+};
+
+// Share of a weekday's requests that arrive in the afternoon
+const afternoonShare = (heatmap) => {
+  if (!heatmap) return 0.5;
+  let total = 0;
+  let afternoon = 0;
+  Object.entries(heatmap).forEach(([hour, count]) => {
+    total += count;
+    if (Number(hour) >= PM_FROM_HOUR) afternoon += count;
+  });
+  return total > 0 ? afternoon / total : 0.5;
+};
+
+const addMinutes = (time, minutes) => {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = hours * 60 + mins + minutes;
+  return `${String(Math.floor(total / 60) % 24).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Spread slot counts over n sessions, then interleave urgencies within each session
+const packSessions = (counts, sessionCount) => {
+  const sessions = Array.from({ length: sessionCount }, () => Object.fromEntries(URGENCY_LEVELS.map(u => [u, 0])));
+  let next = 0;
+  URGENCY_LEVELS.forEach(urgency => {
+    for (let i = 0; i < counts[urgency]; i++) {
+      sessions[next % sessionCount][urgency]++;
+      next++;
+    }
+  });
+  return sessions.map(sessionCounts => {
+    const remaining = { ...sessionCounts };
+    const order = [];
+    while (URGENCY_LEVELS.some(urgency => remaining[urgency] > 0)) {
+      URGENCY_LEVELS.forEach(urgency => {
+        if (remaining[urgency] > 0) {
+          order.push(urgency);
+          remaining[urgency]--;
+        }
+      });
+    }
+    return order;
+  });
+};
+
+/**
+ * Propose a weekly rota of clinician sessions and slot types
+ * @param {Object} data - Demand analysis (see analyzeTriageDemand)
+ * @param {Object} [options] - { urgencyRules, acceptWeekendRequests, constraints }
+ * @returns {Object} { slotCapacity, days, sessions, totals, constraints }
+ *   days: { [weekday]: { needed, slots, sessions, shortfall, serviceLevel, sampleDays } }
+ *   sessions: [{ day, session, clinician, start, end, slots: [{ start, end, urgency }] }]
+ */
+export const optimiseSlotRota = (data, options = {}) => {
+  const rules = normaliseUrgencyRules(options.urgencyRules);
+  const constraints = normaliseRotaConstraints(options.constraints);
+  const { slotMinutes, sessionMinutes, maxSlotsPerSession, maxSessionsPerDay, serviceLevels } = constraints;
+  const slotsPerSession = Math.max(1, Math.min(maxSlotsPerSession, Math.floor(sessionMinutes / slotMinutes)));
+  const maxSlotsPerDay = slotsPerSession * maxSessionsPerDay;
+
+  // Slot types that must be used on the day the request arrives
+  const sameDayTypes = new Set(URGENCY_LEVELS.filter(urgency => rules[urgency].targetDays === 0));
+  URGENCY_LEVELS.forEach(urgency => {
+    if (rules[urgency].whenClosed === 'upgrade' && rules[urgency].targetDays > 0) sameDayTypes.add(rules[urgency].upgradeTo);
+  });
+
+  const samples = dailyNeedSamples(data, rules, !!options.acceptWeekendRequests);
+  const slotCapacity = { Saturday: { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0 }, Sunday: { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0 } };
+  const days = {};
+  const sessions = [];
+
+  WEEKDAYS.forEach(day => {
+    const sample = samples[day];
+    const needed = Object.fromEntries(URGENCY_LEVELS.map(urgency => [
+      urgency,
+      percentile(sample.map(need => need[urgency]), serviceLevels[urgency]),
+    ]));
+
+    // Keep the most urgent slots when the day runs out of sessions
+    const slots = {};
+    const shortfall = {};
+    let available = maxSlotsPerDay;
+    URGENCY_LEVELS.forEach(urgency => {
+      slots[urgency] = Math.min(needed[urgency], available);
+      shortfall[urgency] = needed[urgency] - slots[urgency];
+      available -= slots[urgency];
+    });
+
+    // Same-day slots follow arrivals; the rest fill the remaining space in each half of the day
+    const pmShare = afternoonShare(data.heatmapData?.[day]);
+    const planHalves = (sameDayPmShare) => {
+      const half = { AM: {}, PM: {} };
+      let sameDay = { AM: 0, PM: 0 };
+      URGENCY_LEVELS.filter(urgency => sameDayTypes.has(urgency)).forEach(urgency => {
+        half.PM[urgency] = Math.round(slots[urgency] * sameDayPmShare);
+        half.AM[urgency] = slots[urgency] - half.PM[urgency];
+        sameDay = { AM: sameDay.AM + half.AM[urgency], PM: sameDay.PM + half.PM[urgency] };
+      });
+      const others = URGENCY_LEVELS.filter(urgency => !sameDayTypes.has(urgency));
+      const otherTotal = others.reduce((sum, urgency) => sum + slots[urgency], 0);
+
+      const minAm = Math.ceil(sameDay.AM / slotsPerSession);
+      const minPm = Math.ceil(sameDay.PM / slotsPerSession);
+      const total = Math.max(Math.ceil((sameDay.AM + sameDay.PM + otherTotal) / slotsPerSession), minAm + minPm);
+      const count = { PM: Math.min(total - minAm, Math.max(minPm, Math.round(total / 2))) };
+      count.AM = total - count.PM;
+
+      // Other slots go to each half in proportion to its free space
+      const free = { AM: count.AM * slotsPerSession - sameDay.AM, PM: count.PM * slotsPerSession - sameDay.PM };
+      const pmOthers = otherTotal > 0 ? Math.round((otherTotal * free.PM) / (free.AM + free.PM)) : 0;
+      let cumulative = 0;
+      let placed = 0;
+      others.forEach(urgency => {
+        cumulative += slots[urgency];
+        half.PM[urgency] = Math.round((cumulative * pmOthers) / (otherTotal || 1)) - placed;
+        half.AM[urgency] = slots[urgency] - half.PM[urgency];
+        placed += half.PM[urgency];
+      });
+      return { half, count };
+    };
+
+    // Splitting the day can need an extra session. Morning requests can use afternoon
+    // slots, so move the same-day slots there first, then drop the least urgent slots
+    let sameDayPmShare = pmShare;
+    let plan = planHalves(sameDayPmShare);
+    while (plan.count.AM + plan.count.PM > maxSessionsPerDay) {
+      if (sameDayPmShare < 1) {
+        sameDayPmShare = 1;
+      } else {
+        const urgency = [...URGENCY_LEVELS].reverse().find(level => slots[level] > 0);
+        slots[urgency]--;
+        shortfall[urgency]++;
+      }
+      plan = planHalves(sameDayPmShare);
+    }
+
+    let sessionCount = 0;
+    ROTA_SESSIONS.forEach(session => {
+      const counts = plan.half[session];
+      const count = plan.count[session];
+      const start = session === 'AM' ? constraints.amStart : constraints.pmStart;
+      packSessions(counts, count).forEach((order, i) => {
+        sessions.push({
+          day,
+          session,
+          clinician: `Clinician ${sessionCount + i + 1}`,
+          start,
+          end: addMinutes(start, order.length * slotMinutes),
+          slots: order.map((urgency, n) => ({
+            start: addMinutes(start, n * slotMinutes),
+            end: addMinutes(start, (n + 1) * slotMinutes),
+            urgency,
+          })),
+        });
+      });
+      sessionCount += count;
+    });
+
+    slotCapacity[day] = slots;
+    days[day] = {
+      needed,
+      slots,
+      sessions: sessionCount,
+      shortfall,
+      sampleDays: sample.length,
+      // Share of sampled days on which the slots covered the need
+      serviceLevel: Object.fromEntries(URGENCY_LEVELS.map(urgency => [
+        urgency,
+        sample.length > 0 ? (sample.filter(need => need[urgency] <= slots[urgency]).length / sample.length) * 100 : null,
+      ])),
+    };
+  });
+
+  const totalSlots = WEEKDAYS.reduce(
+    (sum, day) => sum + URGENCY_LEVELS.reduce((daySum, urgency) => daySum + days[day].slots[urgency], 0),
+    0
+  );
+  const totalSessions = sessions.length;
+
+  return {
+    slotCapacity,
+    days,
+    sessions,
+    totals: {
+      slots: totalSlots,
+      sessions: totalSessions,
+      clinicianHours: (totalSessions * sessionMinutes) / 60,
+      shortfall: WEEKDAYS.reduce(
+        (sum, day) => sum + URGENCY_LEVELS.reduce((daySum, urgency) => daySum + days[day].shortfall[urgency], 0),
+        0
+      ),
+    },
+    constraints,
+  };
+};
+
+/**
+ * Rota as template rows for a clinical system rota builder, one row per slot
+ * @param {Object} rota - Result of optimiseSlotRota
+ * @returns {Array<Array>} Header row followed by slot rows
+ */
+export const rotaTemplateRows = (rota) => [
+  ['Day', 'Session', 'Clinician', 'Session Start', 'Session End', 'Slot Start', 'Slot End', 'Slot Length (mins)', 'Slot Type', 'Urgency'],
+  ...rota.sessions.flatMap(session => session.slots.map(slot => [
+    session.day,
+    session.session,
+    session.clinician,
+    session.start,
+    session.end,
+    slot.start,
+    slot.end,
+    rota.constraints.slotMinutes,
+    SLOT_TYPE_LABELS[slot.urgency],
+    slot.urgency,
+  ])),
+];
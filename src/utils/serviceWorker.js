@@ -0,0 +1,17 @@
+/* global __APP_VERSION__, __GIT_COMMIT__ */
+
+// Register the offline service worker (public/sw.js). Production builds only:
+// the dev server serves source modules the worker has no precache list for.
+// The version in the URL makes each release install a fresh worker and shell cache.
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  const version = encodeURIComponent(`${__APP_VERSION__}-${__GIT_COMMIT__}`);
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`/sw.js?v=${version}`).catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  });
+};
+
+export default registerServiceWorker;
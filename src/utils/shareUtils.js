@@ -273,6 +273,16 @@ export const maybeCleanupExpiredShares = async () => {
 const COMPARISON_COLLECTION = 'comparisonSets';
 const MAX_PRACTICES_IN_COMPARISON = 15;
 
+// Generate a comparison ID not already in use
+const generateComparisonId = async () => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const comparisonId = generateShareId(8);
+    const docSnap = await getDoc(doc(db, COMPARISON_COLLECTION, comparisonId));
+    if (!docSnap.exists()) return comparisonId;
+  }
+  throw new Error('Failed to generate unique comparison ID. Please try again.');
+};
+
 /**
  * Create a comparison set from multiple share IDs
  * @param {string[]} shareIds - Array of share IDs to include (max 15)
@@ -324,25 +334,7 @@ export const createComparisonSet = async (shareIds, name = '') => {
       throw new Error(`Invalid shares: ${errorMessages}`);
     }
 
-    // Generate comparison ID
-    let comparisonId;
-    let attempts = 0;
-    const maxAttempts = 3;
-
-    while (attempts < maxAttempts) {
-      comparisonId = generateShareId(8);
-      const docRef = doc(db, COMPARISON_COLLECTION, comparisonId);
-      const docSnap = await getDoc(docRef);
-
-      if (!docSnap.exists()) {
-        break;
-      }
-
-      attempts++;
-      if (attempts >= maxAttempts) {
-        throw new Error('Failed to generate unique comparison ID. Please try again.');
-      }
-    }
+    const comparisonId = await generateComparisonId();
 
     const now = Timestamp.now();
     const expiresAt = new Timestamp(
@@ -381,10 +373,84 @@ export const createComparisonSet = async (shareIds, name = '') => {
   }
 };
 
+/**
+ * Publish a comparison set built on this device as one share, with every practice's
+ * monthly data stored in the comparison itself (no per-practice share links needed)
+ * @param {Object} comparison - { name, practices } (see comparisonUtils.js createLocalComparison)
+ * @returns {Promise<Object>} { comparisonId, comparisonUrl, expiresAt }
+ * @throws {Error} if validation fails, the data is too large or operation errors
+ */
+export const publishComparisonSet = async (comparison) => {
+  const practices = comparison?.practices || [];
+  if (practices.length < 2) {
+    throw new Error('A comparison requires at least 2 practices.');
+  }
+
+  if (practices.length > MAX_PRACTICES_IN_COMPARISON) {
+    throw new Error(`Maximum ${MAX_PRACTICES_IN_COMPARISON} practices allowed in a comparison.`);
+  }
+
+  const rateLimit = checkRateLimit();
+  if (!rateLimit.allowed) {
+    const minutesRemaining = Math.ceil(rateLimit.remainingTime / 60000);
+    throw new Error(`Rate limit exceeded. Please wait ${minutesRemaining} minute${minutesRemaining > 1 ? 's' : ''} before creating another comparison.`);
+  }
+
+  try {
+    // Only what the comparison view reads is published (no raw staff or slot rows)
+    const compressed = LZString.compressToBase64(JSON.stringify(practices.map(practice => ({
+      shareId: practice.shareId,
+      surgeryName: practice.surgeryName,
+      odsCode: practice.odsCode,
+      population: practice.population,
+      config: practice.config,
+      processedData: practice.processedData,
+    }))));
+
+    const sizeKB = compressed.length / 1024;
+    if (sizeKB > MAX_SIZE_KB) {
+      throw new Error(`Comparison too large (${sizeKB.toFixed(0)}KB). Maximum is ${MAX_SIZE_KB}KB. Use Excel export instead.`);
+    }
+
+    const comparisonId = await generateComparisonId();
+
+    const now = Timestamp.now();
+    const expiresAt = new Timestamp(
+      now.seconds + (EXPIRY_DAYS * 24 * 60 * 60),
+      now.nanoseconds
+    );
+
+    await setDoc(doc(db, COMPARISON_COLLECTION, comparisonId), {
+      shareIds: [],
+      data: compressed,
+      name: comparison.name || `Comparison ${new Date().toLocaleDateString()}`,
+      createdAt: now,
+      expiresAt,
+      views: 0,
+      lastViewedAt: null,
+      practiceCount: practices.length,
+    });
+
+    recordShareCreation();
+
+    return {
+      comparisonId,
+      comparisonUrl: `${window.location.origin}/compare/${comparisonId}`,
+      expiresAt: expiresAt.toDate(),
+    };
+  } catch (error) {
+    if (error.message.includes('Rate limit') || error.message.includes('too large')) {
+      throw error;
+    }
+    throw new Error(`Failed to create comparison: ${error.message}`);
+  }
+};
+
 /**
  * Load a comparison set from Firebase
  * @param {string} comparisonId - The comparison ID to load
- * @returns {Promise<Object>} { shareIds, name, createdAt, expiresAt, views, practiceCount }
+ * @returns {Promise<Object>} { shareIds, name, createdAt, expiresAt, views, practiceCount }, plus
+ *   `practices` for a set published with publishComparisonSet
  * @throws {Error} if not found or expired
  */
 export const loadComparisonSet = async (comparisonId) => {
@@ -412,8 +478,19 @@ export const loadComparisonSet = async (comparisonId) => {
       lastViewedAt: now,
     });
 
+    // Sets published from this device carry their practices' data
+    let practices;
+    if (data.data) {
+      const decompressed = LZString.decompressFromBase64(data.data);
+      if (!decompressed) {
+        throw new Error('Failed to decompress comparison data. The link may be corrupted.');
+      }
+      practices = JSON.parse(decompressed);
+    }
+
     return {
-      shareIds: data.shareIds,
+      shareIds: data.shareIds || [],
+      ...(practices ? { practices } : {}),
       name: data.name,
       createdAt: data.createdAt.toDate(),
       expiresAt: data.expiresAt.toDate(),
@@ -421,7 +498,7 @@ export const loadComparisonSet = async (comparisonId) => {
       practiceCount: data.practiceCount || data.shareIds.length,
     };
   } catch (error) {
-    if (error.message.includes('expired') || error.message.includes('not found')) {
+    if (error.message.includes('expired') || error.message.includes('not found') || error.message.includes('corrupted')) {
       throw error;
     }
     throw new Error(`Failed to load comparison: ${error.message}`);
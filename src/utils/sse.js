@@ -0,0 +1,66 @@
+/**
+ * Server-Sent Events helpers
+ *
+ * Shared by /api/analyze (reading a provider's streamed completion and
+ * writing its own stream) and the browser (reading that stream back).
+ * No browser or Node dependencies.
+ */
+
+/**
+ * Create an incremental SSE parser. Feed it text chunks as they arrive;
+ * onEvent is called with { event, data } for each complete event, where
+ * event defaults to 'message' and data is the joined data lines.
+ */
+export const createSSEParser = (onEvent) => {
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const dataLines = [];
+    block.split(/\r?\n/).forEach(line => {
+      if (line.startsWith(':')) return; // comment / keep-alive
+      const idx = line.indexOf(':');
+      const field = idx === -1 ? line : line.slice(0, idx);
+      const value = idx === -1 ? '' : line.slice(idx + 1).replace(/^ /, '');
+      if (field === 'event') event = value;
+      if (field === 'data') dataLines.push(value);
+    });
+    if (dataLines.length > 0) onEvent({ event, data: dataLines.join('\n') });
+  };
+
+  return {
+    push: (chunk) => {
+      buffer += chunk;
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(dispatch);
+    },
+    // Dispatch anything left when the stream closes without a trailing blank line
+    flush: () => {
+      if (buffer.trim()) dispatch(buffer);
+      buffer = '';
+    },
+  };
+};
+
+// Format one SSE event with a JSON payload
+export const formatSSEEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Read a fetch Response body as SSE, calling onEvent for each event
+ * @param {Response} response - fetch response with a streaming body
+ * @param {Function} onEvent - Receives { event, data }
+ */
+export const readSSEStream = async (response, onEvent) => {
+  const parser = createSSEParser(onEvent);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(decoder.decode(value, { stream: true }));
+  }
+  parser.push(decoder.decode());
+  parser.flush();
+};
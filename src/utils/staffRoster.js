@@ -0,0 +1,122 @@
+/**
+ * Staff Roster
+ * Per-practice clinician role classification used by the local demand
+ * dashboard and follow-up analysis. Entries are seeded from the name
+ * heuristic ("Dr"/"locum") and can then be corrected by the practice.
+ */
+
+import { ROLE_GROUPS, GP_ROLE_GROUPS, ARRS_ROLE_GROUPS } from './workforceSchema.js';
+import { isGP as isGPByName } from './calculations.js';
+
+export const STAFF_ROSTER_STORAGE_PREFIX = 'caip-staff-roster-';
+
+// Name hints for non-GP roles, checked in order against the staff name
+// (e.g. "Dr Jane Smith ANP" is a nurse practitioner, not a GP)
+const ROLE_NAME_HINTS = [
+  { roleGroup: ROLE_GROUPS.GP_REGISTRAR, pattern: /\b(registrar|gpst\d?|gp trainee)\b/i },
+  { roleGroup: ROLE_GROUPS.NURSE, pattern: /\b(nurse|anp|acp|np)\b/i },
+  { roleGroup: ROLE_GROUPS.HCA, pattern: /\b(hca|health ?care assistant|phlebotomist)\b/i },
+  { roleGroup: ROLE_GROUPS.PHARM_TECH, pattern: /\b(pharmacy technician|pharm tech)\b/i },
+  { roleGroup: ROLE_GROUPS.PHARMACIST, pattern: /\bpharmacist\b/i },
+  { roleGroup: ROLE_GROUPS.PARAMEDIC, pattern: /\bparamedic\b/i },
+  { roleGroup: ROLE_GROUPS.PHYSIO, pattern: /\b(physio|physiotherapist|fcp)\b/i },
+  { roleGroup: ROLE_GROUPS.MENTAL_HEALTH, pattern: /\b(mental health|mhp|iapt)\b/i },
+];
+
+// Normalise a staff name for roster matching (case and whitespace insensitive)
+export const normaliseStaffName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Suggest a role group for a staff name
+// GP detection defaults to the legacy "Dr"/"locum" heuristic but can be swapped
+export const inferRoleGroup = (name, isGPFn = isGPByName) => {
+  const hint = ROLE_NAME_HINTS.find(h => h.pattern.test(String(name || '')));
+  if (hint) return hint.roleGroup;
+  if (!isGPFn(name)) return ROLE_GROUPS.OTHER;
+  return /locum/i.test(String(name)) ? ROLE_GROUPS.GP_LOCUM : ROLE_GROUPS.GP_SALARIED;
+};
+
+// Create a roster entry with GP/ARRS flags derived from the role group
+export const createRosterEntry = (name, roleGroup = inferRoleGroup(name)) => ({
+  name: String(name || '').trim(),
+  roleGroup,
+  isGP: GP_ROLE_GROUPS.includes(roleGroup),
+  isArrs: ARRS_ROLE_GROUPS.includes(roleGroup),
+  include: true,
+});
+
+/**
+ * Merge staff names seen in uploaded data with a saved roster
+ * Saved entries win; unseen names are seeded from the heuristic.
+ * Entries for staff not in this upload are kept so the roster accumulates.
+ * @param {Array<string>} names - Staff names from the current data
+ * @param {Array} savedRoster - Previously saved roster entries
+ * @param {Function} isGPFn - Heuristic used to seed new entries
+ * @returns {Array} Roster entries sorted by name
+ */
+export const buildStaffRoster = (names = [], savedRoster = [], isGPFn = isGPByName) => {
+  const byName = new Map();
+  (savedRoster || []).forEach(entry => {
+    if (entry?.name) byName.set(normaliseStaffName(entry.name), entry);
+  });
+  names.forEach(name => {
+    const key = normaliseStaffName(name);
+    if (key && !byName.has(key)) {
+      byName.set(key, createRosterEntry(name, inferRoleGroup(name, isGPFn)));
+    }
+  });
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Create lookups that classify staff using the roster
+ * Names missing from the roster fall back to the supplied heuristic.
+ * @param {Array} roster - Roster entries
+ * @param {Function} fallbackIsGP - Heuristic for names not in the roster
+ * @returns {Object} { isGP(name), isIncluded(name), getEntry(name) }
+ */
+export const createStaffClassifier = (roster = [], fallbackIsGP = isGPByName) => {
+  const byName = new Map();
+  (roster || []).forEach(entry => {
+    if (entry?.name) byName.set(normaliseStaffName(entry.name), entry);
+  });
+
+  const getEntry = (name) => byName.get(normaliseStaffName(name)) || null;
+
+  return {
+    getEntry,
+    isGP: (name) => {
+      const entry = getEntry(name);
+      return entry ? Boolean(entry.isGP) : fallbackIsGP(name);
+    },
+    isIncluded: (name) => {
+      const entry = getEntry(name);
+      return entry ? entry.include !== false : true;
+    },
+  };
+};
+
+// Build the localStorage key for a practice (ODS code preferred, then name)
+export const getStaffRosterKey = (...identifiers) => {
+  const id = identifiers.find(value => value && String(value).trim());
+  return `${STAFF_ROSTER_STORAGE_PREFIX}${id ? String(id).trim().toUpperCase().replace(/\s+/g, '_') : 'DEFAULT'}`;
+};
+
+// Load a saved roster from localStorage
+export const loadStaffRoster = (storageKey) => {
+  try {
+    const stored = localStorage.getItem(storageKey);
+    return stored ? JSON.parse(stored) : [];
+  } catch (e) {
+    console.error('Failed to load staff roster:', e);
+    return [];
+  }
+};
+
+// Persist a roster to localStorage
+export const saveStaffRoster = (storageKey, roster) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(roster));
+  } catch (e) {
+    console.error('Failed to save staff roster:', e);
+  }
+};
@@ -199,7 +199,8 @@ export const classifyAppointmentSubtype = (outcome) => {
  * Validate SystmConnect file headers
  */
 export const validateSystmConnectHeaders = (headers) => {
-  const normalizedHeaders = headers.map(h => String(h || '').trim().toLowerCase());
+  // Blank header cells would match every expected header
+  const normalizedHeaders = headers.map(h => String(h || '').trim().toLowerCase()).filter(Boolean);
   const expectedNormalized = EXPECTED_COLUMNS.map(h => h.toLowerCase());
 
   // Check if at least 60% of expected headers are present
@@ -380,306 +381,3 @@ export const parseSystmConnectData = (workbook, customOutcomeMapping = {}) => {
 
   return { rows, dataQuality };
 };
-
-/**
- * Analyze SystmConnect data and compute all metrics
- */
-export const analyzeSystmConnectData = (rows, listSize = null) => {
-  if (!rows || rows.length === 0) return null;
-
-  // Date range
-  const dates = rows.map(r => r.submittedDt).filter(Boolean);
-  const minDate = dates.length > 0 ? new Date(Math.min(...dates)) : null;
-  const maxDate = dates.length > 0 ? new Date(Math.max(...dates)) : null;
-
-  // Unique values for filters
-  const uniqueOdsCodes = [...new Set(rows.map(r => r.odsCode).filter(Boolean))];
-  const uniqueAccessMethods = [...new Set(rows.map(r => r.accessMethod).filter(Boolean))];
-  const uniqueSubmissionSources = [...new Set(rows.map(r => r.submissionSource).filter(Boolean))];
-  const uniqueResponsePreferences = [...new Set(rows.map(r => r.responsePreference).filter(Boolean))];
-  const uniqueClinicalProblemTypes = [...new Set(rows.map(r => r.clinicalProblemType).filter(Boolean))];
-  const uniqueAdminActivityTypes = [...new Set(rows.map(r => r.adminActivityType).filter(Boolean))];
-  const uniqueOutcomes = [...new Set(rows.map(r => r.outcome).filter(Boolean))];
-  const uniqueOutcomeGroups = [...new Set(rows.map(r => r.outcomeGroup).filter(Boolean))];
-
-  // Check if admin data exists
-  const hasAdminData = rows.some(r => r.type === 'Admin');
-
-  // Basic counts
-  const totalRequests = rows.length;
-  const clinicalRequests = rows.filter(r => r.type === 'Clinical').length;
-  const adminRequests = rows.filter(r => r.type === 'Admin').length;
-  const completedRequests = rows.filter(r => r.isCompleted).length;
-  const outcomeRecordedRequests = rows.filter(r => r.hasOutcomeRecorded).length;
-  const appointmentRequests = rows.filter(r => r.isAppointment).length;
-
-  // Calculate rates
-  const completionRate = totalRequests > 0 ? (completedRequests / totalRequests) * 100 : 0;
-  const outcomeRate = totalRequests > 0 ? (outcomeRecordedRequests / totalRequests) * 100 : 0;
-  const appointmentConversionRate = totalRequests > 0 ? (appointmentRequests / totalRequests) * 100 : 0;
-  const avoidedAppointmentRate = totalRequests > 0 ? ((totalRequests - appointmentRequests) / totalRequests) * 100 : 0;
-
-  // Per 1000 patients (if list size provided)
-  const requestsPer1000 = listSize ? (totalRequests / listSize) * 1000 : null;
-
-  // Outcome group counts
-  const outcomeGroupCounts = {};
-  rows.forEach(r => {
-    const group = r.outcomeGroup || 'Other / Unknown';
-    outcomeGroupCounts[group] = (outcomeGroupCounts[group] || 0) + 1;
-  });
-
-  // Top outcomes
-  const outcomeCounts = {};
-  rows.forEach(r => {
-    if (r.outcome) {
-      outcomeCounts[r.outcome] = (outcomeCounts[r.outcome] || 0) + 1;
-    }
-  });
-  const topOutcomes = Object.entries(outcomeCounts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10);
-
-  // Appointment subtype counts
-  const appointmentSubtypeCounts = {};
-  rows.filter(r => r.isAppointment).forEach(r => {
-    const subtype = r.appointmentSubtype || 'Other Appointment';
-    appointmentSubtypeCounts[subtype] = (appointmentSubtypeCounts[subtype] || 0) + 1;
-  });
-
-  // Lead time stats (median, percentiles)
-  const leadTimes = rows.map(r => r.leadTimeMinutes).filter(v => v !== null && v >= 0);
-  leadTimes.sort((a, b) => a - b);
-  const medianLeadTime = leadTimes.length > 0 ? leadTimes[Math.floor(leadTimes.length / 2)] : null;
-
-  // Time to outcome stats
-  const timeToOutcomes = rows.map(r => r.timeToOutcomeMinutes).filter(v => v !== null && v >= 0);
-  timeToOutcomes.sort((a, b) => a - b);
-  const medianTimeToOutcome = timeToOutcomes.length > 0 ? timeToOutcomes[Math.floor(timeToOutcomes.length / 2)] : null;
-
-  // By day of week
-  const byDayOfWeek = { Monday: 0, Tuesday: 0, Wednesday: 0, Thursday: 0, Friday: 0, Saturday: 0, Sunday: 0 };
-  rows.forEach(r => {
-    if (r.dow) byDayOfWeek[r.dow]++;
-  });
-
-  // By hour
-  const byHour = {};
-  for (let h = 0; h < 24; h++) byHour[h] = 0;
-  rows.forEach(r => {
-    if (r.hourOfDay !== null) byHour[r.hourOfDay]++;
-  });
-
-  // Peak hour and day
-  const peakHour = Object.entries(byHour).sort((a, b) => b[1] - a[1])[0];
-  const peakDay = Object.entries(byDayOfWeek).sort((a, b) => b[1] - a[1])[0];
-
-  // Weekend share
-  const weekendRequests = rows.filter(r => r.isWeekend).length;
-  const weekendShare = totalRequests > 0 ? (weekendRequests / totalRequests) * 100 : 0;
-
-  // Heatmap data (day x hour)
-  const heatmapData = {};
-  Object.keys(byDayOfWeek).forEach(day => {
-    heatmapData[day] = {};
-    for (let h = 0; h < 24; h++) heatmapData[day][h] = 0;
-  });
-  rows.forEach(r => {
-    if (r.dow && r.hourOfDay !== null) {
-      heatmapData[r.dow][r.hourOfDay]++;
-    }
-  });
-
-  // Daily time series
-  const byDate = {};
-  rows.forEach(r => {
-    if (r.submittedDt) {
-      const dateKey = r.submittedDt.toISOString().split('T')[0];
-      if (!byDate[dateKey]) {
-        byDate[dateKey] = { total: 0, clinical: 0, admin: 0, appointments: 0 };
-      }
-      byDate[dateKey].total++;
-      if (r.type === 'Clinical') byDate[dateKey].clinical++;
-      if (r.type === 'Admin') byDate[dateKey].admin++;
-      if (r.isAppointment) byDate[dateKey].appointments++;
-    }
-  });
-
-  // Rolling 7-day average
-  const sortedDates = Object.keys(byDate).sort();
-  const rolling7Day = [];
-  for (let i = 6; i < sortedDates.length; i++) {
-    const window = sortedDates.slice(i - 6, i + 1);
-    const avg = window.reduce((sum, d) => sum + byDate[d].total, 0) / 7;
-    rolling7Day.push({ date: sortedDates[i], value: Math.round(avg * 10) / 10 });
-  }
-
-  // Demographics
-  const byAgeBand = {};
-  AGE_BANDS.forEach(b => byAgeBand[b.label] = { total: 0, appointments: 0, timedOut: 0 });
-  byAgeBand['Unknown'] = { total: 0, appointments: 0, timedOut: 0 };
-  rows.forEach(r => {
-    const band = r.ageBand || 'Unknown';
-    if (byAgeBand[band]) {
-      byAgeBand[band].total++;
-      if (r.isAppointment) byAgeBand[band].appointments++;
-      if (r.outcomeGroup === 'Timed out / No response') byAgeBand[band].timedOut++;
-    }
-  });
-
-  const bySex = {};
-  rows.forEach(r => {
-    const sex = r.sex || 'Unknown';
-    if (!bySex[sex]) bySex[sex] = { total: 0, appointments: 0 };
-    bySex[sex].total++;
-    if (r.isAppointment) bySex[sex].appointments++;
-  });
-
-  // Specific outcome rates
-  const timedOutCount = rows.filter(r => r.outcomeGroup === 'Timed out / No response').length;
-  const timedOutRate = totalRequests > 0 ? (timedOutCount / totalRequests) * 100 : 0;
-
-  const inappropriateCount = rows.filter(r => r.outcomeGroup === 'Inappropriate / Rejected').length;
-  const inappropriateRate = totalRequests > 0 ? (inappropriateCount / totalRequests) * 100 : 0;
-
-  const signpostingCount = rows.filter(r => r.outcomeGroup === 'Signposting / Redirect').length;
-  const signpostingRate = totalRequests > 0 ? (signpostingCount / totalRequests) * 100 : 0;
-
-  const prescriptionCount = rows.filter(r => r.outcomeGroup === 'Prescription / Meds').length;
-  const prescriptionRate = totalRequests > 0 ? (prescriptionCount / totalRequests) * 100 : 0;
-
-  const adviceCount = rows.filter(r => r.outcomeGroup === 'Advice / Self-care').length;
-  const adviceRate = totalRequests > 0 ? (adviceCount / totalRequests) * 100 : 0;
-
-  // SLA metrics (% within X hours)
-  const slaMetrics = {};
-  [2, 4, 8, 24, 48].forEach(hours => {
-    const threshold = hours * 60; // minutes
-    const withinSla = timeToOutcomes.filter(t => t <= threshold).length;
-    slaMetrics[`within${hours}h`] = timeToOutcomes.length > 0 ? (withinSla / timeToOutcomes.length) * 100 : 0;
-  });
-
-  // Weekly outcome group breakdown
-  const byWeek = {};
-  rows.forEach(r => {
-    if (r.submittedDt) {
-      const weekStart = new Date(r.submittedDt);
-      weekStart.setDate(weekStart.getDate() - weekStart.getDay() + 1); // Monday
-      const weekKey = weekStart.toISOString().split('T')[0];
-      if (!byWeek[weekKey]) {
-        byWeek[weekKey] = { total: 0 };
-        Object.keys(DEFAULT_OUTCOME_GROUPS).forEach(g => byWeek[weekKey][g] = 0);
-      }
-      byWeek[weekKey].total++;
-      byWeek[weekKey][r.outcomeGroup || 'Other / Unknown']++;
-    }
-  });
-
-  // Access method distribution
-  const byAccessMethod = {};
-  rows.forEach(r => {
-    const method = r.accessMethod || 'Unknown';
-    if (!byAccessMethod[method]) byAccessMethod[method] = { total: 0, appointments: 0 };
-    byAccessMethod[method].total++;
-    if (r.isAppointment) byAccessMethod[method].appointments++;
-  });
-
-  // Submission source distribution
-  const bySubmissionSource = {};
-  rows.forEach(r => {
-    const source = r.submissionSource || 'Unknown';
-    if (!bySubmissionSource[source]) bySubmissionSource[source] = { total: 0, appointments: 0 };
-    bySubmissionSource[source].total++;
-    if (r.isAppointment) bySubmissionSource[source].appointments++;
-  });
-
-  // Response preference distribution
-  const byResponsePreference = {};
-  rows.forEach(r => {
-    const pref = r.responsePreference || 'Unknown';
-    if (!byResponsePreference[pref]) byResponsePreference[pref] = { total: 0, appointments: 0 };
-    byResponsePreference[pref].total++;
-    if (r.isAppointment) byResponsePreference[pref].appointments++;
-  });
-
-  // Clinical problem type distribution
-  const byClinicalProblemType = {};
-  rows.filter(r => r.type === 'Clinical').forEach(r => {
-    const type = r.clinicalProblemType || 'Unknown';
-    byClinicalProblemType[type] = (byClinicalProblemType[type] || 0) + 1;
-  });
-
-  // Admin activity type distribution
-  const byAdminActivityType = {};
-  rows.filter(r => r.type === 'Admin').forEach(r => {
-    const type = r.adminActivityType || 'Unknown';
-    byAdminActivityType[type] = (byAdminActivityType[type] || 0) + 1;
-  });
-
-  return {
-    dateRange: { min: minDate, max: maxDate },
-    uniqueOdsCodes,
-    uniqueAccessMethods,
-    uniqueSubmissionSources,
-    uniqueResponsePreferences,
-    uniqueClinicalProblemTypes,
-    uniqueAdminActivityTypes,
-    uniqueOutcomes,
-    uniqueOutcomeGroups,
-    hasAdminData,
-
-    // Core counts
-    totalRequests,
-    clinicalRequests,
-    adminRequests,
-    completedRequests,
-    outcomeRecordedRequests,
-    appointmentRequests,
-
-    // Rates
-    completionRate,
-    outcomeRate,
-    appointmentConversionRate,
-    avoidedAppointmentRate,
-    requestsPer1000,
-
-    // Outcome analysis
-    outcomeGroupCounts,
-    topOutcomes,
-    appointmentSubtypeCounts,
-
-    // Timing stats
-    medianLeadTime,
-    medianTimeToOutcome,
-    slaMetrics,
-
-    // Time distributions
-    byDayOfWeek,
-    byHour,
-    heatmapData,
-    byDate,
-    rolling7Day,
-    byWeek,
-    peakHour: peakHour ? { hour: parseInt(peakHour[0]), count: peakHour[1] } : null,
-    peakDay: peakDay ? { day: peakDay[0], count: peakDay[1] } : null,
-    weekendShare,
-
-    // Demographics
-    byAgeBand,
-    bySex,
-
-    // Specific rates
-    timedOutRate,
-    inappropriateRate,
-    signpostingRate,
-    prescriptionRate,
-    adviceRate,
-
-    // Channel analysis
-    byAccessMethod,
-    bySubmissionSource,
-    byResponsePreference,
-    byClinicalProblemType,
-    byAdminActivityType,
-  };
-};
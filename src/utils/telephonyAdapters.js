@@ -0,0 +1,456 @@
+/**
+ * Telephony Report Adapters
+ *
+ * Registry of parsers that turn a practice telephony export into monthly
+ * call metrics for the local demand engine. Each adapter scores how well it
+ * recognises a report, so the report type is auto-detected on upload.
+ *
+ * Every metric is returned with a confidence level:
+ *   'reported'  - read directly from the report
+ *   'derived'   - calculated from call-level rows
+ *   'estimated' - approximated from another metric (e.g. unique missed calls
+ *                 when the export has no caller column)
+ *   'missing'   - not available in this export (value is 0)
+ *
+ * A report that lacks a required metric is rejected with an error instead
+ * of silently contributing zeros.
+ */
+
+import Papa from 'papaparse';
+import { parseLocalDate, parseReportMonthKey, toMonthKey } from './localDemandEngine.js';
+
+// Metrics the dashboard cannot be built without (they drive conversion and missed demand)
+export const REQUIRED_TELEPHONY_METRICS = ['inboundReceived', 'inboundAnswered', 'missedFromQueueExRepeat'];
+
+export const TELEPHONY_METRIC_LABELS = {
+  inboundReceived: 'Inbound Received',
+  inboundAnswered: 'Inbound Answered',
+  missedFromQueue: 'Missed From Queue',
+  missedFromQueueExRepeat: 'Missed From Queue Excluding Repeat Callers',
+  missedFromQueueExRepeatPct: 'Missed From Queue Excluding Repeat Callers (%)',
+  answeredFromQueue: 'Answered From Queue (%)',
+  abandonedCalls: 'Abandoned Calls (%)',
+  callbacksSuccessful: 'Callbacks Successful',
+  avgQueueTimeAnswered: 'Average Queue Time Answered',
+  avgQueueTimeMissed: 'Average Queue Time Missed',
+  avgInboundTalkTime: 'Average Inbound Talk Time',
+};
+
+const METRIC_KEYS = Object.keys(TELEPHONY_METRIC_LABELS);
+
+// Minimum detection score for a report to be accepted by an adapter
+const MIN_DETECTION_SCORE = 0.5;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Case/punctuation-insensitive header key ("Call Start Time" -> "callstarttime")
+const normaliseHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Find the first header matching any alias
+const findColumn = (headers, aliases) => {
+  const wanted = aliases.map(normaliseHeader);
+  return headers.find(h => wanted.includes(normaliseHeader(h))) || null;
+};
+
+// Parse a duration cell: "1m 20s", "20s", "01:20", "00:01:20" or plain seconds
+export const parseDurationSeconds = (value) => {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+  if (!str) return null;
+
+  const clock = str.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    return (parseInt(clock[1] || '0', 10) * 3600) + (parseInt(clock[2], 10) * 60) + parseInt(clock[3], 10);
+  }
+
+  const hm = str.match(/(\d+)\s*h/i);
+  const mm = str.match(/(\d+)\s*m(?!s)/i);
+  const sm = str.match(/(\d+)\s*s/i);
+  if (hm || mm || sm) {
+    return (hm ? parseInt(hm[1], 10) * 3600 : 0) + (mm ? parseInt(mm[1], 10) * 60 : 0) + (sm ? parseInt(sm[1], 10) : 0);
+  }
+
+  const seconds = parseFloat(str.replace(/,/g, ''));
+  return isNaN(seconds) ? null : seconds;
+};
+
+// Parse a numeric cell ("3,839", "96.2%")
+const parseNumber = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const num = parseFloat(String(value).replace(/[,%]/g, ''));
+  return isNaN(num) ? null : num;
+};
+
+// Parse the day of a call timestamp: ISO ("2025-06-02T08:01:00", "2025-06-02 08:01"),
+// UK ("02/06/2025 08:01", "2/6/2025 9:05") or "02 Jun 2025 08:01". The clock time is read separately
+const parseCallDate = (value) => {
+  const str = String(value || '').trim();
+  if (!str) return null;
+  const iso = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return new Date(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+  const dmy = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (dmy) return new Date(parseInt(dmy[3], 10), parseInt(dmy[2], 10) - 1, parseInt(dmy[1], 10));
+  const date = parseLocalDate(str.split(/\s+/).slice(0, 3).join(' ')) || parseLocalDate(str);
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+// Seconds since midnight from the clock time in a call log date cell ("9:05", "08:10:30", "2:15 pm")
+const parseCallClockSeconds = (value) => {
+  const match = String(value || '').match(/(?:^|[\sT])(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?/i);
+  if (!match) return 0;
+  let hours = parseInt(match[1], 10) % 24;
+  if (match[4]) hours = (hours % 12) + (/pm/i.test(match[4]) ? 12 : 0);
+  return hours * 3600 + parseInt(match[2], 10) * 60 + (parseInt(match[3], 10) || 0);
+};
+
+// Percentages and average times are weighted by the calls they describe when practices are combined
+const METRIC_WEIGHTS = {
+  missedFromQueueExRepeatPct: m => (m.inboundAnswered || 0) + (m.missedFromQueue || 0),
+  answeredFromQueue: m => (m.inboundAnswered || 0) + (m.missedFromQueue || 0),
+  abandonedCalls: m => m.inboundReceived || 0,
+  avgQueueTimeAnswered: m => m.inboundAnswered || 0,
+  avgQueueTimeMissed: m => m.missedFromQueue || 0,
+  avgInboundTalkTime: m => m.inboundAnswered || 0,
+};
+
+/**
+ * Combine several practices' metrics for the same month (e.g. a PCN total)
+ * Counts are summed; percentages and average times are weighted averages
+ * @param {Array} metricsList - Metric sets from parsed reports
+ * @returns {Object|null} Combined metrics, or null when there are none
+ */
+export const combineTelephonyMetrics = (metricsList) => {
+  const sets = (metricsList || []).filter(Boolean);
+  if (sets.length === 0) return null;
+
+  return Object.fromEntries(METRIC_KEYS.map(key => {
+    const weightOf = METRIC_WEIGHTS[key];
+    if (!weightOf) return [key, sets.reduce((sum, m) => sum + (m[key] || 0), 0)];
+
+    const totalWeight = sets.reduce((sum, m) => sum + weightOf(m), 0);
+    const value = totalWeight > 0
+      ? sets.reduce((sum, m) => sum + (m[key] || 0) * weightOf(m), 0) / totalWeight
+      : 0;
+    return [key, DURATION_METRICS.includes(key) ? Math.round(value) : round1(value)];
+  }));
+};
+
+// Fill in a metric set, marking anything not supplied as missing
+// Percentages are derived from counts when the report does not state them
+const finaliseMonth = (monthKey, found) => {
+  const metrics = {};
+  const confidence = {};
+  METRIC_KEYS.forEach(key => {
+    const entry = found[key];
+    metrics[key] = entry ? entry.value : 0;
+    confidence[key] = entry ? entry.confidence : 'missing';
+  });
+
+  // Without a unique-caller figure, every missed call is treated as a unique caller
+  if (confidence.missedFromQueueExRepeat === 'missing' && confidence.missedFromQueue !== 'missing') {
+    metrics.missedFromQueueExRepeat = metrics.missedFromQueue;
+    confidence.missedFromQueueExRepeat = 'estimated';
+  }
+
+  // Queue percentages use calls that reached the queue (answered + missed), as X-on does
+  const queued = metrics.inboundAnswered + metrics.missedFromQueue;
+  if (confidence.missedFromQueueExRepeatPct === 'missing' && confidence.missedFromQueueExRepeat !== 'missing' && queued > 0) {
+    metrics.missedFromQueueExRepeatPct = round1(metrics.missedFromQueueExRepeat / queued * 100);
+    confidence.missedFromQueueExRepeatPct = confidence.missedFromQueueExRepeat === 'estimated' ? 'estimated' : 'derived';
+  }
+  if (confidence.answeredFromQueue === 'missing' && confidence.missedFromQueue !== 'missing' && queued > 0) {
+    metrics.answeredFromQueue = round1(metrics.inboundAnswered / queued * 100);
+    confidence.answeredFromQueue = 'derived';
+  }
+
+  return { monthKey, metrics, confidence };
+};
+
+// List the labels of metrics that were estimated or missing, for display
+const getLowConfidenceMetrics = (confidence) => METRIC_KEYS
+  .filter(key => confidence[key] === 'estimated' || confidence[key] === 'missing')
+  .map(key => TELEPHONY_METRIC_LABELS[key]);
+
+// X-on Surgery Connect monthly management report (PDF text)
+const xonSurgeryConnectAdapter = {
+  id: 'xon-surgery-connect',
+  name: 'X-on Surgery Connect PDF',
+  format: 'pdf',
+  detect: ({ text }) => {
+    if (!text) return 0;
+    const markers = [/Inbound Received/i, /Inbound Answered/i, /Missed From Queue/i, /Average Queue Time/i, /Callbacks Successful/i];
+    return markers.filter(m => m.test(text)).length / markers.length;
+  },
+  parse: ({ text }) => {
+    const monthMatch = text.match(/(January|February|March|April|May|June|July|August|September|October|November|December)\s20\d{2}/i);
+    if (!monthMatch) {
+      throw new Error('Could not find the report month (e.g. "June 2025").');
+    }
+
+    const found = {};
+    const extract = (key, r) => {
+      const m = text.match(r);
+      if (m && m[1]) found[key] = { value: parseFloat(m[1].replace(/,/g, '')), confidence: 'reported' };
+    };
+    const extractTime = (key, r) => {
+      const m = text.match(r);
+      if (m && m[1]) found[key] = { value: parseDurationSeconds(m[1]), confidence: 'reported' };
+    };
+
+    extract('inboundReceived', /Inbound Received\s+([\d,]+)/i);
+    extract('inboundAnswered', /Inbound Answered\s+([\d,]+)/i);
+    extract('missedFromQueue', /Missed From Queue\s+([\d,]+)/i);
+    extract('missedFromQueueExRepeat', /Missed From Queue\s+Excluding Repeat Callers\s+([\d,]+)/i);
+    extract('missedFromQueueExRepeatPct', /Missed From Queue\s+Excluding Repeat Callers\s+[\d,]+\s+\(([\d.]+)%\)/i);
+    extract('answeredFromQueue', /Answered From Queue\s+[\d,]+\s+\(([\d.]+)%\)/i);
+    extract('abandonedCalls', /Abandoned Calls\s+[\d,]+\s+\(([\d.]+)%\)/i);
+    extract('callbacksSuccessful', /Callbacks Successful\s+([\d,]+)/i);
+    extractTime('avgQueueTimeAnswered', /Average Queue Time\s+Answered\s+(\d+m\s\d+s|\d+s)/i);
+    extractTime('avgQueueTimeMissed', /Average Queue Time\s+Missed\s+(\d+m\s\d+s|\d+s)/i);
+    extractTime('avgInboundTalkTime', /Average Inbound Talk\s+Time\s+(\d+m\s\d+s|\d+s)/i);
+
+    return [finaliseMonth(toMonthKey(new Date(monthMatch[0])), found)];
+  },
+};
+
+// Header aliases for monthly summary CSVs (one row per month)
+const SUMMARY_COLUMNS = {
+  month: ['Month', 'Period', 'Report Month', 'Date'],
+  inboundReceived: ['Inbound Received', 'Inbound Calls', 'Calls Received', 'Total Inbound Calls', 'Incoming Calls'],
+  inboundAnswered: ['Inbound Answered', 'Answered Calls', 'Calls Answered'],
+  missedFromQueue: ['Missed From Queue', 'Missed Calls', 'Calls Missed'],
+  missedFromQueueExRepeat: ['Missed From Queue Excluding Repeat Callers', 'Unique Missed Calls', 'Missed (Unique)', 'Missed Unique Callers'],
+  missedFromQueueExRepeatPct: ['Missed From Queue Excluding Repeat Callers %', 'Unique Missed %', 'Missed (Unique) %'],
+  answeredFromQueue: ['Answered From Queue %', 'Answered %'],
+  abandonedCalls: ['Abandoned Calls %', 'Abandoned %'],
+  callbacksSuccessful: ['Callbacks Successful', 'Successful Callbacks'],
+  avgQueueTimeAnswered: ['Average Queue Time Answered', 'Avg Wait Answered', 'Average Wait Answered'],
+  avgQueueTimeMissed: ['Average Queue Time Missed', 'Avg Wait Missed', 'Average Wait Missed'],
+  avgInboundTalkTime: ['Average Inbound Talk Time', 'Avg Talk Time', 'Average Talk Time'],
+};
+
+const DURATION_METRICS = ['avgQueueTimeAnswered', 'avgQueueTimeMissed', 'avgInboundTalkTime'];
+
+// Monthly summary CSV: one row per month with named metric columns
+const monthlySummaryCsvAdapter = {
+  id: 'monthly-summary-csv',
+  name: 'Monthly summary CSV',
+  format: 'csv',
+  detect: ({ headers }) => {
+    if (!headers || !findColumn(headers, SUMMARY_COLUMNS.month)) return 0;
+    const required = REQUIRED_TELEPHONY_METRICS.filter(key => findColumn(headers, SUMMARY_COLUMNS[key]));
+    return required.length / REQUIRED_TELEPHONY_METRICS.length;
+  },
+  parse: ({ headers, rows }) => {
+    const monthCol = findColumn(headers, SUMMARY_COLUMNS.month);
+    const columns = Object.fromEntries(METRIC_KEYS.map(key => [key, findColumn(headers, SUMMARY_COLUMNS[key])]));
+
+    return rows
+      .map(row => ({ row, monthKey: parseReportMonthKey(row[monthCol]) }))
+      .filter(({ monthKey }) => monthKey)
+      .map(({ row, monthKey }) => {
+        const found = {};
+        METRIC_KEYS.forEach(key => {
+          if (!columns[key]) return;
+          const value = DURATION_METRICS.includes(key) ? parseDurationSeconds(row[columns[key]]) : parseNumber(row[columns[key]]);
+          if (value !== null) found[key] = { value, confidence: 'reported' };
+        });
+        return finaliseMonth(monthKey, found);
+      });
+  },
+};
+
+/**
+ * Create an adapter for per-call CSV logs (one row per call)
+ * Vendor exports differ only in column names and outcome wording, so each
+ * vendor is a definition of aliases rather than a new parser.
+ * @param {Object} definition
+ * @param {string} definition.id - Adapter id
+ * @param {string} definition.name - Display name
+ * @param {Object} definition.columns - Header aliases for date, direction, outcome, caller, waitTime, talkTime
+ * @param {Object} definition.outcomes - Regexes classifying outcome values: answered, missed, abandoned, callback
+ * @returns {Object} Telephony adapter
+ */
+export const createCallLogAdapter = ({ id, name, columns, outcomes }) => ({
+  id,
+  name,
+  format: 'csv',
+  detect: ({ headers }) => {
+    if (!headers || !findColumn(headers, columns.date) || !findColumn(headers, columns.outcome)) return 0;
+    const optional = ['direction', 'caller', 'waitTime', 'talkTime'].filter(key => findColumn(headers, columns[key]));
+    return 0.6 + (optional.length * 0.1);
+  },
+  parse: ({ headers, rows }) => {
+    const col = Object.fromEntries(Object.entries(columns).map(([key, aliases]) => [key, findColumn(headers, aliases)]));
+
+    const classify = (value) => {
+      const str = String(value || '');
+      return ['callback', 'abandoned', 'missed', 'answered'].find(type => outcomes[type].test(str)) || null;
+    };
+
+    const calls = rows
+      .filter(row => !col.direction || /^(in|inbound|incoming)$/i.test(String(row[col.direction] || '').trim()))
+      .map(row => {
+        const date = parseCallDate(row[col.date]);
+        return date ? {
+          monthKey: toMonthKey(date),
+          dayKey: `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`,
+          time: date.getTime() + parseCallClockSeconds(row[col.date]) * 1000,
+          outcome: classify(row[col.outcome]),
+          caller: col.caller ? String(row[col.caller] || '').replace(/\s+/g, '') : '',
+          wait: col.waitTime ? parseDurationSeconds(row[col.waitTime]) : null,
+          talk: col.talkTime ? parseDurationSeconds(row[col.talkTime]) : null,
+        } : null;
+      })
+      .filter(Boolean);
+
+    const hasOutcome = (type) => calls.some(c => c.outcome === type);
+    const average = (list, field) => {
+      const values = list.map(c => c[field]).filter(v => v !== null);
+      return values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : 0;
+    };
+
+    const byMonth = {};
+    calls.forEach(call => {
+      if (!byMonth[call.monthKey]) byMonth[call.monthKey] = [];
+      byMonth[call.monthKey].push(call);
+    });
+
+    return Object.entries(byMonth).map(([monthKey, monthCalls]) => {
+      const answered = monthCalls.filter(c => c.outcome === 'answered');
+      const missed = monthCalls.filter(c => c.outcome === 'missed');
+      const abandoned = monthCalls.filter(c => c.outcome === 'abandoned');
+      const derived = (value) => ({ value, confidence: 'derived' });
+
+      const found = {
+        inboundReceived: derived(monthCalls.length),
+        inboundAnswered: derived(answered.length),
+        missedFromQueue: derived(missed.length),
+      };
+
+      // Unique missed callers: missed on a day and not answered later that day
+      if (col.caller) {
+        const uniqueMissed = new Set();
+        missed.forEach(call => {
+          if (!call.caller) return;
+          const answeredLater = answered.some(a => a.caller === call.caller && a.dayKey === call.dayKey && a.time > call.time);
+          if (!answeredLater) uniqueMissed.add(`${call.caller}_${call.dayKey}`);
+        });
+        found.missedFromQueueExRepeat = derived(uniqueMissed.size);
+      }
+
+      if (hasOutcome('abandoned')) {
+        found.abandonedCalls = derived(monthCalls.length > 0 ? round1(abandoned.length / monthCalls.length * 100) : 0);
+      }
+      if (hasOutcome('callback')) {
+        found.callbacksSuccessful = derived(monthCalls.filter(c => c.outcome === 'callback').length);
+      }
+      if (col.waitTime) {
+        found.avgQueueTimeAnswered = derived(average(answered, 'wait'));
+        found.avgQueueTimeMissed = derived(average(missed, 'wait'));
+      }
+      if (col.talkTime) {
+        found.avgInboundTalkTime = derived(average(answered, 'talk'));
+      }
+
+      return finaliseMonth(monthKey, found);
+    });
+  },
+});
+
+// Generic call log covering common cloud telephony column names
+const genericCallLogAdapter = createCallLogAdapter({
+  id: 'call-log-csv',
+  name: 'Call log CSV',
+  columns: {
+    date: ['Date', 'Call Date', 'Start Time', 'Call Start', 'Call Start Time', 'Date/Time', 'Timestamp', 'Start'],
+    direction: ['Direction', 'Call Direction', 'Call Type', 'Type'],
+    outcome: ['Outcome', 'Status', 'Result', 'Call Result', 'Call Status', 'Disposition'],
+    caller: ['Caller', 'Caller Number', 'From', 'CLI', 'Caller ID', 'Calling Number', 'From Number'],
+    waitTime: ['Queue Time', 'Wait Time', 'Time in Queue', 'Queue Duration', 'Ring Time', 'Hold Time'],
+    talkTime: ['Talk Time', 'Talk Duration', 'Call Duration', 'Duration', 'Conversation Time'],
+  },
+  outcomes: {
+    answered: /answered|connected|completed|handled/i,
+    missed: /missed|no answer|unanswered|not answered|timed? ?out|queue (?:exit|timeout)|voicemail/i,
+    abandoned: /abandon|hung ?up|caller (?:hang|disconnect)/i,
+    callback: /call ?back/i,
+  },
+});
+
+const adapters = [xonSurgeryConnectAdapter, monthlySummaryCsvAdapter, genericCallLogAdapter];
+
+// Register an additional adapter (checked before the built-in ones)
+export const registerTelephonyAdapter = (adapter) => {
+  adapters.unshift(adapter);
+};
+
+// List registered adapters (id, name, format) for display
+export const getTelephonyAdapters = () => adapters.map(({ id, name, format }) => ({ id, name, format }));
+
+// Treat text as CSV unless it is extracted PDF text
+const isCsvReport = (fileName, text) => {
+  if (/\.csv$/i.test(fileName || '')) return true;
+  if (/\.(pdf|txt)$/i.test(fileName || '') || /--- PAGE \d+ ---/.test(text)) return false;
+  const firstLine = text.split(/\r?\n/)[0] || '';
+  return firstLine.split(',').length >= 3;
+};
+
+// Add parsed CSV rows and headers to a report so adapters can inspect them
+const prepareReport = ({ fileName = 'telephony report', text = '' }) => {
+  if (!isCsvReport(fileName, text)) return { fileName, text, format: 'pdf', headers: null, rows: [] };
+  const result = Papa.parse(text.replace(/^\uFEFF/, ''), { header: true, skipEmptyLines: true, dynamicTyping: false });
+  return { fileName, text, format: 'csv', headers: (result.meta.fields || []).map(h => h.trim()), rows: result.data };
+};
+
+// Pick the adapter that best recognises a report, or null if none match
+export const detectTelephonyAdapter = (report) => {
+  const prepared = report.format ? report : prepareReport(report);
+  const scored = adapters
+    .filter(adapter => adapter.format === prepared.format)
+    .map(adapter => ({ adapter, score: adapter.detect(prepared) }))
+    .filter(({ score }) => score >= MIN_DETECTION_SCORE)
+    .sort((a, b) => b.score - a.score);
+  return scored.length ? scored[0].adapter : null;
+};
+
+/**
+ * Parse a telephony report with the best matching adapter
+ * @param {Object} report
+ * @param {string} report.fileName - Original file name (used for format hints and errors)
+ * @param {string} report.text - Extracted PDF text or CSV text
+ * @returns {Object} { fileName, adapterId, adapterName, months: [{ monthKey, metrics, confidence, lowConfidence }] }
+ * @throws {Error} When the report type is not recognised or a required metric is missing
+ */
+export const parseTelephonyReport = (report) => {
+  const prepared = prepareReport(report);
+  const adapter = detectTelephonyAdapter(prepared);
+  if (!adapter) {
+    const supported = adapters.map(a => a.name).join(', ');
+    throw new Error(`The telephony file "${prepared.fileName}" was not recognised. Supported formats: ${supported}.`);
+  }
+
+  let months;
+  try {
+    months = adapter.parse(prepared);
+  } catch (e) {
+    throw new Error(`The telephony file "${prepared.fileName}" (${adapter.name}) could not be read: ${e.message}`);
+  }
+  if (months.length === 0) {
+    throw new Error(`The telephony file "${prepared.fileName}" (${adapter.name}) contains no dated calls or months.`);
+  }
+
+  months.forEach(({ monthKey, confidence }) => {
+    const missing = REQUIRED_TELEPHONY_METRICS.filter(key => confidence[key] === 'missing');
+    if (missing.length > 0) {
+      throw new Error(`The telephony file "${prepared.fileName}" (${adapter.name}) is missing ${missing.map(k => TELEPHONY_METRIC_LABELS[k]).join(', ')} for ${monthKey}. The report layout may have changed.`);
+    }
+  });
+
+  return {
+    fileName: prepared.fileName,
+    adapterId: adapter.id,
+    adapterName: adapter.name,
+    months: months.map(month => ({ ...month, lowConfidence: getLowConfidenceMetrics(month.confidence) })),
+  };
+};
@@ -0,0 +1,907 @@
+/**
+ * Triage Analysis
+ *
+ * One analysis engine for triage requests from every supplier. Requests are the
+ * canonical model from src/utils/triageModel.js, so each dashboard (demand heatmaps,
+ * slot capacity, urgency, outcome groups, SLA, age bands) works whichever system
+ * produced the export, and mixed-supplier uploads can be compared side by side.
+ */
+import { AGE_BANDS, DEFAULT_OUTCOME_GROUPS } from './systmConnectParser.js';
+import { DAY_NAMES, isBookedStatus, getTriageSupplierName } from './triageModel.js';
+import { DEFAULT_URGENCY_RULES, calculateCapacityNeeded } from './urgencyRules.js';
+
+const DAYS_ORDER = DAY_NAMES;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Headline figures per supplier, for comparing a practice before and after it
+ * changed triage system (or two systems running side by side)
+ * @param {Array} rows - Canonical triage requests
+ * @returns {Array} [{ supplier, name, total, firstDate, lastDate ('YYYY-MM-DD'), requestsPerWeek,
+ *   clinicalPct, appointmentPct, outcomeRecordedPct, urgencyMix ({ RED, AMBER, YELLOW, GREEN } % of
+ *   clinical requests with an urgency, or null), medianTimeToOutcome }], earliest first
+ */
+export const compareTriageSuppliers = (rows) => {
+  const bySupplier = new Map();
+  rows.forEach(r => {
+    const supplier = r.supplier || 'unknown';
+    if (!bySupplier.has(supplier)) bySupplier.set(supplier, []);
+    bySupplier.get(supplier).push(r);
+  });
+
+  return [...bySupplier.entries()]
+    .map(([supplier, supplierRows]) => {
+      const dates = supplierRows.map(r => r.requestDate).filter(Boolean).map(d => d.getTime());
+      const first = dates.length > 0 ? Math.min(...dates) : null;
+      const last = dates.length > 0 ? Math.max(...dates) : null;
+      const weeks = first !== null ? Math.max(1, ((last - first) / 86400000 + 1) / 7) : 1;
+      const total = supplierRows.length;
+      const pct = (count, of = total) => (of > 0 ? (count / of) * 100 : 0);
+
+      const clinical = supplierRows.filter(r => r.type === 'Clinical');
+      const withUrgency = clinical.filter(r => r.urgency);
+      const urgencyMix = withUrgency.length > 0
+        ? Object.fromEntries(['RED', 'AMBER', 'YELLOW', 'GREEN'].map(urgency => [
+          urgency, pct(withUrgency.filter(r => r.urgency === urgency).length, withUrgency.length),
+        ]))
+        : null;
+
+      return {
+        supplier,
+        name: getTriageSupplierName(supplier),
+        total,
+        firstDate: first !== null ? new Date(first).toISOString().split('T')[0] : null,
+        lastDate: last !== null ? new Date(last).toISOString().split('T')[0] : null,
+        requestsPerWeek: Math.round((total / weeks) * 10) / 10,
+        clinicalPct: pct(clinical.length),
+        appointmentPct: pct(supplierRows.filter(r => r.isAppointment).length),
+        outcomeRecordedPct: pct(supplierRows.filter(r => r.outcome).length),
+        urgencyMix,
+        medianTimeToOutcome: median(
+          supplierRows.map(r => r.timeToOutcomeMinutes).filter(t => t !== null && t !== undefined && t >= 0)
+        ),
+      };
+    })
+    .sort((a, b) => (a.firstDate || '').localeCompare(b.firstDate || '') || a.supplier.localeCompare(b.supplier));
+};
+
+/**
+ * Demand and slot capacity metrics (overview, heatmap, pathways, urgency, slot gap and inbox tabs)
+ * @param {Array} rows - Canonical triage requests from any supplier
+ * @returns {Object} Metrics keyed as the Triage Slot Analysis dashboards (and saved dashboards) expect,
+ *   plus suppliers (compareTriageSuppliers)
+ */
+export const analyzeTriageDemand = (rows) => {
+  // Get unique months and date range
+  const months = [...new Set(rows.map(r => r.requestMonth).filter(Boolean))];
+  const dates = rows.map(r => r.requestDate).filter(Boolean);
+  const minDate = dates.length > 0 ? new Date(Math.min(...dates)) : null;
+  const maxDate = dates.length > 0 ? new Date(Math.max(...dates)) : null;
+
+  // Practice names
+  const tenants = [...new Set(rows.map(r => r.practice).filter(Boolean))];
+
+  // Clinical (medical) requests only for most analyses
+  const clinicalRows = rows.filter(r => r.type === 'Clinical');
+  const adultClinicalRows = clinicalRows.filter(r => r.isAdult);
+
+  // === SUBMISSIONS BY DAY OF WEEK ===
+  const byDayOfWeek = {};
+  DAYS_ORDER.forEach(day => byDayOfWeek[day] = 0);
+  rows.forEach(r => {
+    const day = r.dow;
+    if (day) byDayOfWeek[day]++;
+  });
+
+  // === SUBMISSIONS BY HOUR ===
+  const byHour = {};
+  for (let h = 0; h < 24; h++) byHour[h] = 0;
+  rows.forEach(r => {
+    if (r.hourOfDay !== null) byHour[r.hourOfDay]++;
+  });
+
+  // === HEATMAP DATA (Day x Hour) ===
+  const heatmapData = {};
+  DAYS_ORDER.forEach(day => {
+    heatmapData[day] = {};
+    for (let h = 0; h < 24; h++) heatmapData[day][h] = 0;
+  });
+  rows.forEach(r => {
+    const day = r.dow;
+    if (day && r.hourOfDay !== null) {
+      heatmapData[day][r.hourOfDay]++;
+    }
+  });
+
+  // === ROLLING 7-DAY AVERAGES ===
+  const byDate = {};
+  rows.forEach(r => {
+    if (r.requestDate) {
+      const dateKey = r.requestDate.toISOString().split('T')[0];
+      byDate[dateKey] = (byDate[dateKey] || 0) + 1;
+    }
+  });
+  const sortedDates = Object.keys(byDate).sort();
+  const rolling7Day = [];
+  for (let i = 6; i < sortedDates.length; i++) {
+    const window = sortedDates.slice(i - 6, i + 1);
+    const avg = window.reduce((sum, d) => sum + byDate[d], 0) / 7;
+    rolling7Day.push({ date: sortedDates[i], value: Math.round(avg * 10) / 10 });
+  }
+
+  // === PATHWAY ANALYSIS ===
+  const pathwayCounts = {};
+  clinicalRows.forEach(r => {
+    const pathway = r.category || '-';
+    pathwayCounts[pathway] = (pathwayCounts[pathway] || 0) + 1;
+  });
+
+  // Group by symptom (extract from pathway like "Triage.Headache" -> "Headache")
+  const symptomCounts = {};
+  Object.entries(pathwayCounts).forEach(([pathway, count]) => {
+    let symptom = pathway;
+    if (pathway.includes('.')) {
+      const parts = pathway.split('.');
+      symptom = parts[parts.length - 1].replace(/_/g, ' ');
+    }
+    symptomCounts[symptom] = (symptomCounts[symptom] || 0) + count;
+  });
+
+  // Pareto - sort by count and calculate cumulative %
+  const sortedSymptoms = Object.entries(symptomCounts)
+    .sort((a, b) => b[1] - a[1]);
+  const totalSymptoms = sortedSymptoms.reduce((sum, [, count]) => sum + count, 0);
+  let cumulative = 0;
+  const paretoData = sortedSymptoms.slice(0, 15).map(([symptom, count]) => {
+    cumulative += count;
+    return {
+      symptom,
+      count,
+      percentage: (count / totalSymptoms) * 100,
+      cumulative: (cumulative / totalSymptoms) * 100,
+    };
+  });
+
+  // Seasonal comparison by month
+  const byMonthSymptom = {};
+  months.forEach(m => byMonthSymptom[m] = {});
+  clinicalRows.forEach(r => {
+    if (r.requestMonth && r.category) {
+      let symptom = r.category;
+      if (symptom.includes('.')) {
+        const parts = symptom.split('.');
+        symptom = parts[parts.length - 1].replace(/_/g, ' ');
+      }
+      byMonthSymptom[r.requestMonth][symptom] = (byMonthSymptom[r.requestMonth][symptom] || 0) + 1;
+    }
+  });
+
+  // === URGENCY DISTRIBUTION ===
+  const urgencyCounts = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0 };
+  clinicalRows.forEach(r => {
+    if (r.urgency && Object.hasOwn(urgencyCounts, r.urgency)) {
+      urgencyCounts[r.urgency]++;
+    }
+  });
+  const totalUrgency = Object.values(urgencyCounts).reduce((a, b) => a + b, 0);
+
+  // Urgency by day of week
+  const urgencyByDay = {};
+  DAYS_ORDER.forEach(day => {
+    urgencyByDay[day] = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0 };
+  });
+  clinicalRows.forEach(r => {
+    const day = r.dow;
+    if (day && r.urgency && Object.hasOwn(urgencyByDay[day], r.urgency)) {
+      urgencyByDay[day][r.urgency]++;
+    }
+  });
+
+  // Urgency by hour
+  const urgencyByHour = {};
+  for (let h = 0; h < 24; h++) {
+    urgencyByHour[h] = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0 };
+  }
+  clinicalRows.forEach(r => {
+    if (r.hourOfDay !== null && r.urgency && Object.hasOwn(urgencyByHour[r.hourOfDay], r.urgency)) {
+      urgencyByHour[r.hourOfDay][r.urgency]++;
+    }
+  });
+
+  // Urgency by symptom
+  const urgencyBySymptom = {};
+  clinicalRows.forEach(r => {
+    let symptom = r.category || '-';
+    if (symptom.includes('.')) {
+      const parts = symptom.split('.');
+      symptom = parts[parts.length - 1].replace(/_/g, ' ');
+    }
+    if (!urgencyBySymptom[symptom]) {
+      urgencyBySymptom[symptom] = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0, total: 0 };
+    }
+    if (r.urgency && Object.hasOwn(urgencyBySymptom[symptom], r.urgency)) {
+      urgencyBySymptom[symptom][r.urgency]++;
+    }
+    urgencyBySymptom[symptom].total++;
+  });
+
+  // === DEMAND BY DAY AND URGENCY (for slot analysis) ===
+  // Where requests were made; calculateCapacityNeeded (src/utils/urgencyRules.js) moves
+  // them to the day slots are needed using the practice's urgency timing rules
+  const demandByDayUrgency = {};
+  DAYS_ORDER.forEach(day => {
+    demandByDayUrgency[day] = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0, total: 0 };
+  });
+
+  // Dated demand, so bank holidays in the period are honoured
+  const demandByDateUrgency = {};
+
+  // Count weeks for averaging
+  const weekSet = new Set();
+  rows.forEach(r => {
+    if (r.requestDate) {
+      const weekStart = new Date(r.requestDate);
+      weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+      weekSet.add(weekStart.toISOString().split('T')[0]);
+    }
+  });
+  const numWeeks = weekSet.size || 1;
+
+  clinicalRows.forEach(r => {
+    const requestDay = r.dow;
+    if (!requestDay) return;
+
+    demandByDayUrgency[requestDay].total++;
+    if (r.urgency && Object.hasOwn(demandByDayUrgency[requestDay], r.urgency)) {
+      demandByDayUrgency[requestDay][r.urgency]++;
+
+      if (r.requestDate) {
+        const dateKey = r.requestDate.toISOString().split('T')[0];
+        if (!demandByDateUrgency[dateKey]) demandByDateUrgency[dateKey] = { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0 };
+        demandByDateUrgency[dateKey][r.urgency]++;
+      }
+    }
+  });
+
+  Object.keys(demandByDayUrgency).forEach(day => {
+    demandByDayUrgency[day].avgTotal = Math.round(demandByDayUrgency[day].total / numWeeks);
+    demandByDayUrgency[day].avgGREEN = Math.round(demandByDayUrgency[day].GREEN / numWeeks);
+    demandByDayUrgency[day].avgYELLOW = Math.round(demandByDayUrgency[day].YELLOW / numWeeks);
+    demandByDayUrgency[day].avgAMBER = Math.round(demandByDayUrgency[day].AMBER / numWeeks);
+    demandByDayUrgency[day].avgRED = Math.round(demandByDayUrgency[day].RED / numWeeks);
+  });
+
+  // Slots needed under the default rules, weekend requests included
+  const capacityNeededByDay = calculateCapacityNeeded(
+    { demandByDateUrgency, numWeeks }, DEFAULT_URGENCY_RULES, { acceptWeekendRequests: true }
+  );
+
+  // === NON-AUTOMATED PATHWAYS ANALYSIS (Adults only) ===
+  const nonAutomatedPathways = {};
+  adultClinicalRows.filter(r => !r.automated).forEach(r => {
+    const pathway = r.category || '-';
+    if (!nonAutomatedPathways[pathway]) {
+      nonAutomatedPathways[pathway] = {
+        total: 0,
+        withAppointment: 0,
+        appointmentStatuses: {},
+      };
+    }
+    nonAutomatedPathways[pathway].total++;
+
+    const status = r.appointmentStatus;
+    if (status && status !== '-') {
+      nonAutomatedPathways[pathway].appointmentStatuses[status] =
+        (nonAutomatedPathways[pathway].appointmentStatuses[status] || 0) + 1;
+      // Count as "given appointment" if status indicates booking/scheduled
+      if (isBookedStatus(status)) {
+        nonAutomatedPathways[pathway].withAppointment++;
+      }
+    }
+  });
+
+  // Calculate appointment rate for each pathway
+  const pathwayOpportunities = Object.entries(nonAutomatedPathways)
+    .map(([pathway, data]) => ({
+      pathway,
+      total: data.total,
+      withAppointment: data.withAppointment,
+      appointmentRate: data.total > 0 ? (data.withAppointment / data.total) * 100 : 0,
+      statuses: data.appointmentStatuses,
+    }))
+    .filter(p => p.total >= 5) // Only show pathways with sufficient data
+    .sort((a, b) => b.appointmentRate - a.appointmentRate);
+
+  // === ALL PATHWAYS NON-AUTOMATED ANALYSIS ===
+  // Shows all pathways with their total requests and non-automated counts
+  // Also includes breakdown by urgency for expandable rows
+  const allPathwayAutomation = {};
+  clinicalRows.forEach(r => {
+    const pathway = r.category || '-';
+    const urgency = r.urgency || 'UNKNOWN';
+    if (!allPathwayAutomation[pathway]) {
+      allPathwayAutomation[pathway] = {
+        total: 0,
+        automated: 0,
+        notAutomated: 0,
+        byUrgency: {
+          GREEN: { total: 0, automated: 0, notAutomated: 0 },
+          YELLOW: { total: 0, automated: 0, notAutomated: 0 },
+          AMBER: { total: 0, automated: 0, notAutomated: 0 },
+          RED: { total: 0, automated: 0, notAutomated: 0 },
+        },
+      };
+    }
+    allPathwayAutomation[pathway].total++;
+    if (r.automated) {
+      allPathwayAutomation[pathway].automated++;
+    } else {
+      allPathwayAutomation[pathway].notAutomated++;
+    }
+    // Track by urgency
+    if (allPathwayAutomation[pathway].byUrgency[urgency]) {
+      allPathwayAutomation[pathway].byUrgency[urgency].total++;
+      if (r.automated) {
+        allPathwayAutomation[pathway].byUrgency[urgency].automated++;
+      } else {
+        allPathwayAutomation[pathway].byUrgency[urgency].notAutomated++;
+      }
+    }
+  });
+
+  // Convert to array and calculate percentages, sorted by notAutomated descending
+  const pathwayAutomationList = Object.entries(allPathwayAutomation)
+    .map(([pathway, counts]) => ({
+      pathway,
+      total: counts.total,
+      automated: counts.automated,
+      notAutomated: counts.notAutomated,
+      notAutomatedPct: counts.total > 0 ? (counts.notAutomated / counts.total * 100) : 0,
+      automatedPct: counts.total > 0 ? (counts.automated / counts.total * 100) : 0,
+      byUrgency: ['GREEN', 'YELLOW', 'AMBER', 'RED'].map(urg => ({
+        urgency: urg,
+        total: counts.byUrgency[urg].total,
+        automated: counts.byUrgency[urg].automated,
+        notAutomated: counts.byUrgency[urg].notAutomated,
+        notAutomatedPct: counts.byUrgency[urg].total > 0
+          ? (counts.byUrgency[urg].notAutomated / counts.byUrgency[urg].total * 100)
+          : 0,
+      })).filter(u => u.total > 0), // Only include urgencies with data
+    }))
+    .sort((a, b) => b.notAutomated - a.notAutomated);
+
+  // === TIME TO RESOLUTION (Clinical only) ===
+  const resolutionTimes = clinicalRows
+    .map(r => r.timeToOutcomeMinutes)
+    .filter(t => t !== null && t >= 0 && t < 10000); // Filter out outliers
+
+  const avgResolutionMins = resolutionTimes.length > 0
+    ? Math.round(resolutionTimes.reduce((a, b) => a + b, 0) / resolutionTimes.length)
+    : null;
+
+  const medianResolutionMins = resolutionTimes.length > 0
+    ? resolutionTimes.sort((a, b) => a - b)[Math.floor(resolutionTimes.length / 2)]
+    : null;
+
+  // === AUTOMATION % BY URGENCY (Clinical only) ===
+  const automationByUrgency = { GREEN: { total: 0, automated: 0 }, YELLOW: { total: 0, automated: 0 }, AMBER: { total: 0, automated: 0 }, RED: { total: 0, automated: 0 } };
+  clinicalRows.forEach(r => {
+    if (r.urgency && automationByUrgency[r.urgency]) {
+      automationByUrgency[r.urgency].total++;
+      if (r.automated) {
+        automationByUrgency[r.urgency].automated++;
+      }
+    }
+  });
+  // Calculate percentages
+  Object.keys(automationByUrgency).forEach(urg => {
+    const data = automationByUrgency[urg];
+    data.percentage = data.total > 0 ? (data.automated / data.total * 100) : 0;
+  });
+
+  // === SLOT TYPE DISTRIBUTION ===
+  const slotTypeCounts = {};
+  rows.forEach(r => {
+    const slotType = r.slotType || '-';
+    slotTypeCounts[slotType] = (slotTypeCounts[slotType] || 0) + 1;
+  });
+
+  // === REQUEST TYPES ===
+  const requestTypes = [...new Set(rows.map(r => r.type).filter(Boolean))];
+
+  // === SUBMISSIONS BY REQUEST TYPE ===
+  const byRequestType = {};
+  requestTypes.forEach(type => {
+    byRequestType[type] = {
+      total: 0,
+      byDay: {},
+      byHour: {},
+      slotTypes: {},
+    };
+    DAYS_ORDER.forEach(day => byRequestType[type].byDay[day] = 0);
+    for (let h = 0; h < 24; h++) byRequestType[type].byHour[h] = 0;
+  });
+  rows.forEach(r => {
+    if (r.type && byRequestType[r.type]) {
+      byRequestType[r.type].total++;
+      const day = r.dow;
+      if (day) byRequestType[r.type].byDay[day]++;
+      if (r.hourOfDay !== null) byRequestType[r.type].byHour[r.hourOfDay]++;
+      const slotType = r.slotType || '-';
+      byRequestType[r.type].slotTypes[slotType] = (byRequestType[r.type].slotTypes[slotType] || 0) + 1;
+    }
+  });
+
+  // === NON-AUTOMATED INBOX ANALYSIS ===
+  // Analyze what slot types clinicians assign to non-automated requests
+  const nonAutomatedRows = clinicalRows.filter(r => !r.automated && r.slotType && r.slotType !== '-');
+
+  // 1. Urgency → Slot Type breakdown (what slot types do clinicians assign for each urgency?)
+  const urgencyToSlotType = {};
+  ['GREEN', 'YELLOW', 'AMBER', 'RED'].forEach(urg => {
+    urgencyToSlotType[urg] = { total: 0, slotTypes: {} };
+  });
+  nonAutomatedRows.forEach(r => {
+    if (r.urgency && urgencyToSlotType[r.urgency]) {
+      urgencyToSlotType[r.urgency].total++;
+      urgencyToSlotType[r.urgency].slotTypes[r.slotType] = (urgencyToSlotType[r.urgency].slotTypes[r.slotType] || 0) + 1;
+    }
+  });
+  // Calculate percentages for each urgency → slot type
+  Object.keys(urgencyToSlotType).forEach(urg => {
+    const total = urgencyToSlotType[urg].total;
+    urgencyToSlotType[urg].slotTypeList = Object.entries(urgencyToSlotType[urg].slotTypes)
+      .map(([slotType, count]) => ({
+        slotType,
+        count,
+        percentage: total > 0 ? (count / total * 100) : 0,
+      }))
+      .sort((a, b) => b.count - a.count);
+  });
+
+  // 2. Pathway + Urgency → Slot Type breakdown
+  const pathwayUrgencySlotType = {};
+  nonAutomatedRows.forEach(r => {
+    if (!r.urgency || !r.category) return;
+    const key = `${r.category}|||${r.urgency}`;
+    if (!pathwayUrgencySlotType[key]) {
+      pathwayUrgencySlotType[key] = { pathway: r.category, urgency: r.urgency, total: 0, slotTypes: {} };
+    }
+    pathwayUrgencySlotType[key].total++;
+    pathwayUrgencySlotType[key].slotTypes[r.slotType] = (pathwayUrgencySlotType[key].slotTypes[r.slotType] || 0) + 1;
+  });
+  // Convert to array and calculate percentages
+  const pathwayUrgencySlotTypeList = Object.values(pathwayUrgencySlotType)
+    .map(item => {
+      const slotTypeList = Object.entries(item.slotTypes)
+        .map(([slotType, count]) => ({
+          slotType,
+          count,
+          percentage: item.total > 0 ? (count / item.total * 100) : 0,
+        }))
+        .sort((a, b) => b.count - a.count);
+      // Determine if there's variation (multiple slot types assigned)
+      const hasVariation = slotTypeList.length > 1;
+      const topSlotType = slotTypeList[0] || {};
+      return {
+        ...item,
+        slotTypeList,
+        hasVariation,
+        topSlotType: topSlotType.slotType,
+        topSlotTypePct: topSlotType.percentage || 0,
+        variationScore: hasVariation ? (100 - topSlotType.percentage) : 0, // Higher = more variation
+      };
+    })
+    .filter(item => item.total >= 3) // Only show items with enough data
+    .sort((a, b) => b.variationScore - a.variationScore || b.total - a.total);
+
+  // 3. Identify outliers - where urgency doesn't match slot type naming convention
+  // e.g., AMBER urgency but clinician assigned RED slot type
+  const outlierAnalysis = [];
+  nonAutomatedRows.forEach(r => {
+    if (!r.urgency || !r.slotType) return;
+    const slotTypeLower = r.slotType.toLowerCase();
+    // Check if slot type contains a different urgency than recommended
+    let assignedUrgency = null;
+    if (slotTypeLower.includes('red') || slotTypeLower.includes('same day') || slotTypeLower.includes('same-day')) {
+      assignedUrgency = 'RED';
+    } else if (slotTypeLower.includes('amber') || slotTypeLower.includes('next day') || slotTypeLower.includes('next-day')) {
+      assignedUrgency = 'AMBER';
+    } else if (slotTypeLower.includes('yellow')) {
+      assignedUrgency = 'YELLOW';
+    } else if (slotTypeLower.includes('green') || slotTypeLower.includes('routine')) {
+      assignedUrgency = 'GREEN';
+    }
+    if (assignedUrgency && assignedUrgency !== r.urgency) {
+      outlierAnalysis.push({
+        pathway: r.category,
+        recommendedUrgency: r.urgency,
+        assignedSlotType: r.slotType,
+        inferredUrgency: assignedUrgency,
+      });
+    }
+  });
+
+  // Aggregate outliers by pathway + recommended vs assigned
+  const outlierSummary = {};
+  outlierAnalysis.forEach(o => {
+    const key = `${o.pathway}|||${o.recommendedUrgency}|||${o.inferredUrgency}`;
+    if (!outlierSummary[key]) {
+      outlierSummary[key] = {
+        pathway: o.pathway,
+        recommendedUrgency: o.recommendedUrgency,
+        assignedUrgency: o.inferredUrgency,
+        count: 0,
+        slotTypes: {},
+      };
+    }
+    outlierSummary[key].count++;
+    outlierSummary[key].slotTypes[o.assignedSlotType] = (outlierSummary[key].slotTypes[o.assignedSlotType] || 0) + 1;
+  });
+  const outlierList = Object.values(outlierSummary)
+    .map(item => ({
+      ...item,
+      slotTypeList: Object.entries(item.slotTypes)
+        .map(([st, count]) => ({ slotType: st, count }))
+        .sort((a, b) => b.count - a.count),
+      direction: ['RED', 'AMBER', 'YELLOW', 'GREEN'].indexOf(item.assignedUrgency) < ['RED', 'AMBER', 'YELLOW', 'GREEN'].indexOf(item.recommendedUrgency)
+        ? 'upgraded' : 'downgraded',
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  const nonAutomatedInboxData = {
+    totalNonAutomated: nonAutomatedRows.length,
+    urgencyToSlotType,
+    pathwayUrgencySlotTypeList,
+    outlierList,
+    outlierCount: outlierAnalysis.length,
+  };
+
+  return {
+    totalSubmissions: rows.length,
+    medicalSubmissions: clinicalRows.length,
+    adultMedicalSubmissions: adultClinicalRows.length,
+    tenants,
+    months,
+    dateRange: { min: minDate, max: maxDate },
+    numWeeks,
+    byDayOfWeek,
+    byHour,
+    heatmapData,
+    rolling7Day,
+    symptomCounts,
+    paretoData,
+    byMonthSymptom,
+    urgencyCounts,
+    totalUrgency,
+    urgencyByDay,
+    urgencyByHour,
+    urgencyBySymptom,
+    demandByDayUrgency,
+    demandByDateUrgency,
+    capacityNeededByDay,
+    pathwayOpportunities,
+    pathwayAutomationList,
+    avgResolutionMins,
+    medianResolutionMins,
+    resolutionTimes,
+    automationByUrgency,
+    slotTypeCounts,
+    requestTypes,
+    byRequestType,
+    nonAutomatedInboxData,
+    suppliers: compareTriageSuppliers(rows),
+  };
+};
+
+/**
+ * Outcome, SLA, demographic and channel metrics (the outcomes dashboard)
+ * @param {Array} rows - Canonical triage requests from any supplier
+ * @param {number} [listSize] - Registered patients, for requests per 1000
+ */
+export const analyzeTriageOutcomes = (rows, listSize = null) => {
+  if (!rows || rows.length === 0) return null;
+
+  // Date range
+  const dates = rows.map(r => r.submittedDt).filter(Boolean);
+  const minDate = dates.length > 0 ? new Date(Math.min(...dates)) : null;
+  const maxDate = dates.length > 0 ? new Date(Math.max(...dates)) : null;
+
+  // Unique values for filters
+  const uniqueSuppliers = [...new Set(rows.map(r => r.supplier).filter(Boolean))];
+  const uniqueOdsCodes = [...new Set(rows.map(r => r.odsCode || r.practice).filter(Boolean))];
+  const uniqueAccessMethods = [...new Set(rows.map(r => r.accessMethod).filter(Boolean))];
+  const uniqueSubmissionSources = [...new Set(rows.map(r => r.submissionSource).filter(Boolean))];
+  const uniqueResponsePreferences = [...new Set(rows.map(r => r.responsePreference).filter(Boolean))];
+  const uniqueClinicalProblemTypes = [...new Set(rows.map(r => r.clinicalProblemType).filter(Boolean))];
+  const uniqueAdminActivityTypes = [...new Set(rows.map(r => r.adminActivityType).filter(Boolean))];
+  const uniqueOutcomes = [...new Set(rows.map(r => r.outcome).filter(Boolean))];
+  const uniqueOutcomeGroups = [...new Set(rows.map(r => r.outcomeGroup).filter(Boolean))];
+
+  // Check if admin data exists
+  const hasAdminData = rows.some(r => r.type === 'Admin');
+
+  // Basic counts
+  const totalRequests = rows.length;
+  const clinicalRequests = rows.filter(r => r.type === 'Clinical').length;
+  const adminRequests = rows.filter(r => r.type === 'Admin').length;
+  const completedRequests = rows.filter(r => r.isCompleted).length;
+  const outcomeRecordedRequests = rows.filter(r => r.hasOutcomeRecorded).length;
+  const appointmentRequests = rows.filter(r => r.isAppointment).length;
+
+  // Calculate rates
+  const completionRate = totalRequests > 0 ? (completedRequests / totalRequests) * 100 : 0;
+  const outcomeRate = totalRequests > 0 ? (outcomeRecordedRequests / totalRequests) * 100 : 0;
+  const appointmentConversionRate = totalRequests > 0 ? (appointmentRequests / totalRequests) * 100 : 0;
+  const avoidedAppointmentRate = totalRequests > 0 ? ((totalRequests - appointmentRequests) / totalRequests) * 100 : 0;
+
+  // Per 1000 patients (if list size provided)
+  const requestsPer1000 = listSize ? (totalRequests / listSize) * 1000 : null;
+
+  // Outcome group counts
+  const outcomeGroupCounts = {};
+  rows.forEach(r => {
+    const group = r.outcomeGroup || 'Other / Unknown';
+    outcomeGroupCounts[group] = (outcomeGroupCounts[group] || 0) + 1;
+  });
+
+  // Top outcomes
+  const outcomeCounts = {};
+  rows.forEach(r => {
+    if (r.outcome) {
+      outcomeCounts[r.outcome] = (outcomeCounts[r.outcome] || 0) + 1;
+    }
+  });
+  const topOutcomes = Object.entries(outcomeCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10);
+
+  // Appointment subtype counts
+  const appointmentSubtypeCounts = {};
+  rows.filter(r => r.isAppointment).forEach(r => {
+    const subtype = r.appointmentSubtype || 'Other Appointment';
+    appointmentSubtypeCounts[subtype] = (appointmentSubtypeCounts[subtype] || 0) + 1;
+  });
+
+  // Lead time stats (median, percentiles)
+  const leadTimes = rows.map(r => r.leadTimeMinutes).filter(v => v !== null && v >= 0);
+  leadTimes.sort((a, b) => a - b);
+  const medianLeadTime = leadTimes.length > 0 ? leadTimes[Math.floor(leadTimes.length / 2)] : null;
+
+  // Time to outcome stats
+  const timeToOutcomes = rows.map(r => r.timeToOutcomeMinutes).filter(v => v !== null && v >= 0);
+  timeToOutcomes.sort((a, b) => a - b);
+  const medianTimeToOutcome = timeToOutcomes.length > 0 ? timeToOutcomes[Math.floor(timeToOutcomes.length / 2)] : null;
+
+  // By day of week
+  const byDayOfWeek = { Monday: 0, Tuesday: 0, Wednesday: 0, Thursday: 0, Friday: 0, Saturday: 0, Sunday: 0 };
+  rows.forEach(r => {
+    if (r.dow) byDayOfWeek[r.dow]++;
+  });
+
+  // By hour
+  const byHour = {};
+  for (let h = 0; h < 24; h++) byHour[h] = 0;
+  rows.forEach(r => {
+    if (r.hourOfDay !== null) byHour[r.hourOfDay]++;
+  });
+
+  // Peak hour and day
+  const peakHour = Object.entries(byHour).sort((a, b) => b[1] - a[1])[0];
+  const peakDay = Object.entries(byDayOfWeek).sort((a, b) => b[1] - a[1])[0];
+
+  // Weekend share
+  const weekendRequests = rows.filter(r => r.isWeekend).length;
+  const weekendShare = totalRequests > 0 ? (weekendRequests / totalRequests) * 100 : 0;
+
+  // Heatmap data (day x hour)
+  const heatmapData = {};
+  Object.keys(byDayOfWeek).forEach(day => {
+    heatmapData[day] = {};
+    for (let h = 0; h < 24; h++) heatmapData[day][h] = 0;
+  });
+  rows.forEach(r => {
+    if (r.dow && r.hourOfDay !== null) {
+      heatmapData[r.dow][r.hourOfDay]++;
+    }
+  });
+
+  // Daily time series
+  const byDate = {};
+  rows.forEach(r => {
+    if (r.submittedDt) {
+      const dateKey = r.submittedDt.toISOString().split('T')[0];
+      if (!byDate[dateKey]) {
+        byDate[dateKey] = { total: 0, clinical: 0, admin: 0, appointments: 0 };
+      }
+      byDate[dateKey].total++;
+      if (r.type === 'Clinical') byDate[dateKey].clinical++;
+      if (r.type === 'Admin') byDate[dateKey].admin++;
+      if (r.isAppointment) byDate[dateKey].appointments++;
+    }
+  });
+
+  // Rolling 7-day average
+  const sortedDates = Object.keys(byDate).sort();
+  const rolling7Day = [];
+  for (let i = 6; i < sortedDates.length; i++) {
+    const window = sortedDates.slice(i - 6, i + 1);
+    const avg = window.reduce((sum, d) => sum + byDate[d].total, 0) / 7;
+    rolling7Day.push({ date: sortedDates[i], value: Math.round(avg * 10) / 10 });
+  }
+
+  // Demographics
+  const byAgeBand = {};
+  AGE_BANDS.forEach(b => byAgeBand[b.label] = { total: 0, appointments: 0, timedOut: 0 });
+  byAgeBand['Unknown'] = { total: 0, appointments: 0, timedOut: 0 };
+  rows.forEach(r => {
+    const band = r.ageBand || 'Unknown';
+    if (byAgeBand[band]) {
+      byAgeBand[band].total++;
+      if (r.isAppointment) byAgeBand[band].appointments++;
+      if (r.outcomeGroup === 'Timed out / No response') byAgeBand[band].timedOut++;
+    }
+  });
+
+  const bySex = {};
+  rows.forEach(r => {
+    const sex = r.sex || 'Unknown';
+    if (!bySex[sex]) bySex[sex] = { total: 0, appointments: 0 };
+    bySex[sex].total++;
+    if (r.isAppointment) bySex[sex].appointments++;
+  });
+
+  // Specific outcome rates
+  const timedOutCount = rows.filter(r => r.outcomeGroup === 'Timed out / No response').length;
+  const timedOutRate = totalRequests > 0 ? (timedOutCount / totalRequests) * 100 : 0;
+
+  const inappropriateCount = rows.filter(r => r.outcomeGroup === 'Inappropriate / Rejected').length;
+  const inappropriateRate = totalRequests > 0 ? (inappropriateCount / totalRequests) * 100 : 0;
+
+  const signpostingCount = rows.filter(r => r.outcomeGroup === 'Signposting / Redirect').length;
+  const signpostingRate = totalRequests > 0 ? (signpostingCount / totalRequests) * 100 : 0;
+
+  const prescriptionCount = rows.filter(r => r.outcomeGroup === 'Prescription / Meds').length;
+  const prescriptionRate = totalRequests > 0 ? (prescriptionCount / totalRequests) * 100 : 0;
+
+  const adviceCount = rows.filter(r => r.outcomeGroup === 'Advice / Self-care').length;
+  const adviceRate = totalRequests > 0 ? (adviceCount / totalRequests) * 100 : 0;
+
+  // SLA metrics (% within X hours)
+  const slaMetrics = {};
+  [2, 4, 8, 24, 48].forEach(hours => {
+    const threshold = hours * 60; // minutes
+    const withinSla = timeToOutcomes.filter(t => t <= threshold).length;
+    slaMetrics[`within${hours}h`] = timeToOutcomes.length > 0 ? (withinSla / timeToOutcomes.length) * 100 : 0;
+  });
+
+  // Weekly outcome group breakdown
+  const byWeek = {};
+  rows.forEach(r => {
+    if (r.submittedDt) {
+      const weekStart = new Date(r.submittedDt);
+      weekStart.setDate(weekStart.getDate() - weekStart.getDay() + 1); // Monday
+      const weekKey = weekStart.toISOString().split('T')[0];
+      if (!byWeek[weekKey]) {
+        byWeek[weekKey] = { total: 0 };
+        Object.keys(DEFAULT_OUTCOME_GROUPS).forEach(g => byWeek[weekKey][g] = 0);
+      }
+      byWeek[weekKey].total++;
+      byWeek[weekKey][r.outcomeGroup || 'Other / Unknown']++;
+    }
+  });
+
+  // Access method distribution
+  const byAccessMethod = {};
+  rows.forEach(r => {
+    const method = r.accessMethod || 'Unknown';
+    if (!byAccessMethod[method]) byAccessMethod[method] = { total: 0, appointments: 0 };
+    byAccessMethod[method].total++;
+    if (r.isAppointment) byAccessMethod[method].appointments++;
+  });
+
+  // Submission source distribution
+  const bySubmissionSource = {};
+  rows.forEach(r => {
+    const source = r.submissionSource || 'Unknown';
+    if (!bySubmissionSource[source]) bySubmissionSource[source] = { total: 0, appointments: 0 };
+    bySubmissionSource[source].total++;
+    if (r.isAppointment) bySubmissionSource[source].appointments++;
+  });
+
+  // Response preference distribution
+  const byResponsePreference = {};
+  rows.forEach(r => {
+    const pref = r.responsePreference || 'Unknown';
+    if (!byResponsePreference[pref]) byResponsePreference[pref] = { total: 0, appointments: 0 };
+    byResponsePreference[pref].total++;
+    if (r.isAppointment) byResponsePreference[pref].appointments++;
+  });
+
+  // Clinical problem type distribution
+  const byClinicalProblemType = {};
+  rows.filter(r => r.type === 'Clinical').forEach(r => {
+    const type = r.clinicalProblemType || 'Unknown';
+    byClinicalProblemType[type] = (byClinicalProblemType[type] || 0) + 1;
+  });
+
+  // Admin activity type distribution
+  const byAdminActivityType = {};
+  rows.filter(r => r.type === 'Admin').forEach(r => {
+    const type = r.adminActivityType || 'Unknown';
+    byAdminActivityType[type] = (byAdminActivityType[type] || 0) + 1;
+  });
+
+  return {
+    dateRange: { min: minDate, max: maxDate },
+    uniqueSuppliers,
+    uniqueOdsCodes,
+    uniqueAccessMethods,
+    uniqueSubmissionSources,
+    uniqueResponsePreferences,
+    uniqueClinicalProblemTypes,
+    uniqueAdminActivityTypes,
+    uniqueOutcomes,
+    uniqueOutcomeGroups,
+    hasAdminData,
+
+    // Core counts
+    totalRequests,
+    clinicalRequests,
+    adminRequests,
+    completedRequests,
+    outcomeRecordedRequests,
+    appointmentRequests,
+
+    // Rates
+    completionRate,
+    outcomeRate,
+    appointmentConversionRate,
+    avoidedAppointmentRate,
+    requestsPer1000,
+
+    // Outcome analysis
+    outcomeGroupCounts,
+    topOutcomes,
+    appointmentSubtypeCounts,
+
+    // Timing stats
+    medianLeadTime,
+    medianTimeToOutcome,
+    slaMetrics,
+
+    // Time distributions
+    byDayOfWeek,
+    byHour,
+    heatmapData,
+    byDate,
+    rolling7Day,
+    byWeek,
+    peakHour: peakHour ? { hour: parseInt(peakHour[0]), count: peakHour[1] } : null,
+    peakDay: peakDay ? { day: peakDay[0], count: peakDay[1] } : null,
+    weekendShare,
+
+    // Demographics
+    byAgeBand,
+    bySex,
+
+    // Specific rates
+    timedOutRate,
+    inappropriateRate,
+    signpostingRate,
+    prescriptionRate,
+    adviceRate,
+
+    // Channel analysis
+    byAccessMethod,
+    bySubmissionSource,
+    byResponsePreference,
+    byClinicalProblemType,
+    byAdminActivityType,
+  };
+};
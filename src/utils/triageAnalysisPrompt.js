@@ -0,0 +1,98 @@
+/**
+ * Triage Analysis Prompt
+ *
+ * Metric definitions and prompt template for AI analysis of online triage
+ * request data (e.g. SystmConnect extracts). The browser sends only numeric
+ * summary metrics; /api/analyze builds the prompt from them.
+ */
+
+// Prompt template version - increment when the prompt changes significantly
+export const TRIAGE_PROMPT_VERSION = '1.1';
+
+export const TRIAGE_METRIC_DEFINITIONS = [
+  { key: 'totalRequests', title: 'Triage requests received', format: 'number' },
+  { key: 'requestsPer1000', title: 'Requests per 1,000 patients', format: 'decimal1' },
+  { key: 'clinicalRequests', title: 'Clinical requests', format: 'number' },
+  { key: 'adminRequests', title: 'Admin requests', format: 'number' },
+  { key: 'completionRate', title: 'Requests completed', format: 'percent1' },
+  { key: 'appointmentConversionRate', title: 'Requests converted to an appointment', format: 'percent1' },
+  { key: 'avoidedAppointmentRate', title: 'Requests resolved without an appointment', format: 'percent1' },
+  { key: 'medianTimeToOutcome', title: 'Median time from submission to outcome', format: 'minutes' },
+  { key: 'within2h', title: 'Outcome within 2 hours', format: 'percent1' },
+  { key: 'within24h', title: 'Outcome within 24 hours', format: 'percent1' },
+  { key: 'within48h', title: 'Outcome within 48 hours', format: 'percent1' },
+  { key: 'weekendShare', title: 'Requests submitted at weekends', format: 'percent1' },
+];
+
+const TRIAGE_SYSTEM_PROMPT = `You are an expert NHS Practice Manager reviewing a GP practice's online triage workflow using CAIP Analytics.
+
+Key principles:
+- Focus on access, timeliness and the balance between clinical and admin demand; avoid clinical judgement.
+- A high share of requests resolved without an appointment usually indicates effective triage, not unmet demand.
+- Slow time to outcome and low completion rates are the main signs of triage backlog.
+- Weekend submissions that wait until Monday inflate time-to-outcome; say so where weekend share is high.
+- Where a metric shows 'N/A', acknowledge the gap but analyse the metrics available.
+
+OUTPUT REQUIREMENTS
+- Use the exact headings:
+  Whats working well
+  Room for improvement
+  Actions / Considerations
+- Reference specific metrics to support conclusions.
+- Keep the tone professional, constructive and specific to NHS Primary Care. Use British English.
+`;
+
+// Format a metric value for the prompt
+const formatTriageMetricValue = (value, format) => {
+  if (value == null || Number.isNaN(value)) return 'N/A';
+
+  switch (format) {
+    case 'percent1':
+      return `${Number(value).toFixed(1)}%`;
+    case 'decimal1':
+      return Number(value).toFixed(1);
+    case 'minutes':
+      return value >= 120 ? `${(value / 60).toFixed(1)} hours` : `${Math.round(value)} minutes`;
+    default:
+      return Math.round(value).toLocaleString();
+  }
+};
+
+/**
+ * Build the /api/analyze payload from analysed triage data
+ * @param {Object} analyzed - Summary metrics (e.g. SystmConnect filteredData)
+ * @param {Object} practice - { name, listSize }
+ * @param {Object} [period] - { start, end } as ISO dates
+ * @returns {{kind: string, practice: Object, period: Object|null, metrics: Object}}
+ */
+export const buildTriageAnalysisPayload = (analyzed, practice, period = null) => {
+  const sources = { ...analyzed, ...(analyzed?.slaMetrics || {}) };
+  return {
+    kind: 'triage',
+    practice: { name: practice?.name || '', listSize: Number(practice?.listSize) || null },
+    period,
+    metrics: Object.fromEntries(TRIAGE_METRIC_DEFINITIONS
+      .map(metric => [metric.key, sources[metric.key]])
+      .filter(([, value]) => typeof value === 'number' && Number.isFinite(value))),
+  };
+};
+
+// Render system and user prompts from a triage analysis payload (runs in /api/analyze)
+export const buildTriageAnalysisPrompts = ({ practice, period, metrics }) => {
+  const lines = TRIAGE_METRIC_DEFINITIONS.map(metric => (
+    `- ${metric.title}: ${formatTriageMetricValue(metrics[metric.key], metric.format)}`
+  ));
+
+  const userPrompt = `Analyse this GP practice's online triage performance.
+
+PRACTICE CONTEXT
+- Practice name: ${practice.name || 'Unknown Practice'}
+- Practice list size: ${practice.listSize?.toLocaleString() || 'Unknown'}
+- Period: ${period ? `${period.start} to ${period.end}` : 'Not specified'}
+
+METRICS
+${lines.join('\n')}
+`;
+
+  return { systemPrompt: TRIAGE_SYSTEM_PROMPT, userPrompt };
+};
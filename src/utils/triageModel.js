@@ -0,0 +1,274 @@
+/**
+ * Triage Request Model
+ *
+ * Every supplier's export is converted into one canonical triage request, so the
+ * same analysis (src/utils/triageAnalysis.js) runs whichever system a practice uses
+ * and exports from before and after a supplier change can be analysed together.
+ *
+ * Canonical request:
+ *   supplier, practice, odsCode
+ *   submittedDt, requestDate (UTC midnight), requestMonth ("January 2026"), dow ("Monday"),
+ *   hourOfDay, isWeekend
+ *   type ('Clinical' | 'Admin'), category (pathway or problem type, '-' when unknown),
+ *   clinicalProblemType, adminActivityType
+ *   urgency ('RED' | 'AMBER' | 'YELLOW' | 'GREEN' | null), automated, guideline
+ *   outcome, outcomeGroup, hasOutcome, isAppointment, appointmentSubtype,
+ *   appointmentStatus ('-' when none), slotType ('-' when none)
+ *   age, ageBand, isAdult, sex, accessMethod, submissionSource, responsePreference
+ *   startedDt, completedDt, outcomeRecordedDt, leadTimeMinutes, timeToOutcomeMinutes,
+ *   isCompleted, hasOutcomeRecorded
+ * Fields a supplier doesn't export are null (or '-' / false as above).
+ *
+ * Each adapter recognises its export from the header row and parses a workbook
+ * into canonical requests; new suppliers are added with registerTriageAdapter.
+ */
+import * as XLSX from 'xlsx';
+import { parseRapidHealthData, validateRapidHealthHeaders } from './rapidHealthParser.js';
+import {
+  parseSystmConnectData,
+  validateSystmConnectHeaders,
+  classifyOutcome,
+  classifyAppointmentSubtype,
+  getAgeBand,
+} from './systmConnectParser.js';
+import { parseAccurxData, validateAccurxHeaders } from './accurxParser.js';
+
+export const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Appointment statuses that mean the patient was booked or invited to book
+export const isBookedStatus = (status) => {
+  const lower = String(status || '').toLowerCase();
+  return lower.includes('booking') || lower.includes('scheduled') || lower.includes('confirmed');
+};
+
+const monthName = (requestDate) => (requestDate
+  ? requestDate.toLocaleString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+  : '');
+
+// Outcome group for a slot row: keyword matches to 'Appointment' that the status rules out become unknown
+const appointmentGroup = (isAppointment, outcomeGroup) => {
+  if (isAppointment) return 'Appointment';
+  return outcomeGroup === 'Appointment' ? 'Other / Unknown' : outcomeGroup;
+};
+
+const normaliseType = (type) => {
+  const lower = String(type || '').trim().toLowerCase();
+  if (lower === 'medical' || lower === 'clinical') return 'Clinical';
+  if (lower === 'admin') return 'Admin';
+  return String(type || '').trim();
+};
+
+/**
+ * Canonical request from a row in the slot analysis model (Rapid Health and Accurx parsers)
+ * @param {Object} row - { tenant, requestDate, requestMonth, requestDay, requestHour, requestType, pathway,
+ *   urgency, automated, guideline, slotType, appointmentStatus, patientAge, isAdult, timeToProcessedMins, outcome? }
+ * @param {string} supplier - Adapter id
+ */
+export const fromSlotRow = (row, supplier) => {
+  const dow = DAY_NAMES.find(day => String(row.requestDay || '').toLowerCase().includes(day.toLowerCase())) || null;
+  const hourOfDay = row.requestHour ?? null;
+  const type = normaliseType(row.requestType);
+  const category = row.pathway || '-';
+  const slotType = row.slotType || '-';
+  const appointmentStatus = row.appointmentStatus || '-';
+  const outcome = row.outcome || (appointmentStatus !== '-' ? appointmentStatus : null);
+  // Where the parser read the status from a free-text outcome (Accurx), its status is
+  // final: keyword matching would count "Not booked" as an appointment
+  const outcomeGroup = classifyOutcome(outcome);
+  const isAppointment = isBookedStatus(appointmentStatus) || (!row.outcome && outcomeGroup === 'Appointment');
+  const timeToOutcomeMinutes = row.timeToProcessedMins ?? null;
+
+  return {
+    supplier,
+    practice: row.tenant || '',
+    odsCode: '',
+    submittedDt: row.requestDate ? new Date(row.requestDate.getTime() + (hourOfDay ?? 0) * 3600000) : null,
+    requestDate: row.requestDate || null,
+    requestMonth: row.requestMonth || monthName(row.requestDate),
+    dow,
+    hourOfDay,
+    isWeekend: dow === 'Saturday' || dow === 'Sunday',
+    type,
+    category,
+    clinicalProblemType: type === 'Clinical' && category !== '-' ? category : null,
+    adminActivityType: type === 'Admin' && category !== '-' ? category : null,
+    urgency: row.urgency || null,
+    automated: !!row.automated,
+    guideline: row.guideline || '',
+    outcome,
+    outcomeGroup: appointmentGroup(isAppointment, outcomeGroup),
+    hasOutcome: !!outcome,
+    isAppointment,
+    appointmentSubtype: isAppointment ? classifyAppointmentSubtype(slotType !== '-' ? slotType : outcome) : null,
+    appointmentStatus,
+    slotType,
+    age: row.patientAge ?? null,
+    ageBand: getAgeBand(row.patientAge),
+    isAdult: !!row.isAdult,
+    sex: null,
+    accessMethod: null,
+    submissionSource: null,
+    responsePreference: null,
+    startedDt: null,
+    completedDt: null,
+    outcomeRecordedDt: null,
+    leadTimeMinutes: null,
+    timeToOutcomeMinutes,
+    isCompleted: timeToOutcomeMinutes !== null,
+    hasOutcomeRecorded: timeToOutcomeMinutes !== null,
+  };
+};
+
+/**
+ * Canonical request from a SystmConnect row (parseSystmConnectData)
+ */
+export const fromSystmConnectRow = (row) => {
+  const submitted = row.submittedDt;
+  const requestDate = submitted
+    ? new Date(Date.UTC(submitted.getFullYear(), submitted.getMonth(), submitted.getDate()))
+    : null;
+
+  return {
+    ...row,
+    supplier: 'systmconnect',
+    practice: row.odsCode || '',
+    requestDate,
+    requestMonth: monthName(requestDate),
+    type: normaliseType(row.type),
+    category: row.clinicalProblemType || row.adminActivityType || '-',
+    urgency: null,
+    automated: false,
+    guideline: '',
+    appointmentStatus: row.isAppointment ? 'Scheduled' : '-',
+    slotType: row.appointmentSubtype || '-',
+    isAdult: row.age !== null && row.age >= 18,
+  };
+};
+
+const adapters = [
+  {
+    id: 'rapidhealth',
+    name: 'Rapid Health',
+    formats: '.xlsx,.xls',
+    detect: validateRapidHealthHeaders,
+    parse: (workbook) => ({
+      requests: parseRapidHealthData(workbook).map(row => fromSlotRow(row, 'rapidhealth')),
+      invalidDurations: 0,
+    }),
+  },
+  {
+    id: 'systmconnect',
+    name: 'SystmConnect',
+    formats: '.xlsx,.xls,.csv',
+    detect: validateSystmConnectHeaders,
+    parse: (workbook) => {
+      const { rows, dataQuality } = parseSystmConnectData(workbook);
+      return { requests: rows.map(fromSystmConnectRow), invalidDurations: dataQuality.invalidDurations };
+    },
+  },
+  {
+    id: 'accurx',
+    name: 'Accurx',
+    formats: '.xlsx,.xls,.csv',
+    detect: validateAccurxHeaders,
+    parse: (workbook) => ({
+      requests: parseAccurxData(workbook).rows.map(row => fromSlotRow(row, 'accurx')),
+      invalidDurations: 0,
+    }),
+  },
+];
+
+/**
+ * Register an additional supplier adapter (checked before the built-in ones)
+ * @param {Object} adapter - { id, name, formats, detect(headers) => boolean,
+ *   parse(workbook) => { requests, invalidDurations } }
+ */
+export const registerTriageAdapter = (adapter) => {
+  adapters.unshift(adapter);
+};
+
+// List registered adapters (id, name, formats) for display
+export const getTriageAdapters = () => adapters.map(({ id, name, formats }) => ({ id, name, formats }));
+
+export const getTriageSupplierName = (id) => adapters.find(adapter => adapter.id === id)?.name || id;
+
+// Header row of the first sheet, without converting the whole sheet
+const readHeaders = (workbook) => {
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet?.['!ref']) return [];
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const headers = [];
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    headers.push(sheet[XLSX.utils.encode_cell({ r: range.s.r, c })]?.v ?? '');
+  }
+  return headers;
+};
+
+/**
+ * Work out which supplier produced a workbook. Adapters are checked in order, the
+ * strictest header checks first, so a loosely matched export never claims another's file.
+ * @param {Object} workbook - SheetJS workbook
+ * @returns {string|null} Adapter id
+ */
+export const detectTriageSupplier = (workbook) => {
+  const headers = readHeaders(workbook);
+  return adapters.find(adapter => adapter.detect(headers))?.id || null;
+};
+
+/**
+ * Count missing and unusable values across canonical requests
+ * @returns {Object} { totalRows, missingDates, invalidDurations, missingOutcomes, missingType, missingUrgency }
+ */
+export const summariseTriageDataQuality = (requests, invalidDurations = 0) => ({
+  totalRows: requests.length,
+  missingDates: requests.filter(r => !r.submittedDt).length,
+  invalidDurations,
+  missingOutcomes: requests.filter(r => !r.outcome).length,
+  missingType: requests.filter(r => !r.type).length,
+  missingUrgency: requests.filter(r => r.type === 'Clinical' && !r.urgency).length,
+});
+
+/**
+ * Parse any supported triage export into canonical requests
+ * @param {Object} workbook - SheetJS workbook (XLSX, XLS or CSV)
+ * @param {string} [preferred] - Supplier the user selected; its parser (and error
+ *   message) is used when no adapter recognises the file
+ * @returns {Object} { supplier, requests, dataQuality }
+ */
+export const parseTriageWorkbook = (workbook, preferred) => {
+  const supplier = detectTriageSupplier(workbook) || preferred;
+  const adapter = adapters.find(candidate => candidate.id === supplier) || adapters[0];
+  const { requests, invalidDurations } = adapter.parse(workbook);
+  return { supplier: adapter.id, requests, dataQuality: summariseTriageDataQuality(requests, invalidDurations) };
+};
+
+/**
+ * Combine the requests of several uploaded files, dropping requests that appear in
+ * more than one of them (overlapping date ranges). Identical requests within one file
+ * are kept: exports with hourly timestamps can't tell two of them apart.
+ * @param {Array<Array>} fileRequests - Canonical requests per file
+ * @returns {Object} { requests, duplicatesRemoved }
+ */
+export const combineTriageFiles = (fileRequests) => {
+  const requestKey = (r) => [
+    r.supplier, r.submittedDt?.getTime() || '', r.practice, r.age, r.type, r.category, r.urgency || '', r.outcome || '',
+  ].join('|');
+
+  const kept = new Map(); // key -> most copies seen in any one file
+  const requests = [];
+  let total = 0;
+  fileRequests.forEach(fileRows => {
+    const seenInFile = new Map();
+    fileRows.forEach(r => {
+      total++;
+      const key = requestKey(r);
+      const count = (seenInFile.get(key) || 0) + 1;
+      seenInFile.set(key, count);
+      if (count > (kept.get(key) || 0)) {
+        kept.set(key, count);
+        requests.push(r);
+      }
+    });
+  });
+  return { requests, duplicatesRemoved: total - requests.length };
+};
@@ -0,0 +1,192 @@
+/**
+ * Urgency Timing Rules
+ *
+ * When each triage urgency needs an appointment, used by the slot gap model to move
+ * demand from the day a request arrives to the day a slot is needed. Practices run
+ * different protocols, so every urgency has an editable rule:
+ *
+ *   targetDays        - days after the request (0 = same day)
+ *   countWeekends     - whether Saturdays and Sundays count towards targetDays
+ *   countBankHolidays - whether England & Wales bank holidays count towards targetDays
+ *   whenClosed        - if the target falls on a closed day: 'next-open' (see on the next
+ *                       open day) or 'upgrade' (bring forward to the request's own open day)
+ *   upgradeTo         - urgency whose slots are used when upgraded
+ *
+ * The practice is closed at weekends and on bank holidays.
+ */
+import { isBankHoliday } from './workingDayCalendar.js';
+
+export const URGENCY_LEVELS = ['RED', 'AMBER', 'YELLOW', 'GREEN'];
+
+export const WHEN_CLOSED_OPTIONS = {
+  'next-open': 'Next open day',
+  upgrade: 'Same day, as a more urgent slot',
+};
+
+// RED same open day; AMBER next calendar day, upgraded to same-day RED when that day is
+// closed; YELLOW 3rd and GREEN 5th open day
+export const DEFAULT_URGENCY_RULES = {
+  RED: { targetDays: 0, countWeekends: false, countBankHolidays: false, whenClosed: 'next-open', upgradeTo: 'RED' },
+  AMBER: { targetDays: 1, countWeekends: true, countBankHolidays: true, whenClosed: 'upgrade', upgradeTo: 'RED' },
+  YELLOW: { targetDays: 3, countWeekends: false, countBankHolidays: false, whenClosed: 'next-open', upgradeTo: 'AMBER' },
+  GREEN: { targetDays: 5, countWeekends: false, countBankHolidays: false, whenClosed: 'next-open', upgradeTo: 'YELLOW' },
+};
+
+export const MAX_TARGET_DAYS = 20;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+// Monday 12 Jan 2026: a representative week with no bank holidays in the following month
+const REFERENCE_MONDAY = [2026, 0, 12];
+
+const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+export const isOpenDate = (date) => !isWeekend(date) && !isBankHoliday(date);
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Complete a rule set from saved, shared or imported values, falling back to the
+ * defaults for anything missing or invalid
+ * @param {Object} [rules] - Rules keyed by urgency
+ * @returns {Object} Rules for every urgency
+ */
+export const normaliseUrgencyRules = (rules) => Object.fromEntries(URGENCY_LEVELS.map(urgency => {
+  const defaults = DEFAULT_URGENCY_RULES[urgency];
+  const rule = rules?.[urgency] || {};
+  const targetDays = parseInt(rule.targetDays, 10);
+  return [urgency, {
+    targetDays: Number.isNaN(targetDays) ? defaults.targetDays : Math.min(MAX_TARGET_DAYS, Math.max(0, targetDays)),
+    countWeekends: typeof rule.countWeekends === 'boolean' ? rule.countWeekends : defaults.countWeekends,
+    countBankHolidays: typeof rule.countBankHolidays === 'boolean' ? rule.countBankHolidays : defaults.countBankHolidays,
+    whenClosed: WHEN_CLOSED_OPTIONS[rule.whenClosed] ? rule.whenClosed : defaults.whenClosed,
+    upgradeTo: URGENCY_LEVELS.includes(rule.upgradeTo) ? rule.upgradeTo : defaults.upgradeTo,
+  }];
+}));
+
+/**
+ * The day a request needs its appointment, and the urgency of slot it uses
+ * @param {Date} requestDate - Day the request arrived (local date)
+ * @param {Object} rule - One urgency's rule
+ * @param {string} urgency - The request's urgency
+ * @returns {Object} { date, urgency }
+ */
+export const getCapacityDate = (requestDate, rule, urgency) => {
+  const nextOpen = (date) => {
+    let open = date;
+    while (!isOpenDate(open)) open = addDays(open, 1);
+    return open;
+  };
+  const counts = (date) => {
+    if (isWeekend(date)) return rule.countWeekends;
+    if (isBankHoliday(date)) return rule.countBankHolidays;
+    return true;
+  };
+
+  let target = requestDate;
+  for (let counted = 0; counted < rule.targetDays;) {
+    target = addDays(target, 1);
+    if (counts(target)) counted++;
+  }
+
+  if (isOpenDate(target)) return { date: target, urgency };
+  if (rule.whenClosed === 'upgrade' && rule.targetDays > 0) {
+    return { date: nextOpen(requestDate), urgency: rule.upgradeTo };
+  }
+  return { date: nextOpen(target), urgency };
+};
+
+const emptyCounts = () => ({ GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0, total: 0 });
+
+const toKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * Slots needed on each open day once demand is moved to the day it needs seeing
+ * Uses dated demand where the analysis has it (so bank holidays are honoured), otherwise
+ * a representative week built from demand by day of week
+ * @param {Object} data - Demand analysis: { demandByDateUrgency?, demandByDayUrgency }
+ * @param {Object} rules - Urgency rules (see normaliseUrgencyRules)
+ * @param {Object} [options] - { acceptWeekendRequests: include requests made at weekends }
+ * @returns {Object} { 'YYYY-MM-DD': { GREEN, YELLOW, AMBER, RED, total } } keyed by the day slots are needed
+ */
+export const capacityNeededByDate = (data, rules, options = {}) => {
+  const { acceptWeekendRequests = false } = options;
+  const ruleSet = normaliseUrgencyRules(rules);
+
+  let demandByDate;
+  if (data.demandByDateUrgency) {
+    demandByDate = Object.entries(data.demandByDateUrgency).map(([key, counts]) => {
+      const [year, month, day] = key.split('-').map(Number);
+      return [new Date(year, month - 1, day), counts];
+    });
+  } else {
+    const monday = new Date(...REFERENCE_MONDAY);
+    demandByDate = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+      .map((day, i) => [addDays(monday, i), data.demandByDayUrgency?.[day] || {}]);
+  }
+
+  const neededByDate = {};
+  demandByDate.forEach(([requestDate, counts]) => {
+    if (!acceptWeekendRequests && isWeekend(requestDate)) return;
+    URGENCY_LEVELS.forEach(urgency => {
+      const count = counts[urgency] || 0;
+      if (!count) return;
+      const target = getCapacityDate(requestDate, ruleSet[urgency], urgency);
+      const key = toKey(target.date);
+      neededByDate[key] = neededByDate[key] || emptyCounts();
+      neededByDate[key][target.urgency] += count;
+      neededByDate[key].total += count;
+    });
+  });
+  return neededByDate;
+};
+
+/**
+ * Average slots needed on each weekday (see capacityNeededByDate)
+ * @param {Object} data - Demand analysis: { demandByDateUrgency?, demandByDayUrgency, numWeeks }
+ * @param {Object} rules - Urgency rules (see normaliseUrgencyRules)
+ * @param {Object} [options] - { acceptWeekendRequests: include requests made at weekends }
+ * @returns {Object} { [weekday]: { GREEN, YELLOW, AMBER, RED, total, avgGREEN, ..., avgTotal } }
+ */
+export const calculateCapacityNeeded = (data, rules, options = {}) => {
+  const capacityNeeded = {};
+  WEEKDAYS.forEach(day => { capacityNeeded[day] = emptyCounts(); });
+
+  Object.entries(capacityNeededByDate(data, rules, options)).forEach(([key, counts]) => {
+    const [year, month, day] = key.split('-').map(Number);
+    const needed = capacityNeeded[DAY_NAMES[new Date(year, month - 1, day).getDay()]];
+    URGENCY_LEVELS.forEach(urgency => { needed[urgency] += counts[urgency]; });
+    needed.total += counts.total;
+  });
+
+  const numWeeks = data.numWeeks || 1;
+  Object.values(capacityNeeded).forEach(needed => {
+    needed.avgGREEN = Math.round(needed.GREEN / numWeeks);
+    needed.avgYELLOW = Math.round(needed.YELLOW / numWeeks);
+    needed.avgAMBER = Math.round(needed.AMBER / numWeeks);
+    needed.avgRED = Math.round(needed.RED / numWeeks);
+    needed.avgTotal = Math.round(needed.total / numWeeks);
+  });
+  return capacityNeeded;
+};
+
+// Plain-English summary of one rule, e.g. "3rd open day" or "Next calendar day, or same day as RED if closed"
+export const describeUrgencyRule = (rule) => {
+  if (rule.targetDays === 0) return 'Same open day';
+  const ordinal = (n) => {
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return n === 1 ? 'Next' : `${n}${suffix}`;
+  };
+  let kind = 'open day';
+  if (rule.countWeekends && rule.countBankHolidays) kind = 'calendar day';
+  else if (rule.countWeekends) kind = 'day (weekends count)';
+  else if (rule.countBankHolidays) kind = 'weekday (bank holidays count)';
+  const closed = rule.whenClosed === 'upgrade' && (rule.countWeekends || rule.countBankHolidays)
+    ? `, or same day as ${rule.upgradeTo} if closed`
+    : '';
+  return `${ordinal(rule.targetDays)} ${kind}${closed}`;
+};
+
@@ -13,6 +13,7 @@
   inferUnits,
   humanizeFieldName,
 } from './workforceSchema.js';
+import { applyCorrections } from './dataCorrections.js';
 
 const MONTH_NAMES = [
   'January',
@@ -279,31 +280,16 @@ export function aggregateWorkforcePractices(practices = []) {
 }
 
 export function buildWorkforceDataset(rows = [], month) {
-  // Data corrections for known mapping errors in NHS England source data
-  const DATA_CORRECTIONS = {
-    // Orchard Surgery should be mapped to NHS Nottingham and Nottinghamshire ICB
-    'C82040': {
-      icbCode: 'QT1',
-      icbName: 'NHS NOTTINGHAM AND NOTTINGHAMSHIRE INTEGRATED CARE BOARD'
-    }
-  };
+  const builtPractices = rows.map((row) => buildWorkforcePractice(row, month)).filter(Boolean);
 
-  const practices = [];
-  rows.forEach((row) => {
-    const practice = buildWorkforcePractice(row, month);
-    if (practice) {
-      // Apply corrections if needed
-      if (DATA_CORRECTIONS[practice.odsCode]) {
-        Object.assign(practice, DATA_CORRECTIONS[practice.odsCode]);
-      }
-      practices.push(practice);
-    }
-  });
+  // Known source data errors and organisational changes (src/data/corrections.js)
+  const { practices, applied: corrections } = applyCorrections(builtPractices, { dataset: 'workforce', month });
 
   return {
     dataMonth: month,
     practices,
     national: aggregateWorkforcePractices(practices),
+    corrections,
   };
 }
 
@@ -0,0 +1,154 @@
+/**
+ * Working Day Calendar
+ *
+ * England & Wales working days (Monday-Friday excluding bank holidays and
+ * their substitute days) for any month, shared by the local demand engine,
+ * national practice metrics, workforce capacity modelling and forecasts.
+ * Practice closure days (e.g. protected learning time) can be passed in
+ * as ISO dates and are treated as non-working.
+ */
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// One-off bank holidays and moved dates proclaimed for specific years
+// (royal events); regular holidays are generated by rule
+const SPECIAL_BANK_HOLIDAYS = {
+  2011: { add: ['2011-04-29'] },
+  2012: { add: ['2012-06-04', '2012-06-05'], remove: ['2012-05-28'] },
+  2020: { add: ['2020-05-08'], remove: ['2020-05-04'] },
+  2022: { add: ['2022-06-02', '2022-06-03', '2022-09-19'], remove: ['2022-05-30'] },
+  2023: { add: ['2023-05-08'] },
+};
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// Format a date as an ISO "YYYY-MM-DD" key (local time)
+export const toISODateKey = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+// Easter Sunday for a year (anonymous Gregorian algorithm)
+export const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+};
+
+// First (n = 1) or last (n = -1) Monday of a month
+const getMonday = (year, monthIndex, n) => {
+  if (n > 0) {
+    const first = new Date(year, monthIndex, 1);
+    return new Date(year, monthIndex, 1 + ((8 - first.getDay()) % 7));
+  }
+  const last = new Date(year, monthIndex + 1, 0);
+  return new Date(year, monthIndex, last.getDate() - ((last.getDay() + 6) % 7));
+};
+
+const bankHolidayCache = new Map();
+
+/**
+ * Get England & Wales bank holidays for a year, including substitute days
+ * @param {number} year - Calendar year
+ * @returns {Array<string>} Sorted ISO dates
+ */
+export const getBankHolidays = (year) => {
+  if (bankHolidayCache.has(year)) return bankHolidayCache.get(year);
+
+  const easter = getEasterSunday(year);
+  const holidays = new Set([
+    toISODateKey(new Date(year, easter.getMonth(), easter.getDate() - 2)), // Good Friday
+    toISODateKey(new Date(year, easter.getMonth(), easter.getDate() + 1)), // Easter Monday
+    toISODateKey(getMonday(year, 4, 1)), // Early May
+    toISODateKey(getMonday(year, 4, -1)), // Spring
+    toISODateKey(getMonday(year, 7, -1)), // Summer
+  ]);
+
+  // New Year's Day moves to Monday when it falls at a weekend
+  const newYear = new Date(year, 0, 1);
+  const newYearOffset = { 0: 1, 6: 2 }[newYear.getDay()] || 0;
+  holidays.add(toISODateKey(new Date(year, 0, 1 + newYearOffset)));
+
+  // Christmas and Boxing Day each move to the next free weekday
+  [25, 26].forEach(day => {
+    let date = new Date(year, 11, day);
+    while (date.getDay() === 0 || date.getDay() === 6 || holidays.has(toISODateKey(date))) {
+      date = new Date(year, 11, date.getDate() + 1);
+    }
+    holidays.add(toISODateKey(date));
+  });
+
+  const special = SPECIAL_BANK_HOLIDAYS[year];
+  if (special) {
+    (special.remove || []).forEach(d => holidays.delete(d));
+    (special.add || []).forEach(d => holidays.add(d));
+  }
+
+  const sorted = [...holidays].sort();
+  bankHolidayCache.set(year, sorted);
+  return sorted;
+};
+
+// Check whether a date is an England & Wales bank holiday
+export const isBankHoliday = (date) => getBankHolidays(date.getFullYear()).includes(toISODateKey(date));
+
+// Check whether a date is a working day (weekday, not a bank holiday or practice closure)
+export const isWorkingDay = (date, closureDays = []) => {
+  const day = date.getDay();
+  if (day === 0 || day === 6) return false;
+  if (isBankHoliday(date)) return false;
+  return !closureDays.includes(toISODateKey(date));
+};
+
+// Count working days between two dates (inclusive)
+export const countWorkingDays = (start, end, closureDays = []) => {
+  let count = 0;
+  const date = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+  const last = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+  while (date <= last) {
+    if (isWorkingDay(date, closureDays)) count++;
+    date.setDate(date.getDate() + 1);
+  }
+  return count;
+};
+
+// Count working days in a calendar month (monthIndex 0-11)
+export const getWorkingDaysInMonth = (year, monthIndex, closureDays = []) => (
+  countWorkingDays(new Date(year, monthIndex, 1), new Date(year, monthIndex + 1, 0), closureDays)
+);
+
+// Parse "November 2025", "Nov 2025", "Nov-25" or "2025-11" into { year, monthIndex }
+// Returns null when no year is present
+export const parseMonthString = (monthString) => {
+  const str = String(monthString || '').trim().toLowerCase();
+  const iso = str.match(/^(\d{4})-(\d{1,2})/);
+  if (iso) return { year: parseInt(iso[1], 10), monthIndex: parseInt(iso[2], 10) - 1 };
+
+  const match = str.match(/^([a-z]+)[\s-]+(\d{2}|\d{4})$/);
+  if (!match) return null;
+  const monthIndex = MONTH_NAMES.findIndex(name => name.startsWith(match[1].slice(0, 3)));
+  if (monthIndex === -1) return null;
+  const year = match[2].length === 2 ? 2000 + parseInt(match[2], 10) : parseInt(match[2], 10);
+  return { year, monthIndex };
+};
+
+// Working days for a month string (see parseMonthString), or null if it cannot be parsed
+export const getWorkingDaysForMonth = (monthString, closureDays = []) => {
+  const parsed = parseMonthString(monthString);
+  return parsed ? getWorkingDaysInMonth(parsed.year, parsed.monthIndex, closureDays) : null;
+};
+
+// Normalise user-entered closure days to sorted, unique ISO dates
+export const normaliseClosureDays = (closureDays) => {
+  const list = Array.isArray(closureDays) ? closureDays : String(closureDays || '').split(/[,\s]+/);
+  return [...new Set(list.map(d => String(d).trim()).filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d)))].sort();
+};
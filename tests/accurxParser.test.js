@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import * as XLSX from 'xlsx';
+
+import {
+  parseAccurxData,
+  validateAccurxHeaders,
+  normalizeAccurxUrgency,
+  normalizeAccurxOutcome,
+} from '../src/utils/accurxParser.js';
+
+const fixturePath = path.join(import.meta.dirname, 'fixtures', 'triage', 'accurx-export.csv');
+
+const workbookFromRows = (rows) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Requests');
+  return workbook;
+};
+
+test('an Accurx CSV export becomes triage rows', () => {
+  const workbook = XLSX.read(fs.readFileSync(fixturePath, 'utf8'), { type: 'string' });
+  const { rows, dataQuality } = parseAccurxData(workbook);
+
+  assert.equal(rows.length, 5);
+  assert.deepEqual(dataQuality, { totalRows: 5, missingDates: 0, missingType: 0, missingUrgency: 1 });
+  assert.deepEqual(rows[0], {
+    tenant: 'Riverside Surgery',
+    requestDate: new Date(Date.UTC(2026, 0, 15)),
+    requestMonth: 'January 2026',
+    requestDay: 'Thursday',
+    requestHour: 8,
+    requestType: 'Medical',
+    pathway: 'New problem',
+    urgency: 'RED',
+    automated: false,
+    guideline: '',
+    slotType: 'GP Face to Face Same Day',
+    appointmentStatus: 'Scheduled',
+    patientAge: 42,
+    isAdult: true,
+    timeToProcessedMins: 75,
+    outcome: 'Appointment booked',
+  });
+
+  assert.deepEqual(rows.map(r => r.requestType), ['Medical', 'Medical', 'Admin', 'Medical', 'Medical']);
+  assert.deepEqual(rows.map(r => r.urgency), ['RED', 'GREEN', null, 'YELLOW', null]);
+  assert.deepEqual(rows.map(r => r.appointmentStatus), ['Scheduled', 'Booking invite sent', '-', '-', '-']);
+  assert.equal(rows[3].requestDay, 'Saturday');
+  assert.equal(rows[3].isAdult, false);
+  assert.equal(rows[3].timeToProcessedMins, null);
+});
+
+test('Excel serial dates with a single submitted column keep their clock time', () => {
+  // 46037 = 15 Jan 2026; .75 = 18:00
+  const { rows } = parseAccurxData(workbookFromRows([
+    ['Submitted at', 'Type', 'Priority', 'Patient age', 'Automated'],
+    [46037.75, 'Clinical', 'Same day', 70, 'Yes'],
+    [46038.5, 'Admin', 'Low', 30, 'No'],
+  ]));
+
+  assert.deepEqual(rows.map(r => [r.requestDay, r.requestHour, r.urgency, r.automated]), [
+    ['Thursday', 18, 'RED', true],
+    ['Friday', 12, 'GREEN', false],
+  ]);
+  assert.deepEqual(rows[0].requestDate, new Date(Date.UTC(2026, 0, 15)));
+  assert.equal(rows[0].tenant, '');
+  assert.equal(rows[0].pathway, '-');
+});
+
+test('headers are validated and labels normalised', () => {
+  assert.equal(validateAccurxHeaders(['Date submitted', 'Request type', 'Outcome']), true);
+  assert.equal(validateAccurxHeaders(['Date submitted', 'Request type']), false);
+  assert.equal(validateAccurxHeaders(['Tenant', 'Request date', 'Urgency']), false);
+  assert.throws(
+    () => parseAccurxData(workbookFromRows([['Tenant', 'Request date'], ['A', 1]])),
+    /does not match Accurx Patient Triage export/
+  );
+  assert.throws(() => parseAccurxData(workbookFromRows([['Date submitted']])), /no data rows/);
+
+  assert.equal(normalizeAccurxUrgency('AMBER'), 'AMBER');
+  assert.equal(normalizeAccurxUrgency('Urgent - same day'), 'RED');
+  assert.equal(normalizeAccurxUrgency('Non-urgent'), 'GREEN');
+  assert.equal(normalizeAccurxUrgency('Non-urgent (routine)'), 'GREEN');
+  assert.equal(normalizeAccurxUrgency('Not urgent'), 'GREEN');
+  assert.equal(normalizeAccurxUrgency('-'), null);
+  assert.equal(normalizeAccurxUrgency('Unclassified'), null);
+  assert.equal(normalizeAccurxOutcome('Appointment booked with GP'), 'Scheduled');
+  assert.equal(normalizeAccurxOutcome('Sent self-book link'), 'Booking invite sent');
+  assert.equal(normalizeAccurxOutcome('Advice given'), '-');
+  assert.equal(normalizeAccurxOutcome('Not booked'), '-');
+  assert.equal(normalizeAccurxOutcome('Appointment not booked'), '-');
+  assert.equal(normalizeAccurxOutcome('No appointment booked'), '-');
+  assert.equal(normalizeAccurxOutcome('Unable to contact - not booked'), '-');
+  assert.equal(normalizeAccurxOutcome('Patient declined self-book link'), '-');
+  assert.equal(normalizeAccurxOutcome('Appointment booked - no further action'), 'Scheduled');
+});
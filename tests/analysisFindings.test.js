@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  FINDINGS_MARKER,
+  parseFindings,
+  splitAnalysisText,
+  createReportStreamFilter,
+  sortFindings,
+  trackFindings,
+  buildFindingsHistory,
+  formatFindingEvidence,
+  parseFindingEvidence,
+} from '../src/utils/analysisFindings.js';
+
+const METRICS = ['dnaRatePct', 'missedCallRatePct', 'gpApptsPer1000'];
+
+const finding = (overrides = {}) => ({
+  metric: 'dnaRatePct',
+  direction: 'high',
+  severity: 'warning',
+  title: 'DNA rate is above most practices',
+  evidence: [{ label: 'DNA rate', value: 6.1 }, { label: 'Percentile', value: 88 }],
+  action: 'Review reminder messaging for routine appointments.',
+  ...overrides,
+});
+
+test('parseFindings keeps valid findings and drops the rest', () => {
+  const parsed = parseFindings(JSON.stringify([
+    finding(),
+    finding({ metric: 'unknownMetric' }),
+    finding({ severity: 'severe' }),
+    finding({ direction: 'sideways' }),
+    finding({ title: '   ' }),
+    finding({
+      metric: 'missedCallRatePct',
+      severity: 'critical',
+      title: 'Missed\ncalls   rising',
+      evidence: [{ label: 'Missed call rate', value: 14 }, { label: '', value: 1 }, { label: 'Bad', value: Infinity }, 'text'],
+      action: undefined,
+    }),
+  ]), METRICS);
+
+  assert.equal(parsed.length, 2);
+  assert.deepEqual(parsed[0], { id: 'f1', ...finding() });
+  assert.equal(parsed[1].id, 'f2');
+  assert.equal(parsed[1].title, 'Missed calls rising');
+  assert.deepEqual(parsed[1].evidence, [{ label: 'Missed call rate', value: 14 }]);
+  assert.equal(parsed[1].action, '');
+});
+
+test('parseFindings accepts a fenced block or a findings wrapper and tolerates bad JSON', () => {
+  assert.equal(parseFindings('```json\n[' + JSON.stringify(finding()) + ']\n```', METRICS).length, 1);
+  assert.equal(parseFindings(JSON.stringify({ findings: [finding()] }), METRICS).length, 1);
+  assert.deepEqual(parseFindings('[{"metric": "dnaRatePct",', METRICS), []);
+  assert.deepEqual(parseFindings('"just a string"', METRICS), []);
+});
+
+test('splitAnalysisText separates the report from the findings block', () => {
+  const text = `### Room for improvement\n* High DNA rate\n\n${FINDINGS_MARKER}\n${JSON.stringify([finding()])}`;
+  const { report, findings } = splitAnalysisText(text, METRICS);
+  assert.equal(report, '### Room for improvement\n* High DNA rate');
+  assert.equal(findings.length, 1);
+
+  assert.deepEqual(splitAnalysisText('Report only\n', METRICS), { report: 'Report only', findings: [] });
+});
+
+test('report stream filter holds back a marker split across deltas', () => {
+  const text = `Report text${FINDINGS_MARKER}[{"metric":"x"}]`;
+  for (const size of [1, 2, 5, 7]) {
+    const out = [];
+    const filter = createReportStreamFilter(part => out.push(part));
+    for (let i = 0; i < text.length; i += size) filter.push(text.slice(i, i + size));
+    filter.flush();
+    assert.equal(out.join(''), 'Report text', `chunk size ${size}`);
+  }
+
+  // A partial marker that turns out to be report text is released on flush
+  const out = [];
+  const filter = createReportStreamFilter(part => out.push(part));
+  filter.push('Ends with ===FIND');
+  filter.flush();
+  assert.equal(out.join(''), 'Ends with ===FIND');
+});
+
+test('sortFindings orders by severity', () => {
+  const sorted = sortFindings([
+    finding({ severity: 'positive' }),
+    finding({ severity: 'critical' }),
+    finding({ severity: 'info' }),
+    finding({ severity: 'warning' }),
+  ]);
+  assert.deepEqual(sorted.map(f => f.severity), ['critical', 'warning', 'info', 'positive']);
+});
+
+test('trackFindings compares severity with the previous analysis by metric', () => {
+  const previous = [
+    finding({ metric: 'dnaRatePct', severity: 'critical' }),
+    finding({ metric: 'missedCallRatePct', severity: 'info' }),
+    finding({ metric: 'gpApptsPer1000', severity: 'warning' }),
+  ];
+  const current = [
+    finding({ metric: 'dnaRatePct', severity: 'warning' }),
+    finding({ metric: 'missedCallRatePct', severity: 'critical' }),
+  ];
+
+  const { findings, resolved } = trackFindings(current, previous);
+  assert.deepEqual(findings.map(f => f.status), ['improved', 'worsened']);
+  assert.equal(findings[0].previousSeverity, 'critical');
+  assert.deepEqual(resolved.map(f => f.metric), ['gpApptsPer1000']);
+
+  assert.deepEqual(trackFindings(current).findings.map(f => f.status), ['new', 'new']);
+});
+
+test('buildFindingsHistory appends the previous snapshot and caps its length', () => {
+  const generatedAt = new Date('2025-11-03T10:00:00Z');
+  const history = buildFindingsHistory({ month: 'October 2025', generatedAt, findings: [finding()], findingsHistory: [] });
+  assert.deepEqual(history, [{ month: 'October 2025', generatedAt, findings: [finding()] }]);
+
+  const long = Array.from({ length: 12 }, (_, i) => ({ month: `m${i}`, findings: [] }));
+  const capped = buildFindingsHistory({ month: 'latest', findings: [finding()], findingsHistory: long });
+  assert.equal(capped.length, 12);
+  assert.equal(capped[0].month, 'm1');
+  assert.equal(capped.at(-1).month, 'latest');
+
+  assert.deepEqual(buildFindingsHistory(null), []);
+  assert.deepEqual(buildFindingsHistory({ findings: [], findingsHistory: long }).length, 12);
+});
+
+test('evidence round-trips through its export format', () => {
+  const evidence = [{ label: 'DNA rate', value: 6.1 }, { label: 'Trend', value: 'up 3 months' }];
+  const text = formatFindingEvidence(evidence);
+  assert.equal(text, 'DNA rate: 6.1; Trend: up 3 months');
+  assert.deepEqual(parseFindingEvidence(text), evidence);
+  assert.deepEqual(parseFindingEvidence(''), []);
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { simulateBacklog, buildDemandCalendar } from '../src/utils/backlogSimulation.js';
+import { DEFAULT_URGENCY_RULES } from '../src/utils/urgencyRules.js';
+
+const closed = { RED: 0, AMBER: 0, YELLOW: 0, GREEN: 0 };
+const weekdaySlots = (slots) => ({
+  Monday: slots, Tuesday: slots, Wednesday: slots, Thursday: slots, Friday: slots, Saturday: closed, Sunday: closed,
+});
+
+// Same demand every day for the fortnight starting Monday 5 Jan 2026
+const fortnight = (counts) => Object.fromEntries(
+  Array.from({ length: 14 }, (_, i) => [`2026-01-${String(5 + i).padStart(2, '0')}`, counts])
+);
+
+test('demand within capacity is booked without a backlog', () => {
+  const result = simulateBacklog(
+    { demandByDateUrgency: fortnight({ RED: 2, AMBER: 1, YELLOW: 1, GREEN: 2 }) },
+    { slotCapacity: weekdaySlots({ RED: 3, AMBER: 2, YELLOW: 2, GREEN: 3 }), urgencyRules: DEFAULT_URGENCY_RULES },
+    { horizonWeeks: 0 }
+  );
+
+  assert.equal(result.startDate, '2026-01-05');
+  assert.equal(result.endDate, '2026-01-18');
+  assert.equal(result.forecastStartDate, null);
+  // Weekend requests are left out unless the practice accepts them
+  assert.equal(result.totals.requests, 60);
+  assert.equal(result.totals.breaches, 0);
+  assert.equal(result.totals.peakBacklog, 0);
+  assert.equal(result.totals.withinTargetPct, 100);
+  assert.equal(result.byUrgency.GREEN.waitDistribution['Same day'], 20);
+});
+
+test('demand above capacity carries forward and breaches deadlines', () => {
+  const config = {
+    slotCapacity: weekdaySlots({ RED: 2, AMBER: 1, YELLOW: 0, GREEN: 2 }),
+    urgencyRules: DEFAULT_URGENCY_RULES,
+    acceptWeekendRequests: true,
+  };
+  const result = simulateBacklog(
+    { demandByDateUrgency: fortnight({ RED: 3, AMBER: 1, YELLOW: 0, GREEN: 2 }) },
+    config,
+    { horizonWeeks: 1 }
+  );
+
+  assert.equal(result.forecastStartDate, '2026-01-19');
+  assert.equal(result.days.length, 21);
+  assert.equal(result.totals.requests, 126);
+  assert.deepEqual(
+    result.days.slice(0, 5).map(day => day.backlog),
+    [1, 2, 3, 4, 6] // Friday AMBER becomes same-day RED, one more than the RED slots left
+  );
+  assert.equal(result.totals.peakBacklogDate, result.endDate);
+  assert.equal(result.totals.endBacklog, result.totals.unbooked);
+
+  const red = result.byUrgency.RED;
+  assert.equal(red.requests, 63);
+  assert.equal(red.booked + red.unbooked, red.requests);
+  assert.ok(red.breaches > 0 && red.medianWaitDays > 0);
+  assert.equal(result.byUrgency.GREEN.breaches, 0);
+  assert.equal(
+    result.totals.breaches,
+    Object.values(result.byUrgency).reduce((sum, urgency) => sum + urgency.breaches, 0)
+  );
+
+  // An extra RED slot a day clears the backlog
+  const extraRed = simulateBacklog(
+    { demandByDateUrgency: fortnight({ RED: 3, AMBER: 1, YELLOW: 0, GREEN: 2 }) },
+    { ...config, slotCapacity: weekdaySlots({ RED: 5, AMBER: 1, YELLOW: 0, GREEN: 2 }) },
+    { horizonWeeks: 1 }
+  );
+  assert.ok(extraRed.totals.breaches < result.totals.breaches);
+});
+
+test('the forecast repeats average weekday demand in whole requests', () => {
+  const calendar = buildDemandCalendar(
+    { demandByDateUrgency: { '2026-01-05': { RED: 1 }, '2026-01-12': { RED: 2, GREEN: 1 } } },
+    { horizonWeeks: 2, demandChangePct: 10 }
+  );
+  assert.equal(calendar.length, 8 + 14);
+  assert.deepEqual(calendar[1], { date: new Date(2026, 0, 6), forecast: false, counts: { RED: 0, AMBER: 0, YELLOW: 0, GREEN: 0 } });
+
+  // Mondays average 1.5 RED, plus 10%: 1.65 a week, carried forward as 1 then 2
+  const forecastMondays = calendar.filter(day => day.forecast && day.date.getDay() === 1);
+  assert.deepEqual(forecastMondays.map(day => day.counts.RED), [1, 2]);
+  assert.deepEqual(forecastMondays.map(day => day.counts.GREEN), [0, 1]);
+
+  assert.equal(buildDemandCalendar({ demandByDayUrgency: {} }), null);
+  assert.equal(simulateBacklog({}, { slotCapacity: {} }), null);
+});
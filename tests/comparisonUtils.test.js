@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  localPracticeKey,
+  toComparisonPractice,
+  createLocalComparison,
+  calculateNetworkAverages,
+  MAX_COMPARISON_PRACTICES,
+} from '../src/utils/comparisonUtils.js';
+
+const dashboard = (odsCode, gpTriageCapacityPerDayPct, extraConfig = {}) => ({
+  config: { surgeryName: `Practice ${odsCode}`, odsCode, population: 8000, ...extraConfig },
+  processedData: [
+    { month: 'Nov-24', gpTriageCapacityPerDayPct },
+    { month: 'Dec-24', gpTriageCapacityPerDayPct: gpTriageCapacityPerDayPct + 0.2 },
+  ],
+});
+
+test('local practice keys come from the ODS code or surgery name', () => {
+  assert.equal(localPracticeKey({ odsCode: 'C82040', surgeryName: 'Hill Surgery' }), 'local-C82040');
+  assert.equal(localPracticeKey({ surgeryName: ' High St. Surgery ' }), 'local-High-St-Surgery');
+  assert.equal(localPracticeKey(), 'local-practice');
+});
+
+test('dashboards become comparison practices without share links', () => {
+  const fromExport = toComparisonPractice(dashboard('C82040', 1.1));
+  assert.equal(fromExport.shareId, 'local-C82040');
+  assert.equal(fromExport.source, 'excel');
+  assert.equal(fromExport.population, 8000);
+  assert.equal(fromExport.processedData.length, 2);
+
+  const fromShare = toComparisonPractice(dashboard('C82041', 0.9), { shareId: 'abc12345' });
+  assert.equal(fromShare.shareId, 'abc12345');
+  assert.equal(fromShare.source, 'share');
+
+  assert.throws(
+    () => toComparisonPractice({ config: { surgeryName: 'Empty Surgery' }, processedData: [] }),
+    /Empty Surgery has no monthly data/
+  );
+});
+
+test('local comparison sets are validated and feed the comparison metrics', () => {
+  const practices = [toComparisonPractice(dashboard('C82040', 1)), toComparisonPractice(dashboard('C82041', 2))];
+  const comparison = createLocalComparison(practices, 'Rushcliffe');
+
+  assert.equal(comparison.name, 'Rushcliffe');
+  assert.equal(comparison.practiceCount, 2);
+  assert.ok(comparison.id);
+  assert.ok(!Number.isNaN(Date.parse(comparison.createdAt)));
+  assert.equal(createLocalComparison(practices).name, '2 Practice Comparison');
+
+  const averages = calculateNetworkAverages(comparison.practices, ['Nov-24', 'Dec-24']);
+  assert.equal(averages.gpTriageCapacityPerDayPct.count, 2);
+  assert.ok(Math.abs(averages.gpTriageCapacityPerDayPct.mean - 1.6) < 1e-9);
+
+  assert.throws(() => createLocalComparison(practices.slice(0, 1)), /at least 2 practices/);
+  assert.throws(() => createLocalComparison([practices[0], practices[0]]), /Practice C82040 has been added more than once/);
+  const tooMany = Array.from({ length: MAX_COMPARISON_PRACTICES + 1 }, (_, i) => toComparisonPractice(dashboard(`P${i}`, 1)));
+  assert.throws(() => createLocalComparison(tooMany), /Maximum 15 practices/);
+});
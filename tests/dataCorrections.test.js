@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  applyCorrections,
+  validateCorrections,
+  summariseAppliedCorrections,
+  toMonthKey,
+} from '../src/utils/dataCorrections.js';
+import { buildWorkforceDataset } from '../src/utils/workforceParser.js';
+
+const REGISTRY = [
+  {
+    id: 'A1-icb',
+    type: 'remap',
+    odsCode: 'A1',
+    set: { icbCode: 'QT1', icbName: 'Nottingham' },
+    effectiveFrom: '2025-10',
+    effectiveTo: '2025-12',
+    description: 'Published under the wrong ICB for a quarter',
+  },
+  {
+    id: 'A2-pcn',
+    type: 'remap',
+    odsCode: 'A2',
+    set: { pcnCode: 'U2' },
+    datasets: ['telephony'],
+    description: 'Telephony only',
+  },
+  {
+    id: 'A3-merger',
+    type: 'merger',
+    odsCode: 'A3',
+    successor: 'A1',
+    effectiveFrom: '2026-01',
+    description: 'A3 merged into A1',
+  },
+];
+
+const practices = () => [
+  { odsCode: 'A1', icbCode: 'X', pcnCode: 'U1' },
+  { odsCode: 'A2', icbCode: 'X', pcnCode: 'U1' },
+  { odsCode: 'A3', icbCode: 'X', pcnCode: 'U1' },
+  { odsCode: 'A4', icbCode: 'X', pcnCode: 'U1' },
+];
+
+test('the shipped registry is valid', () => {
+  assert.deepEqual(validateCorrections(), []);
+});
+
+test('validateCorrections reports malformed entries', () => {
+  assert.deepEqual(validateCorrections([
+    ...REGISTRY,
+    { id: 'A1-icb', type: 'remap', odsCode: 'A1', set: { gpName: 'x' }, description: 'dup' },
+    { id: 'bad-window', type: 'remap', odsCode: 'A1', set: { icbCode: 'Y' }, effectiveFrom: '2025-12', effectiveTo: '2025-10', description: 'x' },
+    { id: 'no-successor', type: 'succession', odsCode: 'A5', effectiveFrom: 'Jan 2026', datasets: ['gpad'], description: 'x' },
+  ]), [
+    'A1-icb: duplicate id',
+    'A1-icb: cannot remap "gpName"',
+    'bad-window: effectiveFrom is after effectiveTo',
+    'no-successor: effectiveFrom must be a YYYY-MM month',
+    'no-successor: unknown dataset "gpad"',
+    'no-successor: succession has no successor',
+  ]);
+});
+
+test('applyCorrections honours effective months and datasets', () => {
+  assert.equal(toMonthKey('November 2025'), '2025-11');
+
+  const november = applyCorrections(practices(), { dataset: 'appointments', month: 'November 2025' }, REGISTRY);
+  assert.equal(november.practices[0].icbCode, 'QT1');
+  assert.equal(november.practices[0].icbName, 'Nottingham');
+  assert.equal(november.practices[1].pcnCode, 'U1');
+  assert.deepEqual(november.applied, ['A1-icb', 'A3-merger']);
+
+  const february = applyCorrections(practices(), { dataset: 'telephony', month: 'February 2026' }, REGISTRY);
+  assert.equal(february.practices[0].icbCode, 'X');
+  assert.equal(february.practices[1].pcnCode, 'U2');
+  assert.deepEqual(february.applied, ['A2-pcn', 'A3-merger']);
+});
+
+test('mergers link the record to its successor without changing figures', () => {
+  const input = practices();
+  const { practices: corrected } = applyCorrections(input, { dataset: 'workforce', month: 'September 2025' }, REGISTRY);
+  assert.deepEqual(corrected[2], {
+    odsCode: 'A3',
+    icbCode: 'X',
+    pcnCode: 'U1',
+    successor: { odsCode: 'A1', type: 'merger', effectiveFrom: '2026-01' },
+  });
+  // Inputs are not mutated and untouched records are passed through
+  assert.equal(input[2].successor, undefined);
+  assert.equal(corrected[3], input[3]);
+});
+
+test('workforce datasets use the shared registry', () => {
+  const data = buildWorkforceDataset([{ PRAC_CODE: 'C82040', PRAC_NAME: 'Orchard Surgery', ICB_CODE: 'QK1' }], 'December 2025');
+  assert.equal(data.practices[0].icbCode, 'QT1');
+  assert.deepEqual(data.corrections, ['C82040-icb']);
+});
+
+test('summariseAppliedCorrections lists months per dataset from the manifest', () => {
+  const manifest = {
+    sources: {
+      'b.xlsx': { dataset: 'telephony', month: 'December 2025', corrections: ['A1-icb'] },
+      'a.xlsx': { dataset: 'telephony', month: 'October 2025', corrections: ['A1-icb', 'retired'] },
+      'c.xlsx': { dataset: 'appointments', month: 'October 2025', corrections: [] },
+    },
+  };
+  const summary = summariseAppliedCorrections(manifest, REGISTRY);
+  assert.deepEqual(summary.map(({ correction, datasets }) => [correction.id, datasets]), [
+    ['A1-icb', { telephony: ['October 2025', 'December 2025'] }],
+    ['A2-pcn', {}],
+    ['A3-merger', {}],
+    ['retired', { telephony: ['October 2025'] }],
+  ]);
+  assert.equal(summariseAppliedCorrections(null, REGISTRY).every(({ datasets }) => Object.keys(datasets).length === 0), true);
+});
@@ -93,3 +93,22 @@ test('clinician and monthly trend follow-ups use next doctor appointment (ignore
   assert.ok(Math.abs(trends[0].rate14 - 50) < 1e-9);
   assert.ok(Math.abs(trends[0].rate28 - 50) < 1e-9);
 });
+
+test('staff roster overrides the "Dr" prefix and excludes clinicians', () => {
+  const csv = buildCsv([
+    { clinician: 'Dr Alpha', date: '01-Jan-26', nhs: '1111111111' },
+    { clinician: 'Jane Gamma', date: '03-Jan-26', nhs: '1111111111' },
+    { clinician: 'Dr Locum Agency', date: '04-Jan-26', nhs: '2222222222' },
+  ]);
+  const staffRoster = [
+    { name: 'Jane Gamma', roleGroup: 'GP_SALARIED', isGP: true, isArrs: false, include: true },
+    { name: 'Dr Locum Agency', roleGroup: 'GP_LOCUM', isGP: true, isArrs: false, include: false },
+  ];
+
+  const data = parseFollowUpCSV(csv, { staffRoster });
+
+  assert.deepEqual(data.doctors, ['Dr Alpha', 'Jane Gamma']);
+  assert.equal(data.totalAppointments, 2);
+  assert.deepEqual(data.allClinicians, ['Dr Alpha', 'Dr Locum Agency', 'Jane Gamma']);
+  assert.equal(calculateOverallFollowUpRates(data).followUp7, 1);
+});
@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  forecastSeries,
+  selectForecastModel,
+  backtestModel,
+  linearRegression,
+  hasSeasonalSwing,
+} from '../src/utils/forecasting.js';
+import { forecastValues } from '../src/utils/demandCapacityMetrics.js';
+import { calculateLinearForecast } from '../src/utils/calculations.js';
+
+// Three years of monthly demand with a winter peak and gentle growth
+const WINTER_PEAK = [130, 120, 105, 95, 90, 85, 80, 85, 100, 115, 125, 140];
+const seasonalSeries = (years) => Array.from({ length: years * 12 }, (_, i) => WINTER_PEAK[i % 12] + i * 0.5);
+
+test('under 12 months uses the linear trend with widening intervals', () => {
+  const result = forecastSeries([10, 12, 14, 16, 18, 20], 3);
+  assert.equal(result.model, 'linear');
+  assert.equal(result.backtestError, null);
+  assert.deepEqual(result.forecasts.map(f => Math.round(f.value)), [22, 24, 26]);
+  // Perfect fit has no residual spread
+  assert.equal(result.forecasts[0].lower, result.forecasts[0].value);
+
+  const noisy = forecastSeries([10, 13, 13, 17, 17, 21], 3);
+  const widths = noisy.forecasts.map(f => f.upper - f.lower);
+  assert.ok(widths[0] > 0);
+  assert.ok(widths[2] > widths[0]);
+  noisy.forecasts.forEach(f => assert.ok(f.lower <= f.value && f.value <= f.upper));
+});
+
+test('seasonal history selects a seasonal model that does not extend the winter peak', () => {
+  const values = seasonalSeries(3);
+  const { model, errors } = selectForecastModel(values);
+  assert.notEqual(model, 'linear');
+  assert.ok(errors[model] < errors.linear);
+
+  // Last point is December; the next summer months should fall back, not keep climbing
+  const result = forecastSeries(values, 8);
+  assert.equal(result.model, model);
+  assert.ok(result.forecasts[0].value > result.forecasts[6].value);
+  assert.ok(Math.abs(result.forecasts[6].value - (WINTER_PEAK[6] + 42 * 0.5)) < 10);
+});
+
+test('a single year picks a seasonal model only when the trend leaves a seasonal swing', () => {
+  const oneYear = seasonalSeries(1);
+  assert.ok(hasSeasonalSwing(oneYear));
+  assert.equal(selectForecastModel(oneYear).model, 'seasonal-naive');
+
+  const noisyTrend = [100, 104, 99, 107, 103, 110, 106, 112, 108, 115, 111, 118];
+  assert.equal(hasSeasonalSwing(noisyTrend), false);
+  assert.equal(selectForecastModel(noisyTrend).model, 'linear');
+  assert.equal(hasSeasonalSwing([5, 5, 5]), false);
+});
+
+test('seasonal models fitted to about a year still have interval width', () => {
+  ['seasonal-naive', 'holt-winters'].forEach(model => {
+    [seasonalSeries(1), seasonalSeries(1).concat(141)].forEach(values => {
+      const [first] = forecastSeries(values, 1, { model }).forecasts;
+      assert.ok(first.upper - first.lower > 0, `${model} with ${values.length} months`);
+    });
+  });
+});
+
+test('seasonal naive repeats last year and Holt-Winters tracks growth', () => {
+  const values = seasonalSeries(2);
+  const naive = forecastSeries(values, 12, { model: 'seasonal-naive' });
+  assert.deepEqual(naive.forecasts.map(f => f.value), values.slice(12));
+
+  const hw = forecastSeries(values, 12, { model: 'holt-winters' });
+  assert.equal(hw.modelLabel, 'Holt-Winters');
+  assert.ok(hw.forecasts[0].value > values[12]);
+});
+
+test('forecasts and bounds are clamped at zero unless disabled', () => {
+  const falling = [30, 20, 10, 5];
+  forecastSeries(falling, 3).forecasts.forEach(f => {
+    assert.ok(f.value >= 0 && f.lower >= 0);
+  });
+  assert.ok(forecastSeries(falling, 3, { nonNegative: false }).forecasts[2].value < 0);
+});
+
+test('wider interval levels give wider bands', () => {
+  const values = [10, 13, 11, 15, 14, 17, 15];
+  const narrow = forecastSeries(values, 1, { level: 0.8 }).forecasts[0];
+  const wide = forecastSeries(values, 1, { level: 0.95 }).forecasts[0];
+  assert.ok(wide.upper - wide.lower > narrow.upper - narrow.lower);
+});
+
+test('an unknown forced model is rejected with the supported names', () => {
+  assert.throws(
+    () => forecastSeries(seasonalSeries(2), 3, { model: 'arima' }),
+    { message: 'Unknown forecast model "arima". Use one of: linear, seasonal-naive, holt-winters.' }
+  );
+  assert.equal(forecastSeries(seasonalSeries(2), 3, { model: 'seasonal-naive' }).model, 'seasonal-naive');
+});
+
+test('backtestModel needs room beyond the model minimum', () => {
+  assert.equal(backtestModel(seasonalSeries(1), 'seasonal-naive'), null);
+  assert.ok(backtestModel(seasonalSeries(2), 'seasonal-naive') >= 0);
+});
+
+test('linearRegression accepts numbers or value points', () => {
+  const fromNumbers = linearRegression([2, 4, 6]);
+  const fromPoints = linearRegression([{ value: 2 }, { value: 4 }, { value: 6 }]);
+  assert.deepEqual(fromNumbers, fromPoints);
+  assert.equal(fromNumbers.slope, 2);
+  assert.equal(fromNumbers.r2, 1);
+});
+
+test('existing forecast helpers keep their shapes', () => {
+  const national = forecastValues([5, 6, 7, 8], 3);
+  assert.equal(national.trend, 'increasing');
+  assert.equal(national.forecasts.length, 3);
+  assert.ok('lower' in national.forecasts[0] && 'confidence' in national.forecasts[0]);
+  assert.equal(forecastValues([1, 2]).trend, 'insufficient_data');
+
+  assert.deepEqual(calculateLinearForecast([100, 110, 120], 2), [130, 140]);
+  assert.deepEqual(calculateLinearForecast([1, 2]), []);
+});
@@ -0,0 +1,298 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import Papa from 'papaparse';
+
+import {
+  parseLocalDate,
+  toMonthKey,
+  toPeriodKey,
+  getPeriodStart,
+  parseReportMonthKey,
+  getWasteAttribution,
+  getMonthRows,
+  processLocalDemand,
+} from '../src/utils/localDemandEngine.js';
+import { parseTelephonyReport } from '../src/utils/telephonyAdapters.js';
+
+const sampleDir = path.join(import.meta.dirname, '..', 'src', 'assets', 'sampledata');
+const fixtureDir = path.join(import.meta.dirname, 'fixtures', 'local-demand');
+
+const loadCsv = (fileName) => {
+  const csvText = fs.readFileSync(path.join(sampleDir, fileName), 'utf8');
+  return Papa.parse(csvText, { header: true, skipEmptyLines: true, dynamicTyping: false }).data;
+};
+
+const loadTelephonyReports = () => fs.readdirSync(fixtureDir)
+  .filter(name => name.startsWith('telephony-'))
+  .sort()
+  .map(name => parseTelephonyReport({ fileName: name, text: fs.readFileSync(path.join(fixtureDir, name), 'utf8') }));
+
+const runSample = (configOverrides = {}) => processLocalDemand({
+  apptData: loadCsv('AppointmentReport.csv'),
+  dnaData: loadCsv('DNA.csv'),
+  unusedData: loadCsv('Unused.csv'),
+  onlineData: loadCsv('OnlineRequests.csv'),
+  telephonyReports: loadTelephonyReports(),
+}, { population: 5600, useOnline: true, useTelephony: true, ...configOverrides });
+
+const approx = (actual, expected, tolerance = 1e-3) => {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+test('parseLocalDate handles appointment and online request date formats', () => {
+  assert.equal(toMonthKey(parseLocalDate('01 Nov 2024')), 'Nov-24');
+  assert.equal(toMonthKey(parseLocalDate('05 September 2025')), 'Sep-25');
+  assert.equal(toMonthKey(parseLocalDate('23/12/2024 08:24')), 'Dec-24');
+  assert.equal(parseLocalDate('not a date'), null);
+  assert.equal(parseLocalDate(''), null);
+});
+
+test('processLocalDemand reproduces sample practice monthly metrics', () => {
+  const { enrichedMonths } = runSample();
+
+  assert.deepEqual(enrichedMonths.map(m => m.month), [
+    'Nov-24', 'Dec-24', 'Jan-25', 'Feb-25', 'Mar-25', 'Apr-25',
+    'May-25', 'Jun-25', 'Jul-25', 'Aug-25', 'Sep-25', 'Oct-25',
+  ]);
+
+  const nov = enrichedMonths[0];
+  assert.equal(nov.workingDays, 21);
+  assert.equal(nov.totalAppts, 2582);
+  assert.equal(nov.inboundTotal, 3840);
+  assert.equal(nov.onlineTotal, 672);
+  approx(nov.gpAppts, 962.33, 0.01);
+  approx(nov.gpTriageCapacityPerDayPct, 0.8795);
+  approx(nov.extraSlotsPerDay, -6.1823);
+  assert.equal(nov.telephonySource, 'X-on Surgery Connect PDF');
+  assert.equal(nov.telephonyLowConfidence, '');
+
+  const oct = enrichedMonths[11];
+  assert.equal(oct.workingDays, 23);
+  assert.equal(oct.totalAppts, 3724);
+  approx(oct.gpTriageCapacityPerDayPct, 1.3051);
+  approx(oct.extraSlotsPerDay, -8.2334);
+});
+
+test('processLocalDemand builds staff, slot and combined tables', () => {
+  const { staffData, slotData, combinedData, onlineRows } = runSample();
+
+  const totalStaffAppts = staffData.reduce((sum, s) => sum + s.totalAppts, 0);
+  assert.equal(totalStaffAppts, 31416);
+  assert.ok(staffData.some(s => s.isGP));
+  assert.ok(staffData.some(s => !s.isGP));
+  assert.ok(slotData.length > 0);
+  assert.ok(combinedData.every(c => c.staff && c.slotType));
+  assert.equal(onlineRows.length, 8716);
+});
+
+test('processLocalDemand forecasts two months ahead from 3+ months', () => {
+  const { forecastData } = runSample();
+
+  assert.equal(forecastData.hasData, true);
+  assert.equal(forecastData.labels.length, 14);
+  assert.deepEqual(forecastData.labels.slice(-2), ['Nov-25', 'Dec-25']);
+  assert.equal(forecastData.appts.actual.at(-1), null);
+  assert.ok(forecastData.appts.projected.at(-1) > 0);
+
+  // 12 months of history, so a model is chosen by backtest and drawn with an interval band
+  assert.ok(forecastData.appts.model);
+  assert.equal(forecastData.appts.lower.at(-3), forecastData.appts.actual.at(-3));
+  assert.ok(forecastData.appts.lower.at(-1) <= forecastData.appts.projected.at(-1));
+  assert.ok(forecastData.appts.upper.at(-1) >= forecastData.appts.projected.at(-1));
+});
+
+test('processLocalDemand skips disabled online and telephony inputs', () => {
+  const { enrichedMonths, onlineRows } = runSample({ useOnline: false, useTelephony: false });
+
+  assert.equal(onlineRows.length, 0);
+  assert.ok(enrichedMonths.every(m => m.onlineTotal === 0 && m.inboundTotal === 0));
+});
+
+test('processLocalDemand rejects appointments CSV without Date/Day columns', () => {
+  assert.throws(
+    () => processLocalDemand({ apptData: [{ Foo: '1' }] }, { population: 1000 }),
+    /missing required columns: Date, Day/
+  );
+});
+
+test('parseReportMonthKey accepts dated and month-split report cells', () => {
+  assert.equal(parseReportMonthKey('03 Dec 2024'), 'Dec-24');
+  assert.equal(parseReportMonthKey('03/12/2024'), 'Dec-24');
+  assert.equal(parseReportMonthKey('Dec 2024'), 'Dec-24');
+  assert.equal(parseReportMonthKey('December 2024'), 'Dec-24');
+  assert.equal(parseReportMonthKey('Dec-24'), 'Dec-24');
+  assert.equal(parseReportMonthKey('2024-12'), 'Dec-24');
+  assert.equal(parseReportMonthKey('2024-12-03'), 'Dec-24');
+  assert.equal(parseReportMonthKey('Total'), null);
+  assert.equal(parseReportMonthKey(''), null);
+});
+
+test('processLocalDemand attributes dated DNA and unused rows to their own month', () => {
+  const apptData = [
+    { Date: '02 Dec 2024', Day: 'Mon', 'Dr Alpha': '10', 'Nurse Beth': '10' },
+    { Date: '06 Jan 2025', Day: 'Mon', 'Dr Alpha': '30', 'Nurse Beth': '10' },
+  ];
+  const dnaData = [
+    { Date: '02 Dec 2024', Staff: 'Dr Alpha', 'Slot Type': 'GP', 'Appointment Count': '4' },
+    { Date: '06 Jan 2025', Staff: 'Nurse Beth', 'Slot Type': 'Nurse', 'Appointment Count': '2' },
+    { Date: '06 Mar 2025', Staff: 'Dr Alpha', 'Slot Type': 'GP', 'Appointment Count': '9' },
+  ];
+  const unusedData = [
+    { Month: 'Jan 2025', Staff: 'Dr Alpha', 'Slot Type': 'GP', 'Unused Slots': '5', 'Total Slots': '35' },
+  ];
+
+  const { enrichedMonths, staffData, wasteOutsideRange } = processLocalDemand({ apptData, dnaData, unusedData }, { population: 1000 });
+  const [dec, jan] = enrichedMonths;
+
+  assert.equal(dec.estDNA, 4);
+  assert.equal(dec.estGPDNA, 4);
+  assert.equal(dec.estUnused, 0);
+  assert.equal(jan.estDNA, 2);
+  assert.equal(jan.estGPDNA, 0);
+  assert.equal(jan.estUnused, 5);
+  assert.equal(jan.estGPUnused, 5);
+  assert.equal(getWasteAttribution(dec), 'measured');
+  assert.equal(dec.dnaAttribution, 'measured');
+  // The unused report has no December rows
+  assert.equal(dec.unusedAttribution, 'none');
+  assert.equal(jan.unusedAttribution, 'measured');
+  // The March DNA row has no appointments to sit against
+  assert.deepEqual(wasteOutsideRange, { dna: { rows: 1, count: 9 }, unused: { rows: 0, count: 0 } });
+
+  const alphaDec = staffData.find(s => s.staff === 'Dr Alpha' && s.month === 'Dec-24');
+  const alphaJan = staffData.find(s => s.staff === 'Dr Alpha' && s.month === 'Jan-25');
+  assert.equal(alphaDec.dnaCount, 4);
+  assert.equal(alphaJan.dnaCount, 0);
+  assert.equal(alphaJan.unusedSlots, 5);
+  assert.ok(!staffData.some(s => s.month === 'Mar-25'));
+});
+
+test('processLocalDemand works out DNA and unused attribution per month', () => {
+  const apptData = [
+    { Date: '02 Dec 2024', Day: 'Mon', 'Dr Alpha': '10' },
+    { Date: '06 Jan 2025', Day: 'Mon', 'Dr Alpha': '30' },
+  ];
+  // December's DNA row is dated; the undated row is shared across both months
+  const dnaData = [
+    { Date: '02 Dec 2024', Staff: 'Dr Alpha', 'Appointment Count': '4' },
+    { Date: '', Staff: 'Dr Alpha', 'Appointment Count': '8' },
+  ];
+  // Unused slots are only reported for January
+  const unusedData = [
+    { Month: 'Jan 2025', Staff: 'Dr Alpha', 'Unused Slots': '5', 'Total Slots': '35' },
+  ];
+
+  const { enrichedMonths } = processLocalDemand({ apptData, dnaData, unusedData }, { population: 1000 });
+  const [dec, jan] = enrichedMonths;
+  assert.equal(dec.dnaAttribution, 'estimated');
+  assert.equal(jan.dnaAttribution, 'estimated');
+  assert.equal(dec.unusedAttribution, 'none');
+  assert.equal(jan.unusedAttribution, 'measured');
+  assert.equal(getWasteAttribution(dec), 'estimated');
+  assert.equal(getWasteAttribution(jan), 'estimated');
+
+  const datedOnly = processLocalDemand({ apptData, dnaData: dnaData.slice(0, 1) }, { population: 1000 });
+  assert.deepEqual(datedOnly.enrichedMonths.map(m => m.dnaAttribution), ['measured', 'none']);
+  assert.deepEqual(datedOnly.enrichedMonths.map(getWasteAttribution), ['measured', 'none']);
+});
+
+test('getMonthRows keeps dated DNA exact while estimating an undated unused report', () => {
+  const apptData = [
+    { Date: '02 Dec 2024', Day: 'Mon', 'Dr Alpha': '10' },
+    { Date: '06 Jan 2025', Day: 'Mon', 'Dr Alpha': '30' },
+  ];
+  const dnaData = [
+    { Date: '02 Dec 2024', Staff: 'Dr Alpha', 'Appointment Count': '4' },
+    { Date: '06 Jan 2025', Staff: 'Dr Alpha', 'Appointment Count': '2' },
+  ];
+  const unusedData = [{ Staff: 'Dr Alpha', 'Unused Slots': '8', 'Total Slots': '48' }];
+  const { enrichedMonths, staffData } = processLocalDemand({ apptData, dnaData, unusedData }, { population: 1000 });
+  assert.equal(enrichedMonths[0].dnaAttribution, 'measured');
+  assert.equal(enrichedMonths[0].unusedAttribution, 'estimated');
+
+  const sum = (rows, key) => rows.reduce((total, row) => total + (row[key] || 0), 0);
+  const dec = getMonthRows(staffData, 'Dec-24', enrichedMonths);
+  assert.equal(sum(dec, 'dnaCount'), 4);
+  // December has a quarter of the appointments: a quarter of the 8 undated unused slots
+  assert.equal(sum(dec, 'unusedSlots'), 2);
+  assert.equal(sum(dec, 'totalAppts'), 10);
+  assert.equal(sum(getMonthRows(staffData, 'Jan-25', enrichedMonths), 'dnaCount'), 2);
+
+  // Both reports dated: the month's own rows as they are
+  const dated = processLocalDemand({ apptData, dnaData }, { population: 1000 });
+  assert.deepEqual(getMonthRows(dated.staffData, 'Dec-24', dated.enrichedMonths), dated.staffData.filter(row => row.month === 'Dec-24'));
+  assert.equal(getMonthRows(staffData, 'All', enrichedMonths), staffData);
+});
+
+test('processLocalDemand flags undated DNA and unused reports as estimated', () => {
+  const { enrichedMonths } = runSample();
+
+  assert.ok(enrichedMonths.every(m => m.dnaAttribution === 'estimated' && m.unusedAttribution === 'estimated'));
+  assert.equal(getWasteAttribution(enrichedMonths[0]), 'estimated');
+  assert.equal(getWasteAttribution({ dnaAttribution: 'none', unusedAttribution: 'none' }), 'none');
+  assert.equal(getWasteAttribution({}), 'estimated');
+});
+
+test('toPeriodKey builds day, ISO week and month keys', () => {
+  const date = new Date(2024, 11, 30);
+  assert.equal(toPeriodKey(date, 'day'), '2024-12-30');
+  assert.equal(toPeriodKey(date, 'week'), '2025-W01');
+  assert.equal(toPeriodKey(new Date(2025, 5, 8), 'week'), '2025-W23');
+  assert.equal(toPeriodKey(new Date(2021, 0, 3), 'week'), '2020-W53');
+  assert.equal(toPeriodKey(date, 'month'), 'Dec-24');
+  assert.equal(getPeriodStart(new Date(2025, 5, 8), 'week').getDate(), 2);
+});
+
+test('processLocalDemand buckets by ISO week and day with per-bucket working days', () => {
+  const apptData = [
+    { Date: '30 Dec 2024', Day: 'Mon', 'Dr Alpha': '10' },
+    { Date: '31 Dec 2024', Day: 'Tue', 'Dr Alpha': '8' },
+    { Date: '01 Jan 2025', Day: 'Wed', 'Dr Alpha': '0' },
+    { Date: '04 Jan 2025', Day: 'Sat', 'Dr Alpha': '2' },
+    { Date: '06 Jan 2025', Day: 'Mon', 'Dr Alpha': '12' },
+  ];
+  const dnaData = [
+    { Date: '06/01/2025', Staff: 'Dr Alpha', 'Appointment Count': '3' },
+    { Date: 'Dec 2024', Staff: 'Dr Alpha', 'Appointment Count': '4' },
+  ];
+  const onlineData = [
+    { 'Submission started': '31/12/2024 09:00', Type: 'Clinical', Outcome: 'Advice given' },
+    { 'Submission started': '06/01/2025 10:00', Type: 'Admin', Outcome: 'Completed' },
+  ];
+  const config = { population: 1000, useOnline: true };
+
+  const weekly = processLocalDemand({ apptData, dnaData, onlineData }, config, { granularity: 'week' });
+  assert.deepEqual(weekly.enrichedMonths.map(w => w.month), ['2025-W01', '2025-W02']);
+  const [w1, w2] = weekly.enrichedMonths;
+  assert.equal(w1.totalAppts, 20);
+  // 30 Dec - 4 Jan spans the New Year bank holiday: 30, 31 Dec, 2, 3 Jan
+  assert.equal(w1.workingDays, 4);
+  assert.equal(w1.onlineTotal, 1);
+  assert.equal(w1.onlineRequestsPer1000, 1);
+  approx(w1.gpTriageCapacityPerDayPct, ((w1.gpAppts + 1) / 4) / 1000 * 100);
+  assert.equal(w2.workingDays, 1);
+  assert.equal(w2.dnaAttribution, 'estimated');
+  assert.equal(w2.estDNA, 3 + Math.round(4 * (12 / 32)));
+  assert.equal(weekly.forecastData.hasData, false);
+  assert.ok(weekly.onlineRows.every(r => /^\d{4}-W\d{2}$/.test(r.month)));
+
+  const daily = processLocalDemand({ apptData, dnaData, onlineData }, config, { granularity: 'day' });
+  assert.equal(daily.enrichedMonths.length, 5);
+  const saturday = daily.enrichedMonths.find(d => d.month === '2025-01-04');
+  assert.equal(saturday.workingDays, 0);
+  assert.equal(saturday.gpApptsPerDay, 0);
+  assert.equal(daily.enrichedMonths.find(d => d.month === '2025-01-01').workingDays, 0);
+  assert.equal(daily.enrichedMonths.find(d => d.month === '2025-01-06').estDNA, 3 + Math.round(4 * (12 / 32)));
+});
+
+test('processLocalDemand counts bank holidays and closure days as non-working', () => {
+  const { enrichedMonths } = runSample({ closureDays: ['2024-11-13'] });
+  const byMonth = Object.fromEntries(enrichedMonths.map(m => [m.month, m]));
+
+  assert.equal(byMonth['Nov-24'].workingDays, 20);
+  assert.equal(byMonth['Dec-24'].workingDays, 20);
+  assert.equal(byMonth['May-25'].workingDays, 20);
+  assert.equal(byMonth['Aug-25'].workingDays, 20);
+});
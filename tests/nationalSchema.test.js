@@ -0,0 +1,179 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+
+import {
+  NATIONAL_SCHEMAS,
+  normaliseHeader,
+  mapNationalTable,
+  validateNationalWorkbook,
+  assertValidWorkbook,
+} from '../src/utils/nationalSchema.js';
+import { parseNationalAppointmentsData } from '../src/utils/parseNationalAppointments.js';
+
+const ID_HEADERS = [
+  'Month [1]', 'GP Practice \r\n(ODS_CODE)', 'GP Name', 'PCN Code', 'PCN Name [2,3]', 'Sub ICB Code [2]',
+  'Sub ICB Name', 'ICB Code  [2]', 'ICB Name', 'Region Code  [2]', 'Region Name',
+];
+
+// Telephony Table 3 as published: grouped headers over a Total / % row, national "Total" row first
+const telephonyTable3 = ({ titleRows = 9, headers = {}, practices, national } = {}) => {
+  const group = [...ID_HEADERS, 'Count of Inbound calls', null, 'Answered', null, 'Ended during the IVR Stage [4]', null,
+    'Call back requested', null, null, 'Missed [5]', null, null, 'Call back made', null];
+  Object.entries(headers).forEach(([from, to]) => { group[group.indexOf(from)] = to; });
+  const sub = [...ID_HEADERS.map(() => null), 'Total', null, 'Total', '%', 'Total', '%', 'Total', '%', null, 'Total', '%', null, 'Total', '% of requested'];
+  const row = (month, ods, name, inbound, answered, missed) => [
+    month, ods, name, 'U1', 'PCN', 'S1', 'Sub ICB', 'I1', 'ICB', 'R1', 'Region',
+    inbound, null, answered, answered / inbound, 0, 0, 0, 0, null, missed, missed / inbound, null, 0, 0,
+  ];
+  return [
+    ...Array.from({ length: titleRows }, (_, i) => (i === 1 ? ['Table 3: Summary, England, February 2026'] : [])),
+    group,
+    sub,
+    [],
+    row('Total', null, null, ...national),
+    [],
+    ...practices.map(([ods, ...values]) => row(46054, ods, `Practice ${ods}`, ...values)),
+  ];
+};
+
+const PRACTICES = [['A1', 100, 80, 10], ['A2', 200, 150, 30]];
+
+test('normaliseHeader drops footnotes, line breaks and punctuation', () => {
+  assert.equal(normaliseHeader('GP Practice \r\n(ODS_CODE)'), 'gp practice ods code');
+  assert.equal(normaliseHeader('Ended during the IVR Stage [4]'), 'ended during the ivr stage');
+  assert.equal(normaliseHeader('Rate per 1,000 Registered Patients [9, 10]'), 'rate per 1000 registered patients');
+  assert.equal(normaliseHeader('% of requested'), '% of requested');
+  assert.equal(normaliseHeader(null), '');
+});
+
+test('maps grouped telephony headers by name wherever the header row sits', () => {
+  for (const titleRows of [9, 4]) {
+    const table = mapNationalTable(
+      telephonyTable3({ titleRows, practices: PRACTICES, national: [300, 230, 40] }),
+      NATIONAL_SCHEMAS.telephony.tables['Table 3']
+    );
+    assert.equal(table.headerRowIndex, titleRows);
+    assert.deepEqual(
+      [table.columns.inboundCalls, table.columns.answered, table.columns.answeredPct, table.columns.missed, table.columns.callbackMadePct],
+      [11, 13, 14, 20, 24]
+    );
+    assert.equal(table.dataRows.length, 2);
+    assert.equal(table.num(table.totalRow, 'inboundCalls'), 300);
+    assert.deepEqual(table.report.errors, []);
+  }
+});
+
+test('reports renamed, extra and missing columns', () => {
+  const renamed = mapNationalTable(
+    telephonyTable3({ headers: { 'Call back requested': 'Callback requested' }, practices: PRACTICES, national: [300, 230, 40] }),
+    NATIONAL_SCHEMAS.telephony.tables['Table 3']
+  );
+  assert.deepEqual(renamed.report.renamed, [
+    { key: 'callbackRequested', expected: 'call back requested', found: 'Callback requested' },
+    { key: 'callbackRequestedPct', expected: 'call back requested', found: 'Callback requested' },
+  ]);
+  assert.equal(renamed.columns.callbackRequested, 17);
+
+  const changed = mapNationalTable(
+    telephonyTable3({ headers: { 'Missed [5]': 'Abandoned' }, practices: PRACTICES, national: [300, 230, 40] }),
+    NATIONAL_SCHEMAS.telephony.tables['Table 3']
+  );
+  assert.deepEqual(changed.report.missing, ['missed', 'missedPct']);
+  assert.deepEqual(changed.report.extra, ['Abandoned']);
+  assert.equal(changed.report.errors.length, 2);
+});
+
+test('reconciles practice rows against the national total and fails loudly on a mismatch', () => {
+  const matching = validateNationalWorkbook('telephony', {
+    'Table 3': telephonyTable3({ practices: PRACTICES, national: [300, 230, 40] }),
+  });
+  assert.deepEqual(
+    matching.tables['Table 3'].report.reconciliation.map(r => [r.key, r.ok]),
+    [['inboundCalls', true], ['answered', true], ['missed', true]]
+  );
+  // Table 4 is required, Table 5 optional
+  assert.deepEqual(matching.errors, ['Table 4: sheet not found']);
+  assert.ok(matching.warnings.includes('Table 5: sheet not present'));
+
+  const mismatched = validateNationalWorkbook('telephony', {
+    'Table 3': telephonyTable3({ practices: PRACTICES, national: [300, 230, 90] }),
+  });
+  assert.ok(mismatched.errors.includes('Table 3: "missed" practice rows sum to 40, national total is 90'));
+  assert.throws(() => assertValidWorkbook(mismatched, 'feb.xlsx'), /Cloud Based Telephony workbook feb\.xlsx does not match[\s\S]*"missed"/);
+});
+
+test('reconciles OC submissions against the Table 1 national figure', () => {
+  const table2 = [
+    ['Table 2: Submissions received by practices, February 2026'],
+    [],
+    ['Month [1]', 'GP Code', 'GP Name', 'PCN Code [2, 3]', 'PCN Name [3]', 'Sub ICB Code', 'Sub ICB Name', 'ICB Code', 'ICB Name',
+      'Region Code', 'Region Name', 'Supplier [4, 5, 6]', 'Submissions [7]', 'Clinical Submissions [7]', 'Administrative Submissions [7]',
+      'Other/Unknown Type Submissions [7]', 'Registered Patient Count [8]', 'Rate per 1,000 Registered Patients [9, 10]'],
+    [46054, 'A1', 'One', 'U1', 'PCN', 'S1', 'Sub', 'I1', 'ICB', 'R1', 'Region', 'Accurx', 50, 40, 10, 0, 1000, 50],
+    [46054, 'A2', 'Two', 'U1', 'PCN', 'S1', 'Sub', 'I1', 'ICB', 'R1', 'Region', 'Accurx', 70, 60, 10, 0, 2000, 35],
+  ];
+  const table1 = [['Measure', null, 'Feb-26 [10,11]'], ['Total submissions received by practices [3], of which:', null, 120]];
+
+  const validation = validateNationalWorkbook('onlineConsultations', { 'Table 1': table1, 'Table 2': table2 });
+  assert.equal(validation.ok, true);
+  assert.equal(validation.tables['Table 2'].columns.participation, undefined);
+  assert.deepEqual(validation.tables['Table 2'].report.reconciliation, [
+    { key: 'submissions', rowsTotal: 120, nationalTotal: 120, difference: 0, ok: true },
+  ]);
+
+  table1[1][2] = 150;
+  assert.equal(validateNationalWorkbook('onlineConsultations', { 'Table 1': table1, 'Table 2': table2 }).ok, false);
+});
+
+test('parses a GPAD workbook by header even when columns are reordered', () => {
+  const header = (metrics) => ['Month', 'GP_CODE', 'GP_NAME', 'SUPPLIER', 'PCN_CODE', 'PCN_NAME', 'SUB_ICB_LOCATION_CODE', 'SUB_ICB_LOCATION_NAME', ...metrics];
+  const id = (ods) => ['2026-02', ods, `Practice ${ods}`, 'EMIS', 'U1', 'PCN', 'S1', 'Sub ICB'];
+  const sheet = (rows) => XLSX.utils.aoa_to_sheet([['Table: Appointments in General Practice, February 2026'], [], ...rows]);
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet([
+    header(['APPOINTMENTS', 'List_Size', 'Appointments_per_1000_patients']),
+    ['Total', ...id('').slice(1, 8).map(() => null), 300, 3000, 100],
+    [...id('A1'), 100, 1000, 100],
+    [...id('A2'), 200, 2000, 100],
+  ]), 'Table 1');
+  // DNA before Attended: a fixed-index parser would swap them
+  XLSX.utils.book_append_sheet(workbook, sheet([
+    header(['DNA', 'Attended', 'Unknown']),
+    [...id('A1'), 5, 90, 5],
+    [...id('A2'), 10, 180, 10],
+  ]), 'Table 6');
+  XLSX.utils.book_append_sheet(workbook, sheet([
+    header(['General Consultation Routine', 'Unplanned Clinical Activity']),
+    [...id('A1'), 60, 40],
+  ]), 'Table 3a');
+
+  const buffer = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+  const data = parseNationalAppointmentsData(buffer);
+
+  assert.equal(data.dataMonth, 'February 2026');
+  assert.deepEqual(data.national, {
+    totalAppointments: 300,
+    listSize: 3000,
+    appointmentsPer1000: 100,
+    categoryBreakdown: null,
+    categoryHeaders: ['General Consultation Routine', 'Unplanned Clinical Activity'],
+    bookingWait: null,
+    appointmentModes: null,
+    staffBreakdown: null,
+    appointmentStatus: null,
+  });
+  assert.equal(data.practices.length, 2);
+  assert.equal(data.practices[0].appointmentStatus.attended, 90);
+  assert.equal(data.practices[0].appointmentStatus.dna, 5);
+  assert.deepEqual(data.practices[0].categoryBreakdown, { 'General Consultation Routine': 60, 'Unplanned Clinical Activity': 40 });
+  assert.equal(data.practices[1].categoryBreakdown, null);
+
+  // A renamed-beyond-recognition column stops the parse instead of misreading it
+  workbook.Sheets['Table 6'] = sheet([header(['Did Not Attend', 'Attended', 'Unknown']), [...id('A1'), 5, 90, 5]]);
+  assert.throws(
+    () => parseNationalAppointmentsData(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' })),
+    /Table 6: Missing column for "dna"/
+  );
+});
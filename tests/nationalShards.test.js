@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+import {
+  buildPracticeShards,
+  buildNationalSummary,
+  percentileArray,
+  percentileRank,
+} from '../src/utils/nationalShards.js';
+import {
+  clearDataCache,
+  getPracticeData,
+  searchPractices,
+  loadNationalSummary,
+} from '../src/data/dataLoader.js';
+
+// Golden preprocess output (see tests/preprocess.test.js), served as /data/*
+const EXPECTED = 'tests/fixtures/national/expected';
+
+const month = (practices, national) => ({ practices, ...(national ? { national } : {}) });
+
+test('percentile arrays interpolate between sorted values', () => {
+  const percentiles = percentileArray([30, 10, 20, null, NaN, 40, 50]);
+  assert.equal(percentiles.length, 101);
+  assert.equal(percentiles[0], 10);
+  assert.equal(percentiles[50], 30);
+  assert.equal(percentiles[100], 50);
+  assert.equal(percentiles[10], 14);
+  assert.equal(percentileArray([null]), null);
+
+  assert.equal(percentileRank(30, percentiles), 50);
+  assert.equal(percentileRank(14, percentiles), 10);
+  assert.equal(percentileRank(5, percentiles), 0);
+  assert.equal(percentileRank(60, percentiles), 100);
+  assert.equal(percentileRank(null, percentiles), null);
+});
+
+test('practice shards hold every month of every dataset per practice', () => {
+  const { practices, index } = buildPracticeShards({
+    appointments: [
+      ['January 2026', month([{ odsCode: 'A81001', gpName: 'Old Name', subICBCode: '52R', subICBName: 'Notts 52R', totalAppointments: 10 }])],
+      ['February 2026', month([
+        { odsCode: 'A81001', gpName: 'New Name', subICBCode: '52R', subICBName: 'Notts 52R', totalAppointments: 12, listSize: 9000, supplier: 'TPP' },
+        { odsCode: 'Note: figures are provisional', totalAppointments: 0 },
+      ])],
+    ],
+    telephony: [
+      ['February 2026', month([
+        { odsCode: 'A81001', gpName: 'NEW NAME', icbCode: 'QT1', icbName: 'Nottingham ICB', inboundCalls: 100 },
+        { odsCode: 'B82002', gpName: 'Phones Only', icbCode: 'QT1', icbName: 'Nottingham ICB', inboundCalls: 50 },
+      ])],
+    ],
+  });
+
+  assert.deepEqual(Object.keys(practices), ['A81001', 'B82002']);
+  assert.deepEqual(Object.keys(practices.A81001.appointments), ['January 2026', 'February 2026']);
+  assert.equal(practices.A81001.telephony['February 2026'].inboundCalls, 100);
+  assert.equal(practices.B82002.appointments, undefined);
+
+  // Latest appointments record first, other datasets fill the gaps
+  assert.deepEqual(index.practices[0], {
+    odsCode: 'A81001',
+    gpName: 'New Name',
+    pcnCode: '',
+    pcnName: '',
+    subICBCode: '52R',
+    icbCode: 'QT1',
+    listSize: 9000,
+    clinicalSystem: 'TPP',
+    ocSuppliers: [],
+    datasets: ['appointments', 'telephony'],
+  });
+  assert.deepEqual(index.icbNames, { QT1: 'Nottingham ICB' });
+  assert.deepEqual(index.subICBNames, { '52R': 'Notts 52R' });
+});
+
+test('national summary keeps totals and percentiles per month', () => {
+  const summary = buildNationalSummary({
+    onlineConsultations: [
+      ['February 2026', month(
+        [{ odsCode: 'A81001', submissions: 10, ratePer1000: 5 }, { odsCode: 'A81002', submissions: 30, ratePer1000: 15 }],
+        { totalSubmissions: 40 }
+      )],
+    ],
+  });
+
+  assert.deepEqual(Object.keys(summary.datasets), ['onlineConsultations']);
+  const february = summary.datasets.onlineConsultations['February 2026'];
+  assert.equal(february.practiceCount, 2);
+  assert.deepEqual(february.national, { totalSubmissions: 40 });
+  assert.equal(february.metrics.submissions[50], 20);
+  assert.equal(february.metrics.ratePer1000[100], 15);
+  // No practice has a clinical percentage, so there is no array for it
+  assert.equal('clinicalPct' in february.metrics, false);
+});
+
+test('practice lookups fetch only the manifest and the practice file', async (t) => {
+  const requested = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url) => {
+    requested.push(url);
+    const file = join(EXPECTED, url.replace(/^\/data\//, '').replace(/\?.*$/, ''));
+    if (!existsSync(file)) return { ok: false, status: 404 };
+    return { ok: true, status: 200, text: async () => readFileSync(file, 'utf-8') };
+  };
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+    clearDataCache();
+  });
+  clearDataCache();
+
+  const history = await getPracticeData('C82040', 'onlineConsultations');
+  assert.deepEqual(history.map(entry => entry.month), ['April 2024', 'February 2026']);
+  assert.equal(history[1].odsCode, 'C82040');
+  assert.deepEqual(requested.map(url => url.replace(/\?.*$/, '')), ['/data/manifest.json', '/data/practices/C82040.json']);
+  assert.match(requested[1], /\?v=[0-9a-f]{12}$/);
+
+  // Same file serves the other datasets; unknown practices don't fall back to whole months
+  assert.equal((await getPracticeData('C82040', 'appointments')).length, 1);
+  assert.deepEqual(await getPracticeData('Z99999', 'telephony'), []);
+  assert.equal(requested.filter(url => url.includes('C82040')).length, 1);
+  assert.equal(requested.some(url => /\/(appointments|telephony|online-consultations)\//.test(url)), false);
+
+  assert.deepEqual(await searchPractices('orchard', 'appointments'), [{
+    odsCode: 'C82040',
+    practiceName: 'ORCHARD SURGERY',
+    icb: 'NHS NOTTINGHAM AND NOTTINGHAMSHIRE INTEGRATED CARE BOARD',
+    pcn: 'PCN ONE',
+  }]);
+  assert.deepEqual((await searchPractices('a810', 'onlineConsultations')).map(p => p.odsCode), ['A81001', 'A81002', 'A81004']);
+  assert.deepEqual(await searchPractices('a810', 'telephony'), []);
+
+  const summary = await loadNationalSummary();
+  assert.equal(summary.datasets.telephony['February 2026'].practiceCount, 4);
+  await assert.rejects(searchPractices('x', 'unknown'), /Unknown data type/);
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+import {
+  practicesToEvict,
+  saveRecentPractice,
+  getRecentPractice,
+  listRecentPractices,
+  saveLocalComparison,
+  getLocalComparison,
+  listLocalComparisons,
+  MAX_RECENT_PRACTICES,
+} from '../src/utils/offlineStore.js';
+import { clearDataCache, getDataAsOf, getPracticeData, loadPracticeShard, practiceShardMonths } from '../src/data/dataLoader.js';
+
+const EXPECTED = 'tests/fixtures/national/expected';
+
+test('only the most recently viewed practices are kept', () => {
+  const records = Array.from({ length: MAX_RECENT_PRACTICES + 2 }, (_, i) => ({ odsCode: `P${i}`, viewedAt: i }));
+  assert.deepEqual(practicesToEvict(records), ['P1', 'P0']);
+  assert.deepEqual(practicesToEvict(records.slice(0, 3), 2), ['P0']);
+  assert.deepEqual(practicesToEvict([]), []);
+});
+
+test('the store is a no-op without IndexedDB', async () => {
+  await saveRecentPractice({ odsCode: 'A81001', appointments: {} }, 'abc');
+  assert.equal(await getRecentPractice('A81001'), null);
+  assert.deepEqual(await listRecentPractices(), []);
+  assert.equal(await saveLocalComparison({ id: 'abc', name: 'PCN', practices: [] }), false);
+  assert.equal(await getLocalComparison('abc'), null);
+  assert.deepEqual(await listLocalComparisons(), []);
+});
+
+test('data as of comes from the manifest, and offline failures are retried', async (t) => {
+  let offline = true;
+  const requested = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url) => {
+    requested.push(url);
+    if (offline) throw new TypeError('Failed to fetch');
+    const file = join(EXPECTED, url.replace(/^\/data\//, '').replace(/\?.*$/, ''));
+    if (!existsSync(file)) return { ok: false, status: 404 };
+    return { ok: true, status: 200, text: async () => readFileSync(file, 'utf-8') };
+  };
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+    clearDataCache();
+  });
+  clearDataCache();
+
+  assert.equal(await getDataAsOf(), null);
+  assert.equal(await loadPracticeShard('C82040'), null);
+
+  offline = false;
+  assert.deepEqual(await getDataAsOf(), {
+    generatedAt: '2026-03-01T00:00:00.000Z',
+    latestMonths: { appointments: 'February 2026', telephony: 'February 2026', onlineConsultations: 'February 2026' },
+  });
+  assert.equal((await getPracticeData('C82040', 'onlineConsultations')).length, 2);
+  assert.equal(requested.filter(url => url.startsWith('/data/practices/C82040.json')).length, 1);
+});
+
+test('a saved practice file is laid out like the month files', () => {
+  const shard = JSON.parse(readFileSync(join(EXPECTED, 'practices/C82040.json'), 'utf-8'));
+  const months = practiceShardMonths(shard);
+  assert.deepEqual(Object.keys(months), ['appointments', 'telephony', 'onlineConsultations', 'workforce']);
+  assert.deepEqual(Object.keys(months.onlineConsultations), Object.keys(shard.onlineConsultations));
+  const [month, record] = Object.entries(shard.onlineConsultations)[0];
+  assert.deepEqual(months.onlineConsultations[month], { practices: [record] });
+  assert.deepEqual(months.workforce, {});
+});
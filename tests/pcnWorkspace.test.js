@@ -0,0 +1,162 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import Papa from 'papaparse';
+
+import {
+  processPcnWorkspace,
+  toComparisonPractices,
+  createPcnPractice,
+  MAX_PCN_PRACTICES,
+} from '../src/utils/pcnWorkspace.js';
+import { processLocalDemand } from '../src/utils/localDemandEngine.js';
+import { parseTelephonyReport, combineTelephonyMetrics } from '../src/utils/telephonyAdapters.js';
+import { calculateNetworkAverages } from '../src/utils/comparisonUtils.js';
+
+const sampleDir = path.join(import.meta.dirname, '..', 'src', 'assets', 'sampledata');
+const fixtureDir = path.join(import.meta.dirname, 'fixtures', 'local-demand');
+
+const loadCsv = (fileName) => {
+  const csvText = fs.readFileSync(path.join(sampleDir, fileName), 'utf8');
+  return Papa.parse(csvText, { header: true, skipEmptyLines: true, dynamicTyping: false }).data;
+};
+
+const sampleInputs = {
+  apptData: loadCsv('AppointmentReport.csv'),
+  dnaData: loadCsv('DNA.csv'),
+  unusedData: loadCsv('Unused.csv'),
+  onlineData: loadCsv('OnlineRequests.csv'),
+  telephonyReports: fs.readdirSync(fixtureDir)
+    .filter(name => name.startsWith('telephony-'))
+    .sort()
+    .map(name => parseTelephonyReport({ fileName: name, text: fs.readFileSync(path.join(fixtureDir, name), 'utf8') })),
+};
+
+const config = { useOnline: true, useTelephony: true };
+
+const samplePractice = (odsCode, overrides = {}) => ({
+  odsCode,
+  surgeryName: `Practice ${odsCode}`,
+  population: 5600,
+  inputs: sampleInputs,
+  ...overrides,
+});
+
+const approx = (actual, expected, tolerance = 1e-3) => {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+test('two identical practices double the counts and keep per-patient rates', () => {
+  const single = processLocalDemand(sampleInputs, { ...config, population: 5600 }).enrichedMonths[0];
+  const { practices, aggregate } = processPcnWorkspace([samplePractice('A11111'), samplePractice('B22222')], config);
+
+  assert.equal(practices.length, 2);
+  const nov = aggregate.enrichedMonths[0];
+  assert.equal(nov.month, 'Nov-24');
+  assert.equal(nov.population, 11200);
+  assert.equal(nov.practiceCount, 2);
+  assert.deepEqual(nov.practiceCodes, ['A11111', 'B22222']);
+  assert.equal(nov.workingDays, single.workingDays);
+  assert.equal(nov.totalAppts, single.totalAppts * 2);
+  assert.equal(nov.inboundTotal, single.inboundTotal * 2);
+  assert.equal(nov.onlineTotal, single.onlineTotal * 2);
+  approx(nov.gpTriageCapacityPerDayPct, single.gpTriageCapacityPerDayPct);
+  approx(nov.onlineRequestsPer1000, single.onlineRequestsPer1000);
+  approx(nov.missedFromQueueExRepeatPct, single.missedFromQueueExRepeatPct, 0.1);
+  assert.equal(nov.telephonySource, single.telephonySource);
+
+  // Staff are labelled with their practice so names don't collide
+  assert.ok(aggregate.staffData.every(row => row.staff.endsWith(`(${row.odsCode})`)));
+  assert.equal(aggregate.onlineRows.length, practices[0].result.onlineRows.length * 2);
+  assert.equal(aggregate.forecastData.hasData, true);
+  assert.deepEqual(aggregate.wasteOutsideRange, {
+    dna: { rows: practices[0].result.wasteOutsideRange.dna.rows * 2, count: practices[0].result.wasteOutsideRange.dna.count * 2 },
+    unused: { rows: practices[0].result.wasteOutsideRange.unused.rows * 2, count: practices[0].result.wasteOutsideRange.unused.count * 2 },
+  });
+});
+
+test('months reported by only some practices use those practices\' population', () => {
+  const shortInputs = {
+    apptData: [
+      { Date: '02 Dec 2024', Day: 'Mon', 'Dr Alpha': '10', 'Nurse Beth': '10' },
+      { Date: '06 Jan 2025', Day: 'Mon', 'Dr Alpha': '30', 'Nurse Beth': '10' },
+    ],
+  };
+  const { aggregate } = processPcnWorkspace([
+    samplePractice('A11111'),
+    samplePractice('C33333', { population: 2000, inputs: shortInputs }),
+  ], config);
+
+  const byMonth = Object.fromEntries(aggregate.enrichedMonths.map(m => [m.month, m]));
+  assert.equal(byMonth['Nov-24'].population, 5600);
+  assert.equal(byMonth['Nov-24'].practiceCount, 1);
+  assert.equal(byMonth['Dec-24'].population, 7600);
+  assert.deepEqual(byMonth['Dec-24'].practiceCodes, ['A11111', 'C33333']);
+});
+
+test('rates per call only use the practices that uploaded telephony', () => {
+  const single = processLocalDemand(sampleInputs, { ...config, population: 5600 }).enrichedMonths[0];
+  const { aggregate } = processPcnWorkspace([
+    samplePractice('A11111'),
+    samplePractice('B22222', { inputs: { ...sampleInputs, telephonyReports: [] } }),
+  ], config);
+
+  const nov = aggregate.enrichedMonths[0];
+  assert.equal(nov.totalAppts, single.totalAppts * 2);
+  assert.equal(nov.inboundTotal, single.inboundTotal);
+  approx(nov.conversionRatio, single.conversionRatio);
+  approx(nov.gpConversionRatio, single.gpConversionRatio);
+  approx(nov.extraSlotsPerDay, single.extraSlotsPerDay);
+});
+
+test('processPcnWorkspace validates the practices it is given', () => {
+  assert.throws(() => processPcnWorkspace([samplePractice('A11111')], config), /at least two practices/);
+  assert.throws(
+    () => processPcnWorkspace(Array.from({ length: MAX_PCN_PRACTICES + 1 }, (_, i) => samplePractice(`P${i}`)), config),
+    /up to 15 practices/
+  );
+  assert.throws(
+    () => processPcnWorkspace([samplePractice('A11111'), samplePractice('', { surgeryName: 'Hill Surgery' })], config),
+    /Enter an ODS code for Hill Surgery/
+  );
+  assert.throws(
+    () => processPcnWorkspace([samplePractice('A11111'), samplePractice('a11111')], config),
+    /A11111 has been added more than once/
+  );
+  assert.throws(
+    () => processPcnWorkspace([samplePractice('A11111'), samplePractice('B22222', { population: '' })], config),
+    /Enter a patient population for Practice B22222/
+  );
+  assert.throws(
+    () => processPcnWorkspace([samplePractice('A11111'), samplePractice('B22222', { inputs: { apptData: [{ Foo: '1' }] } })], config),
+    /^Error: Practice B22222: .*missing required columns/
+  );
+});
+
+test('combineTelephonyMetrics sums counts and weights rates by calls', () => {
+  const combined = combineTelephonyMetrics([
+    { inboundReceived: 100, inboundAnswered: 80, missedFromQueue: 10, missedFromQueueExRepeat: 8, missedFromQueueExRepeatPct: 10, avgQueueTimeAnswered: 60 },
+    { inboundReceived: 300, inboundAnswered: 240, missedFromQueue: 30, missedFromQueueExRepeat: 24, missedFromQueueExRepeatPct: 20, avgQueueTimeAnswered: 120 },
+  ]);
+
+  assert.equal(combined.inboundReceived, 400);
+  assert.equal(combined.inboundAnswered, 320);
+  assert.equal(combined.avgQueueTimeAnswered, 105);
+  assert.equal(combined.missedFromQueueExRepeatPct, 17.5);
+  assert.equal(combineTelephonyMetrics([]), null);
+});
+
+test('workspace practices feed the comparison view without shares', () => {
+  const { practices } = processPcnWorkspace([samplePractice('A11111'), samplePractice('B22222', { population: 8000 })], config);
+  const comparison = toComparisonPractices(practices);
+
+  assert.deepEqual(comparison.map(p => p.shareId), ['local-A11111', 'local-B22222']);
+  assert.equal(comparison[1].population, 8000);
+  assert.equal(comparison[1].config.population, 8000);
+
+  const averages = calculateNetworkAverages(comparison, ['Nov-24', 'Dec-24']);
+  assert.equal(averages.gpTriageCapacityPerDayPct.count, 2);
+  assert.ok(averages.gpTriageCapacityPerDayPct.max > averages.gpTriageCapacityPerDayPct.min);
+  assert.deepEqual(createPcnPractice(3).files.telephony, []);
+});
@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+  toPeerProfile, scorePeer, findPeerPractices, rankAmongPeers, benchmarkAmongPeers,
+} from '../src/utils/peerMatching.js';
+
+const practice = (odsCode, listSize, extra = {}) => ({ odsCode, gpName: `Practice ${odsCode}`, listSize, ...extra });
+
+test('profiles are read from index rows, appointments and OC records', () => {
+  assert.deepEqual(
+    toPeerProfile({ odsCode: 'A1', listSize: 9000, clinicalSystem: 'TPP', ocSuppliers: ['Accurx'] }),
+    {
+      odsCode: 'A1', gpName: '', pcnName: '', icbCode: '', listSize: 9000, clinicalSystem: 'TPP',
+      ocSuppliers: ['Accurx'], ageProfile: null, imdDecile: null, rurality: '',
+    }
+  );
+
+  const appointments = toPeerProfile({ odsCode: 'A1', gpName: 'Hill', listSize: 9000, supplier: 'EMIS' });
+  assert.equal(appointments.clinicalSystem, 'EMIS');
+  assert.deepEqual(appointments.ocSuppliers, []);
+
+  // OC records use supplier for the OC system, not the clinical system
+  const oc = toPeerProfile({ odsCode: 'A1', listSize: 9000, supplier: 'ACCURX, KLINIK', suppliers: ['ACCURX', 'KLINIK'] });
+  assert.equal(oc.clinicalSystem, '');
+  assert.deepEqual(oc.ocSuppliers, ['ACCURX', 'KLINIK']);
+
+  assert.equal(toPeerProfile({ odsCode: 'A1', population: 4000 }).listSize, 4000);
+});
+
+test('scores combine the features both practices have, with explanations', () => {
+  const target = toPeerProfile(practice('T1', 10000, { clinicalSystem: 'TPP', ocSuppliers: ['Accurx'] }));
+
+  const twin = scorePeer(target, toPeerProfile(practice('P1', 10000, { clinicalSystem: 'tpp', ocSuppliers: ['Accurx'] })));
+  assert.equal(twin.similarity, 100);
+  assert.deepEqual(twin.reasons, ['List size 10,000 (+0%)', 'Same clinical system (tpp)', 'Same OC supplier (Accurx)']);
+
+  const doubled = scorePeer(target, toPeerProfile(practice('P2', 20000, { clinicalSystem: 'EMIS', ocSuppliers: ['Klinik'] })));
+  assert.equal(doubled.similarity, 0);
+  assert.equal(doubled.features.listSize, 1);
+  assert.ok(doubled.reasons.includes('Uses EMIS'));
+
+  // Unknown values count as half different rather than being skipped
+  const unknown = scorePeer(target, toPeerProfile(practice('P3', 10000)));
+  assert.equal(unknown.similarity, 80);
+
+  // Age, deprivation and rurality are used when profiles carry them
+  const withContext = (odsCode, over65Pct, imdDecile, rurality) => toPeerProfile(practice(odsCode, 10000, {
+    ageProfile: { under15Pct: 18, over65Pct }, imdDecile, rurality,
+  }));
+  const context = scorePeer(withContext('T2', 20, 3, 'Urban'), withContext('P4', 25, 5, 'Rural'));
+  assert.deepEqual(Object.keys(context.features), ['listSize', 'ageProfile', 'deprivation', 'rurality']);
+  assert.equal(context.features.ageProfile, 0.25);
+  assert.ok(context.reasons.includes('25% aged 65+ (vs 20%)'));
+  assert.ok(context.reasons.includes('Rural (vs Urban)'));
+});
+
+test('peers are ranked deterministically and exclude the practice itself', () => {
+  const target = practice('T1', 10000, { clinicalSystem: 'TPP' });
+  const candidates = [
+    practice('Z9', 10500, { clinicalSystem: 'TPP' }),
+    practice('B2', 9500, { clinicalSystem: 'TPP' }),
+    practice('A1', 9500, { clinicalSystem: 'TPP' }),
+    practice('C3', 10000, { clinicalSystem: 'EMIS' }),
+    practice('T1', 10000, { clinicalSystem: 'TPP' }),
+    practice('D4', 0, { clinicalSystem: 'TPP' }),
+  ];
+
+  const peers = findPeerPractices(target, candidates, { count: 3 });
+  assert.deepEqual(peers.map(p => p.odsCode), ['Z9', 'A1', 'B2']);
+  assert.deepEqual(findPeerPractices(target, [...candidates].reverse(), { count: 3 }), peers);
+  assert.ok(peers[0].similarity >= peers[1].similarity);
+  assert.ok(peers.every(p => p.reasons.length > 0));
+
+  assert.deepEqual(
+    findPeerPractices(target, candidates, { filter: p => p.clinicalSystem === 'EMIS' }).map(p => p.odsCode),
+    ['C3']
+  );
+  assert.deepEqual(findPeerPractices(practice('T1', 0), candidates), []);
+});
+
+test('peers come straight from the practice index', () => {
+  const index = JSON.parse(readFileSync('tests/fixtures/national/expected/practice-index.json', 'utf-8'));
+  const target = index.practices.find(p => p.odsCode === 'C82040');
+  const peers = findPeerPractices(target, index.practices, { count: 2 });
+
+  assert.equal(peers.length, 2);
+  assert.ok(peers.every(p => p.odsCode !== 'C82040' && p.listSize > 0));
+  assert.ok(peers[0].similarity >= peers[1].similarity);
+});
+
+test('rankAmongPeers places a value against its peers', () => {
+  assert.deepEqual(rankAmongPeers(5, [2, 8, 10]), { rank: 2, total: 4, median: 8 });
+  assert.deepEqual(rankAmongPeers(5, [2, 8, 10], { higherBetter: true }), { rank: 3, total: 4, median: 8 });
+  assert.deepEqual(rankAmongPeers(5, [4, 6]), { rank: 2, total: 3, median: 5 });
+  assert.equal(rankAmongPeers(null, [1]), null);
+  assert.equal(rankAmongPeers(1, [NaN]), null);
+});
+
+test('benchmarkAmongPeers ranks a metric within the dataset\'s peers', () => {
+  const practices = [
+    { odsCode: 'T1', missedPct: 10 },
+    { odsCode: 'A1', missedPct: 5 },
+    { odsCode: 'B2', missedPct: 20 },
+    { odsCode: 'C3', missedPct: 1 },
+    { odsCode: 'E5', missedPct: null },
+  ];
+  // C3 isn't in the index; D4 isn't in the dataset; E5 has no value
+  const profiles = [
+    practice('T1', 10000), practice('A1', 9900), practice('B2', 10100), practice('D4', 10000), practice('E5', 10000),
+  ];
+
+  const result = benchmarkAmongPeers('T1', practices, { metric: p => p.missedPct, profiles });
+  assert.deepEqual(result.peers.map(p => [p.odsCode, p.value]), [['A1', 5], ['B2', 20]]);
+  assert.deepEqual({ value: result.value, rank: result.rank, total: result.total, median: result.median },
+    { value: 10, rank: 2, total: 3, median: 12.5 });
+
+  assert.equal(benchmarkAmongPeers('C3', practices, { metric: p => p.missedPct, profiles }), null);
+  assert.equal(benchmarkAmongPeers('D4', practices, { metric: p => p.missedPct, profiles }), null);
+});
@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildPracticeLineage,
+  resolvePracticeCode,
+  getLineageCodes,
+  combinePracticeRecords,
+  findPracticeRecord,
+  stitchPractices,
+  stitchMonthsData,
+  describeStitch,
+  getStitchedMonths,
+  STITCH_OPTIONS,
+} from '../src/utils/practiceLineage.js';
+
+// A3 merged into A1, and A4 was succeeded by A3 before that
+const REGISTRY = [
+  { id: 'A1-icb', type: 'remap', odsCode: 'A1', set: { icbCode: 'QT1' }, description: 'Not a lineage link' },
+  { id: 'A3-merger', type: 'merger', odsCode: 'A3', successor: 'A1', effectiveFrom: '2026-01', description: 'Merged' },
+  { id: 'A4-succession', type: 'succession', odsCode: 'A4', successor: 'A3', effectiveFrom: '2025-06', description: 'Closed' },
+];
+
+const lineage = buildPracticeLineage(REGISTRY);
+
+const appointments = (odsCode, totalAppointments, dnaPct, listSize) => ({
+  odsCode,
+  gpName: `Practice ${odsCode}`,
+  pcnCode: `U${odsCode}`,
+  listSize,
+  totalAppointments,
+  dnaPct,
+  month: 10,
+  bookingWait: { total: totalAppointments / 2, sameDayPct: dnaPct * 10 },
+});
+
+test('lineage links come from merger and succession entries only', () => {
+  assert.deepEqual(lineage.links.map(link => link.correctionId), ['A3-merger', 'A4-succession']);
+  assert.equal(lineage.successorOf.A3.successor, 'A1');
+  assert.deepEqual(lineage.predecessorsOf.A1.map(link => link.predecessor), ['A3']);
+  assert.equal(buildPracticeLineage([]).links.length, 0);
+});
+
+test('practice codes resolve along successor chains', () => {
+  assert.equal(resolvePracticeCode(lineage, 'A4'), 'A1');
+  assert.equal(resolvePracticeCode(lineage, 'A2'), 'A2');
+  assert.deepEqual(getLineageCodes(lineage, 'A1'), ['A1', 'A3', 'A4']);
+  assert.deepEqual(getLineageCodes(lineage, 'A3'), ['A3', 'A4']);
+
+  const loop = buildPracticeLineage([
+    { type: 'merger', odsCode: 'B1', successor: 'B2' },
+    { type: 'merger', odsCode: 'B2', successor: 'B1' },
+  ]);
+  assert.equal(resolvePracticeCode(loop, 'B1'), 'B2');
+});
+
+test('combined records sum counts and weight percentages and rates', () => {
+  const combined = combinePracticeRecords(
+    [appointments('A3', 1000, 0.1, 2000), { ...appointments('A1', 3000, 0.05, 6000), apptsPer1000: 500 }],
+    'A1',
+    STITCH_OPTIONS.appointments
+  );
+
+  assert.equal(combined.odsCode, 'A1');
+  assert.equal(combined.gpName, 'Practice A1');
+  assert.equal(combined.pcnCode, 'UA1');
+  assert.equal(combined.totalAppointments, 4000);
+  assert.equal(combined.listSize, 8000);
+  assert.equal(combined.month, 10);
+  // Weighted by appointments: (0.1 * 1000 + 0.05 * 3000) / 4000
+  assert.ok(Math.abs(combined.dnaPct - 0.0625) < 1e-12);
+  // Nested block weighted by its own total
+  assert.equal(combined.bookingWait.total, 2000);
+  assert.ok(Math.abs(combined.bookingWait.sameDayPct - 0.625) < 1e-12);
+  // Only present on the successor, so kept as is
+  assert.equal(combined.apptsPer1000, 500);
+  assert.deepEqual(combined.stitchedFrom, ['A3']);
+
+  const solo = appointments('A2', 10, 0.1, 100);
+  assert.equal(combinePracticeRecords([solo], 'A2'), solo);
+  assert.equal(combinePracticeRecords([], 'A2'), null);
+});
+
+test('combined rates are weighted by list size and successor links are dropped', () => {
+  const combined = combinePracticeRecords(
+    [
+      { odsCode: 'A3', listSize: 1000, callsPer1000: 100, successor: { odsCode: 'A1', type: 'merger' } },
+      { odsCode: 'A1', listSize: 3000, callsPer1000: 200 },
+    ],
+    'A1',
+    STITCH_OPTIONS.telephony
+  );
+  assert.equal(combined.callsPer1000, 175);
+  assert.equal('successor' in combined, false);
+});
+
+test('practice lookups stitch predecessors only when asked', () => {
+  const monthData = {
+    practices: [appointments('A1', 300, 0.05, 6000), appointments('A4', 100, 0.1, 2000), appointments('A2', 50, 0, 500)],
+  };
+
+  assert.equal(findPracticeRecord(monthData, 'A1').totalAppointments, 300);
+  const stitched = findPracticeRecord(monthData, 'A1', { lineage, ...STITCH_OPTIONS.appointments });
+  assert.equal(stitched.totalAppointments, 400);
+  assert.deepEqual(stitched.stitchedFrom, ['A4']);
+  assert.equal(findPracticeRecord(monthData, 'A2', { lineage }).stitchedFrom, undefined);
+  assert.equal(findPracticeRecord(monthData, 'A9', { lineage }), null);
+
+  // A practice with only predecessor data that month still gets a record under its own code
+  const before = findPracticeRecord({ practices: [appointments('A3', 100, 0.1, 2000)] }, 'A1', { lineage });
+  assert.equal(before.odsCode, 'A1');
+  assert.deepEqual(before.stitchedFrom, ['A3']);
+});
+
+test('months are stitched so aggregates count continuing practices', () => {
+  const practices = [appointments('A1', 300, 0.05, 6000), appointments('A3', 100, 0.1, 2000), appointments('A2', 50, 0, 500)];
+  const stitched = stitchPractices(practices, lineage, STITCH_OPTIONS.appointments);
+  assert.deepEqual(stitched.map(p => p.odsCode), ['A1', 'A2']);
+  assert.equal(stitched[0].totalAppointments, 400);
+  assert.equal(stitched[1], practices[2]);
+  assert.equal(stitchPractices(practices, buildPracticeLineage([])), practices);
+
+  const months = {
+    'October 2025': { practices: [appointments('A3', 100, 0.1, 2000)], national: { total: 1 } },
+    'January 2026': { practices: [appointments('A1', 300, 0.05, 6000)] },
+    metadata: { source: 'test' },
+  };
+  const stitchedMonths = stitchMonthsData(months, lineage, STITCH_OPTIONS.appointments);
+  assert.equal(stitchedMonths['October 2025'].practices[0].odsCode, 'A1');
+  assert.deepEqual(stitchedMonths['October 2025'].national, { total: 1 });
+  assert.equal(stitchedMonths['January 2026'], months['January 2026']);
+  assert.equal(stitchedMonths.metadata, months.metadata);
+});
+
+test('stitched months are described for chart notes', () => {
+  const series = [
+    { month: 'October 2025', stitchedFrom: ['A3'] },
+    { month: 'November 2025', stitchedFrom: ['A3'] },
+    { month: 'January 2026', stitchedFrom: [] },
+  ];
+  assert.deepEqual(getStitchedMonths(series), ['October 2025', 'November 2025']);
+  assert.equal(
+    describeStitch(lineage, 'A1', getStitchedMonths(series)),
+    'Includes A3 (merged into A1 from 2026-01), A4 (succeeded by A3 from 2025-06) for October 2025, November 2025'
+  );
+  assert.equal(describeStitch(lineage, 'A1', []), null);
+});
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { cpSync, existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import process from 'node:process';
+import { join, relative } from 'node:path';
+import * as XLSX from 'xlsx';
+
+// Golden files for scripts/preprocess-data.js. The fixture workbooks are real
+// NHS England publications cut down to a few practices (national totals adjusted
+// to match) plus a small GPAD workbook. After an intended output change, regenerate with:
+//   SOURCE_DATE_EPOCH=1772323200 node scripts/preprocess-data.js \
+//     --assets tests/fixtures/national/assets --out tests/fixtures/national/expected
+const FIXTURES = 'tests/fixtures/national';
+const SOURCE_DATE_EPOCH = '1772323200';
+
+const runPreprocess = (assets, out, ...flags) => spawnSync(
+  process.execPath,
+  ['scripts/preprocess-data.js', '--assets', assets, '--out', out, ...flags],
+  { encoding: 'utf-8', env: { ...process.env, SOURCE_DATE_EPOCH } }
+);
+
+const readManifest = (out) => JSON.parse(readFileSync(join(out, 'manifest.json'), 'utf-8'));
+
+const copyAssets = (dir) => {
+  const assets = join(dir, 'assets');
+  cpSync(join(FIXTURES, 'assets'), assets, { recursive: true });
+  return assets;
+};
+
+const listFiles = (dir) => readdirSync(dir, { recursive: true })
+  .map(name => join(dir, name))
+  .filter(path => statSync(path).isFile())
+  .map(path => relative(dir, path))
+  .sort();
+
+test('preprocess output matches the golden files byte for byte', (t) => {
+  const out = mkdtempSync(join(tmpdir(), 'preprocess-'));
+  t.after(() => rmSync(out, { recursive: true, force: true }));
+
+  const result = runPreprocess(join(FIXTURES, 'assets'), out);
+  assert.equal(result.status, 0, result.stderr);
+
+  const expectedDir = join(FIXTURES, 'expected');
+  assert.deepEqual(listFiles(out), listFiles(expectedDir));
+  for (const file of listFiles(expectedDir)) {
+    assert.equal(readFileSync(join(out, file), 'utf-8'), readFileSync(join(expectedDir, file), 'utf-8'), file);
+  }
+});
+
+test('preprocess fails without writing JSON when a workbook layout changes', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'preprocess-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const assets = copyAssets(dir);
+
+  // Rename the Missed column group in telephony Table 3
+  const file = join(assets, 'Cloud Based Telephony Publication Summary February 2026.xlsx');
+  const workbook = XLSX.read(readFileSync(file));
+  const sheet = workbook.Sheets['Table 3'];
+  const cell = Object.keys(sheet).find(ref => String(sheet[ref]?.v).startsWith('Missed'));
+  sheet[cell] = { t: 's', v: 'Abandoned' };
+  XLSX.writeFile(workbook, file);
+
+  const out = join(dir, 'out');
+  const result = runPreprocess(assets, out);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Table 3: Missing column for "missed"/);
+  assert.equal(existsSync(join(out, 'telephony')), false);
+  // Datasets that validated are still written
+  assert.equal(existsSync(join(out, 'online-consultations', 'February_2026.json')), true);
+  assert.deepEqual(Object.keys(readManifest(out).datasets), ['appointments', 'onlineConsultations']);
+});
+
+test('preprocess only reparses changed sources and removes stale outputs', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'preprocess-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const assets = copyAssets(dir);
+  const out = join(dir, 'out');
+  assert.equal(runPreprocess(assets, out).status, 0);
+
+  // Nothing changed: every source and the practice files are reused
+  const rerun = runPreprocess(assets, out);
+  assert.equal(rerun.status, 0, rerun.stderr);
+  assert.equal(rerun.stdout.match(/\(unchanged\)/g).length, 5);
+
+  // An edited output and a removed source are both noticed
+  writeFileSync(join(out, 'telephony', 'February_2026.json'), '{}');
+  rmSync(join(assets, 'Submissions via Online Consultation Systems in General Practice - April 2024.xlsx'));
+  const changed = runPreprocess(assets, out);
+  assert.equal(changed.status, 0, changed.stderr);
+  assert.equal(changed.stdout.match(/\(unchanged\)/g).length, 2);
+  assert.equal(
+    readFileSync(join(out, 'telephony', 'February_2026.json'), 'utf-8'),
+    readFileSync(join(FIXTURES, 'expected', 'telephony', 'February_2026.json'), 'utf-8')
+  );
+  assert.equal(existsSync(join(out, 'online-consultations', 'April_2024.json')), false);
+  const manifest = readManifest(out);
+  assert.deepEqual(manifest.datasets.onlineConsultations.months.map(m => m.month), ['February 2026']);
+  assert.equal(Object.keys(manifest.sources).some(source => source.includes('April 2024')), false);
+  // Practice files are rebuilt from the remaining months
+  const practice = JSON.parse(readFileSync(join(out, 'practices', 'A81001.json'), 'utf-8'));
+  assert.deepEqual(Object.keys(practice.onlineConsultations), ['February 2026']);
+
+  // --force reparses everything
+  assert.equal(runPreprocess(assets, out, '--force').stdout.includes('(unchanged)'), false);
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  optimiseSlotRota,
+  rotaTemplateRows,
+  normaliseRotaConstraints,
+  DEFAULT_ROTA_CONSTRAINTS,
+} from '../src/utils/rotaOptimiser.js';
+
+// Weekdays 5-30 Jan 2026; RED varies 4-6 a day, so Mondays need 6, 4, 5 and 6
+const demandByDateUrgency = Object.fromEntries(
+  Array.from({ length: 26 }, (_, i) => [
+    `2026-01-${String(5 + i).padStart(2, '0')}`,
+    { RED: 4 + ((5 + i) % 3), AMBER: 2, YELLOW: 3, GREEN: 5 },
+  ])
+);
+
+// Three requests at 9am for every one at 3pm
+const heatmapData = Object.fromEntries(
+  ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'].map(day => [
+    day,
+    Object.fromEntries(Array.from({ length: 24 }, (_, hour) => [hour, { 9: 3, 15: 1 }[hour] || 0])),
+  ])
+);
+
+test('slots meet each urgency on the target share of days', () => {
+  const rota = optimiseSlotRota({ demandByDateUrgency, heatmapData });
+  const monday = rota.days.Monday;
+
+  assert.equal(monday.sampleDays, 4);
+  assert.deepEqual(monday.needed, { RED: 6, AMBER: 0, YELLOW: 3, GREEN: 5 });
+  assert.deepEqual(rota.slotCapacity.Monday, monday.slots);
+  assert.deepEqual(rota.slotCapacity.Saturday, { GREEN: 0, YELLOW: 0, AMBER: 0, RED: 0 });
+  assert.equal(monday.serviceLevel.RED, 100);
+
+  // A lower target accepts the busiest Mondays going short
+  const relaxed = optimiseSlotRota(
+    { demandByDateUrgency, heatmapData },
+    { constraints: { serviceLevels: { RED: 50 } } }
+  );
+  assert.equal(relaxed.days.Monday.slots.RED, 5);
+  assert.equal(relaxed.days.Monday.serviceLevel.RED, 50);
+});
+
+test('same-day slots follow arrivals and sessions respect clinician limits', () => {
+  const rota = optimiseSlotRota({ demandByDateUrgency, heatmapData });
+  const monday = rota.sessions.filter(session => session.day === 'Monday');
+
+  // A quarter of RED arrives in the afternoon: 2 of the 6 RED slots
+  assert.deepEqual(monday.map(session => [session.session, session.start, session.end]), [
+    ['AM', '08:30', '09:50'],
+    ['PM', '14:00', '15:00'],
+  ]);
+  assert.equal(monday[1].slots.filter(slot => slot.urgency === 'RED').length, 2);
+  assert.deepEqual(monday[0].slots.slice(0, 2), [
+    { start: '08:30', end: '08:40', urgency: 'RED' },
+    { start: '08:40', end: '08:50', urgency: 'YELLOW' },
+  ]);
+  assert.deepEqual(rota.totals, { slots: 80, sessions: 10, clinicianHours: 35, shortfall: 0 });
+
+  // One 12-slot session a day: it runs in the afternoon so morning RED can still use it
+  const tight = optimiseSlotRota(
+    { demandByDateUrgency, heatmapData },
+    { constraints: { maxSessionsPerDay: 1, maxSlotsPerSession: 12 } }
+  );
+  const [only] = tight.sessions.filter(session => session.day === 'Monday');
+  assert.equal(only.session, 'PM');
+  assert.equal(only.slots.length, 12);
+  assert.deepEqual(tight.days.Monday.slots, { RED: 6, AMBER: 0, YELLOW: 3, GREEN: 3 });
+  assert.deepEqual(tight.days.Monday.shortfall, { RED: 0, AMBER: 0, YELLOW: 0, GREEN: 2 });
+});
+
+test('rotas export as one template row per slot', () => {
+  const rota = optimiseSlotRota({ demandByDateUrgency, heatmapData }, { constraints: { slotMinutes: 15 } });
+  const [header, first] = rotaTemplateRows(rota);
+  assert.deepEqual(header, [
+    'Day', 'Session', 'Clinician', 'Session Start', 'Session End', 'Slot Start', 'Slot End',
+    'Slot Length (mins)', 'Slot Type', 'Urgency',
+  ]);
+  assert.deepEqual(first, ['Monday', 'AM', 'Clinician 1', '08:30', '10:30', '08:30', '08:45', 15, 'Urgent same day', 'RED']);
+  assert.equal(rotaTemplateRows(rota).length, rota.totals.slots + 1);
+
+  // Without dated demand the weekly average is used
+  const averaged = optimiseSlotRota({
+    demandByDayUrgency: { Tuesday: { RED: 8, GREEN: 4 } },
+    numWeeks: 2,
+  });
+  // GREEN is due on the 5th open day, so Tuesday's routine requests land the next Tuesday
+  assert.deepEqual(averaged.days.Tuesday.slots, { RED: 4, AMBER: 0, YELLOW: 0, GREEN: 2 });
+  assert.equal(averaged.days.Monday.sessions, 0);
+
+  assert.deepEqual(normaliseRotaConstraints({ slotMinutes: 'x', maxSessionsPerDay: 99, amStart: '8am' }), {
+    ...DEFAULT_ROTA_CONSTRAINTS,
+    maxSessionsPerDay: 40,
+  });
+});
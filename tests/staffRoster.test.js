@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  inferRoleGroup,
+  createRosterEntry,
+  buildStaffRoster,
+  createStaffClassifier,
+  getStaffRosterKey,
+} from '../src/utils/staffRoster.js';
+import { processLocalDemand } from '../src/utils/localDemandEngine.js';
+
+test('inferRoleGroup seeds roles from name hints before the GP heuristic', () => {
+  assert.equal(inferRoleGroup('Dr Jane Smith'), 'GP_SALARIED');
+  assert.equal(inferRoleGroup('Locum Dr Patel'), 'GP_LOCUM');
+  assert.equal(inferRoleGroup('Dr Jane Smith ANP'), 'NURSE');
+  assert.equal(inferRoleGroup('Dr Sam Lee (Registrar)'), 'GP_REGISTRAR');
+  assert.equal(inferRoleGroup('Amy Jones Pharmacist'), 'PHARMACIST');
+  assert.equal(inferRoleGroup('Reception Team'), 'OTHER');
+});
+
+test('createRosterEntry derives GP and ARRS flags from the role group', () => {
+  assert.deepEqual(createRosterEntry('Amy Jones', 'PHARMACIST'), {
+    name: 'Amy Jones', roleGroup: 'PHARMACIST', isGP: false, isArrs: true, include: true,
+  });
+  assert.equal(createRosterEntry('Dr Alpha').isGP, true);
+});
+
+test('buildStaffRoster keeps saved entries and seeds new names', () => {
+  const saved = [{ name: 'Dr Alpha', roleGroup: 'OTHER', isGP: false, isArrs: false, include: false }];
+  const roster = buildStaffRoster(['dr  alpha', 'Dr Beta'], saved);
+
+  assert.deepEqual(roster.map(e => e.name), ['Dr Alpha', 'Dr Beta']);
+  assert.equal(roster[0].include, false);
+  assert.equal(roster[1].isGP, true);
+});
+
+test('createStaffClassifier uses the roster and falls back for unknown names', () => {
+  const { isGP, isIncluded } = createStaffClassifier([
+    { name: 'Jane Gamma', isGP: true, include: true },
+    { name: 'Dr Delta', isGP: false, include: false },
+  ]);
+
+  assert.equal(isGP('jane gamma'), true);
+  assert.equal(isGP('Dr Delta'), false);
+  assert.equal(isIncluded('Dr Delta'), false);
+  assert.equal(isGP('Dr Unknown'), true);
+  assert.equal(isIncluded('Dr Unknown'), true);
+});
+
+test('getStaffRosterKey prefers the first non-empty identifier', () => {
+  assert.equal(getStaffRosterKey('', 'Example Surgery'), 'caip-staff-roster-EXAMPLE_SURGERY');
+  assert.equal(getStaffRosterKey('c84001', 'Example Surgery'), 'caip-staff-roster-C84001');
+  assert.equal(getStaffRosterKey(), 'caip-staff-roster-DEFAULT');
+});
+
+test('processLocalDemand applies roster GP flags and exclusions', () => {
+  const apptData = [
+    { Date: '02 Dec 2024', Day: 'Mon', 'Dr Alpha': '10', 'Jane Gamma': '6', 'Dr Locum Agency': '4' },
+  ];
+  const dnaData = [
+    { Staff: 'Dr Locum Agency', 'Slot Type': 'GP', 'Appointment Count': '3' },
+    { Staff: 'Jane Gamma', 'Slot Type': 'GP', 'Appointment Count': '2' },
+  ];
+  const staffRoster = [
+    { name: 'Jane Gamma', roleGroup: 'GP_SALARIED', isGP: true, isArrs: false, include: true },
+    { name: 'Dr Locum Agency', roleGroup: 'GP_LOCUM', isGP: true, isArrs: false, include: false },
+  ];
+
+  const heuristic = processLocalDemand({ apptData, dnaData }, { population: 1000 });
+  const { enrichedMonths, staffData } = processLocalDemand({ apptData, dnaData }, { population: 1000 }, { staffRoster });
+
+  assert.equal(heuristic.enrichedMonths[0].gpAppts, 14);
+  assert.equal(enrichedMonths[0].totalAppts, 16);
+  assert.equal(enrichedMonths[0].gpAppts, 16);
+  assert.equal(enrichedMonths[0].estDNA, 2);
+  assert.deepEqual(staffData.map(s => s.staff).sort(), ['Dr Alpha', 'Jane Gamma']);
+  assert.ok(staffData.every(s => s.isGP));
+});
@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import {
+  parseTelephonyReport,
+  detectTelephonyAdapter,
+  parseDurationSeconds,
+  createCallLogAdapter,
+  registerTelephonyAdapter,
+} from '../src/utils/telephonyAdapters.js';
+
+const fixtureDir = path.join(import.meta.dirname, 'fixtures', 'local-demand');
+const xonText = fs.readFileSync(path.join(fixtureDir, 'telephony-2025-06.txt'), 'utf8');
+
+test('X-on adapter reads the monthly summary with reported confidence', () => {
+  const report = parseTelephonyReport({ fileName: 'june.pdf', text: xonText });
+  assert.equal(report.adapterId, 'xon-surgery-connect');
+  assert.equal(report.months.length, 1);
+
+  const { monthKey, metrics, confidence, lowConfidence } = report.months[0];
+  assert.equal(monthKey, 'Jun-25');
+  assert.equal(metrics.inboundReceived, 3839);
+  assert.equal(metrics.inboundAnswered, 2766);
+  assert.equal(metrics.missedFromQueue, 108);
+  assert.equal(metrics.missedFromQueueExRepeat, 101);
+  assert.equal(metrics.missedFromQueueExRepeatPct, 3.5);
+  assert.equal(metrics.answeredFromQueue, 96.2);
+  assert.equal(metrics.abandonedCalls, 25.1);
+  assert.equal(metrics.callbacksSuccessful, 73);
+  assert.equal(metrics.avgQueueTimeAnswered, 80);
+  assert.equal(metrics.avgQueueTimeMissed, 299);
+  assert.equal(metrics.avgInboundTalkTime, 130);
+  assert.ok(Object.values(confidence).every(level => level === 'reported'));
+  assert.deepEqual(lowConfidence, []);
+});
+
+test('X-on report missing a required metric is rejected instead of reading as zero', () => {
+  const changedLayout = xonText.replace('Inbound Answered', 'Inbound Handled');
+  assert.throws(
+    () => parseTelephonyReport({ fileName: 'june.pdf', text: changedLayout }),
+    /june\.pdf.*missing Inbound Answered for Jun-25/
+  );
+});
+
+test('unrecognised telephony files list the supported formats', () => {
+  assert.throws(
+    () => parseTelephonyReport({ fileName: 'notes.csv', text: 'Foo,Bar,Baz\n1,2,3' }),
+    /"notes\.csv" was not recognised\. Supported formats: .*Call log CSV/
+  );
+});
+
+test('monthly summary CSV is detected and estimates unique missed calls when absent', () => {
+  const csv = [
+    'Month,Inbound Calls,Answered Calls,Missed Calls,Avg Talk Time',
+    'Jun 2025,1000,900,100,2:30',
+    'Jul 2025,"1,200",1100,100,150',
+  ].join('\n');
+
+  const report = parseTelephonyReport({ fileName: 'summary.csv', text: csv });
+  assert.equal(report.adapterId, 'monthly-summary-csv');
+
+  const [jun, jul] = report.months;
+  assert.equal(jun.monthKey, 'Jun-25');
+  assert.equal(jun.metrics.missedFromQueueExRepeat, 100);
+  assert.equal(jun.confidence.missedFromQueueExRepeat, 'estimated');
+  assert.equal(jun.metrics.missedFromQueueExRepeatPct, 10);
+  assert.equal(jun.metrics.answeredFromQueue, 90);
+  assert.equal(jun.metrics.avgInboundTalkTime, 150);
+  assert.equal(jun.confidence.callbacksSuccessful, 'missing');
+  assert.ok(jun.lowConfidence.includes('Missed From Queue Excluding Repeat Callers'));
+  assert.equal(jul.metrics.inboundReceived, 1200);
+});
+
+test('call log CSV derives monthly metrics from individual calls', () => {
+  const csv = [
+    'Call Start,Direction,Caller Number,Status,Queue Time,Talk Time',
+    '02/06/2025 08:00,Inbound,07700 900001,Missed,00:05:00,',
+    '02/06/2025 08:10,Inbound,07700 900001,Answered,00:01:00,00:03:00',
+    '02/06/2025 08:20,Inbound,07700 900002,Missed,00:04:00,',
+    '02/06/2025 08:25,Inbound,07700 900002,Missed,00:02:00,',
+    '02/06/2025 08:30,Inbound,07700 900003,Abandoned,,',
+    '02/06/2025 09:00,Outbound,07700 900004,Answered,,00:02:00',
+    '02/06/2025 9:05,Inbound,07700 900006,Missed,,',
+    '02/06/2025 10:00,Inbound,07700 900006,Answered,,',
+    '2025-07-01T08:00:00,Inbound,07700 900005,Answered,20,60',
+  ].join('\n');
+
+  const report = parseTelephonyReport({ fileName: 'calls.csv', text: csv });
+  assert.equal(report.adapterId, 'call-log-csv');
+
+  const jun = report.months.find(m => m.monthKey === 'Jun-25');
+  assert.equal(jun.metrics.inboundReceived, 7);
+  assert.equal(jun.metrics.inboundAnswered, 2);
+  assert.equal(jun.metrics.missedFromQueue, 4);
+  // 9:05 is before 10:00, so 900006 was answered later that day
+  assert.equal(jun.metrics.missedFromQueueExRepeat, 1);
+  assert.equal(jun.confidence.missedFromQueueExRepeat, 'derived');
+  assert.equal(jun.metrics.missedFromQueueExRepeatPct, 16.7);
+  assert.equal(jun.metrics.abandonedCalls, 14.3);
+  assert.equal(jun.metrics.avgQueueTimeAnswered, 60);
+  assert.equal(jun.metrics.avgQueueTimeMissed, 220);
+  assert.equal(jun.metrics.avgInboundTalkTime, 180);
+  assert.equal(jun.confidence.callbacksSuccessful, 'missing');
+
+  const jul = report.months.find(m => m.monthKey === 'Jul-25');
+  assert.equal(jul.metrics.inboundAnswered, 1);
+  assert.equal(jul.metrics.avgInboundTalkTime, 60);
+});
+
+test('registered call log adapters are preferred for their vendor columns', () => {
+  registerTelephonyAdapter(createCallLogAdapter({
+    id: 'test-vendor',
+    name: 'Test vendor call log',
+    columns: {
+      date: ['Received At'],
+      direction: ['Leg'],
+      outcome: ['Handling'],
+      caller: ['Origin'],
+      waitTime: ['Waited'],
+      talkTime: ['Spoke'],
+    },
+    outcomes: { answered: /^took$/i, missed: /^lost$/i, abandoned: /^gone$/i, callback: /^rang back$/i },
+  }));
+
+  const csv = 'Received At,Leg,Origin,Handling,Waited,Spoke\n03/06/2025 10:00,in,01,took,10,100\n03/06/2025 11:00,in,02,lost,30,';
+  const report = { fileName: 'vendor.csv', text: csv };
+  assert.equal(detectTelephonyAdapter(report).id, 'test-vendor');
+
+  const [jun] = parseTelephonyReport(report).months;
+  assert.equal(jun.metrics.inboundAnswered, 1);
+  assert.equal(jun.metrics.missedFromQueueExRepeat, 1);
+});
+
+test('parseDurationSeconds accepts report and clock formats', () => {
+  assert.equal(parseDurationSeconds('1m 20s'), 80);
+  assert.equal(parseDurationSeconds('45s'), 45);
+  assert.equal(parseDurationSeconds('01:20'), 80);
+  assert.equal(parseDurationSeconds('01:00:05'), 3605);
+  assert.equal(parseDurationSeconds('12'), 12);
+  assert.equal(parseDurationSeconds(''), null);
+});
@@ -0,0 +1,153 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import * as XLSX from 'xlsx';
+
+import { fromSlotRow, fromSystmConnectRow, parseTriageWorkbook } from '../src/utils/triageModel.js';
+import { analyzeTriageDemand, analyzeTriageOutcomes, compareTriageSuppliers } from '../src/utils/triageAnalysis.js';
+
+// Rapid Health style row for a January 2026 date (5 Jan 2026 is a Monday)
+const slotRow = (day, hour, urgency, extra = {}) => {
+  const requestDate = new Date(Date.UTC(2026, 0, 5 + day));
+  return {
+    tenant: 'Example',
+    requestDate,
+    requestMonth: 'January 2026',
+    requestDay: requestDate.toLocaleDateString('en-GB', { weekday: 'long', timeZone: 'UTC' }),
+    requestHour: hour,
+    requestType: 'Medical',
+    pathway: 'Triage.Headache',
+    urgency,
+    automated: false,
+    guideline: '',
+    slotType: '-',
+    appointmentStatus: '-',
+    patientAge: 40,
+    isAdult: true,
+    timeToProcessedMins: 60,
+    ...extra,
+  };
+};
+
+const systmConnectRow = (date, outcome, outcomeGroup, extra = {}) => fromSystmConnectRow({
+  odsCode: 'C82040',
+  submittedDt: date,
+  type: 'Clinical',
+  clinicalProblemType: 'New problem',
+  adminActivityType: null,
+  outcome,
+  outcomeGroup,
+  hasOutcome: true,
+  isAppointment: outcomeGroup === 'Appointment',
+  appointmentSubtype: outcomeGroup === 'Appointment' ? 'Telephone' : null,
+  age: 70,
+  ageBand: '65-74',
+  sex: 'F',
+  accessMethod: 'Online',
+  submissionSource: 'Patient',
+  responsePreference: null,
+  timeToOutcomeMinutes: 180,
+  leadTimeMinutes: 5,
+  dow: date.toLocaleDateString('en-GB', { weekday: 'long' }),
+  hourOfDay: date.getHours(),
+  isWeekend: [0, 6].includes(date.getDay()),
+  isCompleted: true,
+  hasOutcomeRecorded: true,
+  ...extra,
+});
+
+test('slot capacity lands on the open day each urgency needs', () => {
+  const requests = [
+    slotRow(0, 9, 'RED'), // Monday -> Monday
+    slotRow(4, 16, 'AMBER'), // Friday -> Friday as RED (Saturday is closed)
+    slotRow(5, 10, 'RED'), // Saturday -> Monday
+    slotRow(1, 8, 'YELLOW'), // Tuesday -> Friday
+    slotRow(0, 8, 'GREEN'), // Monday -> next Monday
+    slotRow(2, 11, null), // no urgency: demand only
+    slotRow(2, 12, 'RED', { requestType: 'Admin' }),
+  ].map(row => fromSlotRow(row, 'rapidhealth'));
+
+  const analysis = analyzeTriageDemand(requests);
+  assert.equal(analysis.totalSubmissions, 7);
+  assert.equal(analysis.medicalSubmissions, 6);
+  assert.deepEqual(analysis.requestTypes, ['Clinical', 'Admin']);
+  assert.deepEqual(analysis.tenants, ['Example']);
+  assert.equal(analysis.capacityNeededByDay.Monday.total, 3);
+  assert.equal(analysis.capacityNeededByDay.Monday.RED, 2);
+  assert.deepEqual(
+    [analysis.capacityNeededByDay.Friday.YELLOW, analysis.capacityNeededByDay.Friday.RED],
+    [1, 1]
+  );
+  assert.deepEqual(analysis.demandByDateUrgency['2026-01-09'], { GREEN: 0, YELLOW: 0, AMBER: 1, RED: 0 });
+  assert.equal(analysis.demandByDayUrgency.Wednesday.total, 1);
+  assert.equal(analysis.heatmapData.Monday[9], 1);
+  assert.equal(analysis.symptomCounts.Headache, 6);
+  assert.equal(analysis.medianResolutionMins, 60);
+});
+
+test('demand and outcomes run on requests from any supplier', () => {
+  const accurx = parseTriageWorkbook(XLSX.read(
+    fs.readFileSync(path.join(import.meta.dirname, 'fixtures', 'triage', 'accurx-export.csv'), 'utf8'),
+    { type: 'string' }
+  )).requests;
+  const systmConnect = [
+    systmConnectRow(new Date(2026, 1, 2, 9), 'Telephone appointment booked', 'Appointment'),
+    systmConnectRow(new Date(2026, 1, 3, 14), 'Advice given', 'Advice / Self-care', { timeToOutcomeMinutes: 600 }),
+  ];
+  const requests = [...accurx, ...systmConnect];
+
+  const demand = analyzeTriageDemand(requests);
+  assert.equal(demand.totalSubmissions, 7);
+  assert.equal(demand.byDayOfWeek.Monday, 2);
+  assert.equal(demand.byDayOfWeek.Tuesday, 1);
+  assert.equal(demand.heatmapData.Thursday[8], 2);
+  assert.equal(demand.totalUrgency, 3);
+  assert.deepEqual(demand.tenants, ['Riverside Surgery', 'C82040']);
+
+  const outcomes = analyzeTriageOutcomes(requests, 10000);
+  assert.equal(outcomes.totalRequests, 7);
+  assert.deepEqual(outcomes.uniqueSuppliers, ['accurx', 'systmconnect']);
+  assert.equal(outcomes.outcomeGroupCounts.Appointment, 3);
+  assert.equal(outcomes.outcomeGroupCounts['Advice / Self-care'], 2);
+  assert.equal(outcomes.byAgeBand['65-74'].total, 3);
+  assert.equal(outcomes.byAgeBand['65-74'].appointments, 2);
+  assert.equal(outcomes.byAgeBand.Unknown.total, 1);
+  assert.equal(outcomes.requestsPer1000, 0.7);
+  // Time to outcome is known for 6 requests: 75, 200, 180, 35 (Accurx) and 180, 600 (SystmConnect)
+  assert.equal(outcomes.slaMetrics.within4h, 5 / 6 * 100);
+  assert.equal(analyzeTriageOutcomes([]), null);
+});
+
+test('suppliers are compared side by side, earliest first', () => {
+  const before = [
+    slotRow(0, 9, 'RED', { appointmentStatus: 'Booking invite sent' }),
+    slotRow(1, 9, 'GREEN'),
+    slotRow(2, 9, 'GREEN', { requestType: 'Admin' }),
+    slotRow(3, 9, 'AMBER', { timeToProcessedMins: 120 }),
+  ].map(row => fromSlotRow(row, 'rapidhealth'));
+  const after = [
+    systmConnectRow(new Date(2026, 1, 2, 9), 'Telephone appointment booked', 'Appointment'),
+    systmConnectRow(new Date(2026, 1, 16, 9), 'Advice given', 'Advice / Self-care'),
+  ];
+
+  const [rapidHealth, systmConnect] = compareTriageSuppliers([...after, ...before]);
+  assert.deepEqual(rapidHealth, {
+    supplier: 'rapidhealth',
+    name: 'Rapid Health',
+    total: 4,
+    firstDate: '2026-01-05',
+    lastDate: '2026-01-08',
+    requestsPerWeek: 4,
+    clinicalPct: 75,
+    appointmentPct: 25,
+    outcomeRecordedPct: 25,
+    urgencyMix: { RED: (1 / 3) * 100, AMBER: (1 / 3) * 100, YELLOW: 0, GREEN: (1 / 3) * 100 },
+    medianTimeToOutcome: 60,
+  });
+  assert.equal(systmConnect.name, 'SystmConnect');
+  assert.equal(systmConnect.requestsPerWeek, 0.9);
+  assert.equal(systmConnect.appointmentPct, 50);
+  assert.equal(systmConnect.urgencyMix, null);
+  assert.equal(systmConnect.medianTimeToOutcome, 180);
+});
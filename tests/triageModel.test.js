@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import * as XLSX from 'xlsx';
+
+import {
+  detectTriageSupplier,
+  parseTriageWorkbook,
+  combineTriageFiles,
+  registerTriageAdapter,
+  getTriageAdapters,
+  getTriageSupplierName,
+  fromSlotRow,
+} from '../src/utils/triageModel.js';
+
+const accurxWorkbook = () => XLSX.read(
+  fs.readFileSync(path.join(import.meta.dirname, 'fixtures', 'triage', 'accurx-export.csv'), 'utf8'),
+  { type: 'string' }
+);
+const rapidHealthWorkbook = () => XLSX.read(
+  fs.readFileSync(path.join(import.meta.dirname, '..', 'src', 'assets', 'Rapid Health December Data Example  - 20260106.xlsx'))
+);
+
+const workbookFromRows = (rows) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Requests');
+  return workbook;
+};
+
+const systmConnectWorkbook = () => workbookFromRows([
+  ['ID', 'ODS Code', 'Submitted', 'Access method', 'Submission source', 'Patient name', 'Age', 'Sex',
+    'Submission started', 'Submission completed', 'Type', 'Clinical problem type', 'Admin activity type',
+    'Response preference', 'Outcome', 'Outcome recorded'],
+  [1, 'C82040', '19/01/2026 09:00', 'Online', 'Patient', 'A', 54, 'F',
+    '19/01/2026 09:00', '19/01/2026 09:05', 'Clinical', 'New problem', '', 'Phone call',
+    'Telephone appointment booked', '19/01/2026 10:00'],
+  [2, 'C82040', '20/01/2026 14:00', 'Online', 'Patient', 'B', 12, 'M',
+    '20/01/2026 14:00', '20/01/2026 14:02', 'Admin', '', 'Fit note',
+    'Online message', 'Advice given', '20/01/2026 16:00'],
+]);
+
+test('exports are recognised by their headers, strictest first', () => {
+  assert.equal(detectTriageSupplier(rapidHealthWorkbook()), 'rapidhealth');
+  assert.equal(detectTriageSupplier(accurxWorkbook()), 'accurx');
+  assert.equal(detectTriageSupplier(systmConnectWorkbook()), 'systmconnect');
+  assert.equal(detectTriageSupplier(workbookFromRows([['Name', 'Score'], ['A', 1]])), null);
+  assert.equal(detectTriageSupplier(workbookFromRows([['Name', '', 'Score'], ['A', '', 1]])), null);
+
+  // The selected supplier's parser explains why a file isn't recognised
+  assert.throws(
+    () => parseTriageWorkbook(workbookFromRows([['Name', 'Score'], ['A', 1]]), 'accurx'),
+    /does not match Accurx Patient Triage export/
+  );
+  assert.deepEqual(getTriageAdapters().map(a => a.id), ['rapidhealth', 'systmconnect', 'accurx']);
+  assert.equal(getTriageSupplierName('systmconnect'), 'SystmConnect');
+});
+
+test('every supplier produces the same canonical request', () => {
+  const accurx = parseTriageWorkbook(accurxWorkbook(), 'rapidhealth');
+  assert.equal(accurx.supplier, 'accurx');
+  assert.equal(accurx.requests.length, 5);
+  assert.equal(accurx.dataQuality.missingUrgency, 1);
+  const [booked] = accurx.requests;
+  assert.deepEqual(
+    {
+      practice: booked.practice, requestDate: booked.requestDate, dow: booked.dow, hourOfDay: booked.hourOfDay,
+      type: booked.type, category: booked.category, urgency: booked.urgency, outcome: booked.outcome,
+      outcomeGroup: booked.outcomeGroup, isAppointment: booked.isAppointment, ageBand: booked.ageBand,
+      timeToOutcomeMinutes: booked.timeToOutcomeMinutes,
+    },
+    {
+      practice: 'Riverside Surgery', requestDate: new Date(Date.UTC(2026, 0, 15)), dow: 'Thursday', hourOfDay: 8,
+      type: 'Clinical', category: 'New problem', urgency: 'RED', outcome: 'Appointment booked',
+      outcomeGroup: 'Appointment', isAppointment: true, ageBand: '25-44', timeToOutcomeMinutes: 75,
+    }
+  );
+  assert.equal(accurx.requests[4].ageBand, 'Unknown');
+  assert.equal(accurx.requests[2].adminActivityType, 'Fit note');
+
+  // The parser's status is final: keywords in "Not booked" don't make an appointment
+  const notBooked = fromSlotRow({
+    tenant: 'Riverside Surgery', requestDate: new Date(Date.UTC(2026, 0, 15)), requestDay: 'Thursday',
+    requestType: 'Medical request', appointmentStatus: '-', outcome: 'Appointment not booked',
+  }, 'accurx');
+  assert.equal(notBooked.isAppointment, false);
+  assert.equal(notBooked.outcomeGroup, 'Other / Unknown');
+
+  const systmConnect = parseTriageWorkbook(systmConnectWorkbook());
+  assert.equal(systmConnect.supplier, 'systmconnect');
+  const [clinical, admin] = systmConnect.requests;
+  assert.equal(clinical.practice, 'C82040');
+  assert.deepEqual(clinical.requestDate, new Date(Date.UTC(2026, 0, 19)));
+  assert.equal(clinical.requestMonth, 'January 2026');
+  assert.equal(clinical.category, 'New problem');
+  assert.equal(clinical.urgency, null);
+  assert.equal(clinical.isAppointment, true);
+  assert.equal(clinical.appointmentStatus, 'Scheduled');
+  assert.equal(clinical.isAdult, true);
+  assert.equal(admin.category, 'Fit note');
+  assert.equal(admin.isAdult, false);
+
+  const rapidHealth = parseTriageWorkbook(rapidHealthWorkbook());
+  assert.equal(rapidHealth.supplier, 'rapidhealth');
+  assert.ok(rapidHealth.requests.length > 1000);
+  assert.ok(rapidHealth.requests.every(r => r.supplier === 'rapidhealth' && r.requestDate));
+  assert.ok(rapidHealth.requests.some(r => r.type === 'Clinical' && r.urgency && r.dow && r.hourOfDay !== null));
+});
+
+test('files are combined without double counting overlapping exports', () => {
+  const { requests } = parseTriageWorkbook(accurxWorkbook());
+
+  // Second export overlaps the first by two requests; a genuine repeat within one file is kept
+  const second = [requests[3], requests[4], { ...requests[4] }];
+  const combined = combineTriageFiles([requests, second]);
+  assert.equal(combined.requests.length, 6);
+  assert.equal(combined.duplicatesRemoved, 2);
+
+  assert.deepEqual(combineTriageFiles([requests]).requests, requests);
+  assert.deepEqual(combineTriageFiles([]), { requests: [], duplicatesRemoved: 0 });
+});
+
+test('additional suppliers plug in with an adapter', () => {
+  registerTriageAdapter({
+    id: 'example',
+    name: 'Example Triage',
+    formats: '.csv',
+    detect: (headers) => headers.includes('Example ID'),
+    parse: (workbook) => ({
+      requests: XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]).map(row => ({
+        supplier: 'example', type: row.Kind, submittedDt: null, outcome: null,
+      })),
+      invalidDurations: 0,
+    }),
+  });
+
+  const parsed = parseTriageWorkbook(workbookFromRows([['Example ID', 'Kind'], [1, 'Admin'], [2, 'Clinical']]));
+  assert.equal(parsed.supplier, 'example');
+  assert.equal(getTriageSupplierName('example'), 'Example Triage');
+  assert.deepEqual(parsed.dataQuality, {
+    totalRows: 2, missingDates: 2, invalidDurations: 0, missingOutcomes: 2, missingType: 0, missingUrgency: 1,
+  });
+});
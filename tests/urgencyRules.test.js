@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_URGENCY_RULES,
+  normaliseUrgencyRules,
+  getCapacityDate,
+  calculateCapacityNeeded,
+  describeUrgencyRule,
+} from '../src/utils/urgencyRules.js';
+
+const WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const oneOfEach = { GREEN: 1, YELLOW: 1, AMBER: 1, RED: 1 };
+const byDay = Object.fromEntries(WEEK.map(day => [day, oneOfEach]));
+const counts = (needed, day) => ['GREEN', 'YELLOW', 'AMBER', 'RED'].map(urgency => needed[day][urgency]);
+
+test('default rules place a week of demand as the slot model always has', () => {
+  const weekdaysOnly = calculateCapacityNeeded({ demandByDayUrgency: byDay, numWeeks: 1 }, DEFAULT_URGENCY_RULES);
+  assert.deepEqual(Object.keys(weekdaysOnly), WEEK.slice(0, 5));
+  assert.deepEqual(counts(weekdaysOnly, 'Monday'), [1, 1, 0, 1]);
+  assert.deepEqual(counts(weekdaysOnly, 'Wednesday'), [1, 1, 1, 1]);
+  // Friday AMBER can't wait for Saturday, so it needs a RED slot the same day
+  assert.deepEqual(counts(weekdaysOnly, 'Friday'), [1, 1, 1, 2]);
+
+  const withWeekends = calculateCapacityNeeded(
+    { demandByDayUrgency: byDay, numWeeks: 1 }, DEFAULT_URGENCY_RULES, { acceptWeekendRequests: true }
+  );
+  assert.deepEqual(counts(withWeekends, 'Monday'), [1, 1, 1, 4]);
+  assert.deepEqual(counts(withWeekends, 'Wednesday'), [1, 3, 1, 1]);
+  assert.deepEqual(counts(withWeekends, 'Friday'), [3, 1, 1, 2]);
+  assert.equal(withWeekends.Monday.total, 7);
+  assert.equal(withWeekends.Monday.avgRED, 4);
+});
+
+test('rules decide whether weekends and bank holidays count', () => {
+  const day = (d) => new Date(2026, 11, d); // December 2026: Christmas Friday 25th, Boxing Day substitute Monday 28th
+  const rule = (urgency, changes = {}) => ({ ...DEFAULT_URGENCY_RULES[urgency], ...changes });
+
+  assert.deepEqual(getCapacityDate(day(24), rule('AMBER'), 'AMBER'), { date: day(24), urgency: 'RED' });
+  assert.deepEqual(getCapacityDate(day(23), rule('AMBER'), 'AMBER'), { date: day(24), urgency: 'AMBER' });
+  assert.deepEqual(
+    getCapacityDate(day(24), rule('AMBER', { whenClosed: 'next-open' }), 'AMBER'),
+    { date: day(29), urgency: 'AMBER' }
+  );
+
+  // Open days only: Thursday 24th, Tuesday 29th, Wednesday 30th
+  assert.deepEqual(getCapacityDate(day(23), rule('YELLOW'), 'YELLOW'), { date: day(30), urgency: 'YELLOW' });
+  // Bank holidays count: Thursday 24th, Friday 25th, Monday 28th (closed), so the next open day
+  assert.deepEqual(
+    getCapacityDate(day(23), rule('YELLOW', { countBankHolidays: true }), 'YELLOW'),
+    { date: day(29), urgency: 'YELLOW' }
+  );
+  assert.deepEqual(getCapacityDate(day(25), rule('RED'), 'RED'), { date: day(29), urgency: 'RED' });
+
+  // Dated demand is used when the analysis has it
+  const needed = calculateCapacityNeeded(
+    { demandByDateUrgency: { '2026-12-23': { YELLOW: 2 }, '2026-12-24': { AMBER: 1 } }, numWeeks: 1 },
+    { ...DEFAULT_URGENCY_RULES, YELLOW: rule('YELLOW', { countBankHolidays: true }) }
+  );
+  assert.equal(needed.Tuesday.YELLOW, 2);
+  assert.equal(needed.Thursday.RED, 1);
+});
+
+test('saved rule sets are completed and bounded', () => {
+  const rules = normaliseUrgencyRules({
+    AMBER: { targetDays: '2', countWeekends: false, whenClosed: 'later', upgradeTo: 'PURPLE' },
+    GREEN: { targetDays: 99 },
+  });
+  assert.deepEqual(rules.RED, DEFAULT_URGENCY_RULES.RED);
+  assert.deepEqual(rules.AMBER, {
+    targetDays: 2, countWeekends: false, countBankHolidays: true, whenClosed: 'upgrade', upgradeTo: 'RED',
+  });
+  assert.equal(rules.GREEN.targetDays, 20);
+  assert.deepEqual(normaliseUrgencyRules(undefined), DEFAULT_URGENCY_RULES);
+
+  assert.deepEqual(
+    Object.values(DEFAULT_URGENCY_RULES).map(describeUrgencyRule),
+    ['Same open day', 'Next calendar day, or same day as RED if closed', '3rd open day', '5th open day']
+  );
+});
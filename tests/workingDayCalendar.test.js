@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getEasterSunday,
+  getBankHolidays,
+  isWorkingDay,
+  getWorkingDaysInMonth,
+  getWorkingDaysForMonth,
+  parseMonthString,
+  normaliseClosureDays,
+} from '../src/utils/workingDayCalendar.js';
+import { getDaysInMonth } from '../src/utils/demandCapacityMetrics.js';
+
+test('getEasterSunday matches known dates', () => {
+  assert.equal(getEasterSunday(2024).toDateString(), new Date(2024, 2, 31).toDateString());
+  assert.equal(getEasterSunday(2025).toDateString(), new Date(2025, 3, 20).toDateString());
+  assert.equal(getEasterSunday(2026).toDateString(), new Date(2026, 3, 5).toDateString());
+});
+
+test('getBankHolidays includes substitute days and one-off holidays', () => {
+  assert.deepEqual(getBankHolidays(2025), [
+    '2025-01-01', '2025-04-18', '2025-04-21', '2025-05-05',
+    '2025-05-26', '2025-08-25', '2025-12-25', '2025-12-26',
+  ]);
+  // Christmas on Saturday, Boxing Day on Sunday
+  assert.ok(getBankHolidays(2021).includes('2021-12-27'));
+  assert.ok(getBankHolidays(2021).includes('2021-12-28'));
+  // New Year's Day on Saturday moves to Monday 3rd
+  assert.ok(getBankHolidays(2022).includes('2022-01-03'));
+  // Platinum Jubilee moved the spring bank holiday
+  assert.ok(getBankHolidays(2022).includes('2022-06-02'));
+  assert.ok(!getBankHolidays(2022).includes('2022-05-30'));
+  assert.ok(getBankHolidays(2023).includes('2023-05-08'));
+});
+
+test('working days exclude weekends, bank holidays and closure days', () => {
+  assert.equal(getWorkingDaysInMonth(2024, 11), 20);
+  assert.equal(getWorkingDaysInMonth(2025, 4), 20);
+  assert.equal(getWorkingDaysInMonth(2025, 9), 23);
+  assert.equal(getWorkingDaysInMonth(2025, 9, ['2025-10-15']), 22);
+  assert.equal(isWorkingDay(new Date(2025, 7, 25)), false);
+  assert.equal(isWorkingDay(new Date(2025, 7, 26)), true);
+});
+
+test('month strings in national and local formats resolve to working days', () => {
+  assert.deepEqual(parseMonthString('November 2025'), { year: 2025, monthIndex: 10 });
+  assert.deepEqual(parseMonthString('Dec-24'), { year: 2024, monthIndex: 11 });
+  assert.deepEqual(parseMonthString('2025-05'), { year: 2025, monthIndex: 4 });
+  assert.equal(parseMonthString('November'), null);
+  assert.equal(getWorkingDaysForMonth('Aug-25'), 20);
+  assert.equal(getDaysInMonth('December 2024'), 20);
+  assert.equal(getDaysInMonth('May 2025', ['2025-05-14']), 19);
+  assert.equal(getDaysInMonth(''), 21);
+});
+
+test('normaliseClosureDays accepts arrays and comma-separated text', () => {
+  assert.deepEqual(normaliseClosureDays('2025-05-14, 2025-03-01,bad,2025-05-14'), ['2025-03-01', '2025-05-14']);
+  assert.deepEqual(normaliseClosureDays(undefined), []);
+});
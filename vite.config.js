@@ -24,9 +24,28 @@ const buildDate = new Date().toLocaleDateString('en-GB', {
   minute: '2-digit',
 });
 
+// 4. List the built files for the service worker (public/sw.js) to precache.
+// Scripts, styles and images only: sample data is cached the first time it's used.
+const PRECACHE_PATTERN = /\.(js|mjs|css|svg|png|ico|woff2?)$/;
+
+const precacheManifest = () => ({
+  name: 'caip-precache-manifest',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const files = Object.keys(bundle)
+      .filter(fileName => PRECACHE_PATTERN.test(fileName))
+      .map(fileName => `/${fileName}`);
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw-precache.json',
+      source: JSON.stringify({ version: `${version}-${gitCommit}`, files }, null, 2),
+    });
+  },
+});
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   define: {
     // Define global constants that are replaced at build time
     '__APP_VERSION__': JSON.stringify(version),